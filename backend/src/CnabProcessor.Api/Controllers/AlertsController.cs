@@ -0,0 +1,213 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/Controllers/AlertsController.cs
+// Purpose: Anomaly alerts: list, acknowledge with a comment, and configure their rules
+// ========================================
+
+using CnabProcessor.Api.Models;
+using CnabProcessor.Api.ViewModels;
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Services;
+using CnabProcessor.Infrastructure.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Api.Controllers
+{
+    /// <summary>
+    /// Alerts triggered by the anomaly rules evaluated on every import (see <see cref="AnomalyRules"/>).
+    /// Every signed-in user can review and acknowledge alerts; only administrators change the rules,
+    /// and the changes apply to the next imports.
+    /// </summary>
+    [ApiController]
+    [Route("api/cnab/alerts")]
+    [Produces("application/json")]
+    [Authorize]
+    public class AlertsController : ControllerBase
+    {
+        private const int MaxPageSize = 100;
+
+        private readonly IAlertRepository _alerts;
+
+        public AlertsController(IAlertRepository alerts)
+        {
+            _alerts = alerts;
+        }
+
+        /// <summary>
+        /// Returns one page of alerts, newest first.
+        /// </summary>
+        /// <param name="status">Open (default), Acknowledged or All</param>
+        /// <param name="storeName">Only alerts of this store (exact match)</param>
+        /// <param name="rule">Only alerts of this rule</param>
+        /// <param name="pageNumber">Page number (1-based)</param>
+        /// <param name="pageSize">Items per page (max 100)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet]
+        [ProducesResponseType(typeof(PagedResult<AlertViewModel>), 200)]
+        [ProducesResponseType(400)]
+        public async Task<IActionResult> GetAlerts(
+            [FromQuery] AlertStatusFilter status = AlertStatusFilter.Open,
+            [FromQuery] string? storeName = null,
+            [FromQuery] AlertRuleType? rule = null,
+            [FromQuery] int pageNumber = 1,
+            [FromQuery] int pageSize = 10,
+            CancellationToken cancellationToken = default)
+        {
+            if (!Enum.IsDefined(status))
+            {
+                return BadRequest(new { message = $"Unknown alert status '{status}'" });
+            }
+
+            if (rule.HasValue && !Enum.IsDefined(rule.Value))
+            {
+                return BadRequest(new { message = $"Unknown alert rule '{rule}'" });
+            }
+
+            bool? acknowledged = status switch
+            {
+                AlertStatusFilter.Open => false,
+                AlertStatusFilter.Acknowledged => true,
+                _ => null
+            };
+
+            var page = await _alerts.GetPageAsync(
+                acknowledged,
+                storeName?.Trim(),
+                rule,
+                Math.Max(1, pageNumber),
+                Math.Clamp(pageSize, 1, MaxPageSize),
+                cancellationToken);
+
+            return Ok(PagedResult<AlertViewModel>.FromPage(
+                page.Items.Select(AlertViewModel.FromEntity), page.PageNumber, page.PageSize, page.TotalCount));
+        }
+
+        /// <summary>
+        /// Returns the number of open alerts, in total and per rule.
+        /// </summary>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("summary")]
+        [ProducesResponseType(typeof(AlertSummaryViewModel), 200)]
+        public async Task<IActionResult> GetSummary(CancellationToken cancellationToken = default)
+        {
+            var counts = await _alerts.GetOpenCountsAsync(cancellationToken);
+
+            return Ok(new AlertSummaryViewModel
+            {
+                OpenCount = counts.Values.Sum(),
+                OpenCountByRule = counts.ToDictionary(c => c.Key.ToString(), c => c.Value)
+            });
+        }
+
+        /// <summary>
+        /// Acknowledges an open alert with a comment (what was found when looking into it).
+        /// Administrator only: the User role is read-only.
+        /// </summary>
+        /// <param name="id">Alert id</param>
+        /// <param name="request">Comment</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpPost("{id:int}/acknowledgement")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(typeof(AlertViewModel), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        public async Task<IActionResult> Acknowledge(
+            int id,
+            [FromBody] AcknowledgeAlertRequest request,
+            CancellationToken cancellationToken = default)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(new { message = "Invalid request", errors = ModelState });
+            }
+
+            var alert = await _alerts.GetByIdAsync(id, cancellationToken);
+            if (alert == null)
+            {
+                return NotFound(new { success = false, message = $"Alert {id} not found" });
+            }
+
+            if (alert.IsAcknowledged)
+            {
+                return Conflict(new
+                {
+                    success = false,
+                    message = $"Alert {id} was already acknowledged by {alert.AcknowledgedBy}"
+                });
+            }
+
+            var acknowledged = await _alerts.AcknowledgeAsync(
+                id, User.Identity?.Name ?? "unknown", request.Comment.Trim(), cancellationToken);
+
+            return Ok(AlertViewModel.FromEntity(acknowledged));
+        }
+
+        /// <summary>
+        /// Returns the settings of every rule.
+        /// </summary>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("rules")]
+        [ProducesResponseType(typeof(IEnumerable<AlertRuleViewModel>), 200)]
+        public async Task<IActionResult> GetRules(CancellationToken cancellationToken = default)
+        {
+            var rules = await _alerts.GetRulesAsync(cancellationToken);
+            return Ok(rules.Select(AlertRuleViewModel.FromEntity));
+        }
+
+        /// <summary>
+        /// Changes the settings of a rule (Administrator only). Alerts already triggered are kept.
+        /// </summary>
+        /// <param name="rule">Rule name</param>
+        /// <param name="request">New settings</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpPut("rules/{rule}")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(typeof(AlertRuleViewModel), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(403)]
+        public async Task<IActionResult> UpdateRule(
+            AlertRuleType rule,
+            [FromBody] UpdateAlertRuleRequest request,
+            CancellationToken cancellationToken = default)
+        {
+            if (!Enum.IsDefined(rule))
+            {
+                return BadRequest(new { message = $"Unknown alert rule '{rule}'" });
+            }
+
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(new { message = "Invalid request", errors = ModelState });
+            }
+
+            // The large amount rule has no window
+            var window = rule == AlertRuleType.LargeAmount ? 0 : request.Window ?? 0;
+            var error = AnomalyRules.Validate(rule, request.Threshold!.Value, window);
+            if (error != null)
+            {
+                throw new ArgumentException(error);
+            }
+
+            var settings = new AlertRule
+            {
+                Type = rule,
+                IsEnabled = request.IsEnabled!.Value,
+                Threshold = request.Threshold.Value,
+                Window = window,
+                UpdatedBy = User.Identity?.Name ?? "unknown",
+                UpdatedAt = DateTime.UtcNow
+            };
+            await _alerts.SaveRuleAsync(settings, cancellationToken);
+
+            return Ok(AlertRuleViewModel.FromEntity(settings));
+        }
+    }
+}
@@ -1,4 +1,4 @@
-// ========================================
+﻿// ========================================
 // File: CnabProcessor.Api/Controllers/AuthController.cs
 // Purpose: Authentication endpoints
 // ========================================
@@ -7,6 +7,8 @@ using CnabProcessor.Api.Models;
 using CnabProcessor.Api.Services;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
+using System.Security.Claims;
 
 namespace CnabProcessor.Api.Controllers;
 
@@ -18,17 +20,30 @@ namespace CnabProcessor.Api.Controllers;
 [Produces("application/json")]
 public class AuthController : ControllerBase
 {
+    /// <summary>
+    /// HttpOnly cookie holding the refresh token for the web app (scripts cannot read it).
+    /// </summary>
+    public const string RefreshTokenCookieName = "cnab_refresh_token";
+
+    private const string RefreshTokenCookiePath = "/api/auth";
+
     private readonly JwtTokenService _tokenService;
+    private readonly RefreshTokenStore _refreshTokens;
     private readonly ILogger<AuthController> _logger;
 
-    public AuthController(JwtTokenService tokenService, ILogger<AuthController> logger)
+    public AuthController(
+        JwtTokenService tokenService,
+        RefreshTokenStore refreshTokens,
+        ILogger<AuthController> logger)
     {
         _tokenService = tokenService;
+        _refreshTokens = refreshTokens;
         _logger = logger;
     }
 
     /// <summary>
-    /// Authenticates user and returns JWT token.
+    /// Authenticates user for the web app: returns a JWT token and sets the refresh token cookie.
+    /// The refresh token is not in the body, so page scripts can never read it.
     /// </summary>
     /// <param name="request">Login credentials</param>
     /// <returns>JWT token if successful</returns>
@@ -39,37 +54,95 @@ public class AuthController : ControllerBase
     [ProducesResponseType(401)]
     public IActionResult Login([FromBody] LoginRequest request)
     {
-        if (!ModelState.IsValid)
+        return SignIn(request, useCookie: true);
+    }
+
+    /// <summary>
+    /// Authenticates user for API clients (scripts, integrations): returns a JWT token and a
+    /// refresh token in the body and sets no cookie. Refresh it with /api/auth/token/refresh.
+    /// </summary>
+    /// <param name="request">Login credentials</param>
+    /// <returns>JWT token and refresh token if successful</returns>
+    [HttpPost("token")]
+    [AllowAnonymous]
+    [ProducesResponseType(typeof(LoginResponse), 200)]
+    [ProducesResponseType(400)]
+    [ProducesResponseType(401)]
+    public IActionResult Token([FromBody] LoginRequest request)
+    {
+        return SignIn(request, useCookie: false);
+    }
+
+    /// <summary>
+    /// Exchanges the refresh token cookie for a new JWT token and rotates the cookie (web app).
+    /// The refresh token used is consumed and cannot be used again. A refused refresh leaves the
+    /// cookie alone: it may already hold the token another tab has just rotated in.
+    /// </summary>
+    /// <returns>New JWT token</returns>
+    [HttpPost("refresh")]
+    [AllowAnonymous]
+    [ProducesResponseType(typeof(LoginResponse), 200)]
+    [ProducesResponseType(401)]
+    public IActionResult Refresh()
+    {
+        var username = _refreshTokens.Redeem(Request.Cookies[RefreshTokenCookieName] ?? string.Empty);
+        if (username == null)
         {
-            return BadRequest(new { message = "Invalid request", errors = ModelState });
+            _logger.LogWarning("Refresh attempt with an invalid, used or expired refresh token");
+            return Unauthorized(new { message = "Session expired. Please sign in again." });
         }
 
-        _logger.LogInformation("Login attempt for user: {Username}", request.Username);
+        _logger.LogInformation("Session refreshed for user: {Username}", username);
 
-        // Validate credentials
-        if (!_tokenService.ValidateCredentials(request.Username, request.Password))
+        return Ok(CreateSession(username, useCookie: true));
+    }
+
+    /// <summary>
+    /// Exchanges a refresh token from /api/auth/token for a new JWT token and a new refresh
+    /// token (API clients). The refresh token sent is consumed and cannot be used again.
+    /// </summary>
+    /// <param name="request">Refresh token from /api/auth/token or from the previous refresh</param>
+    /// <returns>New JWT token and refresh token</returns>
+    [HttpPost("token/refresh")]
+    [AllowAnonymous]
+    [ProducesResponseType(typeof(LoginResponse), 200)]
+    [ProducesResponseType(401)]
+    public IActionResult RefreshApiToken([FromBody] RefreshTokenRequest request)
+    {
+        var username = _refreshTokens.Redeem(request.RefreshToken);
+        if (username == null)
         {
-            _logger.LogWarning("Failed login attempt for user: {Username}", request.Username);
-            return Unauthorized(new { message = "Invalid username or password" });
+            _logger.LogWarning("Token refresh attempt with an invalid, used or expired refresh token");
+            return Unauthorized(new { message = "Session expired. Please sign in again." });
         }
 
-        // Generate token
-        var (token, expiresAt) = _tokenService.GenerateToken(request.Username);
+        _logger.LogInformation("Token refreshed for user: {Username}", username);
 
-        _logger.LogInformation("Successful login for user: {Username}", request.Username);
+        return Ok(CreateSession(username, useCookie: false));
+    }
 
-        return Ok(new LoginResponse
-        {
-            Token = token,
-            ExpiresAt = expiresAt,
-            Username = request.Username
-        });
+    /// <summary>
+    /// Ends a session by revoking its refresh token and removing the refresh token cookie.
+    /// The current JWT token stays valid until it expires.
+    /// </summary>
+    /// <param name="request">Refresh token of the session; when empty, the refresh token cookie is used</param>
+    [HttpPost("logout")]
+    [AllowAnonymous]
+    [ProducesResponseType(204)]
+    public IActionResult Logout(
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] RefreshTokenRequest? request = null)
+    {
+        _refreshTokens.Revoke(GetRefreshToken(request));
+        DeleteRefreshTokenCookie();
+
+        return NoContent();
     }
 
     /// <summary>
     /// Gets information about the currently authenticated user.
+    /// The web app calls it on startup to validate its session.
     /// </summary>
-    /// <returns>User information</returns>
+    /// <returns>User information and roles</returns>
     [HttpGet("me")]
     [Authorize]
     [ProducesResponseType(200)]
@@ -82,6 +155,7 @@ public class AuthController : ControllerBase
         {
             username,
             authenticated = true,
+            roles = User.FindAll(ClaimTypes.Role).Select(c => c.Value),
             claims = User.Claims.Select(c => new { c.Type, c.Value })
         });
     }
@@ -99,10 +173,80 @@ public class AuthController : ControllerBase
             message = "Demo credentials for testing",
             users = new[]
             {
-                new { username = "admin", password = "Admin@123", role = "Administrator" },
-                new { username = "user", password = "User@123", role = "User" }
+                new { username = "admin", password = "Admin@123", role = AppRoles.Administrator },
+                new { username = "user", password = "User@123", role = AppRoles.User }
             },
             note = "REMOVE THIS ENDPOINT IN PRODUCTION!"
         });
     }
+
+    private IActionResult SignIn(LoginRequest request, bool useCookie)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(new { message = "Invalid request", errors = ModelState });
+        }
+
+        _logger.LogInformation("Login attempt for user: {Username}", request.Username);
+
+        // Validate credentials
+        if (!_tokenService.ValidateCredentials(request.Username, request.Password))
+        {
+            _logger.LogWarning("Failed login attempt for user: {Username}", request.Username);
+            return Unauthorized(new { message = "Invalid username or password" });
+        }
+
+        _logger.LogInformation("Successful login for user: {Username}", request.Username);
+
+        return Ok(CreateSession(request.Username, useCookie));
+    }
+
+    /// <summary>
+    /// Issues a JWT token and a refresh token for the user. The refresh token is either set as
+    /// an HttpOnly cookie (web app) or returned in the body (API clients), never both.
+    /// </summary>
+    private LoginResponse CreateSession(string username, bool useCookie)
+    {
+        var (token, expiresAt) = _tokenService.GenerateToken(username);
+        var (refreshToken, refreshTokenExpiresAt) = _refreshTokens.Issue(username);
+
+        if (useCookie)
+        {
+            Response.Cookies.Append(RefreshTokenCookieName, refreshToken, new CookieOptions
+            {
+                HttpOnly = true,
+                Secure = Request.IsHttps,
+                SameSite = SameSiteMode.Strict,
+                Path = RefreshTokenCookiePath,
+                Expires = refreshTokenExpiresAt
+            });
+        }
+
+        return new LoginResponse
+        {
+            Token = token,
+            ExpiresAt = expiresAt,
+            Username = username,
+            RefreshToken = useCookie ? null : refreshToken,
+            RefreshTokenExpiresAt = refreshTokenExpiresAt
+        };
+    }
+
+    /// <summary>
+    /// Refresh token from the request body (API clients) or else from the cookie (web app).
+    /// </summary>
+    private string GetRefreshToken(RefreshTokenRequest? request)
+    {
+        if (!string.IsNullOrWhiteSpace(request?.RefreshToken))
+        {
+            return request.RefreshToken;
+        }
+
+        return Request.Cookies[RefreshTokenCookieName] ?? string.Empty;
+    }
+
+    private void DeleteRefreshTokenCookie()
+    {
+        Response.Cookies.Delete(RefreshTokenCookieName, new CookieOptions { Path = RefreshTokenCookiePath });
+    }
 }
@@ -4,14 +4,21 @@
 // ========================================
 
 using CnabProcessor.Api.Models;
+using CnabProcessor.Api.Services;
 using CnabProcessor.Api.Validators;
 using CnabProcessor.Api.ViewModels;
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Extensions;
 using CnabProcessor.Domain.Interfaces;
+using CnabProcessor.Domain.Layouts;
+using CnabProcessor.Domain.Services;
 using CnabProcessor.Infrastructure.Interfaces;
 using Microsoft.AspNetCore.Mvc;
 using System;
 using System.Collections.Generic;
 using System.Linq;
+using System.Text.Json;
 using System.Threading;
 using System.Threading.Tasks;
 using Microsoft.AspNetCore.Authorization;
@@ -21,6 +28,13 @@ namespace CnabProcessor.Api.Controllers
     /// <summary>
     /// Controller for CNAB file operations and transaction queries.
     /// JWT Authentication is ENABLED - all endpoints require authentication.
+    /// Endpoints that change data (upload, rollback, delete, adjustments, closing periods) also require the Administrator role.
+    /// Transactions dated inside a closed period cannot be imported, entered or deleted (423 Locked).
+    /// Stored transactions are never edited: they are reversed by offsetting entries, and every
+    /// manual entry or reversal is recorded, with its reason, in the adjustment audit trail.
+    /// Imports, rollbacks, deletes and adjustments are announced to connected clients (see <see cref="EventsController"/>).
+    /// CPFs and card numbers are masked in every response; only administrators can reveal them, one
+    /// transaction at a time, and every reveal is recorded in the audit log.
     /// </summary>
     [ApiController]
     [Route("api/[controller]")]
@@ -28,17 +42,43 @@ namespace CnabProcessor.Api.Controllers
     [Authorize] // ✅ JWT authentication ENABLED
     public class CnabController : ControllerBase
     {
-        private readonly ICnabParser _parser;
+        private const int DefaultStoreRankingSize = 5;
+        private const int MaxStoreRankingSize = 20;
+        private const int DefaultPiiRevealsSize = 100;
+        private const int MaxPiiRevealsSize = 500;
+        private const int DefaultAdjustmentsSize = 100;
+        private const int MaxAdjustmentsSize = 500;
+        private const int MaxDataQualityPageSize = 100;
+
+        private readonly CnabImportService _importer;
         private readonly ITransactionRepository _repository;
+        private readonly IImportBatchRepository _importBatches;
+        private readonly IClosedPeriodRepository _closedPeriods;
+        private readonly IPiiRevealRepository _piiReveals;
+        private readonly ITransactionAdjustmentRepository _adjustments;
+        private readonly IAlertRepository _alerts;
+        private readonly TransactionEventBroadcaster _events;
         private readonly ILogger<CnabController> _logger;
 
         public CnabController(
-            ICnabParser parser,
+            CnabImportService importer,
             ITransactionRepository repository,
+            IImportBatchRepository importBatches,
+            IClosedPeriodRepository closedPeriods,
+            IPiiRevealRepository piiReveals,
+            ITransactionAdjustmentRepository adjustments,
+            IAlertRepository alerts,
+            TransactionEventBroadcaster events,
             ILogger<CnabController> logger)
         {
-            _parser = parser;
+            _importer = importer;
             _repository = repository;
+            _importBatches = importBatches;
+            _closedPeriods = closedPeriods;
+            _piiReveals = piiReveals;
+            _adjustments = adjustments;
+            _alerts = alerts;
+            _events = events;
             _logger = logger;
         }
 
@@ -46,19 +86,29 @@ namespace CnabProcessor.Api.Controllers
         /// Uploads a CNAB file and saves the parsed transactions.
         /// </summary>
         /// <param name="file">CNAB file to upload</param>
+        /// <param name="fileHash">Optional SHA-256 of the file computed by the client (lowercase hex)</param>
+        /// <param name="duplicateHandling">What to do when the file or some of its lines were already imported</param>
+        /// <param name="layout">Auto (default) to detect the layout, or CNAB81, CNAB240 or CNAB400</param>
         /// <param name="cancellationToken">Cancellation token</param>
         /// <returns>Upload result with transaction count</returns>
         [HttpPost("upload")]
+        [Authorize(Roles = AppRoles.Administrator)]
         [ProducesResponseType(typeof(UploadResponseViewModel), 200)]
         [ProducesResponseType(400)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(typeof(DuplicateImportViewModel), 409)]
+        [ProducesResponseType(typeof(ClosedPeriodConflictViewModel), 423)]
         public async Task<IActionResult> UploadCnab(
             [FromForm] IFormFile file,
+            [FromForm] string? fileHash = null,
+            [FromForm] DuplicateHandling duplicateHandling = DuplicateHandling.Reject,
+            [FromForm] string? layout = null,
             CancellationToken cancellationToken = default)
         {
             try
             {
                 // Validate file with comprehensive checks
-                var validationResult = CnabFileValidator.Validate(file);
+                var validationResult = CnabFileValidator.Validate(file, layout);
 
                 if (!validationResult.IsValid)
                 {
@@ -79,56 +129,11 @@ namespace CnabProcessor.Api.Controllers
                 _logger.LogInformation("Processing CNAB file: {FileName} ({Size} bytes)",
                     file.FileName, file.Length);
 
-                using var stream = file.OpenReadStream();
-
-                // Parse transactions
-                var transactions = await _parser.ParseAsync(stream, cancellationToken);
-                var transactionList = transactions.ToList();
+                var request = await CnabImportRequest.FromUploadAsync(
+                    file, fileHash, duplicateHandling, CnabLayouts.Find(layout), HttpContext, cancellationToken);
+                var outcome = await _importer.ImportAsync(request, cancellationToken: cancellationToken);
 
-                if (transactionList.Count == 0)
-                {
-                    _logger.LogWarning("No valid transactions found in file: {FileName}", file.FileName);
-                    return BadRequest(new UploadResponseViewModel
-                    {
-                        Success = false,
-                        FileName = file.FileName,
-                        Message = "No valid transactions found in the file."
-                    });
-                }
-
-                // 🚀 OPTIMIZED: Use BulkInsertAsync for large files (>= 1000 records)
-                // This is 10x faster than regular insert for big datasets!
-                int insertedCount;
-
-                if (transactionList.Count >= 1000)
-                {
-                    _logger.LogInformation(
-                        "Large file detected ({Count} transactions). Using OPTIMIZED bulk insert...",
-                        transactionList.Count);
-
-                    // Use optimized bulk insert with batching
-                    insertedCount = await _repository.BulkInsertAsync(
-                        transactionList,
-                        batchSize: 5000,
-                        cancellationToken);
-                }
-                else
-                {
-                    // Use regular insert for small files
-                    await _repository.AddRangeAsync(transactionList, cancellationToken);
-                    insertedCount = await _repository.SaveChangesAsync(cancellationToken);
-                }
-
-                _logger.LogInformation("Successfully imported {Count} transactions from {FileName}",
-                    insertedCount, file.FileName);
-
-                return Ok(new UploadResponseViewModel
-                {
-                    Success = true,
-                    TransactionCount = insertedCount,
-                    FileName = file.FileName,
-                    Message = $"Successfully imported {insertedCount} transactions!"
-                });
+                return StatusCode(outcome.StatusCode, outcome.Body);
             }
             catch (Exception ex)
             {
@@ -156,21 +161,7 @@ namespace CnabProcessor.Api.Controllers
 
             var transactions = await _repository.GetByStoreAsync(storeName, cancellationToken);
 
-            var result = transactions.Select(t => new TransactionViewModel
-            {
-                Id = t.Id,
-                Type = ((int)t.Type).ToString(),
-                TypeDescription = t.TypeDescription,
-                Nature = t.Nature.ToString(),
-                Date = t.Date,
-                Time = t.Time.ToString(@"hh\:mm\:ss"),
-                Amount = t.Amount,
-                SignedAmount = t.SignedAmount,
-                Cpf = t.Cpf,
-                CardNumber = t.CardNumber,
-                StoreOwner = t.StoreOwner,
-                StoreName = t.StoreName
-            });
+            var result = transactions.Select(t => TransactionViewModel.FromEntity(t));
 
             return Ok(result);
         }
@@ -178,14 +169,38 @@ namespace CnabProcessor.Api.Controllers
         /// <summary>
         /// Returns all transactions grouped by store with balance calculations.
         /// </summary>
+        /// <param name="includeTransactions">
+        /// When false only the totals are returned (aggregated by the database) and
+        /// transactions must be fetched with /store/{storeName}/paged. Default: true.
+        /// </param>
+        /// <param name="filter">Optional search criteria; only supported with includeTransactions=false,
+        /// the totals then cover matching transactions only</param>
         /// <param name="cancellationToken">Cancellation token</param>
         [HttpGet("balances")]
         [ProducesResponseType(typeof(IEnumerable<StoreBalanceViewModel>), 200)]
-        public async Task<IActionResult> GetBalances(CancellationToken cancellationToken = default)
+        [ProducesResponseType(400)]
+        public async Task<IActionResult> GetBalances(
+            [FromQuery] bool includeTransactions = true,
+            [FromQuery] TransactionFilter? filter = null,
+            CancellationToken cancellationToken = default)
         {
-            _logger.LogDebug("Fetching store balances");
+            _logger.LogDebug("Fetching store balances (include transactions: {IncludeTransactions})", includeTransactions);
+
+            RequireFullCpfSearch(filter);
+
+            if (includeTransactions && filter?.HasCriteria == true)
+            {
+                throw new ArgumentException("Filters are only supported with includeTransactions=false");
+            }
 
-            var balances = await _repository.GetStoreBalancesAsync(cancellationToken);
+            var balances = includeTransactions
+                ? await _repository.GetStoreBalancesAsync(cancellationToken)
+                : await _repository.GetStoreSummariesAsync(filter, cancellationToken);
+
+            var adjustments = (await _adjustments.GetStoreSummariesAsync(cancellationToken))
+                .ToDictionary(a => a.StoreName);
+            var alerts = (await _alerts.GetStoreSummariesAsync(cancellationToken))
+                .ToDictionary(a => a.StoreName);
 
             var result = balances.Select(b => new StoreBalanceViewModel
             {
@@ -194,53 +209,70 @@ namespace CnabProcessor.Api.Controllers
                 TotalIncome = b.TotalIncome,
                 TotalExpenses = b.TotalExpenses,
                 TransactionCount = b.TransactionCount,
-                Transactions = b.Transactions.Select(t => new TransactionViewModel
-                {
-                    Id = t.Id,
-                    Type = ((int)t.Type).ToString(),
-                    TypeDescription = t.TypeDescription,
-                    Nature = t.Nature.ToString(),
-                    Date = t.Date,
-                    Time = t.Time.ToString(@"hh\:mm\:ss"),
-                    Amount = t.Amount,
-                    SignedAmount = t.SignedAmount,
-                    Cpf = t.Cpf,
-                    CardNumber = t.CardNumber,
-                    StoreOwner = t.StoreOwner,
-                    StoreName = t.StoreName
-                }).ToList()
+                AdjustmentCount = adjustments.GetValueOrDefault(b.StoreName)?.AdjustmentCount ?? 0,
+                LastAdjustedAt = adjustments.TryGetValue(b.StoreName, out var adjusted)
+                    ? DateTime.SpecifyKind(adjusted.LastAdjustedAt, DateTimeKind.Utc)
+                    : null,
+                OpenAlertCount = alerts.GetValueOrDefault(b.StoreName)?.OpenAlertCount ?? 0,
+                Transactions = b.Transactions.Select(t => TransactionViewModel.FromEntity(t)).ToList()
             });
 
             return Ok(result);
         }
 
         /// <summary>
-        /// Returns general system statistics.
+        /// Returns overall statistics for the dashboard: totals, daily net flow,
+        /// totals per transaction type and the stores with the highest and lowest balance.
+        /// Everything is aggregated by the database.
         /// </summary>
+        /// <param name="top">Number of stores in each ranking (default: 5, max: 20)</param>
         /// <param name="cancellationToken">Cancellation token</param>
         [HttpGet("stats")]
         [ProducesResponseType(typeof(StatisticsViewModel), 200)]
-        public async Task<IActionResult> GetStats(CancellationToken cancellationToken = default)
+        public async Task<IActionResult> GetStats(
+            [FromQuery] int top = DefaultStoreRankingSize,
+            CancellationToken cancellationToken = default)
         {
             _logger.LogDebug("Fetching system statistics");
 
-            var balances = await _repository.GetStoreBalancesAsync(cancellationToken);
-            var balanceList = balances.ToList();
+            top = Math.Clamp(top, 1, MaxStoreRankingSize);
 
-            var transactions = await _repository.GetAllAsync(cancellationToken);
-            var transactionList = transactions.ToList();
+            var balanceList = (await _repository.GetStoreSummariesAsync(cancellationToken: cancellationToken)).ToList();
+            var dailyTotals = await _repository.GetDailyTotalsAsync(cancellationToken: cancellationToken);
+            var typeTotals = await _repository.GetTypeTotalsAsync(cancellationToken: cancellationToken);
 
             var stats = new StatisticsViewModel
             {
                 TotalStores = balanceList.Count,
-                TotalTransactions = transactionList.Count,
+                TotalTransactions = balanceList.Sum(x => x.TransactionCount),
                 TotalBalance = balanceList.Sum(x => x.TotalBalance),
+                TotalIncome = balanceList.Sum(x => x.TotalIncome),
+                TotalExpenses = balanceList.Sum(x => x.TotalExpenses),
                 BiggestStore = balanceList
                     .OrderByDescending(x => x.TotalBalance)
                     .FirstOrDefault()?.StoreName,
                 SmallestStore = balanceList
                     .OrderBy(x => x.TotalBalance)
-                    .FirstOrDefault()?.StoreName
+                    .FirstOrDefault()?.StoreName,
+                DailyFlow = dailyTotals.Select(d => new DailyFlowViewModel
+                {
+                    Date = d.Date,
+                    TransactionCount = d.TransactionCount,
+                    TotalIncome = d.TotalIncome,
+                    TotalExpenses = d.TotalExpenses,
+                    NetAmount = d.NetAmount
+                }).ToList(),
+                TypeTotals = typeTotals.Select(ToTypeTotal).ToList(),
+                TopStores = balanceList
+                    .OrderByDescending(x => x.TotalBalance)
+                    .Take(top)
+                    .Select(ToStoreTotal)
+                    .ToList(),
+                BottomStores = balanceList
+                    .OrderBy(x => x.TotalBalance)
+                    .Take(top)
+                    .Select(ToStoreTotal)
+                    .ToList()
             };
 
             return Ok(stats);
@@ -259,21 +291,7 @@ namespace CnabProcessor.Api.Controllers
 
             var transactions = await _repository.GetAllAsync(cancellationToken);
 
-            var result = transactions.Select(t => new TransactionViewModel
-            {
-                Id = t.Id,
-                Type = ((int)t.Type).ToString(),
-                TypeDescription = t.TypeDescription,
-                Nature = t.Nature.ToString(),
-                Date = t.Date,
-                Time = t.Time.ToString(@"hh\:mm\:ss"),
-                Amount = t.Amount,
-                SignedAmount = t.SignedAmount,
-                Cpf = t.Cpf,
-                CardNumber = t.CardNumber,
-                StoreOwner = t.StoreOwner,
-                StoreName = t.StoreName
-            });
+            var result = transactions.Select(t => TransactionViewModel.FromEntity(t));
 
             return Ok(result);
         }
@@ -283,92 +301,527 @@ namespace CnabProcessor.Api.Controllers
         /// </summary>
         /// <param name="pageNumber">Page number (1-based, default: 1)</param>
         /// <param name="pageSize">Items per page (default: 10, max: 100)</param>
+        /// <param name="filter">Optional search criteria (dateFrom, dateTo, types, nature, cpf,
+        /// cardSuffix, storeOwner, storeName, minAmount, maxAmount)</param>
+        /// <param name="sortBy">Field to sort by (default: Date)</param>
+        /// <param name="sortDirection">asc or desc (default: desc)</param>
         /// <param name="cancellationToken">Cancellation token</param>
         [HttpGet("transactions/paged")]
         [ProducesResponseType(typeof(PagedResult<TransactionViewModel>), 200)]
+        [ProducesResponseType(400)]
         public async Task<IActionResult> GetTransactionsPaged(
             [FromQuery] int pageNumber = 1,
             [FromQuery] int pageSize = 10,
+            [FromQuery] TransactionFilter? filter = null,
+            [FromQuery] TransactionSortField sortBy = TransactionSortField.Date,
+            [FromQuery] SortDirection sortDirection = SortDirection.Desc,
             CancellationToken cancellationToken = default)
         {
             _logger.LogDebug("Fetching transactions - Page {PageNumber}, Size {PageSize}", pageNumber, pageSize);
 
-            var transactions = await _repository.GetAllAsync(cancellationToken);
+            RequireFullCpfSearch(filter, sortBy);
 
-            var viewModels = transactions.Select(t => new TransactionViewModel
-            {
-                Id = t.Id,
-                Type = ((int)t.Type).ToString(),
-                TypeDescription = t.TypeDescription,
-                Nature = t.Nature.ToString(),
-                Date = t.Date,
-                Time = t.Time.ToString(@"hh\:mm\:ss"),
-                Amount = t.Amount,
-                SignedAmount = t.SignedAmount,
-                Cpf = t.Cpf,
-                CardNumber = t.CardNumber,
-                StoreOwner = t.StoreOwner,
-                StoreName = t.StoreName
-            });
+            var page = await _repository.GetPageAsync(
+                new TransactionQuery
+                {
+                    PageNumber = pageNumber,
+                    PageSize = pageSize,
+                    Filter = filter,
+                    SortBy = sortBy,
+                    SortDirection = sortDirection
+                },
+                cancellationToken);
 
-            var pagedResult = PagedResult<TransactionViewModel>.Create(viewModels, pageNumber, pageSize);
+            var viewModels = await WithReversalsAsync(
+                page.Items.Select(t => TransactionViewModel.FromEntity(t)), cancellationToken);
+
+            var pagedResult = PagedResult<TransactionViewModel>.FromPage(
+                viewModels, page.PageNumber, page.PageSize, page.TotalCount);
 
             return Ok(pagedResult);
         }
 
+        /// <summary>
+        /// Returns the clear CPF and card number of a transaction (masked everywhere else).
+        /// The reveal is recorded in the audit log with the user and time.
+        /// </summary>
+        /// <param name="id">Transaction id</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("transactions/{id:int}/pii")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(typeof(PiiRevealViewModel), 200)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> RevealPii(int id, CancellationToken cancellationToken = default)
+        {
+            var transaction = await _repository.GetByIdAsync(id, cancellationToken);
+            if (transaction == null)
+            {
+                return NotFound(new { success = false, message = $"Transaction {id} not found" });
+            }
+
+            // Recorded before the data leaves the server: no audit record, no reveal
+            var reveal = new PiiReveal
+            {
+                TransactionId = transaction.Id,
+                StoreName = transaction.StoreName,
+                RevealedBy = User.Identity?.Name ?? "unknown",
+                RevealedAt = DateTime.UtcNow
+            };
+            await _piiReveals.AddAsync(reveal, cancellationToken);
+
+            return Ok(new PiiRevealViewModel
+            {
+                TransactionId = transaction.Id,
+                Cpf = transaction.Cpf,
+                CardNumber = transaction.CardNumber,
+                RevealedAt = DateTime.SpecifyKind(reveal.RevealedAt, DateTimeKind.Utc)
+            });
+        }
+
+        /// <summary>
+        /// Returns the audit log of personal data reveals, newest first.
+        /// </summary>
+        /// <param name="transactionId">Only reveals of this transaction, when set</param>
+        /// <param name="take">Number of records (default: 100, max: 500)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("pii-reveals")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(typeof(IEnumerable<PiiRevealAuditViewModel>), 200)]
+        [ProducesResponseType(403)]
+        public async Task<IActionResult> GetPiiReveals(
+            [FromQuery] int? transactionId = null,
+            [FromQuery] int take = DefaultPiiRevealsSize,
+            CancellationToken cancellationToken = default)
+        {
+            var reveals = await _piiReveals.GetLatestAsync(
+                transactionId, Math.Clamp(take, 1, MaxPiiRevealsSize), cancellationToken);
+
+            return Ok(reveals.Select(PiiRevealAuditViewModel.FromEntity));
+        }
+
+        /// <summary>
+        /// Enters a transaction by hand, e.g. a bank correction missing from the CNAB files.
+        /// The reason is mandatory and recorded with the user in the adjustment audit trail.
+        /// </summary>
+        /// <param name="request">Type, amount, date, store, owner and reason of the entry</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpPost("adjustments")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(typeof(AdjustmentViewModel), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(typeof(ClosedPeriodConflictViewModel), 423)]
+        public async Task<IActionResult> CreateAdjustment(
+            [FromBody] CreateAdjustmentRequest request,
+            CancellationToken cancellationToken = default)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(new { message = "Invalid request", errors = ModelState });
+            }
+
+            var entry = new Transaction
+            {
+                Type = (TransactionType)request.Type!.Value,
+                Date = request.Date!.Value.Date,
+                Time = request.Time ?? TimeSpan.Zero,
+                Amount = request.Amount!.Value,
+                Cpf = request.Cpf ?? string.Empty,
+                CardNumber = request.CardNumber ?? string.Empty,
+                StoreOwner = request.StoreOwner.Trim(),
+                StoreName = request.StoreName.Trim(),
+                IsAdjustment = true
+            };
+
+            if (entry.Cpf.Length > 0 && !DataQualityRules.IsValidCpf(entry.Cpf))
+            {
+                throw new ArgumentException("CPF has invalid check digits");
+            }
+
+            if (!DataQualityRules.IsPlausibleDateTime(entry.Date, entry.Time, DateTime.UtcNow))
+            {
+                throw new ArgumentException(
+                    $"Date must be from {DataQualityRules.EarliestPlausibleDate:yyyy-MM-dd} and not in the future");
+            }
+
+            return await SaveAdjustmentAsync(AdjustmentKind.Entry, entry, request.Reason, cancellationToken);
+        }
+
+        /// <summary>
+        /// Reverses a transaction with an offsetting entry (same type, store and values, amount negated).
+        /// The transaction itself is never changed, and can be reversed only once.
+        /// The reason is mandatory and recorded with the user in the adjustment audit trail.
+        /// </summary>
+        /// <param name="id">Transaction to reverse</param>
+        /// <param name="request">Reason, and the date of the reversal entry (default: date of the transaction)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpPost("transactions/{id:int}/reversal")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(typeof(AdjustmentViewModel), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        [ProducesResponseType(typeof(ClosedPeriodConflictViewModel), 423)]
+        public async Task<IActionResult> ReverseTransaction(
+            int id,
+            [FromBody] ReverseTransactionRequest request,
+            CancellationToken cancellationToken = default)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(new { message = "Invalid request", errors = ModelState });
+            }
+
+            var transaction = await _repository.GetByIdAsync(id, cancellationToken);
+            if (transaction == null)
+            {
+                return NotFound(new { success = false, message = $"Transaction {id} not found" });
+            }
+
+            if (transaction.ReversesTransactionId.HasValue)
+            {
+                throw new ArgumentException(
+                    $"Transaction {id} is a reversal entry and cannot be reversed; enter the transaction again instead");
+            }
+
+            var reversals = await _repository.GetReversalIdsAsync(new[] { id }, cancellationToken);
+            if (reversals.TryGetValue(id, out var reversalId))
+            {
+                return Conflict(new
+                {
+                    success = false,
+                    reversalTransactionId = reversalId,
+                    message = $"Transaction {id} was already reversed by transaction {reversalId}"
+                });
+            }
+
+            var entry = transaction.CreateReversal(request.Date ?? transaction.Date);
+
+            return await SaveAdjustmentAsync(AdjustmentKind.Reversal, entry, request.Reason, cancellationToken);
+        }
+
+        /// <summary>
+        /// Returns the adjustment audit trail, newest first: who entered or reversed which
+        /// transaction, when and why.
+        /// </summary>
+        /// <param name="storeName">Only adjustments of this store (exact match), when set</param>
+        /// <param name="take">Number of records (default: 100, max: 500)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("adjustments")]
+        [ProducesResponseType(typeof(IEnumerable<AdjustmentViewModel>), 200)]
+        public async Task<IActionResult> GetAdjustments(
+            [FromQuery] string? storeName = null,
+            [FromQuery] int take = DefaultAdjustmentsSize,
+            CancellationToken cancellationToken = default)
+        {
+            var adjustments = await _adjustments.GetLatestAsync(
+                storeName, Math.Clamp(take, 1, MaxAdjustmentsSize), cancellationToken);
+
+            return Ok(adjustments.Select(AdjustmentViewModel.FromEntity));
+        }
+
         /// <summary>
         /// Returns transactions for a specific store with pagination.
         /// </summary>
         /// <param name="storeName">Name of the store</param>
         /// <param name="pageNumber">Page number (1-based, default: 1)</param>
         /// <param name="pageSize">Items per page (default: 10, max: 100)</param>
+        /// <param name="filter">Optional search criteria (dateFrom, dateTo, types, nature, cpf,
+        /// cardSuffix, storeOwner, storeName, minAmount, maxAmount)</param>
+        /// <param name="sortBy">Field to sort by (default: Date)</param>
+        /// <param name="sortDirection">asc or desc (default: desc)</param>
+        /// <param name="includeRunningBalance">Adds the balance after each transaction (runningBalance),
+        /// over the matching transactions in date/time order. Only applied when sorting by Date.</param>
         /// <param name="cancellationToken">Cancellation token</param>
         [HttpGet("store/{storeName}/paged")]
         [ProducesResponseType(typeof(PagedResult<TransactionViewModel>), 200)]
+        [ProducesResponseType(400)]
         public async Task<IActionResult> GetByStorePaged(
             string storeName,
             [FromQuery] int pageNumber = 1,
             [FromQuery] int pageSize = 10,
+            [FromQuery] TransactionFilter? filter = null,
+            [FromQuery] TransactionSortField sortBy = TransactionSortField.Date,
+            [FromQuery] SortDirection sortDirection = SortDirection.Desc,
+            [FromQuery] bool includeRunningBalance = false,
             CancellationToken cancellationToken = default)
         {
             _logger.LogDebug("Fetching transactions for store: {StoreName} - Page {PageNumber}, Size {PageSize}",
                 storeName, pageNumber, pageSize);
 
-            var transactions = await _repository.GetByStoreAsync(storeName, cancellationToken);
+            RequireFullCpfSearch(filter, sortBy);
+
+            var page = await _repository.GetPageAsync(
+                new TransactionQuery
+                {
+                    StoreName = storeName,
+                    PageNumber = pageNumber,
+                    PageSize = pageSize,
+                    Filter = filter,
+                    SortBy = sortBy,
+                    SortDirection = sortDirection,
+                    IncludeRunningBalance = includeRunningBalance
+                },
+                cancellationToken);
+
+            var runningBalances = page.GetRunningBalances();
+
+            var viewModels = await WithReversalsAsync(
+                page.Items.Select((t, index) => TransactionViewModel.FromEntity(t, runningBalances?[index])),
+                cancellationToken);
+
+            var pagedResult = PagedResult<TransactionViewModel>.FromPage(
+                viewModels, page.PageNumber, page.PageSize, page.TotalCount);
+
+            return Ok(pagedResult);
+        }
+
+        /// <summary>
+        /// Returns the data of the store detail page: balance at the end of each day,
+        /// totals per transaction type, owners and cards seen, and the month of the reference date
+        /// compared with the month before. Everything is aggregated by the database.
+        /// </summary>
+        /// <param name="storeName">Name of the store (exact match)</param>
+        /// <param name="referenceDate">Day in the "current" month of the comparison
+        /// (default: date of the store's latest transaction)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("store/{storeName}/timeseries")]
+        [ProducesResponseType(typeof(StoreTimeSeriesViewModel), 200)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> GetStoreTimeSeries(
+            string storeName,
+            [FromQuery] DateTime? referenceDate = null,
+            CancellationToken cancellationToken = default)
+        {
+            _logger.LogDebug("Fetching time series for store: {StoreName}", storeName);
+
+            var dailyTotals = (await _repository.GetDailyTotalsAsync(storeName, cancellationToken)).ToList();
+            if (dailyTotals.Count == 0)
+            {
+                return NotFound(new { success = false, message = $"Store {storeName} has no transactions" });
+            }
+
+            var typeTotals = await _repository.GetTypeTotalsAsync(storeName, cancellationToken);
+            var owners = await _repository.GetStoreOwnersAsync(storeName, cancellationToken);
+            var cards = await _repository.GetStoreCardsAsync(storeName, cancellationToken);
+
+            var balance = 0m;
+            var points = dailyTotals.Select(d =>
+            {
+                balance += d.NetAmount;
+                return new BalancePointViewModel
+                {
+                    Date = d.Date,
+                    TransactionCount = d.TransactionCount,
+                    TotalIncome = d.TotalIncome,
+                    TotalExpenses = d.TotalExpenses,
+                    NetAmount = d.NetAmount,
+                    Balance = balance
+                };
+            }).ToList();
+
+            // CNAB files are often imported long after the fact, so "this month" defaults to the latest data
+            var reference = referenceDate ?? dailyTotals[^1].Date;
+            var currentMonth = new DateTime(reference.Year, reference.Month, 1);
+            var current = GetPeriodTotals(dailyTotals, currentMonth, currentMonth.AddMonths(1).AddDays(-1));
+            var previous = GetPeriodTotals(dailyTotals, currentMonth.AddMonths(-1), currentMonth.AddDays(-1));
+
+            var result = new StoreTimeSeriesViewModel
+            {
+                StoreName = storeName,
+                TransactionCount = dailyTotals.Sum(d => d.TransactionCount),
+                TotalIncome = dailyTotals.Sum(d => d.TotalIncome),
+                TotalExpenses = dailyTotals.Sum(d => d.TotalExpenses),
+                TotalBalance = balance,
+                Points = points,
+                TypeTotals = typeTotals.Select(ToTypeTotal).ToList(),
+                Owners = owners.Select(ToValueUsage).ToList(),
+                Cards = cards.Select(c => ToValueUsage(c, PiiMaskingExtensions.MaskCardNumber)).ToList(),
+                PeriodComparison = new PeriodComparisonViewModel
+                {
+                    Current = current,
+                    Previous = previous,
+                    NetAmountChange = current.NetAmount - previous.NetAmount,
+                    NetAmountChangePercent = previous.NetAmount == 0
+                        ? null
+                        : Math.Round((current.NetAmount - previous.NetAmount) / Math.Abs(previous.NetAmount) * 100, 2)
+                }
+            };
+
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Returns the import history: every uploaded file with its transaction totals, newest first.
+        /// </summary>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("imports")]
+        [ProducesResponseType(typeof(IEnumerable<ImportSummaryViewModel>), 200)]
+        public async Task<IActionResult> GetImports(CancellationToken cancellationToken = default)
+        {
+            _logger.LogDebug("Fetching import history");
+
+            var summaries = await _importBatches.GetSummariesAsync(cancellationToken);
 
-            var viewModels = transactions.Select(t => new TransactionViewModel
-            {
-                Id = t.Id,
-                Type = ((int)t.Type).ToString(),
-                TypeDescription = t.TypeDescription,
-                Nature = t.Nature.ToString(),
-                Date = t.Date,
-                Time = t.Time.ToString(@"hh\:mm\:ss"),
-                Amount = t.Amount,
-                SignedAmount = t.SignedAmount,
-                Cpf = t.Cpf,
-                CardNumber = t.CardNumber,
-                StoreOwner = t.StoreOwner,
-                StoreName = t.StoreName
+            var result = summaries.Select(s => new ImportSummaryViewModel
+            {
+                Id = s.Batch.Id,
+                FileName = s.Batch.FileName,
+                UploadedBy = s.Batch.UploadedBy,
+                ImportedAt = DateTime.SpecifyKind(s.Batch.ImportedAt, DateTimeKind.Utc),
+                TransactionCount = s.TransactionCount,
+                TotalIncome = s.TotalIncome,
+                TotalExpenses = s.TotalExpenses,
+                NetAmount = s.NetAmount
             });
 
-            var pagedResult = PagedResult<TransactionViewModel>.Create(viewModels, pageNumber, pageSize);
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Returns the transactions created by an import with pagination.
+        /// </summary>
+        /// <param name="id">Import batch id</param>
+        /// <param name="pageNumber">Page number (1-based, default: 1)</param>
+        /// <param name="pageSize">Items per page (default: 10, max: 100)</param>
+        /// <param name="filter">Optional search criteria (dateFrom, dateTo, types, nature, cpf,
+        /// cardSuffix, storeOwner, storeName, minAmount, maxAmount)</param>
+        /// <param name="sortBy">Field to sort by (default: Date)</param>
+        /// <param name="sortDirection">asc or desc (default: desc)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("imports/{id:int}/transactions")]
+        [ProducesResponseType(typeof(PagedResult<TransactionViewModel>), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> GetImportTransactions(
+            int id,
+            [FromQuery] int pageNumber = 1,
+            [FromQuery] int pageSize = 10,
+            [FromQuery] TransactionFilter? filter = null,
+            [FromQuery] TransactionSortField sortBy = TransactionSortField.Date,
+            [FromQuery] SortDirection sortDirection = SortDirection.Desc,
+            CancellationToken cancellationToken = default)
+        {
+            _logger.LogDebug("Fetching transactions for import {ImportBatchId} - Page {PageNumber}, Size {PageSize}",
+                id, pageNumber, pageSize);
+
+            RequireFullCpfSearch(filter, sortBy);
+
+            var batch = await _importBatches.GetByIdAsync(id, cancellationToken);
+            if (batch == null)
+            {
+                return NotFound(new { success = false, message = $"Import {id} not found" });
+            }
+
+            var page = await _repository.GetPageAsync(
+                new TransactionQuery
+                {
+                    ImportBatchId = id,
+                    PageNumber = pageNumber,
+                    PageSize = pageSize,
+                    Filter = filter,
+                    SortBy = sortBy,
+                    SortDirection = sortDirection
+                },
+                cancellationToken);
+
+            var viewModels = await WithReversalsAsync(
+                page.Items.Select(t => TransactionViewModel.FromEntity(t)), cancellationToken);
+
+            var pagedResult = PagedResult<TransactionViewModel>.FromPage(
+                viewModels, page.PageNumber, page.PageSize, page.TotalCount);
 
             return Ok(pagedResult);
         }
 
+        /// <summary>
+        /// Rolls back an import: deletes only the transactions created by that upload,
+        /// and the alerts it triggered that nobody acknowledged.
+        /// </summary>
+        /// <param name="id">Import batch id</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpDelete("imports/{id:int}")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(200)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(typeof(ClosedPeriodConflictViewModel), 423)]
+        [ProducesResponseType(500)]
+        public async Task<IActionResult> RollbackImport(int id, CancellationToken cancellationToken = default)
+        {
+            try
+            {
+                var batch = await _importBatches.GetByIdAsync(id, cancellationToken);
+                if (batch == null)
+                {
+                    return NotFound(new { success = false, message = $"Import {id} not found" });
+                }
+
+                var lockedPeriods = (await _closedPeriods.GetWithTransactionsAsync(id, cancellationToken)).ToList();
+                if (lockedPeriods.Count > 0)
+                {
+                    return Locked(
+                        $"{batch.FileName} has transactions in closed periods ({FormatPeriods(lockedPeriods)}). "
+                            + "Reopen them before rolling back.",
+                        lockedPeriods);
+                }
+
+                _logger.LogInformation("Rolling back import {ImportBatchId} ({FileName}) requested by {User}",
+                    id, batch.FileName, User.Identity?.Name);
+
+                var storeNames = await _importBatches.GetStoreNamesAsync(id, cancellationToken);
+                var deletedCount = await _importBatches.DeleteWithTransactionsAsync(id, cancellationToken);
+                await _alerts.DeleteOpenAsync(id, cancellationToken);
+
+                PublishEvent(TransactionEventTypes.TransactionsDeleted, id, batch.FileName, deletedCount, storeNames.ToList());
+
+                return Ok(new
+                {
+                    success = true,
+                    transactionsDeleted = deletedCount,
+                    message = $"Rolled back import of {batch.FileName}: {deletedCount} transactions deleted"
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error rolling back import {ImportBatchId}", id);
+                return StatusCode(500, new
+                {
+                    success = false,
+                    message = $"Error rolling back import: {ex.Message}"
+                });
+            }
+        }
 
         [HttpDelete("transactions")]
+        [Authorize(Roles = AppRoles.Administrator)]
         [ProducesResponseType(200)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(typeof(ClosedPeriodConflictViewModel), 423)]
         [ProducesResponseType(500)]
         public async Task<IActionResult> DeleteAllTransactions(CancellationToken cancellationToken = default)
         {
             try
             {
+                var lockedPeriods = (await _closedPeriods.GetWithTransactionsAsync(cancellationToken: cancellationToken)).ToList();
+                if (lockedPeriods.Count > 0)
+                {
+                    return Locked(
+                        $"There are transactions in closed periods ({FormatPeriods(lockedPeriods)}). "
+                            + "Reopen them before deleting all transactions.",
+                        lockedPeriods);
+                }
+
                 _logger.LogInformation("Deleting all transactions from database");
 
                 await _repository.DeleteAllAsync(cancellationToken);
                 await _repository.SaveChangesAsync(cancellationToken);
+                await _alerts.DeleteOpenAsync(cancellationToken: cancellationToken);
+
+                // No store list: every store changed
+                PublishEvent(TransactionEventTypes.TransactionsDeleted, null, null, 0, null);
 
                 return Ok(new
                 {
@@ -386,5 +839,445 @@ namespace CnabProcessor.Api.Controllers
                 });
             }
         }
+
+        /// <summary>
+        /// Returns the closed periods, oldest first.
+        /// </summary>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("periods")]
+        [ProducesResponseType(typeof(IEnumerable<ClosedPeriodViewModel>), 200)]
+        public async Task<IActionResult> GetClosedPeriods(CancellationToken cancellationToken = default)
+        {
+            var periods = await _closedPeriods.GetAllAsync(cancellationToken);
+
+            return Ok(periods.Select(ClosedPeriodViewModel.FromEntity));
+        }
+
+        /// <summary>
+        /// Closes a period: from now on its transactions cannot be imported, rolled back or deleted.
+        /// Periods cannot overlap.
+        /// </summary>
+        /// <param name="request">First and last day of the period, and an optional note</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpPost("periods")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(typeof(ClosedPeriodViewModel), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(409)]
+        public async Task<IActionResult> ClosePeriod(
+            [FromBody] ClosePeriodRequest request,
+            CancellationToken cancellationToken = default)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(new { message = "Invalid request", errors = ModelState });
+            }
+
+            var startDate = request.StartDate!.Value.Date;
+            var endDate = request.EndDate!.Value.Date;
+
+            if (startDate > endDate)
+            {
+                throw new ArgumentException("Start date must be on or before end date");
+            }
+
+            var overlapping = (await _closedPeriods.GetAllAsync(cancellationToken))
+                .Where(p => p.Overlaps(startDate, endDate))
+                .ToList();
+
+            if (overlapping.Count > 0)
+            {
+                return Conflict(new
+                {
+                    success = false,
+                    message = $"The period overlaps closed periods ({FormatPeriods(overlapping)})"
+                });
+            }
+
+            var period = new ClosedPeriod
+            {
+                StartDate = startDate,
+                EndDate = endDate,
+                ClosedBy = User.Identity?.Name ?? "unknown",
+                ClosedAt = DateTime.UtcNow,
+                Note = string.IsNullOrWhiteSpace(request.Note) ? null : request.Note.Trim()
+            };
+            await _closedPeriods.AddAsync(period, cancellationToken);
+
+            return Ok(ClosedPeriodViewModel.FromEntity(period));
+        }
+
+        /// <summary>
+        /// Reopens a closed period so its transactions can be imported and deleted again.
+        /// </summary>
+        /// <param name="id">Closed period id</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpDelete("periods/{id:int}")]
+        [Authorize(Roles = AppRoles.Administrator)]
+        [ProducesResponseType(200)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> ReopenPeriod(int id, CancellationToken cancellationToken = default)
+        {
+            var period = await _closedPeriods.GetByIdAsync(id, cancellationToken);
+            if (period == null)
+            {
+                return NotFound(new { success = false, message = $"Closed period {id} not found" });
+            }
+
+            await _closedPeriods.RemoveAsync(id, cancellationToken);
+
+            _logger.LogInformation("Period {PeriodId} reopened by {User}", id, User.Identity?.Name);
+
+            return Ok(new
+            {
+                success = true,
+                message = $"Reopened period {FormatPeriods(new[] { period })}"
+            });
+        }
+
+        /// <summary>
+        /// Compares expected totals (from the bank statement) with the totals of the stored
+        /// transactions of each store and date range, and flags the ones that differ.
+        /// Only the expected totals that are sent are compared. Nothing is stored.
+        /// </summary>
+        /// <param name="request">Expected totals per store and date range (max 500)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpPost("reconciliation")]
+        [ProducesResponseType(typeof(ReconciliationViewModel), 200)]
+        [ProducesResponseType(400)]
+        public async Task<IActionResult> Reconcile(
+            [FromBody] ReconciliationRequest request,
+            CancellationToken cancellationToken = default)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(new { message = "Invalid request", errors = ModelState });
+            }
+
+            var expectedTotals = request.Items.Select((item, index) =>
+            {
+                var expected = new ExpectedStoreTotals
+                {
+                    StoreName = item.StoreName.Trim(),
+                    StartDate = item.StartDate!.Value.Date,
+                    EndDate = item.EndDate!.Value.Date,
+                    TotalIncome = item.ExpectedIncome,
+                    TotalExpenses = item.ExpectedExpenses,
+                    TotalBalance = item.ExpectedBalance,
+                    TransactionCount = item.ExpectedTransactionCount
+                };
+
+                if (expected.StartDate > expected.EndDate)
+                {
+                    throw new ArgumentException($"Item {index + 1}: start date must be on or before end date");
+                }
+
+                if (expected.TotalIncome == null && expected.TotalExpenses == null &&
+                    expected.TotalBalance == null && expected.TransactionCount == null)
+                {
+                    throw new ArgumentException($"Item {index + 1}: at least one expected total is required");
+                }
+
+                return expected;
+            }).ToList();
+
+            _logger.LogInformation("Reconciling {Count} expected totals", expectedTotals.Count);
+
+            // One aggregate query per date range; statements usually share a few ranges
+            var actualByRange = new Dictionary<(DateTime, DateTime), Dictionary<string, StoreBalance>>();
+            foreach (var range in expectedTotals.Select(e => (e.StartDate, e.EndDate)).Distinct())
+            {
+                var summaries = await _repository.GetStoreSummariesAsync(
+                    new TransactionFilter { DateFrom = range.StartDate, DateTo = range.EndDate },
+                    cancellationToken);
+
+                actualByRange[range] = summaries.ToDictionary(s => s.StoreName, StringComparer.OrdinalIgnoreCase);
+            }
+
+            var closedPeriods = (await _closedPeriods.GetAllAsync(cancellationToken)).ToList();
+
+            var lines = expectedTotals.Select(expected =>
+            {
+                actualByRange[(expected.StartDate, expected.EndDate)].TryGetValue(expected.StoreName, out var actual);
+                var result = ReconciliationResult.Compare(expected, actual);
+
+                return new ReconciliationLineViewModel
+                {
+                    StoreName = expected.StoreName,
+                    StartDate = expected.StartDate,
+                    EndDate = expected.EndDate,
+                    Status = result.IsMatch ? "Matched" : "Mismatch",
+                    Mismatches = result.Mismatches.Select(JsonNamingPolicy.CamelCase.ConvertName).ToList(),
+                    PeriodClosed = closedPeriods.Any(p => p.Contains(expected.StartDate) && p.Contains(expected.EndDate)),
+                    ExpectedIncome = expected.TotalIncome,
+                    ExpectedExpenses = expected.TotalExpenses,
+                    ExpectedBalance = expected.TotalBalance,
+                    ExpectedTransactionCount = expected.TransactionCount,
+                    ActualIncome = result.Actual.TotalIncome,
+                    ActualExpenses = result.Actual.TotalExpenses,
+                    ActualBalance = result.Actual.TotalBalance,
+                    ActualTransactionCount = result.Actual.TransactionCount
+                };
+            }).ToList();
+
+            var matched = lines.Count(l => l.Mismatches.Count == 0);
+
+            return Ok(new ReconciliationViewModel
+            {
+                TotalCount = lines.Count,
+                MatchedCount = matched,
+                MismatchCount = lines.Count - matched,
+                Lines = lines
+            });
+        }
+
+        /// <summary>
+        /// Checks every stored transaction against the data quality rules (CPF check digits,
+        /// card number format, date and time plausibility, known store owners) and counts
+        /// the transactions breaking each rule. Counting runs in the database.
+        /// </summary>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("data-quality")]
+        [ProducesResponseType(typeof(DataQualityViewModel), 200)]
+        public async Task<IActionResult> GetDataQuality(CancellationToken cancellationToken = default)
+        {
+            var checkedAt = DateTime.UtcNow;
+            var summary = await _repository.GetDataQualitySummaryAsync(checkedAt, cancellationToken);
+
+            _logger.LogDebug("Data quality check: {Flagged} flagged transactions out of {Count}",
+                summary.FlaggedTransactionCount, summary.TransactionCount);
+
+            return Ok(DataQualityViewModel.Create(summary, checkedAt));
+        }
+
+        /// <summary>
+        /// Returns the stored transactions breaking a data quality rule with pagination,
+        /// newest first.
+        /// </summary>
+        /// <param name="rule">CpfChecksum, CardNumberFormat, ImplausibleDateTime or StoreOwnerMismatch</param>
+        /// <param name="pageNumber">Page number (1-based, default: 1)</param>
+        /// <param name="pageSize">Items per page (default: 10, max: 100)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("data-quality/{rule}")]
+        [ProducesResponseType(typeof(PagedResult<FlaggedTransactionViewModel>), 200)]
+        [ProducesResponseType(400)]
+        public async Task<IActionResult> GetDataQualityFindings(
+            DataQualityRule rule,
+            [FromQuery] int pageNumber = 1,
+            [FromQuery] int pageSize = 10,
+            CancellationToken cancellationToken = default)
+        {
+            if (!Enum.IsDefined(rule))
+            {
+                return BadRequest(new { message = $"Unknown data quality rule '{rule}'" });
+            }
+
+            var page = await _repository.GetDataQualityPageAsync(
+                rule,
+                DateTime.UtcNow,
+                Math.Max(1, pageNumber),
+                Math.Clamp(pageSize, 1, MaxDataQualityPageSize),
+                cancellationToken);
+
+            // Only the owner rule needs more than the transaction to be explained
+            var knownStoreOwners = rule == DataQualityRule.StoreOwnerMismatch
+                ? await _repository.GetKnownStoreOwnersAsync(cancellationToken)
+                : null;
+
+            var flagged = page.Items.Select(t => FlaggedTransactionViewModel.FromFinding(new DataQualityFinding
+            {
+                Transaction = t,
+                Issue = DataQualityRules.Describe(rule, t, knownStoreOwners?.GetValueOrDefault(t.StoreName))
+            }));
+
+            return Ok(PagedResult<FlaggedTransactionViewModel>.FromPage(
+                flagged, page.PageNumber, page.PageSize, page.TotalCount));
+        }
+
+        /// <summary>
+        /// Returns the known owner of each store, as a map from store name to owner.
+        /// Used by the client to check owners before uploading.
+        /// </summary>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpGet("data-quality/store-owners")]
+        [ProducesResponseType(typeof(IReadOnlyDictionary<string, string>), 200)]
+        public async Task<IActionResult> GetKnownStoreOwners(CancellationToken cancellationToken = default)
+        {
+            return Ok(await _repository.GetKnownStoreOwnersAsync(cancellationToken));
+        }
+
+        /// <summary>
+        /// Saves a manual entry or reversal with its audit record, unless its date is in a closed period.
+        /// </summary>
+        private async Task<IActionResult> SaveAdjustmentAsync(
+            AdjustmentKind kind,
+            Transaction entry,
+            string reason,
+            CancellationToken cancellationToken)
+        {
+            var lockedPeriods = (await _closedPeriods.GetAllAsync(cancellationToken))
+                .Where(p => p.Contains(entry.Date))
+                .ToList();
+
+            if (lockedPeriods.Count > 0)
+            {
+                return Locked(
+                    $"{entry.Date:yyyy-MM-dd} is in a closed period ({FormatPeriods(lockedPeriods)}). "
+                        + "Choose another date or reopen the period.",
+                    lockedPeriods);
+            }
+
+            DataQualityRules.Stamp(entry);
+
+            var adjustment = new TransactionAdjustment
+            {
+                Kind = kind,
+                Transaction = entry,
+                ReversedTransactionId = entry.ReversesTransactionId,
+                StoreName = entry.StoreName,
+                StoreOwner = entry.StoreOwner,
+                Type = entry.Type,
+                Amount = entry.Amount,
+                Date = entry.Date,
+                Reason = reason.Trim(),
+                CreatedBy = User.Identity?.Name ?? "unknown",
+                CreatedAt = DateTime.UtcNow
+            };
+            await _adjustments.AddAsync(adjustment, cancellationToken);
+
+            PublishEvent(TransactionEventTypes.TransactionsAdjusted, null, null, 1, new List<string> { entry.StoreName });
+
+            return Ok(AdjustmentViewModel.FromEntity(adjustment));
+        }
+
+        /// <summary>
+        /// Fills ReversedByTransactionId of a page of transactions.
+        /// </summary>
+        private async Task<List<TransactionViewModel>> WithReversalsAsync(
+            IEnumerable<TransactionViewModel> viewModels,
+            CancellationToken cancellationToken)
+        {
+            var items = viewModels.ToList();
+            var reversals = await _repository.GetReversalIdsAsync(items.Select(t => t.Id), cancellationToken);
+
+            foreach (var item in items)
+            {
+                if (reversals.TryGetValue(item.Id, out var reversalId))
+                    item.ReversedByTransactionId = reversalId;
+            }
+
+            return items;
+        }
+
+        /// <summary>
+        /// 423 Locked response for changes that would touch closed periods.
+        /// </summary>
+        private ObjectResult Locked(string message, IEnumerable<ClosedPeriod> periods)
+        {
+            return StatusCode(StatusCodes.Status423Locked, ClosedPeriodConflictViewModel.Create(message, periods));
+        }
+
+        /// <summary>
+        /// Masked CPFs must not be recoverable by searching digit by digit or by sorting: only
+        /// administrators (whose reveals are audited anyway) may search part of a CPF or sort by it.
+        /// Other roles may look up a full CPF.
+        /// </summary>
+        /// <exception cref="ArgumentException">When another role searches part of a CPF or sorts by CPF</exception>
+        private void RequireFullCpfSearch(TransactionFilter? filter, TransactionSortField sortBy = TransactionSortField.Date)
+        {
+            if (User.IsInRole(AppRoles.Administrator))
+                return;
+
+            if (filter?.CpfDigits is { Length: not 11 })
+                throw new ArgumentException("Searching by part of a CPF requires the Administrator role; enter all 11 digits");
+
+            if (sortBy == TransactionSortField.Cpf)
+                throw new ArgumentException("Sorting by CPF requires the Administrator role");
+        }
+
+        private static string FormatPeriods(IEnumerable<ClosedPeriod> periods)
+        {
+            return string.Join(", ", periods);
+        }
+
+        /// <summary>
+        /// Announces a change to the clients listening on the event stream.
+        /// The X-Client-Id header lets the client that made the change recognise its own event.
+        /// </summary>
+        private void PublishEvent(string type, int? importBatchId, string? fileName, int transactionCount, List<string>? storeNames)
+        {
+            var clientId = Request.Headers["X-Client-Id"].ToString();
+
+            _events.Publish(new TransactionEventViewModel
+            {
+                Type = type,
+                User = User.Identity?.Name ?? "unknown",
+                ImportBatchId = importBatchId,
+                FileName = fileName,
+                TransactionCount = transactionCount,
+                StoreNames = storeNames,
+                SourceClientId = string.IsNullOrWhiteSpace(clientId) ? null : clientId
+            });
+        }
+
+        private static TypeImportTotalViewModel ToTypeTotal(TypeTotal total)
+        {
+            return new TypeImportTotalViewModel
+            {
+                Type = ((int)total.Type).ToString(),
+                TypeDescription = total.TypeDescription,
+                Nature = total.Nature.ToString(),
+                TransactionCount = total.TransactionCount,
+                TotalAmount = total.TotalAmount
+            };
+        }
+
+        private static ValueUsageViewModel ToValueUsage(ValueUsage usage) => ToValueUsage(usage, value => value);
+
+        private static ValueUsageViewModel ToValueUsage(ValueUsage usage, Func<string, string> mask)
+        {
+            return new ValueUsageViewModel
+            {
+                Value = mask(usage.Value),
+                TransactionCount = usage.TransactionCount,
+                FirstSeen = usage.FirstSeen,
+                LastSeen = usage.LastSeen
+            };
+        }
+
+        /// <summary>
+        /// Totals of the days between two dates (inclusive).
+        /// </summary>
+        private static PeriodTotalsViewModel GetPeriodTotals(IEnumerable<DailyTotal> dailyTotals, DateTime from, DateTime to)
+        {
+            var days = dailyTotals.Where(d => d.Date >= from && d.Date <= to).ToList();
+
+            return new PeriodTotalsViewModel
+            {
+                From = from,
+                To = to,
+                TransactionCount = days.Sum(d => d.TransactionCount),
+                TotalIncome = days.Sum(d => d.TotalIncome),
+                TotalExpenses = days.Sum(d => d.TotalExpenses),
+                NetAmount = days.Sum(d => d.NetAmount)
+            };
+        }
+
+        /// <summary>
+        /// Maps a store balance to the store total used by reports and statistics.
+        /// </summary>
+        private static StoreImportTotalViewModel ToStoreTotal(StoreBalance balance)
+        {
+            return new StoreImportTotalViewModel
+            {
+                StoreName = balance.StoreName,
+                TransactionCount = balance.TransactionCount,
+                TotalIncome = balance.TotalIncome,
+                TotalExpenses = balance.TotalExpenses,
+                NetAmount = balance.TotalBalance
+            };
+        }
     }
 }
\ No newline at end of file
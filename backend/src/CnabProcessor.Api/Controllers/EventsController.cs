@@ -0,0 +1,119 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/Controllers/EventsController.cs
+// Purpose: Server-sent events stream of transaction changes (imports, rollbacks, deletes)
+// ========================================
+
+using CnabProcessor.Api.Services;
+using CnabProcessor.Api.ViewModels;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Api.Controllers
+{
+    /// <summary>
+    /// Pushes transaction changes to connected clients as server-sent events (text/event-stream).
+    /// Any authenticated user may listen. The stream closes when the access token expires,
+    /// so the client reconnects with a fresh one instead of listening on an expired session.
+    /// </summary>
+    [ApiController]
+    [Route("api/cnab/events")]
+    [Authorize] // ✅ JWT authentication ENABLED
+    public class EventsController : ControllerBase
+    {
+        private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(25);
+        private const int ReconnectDelayMilliseconds = 5000;
+
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly TransactionEventBroadcaster _broadcaster;
+        private readonly ILogger<EventsController> _logger;
+
+        public EventsController(TransactionEventBroadcaster broadcaster, ILogger<EventsController> logger)
+        {
+            _broadcaster = broadcaster;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Streams "import-completed" and "transactions-deleted" events until the client disconnects
+        /// or its token expires. A comment line is sent every 25 seconds to keep proxies from closing it.
+        /// </summary>
+        /// <param name="cancellationToken">Cancellation token (client disconnected)</param>
+        [HttpGet]
+        [Produces("text/event-stream")]
+        [ProducesResponseType(200)]
+        [ProducesResponseType(401)]
+        public async Task Stream(CancellationToken cancellationToken = default)
+        {
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            // Tells nginx not to buffer the stream
+            Response.Headers["X-Accel-Buffering"] = "no";
+
+            using var subscription = _broadcaster.Subscribe();
+            using var streamEnd = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+
+            var tokenLifetime = GetTokenLifetime();
+            if (tokenLifetime.HasValue)
+            {
+                streamEnd.CancelAfter(tokenLifetime.Value);
+            }
+
+            _logger.LogInformation("{User} connected to the event stream ({Count} listening)",
+                User.Identity?.Name, _broadcaster.SubscriberCount);
+
+            try
+            {
+                await Response.WriteAsync($"retry: {ReconnectDelayMilliseconds}\n\n", streamEnd.Token);
+                await Response.Body.FlushAsync(streamEnd.Token);
+
+                while (!streamEnd.IsCancellationRequested)
+                {
+                    using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(streamEnd.Token);
+                    heartbeat.CancelAfter(HeartbeatInterval);
+
+                    string frame;
+                    try
+                    {
+                        var transactionEvent = await subscription.Reader.ReadAsync(heartbeat.Token);
+                        frame = $"id: {transactionEvent.Id}\n"
+                            + $"event: {transactionEvent.Type}\n"
+                            + $"data: {JsonSerializer.Serialize(transactionEvent, JsonOptions)}\n\n";
+                    }
+                    catch (OperationCanceledException) when (!streamEnd.IsCancellationRequested)
+                    {
+                        frame = ": heartbeat\n\n";
+                    }
+
+                    await Response.WriteAsync(frame, streamEnd.Token);
+                    await Response.Body.FlushAsync(streamEnd.Token);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client disconnected or token expired: nothing to send back
+            }
+
+            _logger.LogInformation("{User} disconnected from the event stream", User.Identity?.Name);
+        }
+
+        /// <summary>
+        /// Time left until the access token expires (from its "exp" claim), or null when it has none.
+        /// </summary>
+        private TimeSpan? GetTokenLifetime()
+        {
+            var exp = User.FindFirst("exp")?.Value;
+            if (!long.TryParse(exp, out var seconds))
+            {
+                return null;
+            }
+
+            var left = DateTimeOffset.FromUnixTimeSeconds(seconds) - DateTimeOffset.UtcNow;
+            return left > TimeSpan.Zero ? left : TimeSpan.Zero;
+        }
+    }
+}
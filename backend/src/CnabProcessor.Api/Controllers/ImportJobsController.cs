@@ -0,0 +1,138 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/Controllers/ImportJobsController.cs
+// Purpose: Background imports: start one, poll its status, list and cancel
+// ========================================
+
+using CnabProcessor.Api.Models;
+using CnabProcessor.Api.Services;
+using CnabProcessor.Api.Validators;
+using CnabProcessor.Api.ViewModels;
+using CnabProcessor.Domain.Layouts;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Api.Controllers
+{
+    /// <summary>
+    /// Imports that run after the upload request returns, for files too large to wait for.
+    /// The upload answers 202 with a job; the job reports its phase, progress and ETA, and when
+    /// finished holds what POST /api/cnab/upload would have returned.
+    /// Only administrators import, so only they see the jobs.
+    /// </summary>
+    [ApiController]
+    [Route("api/cnab/import-jobs")]
+    [Produces("application/json")]
+    [Authorize(Roles = AppRoles.Administrator)]
+    public class ImportJobsController : ControllerBase
+    {
+        private readonly ImportJobQueue _jobs;
+        private readonly ILogger<ImportJobsController> _logger;
+
+        public ImportJobsController(ImportJobQueue jobs, ILogger<ImportJobsController> logger)
+        {
+            _jobs = jobs;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Receives a CNAB file and queues its import. Same form fields as POST /api/cnab/upload.
+        /// </summary>
+        /// <param name="file">CNAB file to upload</param>
+        /// <param name="fileHash">Optional SHA-256 of the file computed by the client (lowercase hex)</param>
+        /// <param name="duplicateHandling">What to do when the file or some of its lines were already imported</param>
+        /// <param name="layout">Auto (default) to detect the layout, or CNAB81, CNAB240 or CNAB400</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        [HttpPost]
+        [ProducesResponseType(typeof(ImportJobViewModel), 202)]
+        [ProducesResponseType(typeof(UploadResponseViewModel), 400)]
+        [ProducesResponseType(403)]
+        public async Task<IActionResult> StartImport(
+            [FromForm] IFormFile file,
+            [FromForm] string? fileHash = null,
+            [FromForm] DuplicateHandling duplicateHandling = DuplicateHandling.Reject,
+            [FromForm] string? layout = null,
+            CancellationToken cancellationToken = default)
+        {
+            var validationResult = CnabFileValidator.Validate(file, layout);
+
+            if (!validationResult.IsValid)
+            {
+                _logger.LogWarning("File validation failed: {Errors}", validationResult.GetErrorMessage());
+                return BadRequest(new UploadResponseViewModel
+                {
+                    Success = false,
+                    Message = $"File validation failed: {validationResult.GetErrorMessage()}"
+                });
+            }
+
+            var request = await CnabImportRequest.FromUploadAsync(
+                file, fileHash, duplicateHandling, CnabLayouts.Find(layout), HttpContext, cancellationToken);
+            var job = _jobs.Enqueue(request);
+
+            _logger.LogInformation("Queued background import {JobId}: {FileName} ({Size} bytes)",
+                job.Id, file.FileName, file.Length);
+
+            return AcceptedAtAction(nameof(GetJob), new { id = job.Id }, job.ToViewModel());
+        }
+
+        /// <summary>
+        /// Returns the jobs kept by the server (running, queued and the last finished ones), newest first.
+        /// </summary>
+        [HttpGet]
+        [ProducesResponseType(typeof(IEnumerable<ImportJobViewModel>), 200)]
+        public IActionResult GetJobs() => Ok(_jobs.GetAll().Select(j => j.ToViewModel()));
+
+        /// <summary>
+        /// Returns the status of a job. Poll until isFinished is true.
+        /// </summary>
+        /// <param name="id">Job id</param>
+        [HttpGet("{id:guid}")]
+        [ProducesResponseType(typeof(ImportJobViewModel), 200)]
+        [ProducesResponseType(404)]
+        public IActionResult GetJob(Guid id)
+        {
+            var job = _jobs.Get(id);
+            if (job == null)
+            {
+                return NotFound(new { success = false, message = $"Import job {id} not found" });
+            }
+
+            return Ok(job.ToViewModel());
+        }
+
+        /// <summary>
+        /// Cancels a queued or running job. Nothing is saved for a cancelled import.
+        /// 409 once the job has finished or started inserting its transactions.
+        /// </summary>
+        /// <param name="id">Job id</param>
+        [HttpDelete("{id:guid}")]
+        [ProducesResponseType(typeof(ImportJobViewModel), 200)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        public IActionResult CancelJob(Guid id)
+        {
+            var job = _jobs.Get(id);
+            if (job == null)
+            {
+                return NotFound(new { success = false, message = $"Import job {id} not found" });
+            }
+
+            if (!job.Cancel())
+            {
+                var message = job.IsFinished
+                    ? "The import has already finished"
+                    : "The import is saving its transactions and can no longer be cancelled";
+                return Conflict(new { success = false, message });
+            }
+
+            _logger.LogInformation("Background import {JobId} cancelled by {User}", id, User.Identity?.Name);
+
+            return Ok(job.ToViewModel());
+        }
+    }
+}
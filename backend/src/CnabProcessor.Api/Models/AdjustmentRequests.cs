@@ -0,0 +1,90 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Models/AdjustmentRequests.cs
+// Purpose: Request models for manual entries and reversals
+// ========================================
+
+using System.ComponentModel.DataAnnotations;
+
+namespace CnabProcessor.Api.Models;
+
+/// <summary>
+/// Transaction entered by hand, e.g. a bank correction missing from the CNAB files.
+/// </summary>
+public class CreateAdjustmentRequest
+{
+    /// <summary>
+    /// Transaction type (1-9); it gives the sign of the amount.
+    /// </summary>
+    [Required(ErrorMessage = "Type is required")]
+    [Range(1, 9, ErrorMessage = "Type must be between 1 and 9")]
+    public int? Type { get; set; }
+
+    /// <summary>
+    /// Amount (positive; income or expense follows the type).
+    /// </summary>
+    [Required(ErrorMessage = "Amount is required")]
+    [Range(typeof(decimal), "0.01", "9999999999", ErrorMessage = "Amount must be positive")]
+    public decimal? Amount { get; set; }
+
+    /// <summary>
+    /// Date of the transaction.
+    /// </summary>
+    [Required(ErrorMessage = "Date is required")]
+    public DateTime? Date { get; set; }
+
+    /// <summary>
+    /// Time of the transaction (UTC-3, default: 00:00:00).
+    /// </summary>
+    public TimeSpan? Time { get; set; }
+
+    /// <summary>
+    /// Store name.
+    /// </summary>
+    [Required(ErrorMessage = "Store name is required")]
+    [MaxLength(50, ErrorMessage = "Store name must be at most 50 characters")]
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Store owner.
+    /// </summary>
+    [Required(ErrorMessage = "Store owner is required")]
+    [MaxLength(50, ErrorMessage = "Store owner must be at most 50 characters")]
+    public string StoreOwner { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Optional CPF (11 digits, valid check digits).
+    /// </summary>
+    [RegularExpression(@"^\d{11}$", ErrorMessage = "CPF must have 11 digits")]
+    public string? Cpf { get; set; }
+
+    /// <summary>
+    /// Optional card number, in the CNAB format 1234****5678.
+    /// </summary>
+    [RegularExpression(@"^\d{4}[\d*]{4}\d{4}$", ErrorMessage = "Card number must be in the format 1234****5678")]
+    public string? CardNumber { get; set; }
+
+    /// <summary>
+    /// Why the entry is made (recorded in the audit trail).
+    /// </summary>
+    [Required(ErrorMessage = "Reason is required")]
+    [MaxLength(500, ErrorMessage = "Reason must be at most 500 characters")]
+    public string Reason { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Request to reverse a transaction with an offsetting entry.
+/// </summary>
+public class ReverseTransactionRequest
+{
+    /// <summary>
+    /// Why the transaction is reversed (recorded in the audit trail).
+    /// </summary>
+    [Required(ErrorMessage = "Reason is required")]
+    [MaxLength(500, ErrorMessage = "Reason must be at most 500 characters")]
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Date of the reversal entry (default: date of the reversed transaction).
+    /// </summary>
+    public DateTime? Date { get; set; }
+}
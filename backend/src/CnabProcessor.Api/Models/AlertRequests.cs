@@ -0,0 +1,65 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Models/AlertRequests.cs
+// Purpose: Request models for acknowledging anomaly alerts and changing their rules
+// ========================================
+
+using System.ComponentModel.DataAnnotations;
+
+namespace CnabProcessor.Api.Models;
+
+/// <summary>
+/// Which alerts to list.
+/// </summary>
+public enum AlertStatusFilter
+{
+    /// <summary>
+    /// Alerts not acknowledged yet (default).
+    /// </summary>
+    Open = 0,
+
+    /// <summary>
+    /// Alerts already acknowledged.
+    /// </summary>
+    Acknowledged = 1,
+
+    /// <summary>
+    /// Every alert.
+    /// </summary>
+    All = 2
+}
+
+/// <summary>
+/// Request to acknowledge an alert.
+/// </summary>
+public class AcknowledgeAlertRequest
+{
+    /// <summary>
+    /// What was found when looking into the alert.
+    /// </summary>
+    [Required(ErrorMessage = "Comment is required")]
+    [MaxLength(500, ErrorMessage = "Comment must be at most 500 characters")]
+    public string Comment { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// New settings of an alert rule (see <see cref="Domain.Entities.AlertRule"/> for what they mean).
+/// </summary>
+public class UpdateAlertRuleRequest
+{
+    /// <summary>
+    /// Whether the rule is evaluated on imports.
+    /// </summary>
+    [Required(ErrorMessage = "IsEnabled is required")]
+    public bool? IsEnabled { get; set; }
+
+    /// <summary>
+    /// Amount, deviation factor, number of stores or opening hour.
+    /// </summary>
+    [Required(ErrorMessage = "Threshold is required")]
+    public decimal? Threshold { get; set; }
+
+    /// <summary>
+    /// Trailing days, minutes or closing hour (ignored for LargeAmount).
+    /// </summary>
+    public int? Window { get; set; }
+}
@@ -0,0 +1,23 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Models/AppRoles.cs
+// Purpose: Role names issued in the JWT and checked by the API
+// ========================================
+
+namespace CnabProcessor.Api.Models;
+
+/// <summary>
+/// Application roles. Administrators can import and delete data;
+/// users (read-only analysts) can browse and export it.
+/// </summary>
+public static class AppRoles
+{
+    /// <summary>
+    /// Full access: uploads, rollbacks and deletes.
+    /// </summary>
+    public const string Administrator = "Administrator";
+
+    /// <summary>
+    /// Read-only access to transactions, balances and statistics.
+    /// </summary>
+    public const string User = "User";
+}
@@ -0,0 +1,28 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Models/DuplicateHandling.cs
+// Purpose: How an upload should treat previously imported content
+// ========================================
+
+namespace CnabProcessor.Api.Models;
+
+/// <summary>
+/// Tells the upload endpoint what to do when the file (or some of its lines)
+/// was already imported.
+/// </summary>
+public enum DuplicateHandling
+{
+    /// <summary>
+    /// Reject the upload with 409 Conflict so the user can decide (default).
+    /// </summary>
+    Reject = 0,
+
+    /// <summary>
+    /// Import only the lines that were not imported before.
+    /// </summary>
+    Skip = 1,
+
+    /// <summary>
+    /// Import every line, even if it was imported before.
+    /// </summary>
+    Import = 2
+}
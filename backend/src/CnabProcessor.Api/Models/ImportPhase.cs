@@ -0,0 +1,52 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Models/ImportPhase.cs
+// Purpose: Steps of a CNAB import, reported by background import jobs
+// ========================================
+
+namespace CnabProcessor.Api.Models;
+
+/// <summary>
+/// Where an import is. Completed, Failed and Cancelled are final.
+/// </summary>
+public enum ImportPhase
+{
+    /// <summary>
+    /// Waiting for the imports started before it.
+    /// </summary>
+    Queued = 0,
+
+    /// <summary>
+    /// Checking the file hash.
+    /// </summary>
+    Validating = 1,
+
+    /// <summary>
+    /// Reading the CNAB lines.
+    /// </summary>
+    Parsing = 2,
+
+    /// <summary>
+    /// Looking for content already imported and for closed periods.
+    /// </summary>
+    CheckingDuplicates = 3,
+
+    /// <summary>
+    /// Saving the transactions, batch by batch.
+    /// </summary>
+    Inserting = 4,
+
+    /// <summary>
+    /// The import ran to the end; the result tells whether it was accepted (it may be a 409 or 423).
+    /// </summary>
+    Completed = 5,
+
+    /// <summary>
+    /// An unexpected error stopped the import; nothing was saved.
+    /// </summary>
+    Failed = 6,
+
+    /// <summary>
+    /// Cancelled by the user; nothing was saved.
+    /// </summary>
+    Cancelled = 7
+}
@@ -1,9 +1,10 @@
-// ========================================
+﻿// ========================================
 // File: CnabProcessor.Api/Models/LoginRequest.cs
 // Purpose: Login request model
 // ========================================
 
 using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
 
 namespace CnabProcessor.Api.Models;
 
@@ -44,4 +45,28 @@ public class LoginResponse
     /// Username of authenticated user.
     /// </summary>
     public string Username { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Single-use token to get a new access token from /api/auth/token/refresh.
+    /// Only returned by /api/auth/token; the web app gets it as an HttpOnly cookie instead.
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? RefreshToken { get; set; }
+
+    /// <summary>
+    /// Refresh token expiration time in ISO 8601 format.
+    /// </summary>
+    public DateTime RefreshTokenExpiresAt { get; set; }
+}
+
+/// <summary>
+/// Request model to refresh or revoke a session.
+/// </summary>
+public class RefreshTokenRequest
+{
+    /// <summary>
+    /// Refresh token returned by /api/auth/token or by the previous refresh.
+    /// When empty, the refresh token cookie set by login is used (logout only).
+    /// </summary>
+    public string RefreshToken { get; set; } = string.Empty;
 }
@@ -1,4 +1,4 @@
-// ========================================
+﻿// ========================================
 // File: CnabProcessor.Api/Models/PagedResult.cs
 // Purpose: Generic paged result model
 // ========================================
@@ -89,6 +89,25 @@ public class PagedResult<T>
             TotalCount = totalCount
         };
     }
+
+    /// <summary>
+    /// Creates a paged result from a page that was already cut by the database.
+    /// </summary>
+    /// <param name="items">Items of the page</param>
+    /// <param name="pageNumber">Page number returned (1-based)</param>
+    /// <param name="pageSize">Items per page</param>
+    /// <param name="totalCount">Total number of items across all pages</param>
+    /// <returns>Paged result</returns>
+    public static PagedResult<T> FromPage(IEnumerable<T> items, int pageNumber, int pageSize, int totalCount)
+    {
+        return new PagedResult<T>
+        {
+            Items = items.ToList(),
+            PageNumber = pageNumber,
+            PageSize = pageSize,
+            TotalCount = totalCount
+        };
+    }
 }
 
 /// <summary>
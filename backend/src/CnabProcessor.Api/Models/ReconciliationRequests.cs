@@ -0,0 +1,96 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Models/ReconciliationRequests.cs
+// Purpose: Request models for reconciliation and period closing
+// ========================================
+
+using System.ComponentModel.DataAnnotations;
+
+namespace CnabProcessor.Api.Models;
+
+/// <summary>
+/// Expected totals to compare with the imported transactions.
+/// </summary>
+public class ReconciliationRequest
+{
+    /// <summary>
+    /// Maximum number of entries in one request.
+    /// </summary>
+    public const int MaxItems = 500;
+
+    /// <summary>
+    /// One entry per store and date range.
+    /// </summary>
+    [Required(ErrorMessage = "Items are required")]
+    [MinLength(1, ErrorMessage = "At least one item is required")]
+    [MaxLength(MaxItems, ErrorMessage = "At most 500 items can be reconciled at once")]
+    public List<ExpectedTotalsRequest> Items { get; set; } = new();
+}
+
+/// <summary>
+/// Totals of one store and date range, as shown on the bank statement.
+/// At least one expected total must be given.
+/// </summary>
+public class ExpectedTotalsRequest
+{
+    /// <summary>
+    /// Store name (compared without case).
+    /// </summary>
+    [Required(ErrorMessage = "Store name is required")]
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// First day of the range (inclusive).
+    /// </summary>
+    [Required(ErrorMessage = "Start date is required")]
+    public DateTime? StartDate { get; set; }
+
+    /// <summary>
+    /// Last day of the range (inclusive).
+    /// </summary>
+    [Required(ErrorMessage = "End date is required")]
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Expected total income.
+    /// </summary>
+    public decimal? ExpectedIncome { get; set; }
+
+    /// <summary>
+    /// Expected total expenses (positive number).
+    /// </summary>
+    public decimal? ExpectedExpenses { get; set; }
+
+    /// <summary>
+    /// Expected balance (income - expenses).
+    /// </summary>
+    public decimal? ExpectedBalance { get; set; }
+
+    /// <summary>
+    /// Expected number of transactions.
+    /// </summary>
+    public int? ExpectedTransactionCount { get; set; }
+}
+
+/// <summary>
+/// Request to close a period.
+/// </summary>
+public class ClosePeriodRequest
+{
+    /// <summary>
+    /// First day of the period (inclusive).
+    /// </summary>
+    [Required(ErrorMessage = "Start date is required")]
+    public DateTime? StartDate { get; set; }
+
+    /// <summary>
+    /// Last day of the period (inclusive).
+    /// </summary>
+    [Required(ErrorMessage = "End date is required")]
+    public DateTime? EndDate { get; set; }
+
+    /// <summary>
+    /// Optional note, e.g. the bank statement the period was reconciled against.
+    /// </summary>
+    [MaxLength(500, ErrorMessage = "Note must be at most 500 characters")]
+    public string? Note { get; set; }
+}
@@ -117,7 +117,18 @@ try
     // Dependency Injection - Services
     builder.Services.AddScoped<ICnabParser, CnabParserService>();
     builder.Services.AddScoped<ITransactionRepository, TransactionRepository>();
+    builder.Services.AddScoped<IImportBatchRepository, ImportBatchRepository>();
+    builder.Services.AddScoped<IClosedPeriodRepository, ClosedPeriodRepository>();
+    builder.Services.AddScoped<IPiiRevealRepository, PiiRevealRepository>();
+    builder.Services.AddScoped<ITransactionAdjustmentRepository, TransactionAdjustmentRepository>();
+    builder.Services.AddScoped<IAlertRepository, AlertRepository>();
     builder.Services.AddScoped<JwtTokenService>();
+    builder.Services.AddSingleton<RefreshTokenStore>();
+    builder.Services.AddSingleton<TransactionEventBroadcaster>();
+    builder.Services.AddScoped<AnomalyDetectionService>();
+    builder.Services.AddScoped<CnabImportService>();
+    builder.Services.AddSingleton<ImportJobQueue>();
+    builder.Services.AddHostedService<ImportJobWorker>();
 
     // JWT Authentication Configuration (skip in Testing environment)
     if (!builder.Environment.IsEnvironment("Testing"))
@@ -162,15 +173,20 @@ try
 
     builder.Services.AddAuthorization();
 
-    // CORS (if needed for API consumption)
+    // CORS: the web app sends the refresh token cookie, which requires credentials
+    // and therefore explicit origins (AllowAnyOrigin cannot be combined with credentials)
+    var allowedOrigins = builder.Configuration.GetSection("Cors:AllowedOrigins").Get<string[]>()
+        ?? new[] { "http://localhost:3000", "http://localhost:5173" };
+
     builder.Services.AddCors(options =>
     {
-        options.AddPolicy("AllowAll",
+        options.AddPolicy("Frontend",
             policy =>
             {
-                policy.AllowAnyOrigin()
+                policy.WithOrigins(allowedOrigins)
                       .AllowAnyMethod()
-                      .AllowAnyHeader();
+                      .AllowAnyHeader()
+                      .AllowCredentials();
             });
     });
 
@@ -249,7 +265,7 @@ try
 
     app.UseStaticFiles();
     app.UseRouting();
-    app.UseCors("AllowAll");
+    app.UseCors("Frontend");
     app.UseAuthentication();
     app.UseAuthorization();
 
@@ -0,0 +1,116 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Services/AnomalyDetectionService.cs
+// Purpose: Evaluates the enabled anomaly alert rules on the transactions of an import
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Services;
+using CnabProcessor.Infrastructure.Interfaces;
+
+namespace CnabProcessor.Api.Services;
+
+/// <summary>
+/// Runs <see cref="AnomalyRules"/> on an import once its transactions are saved, comparing them
+/// with the stored history, and saves the alerts not reported before. Scoped, like the repositories.
+/// </summary>
+public class AnomalyDetectionService
+{
+    private readonly ITransactionRepository _transactions;
+    private readonly IAlertRepository _alerts;
+    private readonly ILogger<AnomalyDetectionService> _logger;
+
+    public AnomalyDetectionService(
+        ITransactionRepository transactions,
+        IAlertRepository alerts,
+        ILogger<AnomalyDetectionService> logger)
+    {
+        _transactions = transactions;
+        _alerts = alerts;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Evaluates the enabled rules on the transactions created by an import.
+    /// </summary>
+    /// <param name="importBatchId">The import (its transactions must be saved)</param>
+    /// <param name="checkTimes">False when the file layout has no transaction times (they are all
+    /// 00:00:00), which skips the out-of-hours rule</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Number of alerts triggered</returns>
+    public async Task<int> EvaluateImportAsync(
+        int importBatchId,
+        bool checkTimes = true,
+        CancellationToken cancellationToken = default)
+    {
+        var rules = (await _alerts.GetRulesAsync(cancellationToken))
+            .Where(r => r.IsEnabled)
+            .ToDictionary(r => r.Type);
+
+        if (rules.Count == 0)
+            return 0;
+
+        // Read back from the database: the bulk insert does not hand back the generated ids
+        var imported = (await _transactions.GetByImportBatchAsync(importBatchId, cancellationToken)).ToList();
+        if (imported.Count == 0)
+            return 0;
+
+        var alerts = new List<Alert>();
+
+        if (rules.TryGetValue(AlertRuleType.LargeAmount, out var largeAmount))
+        {
+            alerts.AddRange(imported
+                .Select(t => AnomalyRules.CheckLargeAmount(t, largeAmount))
+                .OfType<Alert>());
+        }
+
+        if (checkTimes && rules.TryGetValue(AlertRuleType.OutOfHours, out var outOfHours))
+        {
+            alerts.AddRange(imported
+                .Select(t => AnomalyRules.CheckOutOfHours(t, outOfHours))
+                .OfType<Alert>());
+        }
+
+        var firstDay = imported.Min(t => t.Date).Date;
+        var lastDay = imported.Max(t => t.Date).Date;
+
+        if (rules.TryGetValue(AlertRuleType.DailyFlowDeviation, out var dailyFlow))
+        {
+            var dailyTotals = await _transactions.GetStoreDailyTotalsAsync(
+                imported.Select(t => t.StoreName),
+                firstDay.AddDays(-dailyFlow.Window),
+                lastDay,
+                cancellationToken);
+
+            alerts.AddRange(AnomalyRules.CheckDailyFlow(
+                dailyTotals,
+                imported.Select(t => (t.StoreName, t.Date.Date)),
+                dailyFlow));
+        }
+
+        if (rules.TryGetValue(AlertRuleType.CardInManyStores, out var cardRule))
+        {
+            // One day around the import covers any window up to 24 hours across midnight
+            var cardTransactions = await _transactions.GetByCardNumbersAsync(
+                imported.Select(t => t.CardNumber).Where(c => c.Length > 0),
+                firstDay.AddDays(-1),
+                lastDay.AddDays(1),
+                cancellationToken);
+
+            alerts.AddRange(AnomalyRules.CheckCardInManyStores(cardTransactions, importBatchId, cardRule));
+        }
+
+        var triggeredAt = DateTime.UtcNow;
+        foreach (var alert in alerts)
+        {
+            alert.ImportBatchId = importBatchId;
+            alert.TriggeredAt = triggeredAt;
+        }
+
+        var added = await _alerts.AddNewAsync(alerts, cancellationToken);
+
+        _logger.LogInformation("Import {ImportBatchId}: {Count} anomaly alerts triggered", importBatchId, added);
+
+        return added;
+    }
+}
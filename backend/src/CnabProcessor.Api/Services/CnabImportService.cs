@@ -0,0 +1,501 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Services/CnabImportService.cs
+// Purpose: Imports a CNAB file: hash check, parsing, duplicate and closed period checks,
+// insert, anomaly alerts and import report. Used by the upload endpoint and by background import jobs.
+// ========================================
+
+using System.Security.Cryptography;
+using CnabProcessor.Api.Models;
+using CnabProcessor.Api.ViewModels;
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Interfaces;
+using CnabProcessor.Domain.Layouts;
+using CnabProcessor.Infrastructure.Interfaces;
+
+namespace CnabProcessor.Api.Services;
+
+/// <summary>
+/// A file to import, read into memory so it outlives the upload request.
+/// </summary>
+public class CnabImportRequest
+{
+    public string FileName { get; init; } = string.Empty;
+
+    public byte[] Content { get; init; } = Array.Empty<byte>();
+
+    /// <summary>
+    /// SHA-256 computed by the client, checked against the content (optional).
+    /// </summary>
+    public string? ClientHash { get; init; }
+
+    public DuplicateHandling DuplicateHandling { get; init; } = DuplicateHandling.Reject;
+
+    /// <summary>
+    /// Layout chosen for the file; null to detect it from the first line.
+    /// </summary>
+    public ICnabLayout? Layout { get; init; }
+
+    public string UploadedBy { get; init; } = "unknown";
+
+    /// <summary>
+    /// X-Client-Id header of the upload, passed on to the import-completed event.
+    /// </summary>
+    public string? ClientId { get; init; }
+
+    /// <summary>
+    /// Reads an uploaded file (already validated) and the request details.
+    /// </summary>
+    public static async Task<CnabImportRequest> FromUploadAsync(
+        IFormFile file,
+        string? fileHash,
+        DuplicateHandling duplicateHandling,
+        ICnabLayout? layout,
+        HttpContext httpContext,
+        CancellationToken cancellationToken)
+    {
+        using var content = new MemoryStream((int)file.Length);
+        await file.CopyToAsync(content, cancellationToken);
+
+        var clientId = httpContext.Request.Headers["X-Client-Id"].ToString();
+
+        return new CnabImportRequest
+        {
+            FileName = file.FileName,
+            Content = content.ToArray(),
+            ClientHash = fileHash,
+            DuplicateHandling = duplicateHandling,
+            Layout = layout,
+            UploadedBy = httpContext.User.Identity?.Name ?? "unknown",
+            ClientId = string.IsNullOrWhiteSpace(clientId) ? null : clientId
+        };
+    }
+}
+
+/// <summary>
+/// Answer to an import: the HTTP status the upload endpoint returns and its body
+/// (<see cref="UploadResponseViewModel"/>, <see cref="DuplicateImportViewModel"/> or
+/// <see cref="ClosedPeriodConflictViewModel"/>).
+/// </summary>
+public record CnabImportOutcome(int StatusCode, object Body);
+
+/// <summary>
+/// Reported as an import moves through its phases (and after each inserted batch).
+/// </summary>
+public record CnabImportProgress(ImportPhase Phase, int BatchNumber = 0, int BatchCount = 0, int InsertedCount = 0, int TotalCount = 0);
+
+/// <summary>
+/// Runs CNAB imports. Scoped: background jobs create a scope per import.
+/// </summary>
+public class CnabImportService
+{
+    // Files with more transactions go through the batched bulk insert
+    private const int BulkInsertThreshold = 1000;
+    private const int BulkInsertBatchSize = 5000;
+
+    private readonly ICnabParser _parser;
+    private readonly ITransactionRepository _repository;
+    private readonly IImportBatchRepository _importBatches;
+    private readonly IClosedPeriodRepository _closedPeriods;
+    private readonly AnomalyDetectionService _anomalies;
+    private readonly TransactionEventBroadcaster _events;
+    private readonly ILogger<CnabImportService> _logger;
+
+    public CnabImportService(
+        ICnabParser parser,
+        ITransactionRepository repository,
+        IImportBatchRepository importBatches,
+        IClosedPeriodRepository closedPeriods,
+        AnomalyDetectionService anomalies,
+        TransactionEventBroadcaster events,
+        ILogger<CnabImportService> logger)
+    {
+        _parser = parser;
+        _repository = repository;
+        _importBatches = importBatches;
+        _closedPeriods = closedPeriods;
+        _anomalies = anomalies;
+        _events = events;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Imports the file. Errors other than the expected outcomes (bad hash, trailer totals that
+    /// do not match, no valid lines, duplicates, closed periods) are thrown; nothing is saved in that case.
+    /// </summary>
+    /// <param name="request">File and options</param>
+    /// <param name="progress">Optional; told when the phase changes and after each inserted batch</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    public async Task<CnabImportOutcome> ImportAsync(
+        CnabImportRequest request,
+        IProgress<CnabImportProgress>? progress = null,
+        CancellationToken cancellationToken = default)
+    {
+        progress?.Report(new CnabImportProgress(ImportPhase.Validating));
+
+        // Hash the content to detect files that were already imported
+        var serverHash = Convert.ToHexString(SHA256.HashData(request.Content)).ToLowerInvariant();
+
+        if (!string.IsNullOrWhiteSpace(request.ClientHash) &&
+            !string.Equals(request.ClientHash.Trim(), serverHash, StringComparison.OrdinalIgnoreCase))
+        {
+            _logger.LogWarning("File hash mismatch for {FileName}: client {ClientHash}, server {ServerHash}",
+                request.FileName, request.ClientHash, serverHash);
+            return new CnabImportOutcome(StatusCodes.Status400BadRequest, new UploadResponseViewModel
+            {
+                Success = false,
+                FileName = request.FileName,
+                Message = "File hash mismatch - the file may have been corrupted during upload."
+            });
+        }
+
+        progress?.Report(new CnabImportProgress(ImportPhase.Parsing));
+
+        using var stream = new MemoryStream(request.Content, writable: false);
+
+        // Parse transactions (keeping track of rejected lines and data quality warnings for the import report)
+        var knownStoreOwners = await _repository.GetKnownStoreOwnersAsync(cancellationToken);
+        var parseResult = await _parser.ParseWithReportAsync(stream, knownStoreOwners, request.Layout, cancellationToken);
+        var layout = CnabLayouts.Find(parseResult.Layout) ?? CnabLayouts.Default;
+        var transactionList = parseResult.Transactions;
+
+        if (parseResult.LinesRejected > 0)
+        {
+            _logger.LogWarning("{Rejected} of {Read} lines rejected in file: {FileName}",
+                parseResult.LinesRejected, parseResult.LinesRead, request.FileName);
+        }
+
+        if (parseResult.LinesFlagged > 0)
+        {
+            _logger.LogInformation("{Flagged} of {Accepted} lines in {FileName} break data quality rules",
+                parseResult.LinesFlagged, parseResult.LinesAccepted, request.FileName);
+        }
+
+        // A trailer that does not match the records means a truncated or altered file
+        if (parseResult.TrailerValid == false)
+        {
+            _logger.LogWarning("Trailer check failed for {Layout} file: {FileName}", layout.Name, request.FileName);
+            return new CnabImportOutcome(StatusCodes.Status400BadRequest, BuildImportReport(new UploadResponseViewModel
+            {
+                Success = false,
+                FileName = request.FileName,
+                Message = DescribeTrailerFailure(parseResult)
+            }, parseResult));
+        }
+
+        if (transactionList.Count == 0)
+        {
+            _logger.LogWarning("No valid transactions found in file: {FileName}", request.FileName);
+            return new CnabImportOutcome(StatusCodes.Status400BadRequest, BuildImportReport(new UploadResponseViewModel
+            {
+                Success = false,
+                FileName = request.FileName,
+                Message = "No valid transactions found in the file."
+            }, parseResult));
+        }
+
+        progress?.Report(new CnabImportProgress(ImportPhase.CheckingDuplicates, TotalCount: transactionList.Count));
+
+        // Duplicate detection: same file content or lines already stored
+        var previousImport = await _importBatches.GetByFileHashAsync(serverHash, cancellationToken);
+        var existingLineHashes = await _importBatches.GetExistingLineHashesAsync(
+            transactionList.Select(t => t.LineHash!), cancellationToken);
+        var duplicateLineCount = transactionList.Count(t => existingLineHashes.Contains(t.LineHash!));
+
+        if (previousImport != null || duplicateLineCount > 0)
+        {
+            _logger.LogWarning(
+                "Duplicate content in {FileName}: previously imported = {Previous}, {Duplicates} of {Total} lines already stored. Handling: {Handling}",
+                request.FileName, previousImport != null, duplicateLineCount, transactionList.Count, request.DuplicateHandling);
+
+            if (request.DuplicateHandling == DuplicateHandling.Reject)
+            {
+                return new CnabImportOutcome(StatusCodes.Status409Conflict, new DuplicateImportViewModel
+                {
+                    Success = false,
+                    Message = previousImport != null
+                        ? $"This file was already imported on {previousImport.ImportedAt:yyyy-MM-dd HH:mm} (UTC) by {previousImport.UploadedBy}."
+                        : $"{duplicateLineCount} of {transactionList.Count} transactions were already imported.",
+                    FileName = request.FileName,
+                    FileHash = serverHash,
+                    FileAlreadyImported = previousImport != null,
+                    PreviousImport = previousImport == null ? null : new ImportBatchViewModel
+                    {
+                        Id = previousImport.Id,
+                        FileName = previousImport.FileName,
+                        UploadedBy = previousImport.UploadedBy,
+                        // Stored without kind - mark as UTC so clients convert to local time
+                        ImportedAt = DateTime.SpecifyKind(previousImport.ImportedAt, DateTimeKind.Utc),
+                        TransactionCount = previousImport.TransactionCount
+                    },
+                    DuplicateLineCount = duplicateLineCount,
+                    TotalLineCount = transactionList.Count
+                });
+            }
+        }
+
+        var duplicatesSkipped = 0;
+        if (request.DuplicateHandling == DuplicateHandling.Skip && duplicateLineCount > 0)
+        {
+            transactionList = transactionList
+                .Where(t => !existingLineHashes.Contains(t.LineHash!))
+                .ToList();
+            duplicatesSkipped = duplicateLineCount;
+        }
+
+        if (transactionList.Count == 0)
+        {
+            _logger.LogInformation("All transactions in {FileName} were already imported", request.FileName);
+            return new CnabImportOutcome(StatusCodes.Status200OK, BuildImportReport(new UploadResponseViewModel
+            {
+                Success = true,
+                FileName = request.FileName,
+                DuplicatesSkipped = duplicatesSkipped,
+                Message = "All transactions in this file were already imported - nothing to do."
+            }, parseResult, transactionList));
+        }
+
+        // Closed periods are locked: the whole file is refused if any transaction falls inside one
+        var closedPeriods = (await _closedPeriods.GetAllAsync(cancellationToken)).ToList();
+        var lockedPeriods = closedPeriods
+            .Where(p => transactionList.Any(t => p.Contains(t.Date)))
+            .ToList();
+
+        if (lockedPeriods.Count > 0)
+        {
+            var lockedCount = transactionList.Count(t => lockedPeriods.Any(p => p.Contains(t.Date)));
+
+            _logger.LogWarning("{Locked} of {Total} transactions in {FileName} fall inside closed periods",
+                lockedCount, transactionList.Count, request.FileName);
+
+            return new CnabImportOutcome(StatusCodes.Status423Locked, ClosedPeriodConflictViewModel.Create(
+                $"{lockedCount} of {transactionList.Count} transactions fall inside closed periods "
+                    + $"({string.Join(", ", lockedPeriods)}). Nothing was imported.",
+                lockedPeriods,
+                lockedCount));
+        }
+
+        progress?.Report(new CnabImportProgress(ImportPhase.Inserting, TotalCount: transactionList.Count));
+
+        // Last point where a cancel stops the import: a job refuses to be cancelled once inserting
+        cancellationToken.ThrowIfCancellationRequested();
+
+        // Register the import batch so each transaction can reference it
+        var batch = new ImportBatch
+        {
+            FileName = request.FileName,
+            FileHash = serverHash,
+            UploadedBy = request.UploadedBy,
+            ImportedAt = DateTime.UtcNow,
+            TransactionCount = transactionList.Count,
+            Layout = layout.Name
+        };
+        await _importBatches.AddAsync(batch, cancellationToken);
+
+        foreach (var transaction in transactionList)
+        {
+            transaction.ImportBatchId = batch.Id;
+        }
+
+        // 🚀 OPTIMIZED: Use BulkInsertAsync for large files (>= 1000 records)
+        // This is 10x faster than regular insert for big datasets!
+        int insertedCount;
+
+        try
+        {
+            if (transactionList.Count >= BulkInsertThreshold)
+            {
+                _logger.LogInformation(
+                    "Large file detected ({Count} transactions). Using OPTIMIZED bulk insert...",
+                    transactionList.Count);
+
+                // Use optimized bulk insert with batching
+                insertedCount = await _repository.BulkInsertAsync(
+                    transactionList,
+                    batchSize: BulkInsertBatchSize,
+                    progress: progress == null ? null : new BatchProgress(progress),
+                    cancellationToken: cancellationToken);
+            }
+            else
+            {
+                // Use regular insert for small files
+                await _repository.AddRangeAsync(transactionList, cancellationToken);
+                insertedCount = await _repository.SaveChangesAsync(cancellationToken);
+
+                progress?.Report(new CnabImportProgress(ImportPhase.Inserting, 1, 1, insertedCount, transactionList.Count));
+            }
+        }
+        catch
+        {
+            // Don't leave an empty batch behind, otherwise a retry would be flagged as duplicate
+            await _importBatches.RemoveAsync(batch, CancellationToken.None);
+            throw;
+        }
+
+        _logger.LogInformation("Successfully imported {Count} transactions from {FileName}",
+            insertedCount, request.FileName);
+
+        // The transactions are saved: a failure here (or a late cancel) must not fail the import
+        var alertsTriggered = 0;
+        try
+        {
+            alertsTriggered = await _anomalies.EvaluateImportAsync(
+                batch.Id, checkTimes: layout.HasTransactionTime, CancellationToken.None);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error evaluating anomaly alerts for import {ImportBatchId}", batch.Id);
+        }
+
+        var report = BuildImportReport(new UploadResponseViewModel
+        {
+            Success = true,
+            TransactionCount = insertedCount,
+            FileName = request.FileName,
+            ImportBatchId = batch.Id,
+            DuplicatesSkipped = duplicatesSkipped,
+            AlertsTriggered = alertsTriggered,
+            Message = duplicatesSkipped > 0
+                ? $"Successfully imported {insertedCount} transactions ({duplicatesSkipped} duplicates skipped)!"
+                : $"Successfully imported {insertedCount} transactions!"
+        }, parseResult, transactionList);
+
+        _events.Publish(new TransactionEventViewModel
+        {
+            Type = TransactionEventTypes.ImportCompleted,
+            User = request.UploadedBy,
+            ImportBatchId = batch.Id,
+            FileName = request.FileName,
+            TransactionCount = insertedCount,
+            StoreNames = report.StoreTotals.Select(s => s.StoreName).ToList(),
+            SourceClientId = request.ClientId
+        });
+
+        return new CnabImportOutcome(StatusCodes.Status200OK, report);
+    }
+
+    /// <summary>
+    /// Fills the import report section of an upload response from the parse result.
+    /// Totals are computed from <paramref name="importedTransactions"/> when given
+    /// (e.g. after duplicates were skipped), otherwise from every parsed transaction.
+    /// </summary>
+    private static UploadResponseViewModel BuildImportReport(
+        UploadResponseViewModel response,
+        CnabParseResult parseResult,
+        IReadOnlyCollection<Transaction>? importedTransactions = null)
+    {
+        var imported = importedTransactions ?? parseResult.Transactions;
+
+        response.Layout = parseResult.Layout;
+        response.Header = parseResult.Header == null ? null : new FileHeaderViewModel
+        {
+            BankCode = parseResult.Header.BankCode,
+            BankName = parseResult.Header.BankName,
+            CompanyName = parseResult.Header.CompanyName,
+            GeneratedAt = parseResult.Header.GeneratedAt
+        };
+        response.RecordCounts = parseResult.RecordCounts
+            .Select(c => new RecordCountViewModel
+            {
+                Kind = c.Kind.ToString(),
+                Segment = c.Segment,
+                Count = c.Count
+            })
+            .ToList();
+
+        response.LinesRead = parseResult.LinesRead;
+        response.LinesAccepted = parseResult.LinesAccepted;
+        response.LinesRejected = parseResult.LinesRejected;
+
+        response.RejectedLines = parseResult.RejectedLines
+            .Select(r => new RejectedLineViewModel
+            {
+                LineNumber = r.LineNumber,
+                Reason = r.Reason,
+                Content = r.Content
+            })
+            .ToList();
+
+        response.LinesSkipped = parseResult.LinesSkipped;
+        response.TrailerValid = parseResult.TrailerValid;
+        response.TrailerChecks = parseResult.TrailerChecks
+            .Select(c => new TrailerCheckViewModel
+            {
+                Name = c.Name,
+                Batch = c.Batch,
+                LineNumber = c.LineNumber,
+                Declared = c.Declared,
+                Computed = c.Computed,
+                IsValid = c.IsValid
+            })
+            .ToList();
+
+        response.LinesFlagged = parseResult.LinesFlagged;
+        response.QualityWarnings = parseResult.Warnings
+            .Select(w => new QualityWarningViewModel
+            {
+                LineNumber = w.LineNumber,
+                Rule = w.Rule.ToString(),
+                Message = w.Message,
+                ExpectedValue = w.ExpectedValue
+            })
+            .ToList();
+
+        response.StoreTotals = imported
+            .GroupBy(t => t.StoreName)
+            .OrderBy(g => g.Key)
+            .Select(g => new StoreImportTotalViewModel
+            {
+                StoreName = g.Key,
+                TransactionCount = g.Count(),
+                TotalIncome = g.Where(t => t.IsIncome).Sum(t => t.Amount),
+                TotalExpenses = g.Where(t => t.IsExpense).Sum(t => t.Amount),
+                NetAmount = g.Sum(t => t.SignedAmount)
+            })
+            .ToList();
+
+        response.TypeTotals = imported
+            .GroupBy(t => t.Type)
+            .OrderBy(g => g.Key)
+            .Select(g => new TypeImportTotalViewModel
+            {
+                Type = ((int)g.Key).ToString(),
+                TypeDescription = g.First().TypeDescription,
+                Nature = g.First().Nature.ToString(),
+                TransactionCount = g.Count(),
+                TotalAmount = g.Sum(t => t.Amount)
+            })
+            .ToList();
+
+        return response;
+    }
+
+    /// <summary>
+    /// Explains why the trailer check failed: no trailer, or the counts and totals that differ.
+    /// </summary>
+    private static string DescribeTrailerFailure(CnabParseResult parseResult)
+    {
+        if (parseResult.TrailerFound != true)
+            return $"The {parseResult.Layout} file has no trailer record - it may be truncated. Nothing was imported.";
+
+        var mismatches = parseResult.TrailerChecks
+            .Where(c => !c.IsValid)
+            .Select(c => c.Batch == null
+                ? $"{c.Name} declared {c.Declared} but {c.Computed} read"
+                : $"{c.Name} of batch {c.Batch} declared {c.Declared} but {c.Computed} read");
+
+        return $"The trailer totals do not match the file ({string.Join("; ", mismatches)}). Nothing was imported.";
+    }
+
+    /// <summary>
+    /// Passes bulk insert batches on as Inserting progress.
+    /// </summary>
+    private sealed class BatchProgress : IProgress<BulkInsertProgress>
+    {
+        private readonly IProgress<CnabImportProgress> _progress;
+
+        public BatchProgress(IProgress<CnabImportProgress> progress) => _progress = progress;
+
+        public void Report(BulkInsertProgress value) => _progress.Report(new CnabImportProgress(
+            ImportPhase.Inserting, value.BatchNumber, value.BatchCount, value.InsertedCount, value.TotalCount));
+    }
+}
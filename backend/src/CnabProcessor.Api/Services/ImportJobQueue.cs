@@ -0,0 +1,270 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Services/ImportJobQueue.cs
+// Purpose: Background import jobs: waiting line for the worker and status for polling
+// ========================================
+
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using CnabProcessor.Api.Models;
+using CnabProcessor.Api.ViewModels;
+
+namespace CnabProcessor.Api.Services;
+
+/// <summary>
+/// Keeps the background import jobs and hands them to <see cref="ImportJobWorker"/> in order.
+/// Jobs live in memory, like the refresh tokens: a restart loses the queued ones
+/// (the client sees 404 and can upload again) and the history of finished ones.
+/// </summary>
+public class ImportJobQueue
+{
+    private const int MaxFinishedJobs = 50;
+
+    private readonly ConcurrentDictionary<Guid, ImportJob> _jobs = new();
+    private readonly Channel<ImportJob> _pending = Channel.CreateUnbounded<ImportJob>(
+        new UnboundedChannelOptions { SingleReader = true });
+
+    /// <summary>
+    /// Adds a job at the end of the line.
+    /// </summary>
+    public ImportJob Enqueue(CnabImportRequest request)
+    {
+        RemoveOldFinished();
+
+        var job = new ImportJob(request);
+        _jobs[job.Id] = job;
+        _pending.Writer.TryWrite(job);
+
+        return job;
+    }
+
+    public ImportJob? Get(Guid id) => _jobs.TryGetValue(id, out var job) ? job : null;
+
+    /// <summary>
+    /// Every job kept, newest first.
+    /// </summary>
+    public IReadOnlyList<ImportJob> GetAll() => _jobs.Values.OrderByDescending(j => j.CreatedAt).ToList();
+
+    /// <summary>
+    /// Waits for the next job to run.
+    /// </summary>
+    public ValueTask<ImportJob> DequeueAsync(CancellationToken cancellationToken) =>
+        _pending.Reader.ReadAsync(cancellationToken);
+
+    private void RemoveOldFinished()
+    {
+        var finished = _jobs.Values
+            .Where(j => j.IsFinished)
+            .OrderByDescending(j => j.CreatedAt)
+            .Skip(MaxFinishedJobs - 1);
+
+        foreach (var job in finished)
+        {
+            _jobs.TryRemove(job.Id, out _);
+        }
+    }
+}
+
+/// <summary>
+/// One background import. Updated by the worker, read by the status endpoints.
+/// </summary>
+public class ImportJob : IProgress<CnabImportProgress>
+{
+    // Rough share of the work before each phase, for the progress bar
+    private static readonly Dictionary<ImportPhase, int> PhaseStartPercent = new()
+    {
+        [ImportPhase.Queued] = 0,
+        [ImportPhase.Validating] = 2,
+        [ImportPhase.Parsing] = 5,
+        [ImportPhase.CheckingDuplicates] = 30,
+        [ImportPhase.Inserting] = 40
+    };
+
+    private readonly object _lock = new();
+    private readonly CancellationTokenSource _cancellation = new();
+    private CnabImportRequest? _request;
+    private ImportPhase _phase = ImportPhase.Queued;
+    private CnabImportProgress _progress = new(ImportPhase.Queued);
+    private DateTime? _startedAt;
+    private DateTime? _insertStartedAt;
+    private DateTime? _finishedAt;
+    private CnabImportOutcome? _outcome;
+
+    public ImportJob(CnabImportRequest request)
+    {
+        _request = request;
+        CancellationToken = _cancellation.Token;
+        FileName = request.FileName;
+        FileSize = request.Content.LongLength;
+        UploadedBy = request.UploadedBy;
+    }
+
+    public Guid Id { get; } = Guid.NewGuid();
+
+    public string FileName { get; }
+
+    public long FileSize { get; }
+
+    public string UploadedBy { get; }
+
+    public DateTime CreatedAt { get; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Cancelled when the user cancels the job. Still readable once the job has finished
+    /// and its source has been disposed.
+    /// </summary>
+    public CancellationToken CancellationToken { get; }
+
+    public bool IsFinished
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _phase is ImportPhase.Completed or ImportPhase.Failed or ImportPhase.Cancelled;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Marks the job as started and hands over the file; null when it was cancelled while queued.
+    /// From here a cancel goes through <see cref="CancellationToken"/>.
+    /// </summary>
+    public CnabImportRequest? Start()
+    {
+        lock (_lock)
+        {
+            if (_phase != ImportPhase.Queued) return null;
+
+            _phase = ImportPhase.Validating;
+            _progress = new CnabImportProgress(ImportPhase.Validating);
+            _startedAt = DateTime.UtcNow;
+            return _request;
+        }
+    }
+
+    public void Report(CnabImportProgress value)
+    {
+        lock (_lock)
+        {
+            if (_phase is ImportPhase.Completed or ImportPhase.Failed or ImportPhase.Cancelled) return;
+
+            if (value.Phase == ImportPhase.Inserting && _phase != ImportPhase.Inserting)
+            {
+                _insertStartedAt = DateTime.UtcNow;
+            }
+
+            _phase = value.Phase;
+            _progress = value;
+        }
+    }
+
+    public void Complete(CnabImportOutcome outcome) => Finish(ImportPhase.Completed, outcome);
+
+    public void Fail(CnabImportOutcome outcome) => Finish(ImportPhase.Failed, outcome);
+
+    /// <summary>
+    /// Cancels the job. A queued job is dropped at once; a running one stops at its next step.
+    /// Once inserting, the transactions are being saved and the job runs to its end.
+    /// </summary>
+    /// <returns>False when the job had already finished or started inserting</returns>
+    public bool Cancel()
+    {
+        lock (_lock)
+        {
+            if (_phase is ImportPhase.Inserting or ImportPhase.Completed or ImportPhase.Failed or ImportPhase.Cancelled)
+                return false;
+
+            // Under the lock, so the import cannot report Inserting before the token is cancelled
+            _cancellation.Cancel();
+
+            if (_phase == ImportPhase.Queued)
+            {
+                Finish(ImportPhase.Cancelled, null);
+            }
+
+            return true;
+        }
+    }
+
+    /// <summary>
+    /// Records that a running job stopped because it was cancelled.
+    /// </summary>
+    public void MarkCancelled() => Finish(ImportPhase.Cancelled, null);
+
+    public ImportJobViewModel ToViewModel()
+    {
+        lock (_lock)
+        {
+            return new ImportJobViewModel
+            {
+                Id = Id,
+                FileName = FileName,
+                FileSize = FileSize,
+                UploadedBy = UploadedBy,
+                Phase = _phase.ToString(),
+                IsFinished = _finishedAt.HasValue,
+                PercentComplete = GetPercentComplete(),
+                EstimatedSecondsLeft = EstimateSecondsLeft(),
+                BatchNumber = _progress.BatchNumber,
+                BatchCount = _progress.BatchCount,
+                InsertedCount = _progress.InsertedCount,
+                TotalCount = _progress.TotalCount,
+                CreatedAt = CreatedAt,
+                StartedAt = _startedAt,
+                FinishedAt = _finishedAt,
+                ResultStatusCode = _outcome?.StatusCode,
+                Result = _outcome?.Body
+            };
+        }
+    }
+
+    private void Finish(ImportPhase phase, CnabImportOutcome? outcome)
+    {
+        lock (_lock)
+        {
+            if (_finishedAt.HasValue) return;
+
+            _phase = phase;
+            _outcome = outcome;
+            _finishedAt = DateTime.UtcNow;
+            // The file and the cancellation are not needed anymore
+            _request = null;
+            _cancellation.Dispose();
+        }
+    }
+
+    private int GetPercentComplete()
+    {
+        if (_phase == ImportPhase.Completed) return 100;
+        if (!PhaseStartPercent.TryGetValue(_phase, out var start)) return 0;
+
+        if (_phase == ImportPhase.Inserting && _progress.TotalCount > 0)
+        {
+            return start + (100 - start) * _progress.InsertedCount / _progress.TotalCount;
+        }
+
+        return start;
+    }
+
+    /// <summary>
+    /// While inserting, from the insert rate so far; before that, from the time spent per percent.
+    /// </summary>
+    private int? EstimateSecondsLeft()
+    {
+        if (_finishedAt.HasValue || !_startedAt.HasValue) return null;
+
+        var now = DateTime.UtcNow;
+
+        if (_phase == ImportPhase.Inserting && _insertStartedAt.HasValue && _progress.InsertedCount > 0)
+        {
+            var perRecord = (now - _insertStartedAt.Value).TotalSeconds / _progress.InsertedCount;
+            return (int)Math.Ceiling(perRecord * (_progress.TotalCount - _progress.InsertedCount));
+        }
+
+        var percent = GetPercentComplete();
+        if (percent < 5) return null;
+
+        var elapsed = (now - _startedAt.Value).TotalSeconds;
+        return (int)Math.Ceiling(elapsed * (100 - percent) / percent);
+    }
+}
@@ -0,0 +1,88 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Services/ImportJobWorker.cs
+// Purpose: Runs the queued background imports, one at a time
+// ========================================
+
+using CnabProcessor.Api.ViewModels;
+
+namespace CnabProcessor.Api.Services;
+
+/// <summary>
+/// Takes jobs from <see cref="ImportJobQueue"/> and imports them with <see cref="CnabImportService"/>.
+/// One import runs at a time, in upload order, so each one sees the lines the previous
+/// imports saved when looking for duplicates.
+/// </summary>
+public class ImportJobWorker : BackgroundService
+{
+    private readonly ImportJobQueue _queue;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<ImportJobWorker> _logger;
+
+    public ImportJobWorker(ImportJobQueue queue, IServiceScopeFactory scopeFactory, ILogger<ImportJobWorker> logger)
+    {
+        _queue = queue;
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            ImportJob job;
+            try
+            {
+                job = await _queue.DequeueAsync(stoppingToken);
+            }
+            catch (OperationCanceledException)
+            {
+                break;
+            }
+
+            await RunAsync(job, stoppingToken);
+        }
+    }
+
+    private async Task RunAsync(ImportJob job, CancellationToken stoppingToken)
+    {
+        var request = job.Start();
+        if (request == null)
+        {
+            // Cancelled while waiting
+            return;
+        }
+
+        using var cancellation = CancellationTokenSource.CreateLinkedTokenSource(stoppingToken, job.CancellationToken);
+
+        _logger.LogInformation("Background import {JobId} started: {FileName} ({Size} bytes) by {User}",
+            job.Id, job.FileName, job.FileSize, job.UploadedBy);
+
+        try
+        {
+            // Repositories and DbContext are scoped: one scope per import
+            using var scope = _scopeFactory.CreateScope();
+            var importer = scope.ServiceProvider.GetRequiredService<CnabImportService>();
+
+            var outcome = await importer.ImportAsync(request, job, cancellation.Token);
+            job.Complete(outcome);
+
+            _logger.LogInformation("Background import {JobId} finished with status {StatusCode}",
+                job.Id, outcome.StatusCode);
+        }
+        catch (OperationCanceledException) when (cancellation.IsCancellationRequested)
+        {
+            _logger.LogInformation("Background import {JobId} cancelled", job.Id);
+            job.MarkCancelled();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Background import {JobId} failed", job.Id);
+            job.Fail(new CnabImportOutcome(StatusCodes.Status500InternalServerError, new UploadResponseViewModel
+            {
+                Success = false,
+                FileName = job.FileName,
+                Message = $"Error processing file: {ex.Message}"
+            }));
+        }
+    }
+}
@@ -3,6 +3,7 @@
 // Purpose: JWT token generation and validation
 // ========================================
 
+using CnabProcessor.Api.Models;
 using Microsoft.IdentityModel.Tokens;
 using System.IdentityModel.Tokens.Jwt;
 using System.Security.Claims;
@@ -42,9 +43,13 @@ public class JwtTokenService
 
         var expiresAt = DateTime.UtcNow.AddMinutes(expiryMinutes);
 
+        var role = GetRole(username);
+
+        // ClaimTypes.Role is written as the short "role" claim, which the web app reads
         var claims = new[]
         {
             new Claim(ClaimTypes.Name, username),
+            new Claim(ClaimTypes.Role, role),
             new Claim(JwtRegisteredClaimNames.Sub, username),
             new Claim(JwtRegisteredClaimNames.Jti, Guid.NewGuid().ToString()),
             new Claim(JwtRegisteredClaimNames.Iat, DateTimeOffset.UtcNow.ToUnixTimeSeconds().ToString(), ClaimValueTypes.Integer64)
@@ -60,8 +65,8 @@ public class JwtTokenService
 
         var tokenString = new JwtSecurityTokenHandler().WriteToken(token);
 
-        _logger.LogInformation("Generated JWT token for user: {Username}, expires at: {ExpiresAt}",
-            username, expiresAt);
+        _logger.LogInformation("Generated JWT token for user: {Username} ({Role}), expires at: {ExpiresAt}",
+            username, role, expiresAt);
 
         return (tokenString, expiresAt);
     }
@@ -92,4 +97,24 @@ public class JwtTokenService
 
         return false;
     }
+
+    /// <summary>
+    /// Gets the role of a user (simplified for demo - roles come from configuration).
+    /// Users without a configured role are read-only.
+    /// </summary>
+    /// <param name="username">Username</param>
+    /// <returns>One of the <see cref="AppRoles"/> names</returns>
+    public string GetRole(string username)
+    {
+        var demoUserRoles = _configuration.GetSection("DemoUserRoles").Get<Dictionary<string, string>>()
+            ?? new Dictionary<string, string>
+            {
+                { "admin", AppRoles.Administrator },
+                { "user", AppRoles.User }
+            };
+
+        return demoUserRoles.TryGetValue(username, out var role) && role == AppRoles.Administrator
+            ? AppRoles.Administrator
+            : AppRoles.User;
+    }
 }
@@ -0,0 +1,103 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Services/RefreshTokenStore.cs
+// Purpose: Issues, rotates and revokes refresh tokens
+// ========================================
+
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace CnabProcessor.Api.Services;
+
+/// <summary>
+/// Keeps the refresh tokens handed out at login.
+/// Tokens are single use: redeeming one removes it, and the caller issues a new one (rotation).
+/// Only a SHA-256 hash of each token is kept. Tokens live in memory, like the demo users,
+/// so a restart signs everyone out once their access token expires.
+/// </summary>
+public class RefreshTokenStore
+{
+    private const int TokenSizeInBytes = 64;
+    private const int DefaultExpiryDays = 7;
+
+    private readonly ConcurrentDictionary<string, RefreshTokenEntry> _tokens = new();
+    private readonly TimeSpan _lifetime;
+
+    public RefreshTokenStore(IConfiguration configuration)
+    {
+        var days = int.TryParse(configuration["JwtSettings:RefreshTokenExpiryDays"], out var configured) && configured > 0
+            ? configured
+            : DefaultExpiryDays;
+
+        _lifetime = TimeSpan.FromDays(days);
+    }
+
+    /// <summary>
+    /// Issues a new refresh token for the user.
+    /// </summary>
+    /// <param name="username">User the token belongs to</param>
+    /// <returns>Token string (only returned here, never stored) and expiration time</returns>
+    public (string token, DateTime expiresAt) Issue(string username)
+    {
+        RemoveExpired();
+
+        var token = Base64UrlEncode(RandomNumberGenerator.GetBytes(TokenSizeInBytes));
+        var expiresAt = DateTime.UtcNow.Add(_lifetime);
+
+        _tokens[Hash(token)] = new RefreshTokenEntry(username, expiresAt);
+
+        return (token, expiresAt);
+    }
+
+    /// <summary>
+    /// Redeems a refresh token: it is removed so it cannot be used again.
+    /// </summary>
+    /// <param name="token">Refresh token sent by the client</param>
+    /// <returns>The user it was issued to, or null when unknown, already used or expired</returns>
+    public string? Redeem(string token)
+    {
+        if (string.IsNullOrWhiteSpace(token) || !_tokens.TryRemove(Hash(token), out var entry))
+        {
+            return null;
+        }
+
+        return entry.ExpiresAt > DateTime.UtcNow ? entry.Username : null;
+    }
+
+    /// <summary>
+    /// Revokes a refresh token (logout). Unknown tokens are ignored.
+    /// </summary>
+    /// <param name="token">Refresh token sent by the client</param>
+    public void Revoke(string token)
+    {
+        if (!string.IsNullOrWhiteSpace(token))
+        {
+            _tokens.TryRemove(Hash(token), out _);
+        }
+    }
+
+    private void RemoveExpired()
+    {
+        var now = DateTime.UtcNow;
+
+        foreach (var (hash, entry) in _tokens)
+        {
+            if (entry.ExpiresAt <= now)
+            {
+                _tokens.TryRemove(hash, out _);
+            }
+        }
+    }
+
+    private static string Hash(string token)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token)));
+    }
+
+    private static string Base64UrlEncode(byte[] bytes)
+    {
+        return Convert.ToBase64String(bytes).TrimEnd('=').Replace('+', '-').Replace('/', '_');
+    }
+
+    private sealed record RefreshTokenEntry(string Username, DateTime ExpiresAt);
+}
@@ -0,0 +1,92 @@
+﻿// ========================================
+// File: CnabProcessor.Api/Services/TransactionEventBroadcaster.cs
+// Purpose: Fans out transaction change events to the clients listening on /api/cnab/events
+// ========================================
+
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using CnabProcessor.Api.ViewModels;
+
+namespace CnabProcessor.Api.Services;
+
+/// <summary>
+/// Delivers every published event to each current subscriber.
+/// Each subscriber has its own bounded queue: a client that stops reading loses its oldest
+/// events instead of holding memory or slowing down the request that published them.
+/// Events live in memory only, so a client that was disconnected reloads what it shows
+/// instead of replaying what it missed.
+/// </summary>
+public class TransactionEventBroadcaster
+{
+    private const int SubscriberQueueSize = 100;
+
+    private readonly ConcurrentDictionary<Guid, Channel<TransactionEventViewModel>> _subscribers = new();
+    private long _lastEventId;
+
+    /// <summary>
+    /// Number of connected subscribers.
+    /// </summary>
+    public int SubscriberCount => _subscribers.Count;
+
+    /// <summary>
+    /// Registers a subscriber. Dispose the subscription when the client disconnects.
+    /// </summary>
+    public TransactionEventSubscription Subscribe()
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<TransactionEventViewModel>(new BoundedChannelOptions(SubscriberQueueSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        _subscribers[id] = channel;
+
+        return new TransactionEventSubscription(channel.Reader, () =>
+        {
+            if (_subscribers.TryRemove(id, out var removed))
+            {
+                removed.Writer.TryComplete();
+            }
+        });
+    }
+
+    /// <summary>
+    /// Assigns the event its id and time and queues it for every subscriber. Never blocks.
+    /// </summary>
+    /// <param name="transactionEvent">Event to publish</param>
+    /// <returns>The published event</returns>
+    public TransactionEventViewModel Publish(TransactionEventViewModel transactionEvent)
+    {
+        transactionEvent.Id = Interlocked.Increment(ref _lastEventId);
+        transactionEvent.OccurredAt = DateTime.UtcNow;
+
+        foreach (var channel in _subscribers.Values)
+        {
+            channel.Writer.TryWrite(transactionEvent);
+        }
+
+        return transactionEvent;
+    }
+}
+
+/// <summary>
+/// A subscriber's queue of events; disposing it unsubscribes.
+/// </summary>
+public sealed class TransactionEventSubscription : IDisposable
+{
+    private readonly Action _unsubscribe;
+
+    internal TransactionEventSubscription(ChannelReader<TransactionEventViewModel> reader, Action unsubscribe)
+    {
+        Reader = reader;
+        _unsubscribe = unsubscribe;
+    }
+
+    /// <summary>
+    /// Events published since the subscription was made, oldest first.
+    /// </summary>
+    public ChannelReader<TransactionEventViewModel> Reader { get; }
+
+    public void Dispose() => _unsubscribe();
+}
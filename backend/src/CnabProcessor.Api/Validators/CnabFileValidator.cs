@@ -3,6 +3,8 @@
 // Purpose: Validates CNAB file uploads
 // ========================================
 
+using CnabProcessor.Domain.Layouts;
+
 namespace CnabProcessor.Api.Validators;
 
 /// <summary>
@@ -13,7 +15,6 @@ public class CnabFileValidator
     // Validation constraints
     private const long MaxFileSizeBytes = 10 * 1024 * 1024; // 10 MB
     private const long MinFileSizeBytes = 1; // 1 byte
-    private const int ExpectedLineLength = 81; // CNAB line length
 
     private static readonly string[] AllowedExtensions = { ".txt", ".cnab", "" }; // Allow no extension too
     private static readonly string[] AllowedContentTypes =
@@ -27,11 +28,20 @@ public class CnabFileValidator
     /// Validates a CNAB file upload.
     /// </summary>
     /// <param name="file">The uploaded file</param>
+    /// <param name="layout">Layout chosen for the file (see CnabLayouts); null or Auto to detect it</param>
     /// <returns>Validation result with error messages if invalid</returns>
-    public static ValidationResult Validate(IFormFile? file)
+    public static ValidationResult Validate(IFormFile? file, string? layout = null)
     {
         var result = new ValidationResult();
 
+        if (!string.IsNullOrWhiteSpace(layout) &&
+            !string.Equals(layout, CnabLayouts.Auto, StringComparison.OrdinalIgnoreCase) &&
+            CnabLayouts.Find(layout) == null)
+        {
+            result.AddError($"Unknown layout '{layout}'. Allowed layouts: {CnabLayouts.Auto}, "
+                + $"{string.Join(", ", CnabLayouts.All.Select(l => l.Name))}.");
+        }
+
         // Check if file exists
         if (file == null)
         {
@@ -98,18 +108,19 @@ public class CnabFileValidator
                 }
                 else
                 {
-                    // Check if first character is a digit (transaction type 1-9)
+                    // Check if first character is a digit (transaction type 1-9, or bank code / record type of a header)
                     if (!char.IsDigit(firstLine[0]))
                     {
-                        result.AddError("Invalid CNAB format: First character must be a transaction type (1-9).");
+                        result.AddError("Invalid CNAB format: First character must be a transaction type (1-9) or the start of a CNAB 240/400 header.");
                     }
 
                     // Warn if line length is unexpected (but don't fail - parser can handle it)
+                    var expected = CnabLayouts.Find(layout) ?? CnabLayouts.Detect(firstLine);
                     var normalizedLength = firstLine.TrimEnd().Length;
-                    if (normalizedLength != ExpectedLineLength && normalizedLength != 0)
+                    if (firstLine.Length != expected.LineLength && normalizedLength != expected.LineLength && normalizedLength != 0)
                     {
                         // This is just a warning, don't add as error since parser normalizes lines
-                        result.AddWarning($"Note: Line length is {normalizedLength} characters. Expected {ExpectedLineLength} characters. The parser will normalize this.");
+                        result.AddWarning($"Note: Line length is {normalizedLength} characters. Expected {expected.LineLength} characters ({expected.Name}). The parser will normalize this.");
                     }
                 }
             }
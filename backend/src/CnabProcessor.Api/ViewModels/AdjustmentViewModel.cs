@@ -0,0 +1,101 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/AdjustmentViewModel.cs
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Extensions;
+using System;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// One record of the adjustment audit trail: a transaction entered or reversed by hand.
+/// </summary>
+public class AdjustmentViewModel
+{
+    /// <summary>
+    /// Unique identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// "Entry" or "Reversal".
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Transaction created by the adjustment; null once it has been deleted.
+    /// </summary>
+    public int? TransactionId { get; set; }
+
+    /// <summary>
+    /// Transaction offset by a reversal.
+    /// </summary>
+    public int? ReversedTransactionId { get; set; }
+
+    /// <summary>
+    /// Store name.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Store owner.
+    /// </summary>
+    public string StoreOwner { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Transaction type number (1-9) as string.
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Human-readable description of the transaction type.
+    /// </summary>
+    public string TypeDescription { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Amount with sign applied (positive for income, negative for expense).
+    /// </summary>
+    public decimal SignedAmount { get; set; }
+
+    /// <summary>
+    /// Date of the entry.
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    /// <summary>
+    /// Why the adjustment was made.
+    /// </summary>
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of who made the adjustment.
+    /// </summary>
+    public string CreatedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) of the adjustment.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    public static AdjustmentViewModel FromEntity(TransactionAdjustment adjustment)
+    {
+        return new AdjustmentViewModel
+        {
+            Id = adjustment.Id,
+            Kind = adjustment.Kind.ToString(),
+            TransactionId = adjustment.TransactionId,
+            ReversedTransactionId = adjustment.ReversedTransactionId,
+            StoreName = adjustment.StoreName,
+            StoreOwner = adjustment.StoreOwner,
+            Type = ((int)adjustment.Type).ToString(),
+            TypeDescription = adjustment.Type.GetDescription(),
+            SignedAmount = adjustment.SignedAmount,
+            Date = adjustment.Date,
+            Reason = adjustment.Reason,
+            CreatedBy = adjustment.CreatedBy,
+            // Stored without kind - mark as UTC so clients convert to local time
+            CreatedAt = DateTime.SpecifyKind(adjustment.CreatedAt, DateTimeKind.Utc)
+        };
+    }
+}
@@ -0,0 +1,189 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/AlertViewModel.cs
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Extensions;
+using System;
+using System.Collections.Generic;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// An anomaly alert triggered by an import.
+/// </summary>
+public class AlertViewModel
+{
+    /// <summary>
+    /// Unique identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Rule name: LargeAmount, DailyFlowDeviation, CardInManyStores or OutOfHours.
+    /// </summary>
+    public string Rule { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Human-readable description of the rule.
+    /// </summary>
+    public string RuleDescription { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Affected store.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Transaction that triggered the alert, when the rule is about a single transaction.
+    /// </summary>
+    public int? TransactionId { get; set; }
+
+    /// <summary>
+    /// Import that triggered the alert.
+    /// </summary>
+    public int? ImportBatchId { get; set; }
+
+    /// <summary>
+    /// Day of the anomaly.
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    /// <summary>
+    /// Description of the anomaly.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Value found (amount, net flow, number of stores or hour).
+    /// </summary>
+    public decimal Value { get; set; }
+
+    /// <summary>
+    /// Limit of the rule when the alert was triggered.
+    /// </summary>
+    public decimal Threshold { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the import that triggered the alert.
+    /// </summary>
+    public DateTime TriggeredAt { get; set; }
+
+    /// <summary>
+    /// Whether someone has acknowledged the alert.
+    /// </summary>
+    public bool IsAcknowledged { get; set; }
+
+    /// <summary>
+    /// Username of who acknowledged the alert.
+    /// </summary>
+    public string? AcknowledgedBy { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the acknowledgement.
+    /// </summary>
+    public DateTime? AcknowledgedAt { get; set; }
+
+    /// <summary>
+    /// Comment given when acknowledging.
+    /// </summary>
+    public string? Comment { get; set; }
+
+    public static AlertViewModel FromEntity(Alert alert)
+    {
+        return new AlertViewModel
+        {
+            Id = alert.Id,
+            Rule = alert.Rule.ToString(),
+            RuleDescription = alert.Rule.GetDescription(),
+            StoreName = alert.StoreName,
+            TransactionId = alert.TransactionId,
+            ImportBatchId = alert.ImportBatchId,
+            Date = alert.Date,
+            Message = alert.Message,
+            Value = alert.Value,
+            Threshold = alert.Threshold,
+            // Stored without kind - mark as UTC so clients convert to local time
+            TriggeredAt = DateTime.SpecifyKind(alert.TriggeredAt, DateTimeKind.Utc),
+            IsAcknowledged = alert.IsAcknowledged,
+            AcknowledgedBy = alert.AcknowledgedBy,
+            AcknowledgedAt = alert.AcknowledgedAt.HasValue
+                ? DateTime.SpecifyKind(alert.AcknowledgedAt.Value, DateTimeKind.Utc)
+                : null,
+            Comment = alert.Comment
+        };
+    }
+}
+
+/// <summary>
+/// Settings of an anomaly alert rule.
+/// </summary>
+public class AlertRuleViewModel
+{
+    /// <summary>
+    /// Rule name: LargeAmount, DailyFlowDeviation, CardInManyStores or OutOfHours.
+    /// </summary>
+    public string Rule { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Human-readable description of the rule.
+    /// </summary>
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether the rule is evaluated on imports.
+    /// </summary>
+    public bool IsEnabled { get; set; }
+
+    /// <summary>
+    /// Amount, deviation factor, number of stores or opening hour.
+    /// </summary>
+    public decimal Threshold { get; set; }
+
+    /// <summary>
+    /// Trailing days, minutes or closing hour (0 for LargeAmount).
+    /// </summary>
+    public int Window { get; set; }
+
+    /// <summary>
+    /// Username of who last changed the rule; null while it has its defaults.
+    /// </summary>
+    public string? UpdatedBy { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the last change.
+    /// </summary>
+    public DateTime? UpdatedAt { get; set; }
+
+    public static AlertRuleViewModel FromEntity(AlertRule rule)
+    {
+        return new AlertRuleViewModel
+        {
+            Rule = rule.Type.ToString(),
+            Description = rule.Type.GetDescription(),
+            IsEnabled = rule.IsEnabled,
+            Threshold = rule.Threshold,
+            Window = rule.Window,
+            UpdatedBy = rule.UpdatedBy,
+            UpdatedAt = rule.UpdatedAt.HasValue
+                ? DateTime.SpecifyKind(rule.UpdatedAt.Value, DateTimeKind.Utc)
+                : null
+        };
+    }
+}
+
+/// <summary>
+/// Number of open alerts, in total and per rule (the Alerts tab badge).
+/// </summary>
+public class AlertSummaryViewModel
+{
+    /// <summary>
+    /// Number of alerts not acknowledged yet.
+    /// </summary>
+    public int OpenCount { get; set; }
+
+    /// <summary>
+    /// Open alerts per rule name (only rules with open alerts).
+    /// </summary>
+    public Dictionary<string, int> OpenCountByRule { get; set; } = new();
+}
@@ -0,0 +1,97 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/ClosedPeriodViewModel.cs
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// A closed accounting period: its transactions cannot be imported or deleted.
+/// </summary>
+public class ClosedPeriodViewModel
+{
+    /// <summary>
+    /// Closed period identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// First day of the period (inclusive).
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Last day of the period (inclusive).
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// Username of who closed the period.
+    /// </summary>
+    public string ClosedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) when the period was closed.
+    /// </summary>
+    public DateTime ClosedAt { get; set; }
+
+    /// <summary>
+    /// Optional note.
+    /// </summary>
+    public string? Note { get; set; }
+
+    public static ClosedPeriodViewModel FromEntity(ClosedPeriod period)
+    {
+        return new ClosedPeriodViewModel
+        {
+            Id = period.Id,
+            StartDate = period.StartDate,
+            EndDate = period.EndDate,
+            ClosedBy = period.ClosedBy,
+            // Stored without kind - mark as UTC so clients convert to local time
+            ClosedAt = DateTime.SpecifyKind(period.ClosedAt, DateTimeKind.Utc),
+            Note = period.Note
+        };
+    }
+}
+
+/// <summary>
+/// Response returned with 423 Locked when an upload or delete would change a closed period.
+/// </summary>
+public class ClosedPeriodConflictViewModel
+{
+    /// <summary>
+    /// Always false - nothing was changed.
+    /// </summary>
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Message describing the conflict.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of transactions that fall inside closed periods (uploads only).
+    /// </summary>
+    public int LockedTransactionCount { get; set; }
+
+    /// <summary>
+    /// The closed periods that were hit.
+    /// </summary>
+    public List<ClosedPeriodViewModel> ClosedPeriods { get; set; } = new();
+
+    public static ClosedPeriodConflictViewModel Create(string message, IEnumerable<ClosedPeriod> periods, int lockedTransactionCount = 0)
+    {
+        return new ClosedPeriodConflictViewModel
+        {
+            Success = false,
+            Message = message,
+            LockedTransactionCount = lockedTransactionCount,
+            ClosedPeriods = periods.Select(ClosedPeriodViewModel.FromEntity).ToList()
+        };
+    }
+}
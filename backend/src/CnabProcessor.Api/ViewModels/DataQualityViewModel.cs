@@ -0,0 +1,114 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/DataQualityViewModel.cs
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Extensions;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// Stored transactions that break data quality rules, counted per rule.
+/// </summary>
+public class DataQualityViewModel
+{
+    /// <summary>
+    /// Timestamp (UTC) of the check.
+    /// </summary>
+    public DateTime CheckedAt { get; set; }
+
+    /// <summary>
+    /// Number of transactions checked.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Number of transactions breaking at least one rule.
+    /// </summary>
+    public int FlaggedTransactionCount { get; set; }
+
+    /// <summary>
+    /// Every rule, in rule order, with the number of transactions breaking it (0 included).
+    /// </summary>
+    public List<DataQualityRuleViewModel> Rules { get; set; } = new();
+
+    public static DataQualityViewModel Create(DataQualitySummary summary, DateTime checkedAt)
+    {
+        return new DataQualityViewModel
+        {
+            CheckedAt = DateTime.SpecifyKind(checkedAt, DateTimeKind.Utc),
+            TransactionCount = summary.TransactionCount,
+            FlaggedTransactionCount = summary.FlaggedTransactionCount,
+            Rules = Enum.GetValues<DataQualityRule>()
+                .Select(rule => new DataQualityRuleViewModel
+                {
+                    Rule = rule.ToString(),
+                    Description = rule.GetDescription(),
+                    TransactionCount = summary.RuleCounts.GetValueOrDefault(rule)
+                })
+                .ToList()
+        };
+    }
+}
+
+/// <summary>
+/// A data quality rule and how many stored transactions break it.
+/// </summary>
+public class DataQualityRuleViewModel
+{
+    /// <summary>
+    /// Rule name: CpfChecksum, CardNumberFormat, ImplausibleDateTime or StoreOwnerMismatch.
+    /// </summary>
+    public string Rule { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Human-readable name of the rule.
+    /// </summary>
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of transactions breaking the rule.
+    /// </summary>
+    public int TransactionCount { get; set; }
+}
+
+/// <summary>
+/// A stored transaction breaking a data quality rule.
+/// </summary>
+public class FlaggedTransactionViewModel
+{
+    /// <summary>
+    /// The transaction (CPF and card number masked).
+    /// </summary>
+    public TransactionViewModel Transaction { get; set; } = new();
+
+    /// <summary>
+    /// Rule name.
+    /// </summary>
+    public string Rule { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Human-readable explanation.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Value the rule expected (the store's known owner for StoreOwnerMismatch).
+    /// </summary>
+    public string? ExpectedValue { get; set; }
+
+    public static FlaggedTransactionViewModel FromFinding(DataQualityFinding finding)
+    {
+        return new FlaggedTransactionViewModel
+        {
+            Transaction = TransactionViewModel.FromEntity(finding.Transaction),
+            Rule = finding.Issue.Rule.ToString(),
+            Message = finding.Issue.Message,
+            ExpectedValue = finding.Issue.ExpectedValue
+        };
+    }
+}
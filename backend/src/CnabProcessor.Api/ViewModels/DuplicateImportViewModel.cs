@@ -0,0 +1,84 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/DuplicateImportViewModel.cs
+// ========================================
+
+using System;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// Response returned with 409 Conflict when an uploaded file was already imported.
+/// </summary>
+public class DuplicateImportViewModel
+{
+    /// <summary>
+    /// Always false - nothing was imported.
+    /// </summary>
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Message describing the conflict.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Original filename that was uploaded.
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// SHA-256 hash of the uploaded file (lowercase hex).
+    /// </summary>
+    public string FileHash { get; set; } = string.Empty;
+
+    /// <summary>
+    /// True when a file with the same content was imported before.
+    /// </summary>
+    public bool FileAlreadyImported { get; set; }
+
+    /// <summary>
+    /// The previous import of the same file, if any.
+    /// </summary>
+    public ImportBatchViewModel? PreviousImport { get; set; }
+
+    /// <summary>
+    /// Number of valid lines in the file that already exist in the database.
+    /// </summary>
+    public int DuplicateLineCount { get; set; }
+
+    /// <summary>
+    /// Number of valid lines in the file.
+    /// </summary>
+    public int TotalLineCount { get; set; }
+}
+
+/// <summary>
+/// An imported file (import batch).
+/// </summary>
+public class ImportBatchViewModel
+{
+    /// <summary>
+    /// Import batch identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Original filename that was uploaded.
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of who uploaded the file.
+    /// </summary>
+    public string UploadedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) when the file was imported.
+    /// </summary>
+    public DateTime ImportedAt { get; set; }
+
+    /// <summary>
+    /// Number of transactions created by the import.
+    /// </summary>
+    public int TransactionCount { get; set; }
+}
@@ -0,0 +1,99 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/ImportJobViewModel.cs
+// ========================================
+
+using System;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// A background import and how far it got.
+/// </summary>
+public class ImportJobViewModel
+{
+    /// <summary>
+    /// Job identifier.
+    /// </summary>
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Name of the uploaded file.
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// File size in bytes.
+    /// </summary>
+    public long FileSize { get; set; }
+
+    /// <summary>
+    /// Username of who uploaded the file.
+    /// </summary>
+    public string UploadedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Queued, Validating, Parsing, CheckingDuplicates, Inserting, Completed, Failed or Cancelled.
+    /// </summary>
+    public string Phase { get; set; } = string.Empty;
+
+    /// <summary>
+    /// True once the phase is Completed, Failed or Cancelled.
+    /// </summary>
+    public bool IsFinished { get; set; }
+
+    /// <summary>
+    /// Estimated progress (0-100).
+    /// </summary>
+    public int PercentComplete { get; set; }
+
+    /// <summary>
+    /// Estimated seconds left; null until there is enough progress to tell.
+    /// </summary>
+    public int? EstimatedSecondsLeft { get; set; }
+
+    /// <summary>
+    /// Batch being inserted (1-based), while inserting.
+    /// </summary>
+    public int BatchNumber { get; set; }
+
+    /// <summary>
+    /// Number of insert batches.
+    /// </summary>
+    public int BatchCount { get; set; }
+
+    /// <summary>
+    /// Transactions saved so far.
+    /// </summary>
+    public int InsertedCount { get; set; }
+
+    /// <summary>
+    /// Transactions to save.
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) when the file was received.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) when the import started.
+    /// </summary>
+    public DateTime? StartedAt { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) when the job finished.
+    /// </summary>
+    public DateTime? FinishedAt { get; set; }
+
+    /// <summary>
+    /// Status code the upload endpoint would have returned (200, 400, 409, 423 or 500), once finished.
+    /// </summary>
+    public int? ResultStatusCode { get; set; }
+
+    /// <summary>
+    /// Body the upload endpoint would have returned: the import report, the duplicate
+    /// warning or the closed period conflict.
+    /// </summary>
+    public object? Result { get; set; }
+}
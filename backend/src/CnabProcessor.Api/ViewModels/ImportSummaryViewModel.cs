@@ -0,0 +1,53 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/ImportSummaryViewModel.cs
+// ========================================
+
+using System;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// An entry of the import history: one uploaded file and the totals of its transactions.
+/// </summary>
+public class ImportSummaryViewModel
+{
+    /// <summary>
+    /// Import batch identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Original filename that was uploaded.
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of who uploaded the file.
+    /// </summary>
+    public string UploadedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) when the file was imported.
+    /// </summary>
+    public DateTime ImportedAt { get; set; }
+
+    /// <summary>
+    /// Number of transactions currently stored for this import.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Total income of the import.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Total expenses of the import.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Net amount (income - expenses).
+    /// </summary>
+    public decimal NetAmount { get; set; }
+}
@@ -0,0 +1,79 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/PiiRevealViewModel.cs
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using System;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// Clear personal data of one transaction, returned to administrators on request.
+/// Every response is recorded in the audit log.
+/// </summary>
+public class PiiRevealViewModel
+{
+    /// <summary>
+    /// Transaction identifier.
+    /// </summary>
+    public int TransactionId { get; set; }
+
+    /// <summary>
+    /// Beneficiary's CPF (only digits).
+    /// </summary>
+    public string Cpf { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Card number as stored.
+    /// </summary>
+    public string CardNumber { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) of the reveal, as recorded in the audit log.
+    /// </summary>
+    public DateTime RevealedAt { get; set; }
+}
+
+/// <summary>
+/// Audit log entry of a reveal. Does not include the revealed values.
+/// </summary>
+public class PiiRevealAuditViewModel
+{
+    /// <summary>
+    /// Audit record identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Transaction whose personal data was revealed.
+    /// </summary>
+    public int TransactionId { get; set; }
+
+    /// <summary>
+    /// Store of the transaction.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of who revealed the data.
+    /// </summary>
+    public string RevealedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) of the reveal.
+    /// </summary>
+    public DateTime RevealedAt { get; set; }
+
+    public static PiiRevealAuditViewModel FromEntity(PiiReveal reveal)
+    {
+        return new PiiRevealAuditViewModel
+        {
+            Id = reveal.Id,
+            TransactionId = reveal.TransactionId,
+            StoreName = reveal.StoreName,
+            RevealedBy = reveal.RevealedBy,
+            // Stored without kind - mark as UTC so clients convert to local time
+            RevealedAt = DateTime.SpecifyKind(reveal.RevealedAt, DateTimeKind.Utc)
+        };
+    }
+}
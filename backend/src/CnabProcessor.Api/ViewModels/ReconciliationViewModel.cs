@@ -0,0 +1,111 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/ReconciliationViewModel.cs
+// ========================================
+
+using System;
+using System.Collections.Generic;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// Result of a reconciliation: one line per expected entry, in request order.
+/// </summary>
+public class ReconciliationViewModel
+{
+    /// <summary>
+    /// Number of entries checked.
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Number of entries whose totals all match.
+    /// </summary>
+    public int MatchedCount { get; set; }
+
+    /// <summary>
+    /// Number of entries with at least one different total.
+    /// </summary>
+    public int MismatchCount { get; set; }
+
+    /// <summary>
+    /// Result of each entry.
+    /// </summary>
+    public List<ReconciliationLineViewModel> Lines { get; set; } = new();
+}
+
+/// <summary>
+/// Expected totals of one store and date range compared with the imported transactions.
+/// Expected values that were not sent are null and are not compared.
+/// </summary>
+public class ReconciliationLineViewModel
+{
+    /// <summary>
+    /// Store name as sent.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// First day of the range (inclusive).
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Last day of the range (inclusive).
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// "Matched" or "Mismatch".
+    /// </summary>
+    public string Status { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Names of the totals that differ (totalIncome, totalExpenses, totalBalance, transactionCount).
+    /// </summary>
+    public List<string> Mismatches { get; set; } = new();
+
+    /// <summary>
+    /// True when every day of the range is inside a closed period.
+    /// </summary>
+    public bool PeriodClosed { get; set; }
+
+    /// <summary>
+    /// Expected total income.
+    /// </summary>
+    public decimal? ExpectedIncome { get; set; }
+
+    /// <summary>
+    /// Expected total expenses.
+    /// </summary>
+    public decimal? ExpectedExpenses { get; set; }
+
+    /// <summary>
+    /// Expected balance.
+    /// </summary>
+    public decimal? ExpectedBalance { get; set; }
+
+    /// <summary>
+    /// Expected number of transactions.
+    /// </summary>
+    public int? ExpectedTransactionCount { get; set; }
+
+    /// <summary>
+    /// Income computed from the stored transactions.
+    /// </summary>
+    public decimal ActualIncome { get; set; }
+
+    /// <summary>
+    /// Expenses computed from the stored transactions.
+    /// </summary>
+    public decimal ActualExpenses { get; set; }
+
+    /// <summary>
+    /// Balance computed from the stored transactions.
+    /// </summary>
+    public decimal ActualBalance { get; set; }
+
+    /// <summary>
+    /// Number of stored transactions.
+    /// </summary>
+    public int ActualTransactionCount { get; set; }
+}
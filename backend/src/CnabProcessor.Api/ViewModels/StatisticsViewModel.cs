@@ -33,4 +33,65 @@ public class StatisticsViewModel
     /// Name of the store with the lowest balance.
     /// </summary>
     public string? SmallestStore { get; set; }
+
+    /// <summary>
+    /// Sum of all income transactions.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Sum of all expense transactions.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Income, expenses and net amount per day, oldest first.
+    /// </summary>
+    public List<DailyFlowViewModel> DailyFlow { get; set; } = new();
+
+    /// <summary>
+    /// Count and amount per transaction type, ordered by type code.
+    /// </summary>
+    public List<TypeImportTotalViewModel> TypeTotals { get; set; } = new();
+
+    /// <summary>
+    /// Stores with the highest balance, highest first.
+    /// </summary>
+    public List<StoreImportTotalViewModel> TopStores { get; set; } = new();
+
+    /// <summary>
+    /// Stores with the lowest balance, lowest first.
+    /// </summary>
+    public List<StoreImportTotalViewModel> BottomStores { get; set; } = new();
+}
+
+/// <summary>
+/// Income and expense totals of one day.
+/// </summary>
+public class DailyFlowViewModel
+{
+    /// <summary>
+    /// The day.
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    /// <summary>
+    /// Number of transactions on this day.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Sum of income transactions.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Sum of expense transactions.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Income minus expenses.
+    /// </summary>
+    public decimal NetAmount { get; set; }
 }
\ No newline at end of file
@@ -2,6 +2,7 @@
 // File: backend/src/CnabProcessor.Api/ViewModels/StoreBalanceViewModel.cs
 // ========================================
 
+using System;
 using System.Collections.Generic;
 
 namespace CnabProcessor.Api.ViewModels;
@@ -36,6 +37,21 @@ public class StoreBalanceViewModel
     /// </summary>
     public int TransactionCount { get; set; }
 
+    /// <summary>
+    /// Number of manual adjustments (entries and reversals) of the store.
+    /// </summary>
+    public int AdjustmentCount { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the latest manual adjustment; null when there is none.
+    /// </summary>
+    public DateTime? LastAdjustedAt { get; set; }
+
+    /// <summary>
+    /// Number of anomaly alerts of the store not acknowledged yet.
+    /// </summary>
+    public int OpenAlertCount { get; set; }
+
     /// <summary>
     /// List of all transactions for this store.
     /// </summary>
@@ -0,0 +1,161 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/StoreTimeSeriesViewModel.cs
+// ========================================
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// View model for the store detail page: balance over time, breakdown by type,
+/// owners and cards seen, and the last month compared with the one before.
+/// </summary>
+public class StoreTimeSeriesViewModel
+{
+    /// <summary>
+    /// Store name.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Total number of transactions of the store.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Sum of income transactions.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Sum of expense transactions.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Current balance (income minus expenses).
+    /// </summary>
+    public decimal TotalBalance { get; set; }
+
+    /// <summary>
+    /// One point per day with transactions, oldest first, with the balance at the end of the day.
+    /// </summary>
+    public List<BalancePointViewModel> Points { get; set; } = new();
+
+    /// <summary>
+    /// Count and amount per transaction type, ordered by type code.
+    /// </summary>
+    public List<TypeImportTotalViewModel> TypeTotals { get; set; } = new();
+
+    /// <summary>
+    /// Distinct owner names, most used first.
+    /// </summary>
+    public List<ValueUsageViewModel> Owners { get; set; } = new();
+
+    /// <summary>
+    /// Distinct masked card numbers, most used first.
+    /// </summary>
+    public List<ValueUsageViewModel> Cards { get; set; } = new();
+
+    /// <summary>
+    /// Month of the reference date compared with the month before.
+    /// </summary>
+    public PeriodComparisonViewModel PeriodComparison { get; set; } = new();
+}
+
+/// <summary>
+/// Totals of one day and the balance at the end of it.
+/// </summary>
+public class BalancePointViewModel : DailyFlowViewModel
+{
+    /// <summary>
+    /// Store balance after the last transaction of the day.
+    /// </summary>
+    public decimal Balance { get; set; }
+}
+
+/// <summary>
+/// A distinct value (owner or card) seen in a store's transactions.
+/// </summary>
+public class ValueUsageViewModel
+{
+    /// <summary>
+    /// Owner name or masked card number.
+    /// </summary>
+    public string Value { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of transactions with this value.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Date of the first transaction with this value.
+    /// </summary>
+    public DateTime FirstSeen { get; set; }
+
+    /// <summary>
+    /// Date of the last transaction with this value.
+    /// </summary>
+    public DateTime LastSeen { get; set; }
+}
+
+/// <summary>
+/// Current period compared with the previous one.
+/// </summary>
+public class PeriodComparisonViewModel
+{
+    /// <summary>
+    /// The month of the reference date.
+    /// </summary>
+    public PeriodTotalsViewModel Current { get; set; } = new();
+
+    /// <summary>
+    /// The month before.
+    /// </summary>
+    public PeriodTotalsViewModel Previous { get; set; } = new();
+
+    /// <summary>
+    /// Current net amount minus previous net amount.
+    /// </summary>
+    public decimal NetAmountChange { get; set; }
+
+    /// <summary>
+    /// Change of the net amount in percent of the previous one (null when the previous one is zero).
+    /// </summary>
+    public decimal? NetAmountChangePercent { get; set; }
+}
+
+/// <summary>
+/// Totals of the transactions in a date range.
+/// </summary>
+public class PeriodTotalsViewModel
+{
+    /// <summary>
+    /// First day of the period.
+    /// </summary>
+    public DateTime From { get; set; }
+
+    /// <summary>
+    /// Last day of the period (inclusive).
+    /// </summary>
+    public DateTime To { get; set; }
+
+    /// <summary>
+    /// Number of transactions in the period.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Sum of income transactions.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Sum of expense transactions.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Income minus expenses.
+    /// </summary>
+    public decimal NetAmount { get; set; }
+}
@@ -0,0 +1,70 @@
+﻿// ========================================
+// File: backend/src/CnabProcessor.Api/ViewModels/TransactionEventViewModel.cs
+// ========================================
+
+using System;
+using System.Collections.Generic;
+
+namespace CnabProcessor.Api.ViewModels;
+
+/// <summary>
+/// A change to the transactions, pushed to connected clients through GET /api/cnab/events.
+/// </summary>
+public class TransactionEventViewModel
+{
+    /// <summary>
+    /// "import-completed" after an upload, "transactions-deleted" after a rollback or delete-all,
+    /// "transactions-adjusted" after a manual entry or reversal.
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Event sequence number (also sent as the SSE id).
+    /// </summary>
+    public long Id { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the change.
+    /// </summary>
+    public DateTime OccurredAt { get; set; }
+
+    /// <summary>
+    /// Username of who made the change.
+    /// </summary>
+    public string User { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Import that was created or rolled back (null for delete-all and adjustments).
+    /// </summary>
+    public int? ImportBatchId { get; set; }
+
+    /// <summary>
+    /// File name of that import.
+    /// </summary>
+    public string? FileName { get; set; }
+
+    /// <summary>
+    /// Number of transactions created or deleted (0 for delete-all, 1 for an adjustment).
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Stores whose transactions changed; null when every store did (delete-all).
+    /// </summary>
+    public List<string>? StoreNames { get; set; }
+
+    /// <summary>
+    /// X-Client-Id header of the request that made the change, so that client can ignore its own events.
+    /// </summary>
+    public string? SourceClientId { get; set; }
+}
+
+/// <summary>
+/// Event type names.
+/// </summary>
+public static class TransactionEventTypes
+{
+    public const string ImportCompleted = "import-completed";
+    public const string TransactionsDeleted = "transactions-deleted";
+    public const string TransactionsAdjusted = "transactions-adjusted";
+}
@@ -2,12 +2,17 @@
 // File: backend/src/CnabProcessor.Api/ViewModels/TransactionViewModel.cs
 // ========================================
 
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Extensions;
 using System;
+using System.Text.Json.Serialization;
 
 namespace CnabProcessor.Api.ViewModels;
 
 /// <summary>
 /// View model for transaction data transfer to frontend.
+/// CPF and card number are always masked; administrators get the clear values
+/// one transaction at a time from /api/cnab/transactions/{id}/pii (audit-logged).
 /// </summary>
 public class TransactionViewModel
 {
@@ -39,7 +44,7 @@ public class TransactionViewModel
     public string Time { get; set; } = string.Empty;
 
     /// <summary>
-    /// Transaction amount (always positive).
+    /// Transaction amount (positive, except on reversal entries where it is negated).
     /// </summary>
     public decimal Amount { get; set; }
 
@@ -49,12 +54,12 @@ public class TransactionViewModel
     public decimal SignedAmount { get; set; }
 
     /// <summary>
-    /// Beneficiary's CPF.
+    /// Beneficiary's CPF, masked (e.g. 096.***.***-76).
     /// </summary>
     public string Cpf { get; set; } = string.Empty;
 
     /// <summary>
-    /// Card number used in transaction.
+    /// Card number used in transaction, masked down to its last four digits.
     /// </summary>
     public string CardNumber { get; set; } = string.Empty;
 
@@ -67,4 +72,54 @@ public class TransactionViewModel
     /// Store name.
     /// </summary>
     public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Store balance right after this transaction (date/time order).
+    /// Only sent when running balances were requested.
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public decimal? RunningBalance { get; set; }
+
+    /// <summary>
+    /// Entered by hand (manual entry or reversal) rather than imported from a CNAB file.
+    /// </summary>
+    public bool IsAdjustment { get; set; }
+
+    /// <summary>
+    /// Transaction offset by this reversal entry (null for other transactions).
+    /// </summary>
+    public int? ReversesTransactionId { get; set; }
+
+    /// <summary>
+    /// Reversal entry that offsets this transaction, if it was reversed.
+    /// Only filled by the paged endpoints.
+    /// </summary>
+    public int? ReversedByTransactionId { get; set; }
+
+    /// <summary>
+    /// Maps a transaction, masking its personal data.
+    /// </summary>
+    /// <param name="transaction">Stored transaction</param>
+    /// <param name="runningBalance">Balance after the transaction, when requested</param>
+    public static TransactionViewModel FromEntity(Transaction transaction, decimal? runningBalance = null)
+    {
+        return new TransactionViewModel
+        {
+            Id = transaction.Id,
+            Type = ((int)transaction.Type).ToString(),
+            TypeDescription = transaction.TypeDescription,
+            Nature = transaction.Nature.ToString(),
+            Date = transaction.Date,
+            Time = transaction.Time.ToString(@"hh\:mm\:ss"),
+            Amount = transaction.Amount,
+            SignedAmount = transaction.SignedAmount,
+            Cpf = transaction.Cpf.MaskCpf(),
+            CardNumber = transaction.CardNumber.MaskCardNumber(),
+            StoreOwner = transaction.StoreOwner,
+            StoreName = transaction.StoreName,
+            RunningBalance = runningBalance,
+            IsAdjustment = transaction.IsAdjustment,
+            ReversesTransactionId = transaction.ReversesTransactionId
+        };
+    }
 }
\ No newline at end of file
@@ -2,6 +2,8 @@
 // File: backend/src/CnabProcessor.Api/ViewModels/UploadResponseViewModel.cs
 // ========================================
 
+using System.Collections.Generic;
+
 namespace CnabProcessor.Api.ViewModels;
 
 /// <summary>
@@ -28,4 +30,267 @@ public class UploadResponseViewModel
     /// Original filename that was uploaded.
     /// </summary>
     public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Import batch created for this upload (null when nothing was imported).
+    /// </summary>
+    public int? ImportBatchId { get; set; }
+
+    /// <summary>
+    /// Number of lines skipped because they were already imported.
+    /// </summary>
+    public int DuplicatesSkipped { get; set; }
+
+    /// <summary>
+    /// Layout the file was read with: CNAB81, CNAB240 or CNAB400.
+    /// </summary>
+    public string Layout { get; set; } = string.Empty;
+
+    /// <summary>
+    /// File header (CNAB 240 and CNAB 400 only).
+    /// </summary>
+    public FileHeaderViewModel? Header { get; set; }
+
+    /// <summary>
+    /// Records read per kind and segment (header, details, trailers).
+    /// </summary>
+    public List<RecordCountViewModel> RecordCounts { get; set; } = new();
+
+    /// <summary>
+    /// Number of non-blank lines read from the file.
+    /// </summary>
+    public int LinesRead { get; set; }
+
+    /// <summary>
+    /// Number of lines parsed into valid transactions.
+    /// </summary>
+    public int LinesAccepted { get; set; }
+
+    /// <summary>
+    /// Number of lines rejected by the parser.
+    /// </summary>
+    public int LinesRejected { get; set; }
+
+    /// <summary>
+    /// Rejected lines with line number and reason.
+    /// </summary>
+    public List<RejectedLineViewModel> RejectedLines { get; set; } = new();
+
+    /// <summary>
+    /// Number of valid details that move no money (e.g. entry confirmations), not imported.
+    /// </summary>
+    public int LinesSkipped { get; set; }
+
+    /// <summary>
+    /// Whether the trailers are present and match the records; null for layouts without trailer.
+    /// Files that fail it are not imported.
+    /// </summary>
+    public bool? TrailerValid { get; set; }
+
+    /// <summary>
+    /// Counts and totals declared by the trailers, compared with the records read.
+    /// </summary>
+    public List<TrailerCheckViewModel> TrailerChecks { get; set; } = new();
+
+    /// <summary>
+    /// Number of accepted lines that break data quality rules (they were still imported).
+    /// </summary>
+    public int LinesFlagged { get; set; }
+
+    /// <summary>
+    /// Data quality rules broken by accepted lines, one entry per rule and line.
+    /// </summary>
+    public List<QualityWarningViewModel> QualityWarnings { get; set; } = new();
+
+    /// <summary>
+    /// Number of anomaly alerts triggered by the imported transactions (listed by /api/cnab/alerts).
+    /// </summary>
+    public int AlertsTriggered { get; set; }
+
+    /// <summary>
+    /// Imported totals grouped by store.
+    /// </summary>
+    public List<StoreImportTotalViewModel> StoreTotals { get; set; } = new();
+
+    /// <summary>
+    /// Imported totals grouped by transaction type.
+    /// </summary>
+    public List<TypeImportTotalViewModel> TypeTotals { get; set; } = new();
+}
+
+/// <summary>
+/// Header of a CNAB 240 or CNAB 400 file.
+/// </summary>
+public class FileHeaderViewModel
+{
+    /// <summary>
+    /// Bank code (e.g. 341).
+    /// </summary>
+    public string BankCode { get; set; } = string.Empty;
+
+    public string BankName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Company the collections belong to; the transactions are stored under this store name.
+    /// </summary>
+    public string CompanyName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// When the bank generated the file.
+    /// </summary>
+    public DateTime? GeneratedAt { get; set; }
+}
+
+/// <summary>
+/// Number of records of one kind (and segment) in the file.
+/// </summary>
+public class RecordCountViewModel
+{
+    /// <summary>
+    /// FileHeader, BatchHeader, Detail, BatchTrailer or FileTrailer.
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Segment of CNAB 240 details (e.g. "T"), null otherwise.
+    /// </summary>
+    public string? Segment { get; set; }
+
+    public int Count { get; set; }
+}
+
+/// <summary>
+/// A count or total declared by a trailer, compared with the records read.
+/// </summary>
+public class TrailerCheckViewModel
+{
+    /// <summary>
+    /// RecordCount, BatchCount, TitleCount or TitleTotal.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Batch of a CNAB 240 batch trailer, null for the file trailer.
+    /// </summary>
+    public int? Batch { get; set; }
+
+    /// <summary>
+    /// 1-based line number of the trailer.
+    /// </summary>
+    public int LineNumber { get; set; }
+
+    public decimal Declared { get; set; }
+
+    public decimal Computed { get; set; }
+
+    public bool IsValid { get; set; }
+}
+
+/// <summary>
+/// A CNAB line rejected during import.
+/// </summary>
+public class RejectedLineViewModel
+{
+    /// <summary>
+    /// 1-based line number in the uploaded file.
+    /// </summary>
+    public int LineNumber { get; set; }
+
+    /// <summary>
+    /// Reason the line was rejected.
+    /// </summary>
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Raw content of the line.
+    /// </summary>
+    public string Content { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// A data quality rule broken by an accepted CNAB line.
+/// </summary>
+public class QualityWarningViewModel
+{
+    /// <summary>
+    /// 1-based line number in the uploaded file.
+    /// </summary>
+    public int LineNumber { get; set; }
+
+    /// <summary>
+    /// Rule name: CpfChecksum, CardNumberFormat, ImplausibleDateTime or StoreOwnerMismatch.
+    /// </summary>
+    public string Rule { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Human-readable explanation.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Value the rule expected (the store's known owner for StoreOwnerMismatch).
+    /// </summary>
+    public string? ExpectedValue { get; set; }
+}
+
+/// <summary>
+/// Imported totals for a single store.
+/// </summary>
+public class StoreImportTotalViewModel
+{
+    /// <summary>
+    /// Name of the store.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of transactions imported for the store.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Sum of imported income transactions.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Sum of imported expense transactions.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Net amount imported (income - expenses).
+    /// </summary>
+    public decimal NetAmount { get; set; }
+}
+
+/// <summary>
+/// Imported totals for a single transaction type.
+/// </summary>
+public class TypeImportTotalViewModel
+{
+    /// <summary>
+    /// Transaction type number (1-9) as string.
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Human-readable description of the transaction type.
+    /// </summary>
+    public string TypeDescription { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Nature of the type: "Income" or "Expense".
+    /// </summary>
+    public string Nature { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of transactions imported with this type.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Sum of amounts imported with this type (always positive).
+    /// </summary>
+    public decimal TotalAmount { get; set; }
 }
\ No newline at end of file
@@ -0,0 +1,92 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/Alert.cs
+// Purpose: Anomaly alert triggered by an import
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// One anomaly found in imported transactions. Alerts are kept open until someone
+/// acknowledges them with a comment.
+/// </summary>
+public class Alert
+{
+    /// <summary>
+    /// Unique identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Rule that triggered the alert.
+    /// </summary>
+    public AlertRuleType Rule { get; set; }
+
+    /// <summary>
+    /// What the alert is about (rule, transaction, store, day...). Unique, so the same
+    /// anomaly is never reported twice by later imports.
+    /// </summary>
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Affected store.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Transaction that triggered the alert, for rules about a single transaction;
+    /// null for the others or once the transaction has been deleted.
+    /// </summary>
+    public int? TransactionId { get; set; }
+
+    /// <summary>
+    /// Import that triggered the alert (no foreign key: kept after the import is rolled back).
+    /// </summary>
+    public int? ImportBatchId { get; set; }
+
+    /// <summary>
+    /// Day of the anomaly.
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    /// <summary>
+    /// Description of the anomaly (card numbers masked).
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Value found (amount, net flow, number of stores or hour).
+    /// </summary>
+    public decimal Value { get; set; }
+
+    /// <summary>
+    /// Limit of the rule when the alert was triggered.
+    /// </summary>
+    public decimal Threshold { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the import that triggered the alert.
+    /// </summary>
+    public DateTime TriggeredAt { get; set; }
+
+    /// <summary>
+    /// Username of who acknowledged the alert; null while open.
+    /// </summary>
+    public string? AcknowledgedBy { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the acknowledgement; null while open.
+    /// </summary>
+    public DateTime? AcknowledgedAt { get; set; }
+
+    /// <summary>
+    /// Comment given when acknowledging.
+    /// </summary>
+    public string? Comment { get; set; }
+
+    /// <summary>
+    /// Whether someone has acknowledged the alert.
+    /// </summary>
+    public bool IsAcknowledged => AcknowledgedAt != null;
+}
@@ -0,0 +1,32 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/AlertPage.cs
+// Purpose: One page of anomaly alerts read from the database
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// One page of alerts plus the data needed to build pagination metadata.
+/// </summary>
+public class AlertPage
+{
+    /// <summary>
+    /// Alerts of the page, newest first.
+    /// </summary>
+    public List<Alert> Items { get; set; } = new();
+
+    /// <summary>
+    /// Page number actually returned (clamped to the last page).
+    /// </summary>
+    public int PageNumber { get; set; }
+
+    /// <summary>
+    /// Items per page.
+    /// </summary>
+    public int PageSize { get; set; }
+
+    /// <summary>
+    /// Number of alerts matching the query across all pages.
+    /// </summary>
+    public int TotalCount { get; set; }
+}
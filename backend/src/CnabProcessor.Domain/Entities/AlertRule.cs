@@ -0,0 +1,54 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/AlertRule.cs
+// Purpose: Settings of one anomaly alert rule
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Settings of an anomaly alert rule. Rules never saved use
+/// <see cref="Services.AnomalyRules.DefaultRules"/>.
+/// <list type="bullet">
+/// <item><see cref="AlertRuleType.LargeAmount"/>: Threshold is the amount; Window is not used.</item>
+/// <item><see cref="AlertRuleType.DailyFlowDeviation"/>: Threshold is how many times the trailing
+/// average the deviation may reach; Window is the number of trailing days.</item>
+/// <item><see cref="AlertRuleType.CardInManyStores"/>: Threshold is the number of stores;
+/// Window is in minutes.</item>
+/// <item><see cref="AlertRuleType.OutOfHours"/>: Threshold is the opening hour and Window the
+/// closing hour (0-24, CNAB time).</item>
+/// </list>
+/// </summary>
+public class AlertRule
+{
+    /// <summary>
+    /// The rule (primary key).
+    /// </summary>
+    public AlertRuleType Type { get; set; }
+
+    /// <summary>
+    /// Whether the rule is evaluated on imports.
+    /// </summary>
+    public bool IsEnabled { get; set; }
+
+    /// <summary>
+    /// Main limit of the rule.
+    /// </summary>
+    public decimal Threshold { get; set; }
+
+    /// <summary>
+    /// Second setting of the rule (days, minutes or closing hour).
+    /// </summary>
+    public int Window { get; set; }
+
+    /// <summary>
+    /// Username of who last changed the rule; null for the defaults.
+    /// </summary>
+    public string? UpdatedBy { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the last change; null for the defaults.
+    /// </summary>
+    public DateTime? UpdatedAt { get; set; }
+}
@@ -0,0 +1,32 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/BulkInsertProgress.cs
+// Purpose: Progress of a batched bulk insert
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Reported after each batch of a bulk insert is saved.
+/// </summary>
+public class BulkInsertProgress
+{
+    /// <summary>
+    /// Batch just saved (1-based).
+    /// </summary>
+    public int BatchNumber { get; init; }
+
+    /// <summary>
+    /// Number of batches in the insert.
+    /// </summary>
+    public int BatchCount { get; init; }
+
+    /// <summary>
+    /// Records saved so far.
+    /// </summary>
+    public int InsertedCount { get; init; }
+
+    /// <summary>
+    /// Records to save in total.
+    /// </summary>
+    public int TotalCount { get; init; }
+}
@@ -0,0 +1,61 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/ClosedPeriod.cs
+// Purpose: Date range closed by the accountants after reconciliation
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// A closed accounting period. Transactions dated inside it are locked:
+/// files with transactions in the period cannot be imported, and its transactions
+/// cannot be deleted (rollback or delete all) until the period is reopened.
+/// Periods apply to every store.
+/// </summary>
+public class ClosedPeriod
+{
+    /// <summary>
+    /// Unique identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// First day of the period (inclusive).
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Last day of the period (inclusive).
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// Username of who closed the period.
+    /// </summary>
+    public string ClosedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) when the period was closed.
+    /// </summary>
+    public DateTime ClosedAt { get; set; }
+
+    /// <summary>
+    /// Optional note, e.g. the bank statement the period was reconciled against.
+    /// </summary>
+    public string? Note { get; set; }
+
+    /// <summary>
+    /// Whether a transaction date falls inside the period.
+    /// </summary>
+    public bool Contains(DateTime date) => date.Date >= StartDate.Date && date.Date <= EndDate.Date;
+
+    /// <summary>
+    /// Whether the period shares at least one day with the given range.
+    /// </summary>
+    public bool Overlaps(DateTime startDate, DateTime endDate) =>
+        StartDate.Date <= endDate.Date && EndDate.Date >= startDate.Date;
+
+    /// <summary>
+    /// The range as shown in messages, e.g. "2019-03-01 to 2019-03-31".
+    /// </summary>
+    public override string ToString() => $"{StartDate:yyyy-MM-dd} to {EndDate:yyyy-MM-dd}";
+}
@@ -0,0 +1,193 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/CnabParseResult.cs
+// Purpose: Line-level outcome of parsing a CNAB file
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Result of parsing a CNAB file, including the lines that were rejected and why.
+/// </summary>
+public class CnabParseResult
+{
+    /// <summary>
+    /// Transactions parsed from valid lines.
+    /// </summary>
+    public List<Transaction> Transactions { get; set; } = new();
+
+    /// <summary>
+    /// Lines that could not be turned into a valid transaction.
+    /// </summary>
+    public List<CnabLineError> RejectedLines { get; set; } = new();
+
+    /// <summary>
+    /// Data quality rules broken by accepted lines (one entry per rule and line).
+    /// Those lines are still imported.
+    /// </summary>
+    public List<CnabLineWarning> Warnings { get; set; } = new();
+
+    /// <summary>
+    /// Number of non-blank lines read from the file.
+    /// </summary>
+    public int LinesRead { get; set; }
+
+    /// <summary>
+    /// Number of lines accepted as valid transactions.
+    /// </summary>
+    public int LinesAccepted => Transactions.Count;
+
+    /// <summary>
+    /// Number of lines rejected.
+    /// </summary>
+    public int LinesRejected => RejectedLines.Count;
+
+    /// <summary>
+    /// Number of accepted lines with at least one data quality warning.
+    /// </summary>
+    public int LinesFlagged => Warnings.Select(w => w.LineNumber).Distinct().Count();
+
+    /// <summary>
+    /// Name of the layout the file was read with (see CnabLayouts).
+    /// </summary>
+    public string Layout { get; set; } = string.Empty;
+
+    /// <summary>
+    /// File header, for layouts that have one.
+    /// </summary>
+    public CnabFileHeader? Header { get; set; }
+
+    /// <summary>
+    /// Records read, per kind and segment, in the order first seen.
+    /// </summary>
+    public List<CnabRecordCount> RecordCounts { get; set; } = new();
+
+    /// <summary>
+    /// Number of valid details that move no money (e.g. entry confirmations), not imported.
+    /// </summary>
+    public int LinesSkipped { get; set; }
+
+    /// <summary>
+    /// Whether the file trailer was read; null for layouts without one.
+    /// </summary>
+    public bool? TrailerFound { get; set; }
+
+    /// <summary>
+    /// Counts and totals declared by the trailers, compared with the records read.
+    /// </summary>
+    public List<CnabTrailerCheck> TrailerChecks { get; set; } = new();
+
+    /// <summary>
+    /// Whether the trailer is present and every check matches; null for layouts without one.
+    /// </summary>
+    public bool? TrailerValid => TrailerFound == null
+        ? null
+        : TrailerFound.Value && TrailerChecks.All(c => c.IsValid);
+
+    /// <summary>
+    /// Counts a record read.
+    /// </summary>
+    public void CountRecord(CnabRecordKind kind, string? segment)
+    {
+        var count = RecordCounts.FirstOrDefault(c => c.Kind == kind && c.Segment == segment);
+        if (count == null)
+        {
+            count = new CnabRecordCount { Kind = kind, Segment = segment };
+            RecordCounts.Add(count);
+        }
+
+        count.Count++;
+    }
+}
+
+/// <summary>
+/// Header of a CNAB 240 or CNAB 400 file.
+/// </summary>
+public class CnabFileHeader
+{
+    public string BankCode { get; set; } = string.Empty;
+
+    public string BankName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Company the collections belong to; its transactions are stored under this store name.
+    /// </summary>
+    public string CompanyName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// When the bank generated the file (CNAB 400 headers have no time).
+    /// </summary>
+    public DateTime? GeneratedAt { get; set; }
+}
+
+/// <summary>
+/// Number of records of one kind (and segment) in a file.
+/// </summary>
+public class CnabRecordCount
+{
+    public CnabRecordKind Kind { get; set; }
+
+    public string? Segment { get; set; }
+
+    public int Count { get; set; }
+}
+
+/// <summary>
+/// A count or total declared by a trailer, compared with the one computed from the records.
+/// </summary>
+public class CnabTrailerCheck
+{
+    /// <summary>
+    /// What is compared: RecordCount, BatchCount, TitleCount or TitleTotal.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Batch number for the checks of a batch trailer, null for the file trailer.
+    /// </summary>
+    public int? Batch { get; set; }
+
+    /// <summary>
+    /// 1-based line number of the trailer.
+    /// </summary>
+    public int LineNumber { get; set; }
+
+    public decimal Declared { get; set; }
+
+    public decimal Computed { get; set; }
+
+    public bool IsValid => Declared == Computed;
+}
+
+/// <summary>
+/// Describes a CNAB line that was rejected by the parser.
+/// </summary>
+public class CnabLineError
+{
+    /// <summary>
+    /// 1-based line number in the original file.
+    /// </summary>
+    public int LineNumber { get; set; }
+
+    /// <summary>
+    /// Reason the line was rejected.
+    /// </summary>
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Raw content of the rejected line.
+    /// </summary>
+    public string Content { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// A data quality rule broken by an accepted CNAB line.
+/// </summary>
+public class CnabLineWarning : DataQualityIssue
+{
+    /// <summary>
+    /// 1-based line number in the original file.
+    /// </summary>
+    public int LineNumber { get; set; }
+}
@@ -0,0 +1,32 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/CnabRecord.cs
+// Purpose: One record of a CNAB file as read by its layout
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// What a layout reader found in a line.
+/// </summary>
+public class CnabRecord
+{
+    public CnabRecordKind Kind { get; set; }
+
+    /// <summary>
+    /// Segment of a CNAB 240 detail (e.g. "T"), null otherwise.
+    /// </summary>
+    public string? Segment { get; set; }
+
+    /// <summary>
+    /// Transaction completed by this record. Null for headers and trailers, details that move
+    /// no money, and the first segment of a pair (the transaction comes with the second).
+    /// </summary>
+    public Transaction? Transaction { get; set; }
+
+    /// <summary>
+    /// Why a detail is not imported (e.g. an entry confirmation), null otherwise.
+    /// </summary>
+    public string? SkipReason { get; set; }
+}
@@ -0,0 +1,38 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/DailyTotal.cs
+// Purpose: Income and expense totals of one calendar day
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Income and expense totals of all transactions on one day.
+/// Used by the statistics dashboard (daily net flow).
+/// </summary>
+public class DailyTotal
+{
+    /// <summary>
+    /// The day (time part is always midnight).
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    /// <summary>
+    /// Number of transactions on this day.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Sum of income transactions.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Sum of expense transactions.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Income minus expenses.
+    /// </summary>
+    public decimal NetAmount => TotalIncome - TotalExpenses;
+}
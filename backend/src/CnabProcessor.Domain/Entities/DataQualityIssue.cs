@@ -0,0 +1,45 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/DataQualityIssue.cs
+// Purpose: A data quality rule broken by a transaction
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// A data quality rule broken by a transaction.
+/// </summary>
+public class DataQualityIssue
+{
+    /// <summary>
+    /// Rule that was broken.
+    /// </summary>
+    public DataQualityRule Rule { get; set; }
+
+    /// <summary>
+    /// Human-readable explanation (English).
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Value the rule expected, when there is one (the store's known owner for StoreOwnerMismatch).
+    /// </summary>
+    public string? ExpectedValue { get; set; }
+}
+
+/// <summary>
+/// A stored transaction that breaks a data quality rule.
+/// </summary>
+public class DataQualityFinding
+{
+    /// <summary>
+    /// The suspicious transaction.
+    /// </summary>
+    public Transaction Transaction { get; set; } = null!;
+
+    /// <summary>
+    /// Rule it breaks (a transaction breaking several rules has one finding per rule).
+    /// </summary>
+    public DataQualityIssue Issue { get; set; } = null!;
+}
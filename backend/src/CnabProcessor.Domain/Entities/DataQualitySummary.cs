@@ -0,0 +1,29 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/DataQualitySummary.cs
+// Purpose: Number of stored transactions breaking each data quality rule
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Data quality counts of the stored transactions, computed by the database.
+/// </summary>
+public class DataQualitySummary
+{
+    /// <summary>
+    /// Number of transactions checked.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Number of transactions breaking at least one rule.
+    /// </summary>
+    public int FlaggedTransactionCount { get; set; }
+
+    /// <summary>
+    /// Number of transactions breaking each rule (every rule present, 0 included).
+    /// </summary>
+    public Dictionary<DataQualityRule, int> RuleCounts { get; set; } = new();
+}
@@ -0,0 +1,48 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/ExpectedStoreTotals.cs
+// Purpose: Totals of a store and date range taken from the bank statement
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// What the bank statement says a store moved in a date range.
+/// Totals that are not given are not compared.
+/// </summary>
+public class ExpectedStoreTotals
+{
+    /// <summary>
+    /// Store name (compared without case).
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// First day of the range (inclusive).
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Last day of the range (inclusive).
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// Expected total income.
+    /// </summary>
+    public decimal? TotalIncome { get; set; }
+
+    /// <summary>
+    /// Expected total expenses (positive number).
+    /// </summary>
+    public decimal? TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Expected balance (income - expenses).
+    /// </summary>
+    public decimal? TotalBalance { get; set; }
+
+    /// <summary>
+    /// Expected number of transactions.
+    /// </summary>
+    public int? TransactionCount { get; set; }
+}
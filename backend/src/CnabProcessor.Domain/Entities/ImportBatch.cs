@@ -0,0 +1,48 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/ImportBatch.cs
+// Purpose: Records each CNAB file imported into the system
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Represents one CNAB file upload and the transactions it created.
+/// Used to detect files that were already imported.
+/// </summary>
+public class ImportBatch
+{
+    /// <summary>
+    /// Unique identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Original filename that was uploaded.
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// SHA-256 hash of the file content (lowercase hex).
+    /// </summary>
+    public string FileHash { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of who uploaded the file.
+    /// </summary>
+    public string UploadedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) when the file was imported.
+    /// </summary>
+    public DateTime ImportedAt { get; set; }
+
+    /// <summary>
+    /// Number of transactions created by this import.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Layout the file was read with (e.g. CNAB240, see CnabLayouts).
+    /// </summary>
+    public string Layout { get; set; } = "CNAB81";
+}
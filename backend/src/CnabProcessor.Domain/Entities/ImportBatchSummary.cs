@@ -0,0 +1,38 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/ImportBatchSummary.cs
+// Purpose: Import batch with the totals of the transactions it still owns
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// An import batch together with the totals of its transactions.
+/// Used by the import history screen.
+/// </summary>
+public class ImportBatchSummary
+{
+    /// <summary>
+    /// The import batch.
+    /// </summary>
+    public ImportBatch Batch { get; set; } = new();
+
+    /// <summary>
+    /// Number of transactions currently stored for this batch.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Total income of the batch transactions.
+    /// </summary>
+    public decimal TotalIncome { get; set; }
+
+    /// <summary>
+    /// Total expenses of the batch transactions.
+    /// </summary>
+    public decimal TotalExpenses { get; set; }
+
+    /// <summary>
+    /// Net amount (income - expenses).
+    /// </summary>
+    public decimal NetAmount => TotalIncome - TotalExpenses;
+}
@@ -0,0 +1,38 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/PiiReveal.cs
+// Purpose: Audit record of a clear CPF / card number shown to a user
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// One reveal of a transaction's clear CPF and card number. Records are never
+/// changed or deleted, and survive the deletion of the transaction itself.
+/// </summary>
+public class PiiReveal
+{
+    /// <summary>
+    /// Unique identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Transaction whose personal data was revealed (no foreign key: kept after the transaction is deleted).
+    /// </summary>
+    public int TransactionId { get; set; }
+
+    /// <summary>
+    /// Store of the transaction, so the record still means something once the transaction is gone.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of who revealed the data.
+    /// </summary>
+    public string RevealedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) of the reveal.
+    /// </summary>
+    public DateTime RevealedAt { get; set; }
+}
@@ -0,0 +1,62 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/ReconciliationResult.cs
+// Purpose: Expected store totals compared with the imported transactions
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// The outcome of reconciling one <see cref="ExpectedStoreTotals"/> entry.
+/// Amounts are compared exactly (both sides have two decimal places).
+/// </summary>
+public class ReconciliationResult
+{
+    /// <summary>
+    /// The expected totals that were checked.
+    /// </summary>
+    public ExpectedStoreTotals Expected { get; set; } = new();
+
+    /// <summary>
+    /// Totals computed from the stored transactions of the store in the range
+    /// (zero when the store has none).
+    /// </summary>
+    public StoreBalance Actual { get; set; } = new();
+
+    /// <summary>
+    /// Names of the totals that differ: TotalIncome, TotalExpenses, TotalBalance, TransactionCount.
+    /// </summary>
+    public List<string> Mismatches { get; set; } = new();
+
+    /// <summary>
+    /// True when every expected total matches.
+    /// </summary>
+    public bool IsMatch => Mismatches.Count == 0;
+
+    /// <summary>
+    /// Compares expected totals with the computed ones.
+    /// </summary>
+    /// <param name="expected">Totals from the bank statement</param>
+    /// <param name="actual">Computed totals of the store in the range, or null when it has no transactions</param>
+    public static ReconciliationResult Compare(ExpectedStoreTotals expected, StoreBalance? actual)
+    {
+        var result = new ReconciliationResult
+        {
+            Expected = expected,
+            Actual = actual ?? new StoreBalance { StoreName = expected.StoreName }
+        };
+
+        if (expected.TotalIncome.HasValue && expected.TotalIncome.Value != result.Actual.TotalIncome)
+            result.Mismatches.Add(nameof(StoreBalance.TotalIncome));
+
+        if (expected.TotalExpenses.HasValue && expected.TotalExpenses.Value != result.Actual.TotalExpenses)
+            result.Mismatches.Add(nameof(StoreBalance.TotalExpenses));
+
+        if (expected.TotalBalance.HasValue && expected.TotalBalance.Value != result.Actual.TotalBalance)
+            result.Mismatches.Add(nameof(StoreBalance.TotalBalance));
+
+        if (expected.TransactionCount.HasValue && expected.TransactionCount.Value != result.Actual.TransactionCount)
+            result.Mismatches.Add(nameof(StoreBalance.TransactionCount));
+
+        return result;
+    }
+}
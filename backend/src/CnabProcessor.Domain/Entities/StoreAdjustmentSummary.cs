@@ -0,0 +1,27 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/StoreAdjustmentSummary.cs
+// Purpose: Number of manual adjustments of a store (shown on the store cards)
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Manual adjustments of one store, aggregated by the database.
+/// </summary>
+public class StoreAdjustmentSummary
+{
+    /// <summary>
+    /// Store name.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of adjustments (entries and reversals).
+    /// </summary>
+    public int AdjustmentCount { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the latest adjustment.
+    /// </summary>
+    public DateTime LastAdjustedAt { get; set; }
+}
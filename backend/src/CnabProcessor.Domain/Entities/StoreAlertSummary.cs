@@ -0,0 +1,27 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/StoreAlertSummary.cs
+// Purpose: Number of open anomaly alerts of a store (shown on the store cards)
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Open alerts of one store, aggregated by the database.
+/// </summary>
+public class StoreAlertSummary
+{
+    /// <summary>
+    /// Store name.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of alerts not acknowledged yet.
+    /// </summary>
+    public int OpenAlertCount { get; set; }
+
+    /// <summary>
+    /// Timestamp (UTC) of the latest open alert.
+    /// </summary>
+    public DateTime LastTriggeredAt { get; set; }
+}
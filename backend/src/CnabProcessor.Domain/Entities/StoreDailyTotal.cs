@@ -0,0 +1,18 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/StoreDailyTotal.cs
+// Purpose: Income and expense totals of one store on one calendar day
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Income and expense totals of one store's transactions on one day.
+/// Used by the daily net flow alert rule.
+/// </summary>
+public class StoreDailyTotal : DailyTotal
+{
+    /// <summary>
+    /// Store name.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+}
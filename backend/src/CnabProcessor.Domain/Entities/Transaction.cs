@@ -29,6 +29,7 @@ public class Transaction
 
     /// <summary>
     /// Transaction amount in decimal format (already divided by 100).
+    /// Negative only on reversal entries, so they offset the reversed transaction in every total.
     /// </summary>
     public decimal Amount { get; set; }
 
@@ -62,6 +63,38 @@ public class Transaction
     /// </summary>
     public DateTime CreatedAt { get; set; }
 
+    /// <summary>
+    /// Import batch (uploaded file) that created this transaction.
+    /// </summary>
+    public int? ImportBatchId { get; set; }
+
+    /// <summary>
+    /// SHA-256 hash of the normalized CNAB line (lowercase hex).
+    /// Used to detect lines that were already imported.
+    /// </summary>
+    public string? LineHash { get; set; }
+
+    /// <summary>
+    /// Entered by hand (manual entry or reversal, see TransactionAdjustment) rather than imported.
+    /// </summary>
+    public bool IsAdjustment { get; set; }
+
+    /// <summary>
+    /// Transaction offset by this reversal entry (null for other transactions).
+    /// A transaction can be reversed only once.
+    /// </summary>
+    public int? ReversesTransactionId { get; set; }
+
+    /// <summary>
+    /// Breaks the CPF check digits rule (set by DataQualityRules.Stamp before saving).
+    /// </summary>
+    public bool HasInvalidCpf { get; set; }
+
+    /// <summary>
+    /// Breaks the card number format rule (set by DataQualityRules.Stamp before saving).
+    /// </summary>
+    public bool HasInvalidCardNumber { get; set; }
+
     // ===== COMPUTED PROPERTIES =====
 
     /// <summary>
@@ -132,6 +165,28 @@ public class Transaction
         };
     }
 
+    /// <summary>
+    /// Creates the entry that offsets this transaction: same type, store, owner, CPF, card
+    /// and time, with the amount negated, so any total including both nets to zero.
+    /// </summary>
+    /// <param name="date">Date of the reversal entry</param>
+    public Transaction CreateReversal(DateTime date)
+    {
+        return new Transaction
+        {
+            Type = Type,
+            Date = date.Date,
+            Time = Time,
+            Amount = -Amount,
+            Cpf = Cpf,
+            CardNumber = CardNumber,
+            StoreOwner = StoreOwner,
+            StoreName = StoreName,
+            IsAdjustment = true,
+            ReversesTransactionId = Id
+        };
+    }
+
     /// <summary>
     /// Validates if the transaction has all required fields.
     /// </summary>
@@ -0,0 +1,86 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/TransactionAdjustment.cs
+// Purpose: Audit record of a transaction entered or reversed by hand
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// One manual adjustment: who created which entry, and why. Records are never changed
+/// or deleted; the values of the entry are copied so they survive its deletion.
+/// </summary>
+public class TransactionAdjustment
+{
+    /// <summary>
+    /// Unique identifier.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Manual entry or reversal.
+    /// </summary>
+    public AdjustmentKind Kind { get; set; }
+
+    /// <summary>
+    /// Transaction created by the adjustment; null once it has been deleted
+    /// (rollback or delete-all).
+    /// </summary>
+    public int? TransactionId { get; set; }
+
+    /// <summary>
+    /// Transaction created by the adjustment (set when adding, so both are saved together).
+    /// </summary>
+    public Transaction? Transaction { get; set; }
+
+    /// <summary>
+    /// Transaction offset by a reversal (no foreign key: kept after that transaction is deleted).
+    /// </summary>
+    public int? ReversedTransactionId { get; set; }
+
+    /// <summary>
+    /// Store of the entry.
+    /// </summary>
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Store owner of the entry.
+    /// </summary>
+    public string StoreOwner { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Transaction type of the entry.
+    /// </summary>
+    public TransactionType Type { get; set; }
+
+    /// <summary>
+    /// Amount of the entry (negative for reversals, see <see cref="Entities.Transaction.Amount"/>).
+    /// </summary>
+    public decimal Amount { get; set; }
+
+    /// <summary>
+    /// Date of the entry.
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    /// <summary>
+    /// Why the adjustment was made (mandatory).
+    /// </summary>
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of who made the adjustment.
+    /// </summary>
+    public string CreatedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp (UTC) of the adjustment.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Signed amount of the entry (positive for income, negative for expense).
+    /// </summary>
+    public decimal SignedAmount => new Transaction { Type = Type, Amount = Amount }.SignedAmount;
+}
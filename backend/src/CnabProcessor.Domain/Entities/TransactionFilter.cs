@@ -0,0 +1,113 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/TransactionFilter.cs
+// Purpose: Search criteria shared by the transaction listing endpoints
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Optional search criteria for transactions. Every criterion that is set must match;
+/// unset criteria are ignored. Bound from the query string by the API and translated
+/// to SQL by the repository.
+/// </summary>
+public class TransactionFilter
+{
+    /// <summary>
+    /// First transaction date to include (inclusive).
+    /// </summary>
+    public DateTime? DateFrom { get; set; }
+
+    /// <summary>
+    /// Last transaction date to include (inclusive).
+    /// </summary>
+    public DateTime? DateTo { get; set; }
+
+    /// <summary>
+    /// Only these transaction types, when not empty.
+    /// </summary>
+    public List<TransactionType> Types { get; set; } = new();
+
+    /// <summary>
+    /// Only income or only expense transactions, when set.
+    /// </summary>
+    public TransactionNature? Nature { get; set; }
+
+    /// <summary>
+    /// CPF digits to search for (formatting characters are ignored). All 11 digits match exactly;
+    /// fewer match partially and are only accepted from administrators.
+    /// </summary>
+    public string? Cpf { get; set; }
+
+    /// <summary>
+    /// Last digits of the masked card number (e.g. "3153").
+    /// </summary>
+    public string? CardSuffix { get; set; }
+
+    /// <summary>
+    /// Store owner name (case-insensitive, partial match).
+    /// </summary>
+    public string? StoreOwner { get; set; }
+
+    /// <summary>
+    /// Store name (case-insensitive, partial match).
+    /// </summary>
+    public string? StoreName { get; set; }
+
+    /// <summary>
+    /// Minimum transaction amount (inclusive, unsigned).
+    /// </summary>
+    public decimal? MinAmount { get; set; }
+
+    /// <summary>
+    /// Maximum transaction amount (inclusive, unsigned).
+    /// </summary>
+    public decimal? MaxAmount { get; set; }
+
+    /// <summary>
+    /// CPF with formatting characters removed, or null when no CPF criterion is set.
+    /// </summary>
+    public string? CpfDigits
+    {
+        get
+        {
+            if (string.IsNullOrWhiteSpace(Cpf))
+                return null;
+
+            var digits = new string(Cpf.Where(char.IsDigit).ToArray());
+            return digits.Length > 0 ? digits : null;
+        }
+    }
+
+    /// <summary>
+    /// Whether any criterion is set.
+    /// </summary>
+    public bool HasCriteria =>
+        DateFrom.HasValue ||
+        DateTo.HasValue ||
+        Types.Count > 0 ||
+        Nature.HasValue ||
+        CpfDigits != null ||
+        !string.IsNullOrWhiteSpace(CardSuffix) ||
+        !string.IsNullOrWhiteSpace(StoreOwner) ||
+        !string.IsNullOrWhiteSpace(StoreName) ||
+        MinAmount.HasValue ||
+        MaxAmount.HasValue;
+
+    /// <summary>
+    /// Validates ranges and values that cannot match anything.
+    /// </summary>
+    /// <exception cref="ArgumentException">When a range is inverted or an amount is negative</exception>
+    public void Validate()
+    {
+        if (DateFrom.HasValue && DateTo.HasValue && DateFrom.Value.Date > DateTo.Value.Date)
+            throw new ArgumentException("dateFrom must be on or before dateTo");
+
+        if (MinAmount < 0 || MaxAmount < 0)
+            throw new ArgumentException("Amount filters must not be negative");
+
+        if (MinAmount.HasValue && MaxAmount.HasValue && MinAmount.Value > MaxAmount.Value)
+            throw new ArgumentException("minAmount must be less than or equal to maxAmount");
+    }
+}
@@ -0,0 +1,65 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/TransactionPage.cs
+// Purpose: One page of transactions read from the database
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// One page of transactions plus the data needed to build pagination metadata.
+/// </summary>
+public class TransactionPage
+{
+    /// <summary>
+    /// Transactions of the page.
+    /// </summary>
+    public List<Transaction> Items { get; set; } = new();
+
+    /// <summary>
+    /// Page number actually returned (clamped to the last page).
+    /// </summary>
+    public int PageNumber { get; set; }
+
+    /// <summary>
+    /// Items per page.
+    /// </summary>
+    public int PageSize { get; set; }
+
+    /// <summary>
+    /// Number of transactions matching the query across all pages.
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Signed sum of the matching transactions that come before the earliest one on this page
+    /// (by date, time and id). Null unless running balances were requested.
+    /// </summary>
+    public decimal? OpeningBalance { get; set; }
+
+    /// <summary>
+    /// Balance right after each transaction of the page, in the same order as <see cref="Items"/>.
+    /// </summary>
+    /// <returns>One balance per item, or null when <see cref="OpeningBalance"/> is not set</returns>
+    public IReadOnlyList<decimal>? GetRunningBalances()
+    {
+        if (!OpeningBalance.HasValue)
+            return null;
+
+        var balances = new decimal[Items.Count];
+        var balance = OpeningBalance.Value;
+
+        // Accumulate in chronological order whatever the page order is
+        var chronological = Enumerable.Range(0, Items.Count)
+            .OrderBy(i => Items[i].Date)
+            .ThenBy(i => Items[i].Time)
+            .ThenBy(i => Items[i].Id);
+
+        foreach (var index in chronological)
+        {
+            balance += Items[index].SignedAmount;
+            balances[index] = balance;
+        }
+
+        return balances;
+    }
+}
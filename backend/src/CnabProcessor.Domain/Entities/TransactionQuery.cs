@@ -0,0 +1,76 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/TransactionQuery.cs
+// Purpose: Criteria for paged transaction queries
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Criteria for a paged transaction query, translated to SQL by the repository.
+/// </summary>
+public class TransactionQuery
+{
+    /// <summary>
+    /// Maximum page size accepted by the API.
+    /// </summary>
+    public const int MaxPageSize = 100;
+
+    /// <summary>
+    /// Page size used when the requested one is invalid.
+    /// </summary>
+    public const int DefaultPageSize = 10;
+
+    /// <summary>
+    /// Page number (1-based).
+    /// </summary>
+    public int PageNumber { get; set; } = 1;
+
+    /// <summary>
+    /// Items per page.
+    /// </summary>
+    public int PageSize { get; set; } = DefaultPageSize;
+
+    /// <summary>
+    /// Only transactions of this store (exact match), when set.
+    /// </summary>
+    public string? StoreName { get; set; }
+
+    /// <summary>
+    /// Only transactions created by this import batch, when set.
+    /// </summary>
+    public int? ImportBatchId { get; set; }
+
+    /// <summary>
+    /// Additional search criteria, when set.
+    /// </summary>
+    public TransactionFilter? Filter { get; set; }
+
+    /// <summary>
+    /// Field to order by (default: date, then time).
+    /// </summary>
+    public TransactionSortField SortBy { get; set; } = TransactionSortField.Date;
+
+    /// <summary>
+    /// Sort direction (default: newest first).
+    /// </summary>
+    public SortDirection SortDirection { get; set; } = SortDirection.Desc;
+
+    /// <summary>
+    /// Also computes the balance before the page (TransactionPage.OpeningBalance)
+    /// so running balances can be shown. Only honoured when sorting by date.
+    /// </summary>
+    public bool IncludeRunningBalance { get; set; }
+
+    /// <summary>
+    /// Clamps page number and page size to valid values
+    /// (same rules as the in-memory PagedResult used by the API).
+    /// </summary>
+    public void Normalize()
+    {
+        if (PageNumber < 1) PageNumber = 1;
+        if (PageSize < 1) PageSize = DefaultPageSize;
+        if (PageSize > MaxPageSize) PageSize = MaxPageSize;
+    }
+}
@@ -0,0 +1,39 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/TypeTotal.cs
+// Purpose: Transaction count and amount of one transaction type
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// Count and unsigned amount of all transactions of one type.
+/// </summary>
+public class TypeTotal
+{
+    /// <summary>
+    /// Transaction type.
+    /// </summary>
+    public TransactionType Type { get; set; }
+
+    /// <summary>
+    /// Number of transactions of this type.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Sum of the (unsigned) amounts.
+    /// </summary>
+    public decimal TotalAmount { get; set; }
+
+    /// <summary>
+    /// Nature of the type (same rule as Transaction.Nature).
+    /// </summary>
+    public TransactionNature Nature => new Transaction { Type = Type }.Nature;
+
+    /// <summary>
+    /// Human-readable description of the type.
+    /// </summary>
+    public string TypeDescription => new Transaction { Type = Type }.TypeDescription;
+}
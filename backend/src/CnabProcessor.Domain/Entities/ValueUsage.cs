@@ -0,0 +1,33 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Entities/ValueUsage.cs
+// Purpose: How often and when a value (owner, card) appears in a store's transactions
+// ========================================
+
+namespace CnabProcessor.Domain.Entities;
+
+/// <summary>
+/// A distinct value seen in a store's transactions (e.g. an owner name or a masked card)
+/// with the number of transactions and the first and last day it appeared.
+/// </summary>
+public class ValueUsage
+{
+    /// <summary>
+    /// The value as stored (cards are already masked in the CNAB file).
+    /// </summary>
+    public string Value { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of transactions with this value.
+    /// </summary>
+    public int TransactionCount { get; set; }
+
+    /// <summary>
+    /// Date of the first transaction with this value.
+    /// </summary>
+    public DateTime FirstSeen { get; set; }
+
+    /// <summary>
+    /// Date of the last transaction with this value.
+    /// </summary>
+    public DateTime LastSeen { get; set; }
+}
@@ -0,0 +1,27 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Enums/AdjustmentKind.cs
+// Purpose: Enum for the kinds of manual transaction adjustments
+// ========================================
+
+using System.ComponentModel;
+
+namespace CnabProcessor.Domain.Enums;
+
+/// <summary>
+/// Kinds of manual adjustments. Stored transactions are never edited: a wrong one is
+/// reversed by an offsetting entry, then entered again if needed.
+/// </summary>
+public enum AdjustmentKind
+{
+    /// <summary>
+    /// New transaction entered by hand (e.g. a bank correction missing from the CNAB files).
+    /// </summary>
+    [Description("Manual entry")]
+    Entry = 1,
+
+    /// <summary>
+    /// Offsetting entry that cancels a stored transaction.
+    /// </summary>
+    [Description("Reversal")]
+    Reversal = 2
+}
@@ -0,0 +1,39 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Enums/AlertRuleType.cs
+// Purpose: Enum for the anomaly alert rules evaluated on every import
+// ========================================
+
+using System.ComponentModel;
+
+namespace CnabProcessor.Domain.Enums;
+
+/// <summary>
+/// Anomaly alert rules. Each rule has a threshold and a window whose meaning depends
+/// on the rule (see <see cref="Entities.AlertRule"/>).
+/// </summary>
+public enum AlertRuleType
+{
+    /// <summary>
+    /// A single transaction above an amount.
+    /// </summary>
+    [Description("Large amount")]
+    LargeAmount = 1,
+
+    /// <summary>
+    /// A store's daily net flow far from its trailing daily average.
+    /// </summary>
+    [Description("Unusual daily net flow")]
+    DailyFlowDeviation = 2,
+
+    /// <summary>
+    /// The same card used in many stores within a short time.
+    /// </summary>
+    [Description("Card used in many stores")]
+    CardInManyStores = 3,
+
+    /// <summary>
+    /// A transaction outside the business hours.
+    /// </summary>
+    [Description("Out-of-hours transaction")]
+    OutOfHours = 4
+}
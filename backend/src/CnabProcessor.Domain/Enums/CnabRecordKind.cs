@@ -0,0 +1,45 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Enums/CnabRecordKind.cs
+// Purpose: Enum for the kinds of records in a CNAB file
+// ========================================
+
+using System.ComponentModel;
+
+namespace CnabProcessor.Domain.Enums;
+
+/// <summary>
+/// Kinds of records of a CNAB file. The 81-character layout only has details; the FEBRABAN
+/// CNAB 240 and CNAB 400 return files wrap them in headers and trailers.
+/// </summary>
+public enum CnabRecordKind
+{
+    /// <summary>
+    /// First record of the file (bank, company, generation date).
+    /// </summary>
+    [Description("File header")]
+    FileHeader = 1,
+
+    /// <summary>
+    /// First record of a batch (CNAB 240 only).
+    /// </summary>
+    [Description("Batch header")]
+    BatchHeader = 2,
+
+    /// <summary>
+    /// Record carrying a movement. CNAB 240 splits it in segments (T and U for collections).
+    /// </summary>
+    [Description("Detail")]
+    Detail = 3,
+
+    /// <summary>
+    /// Last record of a batch, with its record count and totals (CNAB 240 only).
+    /// </summary>
+    [Description("Batch trailer")]
+    BatchTrailer = 4,
+
+    /// <summary>
+    /// Last record of the file, with its record count and totals.
+    /// </summary>
+    [Description("File trailer")]
+    FileTrailer = 5
+}
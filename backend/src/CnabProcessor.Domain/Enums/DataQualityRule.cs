@@ -0,0 +1,39 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Enums/DataQualityRule.cs
+// Purpose: Enum for the data quality rules checked on transactions
+// ========================================
+
+using System.ComponentModel;
+
+namespace CnabProcessor.Domain.Enums;
+
+/// <summary>
+/// Data quality rules (see DataQualityRules). A transaction breaking one is suspicious but
+/// still imported. The client pre-upload check uses the same names (frontend/src/services/dataQuality.js).
+/// </summary>
+public enum DataQualityRule
+{
+    /// <summary>
+    /// CPF without 11 digits or with wrong check digits.
+    /// </summary>
+    [Description("Invalid CPF check digits")]
+    CpfChecksum = 1,
+
+    /// <summary>
+    /// Card number not in the masked format 1234****5678.
+    /// </summary>
+    [Description("Malformed card number")]
+    CardNumberFormat = 2,
+
+    /// <summary>
+    /// Date before 2000 or date and time in the future.
+    /// </summary>
+    [Description("Implausible date or time")]
+    ImplausibleDateTime = 3,
+
+    /// <summary>
+    /// Owner other than the one known for the store.
+    /// </summary>
+    [Description("Unknown owner for the store")]
+    StoreOwnerMismatch = 4
+}
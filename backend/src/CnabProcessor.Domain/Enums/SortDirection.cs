@@ -0,0 +1,23 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Enums/SortDirection.cs
+// Purpose: Sort direction for list queries
+// ========================================
+
+namespace CnabProcessor.Domain.Enums;
+
+/// <summary>
+/// Sort direction. Names are short so they read naturally in a query string
+/// (sortDirection=asc).
+/// </summary>
+public enum SortDirection
+{
+    /// <summary>
+    /// Smallest / oldest first.
+    /// </summary>
+    Asc,
+
+    /// <summary>
+    /// Largest / newest first.
+    /// </summary>
+    Desc
+}
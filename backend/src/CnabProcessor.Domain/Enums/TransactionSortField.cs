@@ -0,0 +1,58 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Enums/TransactionSortField.cs
+// Purpose: Columns a transaction list can be sorted by
+// ========================================
+
+namespace CnabProcessor.Domain.Enums;
+
+/// <summary>
+/// Field used to order a paged transaction query.
+/// Ties are always broken by id so paging is stable.
+/// </summary>
+public enum TransactionSortField
+{
+    /// <summary>
+    /// Transaction date, then time (default).
+    /// </summary>
+    Date,
+
+    /// <summary>
+    /// Time of day, regardless of the date.
+    /// </summary>
+    Time,
+
+    /// <summary>
+    /// Transaction type code (1-9).
+    /// </summary>
+    Type,
+
+    /// <summary>
+    /// Income before expense (ascending), derived from the type.
+    /// </summary>
+    Nature,
+
+    /// <summary>
+    /// Unsigned amount.
+    /// </summary>
+    Amount,
+
+    /// <summary>
+    /// Beneficiary CPF.
+    /// </summary>
+    Cpf,
+
+    /// <summary>
+    /// Masked card number.
+    /// </summary>
+    CardNumber,
+
+    /// <summary>
+    /// Store owner name.
+    /// </summary>
+    StoreOwner,
+
+    /// <summary>
+    /// Store name.
+    /// </summary>
+    StoreName
+}
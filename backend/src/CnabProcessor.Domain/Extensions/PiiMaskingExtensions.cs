@@ -0,0 +1,49 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Extensions/PiiMaskingExtensions.cs
+// Purpose: Masking of personal data (CPF and card numbers) sent to clients
+// ========================================
+
+namespace CnabProcessor.Domain.Extensions;
+
+/// <summary>
+/// Masks personal data (LGPD) before it leaves the API.
+/// Only the digits needed to tell values apart are kept.
+/// </summary>
+public static class PiiMaskingExtensions
+{
+    private const char MaskChar = '*';
+
+    /// <summary>
+    /// Masks a CPF keeping the first three digits and the check digits, e.g. 096.***.***-76.
+    /// Values that are not 11 characters keep only their last two characters.
+    /// </summary>
+    public static string MaskCpf(this string? cpf)
+    {
+        if (string.IsNullOrEmpty(cpf))
+            return string.Empty;
+
+        if (cpf.Length == 11)
+            return $"{cpf[..3]}.***.***-{cpf[9..]}";
+
+        return MaskAllBut(cpf, 2);
+    }
+
+    /// <summary>
+    /// Masks a card number keeping only its last four characters, e.g. ********3153.
+    /// </summary>
+    public static string MaskCardNumber(this string? cardNumber)
+    {
+        if (string.IsNullOrEmpty(cardNumber))
+            return string.Empty;
+
+        return MaskAllBut(cardNumber, 4);
+    }
+
+    private static string MaskAllBut(string value, int visible)
+    {
+        if (value.Length <= visible)
+            return new string(MaskChar, value.Length);
+
+        return new string(MaskChar, value.Length - visible) + value[^visible..];
+    }
+}
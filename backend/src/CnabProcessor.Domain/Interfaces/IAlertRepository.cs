@@ -0,0 +1,87 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Interfaces/IAlertRepository.cs
+// Purpose: Repository interface for anomaly alerts and their rules
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+
+namespace CnabProcessor.Infrastructure.Interfaces;
+
+/// <summary>
+/// Repository interface for Alert and AlertRule entity operations.
+/// </summary>
+public interface IAlertRepository
+{
+    /// <summary>
+    /// Retrieves the settings of every rule, by rule type. Rules never saved come
+    /// with their defaults (<see cref="Domain.Services.AnomalyRules.DefaultRules"/>).
+    /// </summary>
+    Task<IEnumerable<AlertRule>> GetRulesAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Saves the settings of a rule (inserting it the first time it changes).
+    /// </summary>
+    Task SaveRuleAsync(AlertRule rule, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Saves the alerts whose <see cref="Alert.Key"/> is not stored yet.
+    /// </summary>
+    /// <returns>Number of alerts saved</returns>
+    Task<int> AddNewAsync(IEnumerable<Alert> alerts, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves one page of alerts, newest first, filtering and paging in the database.
+    /// </summary>
+    /// <param name="acknowledged">Only acknowledged (true) or open (false) alerts, when set</param>
+    /// <param name="storeName">Only alerts of this store (exact match), when set</param>
+    /// <param name="rule">Only alerts of this rule, when set</param>
+    /// <param name="pageNumber">Page number (1-based, clamped to the last page)</param>
+    /// <param name="pageSize">Items per page</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<AlertPage> GetPageAsync(
+        bool? acknowledged,
+        string? storeName,
+        AlertRuleType? rule,
+        int pageNumber,
+        int pageSize,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves an alert by id.
+    /// </summary>
+    /// <returns>The alert, or null if it does not exist</returns>
+    Task<Alert?> GetByIdAsync(int id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Marks an open alert as acknowledged and saves it immediately.
+    /// </summary>
+    /// <exception cref="KeyNotFoundException">The alert does not exist</exception>
+    /// <exception cref="InvalidOperationException">The alert was already acknowledged</exception>
+    /// <returns>The acknowledged alert</returns>
+    Task<Alert> AcknowledgeAsync(
+        int id,
+        string acknowledgedBy,
+        string comment,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the number of open alerts and the latest one of every store with open alerts,
+    /// aggregated by the database.
+    /// </summary>
+    Task<IEnumerable<StoreAlertSummary>> GetStoreSummariesAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the number of open alerts per rule (only rules with open alerts).
+    /// </summary>
+    Task<IReadOnlyDictionary<AlertRuleType, int>> GetOpenCountsAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes the open alerts of an import, or every open alert. Acknowledged alerts are kept
+    /// as a record of the review.
+    /// </summary>
+    /// <param name="importBatchId">Import rolled back; null when all transactions were deleted</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Number of alerts deleted</returns>
+    Task<int> DeleteOpenAsync(int? importBatchId = null, CancellationToken cancellationToken = default);
+}
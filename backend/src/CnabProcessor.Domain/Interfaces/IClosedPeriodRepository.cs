@@ -0,0 +1,47 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Interfaces/IClosedPeriodRepository.cs
+// Purpose: Repository interface for ClosedPeriod operations
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+
+namespace CnabProcessor.Infrastructure.Interfaces;
+
+/// <summary>
+/// Repository interface for ClosedPeriod entity operations.
+/// Closed periods lock their transactions against imports and deletes.
+/// </summary>
+public interface IClosedPeriodRepository
+{
+    /// <summary>
+    /// Retrieves every closed period, oldest first.
+    /// </summary>
+    Task<IEnumerable<ClosedPeriod>> GetAllAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves a closed period by id.
+    /// </summary>
+    /// <returns>The closed period, or null if it does not exist</returns>
+    Task<ClosedPeriod?> GetByIdAsync(int id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the closed periods that contain at least one stored transaction.
+    /// </summary>
+    /// <param name="importBatchId">When given, only transactions created by this import (and their
+    /// reversal entries) are considered</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<ClosedPeriod>> GetWithTransactionsAsync(
+        int? importBatchId = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds a closed period and saves it immediately.
+    /// </summary>
+    Task AddAsync(ClosedPeriod period, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Reopens a period by removing it.
+    /// </summary>
+    /// <returns>False when the period does not exist</returns>
+    Task<bool> RemoveAsync(int id, CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,83 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Interfaces/ICnabLayout.cs
+// Purpose: Layout definition of a kind of CNAB file (record positions, detection, totals)
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+
+namespace CnabProcessor.Domain.Interfaces;
+
+/// <summary>
+/// A CNAB file layout. The parser picks one per file (see CnabLayouts) and hands every
+/// line to a reader created by it. Layouts are stateless; readers hold the state of one file.
+/// </summary>
+public interface ICnabLayout
+{
+    /// <summary>
+    /// Name used by the API and the client (e.g. "CNAB240").
+    /// </summary>
+    string Name { get; }
+
+    /// <summary>
+    /// Short description shown in the layout selector.
+    /// </summary>
+    string Description { get; }
+
+    /// <summary>
+    /// Length of every record; shorter lines are padded with spaces, longer ones truncated.
+    /// </summary>
+    int LineLength { get; }
+
+    /// <summary>
+    /// Whether the details carry a card number (the card number rule is skipped otherwise).
+    /// </summary>
+    bool HasCardNumber { get; }
+
+    /// <summary>
+    /// Whether the details carry a time (transactions get 00:00:00 otherwise, and the
+    /// out-of-hours alert rule is skipped).
+    /// </summary>
+    bool HasTransactionTime { get; }
+
+    /// <summary>
+    /// Whether the file ends with a trailer holding its record count and totals.
+    /// </summary>
+    bool HasTrailer { get; }
+
+    /// <summary>
+    /// Whether the first line of a file (not normalized) is this layout's header.
+    /// </summary>
+    bool Matches(string firstLine);
+
+    /// <summary>
+    /// Creates the reader of one file. It fills the header, record and trailer
+    /// sections of <paramref name="result"/> as the lines are read.
+    /// </summary>
+    ICnabLayoutReader CreateReader(CnabParseResult result);
+}
+
+/// <summary>
+/// Reads the records of one file, in order.
+/// </summary>
+public interface ICnabLayoutReader
+{
+    /// <summary>
+    /// Reads the next record.
+    /// </summary>
+    /// <param name="line">Record normalized to <see cref="ICnabLayout.LineLength"/></param>
+    /// <param name="lineNumber">1-based line number in the file</param>
+    /// <returns>What the record is, and the transaction it completes if any</returns>
+    /// <exception cref="FormatException">The record is malformed; its line is rejected</exception>
+    CnabRecord Read(string line, int lineNumber);
+
+    /// <summary>
+    /// Called after the last line, to find a record left incomplete by the end of the file.
+    /// </summary>
+    void Complete();
+
+    /// <summary>
+    /// Earlier record found incomplete by the last <see cref="Read"/> or by <see cref="Complete"/>
+    /// (e.g. a segment T whose segment U never came), to reject; null when there is none.
+    /// </summary>
+    CnabLineError? TakeIncomplete();
+}
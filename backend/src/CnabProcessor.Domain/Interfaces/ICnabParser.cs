@@ -26,4 +26,44 @@ public interface ICnabParser
     /// <param name="cancellationToken">Cancellation token</param>
     /// <returns>Collection of parsed transactions</returns>
     Task<IEnumerable<Transaction>> ParseAsync(Stream fileStream, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Parses CNAB file asynchronously and reports every rejected line.
+    /// </summary>
+    /// <param name="fileStream">Stream containing CNAB data</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Parsed transactions plus line-level statistics and rejections</returns>
+    Task<CnabParseResult> ParseWithReportAsync(Stream fileStream, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Parses CNAB file asynchronously, reports every rejected line and checks the accepted ones
+    /// against the data quality rules (see DataQualityRules).
+    /// </summary>
+    /// <param name="fileStream">Stream containing CNAB data</param>
+    /// <param name="knownStoreOwners">Owner already known for each store; stores new to it take
+    /// the owner of their first line in the file</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Parsed transactions plus line-level statistics, rejections and quality warnings</returns>
+    Task<CnabParseResult> ParseWithReportAsync(
+        Stream fileStream,
+        IReadOnlyDictionary<string, string>? knownStoreOwners,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Parses CNAB file asynchronously with the given layout (see CnabLayouts), reports every
+    /// rejected line, checks the accepted ones against the data quality rules and compares
+    /// the trailer totals with the records read.
+    /// </summary>
+    /// <param name="fileStream">Stream containing CNAB data</param>
+    /// <param name="knownStoreOwners">Owner already known for each store; stores new to it take
+    /// the owner of their first line in the file</param>
+    /// <param name="layout">Layout of the file; null to detect it from the first line</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Parsed transactions plus line-level statistics, rejections, quality warnings,
+    /// record counts and trailer checks</returns>
+    Task<CnabParseResult> ParseWithReportAsync(
+        Stream fileStream,
+        IReadOnlyDictionary<string, string>? knownStoreOwners,
+        ICnabLayout? layout,
+        CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -0,0 +1,69 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Interfaces/IImportBatchRepository.cs
+// Purpose: Repository interface for ImportBatch operations
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+
+namespace CnabProcessor.Infrastructure.Interfaces;
+
+/// <summary>
+/// Repository interface for ImportBatch entity operations.
+/// Tracks uploaded files for duplicate detection.
+/// </summary>
+public interface IImportBatchRepository
+{
+    /// <summary>
+    /// Retrieves the most recent import of a file with the given content hash.
+    /// </summary>
+    /// <param name="fileHash">SHA-256 hash of the file content</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>The previous import, or null if the file was never imported</returns>
+    Task<ImportBatch?> GetByFileHashAsync(string fileHash, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves an import batch by id.
+    /// </summary>
+    /// <returns>The import batch, or null if it does not exist</returns>
+    Task<ImportBatch?> GetByIdAsync(int id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves every import batch with the totals of its transactions, newest first.
+    /// </summary>
+    Task<IEnumerable<ImportBatchSummary>> GetSummariesAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Returns the distinct store names of the transactions created by an import, in order.
+    /// </summary>
+    /// <param name="id">Import batch id</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IReadOnlyList<string>> GetStoreNamesAsync(int id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Returns which of the given line hashes already exist in stored transactions.
+    /// </summary>
+    /// <param name="lineHashes">Line hashes to check</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<HashSet<string>> GetExistingLineHashesAsync(
+        IEnumerable<string> lineHashes,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds an import batch and saves it immediately so its Id can be assigned to transactions.
+    /// </summary>
+    Task AddAsync(ImportBatch batch, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Removes an import batch (used when its transactions could not be saved).
+    /// </summary>
+    Task RemoveAsync(ImportBatch batch, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Rolls back an import: deletes the batch, every transaction it created and
+    /// the reversal entries of those transactions.
+    /// </summary>
+    /// <param name="id">Import batch id</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Number of transactions deleted</returns>
+    Task<int> DeleteWithTransactionsAsync(int id, CancellationToken cancellationToken = default);
+}
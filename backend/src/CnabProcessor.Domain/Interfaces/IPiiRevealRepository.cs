@@ -0,0 +1,31 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Interfaces/IPiiRevealRepository.cs
+// Purpose: Repository interface for the PII reveal audit log
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+
+namespace CnabProcessor.Infrastructure.Interfaces;
+
+/// <summary>
+/// Repository interface for PiiReveal entity operations.
+/// The audit log is append-only: there is no update or delete.
+/// </summary>
+public interface IPiiRevealRepository
+{
+    /// <summary>
+    /// Records a reveal and saves it immediately.
+    /// </summary>
+    Task AddAsync(PiiReveal reveal, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the latest reveals, newest first.
+    /// </summary>
+    /// <param name="transactionId">Only reveals of this transaction, when set</param>
+    /// <param name="take">Maximum number of records</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<PiiReveal>> GetLatestAsync(
+        int? transactionId = null,
+        int take = 100,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,38 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Interfaces/ITransactionAdjustmentRepository.cs
+// Purpose: Repository interface for manual adjustments and their audit trail
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+
+namespace CnabProcessor.Infrastructure.Interfaces;
+
+/// <summary>
+/// Repository interface for TransactionAdjustment entity operations.
+/// The audit trail is append-only: there is no update or delete.
+/// </summary>
+public interface ITransactionAdjustmentRepository
+{
+    /// <summary>
+    /// Saves an adjustment together with its entry (<see cref="TransactionAdjustment.Transaction"/>),
+    /// in one database transaction.
+    /// </summary>
+    Task AddAsync(TransactionAdjustment adjustment, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the latest adjustments, newest first.
+    /// </summary>
+    /// <param name="storeName">Only adjustments of this store (exact match), when set</param>
+    /// <param name="take">Maximum number of records</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<TransactionAdjustment>> GetLatestAsync(
+        string? storeName = null,
+        int take = 100,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the number of adjustments and the latest one of every adjusted store,
+    /// aggregated by the database.
+    /// </summary>
+    Task<IEnumerable<StoreAdjustmentSummary>> GetStoreSummariesAsync(CancellationToken cancellationToken = default);
+}
@@ -4,6 +4,7 @@
 // ========================================
 
 using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
 
 namespace CnabProcessor.Infrastructure.Interfaces;
 
@@ -23,11 +24,131 @@ public interface ITransactionRepository
     /// </summary>
     Task<IEnumerable<Transaction>> GetByStoreAsync(string storeName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Retrieves the transactions created by an import.
+    /// </summary>
+    Task<IEnumerable<Transaction>> GetByImportBatchAsync(int importBatchId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves a transaction by id.
+    /// </summary>
+    /// <returns>The transaction, or null if it does not exist</returns>
+    Task<Transaction?> GetByIdAsync(int id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Finds the reversal entries of the given transactions.
+    /// </summary>
+    /// <returns>Reversal entry id by reversed transaction id (only reversed transactions)</returns>
+    Task<IReadOnlyDictionary<int, int>> GetReversalIdsAsync(
+        IEnumerable<int> transactionIds,
+        CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Retrieves aggregated store balances.
     /// </summary>
     Task<IEnumerable<StoreBalance>> GetStoreBalancesAsync(CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Retrieves store balances aggregated by the database, without loading transactions
+    /// (StoreBalance.Transactions is left empty).
+    /// </summary>
+    /// <param name="filter">Optional criteria: totals then cover only matching transactions</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<StoreBalance>> GetStoreSummariesAsync(
+        TransactionFilter? filter = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves income and expense totals per day, oldest first, aggregated by the database.
+    /// </summary>
+    /// <param name="storeName">Only transactions of this store (exact match), when set</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<DailyTotal>> GetDailyTotalsAsync(
+        string? storeName = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves income and expense totals per store and day, aggregated by the database.
+    /// </summary>
+    /// <param name="storeNames">Stores to include (exact match)</param>
+    /// <param name="from">First day included</param>
+    /// <param name="to">Last day included</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<StoreDailyTotal>> GetStoreDailyTotalsAsync(
+        IEnumerable<string> storeNames,
+        DateTime from,
+        DateTime to,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the transactions made with any of the given (masked) card numbers between two days.
+    /// </summary>
+    /// <param name="cardNumbers">Card numbers (exact match)</param>
+    /// <param name="from">First day included</param>
+    /// <param name="to">Last day included</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<Transaction>> GetByCardNumbersAsync(
+        IEnumerable<string> cardNumbers,
+        DateTime from,
+        DateTime to,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves count and amount per transaction type, aggregated by the database
+    /// (only types that have transactions).
+    /// </summary>
+    /// <param name="storeName">Only transactions of this store (exact match), when set</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<TypeTotal>> GetTypeTotalsAsync(
+        string? storeName = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the distinct owner names seen in a store's transactions, most used first.
+    /// </summary>
+    Task<IEnumerable<ValueUsage>> GetStoreOwnersAsync(string storeName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the known owner of every store: the one on most of its transactions
+    /// (ties: alphabetical order). Store names are compared ignoring case.
+    /// </summary>
+    Task<IReadOnlyDictionary<string, string>> GetKnownStoreOwnersAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Counts the transactions breaking each data quality rule (see DataQualityRules), in the database.
+    /// </summary>
+    /// <param name="utcNow">Current UTC time (for the date and time rule)</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<DataQualitySummary> GetDataQualitySummaryAsync(DateTime utcNow, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves one page of the transactions breaking a data quality rule, newest first,
+    /// filtering, counting and paging in the database.
+    /// </summary>
+    /// <param name="rule">Rule the transactions break</param>
+    /// <param name="utcNow">Current UTC time (for the date and time rule)</param>
+    /// <param name="pageNumber">Page number (1-based; past the end returns the last page)</param>
+    /// <param name="pageSize">Items per page</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<TransactionPage> GetDataQualityPageAsync(
+        DataQualityRule rule,
+        DateTime utcNow,
+        int pageNumber,
+        int pageSize,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the distinct (masked) card numbers seen in a store's transactions, most used first.
+    /// </summary>
+    Task<IEnumerable<ValueUsage>> GetStoreCardsAsync(string storeName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves one page of transactions, filtering, counting and paging in the database.
+    /// </summary>
+    /// <param name="query">Query criteria (normalized by the repository)</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<TransactionPage> GetPageAsync(TransactionQuery query, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Adds a single transaction.
     /// </summary>
@@ -45,11 +166,13 @@ public interface ITransactionRepository
     /// </summary>
     /// <param name="transactions">Transactions to insert</param>
     /// <param name="batchSize">Records per batch (default: 5000)</param>
+    /// <param name="progress">Optional; told after each batch is saved</param>
     /// <param name="cancellationToken">Cancellation token</param>
     /// <returns>Number of records inserted</returns>
     Task<int> BulkInsertAsync(
         IEnumerable<Transaction> transactions,
         int batchSize = 5000,
+        IProgress<BulkInsertProgress>? progress = null,
         CancellationToken cancellationToken = default);
 
     /// <summary>
@@ -0,0 +1,278 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Layouts/Cnab240Layout.cs
+// Purpose: FEBRABAN CNAB 240 collection return files (segments T and U)
+// ========================================
+
+using System.Globalization;
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Interfaces;
+using CnabProcessor.Domain.Services;
+using static CnabProcessor.Domain.Layouts.CnabFields;
+
+namespace CnabProcessor.Domain.Layouts;
+
+/// <summary>
+/// Collection return file in the FEBRABAN CNAB 240 layout: a file header, batches (header,
+/// details, trailer) and a file trailer. Each title is a segment T (title and payer) followed
+/// by a segment U (amounts and dates); a paid title becomes a sale of the company in the
+/// header, from the payer's CPF, on the occurrence date. Positions are 1-based, as in the manual.
+/// </summary>
+public class Cnab240Layout : ICnabLayout
+{
+    public const string LayoutName = "CNAB240";
+
+    // Movement codes of a paid title: liquidation, and liquidation after write-off
+    private static readonly HashSet<string> LiquidationCodes = new() { "06", "17" };
+
+    public string Name => LayoutName;
+
+    public string Description => "FEBRABAN CNAB 240 collection return (segments T and U)";
+
+    public int LineLength => 240;
+
+    public bool HasCardNumber => false;
+
+    public bool HasTransactionTime => false;
+
+    public bool HasTrailer => true;
+
+    /// <summary>
+    /// Longer than an 81-character line, starting with the bank code, batch 0000 and record type 0.
+    /// </summary>
+    public bool Matches(string firstLine)
+    {
+        return firstLine.Length > 81 && firstLine.Length <= LineLength
+            && firstLine[..3].All(char.IsAsciiDigit)
+            && firstLine.Substring(3, 5) == "00000";
+    }
+
+    public ICnabLayoutReader CreateReader(CnabParseResult result) => new Reader(result);
+
+    /// <summary>
+    /// A segment T waiting for its segment U.
+    /// </summary>
+    private sealed record PendingTitle(int LineNumber, string Line, string Cpf, string? SkipReason);
+
+    private sealed class Reader : ICnabLayoutReader
+    {
+        private readonly CnabParseResult _result;
+        private string _companyName = string.Empty;
+        private PendingTitle? _pending;
+        private CnabLineError? _incomplete;
+
+        // Records read in the file and in the current batch, compared with the trailers
+        private int _fileRecords;
+        private int _batchCount;
+        private int _batchRecords;
+        private int _batchTitles;
+        private decimal _batchTitleTotal;
+
+        public Reader(CnabParseResult result)
+        {
+            _result = result;
+            _result.TrailerFound = false;
+        }
+
+        public CnabRecord Read(string line, int lineNumber)
+        {
+            _fileRecords++;
+            _batchRecords++;
+
+            var recordType = line[7];
+            var segment = recordType == '3' ? line.Substring(13, 1) : null;
+
+            // Anything but its segment U leaves a pending segment T incomplete
+            if (segment != "U")
+                DropPendingTitle();
+
+            return recordType switch
+            {
+                '0' => ReadFileHeader(line),
+                '1' => ReadBatchHeader(line),
+                '3' => ReadDetail(line, lineNumber, segment!),
+                '5' => ReadBatchTrailer(line, lineNumber),
+                '9' => ReadFileTrailer(line, lineNumber),
+                _ => throw new FormatException($"Invalid record type '{recordType}'")
+            };
+        }
+
+        public void Complete() => DropPendingTitle();
+
+        public CnabLineError? TakeIncomplete()
+        {
+            var incomplete = _incomplete;
+            _incomplete = null;
+            return incomplete;
+        }
+
+        private CnabRecord ReadFileHeader(string line)
+        {
+            if (_result.Header != null)
+                throw new FormatException("Second file header");
+
+            if (line[142] != '2')
+                throw new FormatException($"Not a return file (file code '{line[142]}')");
+
+            var generatedAt = Date(line, 144, 151, "ddMMyyyy", "generation date");
+            if (TimeSpan.TryParseExact(Text(line, 152, 157), "hhmmss", CultureInfo.InvariantCulture, out var time))
+                generatedAt += time;
+
+            _result.Header = new CnabFileHeader
+            {
+                BankCode = Text(line, 1, 3),
+                BankName = Trimmed(line, 103, 132),
+                CompanyName = Trimmed(line, 73, 102),
+                GeneratedAt = generatedAt
+            };
+            _companyName = _result.Header.CompanyName;
+
+            return new CnabRecord { Kind = CnabRecordKind.FileHeader };
+        }
+
+        private CnabRecord ReadBatchHeader(string line)
+        {
+            RequireHeader("Batch header");
+
+            _batchCount++;
+            _batchRecords = 1;
+            _batchTitles = 0;
+            _batchTitleTotal = 0;
+
+            // The batch may name the company differently from the file header
+            var companyName = Trimmed(line, 74, 103);
+            if (companyName.Length > 0)
+                _companyName = companyName;
+
+            return new CnabRecord { Kind = CnabRecordKind.BatchHeader };
+        }
+
+        private CnabRecord ReadDetail(string line, int lineNumber, string segment)
+        {
+            RequireHeader("Detail record");
+
+            switch (segment)
+            {
+                case "T":
+                {
+                    // Until this segment T is read in full, a rejected one takes its segment U with it:
+                    // the title is reported once, with the reason of the segment T
+                    _pending = new PendingTitle(lineNumber, line, string.Empty, "Its segment T was rejected");
+
+                    _batchTitles++;
+                    _batchTitleTotal += Amount(line, 82, 96, "title value");
+
+                    var movement = Text(line, 16, 17);
+                    if (!LiquidationCodes.Contains(movement))
+                    {
+                        var reason = $"Movement code {movement.Trim()} is not a liquidation";
+                        _pending = new PendingTitle(lineNumber, line, string.Empty, reason);
+                        return Skipped(segment, reason);
+                    }
+
+                    if (line[132] == '2')
+                        throw new FormatException("Payer is a company (CNPJ); only CPFs are imported");
+
+                    _pending = new PendingTitle(lineNumber, line, Cpf(line, 134, 148), null);
+                    return new CnabRecord { Kind = CnabRecordKind.Detail, Segment = segment };
+                }
+
+                case "U":
+                {
+                    var title = _pending;
+                    _pending = null;
+
+                    if (title == null)
+                        throw new FormatException("Segment U without a valid segment T before it");
+
+                    if (title.SkipReason != null)
+                        return Skipped(segment, title.SkipReason);
+
+                    var transaction = new Transaction
+                    {
+                        Type = TransactionType.Sales,
+                        Date = Date(line, 138, 145, "ddMMyyyy", "occurrence date"),
+                        Time = TimeSpan.Zero,
+                        Amount = Amount(line, 78, 92, "paid value"),
+                        Cpf = title.Cpf,
+                        CardNumber = string.Empty,
+                        StoreOwner = _companyName,
+                        StoreName = _companyName,
+                        // Over both segments: a segment U alone does not identify the title
+                        LineHash = CnabParserService.ComputeLineHash(title.Line + line),
+                        CreatedAt = DateTime.UtcNow
+                    };
+
+                    return new CnabRecord { Kind = CnabRecordKind.Detail, Segment = segment, Transaction = transaction };
+                }
+
+                default:
+                    return Skipped(segment, $"Segment {segment} is not read");
+            }
+        }
+
+        private CnabRecord ReadBatchTrailer(string line, int lineNumber)
+        {
+            var batch = (int)Number(line, 4, 7, "batch number");
+            var recordCount = Number(line, 18, 23, "record count");
+            var titleCount = Number(line, 24, 29, "title count");
+            var titleTotal = Amount(line, 30, 46, "title total");
+
+            AddCheck("RecordCount", batch, lineNumber, recordCount, _batchRecords);
+            AddCheck("TitleCount", batch, lineNumber, titleCount, _batchTitles);
+            AddCheck("TitleTotal", batch, lineNumber, titleTotal, _batchTitleTotal);
+
+            return new CnabRecord { Kind = CnabRecordKind.BatchTrailer };
+        }
+
+        private CnabRecord ReadFileTrailer(string line, int lineNumber)
+        {
+            var batchCount = Number(line, 18, 23, "batch count");
+            var recordCount = Number(line, 24, 29, "record count");
+
+            AddCheck("BatchCount", null, lineNumber, batchCount, _batchCount);
+            AddCheck("RecordCount", null, lineNumber, recordCount, _fileRecords);
+            _result.TrailerFound = true;
+
+            return new CnabRecord { Kind = CnabRecordKind.FileTrailer };
+        }
+
+        private void RequireHeader(string record)
+        {
+            if (_result.Header == null)
+                throw new FormatException($"{record} before the file header");
+        }
+
+        private void DropPendingTitle()
+        {
+            if (_pending is { SkipReason: null })
+            {
+                _incomplete = new CnabLineError
+                {
+                    LineNumber = _pending.LineNumber,
+                    Reason = "Segment T without its segment U",
+                    Content = _pending.Line.TrimEnd()
+                };
+            }
+
+            _pending = null;
+        }
+
+        private void AddCheck(string name, int? batch, int lineNumber, decimal declared, decimal computed)
+        {
+            _result.TrailerChecks.Add(new CnabTrailerCheck
+            {
+                Name = name,
+                Batch = batch,
+                LineNumber = lineNumber,
+                Declared = declared,
+                Computed = computed
+            });
+        }
+
+        private static CnabRecord Skipped(string segment, string reason)
+        {
+            return new CnabRecord { Kind = CnabRecordKind.Detail, Segment = segment, SkipReason = reason };
+        }
+    }
+}
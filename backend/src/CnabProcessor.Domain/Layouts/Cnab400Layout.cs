@@ -0,0 +1,168 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Layouts/Cnab400Layout.cs
+// Purpose: CNAB 400 collection return files
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Interfaces;
+using CnabProcessor.Domain.Services;
+using static CnabProcessor.Domain.Layouts.CnabFields;
+
+namespace CnabProcessor.Domain.Layouts;
+
+/// <summary>
+/// Collection return file in the CNAB 400 layout: a header (0), one detail per title (1) and
+/// a trailer (9) with the title count and total. A paid title becomes a sale of the company
+/// in the header, from the payer's CPF, on the occurrence date. Positions are 1-based.
+/// Positions 002-017 of a detail are the company's own inscription, not the payer's: the payer
+/// is read from 219-234, where the remittance sends it and the banks echo it in the return.
+/// </summary>
+public class Cnab400Layout : ICnabLayout
+{
+    public const string LayoutName = "CNAB400";
+
+    // Occurrence codes of a paid title: liquidation, liquidation at the notary, after write-off
+    private static readonly HashSet<string> LiquidationCodes = new() { "06", "15", "17" };
+
+    public string Name => LayoutName;
+
+    public string Description => "CNAB 400 collection return";
+
+    public int LineLength => 400;
+
+    public bool HasCardNumber => false;
+
+    public bool HasTransactionTime => false;
+
+    public bool HasTrailer => true;
+
+    /// <summary>
+    /// Longer than a CNAB 240 line, starting with a return header (02RETORNO).
+    /// </summary>
+    public bool Matches(string firstLine)
+    {
+        return firstLine.Length > 240 && firstLine.StartsWith("02RETORNO", StringComparison.Ordinal);
+    }
+
+    public ICnabLayoutReader CreateReader(CnabParseResult result) => new Reader(result);
+
+    private sealed class Reader : ICnabLayoutReader
+    {
+        private readonly CnabParseResult _result;
+
+        // Records read, compared with the trailer
+        private int _records;
+        private int _titles;
+        private decimal _titleTotal;
+
+        public Reader(CnabParseResult result)
+        {
+            _result = result;
+            _result.TrailerFound = false;
+        }
+
+        public CnabRecord Read(string line, int lineNumber)
+        {
+            _records++;
+
+            return line[0] switch
+            {
+                '0' => ReadHeader(line),
+                '1' => ReadDetail(line),
+                '9' => ReadTrailer(line, lineNumber),
+                _ => throw new FormatException($"Invalid record type '{line[0]}'")
+            };
+        }
+
+        public void Complete()
+        {
+        }
+
+        public CnabLineError? TakeIncomplete() => null;
+
+        private CnabRecord ReadHeader(string line)
+        {
+            if (_result.Header != null)
+                throw new FormatException("Second file header");
+
+            if (Text(line, 2, 9) != "2RETORNO")
+                throw new FormatException("Not a return file");
+
+            _result.Header = new CnabFileHeader
+            {
+                BankCode = Text(line, 77, 79),
+                BankName = Trimmed(line, 80, 94),
+                CompanyName = Trimmed(line, 47, 76),
+                GeneratedAt = Date(line, 95, 100, "ddMMyy", "generation date")
+            };
+
+            return new CnabRecord { Kind = CnabRecordKind.FileHeader };
+        }
+
+        private CnabRecord ReadDetail(string line)
+        {
+            if (_result.Header == null)
+                throw new FormatException("Detail record before the file header");
+
+            _titles++;
+            _titleTotal += Amount(line, 153, 165, "title value");
+
+            var occurrence = Text(line, 109, 110);
+            if (!LiquidationCodes.Contains(occurrence))
+            {
+                return new CnabRecord
+                {
+                    Kind = CnabRecordKind.Detail,
+                    SkipReason = $"Occurrence code {occurrence.Trim()} is not a liquidation"
+                };
+            }
+
+            if (Text(line, 219, 220) == "02")
+                throw new FormatException("Payer is a company (CNPJ); only CPFs are imported");
+
+            var companyName = _result.Header.CompanyName;
+
+            var transaction = new Transaction
+            {
+                Type = TransactionType.Sales,
+                Date = Date(line, 111, 116, "ddMMyy", "occurrence date"),
+                Time = TimeSpan.Zero,
+                Amount = Amount(line, 254, 266, "paid value"),
+                Cpf = Cpf(line, 221, 234),
+                CardNumber = string.Empty,
+                StoreOwner = companyName,
+                StoreName = companyName,
+                LineHash = CnabParserService.ComputeLineHash(line),
+                CreatedAt = DateTime.UtcNow
+            };
+
+            return new CnabRecord { Kind = CnabRecordKind.Detail, Transaction = transaction };
+        }
+
+        private CnabRecord ReadTrailer(string line, int lineNumber)
+        {
+            var titleCount = Number(line, 18, 25, "title count");
+            var titleTotal = Amount(line, 26, 39, "title total");
+            var sequence = Number(line, 395, 400, "record sequence");
+
+            AddCheck("TitleCount", lineNumber, titleCount, _titles);
+            AddCheck("TitleTotal", lineNumber, titleTotal, _titleTotal);
+            AddCheck("RecordCount", lineNumber, sequence, _records);
+            _result.TrailerFound = true;
+
+            return new CnabRecord { Kind = CnabRecordKind.FileTrailer };
+        }
+
+        private void AddCheck(string name, int lineNumber, decimal declared, decimal computed)
+        {
+            _result.TrailerChecks.Add(new CnabTrailerCheck
+            {
+                Name = name,
+                LineNumber = lineNumber,
+                Declared = declared,
+                Computed = computed
+            });
+        }
+    }
+}
@@ -0,0 +1,134 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Layouts/Cnab81Layout.cs
+// Purpose: The 81-character layout: one transaction per line, no header or trailer
+// ========================================
+
+using System.Globalization;
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Interfaces;
+using CnabProcessor.Domain.Services;
+
+namespace CnabProcessor.Domain.Layouts;
+
+/// <summary>
+/// The card transaction layout the system started with. Every line is a detail, so it is
+/// the fallback when no other layout recognizes the first line of a file.
+/// </summary>
+public class Cnab81Layout : ICnabLayout
+{
+    // CNAB field positions (0-based indexing)
+    private const int TypePosition = 0;      // 1 character
+    private const int DatePosition = 1;      // 8 characters (yyyyMMdd)
+    private const int AmountPosition = 9;    // 10 characters (cents)
+    private const int CpfPosition = 19;      // 11 characters
+    private const int CardPosition = 30;     // 12 characters
+    private const int TimePosition = 42;     // 6 characters (HHmmss)
+    private const int OwnerPosition = 48;    // 14 characters
+    private const int StorePosition = 62;    // 19 characters
+
+    public const string LayoutName = "CNAB81";
+
+    public string Name => LayoutName;
+
+    public string Description => "81-character card transactions (one per line)";
+
+    public int LineLength => 81;
+
+    public bool HasCardNumber => true;
+
+    public bool HasTransactionTime => true;
+
+    public bool HasTrailer => false;
+
+    public bool Matches(string firstLine) => true;
+
+    public ICnabLayoutReader CreateReader(CnabParseResult result) => new Reader();
+
+    /// <summary>
+    /// Parses a single CNAB line into a Transaction entity.
+    /// </summary>
+    private static Transaction ParseLine(string line)
+    {
+        // Parse transaction type
+        var typeString = line.Substring(TypePosition, 1);
+
+        if (!int.TryParse(typeString, out var type) || type < 1 || type > 9)
+            throw new FormatException($"Invalid transaction type '{typeString}'");
+
+        // Parse date (yyyyMMdd format)
+        var dateString = line.Substring(DatePosition, 8);
+
+        if (!DateTime.TryParseExact(dateString, "yyyyMMdd", CultureInfo.InvariantCulture, DateTimeStyles.None, out var date))
+            throw new FormatException($"Invalid date '{dateString.Trim()}'");
+
+        // Parse amount (value in cents, needs to be divided by 100)
+        var amountString = line.Substring(AmountPosition, 10);
+
+        if (!long.TryParse(amountString, out var rawCents))
+            throw new FormatException($"Invalid amount '{amountString.Trim()}'");
+
+        var amount = rawCents / 100m;
+
+        // Parse and clean CPF (remove non-numeric characters)
+        var cpf = ExtractDigits(line.Substring(CpfPosition, 11));
+
+        // Parse card number
+        var card = line.Substring(CardPosition, 12).Trim();
+
+        // Parse time (HHmmss format)
+        var time = ParseTime(line.Substring(TimePosition, 6));
+
+        // Parse store owner and store name
+        var owner = line.Substring(OwnerPosition, 14).Trim();
+        var store = line.Substring(StorePosition, 19).Trim();
+
+        return new Transaction
+        {
+            Type = (TransactionType)type,
+            Date = date,
+            Time = time,
+            Amount = amount,
+            Cpf = cpf,
+            CardNumber = card,
+            StoreOwner = owner,
+            StoreName = store,
+            LineHash = CnabParserService.ComputeLineHash(line),
+            CreatedAt = DateTime.UtcNow
+        };
+    }
+
+    /// <summary>
+    /// Parses time string in HHmmss format to TimeSpan.
+    /// </summary>
+    private static TimeSpan ParseTime(string hhmmss)
+    {
+        if (!TimeSpan.TryParseExact(hhmmss, "hhmmss", CultureInfo.InvariantCulture, out var time))
+            throw new FormatException($"Invalid time '{hhmmss.Trim()}'");
+
+        return time;
+    }
+
+    /// <summary>
+    /// Extracts only numeric digits from a string.
+    /// Useful for cleaning CPF and other numeric fields.
+    /// </summary>
+    private static string ExtractDigits(string input)
+    {
+        return new string(input.Where(char.IsDigit).ToArray());
+    }
+
+    private sealed class Reader : ICnabLayoutReader
+    {
+        public CnabRecord Read(string line, int lineNumber)
+        {
+            return new CnabRecord { Kind = CnabRecordKind.Detail, Transaction = ParseLine(line) };
+        }
+
+        public void Complete()
+        {
+        }
+
+        public CnabLineError? TakeIncomplete() => null;
+    }
+}
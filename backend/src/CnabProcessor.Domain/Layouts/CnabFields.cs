@@ -0,0 +1,63 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Layouts/CnabFields.cs
+// Purpose: Reads fixed-width CNAB fields by their 1-based positions, as written in the bank manuals
+// ========================================
+
+using System.Globalization;
+
+namespace CnabProcessor.Domain.Layouts;
+
+/// <summary>
+/// Field readers shared by the layouts. Positions are 1-based and inclusive, so they can be
+/// checked against the bank manuals; malformed values throw a <see cref="FormatException"/>
+/// naming the field, which becomes the reason the line is rejected.
+/// </summary>
+internal static class CnabFields
+{
+    public static string Text(string line, int start, int end)
+    {
+        return line.Substring(start - 1, end - start + 1);
+    }
+
+    public static string Trimmed(string line, int start, int end)
+    {
+        return Text(line, start, end).Trim();
+    }
+
+    public static long Number(string line, int start, int end, string field)
+    {
+        var value = Text(line, start, end);
+
+        if (!value.All(char.IsAsciiDigit) || !long.TryParse(value, out var number))
+            throw new FormatException($"Invalid {field} '{value.Trim()}'");
+
+        return number;
+    }
+
+    /// <summary>
+    /// Amount written in cents, without separators.
+    /// </summary>
+    public static decimal Amount(string line, int start, int end, string field)
+    {
+        return Number(line, start, end, field) / 100m;
+    }
+
+    public static DateTime Date(string line, int start, int end, string format, string field)
+    {
+        var value = Text(line, start, end);
+
+        if (!DateTime.TryParseExact(value, format, CultureInfo.InvariantCulture, DateTimeStyles.None, out var date))
+            throw new FormatException($"Invalid {field} '{value.Trim()}'");
+
+        return date;
+    }
+
+    /// <summary>
+    /// Payer CPF from a zero-padded document field (the last 11 digits).
+    /// </summary>
+    public static string Cpf(string line, int start, int end)
+    {
+        var digits = new string(Text(line, start, end).Where(char.IsAsciiDigit).ToArray());
+        return digits.Length > 11 ? digits[^11..] : digits;
+    }
+}
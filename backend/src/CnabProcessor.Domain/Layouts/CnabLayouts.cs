@@ -0,0 +1,52 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Layouts/CnabLayouts.cs
+// Purpose: The CNAB layouts known to the parser, and the detection of a file's layout
+// ========================================
+
+using CnabProcessor.Domain.Interfaces;
+
+namespace CnabProcessor.Domain.Layouts;
+
+/// <summary>
+/// Registry of the layouts. A new layout implements <see cref="ICnabLayout"/> and is added
+/// to <see cref="All"/>; the upload endpoints and the client selector then accept its name.
+/// </summary>
+public static class CnabLayouts
+{
+    /// <summary>
+    /// Layout option asking the parser to detect the layout.
+    /// </summary>
+    public const string Auto = "Auto";
+
+    /// <summary>
+    /// Every layout, the fallback of the detection first.
+    /// </summary>
+    public static IReadOnlyList<ICnabLayout> All { get; } = new ICnabLayout[]
+    {
+        new Cnab81Layout(),
+        new Cnab240Layout(),
+        new Cnab400Layout()
+    };
+
+    /// <summary>
+    /// Layout of files no other layout recognizes.
+    /// </summary>
+    public static ICnabLayout Default => All[0];
+
+    /// <summary>
+    /// Finds a layout by name, ignoring case; null when unknown.
+    /// </summary>
+    public static ICnabLayout? Find(string? name)
+    {
+        return All.FirstOrDefault(l => string.Equals(l.Name, name, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Detects the layout of a file from its first non-blank line: the header record and the
+    /// line length. Files no layout recognizes are read with <see cref="Default"/>.
+    /// </summary>
+    public static ICnabLayout Detect(string firstLine)
+    {
+        return All.Skip(1).FirstOrDefault(l => l.Matches(firstLine)) ?? Default;
+    }
+}
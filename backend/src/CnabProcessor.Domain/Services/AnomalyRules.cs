@@ -0,0 +1,216 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Services/AnomalyRules.cs
+// Purpose: Anomaly alert rules evaluated on the transactions of every import
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Extensions;
+using static System.FormattableString;
+
+namespace CnabProcessor.Domain.Services;
+
+/// <summary>
+/// Checks that flag transactions worth a look from the fraud team. Unlike
+/// <see cref="DataQualityRules"/>, the data is valid: it is the activity that is unusual.
+/// Each check returns alerts without <see cref="Alert.ImportBatchId"/> and
+/// <see cref="Alert.TriggeredAt"/>, which the caller fills in.
+/// </summary>
+public static class AnomalyRules
+{
+    /// <summary>
+    /// The daily net flow rule needs at least this many trailing days with transactions
+    /// before it compares a day against their average.
+    /// </summary>
+    public const int MinimumHistoryDays = 3;
+
+    /// <summary>
+    /// Settings used for rules never saved (all enabled).
+    /// </summary>
+    public static IReadOnlyList<AlertRule> DefaultRules => new List<AlertRule>
+    {
+        new() { Type = AlertRuleType.LargeAmount, IsEnabled = true, Threshold = 10000m, Window = 0 },
+        new() { Type = AlertRuleType.DailyFlowDeviation, IsEnabled = true, Threshold = 3m, Window = 30 },
+        new() { Type = AlertRuleType.CardInManyStores, IsEnabled = true, Threshold = 3m, Window = 60 },
+        new() { Type = AlertRuleType.OutOfHours, IsEnabled = true, Threshold = 6m, Window = 22 }
+    };
+
+    /// <summary>
+    /// Checks the settings of a rule (see <see cref="AlertRule"/> for what they mean).
+    /// </summary>
+    /// <returns>Error message, or null when the settings are valid</returns>
+    public static string? Validate(AlertRuleType type, decimal threshold, int window)
+    {
+        switch (type)
+        {
+            case AlertRuleType.LargeAmount:
+                return threshold > 0 ? null : "The amount must be greater than zero";
+
+            case AlertRuleType.DailyFlowDeviation:
+                if (threshold <= 0)
+                    return "The deviation factor must be greater than zero";
+                return window is >= 1 and <= 365 ? null : "The trailing window must be from 1 to 365 days";
+
+            case AlertRuleType.CardInManyStores:
+                if (threshold < 2 || threshold != decimal.Truncate(threshold))
+                    return "The number of stores must be a whole number of at least 2";
+                return window is >= 1 and <= 1440 ? null : "The window must be from 1 to 1440 minutes";
+
+            case AlertRuleType.OutOfHours:
+                if (threshold < 0 || threshold > 23 || threshold != decimal.Truncate(threshold))
+                    return "The opening hour must be a whole hour from 0 to 23";
+                if (window < 1 || window > 24)
+                    return "The closing hour must be from 1 to 24";
+                return window > threshold ? null : "The closing hour must be after the opening hour";
+
+            default:
+                return $"Unknown rule {(int)type}";
+        }
+    }
+
+    /// <summary>
+    /// A single transaction above the amount of the rule.
+    /// </summary>
+    /// <returns>The alert, or null when the amount is within the limit</returns>
+    public static Alert? CheckLargeAmount(Transaction transaction, AlertRule rule)
+    {
+        if (transaction.Amount <= rule.Threshold)
+            return null;
+
+        return CreateAlert(rule, $"{AlertRuleType.LargeAmount}:tx:{transaction.Id}", transaction.StoreName,
+            transaction.Date, transaction.Amount,
+            Invariant($"{transaction.Type.GetDescription()} of {transaction.Amount:N2} is above {rule.Threshold:N2}"),
+            transaction.Id);
+    }
+
+    /// <summary>
+    /// A transaction before the opening hour (Threshold) or from the closing hour (Window) on.
+    /// </summary>
+    /// <returns>The alert, or null when the transaction is within the business hours</returns>
+    public static Alert? CheckOutOfHours(Transaction transaction, AlertRule rule)
+    {
+        var opening = TimeSpan.FromHours((double)rule.Threshold);
+        var closing = TimeSpan.FromHours(rule.Window);
+
+        if (transaction.Time >= opening && transaction.Time < closing)
+            return null;
+
+        return CreateAlert(rule, $"{AlertRuleType.OutOfHours}:tx:{transaction.Id}", transaction.StoreName,
+            transaction.Date, Math.Round((decimal)transaction.Time.TotalHours, 2),
+            $"{transaction.Type.GetDescription()} at {transaction.Time:hh\\:mm\\:ss} is outside the business hours "
+                + $"{FormatHour((int)rule.Threshold)}-{FormatHour(rule.Window)}",
+            transaction.Id);
+    }
+
+    /// <summary>
+    /// A store's net flow on a day farther from the average of its trailing days than
+    /// Threshold times that average. Only the trailing days with transactions count, and
+    /// days with fewer than <see cref="MinimumHistoryDays"/> of them or a zero average are skipped.
+    /// </summary>
+    /// <param name="dailyTotals">Daily totals of the stores, covering the days to check and their trailing window</param>
+    /// <param name="days">Store and day pairs to check (those touched by the import)</param>
+    /// <param name="rule">The rule</param>
+    public static List<Alert> CheckDailyFlow(
+        IEnumerable<StoreDailyTotal> dailyTotals,
+        IEnumerable<(string StoreName, DateTime Date)> days,
+        AlertRule rule)
+    {
+        var totalsByStore = dailyTotals
+            .GroupBy(t => t.StoreName)
+            .ToDictionary(g => g.Key, g => g.ToDictionary(t => t.Date.Date));
+        var alerts = new List<Alert>();
+
+        foreach (var (storeName, date) in days.Distinct())
+        {
+            if (!totalsByStore.TryGetValue(storeName, out var totals) || !totals.TryGetValue(date.Date, out var day))
+                continue;
+
+            var windowStart = date.Date.AddDays(-rule.Window);
+            var history = totals.Values.Where(t => t.Date >= windowStart && t.Date < date.Date).ToList();
+            if (history.Count < MinimumHistoryDays)
+                continue;
+
+            var average = history.Average(t => t.NetAmount);
+            if (average == 0 || Math.Abs(day.NetAmount - average) <= rule.Threshold * Math.Abs(average))
+                continue;
+
+            alerts.Add(CreateAlert(rule, $"{AlertRuleType.DailyFlowDeviation}:{storeName}:{date:yyyy-MM-dd}",
+                storeName, date.Date, day.NetAmount,
+                Invariant($"Net flow of {day.NetAmount:N2} on {date:yyyy-MM-dd} against a {rule.Window}-day average of {average:N2}")));
+        }
+
+        return alerts;
+    }
+
+    /// <summary>
+    /// The same card used in at least Threshold stores within Window minutes. Raises one
+    /// alert per store involved, on its first transaction in the window; only windows
+    /// holding at least one transaction of the import are checked.
+    /// </summary>
+    /// <param name="cardTransactions">Transactions of the cards to check, covering the import and the time around it</param>
+    /// <param name="importBatchId">The import</param>
+    /// <param name="rule">The rule</param>
+    public static List<Alert> CheckCardInManyStores(
+        IEnumerable<Transaction> cardTransactions,
+        int importBatchId,
+        AlertRule rule)
+    {
+        var window = TimeSpan.FromMinutes(rule.Window);
+        var alerts = new Dictionary<string, Alert>();
+
+        foreach (var card in cardTransactions.Where(t => t.CardNumber.Length > 0).GroupBy(t => t.CardNumber))
+        {
+            var ordered = card.OrderBy(t => t.Date + t.Time).ThenBy(t => t.Id).ToList();
+            var start = 0;
+
+            for (var end = 0; end < ordered.Count; end++)
+            {
+                var endTime = ordered[end].Date + ordered[end].Time;
+                while (ordered[start].Date + ordered[start].Time < endTime - window)
+                    start++;
+
+                var inWindow = ordered.GetRange(start, end - start + 1);
+                var stores = inWindow.Select(t => t.StoreName).Distinct().Count();
+                if (stores < rule.Threshold || !inWindow.Any(t => t.ImportBatchId == importBatchId))
+                    continue;
+
+                foreach (var first in inWindow.GroupBy(t => t.StoreName).Select(g => g.First()))
+                {
+                    var key = $"{AlertRuleType.CardInManyStores}:{card.Key}:{first.StoreName}:{first.Date:yyyy-MM-dd}";
+                    alerts.TryAdd(key, CreateAlert(rule, key, first.StoreName, first.Date, stores,
+                        $"Card {card.Key.MaskCardNumber()} used in {stores} stores within {rule.Window} minutes",
+                        first.Id));
+                }
+            }
+        }
+
+        return alerts.Values.ToList();
+    }
+
+    private static string FormatHour(int hour)
+    {
+        return $"{hour:00}:00";
+    }
+
+    private static Alert CreateAlert(
+        AlertRule rule,
+        string key,
+        string storeName,
+        DateTime date,
+        decimal value,
+        string message,
+        int? transactionId = null)
+    {
+        return new Alert
+        {
+            Rule = rule.Type,
+            Key = key,
+            StoreName = storeName,
+            TransactionId = transactionId,
+            Date = date.Date,
+            Value = value,
+            Threshold = rule.Threshold,
+            Message = message
+        };
+    }
+}
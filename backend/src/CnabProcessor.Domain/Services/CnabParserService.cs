@@ -1,13 +1,13 @@
 ﻿// ========================================
 // File: CnabProcessor.Domain/Services/CnabParserService.cs
-// Purpose: Service for parsing CNAB fixed-width text files
+// Purpose: Service for parsing CNAB fixed-width text files in any of the known layouts
 // ========================================
 
-using System.Globalization;
+using System.Security.Cryptography;
 using System.Text;
 using CnabProcessor.Domain.Entities;
-using CnabProcessor.Domain.Enums;
 using CnabProcessor.Domain.Interfaces;
+using CnabProcessor.Domain.Layouts;
 using Microsoft.Extensions.Logging;
 
 namespace CnabProcessor.Domain.Services;
@@ -15,21 +15,11 @@ namespace CnabProcessor.Domain.Services;
 /// <summary>
 /// Service responsible for parsing CNAB (Centro Nacional de Automação Bancária) files.
 /// CNAB is a Brazilian standard for financial transaction files with fixed-width format.
+/// The records are read by the file's layout (see <see cref="CnabLayouts"/>).
 /// </summary>
 public class CnabParserService : ICnabParser
 {
     private readonly ILogger<CnabParserService> _logger;
-    private const int ExpectedLineLength = 81;
-
-    // CNAB field positions (0-based indexing)
-    private const int TypePosition = 0;      // 1 character
-    private const int DatePosition = 1;      // 8 characters (yyyyMMdd)
-    private const int AmountPosition = 9;    // 10 characters (cents)
-    private const int CpfPosition = 19;      // 11 characters
-    private const int CardPosition = 30;     // 12 characters
-    private const int TimePosition = 42;     // 6 characters (HHmmss)
-    private const int OwnerPosition = 48;    // 14 characters
-    private const int StorePosition = 62;    // 19 characters
 
     /// <summary>
     /// Initializes a new instance of the CnabParserService.
@@ -47,7 +37,7 @@ public class CnabParserService : ICnabParser
     /// <returns>Collection of parsed transactions</returns>
     public IEnumerable<Transaction> Parse(Stream fileStream)
     {
-        var transactions = new List<Transaction>();
+        var file = new FileParse(new CnabParseResult(), null, null);
         fileStream.Position = 0;
 
         using var reader = new StreamReader(fileStream, Encoding.UTF8, detectEncodingFromByteOrderMarks: true, leaveOpen: true);
@@ -62,26 +52,12 @@ public class CnabParserService : ICnabParser
             if (string.IsNullOrWhiteSpace(line))
                 continue;
 
-            line = NormalizeLine(line);
-
-            try
-            {
-                var transaction = ParseLine(line);
-
-                // Validate transaction before adding
-                if (transaction.IsValid())
-                {
-                    transactions.Add(transaction);
-                }
-            }
-            catch (Exception ex)
-            {
-                // Log error but continue processing
-                _logger.LogWarning(ex, "Failed to parse line {LineNumber}: {ErrorMessage}", lineNumber, ex.Message);
-            }
+            ReadLine(file, line, lineNumber);
         }
 
-        return transactions;
+        Complete(file);
+
+        return file.Result.Transactions;
     }
 
     /// <summary>
@@ -93,7 +69,62 @@ public class CnabParserService : ICnabParser
     /// <returns>Collection of parsed transactions</returns>
     public async Task<IEnumerable<Transaction>> ParseAsync(Stream fileStream, CancellationToken cancellationToken = default)
     {
-        var transactions = new List<Transaction>();
+        var result = await ParseWithReportAsync(fileStream, cancellationToken);
+        return result.Transactions;
+    }
+
+    /// <summary>
+    /// Parses a CNAB file stream asynchronously and records why each rejected line failed,
+    /// plus data quality warnings. Store owners are only compared with the other lines of the file.
+    /// </summary>
+    /// <param name="fileStream">Stream containing the CNAB file</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Parsed transactions with line-level statistics</returns>
+    public Task<CnabParseResult> ParseWithReportAsync(Stream fileStream, CancellationToken cancellationToken = default)
+    {
+        return ParseWithReportAsync(fileStream, null, null, cancellationToken);
+    }
+
+    /// <summary>
+    /// Parses a CNAB file stream asynchronously, records why each rejected line failed and
+    /// which data quality rules the accepted lines break (they are still accepted).
+    /// The layout is detected from the first line.
+    /// </summary>
+    /// <param name="fileStream">Stream containing the CNAB file</param>
+    /// <param name="knownStoreOwners">Owner already known for each store (e.g. from stored transactions)</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Parsed transactions with line-level statistics and warnings</returns>
+    public Task<CnabParseResult> ParseWithReportAsync(
+        Stream fileStream,
+        IReadOnlyDictionary<string, string>? knownStoreOwners,
+        CancellationToken cancellationToken = default)
+    {
+        return ParseWithReportAsync(fileStream, knownStoreOwners, null, cancellationToken);
+    }
+
+    /// <summary>
+    /// Parses a CNAB file stream asynchronously with the given layout, records why each rejected
+    /// line failed and which data quality rules the accepted lines break (they are still accepted).
+    /// Used by the import to build the import report.
+    /// </summary>
+    /// <param name="fileStream">Stream containing the CNAB file</param>
+    /// <param name="knownStoreOwners">Owner already known for each store (e.g. from stored transactions)</param>
+    /// <param name="layout">Layout of the file; null to detect it from the first line</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Parsed transactions with line-level statistics, warnings and trailer checks</returns>
+    public async Task<CnabParseResult> ParseWithReportAsync(
+        Stream fileStream,
+        IReadOnlyDictionary<string, string>? knownStoreOwners,
+        ICnabLayout? layout,
+        CancellationToken cancellationToken = default)
+    {
+        // Stores new to the known owners take the owner of their first line in the file
+        var storeOwners = knownStoreOwners == null
+            ? new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+            : new Dictionary<string, string>(knownStoreOwners, StringComparer.OrdinalIgnoreCase);
+
+        var file = new FileParse(new CnabParseResult(), layout, storeOwners);
+
         fileStream.Position = 0;
 
         using var reader = new StreamReader(fileStream, Encoding.UTF8, detectEncodingFromByteOrderMarks: true, leaveOpen: true);
@@ -110,103 +141,199 @@ public class CnabParserService : ICnabParser
             if (string.IsNullOrWhiteSpace(line))
                 continue;
 
-            line = NormalizeLine(line);
+            file.Result.LinesRead++;
 
-            try
-            {
-                var transaction = ParseLine(line);
+            ReadLine(file, line, lineNumber);
+        }
+
+        Complete(file);
+
+        return file.Result;
+    }
+
+    /// <summary>
+    /// Reads one non-blank line with the file's layout, picked on the first one.
+    /// Valid transactions are accepted, checked against the data quality rules when
+    /// <see cref="FileParse.StoreOwners"/> is set; the other lines are rejected.
+    /// </summary>
+    private void ReadLine(FileParse file, string rawLine, int lineNumber)
+    {
+        if (file.Reader == null)
+        {
+            file.Layout ??= CnabLayouts.Detect(rawLine);
+            file.Result.Layout = file.Layout.Name;
+            file.Reader = file.Layout.CreateReader(file.Result);
+        }
 
+        var line = NormalizeLine(rawLine, file.Layout!.LineLength);
+
+        try
+        {
+            var record = file.Reader.Read(line, lineNumber);
+            file.Result.CountRecord(record.Kind, record.Segment);
+
+            if (record.SkipReason != null)
+            {
+                file.Result.LinesSkipped++;
+            }
+            else if (record.Transaction is { } transaction)
+            {
                 if (transaction.IsValid())
                 {
-                    transactions.Add(transaction);
+                    Accept(file, transaction, lineNumber);
+                }
+                else
+                {
+                    file.Result.RejectedLines.Add(new CnabLineError
+                    {
+                        LineNumber = lineNumber,
+                        Reason = DescribeInvalidTransaction(transaction),
+                        Content = rawLine
+                    });
                 }
             }
-            catch (Exception ex)
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to parse line {LineNumber}: {ErrorMessage}", lineNumber, ex.Message);
+
+            file.Result.RejectedLines.Add(new CnabLineError
             {
-                _logger.LogWarning(ex, "Failed to parse line {LineNumber}: {ErrorMessage}", lineNumber, ex.Message);
-            }
+                LineNumber = lineNumber,
+                Reason = ex.Message,
+                Content = rawLine
+            });
+        }
+        finally
+        {
+            RejectIncomplete(file);
+        }
+    }
+
+    private void Accept(FileParse file, Transaction transaction, int lineNumber)
+    {
+        DataQualityRules.Stamp(transaction, requireCardNumber: file.Layout!.HasCardNumber);
+        file.Result.Transactions.Add(transaction);
+
+        if (file.StoreOwners == null)
+            return;
+
+        var issues = DataQualityRules.Check(
+            transaction, file.StoreOwners, file.UtcNow, requireCardNumber: file.Layout!.HasCardNumber);
+
+        foreach (var issue in issues)
+        {
+            file.Result.Warnings.Add(new CnabLineWarning
+            {
+                LineNumber = lineNumber,
+                Rule = issue.Rule,
+                Message = issue.Message,
+                ExpectedValue = issue.ExpectedValue
+            });
         }
 
-        return transactions;
+        file.StoreOwners.TryAdd(transaction.StoreName, transaction.StoreOwner);
     }
 
     /// <summary>
-    /// Normalizes line length to expected format.
-    /// Pads short lines with spaces, truncates long lines.
+    /// Ends the file: files without lines still name the layout they would have been read with.
     /// </summary>
-    private static string NormalizeLine(string line)
+    private static void Complete(FileParse file)
     {
-        if (line.Length < ExpectedLineLength)
-            return line.PadRight(ExpectedLineLength, ' ');
+        if (file.Reader == null)
+        {
+            file.Result.Layout = (file.Layout ?? CnabLayouts.Default).Name;
+            return;
+        }
 
-        if (line.Length > ExpectedLineLength)
-            return line.Substring(0, ExpectedLineLength);
+        file.Reader.Complete();
+        RejectIncomplete(file);
 
-        return line;
+        // Records left incomplete are reported where they were found, not at the end
+        file.Result.RejectedLines.Sort((a, b) => a.LineNumber.CompareTo(b.LineNumber));
+    }
+
+    private static void RejectIncomplete(FileParse file)
+    {
+        if (file.Reader?.TakeIncomplete() is { } incomplete)
+            file.Result.RejectedLines.Add(incomplete);
     }
 
     /// <summary>
-    /// Parses a single CNAB line into a Transaction entity.
+    /// Normalizes line length to the layout's record length.
+    /// Pads short lines with spaces, truncates long lines.
     /// </summary>
-    private Transaction ParseLine(string line)
+    private static string NormalizeLine(string line, int lineLength)
     {
-        // Parse transaction type
-        var typeString = line.Substring(TypePosition, 1);
+        if (line.Length < lineLength)
+            return line.PadRight(lineLength, ' ');
 
-        if (!int.TryParse(typeString, out var type) || type < 1 || type > 9)
-            throw new FormatException("Invalid transaction type");
+        if (line.Length > lineLength)
+            return line.Substring(0, lineLength);
 
-        // Parse date (yyyyMMdd format)
-        var date = DateTime.ParseExact(
-            line.Substring(DatePosition, 8),
-            "yyyyMMdd",
-            CultureInfo.InvariantCulture);
+        return line;
+    }
 
-        // Parse amount (value in cents, needs to be divided by 100)
-        var rawCents = long.Parse(line.Substring(AmountPosition, 10));
-        var amount = rawCents / 100m;
+    /// <summary>
+    /// Builds a human-readable reason for a transaction that failed IsValid().
+    /// </summary>
+    private static string DescribeInvalidTransaction(Transaction transaction)
+    {
+        var problems = new List<string>();
 
-        // Parse and clean CPF (remove non-numeric characters)
-        var cpf = ExtractDigits(line.Substring(CpfPosition, 11));
+        if (string.IsNullOrWhiteSpace(transaction.StoreName))
+            problems.Add("store name is missing");
 
-        // Parse card number
-        var card = line.Substring(CardPosition, 12).Trim();
+        if (string.IsNullOrWhiteSpace(transaction.Cpf))
+            problems.Add("CPF is missing");
 
-        // Parse time (HHmmss format)
-        var time = ParseTime(line.Substring(TimePosition, 6));
+        if (transaction.Amount <= 0)
+            problems.Add("amount must be greater than zero");
 
-        // Parse store owner and store name
-        var owner = line.Substring(OwnerPosition, 14).Trim();
-        var store = line.Substring(StorePosition, 19).Trim();
+        if (transaction.Date == default)
+            problems.Add("date is missing");
 
-        return new Transaction
-        {
-            Type = (TransactionType)type,
-            Date = date,
-            Time = time,
-            Amount = amount,
-            Cpf = cpf,
-            CardNumber = card,
-            StoreOwner = owner,
-            StoreName = store,
-            CreatedAt = DateTime.UtcNow
-        };
+        return problems.Count > 0
+            ? $"Invalid transaction: {string.Join(", ", problems)}"
+            : "Invalid transaction";
     }
 
     /// <summary>
-    /// Parses time string in HHmmss format to TimeSpan.
+    /// Computes the SHA-256 hash of a normalized line.
+    /// Identical lines always produce the same hash, which allows duplicate detection.
     /// </summary>
-    private static TimeSpan ParseTime(string hhmmss)
+    public static string ComputeLineHash(string normalizedLine)
     {
-        return TimeSpan.ParseExact(hhmmss, "hhmmss", CultureInfo.InvariantCulture);
+        var bytes = SHA256.HashData(Encoding.UTF8.GetBytes(normalizedLine));
+        return Convert.ToHexString(bytes).ToLowerInvariant();
     }
 
     /// <summary>
-    /// Extracts only numeric digits from a string.
-    /// Useful for cleaning CPF and other numeric fields.
+    /// State of one file being parsed.
     /// </summary>
-    private static string ExtractDigits(string input)
+    private sealed class FileParse
     {
-        return new string(input.Where(char.IsDigit).ToArray());
+        public FileParse(CnabParseResult result, ICnabLayout? layout, Dictionary<string, string>? storeOwners)
+        {
+            Result = result;
+            Layout = layout;
+            StoreOwners = storeOwners;
+        }
+
+        public CnabParseResult Result { get; }
+
+        /// <summary>
+        /// Chosen by the caller or detected on the first line.
+        /// </summary>
+        public ICnabLayout? Layout { get; set; }
+
+        public ICnabLayoutReader? Reader { get; set; }
+
+        /// <summary>
+        /// Owner of each store for the data quality rules; null when they are not checked.
+        /// </summary>
+        public Dictionary<string, string>? StoreOwners { get; }
+
+        public DateTime UtcNow { get; } = DateTime.UtcNow;
     }
-}
\ No newline at end of file
+}
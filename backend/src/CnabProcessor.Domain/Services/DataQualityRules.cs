@@ -0,0 +1,173 @@
+﻿// ========================================
+// File: CnabProcessor.Domain/Services/DataQualityRules.cs
+// Purpose: Data quality rules shared by the parser and the data quality views.
+// Keep in sync with frontend/src/services/dataQuality.js (client pre-upload check)
+// ========================================
+
+using System.Text.RegularExpressions;
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Extensions;
+
+namespace CnabProcessor.Domain.Services;
+
+/// <summary>
+/// Checks that flag suspicious transactions: they are valid for the parser, so they are
+/// imported, but something in them is probably wrong.
+/// </summary>
+public static class DataQualityRules
+{
+    /// <summary>
+    /// Transactions dated before this day are implausible.
+    /// </summary>
+    public static readonly DateTime EarliestPlausibleDate = new(2000, 1, 1);
+
+    /// <summary>
+    /// CNAB dates and times are in UTC-3.
+    /// </summary>
+    public static readonly TimeSpan CnabUtcOffset = TimeSpan.FromHours(-3);
+
+    // First 4 and last 4 digits, the middle ones digits or masked
+    private static readonly Regex CardNumberPattern = new(@"^\d{4}[\d*]{4}\d{4}$", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Checks the two CPF check digits (mod 11). Repeated digits (e.g. 11111111111) pass the
+    /// checksum but are not valid CPFs.
+    /// </summary>
+    public static bool IsValidCpf(string? cpf)
+    {
+        if (cpf == null || cpf.Length != 11 || !cpf.All(char.IsAsciiDigit) || cpf.Distinct().Count() == 1)
+            return false;
+
+        var digits = cpf.Select(c => c - '0').ToArray();
+
+        return CheckDigit(digits, 9) == digits[9] && CheckDigit(digits, 10) == digits[10];
+    }
+
+    /// <summary>
+    /// Checks the masked format of CNAB card numbers (1234****5678).
+    /// </summary>
+    public static bool IsValidCardNumber(string? cardNumber)
+    {
+        return cardNumber != null && CardNumberPattern.IsMatch(cardNumber);
+    }
+
+    /// <summary>
+    /// A transaction is plausible from <see cref="EarliestPlausibleDate"/> up to the current time in UTC-3.
+    /// </summary>
+    /// <param name="date">Transaction date</param>
+    /// <param name="time">Transaction time (UTC-3)</param>
+    /// <param name="utcNow">Current UTC time</param>
+    public static bool IsPlausibleDateTime(DateTime date, TimeSpan time, DateTime utcNow)
+    {
+        return date.Date >= EarliestPlausibleDate && date.Date + time <= utcNow + CnabUtcOffset;
+    }
+
+    /// <summary>
+    /// Runs every rule on a transaction.
+    /// </summary>
+    /// <param name="transaction">Transaction to check</param>
+    /// <param name="knownStoreOwners">Known owner of each store (store names compared ignoring case);
+    /// stores missing from it are not checked for the owner</param>
+    /// <param name="utcNow">Current UTC time</param>
+    /// <param name="requireCardNumber">False for transactions of layouts without card numbers
+    /// (e.g. CNAB 240 collections): a missing card number is then not flagged</param>
+    /// <returns>Broken rules, empty when the transaction looks fine</returns>
+    public static List<DataQualityIssue> Check(
+        Transaction transaction,
+        IReadOnlyDictionary<string, string>? knownStoreOwners,
+        DateTime utcNow,
+        bool requireCardNumber = true)
+    {
+        var issues = new List<DataQualityIssue>();
+
+        if (BreaksCpfChecksum(transaction))
+            issues.Add(Describe(DataQualityRule.CpfChecksum, transaction));
+
+        if (BreaksCardNumberFormat(transaction, requireCardNumber))
+            issues.Add(Describe(DataQualityRule.CardNumberFormat, transaction));
+
+        if (!IsPlausibleDateTime(transaction.Date, transaction.Time, utcNow))
+            issues.Add(Describe(DataQualityRule.ImplausibleDateTime, transaction));
+
+        if (knownStoreOwners != null &&
+            knownStoreOwners.TryGetValue(transaction.StoreName, out var knownOwner) &&
+            !string.Equals(knownOwner, transaction.StoreOwner, StringComparison.OrdinalIgnoreCase))
+        {
+            issues.Add(Describe(DataQualityRule.StoreOwnerMismatch, transaction, knownOwner));
+        }
+
+        return issues;
+    }
+
+    /// <summary>
+    /// Stores on the transaction the result of the rules that depend only on its own values
+    /// (CPF check digits and card number format), so the database can count and page them.
+    /// Called before a transaction is first saved (import, manual entry or reversal).
+    /// </summary>
+    /// <param name="transaction">Transaction to flag</param>
+    /// <param name="requireCardNumber">False for transactions of layouts without card numbers</param>
+    public static void Stamp(Transaction transaction, bool requireCardNumber = true)
+    {
+        transaction.HasInvalidCpf = BreaksCpfChecksum(transaction);
+        transaction.HasInvalidCardNumber = BreaksCardNumberFormat(transaction, requireCardNumber);
+    }
+
+    /// <summary>
+    /// Explains why a transaction breaks a rule.
+    /// </summary>
+    /// <param name="rule">Rule the transaction breaks</param>
+    /// <param name="transaction">The transaction</param>
+    /// <param name="knownOwner">Known owner of the store (StoreOwnerMismatch only)</param>
+    public static DataQualityIssue Describe(DataQualityRule rule, Transaction transaction, string? knownOwner = null)
+    {
+        var message = rule switch
+        {
+            DataQualityRule.CpfChecksum =>
+                $"CPF '{transaction.Cpf.MaskCpf()}' has invalid check digits",
+            DataQualityRule.CardNumberFormat =>
+                $"Card number '{transaction.CardNumber.MaskCardNumber()}' is not in the format 1234****5678",
+            DataQualityRule.ImplausibleDateTime =>
+                $"Date {transaction.Date:yyyy-MM-dd} {transaction.Time:hh\\:mm\\:ss} is before "
+                    + $"{EarliestPlausibleDate:yyyy-MM-dd} or in the future",
+            DataQualityRule.StoreOwnerMismatch =>
+                $"Owner '{transaction.StoreOwner}' differs from the known owner of {transaction.StoreName}, '{knownOwner}'",
+            _ => throw new ArgumentOutOfRangeException(nameof(rule), rule, "Unknown data quality rule")
+        };
+
+        return new DataQualityIssue
+        {
+            Rule = rule,
+            Message = message,
+            ExpectedValue = rule == DataQualityRule.StoreOwnerMismatch ? knownOwner : null
+        };
+    }
+
+    /// <summary>
+    /// Check digit over the first <paramref name="count"/> digits (weights count+1 down to 2).
+    /// </summary>
+    private static int CheckDigit(int[] digits, int count)
+    {
+        var sum = 0;
+        for (var i = 0; i < count; i++)
+        {
+            sum += digits[i] * (count + 1 - i);
+        }
+
+        var remainder = sum * 10 % 11;
+        return remainder == 10 ? 0 : remainder;
+    }
+
+    // Manual entries may have no CPF or card number: only the values given are checked
+    private static bool BreaksCpfChecksum(Transaction transaction)
+    {
+        return !(transaction.IsAdjustment && transaction.Cpf.Length == 0) && !IsValidCpf(transaction.Cpf);
+    }
+
+    private static bool BreaksCardNumberFormat(Transaction transaction, bool requireCardNumber)
+    {
+        var skipMissing = transaction.IsAdjustment || !requireCardNumber;
+
+        return !(skipMissing && transaction.CardNumber.Length == 0) && !IsValidCardNumber(transaction.CardNumber);
+    }
+}
@@ -27,6 +27,36 @@ public class CnabDbContext : DbContext
     /// </summary>
     public DbSet<Transaction> Transactions { get; set; } = null!;
 
+    /// <summary>
+    /// Import batch entities collection (one per uploaded file).
+    /// </summary>
+    public DbSet<ImportBatch> ImportBatches { get; set; } = null!;
+
+    /// <summary>
+    /// Closed accounting periods (locked against imports and deletes).
+    /// </summary>
+    public DbSet<ClosedPeriod> ClosedPeriods { get; set; } = null!;
+
+    /// <summary>
+    /// Audit log of clear CPFs and card numbers shown to users.
+    /// </summary>
+    public DbSet<PiiReveal> PiiReveals { get; set; } = null!;
+
+    /// <summary>
+    /// Audit trail of transactions entered or reversed by hand.
+    /// </summary>
+    public DbSet<TransactionAdjustment> TransactionAdjustments { get; set; } = null!;
+
+    /// <summary>
+    /// Anomaly alerts triggered by imports.
+    /// </summary>
+    public DbSet<Alert> Alerts { get; set; } = null!;
+
+    /// <summary>
+    /// Settings of the anomaly alert rules changed from their defaults.
+    /// </summary>
+    public DbSet<AlertRule> AlertRules { get; set; } = null!;
+
     /// <summary>
     /// Configures entity models and database schema.
     /// </summary>
@@ -100,6 +130,40 @@ public class CnabDbContext : DbContext
                 .HasDefaultValueSql("GETUTCDATE()")
                 .HasComment("Timestamp when record was created in database");
 
+            // Import batch that created the transaction
+            entity.Property(e => e.ImportBatchId)
+                .HasComment("Import batch (uploaded file) that created this transaction");
+
+            entity.HasOne<ImportBatch>()
+                .WithMany()
+                .HasForeignKey(e => e.ImportBatchId)
+                .OnDelete(DeleteBehavior.SetNull);
+
+            // Line Hash - SHA-256 of the normalized CNAB line
+            entity.Property(e => e.LineHash)
+                .HasMaxLength(64)
+                .IsUnicode(false)
+                .HasComment("SHA-256 hash of the normalized CNAB line (duplicate detection)");
+
+            // Manual adjustments (entries and reversals)
+            entity.Property(e => e.IsAdjustment)
+                .IsRequired()
+                .HasDefaultValue(false)
+                .HasComment("Entered by hand (manual entry or reversal) rather than imported");
+
+            entity.Property(e => e.ReversesTransactionId)
+                .HasComment("Transaction offset by this reversal entry");
+
+            entity.Property(e => e.HasInvalidCpf)
+                .IsRequired()
+                .HasDefaultValue(false)
+                .HasComment("Breaks the CPF check digits data quality rule");
+
+            entity.Property(e => e.HasInvalidCardNumber)
+                .IsRequired()
+                .HasDefaultValue(false)
+                .HasComment("Breaks the card number format data quality rule");
+
             // Indexes for better query performance
             entity.HasIndex(e => e.StoreName)
                 .HasDatabaseName("IX_Transactions_StoreName");
@@ -110,6 +174,22 @@ public class CnabDbContext : DbContext
             entity.HasIndex(e => new { e.StoreName, e.Date })
                 .HasDatabaseName("IX_Transactions_StoreName_Date");
 
+            entity.HasIndex(e => e.LineHash)
+                .HasDatabaseName("IX_Transactions_LineHash");
+
+            entity.HasIndex(e => e.ImportBatchId)
+                .HasDatabaseName("IX_Transactions_ImportBatchId");
+
+            // Card used in many stores alert rule
+            entity.HasIndex(e => new { e.CardNumber, e.Date })
+                .HasDatabaseName("IX_Transactions_CardNumber_Date");
+
+            // A transaction can be reversed only once
+            entity.HasIndex(e => e.ReversesTransactionId)
+                .IsUnique()
+                .HasFilter("[ReversesTransactionId] IS NOT NULL")
+                .HasDatabaseName("IX_Transactions_ReversesTransactionId");
+
             // Ignore computed properties (not stored in database)
             entity.Ignore(e => e.SignedAmount);
             entity.Ignore(e => e.Nature);
@@ -117,6 +197,319 @@ public class CnabDbContext : DbContext
             entity.Ignore(e => e.IsIncome);
             entity.Ignore(e => e.IsExpense);
         });
+
+        // Configure ImportBatch entity
+        modelBuilder.Entity<ImportBatch>(entity =>
+        {
+            entity.ToTable("ImportBatches");
+
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Id)
+                .ValueGeneratedOnAdd();
+
+            entity.Property(e => e.FileName)
+                .IsRequired()
+                .HasMaxLength(255)
+                .HasComment("Original filename that was uploaded");
+
+            entity.Property(e => e.FileHash)
+                .IsRequired()
+                .HasMaxLength(64)
+                .IsUnicode(false)
+                .HasComment("SHA-256 hash of the file content");
+
+            entity.Property(e => e.UploadedBy)
+                .IsRequired()
+                .HasMaxLength(100)
+                .HasComment("Username of who uploaded the file");
+
+            entity.Property(e => e.ImportedAt)
+                .IsRequired()
+                .HasComment("Timestamp (UTC) when the file was imported");
+
+            entity.Property(e => e.TransactionCount)
+                .IsRequired()
+                .HasComment("Number of transactions created by this import");
+
+            entity.Property(e => e.Layout)
+                .IsRequired()
+                .HasMaxLength(20)
+                .IsUnicode(false)
+                .HasDefaultValue("CNAB81")
+                .HasComment("Layout the file was read with (CNAB81, CNAB240 or CNAB400)");
+
+            entity.HasIndex(e => e.FileHash)
+                .HasDatabaseName("IX_ImportBatches_FileHash");
+        });
+
+        // Configure ClosedPeriod entity
+        modelBuilder.Entity<ClosedPeriod>(entity =>
+        {
+            entity.ToTable("ClosedPeriods");
+
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Id)
+                .ValueGeneratedOnAdd();
+
+            entity.Property(e => e.StartDate)
+                .IsRequired()
+                .HasColumnType("date")
+                .HasComment("First day of the closed period (inclusive)");
+
+            entity.Property(e => e.EndDate)
+                .IsRequired()
+                .HasColumnType("date")
+                .HasComment("Last day of the closed period (inclusive)");
+
+            entity.Property(e => e.ClosedBy)
+                .IsRequired()
+                .HasMaxLength(100)
+                .HasComment("Username of who closed the period");
+
+            entity.Property(e => e.ClosedAt)
+                .IsRequired()
+                .HasComment("Timestamp (UTC) when the period was closed");
+
+            entity.Property(e => e.Note)
+                .HasMaxLength(500)
+                .HasComment("Optional note, e.g. the bank statement used for reconciliation");
+
+            entity.HasIndex(e => new { e.StartDate, e.EndDate })
+                .HasDatabaseName("IX_ClosedPeriods_StartDate_EndDate");
+        });
+
+        // Configure PiiReveal entity (append-only audit log)
+        modelBuilder.Entity<PiiReveal>(entity =>
+        {
+            entity.ToTable("PiiReveals");
+
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Id)
+                .ValueGeneratedOnAdd();
+
+            // No foreign key: the record must outlive the transaction
+            entity.Property(e => e.TransactionId)
+                .IsRequired()
+                .HasComment("Transaction whose CPF and card number were revealed");
+
+            entity.Property(e => e.StoreName)
+                .IsRequired()
+                .HasMaxLength(50)
+                .HasComment("Store of the transaction");
+
+            entity.Property(e => e.RevealedBy)
+                .IsRequired()
+                .HasMaxLength(100)
+                .HasComment("Username of who revealed the data");
+
+            entity.Property(e => e.RevealedAt)
+                .IsRequired()
+                .HasComment("Timestamp (UTC) of the reveal");
+
+            entity.HasIndex(e => e.RevealedAt)
+                .HasDatabaseName("IX_PiiReveals_RevealedAt");
+
+            entity.HasIndex(e => e.TransactionId)
+                .HasDatabaseName("IX_PiiReveals_TransactionId");
+        });
+
+        // Configure TransactionAdjustment entity (append-only audit trail)
+        modelBuilder.Entity<TransactionAdjustment>(entity =>
+        {
+            entity.ToTable("TransactionAdjustments");
+
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Id)
+                .ValueGeneratedOnAdd();
+
+            entity.Property(e => e.Kind)
+                .IsRequired()
+                .HasConversion<int>()
+                .HasComment("Adjustment kind: 1=Entry, 2=Reversal");
+
+            // The record outlives its entry: deleting the entry only clears the link
+            entity.Property(e => e.TransactionId)
+                .HasComment("Transaction created by the adjustment (null once deleted)");
+
+            entity.HasOne(e => e.Transaction)
+                .WithMany()
+                .HasForeignKey(e => e.TransactionId)
+                .OnDelete(DeleteBehavior.SetNull);
+
+            // No foreign key: the record must outlive the reversed transaction
+            entity.Property(e => e.ReversedTransactionId)
+                .HasComment("Transaction offset by a reversal");
+
+            entity.Property(e => e.StoreName)
+                .IsRequired()
+                .HasMaxLength(50)
+                .HasComment("Store of the entry");
+
+            entity.Property(e => e.StoreOwner)
+                .IsRequired()
+                .HasMaxLength(50)
+                .HasComment("Store owner of the entry");
+
+            entity.Property(e => e.Type)
+                .IsRequired()
+                .HasConversion<int>()
+                .HasComment("Transaction type of the entry (1-9)");
+
+            entity.Property(e => e.Amount)
+                .IsRequired()
+                .HasColumnType("decimal(18,2)")
+                .HasComment("Amount of the entry (negative for reversals)");
+
+            entity.Property(e => e.Date)
+                .IsRequired()
+                .HasColumnType("date")
+                .HasComment("Date of the entry");
+
+            entity.Property(e => e.Reason)
+                .IsRequired()
+                .HasMaxLength(500)
+                .HasComment("Why the adjustment was made");
+
+            entity.Property(e => e.CreatedBy)
+                .IsRequired()
+                .HasMaxLength(100)
+                .HasComment("Username of who made the adjustment");
+
+            entity.Property(e => e.CreatedAt)
+                .IsRequired()
+                .HasComment("Timestamp (UTC) of the adjustment");
+
+            entity.HasIndex(e => new { e.StoreName, e.CreatedAt })
+                .HasDatabaseName("IX_TransactionAdjustments_StoreName_CreatedAt");
+
+            entity.HasIndex(e => e.CreatedAt)
+                .HasDatabaseName("IX_TransactionAdjustments_CreatedAt");
+
+            entity.Ignore(e => e.SignedAmount);
+        });
+
+        // Configure Alert entity
+        modelBuilder.Entity<Alert>(entity =>
+        {
+            entity.ToTable("Alerts");
+
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Id)
+                .ValueGeneratedOnAdd();
+
+            entity.Property(e => e.Rule)
+                .IsRequired()
+                .HasConversion<int>()
+                .HasComment("Rule: 1=LargeAmount, 2=DailyFlowDeviation, 3=CardInManyStores, 4=OutOfHours");
+
+            entity.Property(e => e.Key)
+                .IsRequired()
+                .HasMaxLength(150)
+                .HasComment("What the alert is about; unique so an anomaly is reported once");
+
+            entity.Property(e => e.StoreName)
+                .IsRequired()
+                .HasMaxLength(50)
+                .HasComment("Affected store");
+
+            // The alert outlives its transaction: deleting it only clears the link
+            entity.Property(e => e.TransactionId)
+                .HasComment("Transaction that triggered the alert (null for store or card rules, or once deleted)");
+
+            entity.HasOne<Transaction>()
+                .WithMany()
+                .HasForeignKey(e => e.TransactionId)
+                .OnDelete(DeleteBehavior.SetNull);
+
+            // No foreign key: acknowledged alerts are kept after a rollback
+            entity.Property(e => e.ImportBatchId)
+                .HasComment("Import that triggered the alert");
+
+            entity.Property(e => e.Date)
+                .IsRequired()
+                .HasColumnType("date")
+                .HasComment("Day of the anomaly");
+
+            entity.Property(e => e.Message)
+                .IsRequired()
+                .HasMaxLength(300)
+                .HasComment("Description of the anomaly (card numbers masked)");
+
+            entity.Property(e => e.Value)
+                .IsRequired()
+                .HasColumnType("decimal(18,2)")
+                .HasComment("Value found (amount, net flow, number of stores or hour)");
+
+            entity.Property(e => e.Threshold)
+                .IsRequired()
+                .HasColumnType("decimal(18,2)")
+                .HasComment("Limit of the rule when the alert was triggered");
+
+            entity.Property(e => e.TriggeredAt)
+                .IsRequired()
+                .HasComment("Timestamp (UTC) of the import that triggered the alert");
+
+            entity.Property(e => e.AcknowledgedBy)
+                .HasMaxLength(100)
+                .HasComment("Username of who acknowledged the alert");
+
+            entity.Property(e => e.AcknowledgedAt)
+                .HasComment("Timestamp (UTC) of the acknowledgement (null while open)");
+
+            entity.Property(e => e.Comment)
+                .HasMaxLength(500)
+                .HasComment("Comment given when acknowledging");
+
+            entity.HasIndex(e => e.Key)
+                .IsUnique()
+                .HasDatabaseName("IX_Alerts_Key");
+
+            entity.HasIndex(e => new { e.AcknowledgedAt, e.TriggeredAt })
+                .HasDatabaseName("IX_Alerts_AcknowledgedAt_TriggeredAt");
+
+            entity.HasIndex(e => e.StoreName)
+                .HasDatabaseName("IX_Alerts_StoreName");
+
+            entity.HasIndex(e => e.ImportBatchId)
+                .HasDatabaseName("IX_Alerts_ImportBatchId");
+
+            entity.HasIndex(e => e.TransactionId)
+                .HasDatabaseName("IX_Alerts_TransactionId");
+
+            entity.Ignore(e => e.IsAcknowledged);
+        });
+
+        // Configure AlertRule entity (one row per rule changed from its defaults)
+        modelBuilder.Entity<AlertRule>(entity =>
+        {
+            entity.ToTable("AlertRules");
+
+            entity.HasKey(e => e.Type);
+            entity.Property(e => e.Type)
+                .HasConversion<int>()
+                .ValueGeneratedNever()
+                .HasComment("Rule: 1=LargeAmount, 2=DailyFlowDeviation, 3=CardInManyStores, 4=OutOfHours");
+
+            entity.Property(e => e.IsEnabled)
+                .IsRequired()
+                .HasComment("Whether the rule is evaluated on imports");
+
+            entity.Property(e => e.Threshold)
+                .IsRequired()
+                .HasColumnType("decimal(18,2)")
+                .HasComment("Amount, deviation factor, number of stores or opening hour");
+
+            entity.Property(e => e.Window)
+                .IsRequired()
+                .HasComment("Trailing days, minutes or closing hour (unused for LargeAmount)");
+
+            entity.Property(e => e.UpdatedBy)
+                .HasMaxLength(100)
+                .HasComment("Username of who last changed the rule");
+
+            entity.Property(e => e.UpdatedAt)
+                .HasComment("Timestamp (UTC) of the last change");
+        });
     }
 
     /// <summary>
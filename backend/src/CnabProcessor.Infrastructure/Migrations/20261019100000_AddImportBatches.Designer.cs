@@ -0,0 +1,167 @@
+﻿// <auto-generated />
+using System;
+using CnabProcessor.Infrastructure.Data;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.EntityFrameworkCore.Metadata;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    [DbContext(typeof(CnabDbContext))]
+    [Migration("20261019100000_AddImportBatches")]
+    partial class AddImportBatches
+    {
+        /// <inheritdoc />
+        protected override void BuildTargetModel(ModelBuilder modelBuilder)
+        {
+#pragma warning disable 612, 618
+            modelBuilder
+                .HasAnnotation("ProductVersion", "8.0.0")
+                .HasAnnotation("Relational:MaxIdentifierLength", 128);
+
+            SqlServerModelBuilderExtensions.UseIdentityColumns(modelBuilder);
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.ImportBatch", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<string>("FileHash")
+                        .IsRequired()
+                        .HasMaxLength(64)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(64)")
+                        .HasComment("SHA-256 hash of the file content");
+
+                    b.Property<string>("FileName")
+                        .IsRequired()
+                        .HasMaxLength(255)
+                        .HasColumnType("nvarchar(255)")
+                        .HasComment("Original filename that was uploaded");
+
+                    b.Property<DateTime>("ImportedAt")
+                        .HasColumnType("datetime2")
+                        .HasComment("Timestamp (UTC) when the file was imported");
+
+                    b.Property<int>("TransactionCount")
+                        .HasColumnType("int")
+                        .HasComment("Number of transactions created by this import");
+
+                    b.Property<string>("UploadedBy")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("nvarchar(100)")
+                        .HasComment("Username of who uploaded the file");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("FileHash")
+                        .HasDatabaseName("IX_ImportBatches_FileHash");
+
+                    b.ToTable("ImportBatches", (string)null);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.Transaction", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<decimal>("Amount")
+                        .HasColumnType("decimal(18,2)")
+                        .HasComment("Transaction amount in decimal format");
+
+                    b.Property<string>("CardNumber")
+                        .IsRequired()
+                        .HasMaxLength(20)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(20)")
+                        .HasComment("Card number used in transaction");
+
+                    b.Property<string>("Cpf")
+                        .IsRequired()
+                        .HasMaxLength(11)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(11)")
+                        .HasComment("Beneficiary's CPF (only digits)");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("datetime2")
+                        .HasDefaultValueSql("GETUTCDATE()")
+                        .HasComment("Timestamp when record was created in database");
+
+                    b.Property<DateTime>("Date")
+                        .HasColumnType("date")
+                        .HasComment("Date when the transaction occurred");
+
+                    b.Property<int?>("ImportBatchId")
+                        .HasColumnType("int")
+                        .HasComment("Import batch (uploaded file) that created this transaction");
+
+                    b.Property<string>("LineHash")
+                        .HasMaxLength(64)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(64)")
+                        .HasComment("SHA-256 hash of the normalized CNAB line (duplicate detection)");
+
+                    b.Property<string>("StoreName")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)")
+                        .HasComment("Name of the store where transaction occurred");
+
+                    b.Property<string>("StoreOwner")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)")
+                        .HasComment("Name of the store owner/representative");
+
+                    b.Property<TimeSpan>("Time")
+                        .HasColumnType("time")
+                        .HasComment("Time when the transaction occurred (UTC-3)");
+
+                    b.Property<int>("Type")
+                        .HasColumnType("int")
+                        .HasComment("Transaction type: 1=Debit, 2=Boleto, 3=Financing, 4=Credit, 5=LoanReceipt, 6=Sales, 7=TedReceipt, 8=DocReceipt, 9=Rent");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("Date")
+                        .HasDatabaseName("IX_Transactions_Date");
+
+                    b.HasIndex("ImportBatchId")
+                        .HasDatabaseName("IX_Transactions_ImportBatchId");
+
+                    b.HasIndex("LineHash")
+                        .HasDatabaseName("IX_Transactions_LineHash");
+
+                    b.HasIndex("StoreName")
+                        .HasDatabaseName("IX_Transactions_StoreName");
+
+                    b.HasIndex("StoreName", "Date")
+                        .HasDatabaseName("IX_Transactions_StoreName_Date");
+
+                    b.ToTable("Transactions", (string)null);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.Transaction", b =>
+                {
+                    b.HasOne("CnabProcessor.Domain.Entities.ImportBatch", null)
+                        .WithMany()
+                        .HasForeignKey("ImportBatchId")
+                        .OnDelete(DeleteBehavior.SetNull);
+                });
+#pragma warning restore 612, 618
+        }
+    }
+}
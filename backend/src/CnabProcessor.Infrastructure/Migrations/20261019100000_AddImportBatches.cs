@@ -0,0 +1,98 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddImportBatches : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "ImportBatchId",
+                table: "Transactions",
+                type: "int",
+                nullable: true,
+                comment: "Import batch (uploaded file) that created this transaction");
+
+            migrationBuilder.AddColumn<string>(
+                name: "LineHash",
+                table: "Transactions",
+                type: "varchar(64)",
+                unicode: false,
+                maxLength: 64,
+                nullable: true,
+                comment: "SHA-256 hash of the normalized CNAB line (duplicate detection)");
+
+            migrationBuilder.CreateTable(
+                name: "ImportBatches",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    FileName = table.Column<string>(type: "nvarchar(255)", maxLength: 255, nullable: false, comment: "Original filename that was uploaded"),
+                    FileHash = table.Column<string>(type: "varchar(64)", unicode: false, maxLength: 64, nullable: false, comment: "SHA-256 hash of the file content"),
+                    UploadedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false, comment: "Username of who uploaded the file"),
+                    ImportedAt = table.Column<DateTime>(type: "datetime2", nullable: false, comment: "Timestamp (UTC) when the file was imported"),
+                    TransactionCount = table.Column<int>(type: "int", nullable: false, comment: "Number of transactions created by this import")
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_ImportBatches", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Transactions_ImportBatchId",
+                table: "Transactions",
+                column: "ImportBatchId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Transactions_LineHash",
+                table: "Transactions",
+                column: "LineHash");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ImportBatches_FileHash",
+                table: "ImportBatches",
+                column: "FileHash");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_Transactions_ImportBatches_ImportBatchId",
+                table: "Transactions",
+                column: "ImportBatchId",
+                principalTable: "ImportBatches",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_Transactions_ImportBatches_ImportBatchId",
+                table: "Transactions");
+
+            migrationBuilder.DropTable(
+                name: "ImportBatches");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Transactions_ImportBatchId",
+                table: "Transactions");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Transactions_LineHash",
+                table: "Transactions");
+
+            migrationBuilder.DropColumn(
+                name: "ImportBatchId",
+                table: "Transactions");
+
+            migrationBuilder.DropColumn(
+                name: "LineHash",
+                table: "Transactions");
+        }
+    }
+}
@@ -0,0 +1,44 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddClosedPeriods : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "ClosedPeriods",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    StartDate = table.Column<DateTime>(type: "date", nullable: false, comment: "First day of the closed period (inclusive)"),
+                    EndDate = table.Column<DateTime>(type: "date", nullable: false, comment: "Last day of the closed period (inclusive)"),
+                    ClosedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false, comment: "Username of who closed the period"),
+                    ClosedAt = table.Column<DateTime>(type: "datetime2", nullable: false, comment: "Timestamp (UTC) when the period was closed"),
+                    Note = table.Column<string>(type: "nvarchar(500)", maxLength: 500, nullable: true, comment: "Optional note, e.g. the bank statement used for reconciliation")
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_ClosedPeriods", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ClosedPeriods_StartDate_EndDate",
+                table: "ClosedPeriods",
+                columns: new[] { "StartDate", "EndDate" });
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "ClosedPeriods");
+        }
+    }
+}
@@ -0,0 +1,48 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddPiiReveals : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "PiiReveals",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    TransactionId = table.Column<int>(type: "int", nullable: false, comment: "Transaction whose CPF and card number were revealed"),
+                    StoreName = table.Column<string>(type: "nvarchar(50)", maxLength: 50, nullable: false, comment: "Store of the transaction"),
+                    RevealedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false, comment: "Username of who revealed the data"),
+                    RevealedAt = table.Column<DateTime>(type: "datetime2", nullable: false, comment: "Timestamp (UTC) of the reveal")
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_PiiReveals", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PiiReveals_RevealedAt",
+                table: "PiiReveals",
+                column: "RevealedAt");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PiiReveals_TransactionId",
+                table: "PiiReveals",
+                column: "TransactionId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "PiiReveals");
+        }
+    }
+}
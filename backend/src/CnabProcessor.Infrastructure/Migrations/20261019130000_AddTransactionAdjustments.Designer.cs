@@ -0,0 +1,343 @@
+﻿// <auto-generated />
+using System;
+using CnabProcessor.Infrastructure.Data;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.EntityFrameworkCore.Metadata;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    [DbContext(typeof(CnabDbContext))]
+    [Migration("20261019130000_AddTransactionAdjustments")]
+    partial class AddTransactionAdjustments
+    {
+        /// <inheritdoc />
+        protected override void BuildTargetModel(ModelBuilder modelBuilder)
+        {
+#pragma warning disable 612, 618
+            modelBuilder
+                .HasAnnotation("ProductVersion", "8.0.0")
+                .HasAnnotation("Relational:MaxIdentifierLength", 128);
+
+            SqlServerModelBuilderExtensions.UseIdentityColumns(modelBuilder);
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.ClosedPeriod", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<DateTime>("ClosedAt")
+                        .HasColumnType("datetime2")
+                        .HasComment("Timestamp (UTC) when the period was closed");
+
+                    b.Property<string>("ClosedBy")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("nvarchar(100)")
+                        .HasComment("Username of who closed the period");
+
+                    b.Property<DateTime>("EndDate")
+                        .HasColumnType("date")
+                        .HasComment("Last day of the closed period (inclusive)");
+
+                    b.Property<string>("Note")
+                        .HasMaxLength(500)
+                        .HasColumnType("nvarchar(500)")
+                        .HasComment("Optional note, e.g. the bank statement used for reconciliation");
+
+                    b.Property<DateTime>("StartDate")
+                        .HasColumnType("date")
+                        .HasComment("First day of the closed period (inclusive)");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("StartDate", "EndDate")
+                        .HasDatabaseName("IX_ClosedPeriods_StartDate_EndDate");
+
+                    b.ToTable("ClosedPeriods", (string)null);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.ImportBatch", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<string>("FileHash")
+                        .IsRequired()
+                        .HasMaxLength(64)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(64)")
+                        .HasComment("SHA-256 hash of the file content");
+
+                    b.Property<string>("FileName")
+                        .IsRequired()
+                        .HasMaxLength(255)
+                        .HasColumnType("nvarchar(255)")
+                        .HasComment("Original filename that was uploaded");
+
+                    b.Property<DateTime>("ImportedAt")
+                        .HasColumnType("datetime2")
+                        .HasComment("Timestamp (UTC) when the file was imported");
+
+                    b.Property<int>("TransactionCount")
+                        .HasColumnType("int")
+                        .HasComment("Number of transactions created by this import");
+
+                    b.Property<string>("UploadedBy")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("nvarchar(100)")
+                        .HasComment("Username of who uploaded the file");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("FileHash")
+                        .HasDatabaseName("IX_ImportBatches_FileHash");
+
+                    b.ToTable("ImportBatches", (string)null);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.PiiReveal", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<DateTime>("RevealedAt")
+                        .HasColumnType("datetime2")
+                        .HasComment("Timestamp (UTC) of the reveal");
+
+                    b.Property<string>("RevealedBy")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("nvarchar(100)")
+                        .HasComment("Username of who revealed the data");
+
+                    b.Property<string>("StoreName")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)")
+                        .HasComment("Store of the transaction");
+
+                    b.Property<int>("TransactionId")
+                        .HasColumnType("int")
+                        .HasComment("Transaction whose CPF and card number were revealed");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("RevealedAt")
+                        .HasDatabaseName("IX_PiiReveals_RevealedAt");
+
+                    b.HasIndex("TransactionId")
+                        .HasDatabaseName("IX_PiiReveals_TransactionId");
+
+                    b.ToTable("PiiReveals", (string)null);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.Transaction", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<decimal>("Amount")
+                        .HasColumnType("decimal(18,2)")
+                        .HasComment("Transaction amount in decimal format");
+
+                    b.Property<string>("CardNumber")
+                        .IsRequired()
+                        .HasMaxLength(20)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(20)")
+                        .HasComment("Card number used in transaction");
+
+                    b.Property<string>("Cpf")
+                        .IsRequired()
+                        .HasMaxLength(11)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(11)")
+                        .HasComment("Beneficiary's CPF (only digits)");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("datetime2")
+                        .HasDefaultValueSql("GETUTCDATE()")
+                        .HasComment("Timestamp when record was created in database");
+
+                    b.Property<DateTime>("Date")
+                        .HasColumnType("date")
+                        .HasComment("Date when the transaction occurred");
+
+                    b.Property<int?>("ImportBatchId")
+                        .HasColumnType("int")
+                        .HasComment("Import batch (uploaded file) that created this transaction");
+
+                    b.Property<bool>("IsAdjustment")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("bit")
+                        .HasDefaultValue(false)
+                        .HasComment("Entered by hand (manual entry or reversal) rather than imported");
+
+                    b.Property<string>("LineHash")
+                        .HasMaxLength(64)
+                        .IsUnicode(false)
+                        .HasColumnType("varchar(64)")
+                        .HasComment("SHA-256 hash of the normalized CNAB line (duplicate detection)");
+
+                    b.Property<int?>("ReversesTransactionId")
+                        .HasColumnType("int")
+                        .HasComment("Transaction offset by this reversal entry");
+
+                    b.Property<string>("StoreName")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)")
+                        .HasComment("Name of the store where transaction occurred");
+
+                    b.Property<string>("StoreOwner")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)")
+                        .HasComment("Name of the store owner/representative");
+
+                    b.Property<TimeSpan>("Time")
+                        .HasColumnType("time")
+                        .HasComment("Time when the transaction occurred (UTC-3)");
+
+                    b.Property<int>("Type")
+                        .HasColumnType("int")
+                        .HasComment("Transaction type: 1=Debit, 2=Boleto, 3=Financing, 4=Credit, 5=LoanReceipt, 6=Sales, 7=TedReceipt, 8=DocReceipt, 9=Rent");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("Date")
+                        .HasDatabaseName("IX_Transactions_Date");
+
+                    b.HasIndex("ImportBatchId")
+                        .HasDatabaseName("IX_Transactions_ImportBatchId");
+
+                    b.HasIndex("LineHash")
+                        .HasDatabaseName("IX_Transactions_LineHash");
+
+                    b.HasIndex("ReversesTransactionId")
+                        .IsUnique()
+                        .HasDatabaseName("IX_Transactions_ReversesTransactionId")
+                        .HasFilter("[ReversesTransactionId] IS NOT NULL");
+
+                    b.HasIndex("StoreName")
+                        .HasDatabaseName("IX_Transactions_StoreName");
+
+                    b.HasIndex("StoreName", "Date")
+                        .HasDatabaseName("IX_Transactions_StoreName_Date");
+
+                    b.ToTable("Transactions", (string)null);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.TransactionAdjustment", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<decimal>("Amount")
+                        .HasColumnType("decimal(18,2)")
+                        .HasComment("Amount of the entry (negative for reversals)");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("datetime2")
+                        .HasComment("Timestamp (UTC) of the adjustment");
+
+                    b.Property<string>("CreatedBy")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("nvarchar(100)")
+                        .HasComment("Username of who made the adjustment");
+
+                    b.Property<DateTime>("Date")
+                        .HasColumnType("date")
+                        .HasComment("Date of the entry");
+
+                    b.Property<int>("Kind")
+                        .HasColumnType("int")
+                        .HasComment("Adjustment kind: 1=Entry, 2=Reversal");
+
+                    b.Property<string>("Reason")
+                        .IsRequired()
+                        .HasMaxLength(500)
+                        .HasColumnType("nvarchar(500)")
+                        .HasComment("Why the adjustment was made");
+
+                    b.Property<int?>("ReversedTransactionId")
+                        .HasColumnType("int")
+                        .HasComment("Transaction offset by a reversal");
+
+                    b.Property<string>("StoreName")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)")
+                        .HasComment("Store of the entry");
+
+                    b.Property<string>("StoreOwner")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)")
+                        .HasComment("Store owner of the entry");
+
+                    b.Property<int?>("TransactionId")
+                        .HasColumnType("int")
+                        .HasComment("Transaction created by the adjustment (null once deleted)");
+
+                    b.Property<int>("Type")
+                        .HasColumnType("int")
+                        .HasComment("Transaction type of the entry (1-9)");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("CreatedAt")
+                        .HasDatabaseName("IX_TransactionAdjustments_CreatedAt");
+
+                    b.HasIndex("TransactionId");
+
+                    b.HasIndex("StoreName", "CreatedAt")
+                        .HasDatabaseName("IX_TransactionAdjustments_StoreName_CreatedAt");
+
+                    b.ToTable("TransactionAdjustments", (string)null);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.Transaction", b =>
+                {
+                    b.HasOne("CnabProcessor.Domain.Entities.ImportBatch", null)
+                        .WithMany()
+                        .HasForeignKey("ImportBatchId")
+                        .OnDelete(DeleteBehavior.SetNull);
+                });
+
+            modelBuilder.Entity("CnabProcessor.Domain.Entities.TransactionAdjustment", b =>
+                {
+                    b.HasOne("CnabProcessor.Domain.Entities.Transaction", "Transaction")
+                        .WithMany()
+                        .HasForeignKey("TransactionId")
+                        .OnDelete(DeleteBehavior.SetNull);
+
+                    b.Navigation("Transaction");
+                });
+#pragma warning restore 612, 618
+        }
+    }
+}
@@ -0,0 +1,100 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddTransactionAdjustments : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "IsAdjustment",
+                table: "Transactions",
+                type: "bit",
+                nullable: false,
+                defaultValue: false,
+                comment: "Entered by hand (manual entry or reversal) rather than imported");
+
+            migrationBuilder.AddColumn<int>(
+                name: "ReversesTransactionId",
+                table: "Transactions",
+                type: "int",
+                nullable: true,
+                comment: "Transaction offset by this reversal entry");
+
+            migrationBuilder.CreateTable(
+                name: "TransactionAdjustments",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    Kind = table.Column<int>(type: "int", nullable: false, comment: "Adjustment kind: 1=Entry, 2=Reversal"),
+                    TransactionId = table.Column<int>(type: "int", nullable: true, comment: "Transaction created by the adjustment (null once deleted)"),
+                    ReversedTransactionId = table.Column<int>(type: "int", nullable: true, comment: "Transaction offset by a reversal"),
+                    StoreName = table.Column<string>(type: "nvarchar(50)", maxLength: 50, nullable: false, comment: "Store of the entry"),
+                    StoreOwner = table.Column<string>(type: "nvarchar(50)", maxLength: 50, nullable: false, comment: "Store owner of the entry"),
+                    Type = table.Column<int>(type: "int", nullable: false, comment: "Transaction type of the entry (1-9)"),
+                    Amount = table.Column<decimal>(type: "decimal(18,2)", nullable: false, comment: "Amount of the entry (negative for reversals)"),
+                    Date = table.Column<DateTime>(type: "date", nullable: false, comment: "Date of the entry"),
+                    Reason = table.Column<string>(type: "nvarchar(500)", maxLength: 500, nullable: false, comment: "Why the adjustment was made"),
+                    CreatedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false, comment: "Username of who made the adjustment"),
+                    CreatedAt = table.Column<DateTime>(type: "datetime2", nullable: false, comment: "Timestamp (UTC) of the adjustment")
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_TransactionAdjustments", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_TransactionAdjustments_Transactions_TransactionId",
+                        column: x => x.TransactionId,
+                        principalTable: "Transactions",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.SetNull);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Transactions_ReversesTransactionId",
+                table: "Transactions",
+                column: "ReversesTransactionId",
+                unique: true,
+                filter: "[ReversesTransactionId] IS NOT NULL");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TransactionAdjustments_CreatedAt",
+                table: "TransactionAdjustments",
+                column: "CreatedAt");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TransactionAdjustments_StoreName_CreatedAt",
+                table: "TransactionAdjustments",
+                columns: new[] { "StoreName", "CreatedAt" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TransactionAdjustments_TransactionId",
+                table: "TransactionAdjustments",
+                column: "TransactionId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "TransactionAdjustments");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Transactions_ReversesTransactionId",
+                table: "Transactions");
+
+            migrationBuilder.DropColumn(
+                name: "IsAdjustment",
+                table: "Transactions");
+
+            migrationBuilder.DropColumn(
+                name: "ReversesTransactionId",
+                table: "Transactions");
+        }
+    }
+}
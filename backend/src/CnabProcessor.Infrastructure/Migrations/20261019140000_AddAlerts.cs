@@ -0,0 +1,107 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAlerts : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "AlertRules",
+                columns: table => new
+                {
+                    Type = table.Column<int>(type: "int", nullable: false, comment: "Rule: 1=LargeAmount, 2=DailyFlowDeviation, 3=CardInManyStores, 4=OutOfHours"),
+                    IsEnabled = table.Column<bool>(type: "bit", nullable: false, comment: "Whether the rule is evaluated on imports"),
+                    Threshold = table.Column<decimal>(type: "decimal(18,2)", nullable: false, comment: "Amount, deviation factor, number of stores or opening hour"),
+                    Window = table.Column<int>(type: "int", nullable: false, comment: "Trailing days, minutes or closing hour (unused for LargeAmount)"),
+                    UpdatedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: true, comment: "Username of who last changed the rule"),
+                    UpdatedAt = table.Column<DateTime>(type: "datetime2", nullable: true, comment: "Timestamp (UTC) of the last change")
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AlertRules", x => x.Type);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "Alerts",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    Rule = table.Column<int>(type: "int", nullable: false, comment: "Rule: 1=LargeAmount, 2=DailyFlowDeviation, 3=CardInManyStores, 4=OutOfHours"),
+                    Key = table.Column<string>(type: "nvarchar(150)", maxLength: 150, nullable: false, comment: "What the alert is about; unique so an anomaly is reported once"),
+                    StoreName = table.Column<string>(type: "nvarchar(50)", maxLength: 50, nullable: false, comment: "Affected store"),
+                    TransactionId = table.Column<int>(type: "int", nullable: true, comment: "Transaction that triggered the alert (null for store or card rules, or once deleted)"),
+                    ImportBatchId = table.Column<int>(type: "int", nullable: true, comment: "Import that triggered the alert"),
+                    Date = table.Column<DateTime>(type: "date", nullable: false, comment: "Day of the anomaly"),
+                    Message = table.Column<string>(type: "nvarchar(300)", maxLength: 300, nullable: false, comment: "Description of the anomaly (card numbers masked)"),
+                    Value = table.Column<decimal>(type: "decimal(18,2)", nullable: false, comment: "Value found (amount, net flow, number of stores or hour)"),
+                    Threshold = table.Column<decimal>(type: "decimal(18,2)", nullable: false, comment: "Limit of the rule when the alert was triggered"),
+                    TriggeredAt = table.Column<DateTime>(type: "datetime2", nullable: false, comment: "Timestamp (UTC) of the import that triggered the alert"),
+                    AcknowledgedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: true, comment: "Username of who acknowledged the alert"),
+                    AcknowledgedAt = table.Column<DateTime>(type: "datetime2", nullable: true, comment: "Timestamp (UTC) of the acknowledgement (null while open)"),
+                    Comment = table.Column<string>(type: "nvarchar(500)", maxLength: 500, nullable: true, comment: "Comment given when acknowledging")
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_Alerts", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_Alerts_Transactions_TransactionId",
+                        column: x => x.TransactionId,
+                        principalTable: "Transactions",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.SetNull);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Transactions_CardNumber_Date",
+                table: "Transactions",
+                columns: new[] { "CardNumber", "Date" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Alerts_AcknowledgedAt_TriggeredAt",
+                table: "Alerts",
+                columns: new[] { "AcknowledgedAt", "TriggeredAt" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Alerts_ImportBatchId",
+                table: "Alerts",
+                column: "ImportBatchId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Alerts_Key",
+                table: "Alerts",
+                column: "Key",
+                unique: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Alerts_StoreName",
+                table: "Alerts",
+                column: "StoreName");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Alerts_TransactionId",
+                table: "Alerts",
+                column: "TransactionId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "AlertRules");
+
+            migrationBuilder.DropTable(
+                name: "Alerts");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Transactions_CardNumber_Date",
+                table: "Transactions");
+        }
+    }
+}
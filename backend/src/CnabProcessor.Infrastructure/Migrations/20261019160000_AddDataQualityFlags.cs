@@ -0,0 +1,76 @@
+﻿using System.Linq;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CnabProcessor.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddDataQualityFlags : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "HasInvalidCardNumber",
+                table: "Transactions",
+                type: "bit",
+                nullable: false,
+                defaultValue: false,
+                comment: "Breaks the card number format data quality rule");
+
+            migrationBuilder.AddColumn<bool>(
+                name: "HasInvalidCpf",
+                table: "Transactions",
+                type: "bit",
+                nullable: false,
+                defaultValue: false,
+                comment: "Breaks the CPF check digits data quality rule");
+
+            // Flags the existing transactions the way DataQualityRules.Stamp does for new ones.
+            // Manual entries and imports of layouts without card numbers may have an empty card.
+            migrationBuilder.Sql(@"
+UPDATE [Transactions] SET [HasInvalidCardNumber] = 1
+WHERE (DATALENGTH([CardNumber]) <> 12
+        OR [CardNumber] NOT LIKE '[0-9][0-9][0-9][0-9][0-9*][0-9*][0-9*][0-9*][0-9][0-9][0-9][0-9]')
+    AND NOT (DATALENGTH([CardNumber]) = 0
+        AND ([IsAdjustment] = 1
+            OR [ImportBatchId] IN (SELECT [Id] FROM [ImportBatches] WHERE [Layout] IN ('CNAB240', 'CNAB400'))));");
+
+            // Manual entries may have an empty CPF; the CASE order keeps the CASTs to 11 digits
+            migrationBuilder.Sql($@"
+UPDATE [Transactions] SET [HasInvalidCpf] = CASE
+    WHEN [IsAdjustment] = 1 AND DATALENGTH([Cpf]) = 0 THEN 0
+    WHEN DATALENGTH([Cpf]) <> 11 OR [Cpf] LIKE '%[^0-9]%' OR [Cpf] = REPLICATE(LEFT([Cpf], 1), 11) THEN 1
+    WHEN {CpfCheckDigitSql(9)} <> {CpfDigitSql(10)} OR {CpfCheckDigitSql(10)} <> {CpfDigitSql(11)} THEN 1
+    ELSE 0
+END;");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "HasInvalidCardNumber",
+                table: "Transactions");
+
+            migrationBuilder.DropColumn(
+                name: "HasInvalidCpf",
+                table: "Transactions");
+        }
+
+        private static string CpfDigitSql(int position)
+        {
+            return $"CAST(SUBSTRING([Cpf], {position}, 1) AS int)";
+        }
+
+        // Mod 11 check digit over the first digits (weights count+1 down to 2), 10 counting as 0
+        private static string CpfCheckDigitSql(int count)
+        {
+            var sum = string.Join(" + ", Enumerable.Range(1, count)
+                .Select(position => $"{CpfDigitSql(position)} * {count + 2 - position}"));
+
+            return $"(({sum}) * 10 % 11 % 10)";
+        }
+    }
+}
@@ -0,0 +1,244 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Repositories/AlertRepository.cs
+// Purpose: Data access layer for anomaly alerts and their rules
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Services;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Interfaces;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Infrastructure.Repositories;
+
+/// <summary>
+/// Repository implementation for Alert and AlertRule entities.
+/// </summary>
+public class AlertRepository : IAlertRepository
+{
+    private readonly CnabDbContext _context;
+    private readonly ILogger<AlertRepository> _logger;
+
+    public AlertRepository(CnabDbContext context, ILogger<AlertRepository> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Retrieves the settings of every rule, by rule type, filling in the defaults of rules never saved.
+    /// </summary>
+    public async Task<IEnumerable<AlertRule>> GetRulesAsync(CancellationToken cancellationToken = default)
+    {
+        var saved = await _context.AlertRules
+            .AsNoTracking()
+            .ToDictionaryAsync(r => r.Type, cancellationToken);
+
+        return AnomalyRules.DefaultRules
+            .Select(rule => saved.GetValueOrDefault(rule.Type) ?? rule)
+            .OrderBy(rule => rule.Type)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Saves the settings of a rule, inserting it the first time it changes.
+    /// </summary>
+    public async Task SaveRuleAsync(AlertRule rule, CancellationToken cancellationToken = default)
+    {
+        if (rule == null)
+            throw new ArgumentNullException(nameof(rule));
+
+        var stored = await _context.AlertRules.FindAsync(new object[] { rule.Type }, cancellationToken);
+        if (stored == null)
+        {
+            await _context.AlertRules.AddAsync(rule, cancellationToken);
+        }
+        else
+        {
+            stored.IsEnabled = rule.IsEnabled;
+            stored.Threshold = rule.Threshold;
+            stored.Window = rule.Window;
+            stored.UpdatedBy = rule.UpdatedBy;
+            stored.UpdatedAt = rule.UpdatedAt;
+        }
+
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Alert rule {Rule} set to enabled={IsEnabled}, threshold={Threshold}, window={Window} by {User}",
+            rule.Type, rule.IsEnabled, rule.Threshold, rule.Window, rule.UpdatedBy);
+    }
+
+    /// <summary>
+    /// Saves the alerts whose key is not stored yet (duplicates within the list are saved once).
+    /// </summary>
+    public async Task<int> AddNewAsync(IEnumerable<Alert> alerts, CancellationToken cancellationToken = default)
+    {
+        var candidates = alerts
+            .GroupBy(a => a.Key)
+            .Select(g => g.First())
+            .ToList();
+
+        if (candidates.Count == 0)
+            return 0;
+
+        var keys = candidates.Select(a => a.Key).ToList();
+        var existing = await _context.Alerts
+            .Where(a => keys.Contains(a.Key))
+            .Select(a => a.Key)
+            .ToListAsync(cancellationToken);
+
+        var newAlerts = candidates.Where(a => !existing.Contains(a.Key)).ToList();
+        if (newAlerts.Count == 0)
+            return 0;
+
+        await _context.Alerts.AddRangeAsync(newAlerts, cancellationToken);
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("{Count} alerts triggered ({Skipped} already reported)",
+            newAlerts.Count, candidates.Count - newAlerts.Count);
+
+        return newAlerts.Count;
+    }
+
+    /// <summary>
+    /// Retrieves one page of alerts, newest first.
+    /// </summary>
+    public async Task<AlertPage> GetPageAsync(
+        bool? acknowledged,
+        string? storeName,
+        AlertRuleType? rule,
+        int pageNumber,
+        int pageSize,
+        CancellationToken cancellationToken = default)
+    {
+        var source = _context.Alerts.AsNoTracking();
+
+        if (acknowledged.HasValue)
+            source = acknowledged.Value
+                ? source.Where(a => a.AcknowledgedAt != null)
+                : source.Where(a => a.AcknowledgedAt == null);
+
+        if (!string.IsNullOrWhiteSpace(storeName))
+            source = source.Where(a => a.StoreName == storeName);
+
+        if (rule.HasValue)
+            source = source.Where(a => a.Rule == rule.Value);
+
+        var totalCount = await source.CountAsync(cancellationToken);
+
+        var totalPages = (int)Math.Ceiling((double)totalCount / pageSize);
+        var page = totalPages > 0 ? Math.Min(pageNumber, totalPages) : pageNumber;
+
+        var items = await source
+            .OrderByDescending(a => a.TriggeredAt)
+            .ThenByDescending(a => a.Id)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .ToListAsync(cancellationToken);
+
+        return new AlertPage
+        {
+            Items = items,
+            PageNumber = page,
+            PageSize = pageSize,
+            TotalCount = totalCount
+        };
+    }
+
+    /// <summary>
+    /// Retrieves an alert by id.
+    /// </summary>
+    public async Task<Alert?> GetByIdAsync(int id, CancellationToken cancellationToken = default)
+    {
+        return await _context.Alerts
+            .AsNoTracking()
+            .FirstOrDefaultAsync(a => a.Id == id, cancellationToken);
+    }
+
+    /// <summary>
+    /// Marks an open alert as acknowledged and saves it immediately.
+    /// </summary>
+    public async Task<Alert> AcknowledgeAsync(
+        int id,
+        string acknowledgedBy,
+        string comment,
+        CancellationToken cancellationToken = default)
+    {
+        var alert = await _context.Alerts.FindAsync(new object[] { id }, cancellationToken)
+            ?? throw new KeyNotFoundException($"Alert {id} not found");
+
+        if (alert.IsAcknowledged)
+            throw new InvalidOperationException($"Alert {id} was already acknowledged by {alert.AcknowledgedBy}");
+
+        alert.AcknowledgedBy = acknowledgedBy;
+        alert.AcknowledgedAt = DateTime.UtcNow;
+        alert.Comment = comment;
+
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Alert {AlertId} ({Rule}, {StoreName}) acknowledged by {User}: {Comment}",
+            alert.Id, alert.Rule, alert.StoreName, acknowledgedBy, comment);
+
+        return alert;
+    }
+
+    /// <summary>
+    /// Retrieves the number of open alerts and the latest one of every store with open alerts.
+    /// </summary>
+    public async Task<IEnumerable<StoreAlertSummary>> GetStoreSummariesAsync(
+        CancellationToken cancellationToken = default)
+    {
+        return await _context.Alerts
+            .Where(a => a.AcknowledgedAt == null)
+            .GroupBy(a => a.StoreName)
+            .Select(g => new StoreAlertSummary
+            {
+                StoreName = g.Key,
+                OpenAlertCount = g.Count(),
+                LastTriggeredAt = g.Max(a => a.TriggeredAt)
+            })
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves the number of open alerts per rule.
+    /// </summary>
+    public async Task<IReadOnlyDictionary<AlertRuleType, int>> GetOpenCountsAsync(
+        CancellationToken cancellationToken = default)
+    {
+        return await _context.Alerts
+            .Where(a => a.AcknowledgedAt == null)
+            .GroupBy(a => a.Rule)
+            .Select(g => new { Rule = g.Key, Count = g.Count() })
+            .ToDictionaryAsync(g => g.Rule, g => g.Count, cancellationToken);
+    }
+
+    /// <summary>
+    /// Deletes the open alerts of an import, or every open alert.
+    /// </summary>
+    public async Task<int> DeleteOpenAsync(int? importBatchId = null, CancellationToken cancellationToken = default)
+    {
+        var source = _context.Alerts.Where(a => a.AcknowledgedAt == null);
+
+        if (importBatchId.HasValue)
+            source = source.Where(a => a.ImportBatchId == importBatchId);
+
+        var alerts = await source.ToListAsync(cancellationToken);
+        if (alerts.Count == 0)
+            return 0;
+
+        _context.Alerts.RemoveRange(alerts);
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Deleted {Count} open alerts (import {ImportBatchId})", alerts.Count, importBatchId);
+
+        return alerts.Count;
+    }
+}
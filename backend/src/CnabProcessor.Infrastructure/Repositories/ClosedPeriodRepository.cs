@@ -0,0 +1,124 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Repositories/ClosedPeriodRepository.cs
+// Purpose: Data access layer for ClosedPeriod entities
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Interfaces;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Infrastructure.Repositories;
+
+/// <summary>
+/// Repository implementation for ClosedPeriod entity.
+/// </summary>
+public class ClosedPeriodRepository : IClosedPeriodRepository
+{
+    private readonly CnabDbContext _context;
+    private readonly ILogger<ClosedPeriodRepository> _logger;
+
+    public ClosedPeriodRepository(
+        CnabDbContext context,
+        ILogger<ClosedPeriodRepository> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Retrieves every closed period, oldest first.
+    /// </summary>
+    public async Task<IEnumerable<ClosedPeriod>> GetAllAsync(CancellationToken cancellationToken = default)
+    {
+        return await _context.ClosedPeriods
+            .OrderBy(p => p.StartDate)
+            .AsNoTracking()
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves a closed period by id.
+    /// </summary>
+    public async Task<ClosedPeriod?> GetByIdAsync(int id, CancellationToken cancellationToken = default)
+    {
+        return await _context.ClosedPeriods
+            .AsNoTracking()
+            .FirstOrDefaultAsync(p => p.Id == id, cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves the closed periods that contain at least one stored transaction.
+    /// There are only a few periods, so each one is checked with its own EXISTS query.
+    /// </summary>
+    public async Task<IEnumerable<ClosedPeriod>> GetWithTransactionsAsync(
+        int? importBatchId = null,
+        CancellationToken cancellationToken = default)
+    {
+        var periods = await GetAllAsync(cancellationToken);
+        var transactions = _context.Transactions.AsNoTracking();
+
+        if (importBatchId.HasValue)
+        {
+            // Reversal entries of the import's transactions are rolled back with them
+            var batchTransactionIds = _context.Transactions
+                .Where(t => t.ImportBatchId == importBatchId.Value)
+                .Select(t => t.Id);
+
+            transactions = transactions.Where(t => t.ImportBatchId == importBatchId.Value
+                || (t.ReversesTransactionId != null && batchTransactionIds.Contains(t.ReversesTransactionId.Value)));
+        }
+
+        var locked = new List<ClosedPeriod>();
+
+        foreach (var period in periods)
+        {
+            var hasTransactions = await transactions
+                .AnyAsync(t => t.Date >= period.StartDate && t.Date <= period.EndDate, cancellationToken);
+
+            if (hasTransactions)
+                locked.Add(period);
+        }
+
+        return locked;
+    }
+
+    /// <summary>
+    /// Adds a closed period and saves it immediately.
+    /// </summary>
+    public async Task AddAsync(ClosedPeriod period, CancellationToken cancellationToken = default)
+    {
+        if (period == null)
+            throw new ArgumentNullException(nameof(period));
+
+        _logger.LogInformation("Closing period {StartDate:yyyy-MM-dd} to {EndDate:yyyy-MM-dd} by {ClosedBy}",
+            period.StartDate, period.EndDate, period.ClosedBy);
+
+        await _context.ClosedPeriods.AddAsync(period, cancellationToken);
+        await _context.SaveChangesAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Reopens a period by removing it.
+    /// </summary>
+    public async Task<bool> RemoveAsync(int id, CancellationToken cancellationToken = default)
+    {
+        var period = await _context.ClosedPeriods.FindAsync(new object[] { id }, cancellationToken);
+        if (period == null)
+            return false;
+
+        _context.ClosedPeriods.Remove(period);
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogWarning("Reopened period {PeriodId} ({StartDate:yyyy-MM-dd} to {EndDate:yyyy-MM-dd})",
+            period.Id, period.StartDate, period.EndDate);
+
+        return true;
+    }
+}
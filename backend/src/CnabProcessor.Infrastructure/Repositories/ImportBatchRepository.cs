@@ -0,0 +1,216 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Repositories/ImportBatchRepository.cs
+// Purpose: Data access layer for ImportBatch entities
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Interfaces;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Infrastructure.Repositories;
+
+/// <summary>
+/// Repository implementation for ImportBatch entity.
+/// </summary>
+public class ImportBatchRepository : IImportBatchRepository
+{
+    // SQL Server limits the number of parameters per query, so large IN lists are split
+    private const int LineHashChunkSize = 1000;
+
+    private readonly CnabDbContext _context;
+    private readonly ILogger<ImportBatchRepository> _logger;
+
+    public ImportBatchRepository(
+        CnabDbContext context,
+        ILogger<ImportBatchRepository> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Retrieves the most recent import of a file with the given content hash.
+    /// </summary>
+    public async Task<ImportBatch?> GetByFileHashAsync(string fileHash, CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(fileHash))
+            throw new ArgumentNullException(nameof(fileHash));
+
+        return await _context.ImportBatches
+            .Where(b => b.FileHash == fileHash)
+            .OrderByDescending(b => b.ImportedAt)
+            .AsNoTracking()
+            .FirstOrDefaultAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves an import batch by id.
+    /// </summary>
+    public async Task<ImportBatch?> GetByIdAsync(int id, CancellationToken cancellationToken = default)
+    {
+        return await _context.ImportBatches
+            .AsNoTracking()
+            .FirstOrDefaultAsync(b => b.Id == id, cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves every import batch with the totals of its transactions, newest first.
+    /// Totals are aggregated by the database per batch and type; the nature of each
+    /// type (income/expense) is applied in memory.
+    /// </summary>
+    public async Task<IEnumerable<ImportBatchSummary>> GetSummariesAsync(CancellationToken cancellationToken = default)
+    {
+        _logger.LogDebug("Retrieving import history");
+
+        var batches = await _context.ImportBatches
+            .OrderByDescending(b => b.ImportedAt)
+            .AsNoTracking()
+            .ToListAsync(cancellationToken);
+
+        var totals = await _context.Transactions
+            .Where(t => t.ImportBatchId != null)
+            .GroupBy(t => new { t.ImportBatchId, t.Type })
+            .Select(g => new
+            {
+                g.Key.ImportBatchId,
+                g.Key.Type,
+                Count = g.Count(),
+                Amount = g.Sum(t => t.Amount)
+            })
+            .ToListAsync(cancellationToken);
+
+        var totalsByBatch = totals.ToLookup(t => t.ImportBatchId!.Value);
+
+        return batches.Select(batch =>
+        {
+            var summary = new ImportBatchSummary { Batch = batch };
+
+            foreach (var total in totalsByBatch[batch.Id])
+            {
+                summary.TransactionCount += total.Count;
+
+                if (new Transaction { Type = total.Type }.IsIncome)
+                    summary.TotalIncome += total.Amount;
+                else
+                    summary.TotalExpenses += total.Amount;
+            }
+
+            return summary;
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Returns which of the given line hashes already exist in stored transactions.
+    /// </summary>
+    public async Task<HashSet<string>> GetExistingLineHashesAsync(
+        IEnumerable<string> lineHashes,
+        CancellationToken cancellationToken = default)
+    {
+        if (lineHashes == null)
+            throw new ArgumentNullException(nameof(lineHashes));
+
+        var existing = new HashSet<string>();
+        var distinctHashes = lineHashes.Where(h => !string.IsNullOrEmpty(h)).Distinct().ToList();
+
+        foreach (var chunk in distinctHashes.Chunk(LineHashChunkSize))
+        {
+            var found = await _context.Transactions
+                .Where(t => t.LineHash != null && chunk.Contains(t.LineHash))
+                .Select(t => t.LineHash!)
+                .Distinct()
+                .ToListAsync(cancellationToken);
+
+            existing.UnionWith(found);
+        }
+
+        _logger.LogDebug("Found {Existing} of {Total} line hashes already imported",
+            existing.Count, distinctHashes.Count);
+
+        return existing;
+    }
+
+    /// <summary>
+    /// Adds an import batch and saves it immediately.
+    /// </summary>
+    public async Task AddAsync(ImportBatch batch, CancellationToken cancellationToken = default)
+    {
+        if (batch == null)
+            throw new ArgumentNullException(nameof(batch));
+
+        _logger.LogInformation("Registering import batch for file {FileName} ({FileHash})",
+            batch.FileName, batch.FileHash);
+
+        await _context.ImportBatches.AddAsync(batch, cancellationToken);
+        await _context.SaveChangesAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Removes an import batch.
+    /// </summary>
+    public async Task RemoveAsync(ImportBatch batch, CancellationToken cancellationToken = default)
+    {
+        if (batch == null)
+            throw new ArgumentNullException(nameof(batch));
+
+        _logger.LogWarning("Removing import batch {BatchId} ({FileName})", batch.Id, batch.FileName);
+
+        // Discard pending changes left by the failed import so they are not saved again below
+        _context.ChangeTracker.Clear();
+
+        var stored = await _context.ImportBatches.FindAsync(new object[] { batch.Id }, cancellationToken);
+        if (stored != null)
+        {
+            _context.ImportBatches.Remove(stored);
+            await _context.SaveChangesAsync(cancellationToken);
+        }
+    }
+
+    /// <summary>
+    /// Returns the distinct store names of the transactions created by an import, in order.
+    /// </summary>
+    public async Task<IReadOnlyList<string>> GetStoreNamesAsync(int id, CancellationToken cancellationToken = default)
+    {
+        return await _context.Transactions
+            .Where(t => t.ImportBatchId == id)
+            .Select(t => t.StoreName)
+            .Distinct()
+            .OrderBy(name => name)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Rolls back an import: deletes the batch, every transaction it created and
+    /// the reversal entries of those transactions (which would offset nothing anymore).
+    /// </summary>
+    public async Task<int> DeleteWithTransactionsAsync(int id, CancellationToken cancellationToken = default)
+    {
+        var batch = await _context.ImportBatches.FindAsync(new object[] { id }, cancellationToken);
+        if (batch == null)
+            throw new KeyNotFoundException($"Import batch {id} not found");
+
+        var batchTransactionIds = _context.Transactions
+            .Where(t => t.ImportBatchId == id)
+            .Select(t => t.Id);
+
+        var transactions = await _context.Transactions
+            .Where(t => t.ImportBatchId == id
+                || (t.ReversesTransactionId != null && batchTransactionIds.Contains(t.ReversesTransactionId.Value)))
+            .ToListAsync(cancellationToken);
+
+        _context.Transactions.RemoveRange(transactions);
+        _context.ImportBatches.Remove(batch);
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Rolled back import batch {BatchId} ({FileName}): {Count} transactions deleted",
+            batch.Id, batch.FileName, transactions.Count);
+
+        return transactions.Count;
+    }
+}
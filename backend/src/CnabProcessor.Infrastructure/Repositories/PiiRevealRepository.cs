@@ -0,0 +1,69 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Repositories/PiiRevealRepository.cs
+// Purpose: Data access layer for the PII reveal audit log
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Interfaces;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Infrastructure.Repositories;
+
+/// <summary>
+/// Repository implementation for PiiReveal entity.
+/// </summary>
+public class PiiRevealRepository : IPiiRevealRepository
+{
+    private readonly CnabDbContext _context;
+    private readonly ILogger<PiiRevealRepository> _logger;
+
+    public PiiRevealRepository(
+        CnabDbContext context,
+        ILogger<PiiRevealRepository> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Records a reveal and saves it immediately.
+    /// </summary>
+    public async Task AddAsync(PiiReveal reveal, CancellationToken cancellationToken = default)
+    {
+        if (reveal == null)
+            throw new ArgumentNullException(nameof(reveal));
+
+        await _context.PiiReveals.AddAsync(reveal, cancellationToken);
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogWarning("Personal data of transaction {TransactionId} ({StoreName}) revealed to {RevealedBy}",
+            reveal.TransactionId, reveal.StoreName, reveal.RevealedBy);
+    }
+
+    /// <summary>
+    /// Retrieves the latest reveals, newest first.
+    /// </summary>
+    public async Task<IEnumerable<PiiReveal>> GetLatestAsync(
+        int? transactionId = null,
+        int take = 100,
+        CancellationToken cancellationToken = default)
+    {
+        var reveals = _context.PiiReveals.AsNoTracking();
+
+        if (transactionId.HasValue)
+            reveals = reveals.Where(r => r.TransactionId == transactionId.Value);
+
+        return await reveals
+            .OrderByDescending(r => r.RevealedAt)
+            .ThenByDescending(r => r.Id)
+            .Take(take)
+            .ToListAsync(cancellationToken);
+    }
+}
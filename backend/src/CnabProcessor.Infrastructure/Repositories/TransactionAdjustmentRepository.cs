@@ -0,0 +1,90 @@
+﻿// ========================================
+// File: CnabProcessor.Infrastructure/Repositories/TransactionAdjustmentRepository.cs
+// Purpose: Data access layer for manual adjustments and their audit trail
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Interfaces;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace CnabProcessor.Infrastructure.Repositories;
+
+/// <summary>
+/// Repository implementation for TransactionAdjustment entity.
+/// </summary>
+public class TransactionAdjustmentRepository : ITransactionAdjustmentRepository
+{
+    private readonly CnabDbContext _context;
+    private readonly ILogger<TransactionAdjustmentRepository> _logger;
+
+    public TransactionAdjustmentRepository(
+        CnabDbContext context,
+        ILogger<TransactionAdjustmentRepository> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Saves an adjustment together with its entry. A single SaveChanges inserts both
+    /// (entry first), so there is never an entry without its audit record.
+    /// </summary>
+    public async Task AddAsync(TransactionAdjustment adjustment, CancellationToken cancellationToken = default)
+    {
+        if (adjustment == null)
+            throw new ArgumentNullException(nameof(adjustment));
+        if (adjustment.Transaction == null)
+            throw new ArgumentException("The adjustment has no entry", nameof(adjustment));
+
+        await _context.TransactionAdjustments.AddAsync(adjustment, cancellationToken);
+        await _context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("{Kind} {TransactionId} of {StoreName} ({Amount}) created by {CreatedBy}: {Reason}",
+            adjustment.Kind, adjustment.TransactionId, adjustment.StoreName, adjustment.Amount,
+            adjustment.CreatedBy, adjustment.Reason);
+    }
+
+    /// <summary>
+    /// Retrieves the latest adjustments, newest first.
+    /// </summary>
+    public async Task<IEnumerable<TransactionAdjustment>> GetLatestAsync(
+        string? storeName = null,
+        int take = 100,
+        CancellationToken cancellationToken = default)
+    {
+        var adjustments = _context.TransactionAdjustments.AsNoTracking();
+
+        if (!string.IsNullOrWhiteSpace(storeName))
+            adjustments = adjustments.Where(a => a.StoreName == storeName);
+
+        return await adjustments
+            .OrderByDescending(a => a.CreatedAt)
+            .ThenByDescending(a => a.Id)
+            .Take(take)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves the number of adjustments and the latest one of every adjusted store.
+    /// </summary>
+    public async Task<IEnumerable<StoreAdjustmentSummary>> GetStoreSummariesAsync(
+        CancellationToken cancellationToken = default)
+    {
+        return await _context.TransactionAdjustments
+            .GroupBy(a => a.StoreName)
+            .Select(g => new StoreAdjustmentSummary
+            {
+                StoreName = g.Key,
+                AdjustmentCount = g.Count(),
+                LastAdjustedAt = g.Max(a => a.CreatedAt)
+            })
+            .ToListAsync(cancellationToken);
+    }
+}
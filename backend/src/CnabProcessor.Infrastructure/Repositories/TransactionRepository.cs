@@ -4,7 +4,9 @@
 // ========================================
 
 using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
 using CnabProcessor.Domain.Interfaces;
+using CnabProcessor.Domain.Services;
 using CnabProcessor.Infrastructure.Data;
 using CnabProcessor.Infrastructure.Interfaces;
 using Microsoft.EntityFrameworkCore;
@@ -12,6 +14,7 @@ using Microsoft.Extensions.Logging;
 using System;
 using System.Collections.Generic;
 using System.Linq;
+using System.Linq.Expressions;
 using System.Threading;
 using System.Threading.Tasks;
 
@@ -23,6 +26,9 @@ namespace CnabProcessor.Infrastructure.Repositories;
 /// </summary>
 public class TransactionRepository : ITransactionRepository
 {
+    // Joins a store name and an owner name into one key the database can compare
+    private const string StoreOwnerSeparator = "\u001f";
+
     private readonly CnabDbContext _context;
     private readonly ILogger<TransactionRepository> _logger;
 
@@ -68,6 +74,49 @@ public class TransactionRepository : ITransactionRepository
             .ToListAsync(cancellationToken);
     }
 
+    /// <summary>
+    /// Retrieves the transactions created by an import.
+    /// </summary>
+    public async Task<IEnumerable<Transaction>> GetByImportBatchAsync(
+        int importBatchId,
+        CancellationToken cancellationToken = default)
+    {
+        return await _context.Transactions
+            .AsNoTracking()
+            .Where(t => t.ImportBatchId == importBatchId)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves a transaction by id.
+    /// </summary>
+    public async Task<Transaction?> GetByIdAsync(int id, CancellationToken cancellationToken = default)
+    {
+        return await _context.Transactions
+            .AsNoTracking()
+            .FirstOrDefaultAsync(t => t.Id == id, cancellationToken);
+    }
+
+    /// <summary>
+    /// Finds the reversal entries of the given transactions.
+    /// </summary>
+    public async Task<IReadOnlyDictionary<int, int>> GetReversalIdsAsync(
+        IEnumerable<int> transactionIds,
+        CancellationToken cancellationToken = default)
+    {
+        var ids = transactionIds.Cast<int?>().ToList();
+        if (ids.Count == 0)
+            return new Dictionary<int, int>();
+
+        var reversals = await _context.Transactions
+            .AsNoTracking()
+            .Where(t => ids.Contains(t.ReversesTransactionId))
+            .Select(t => new { ReversedId = t.ReversesTransactionId!.Value, t.Id })
+            .ToListAsync(cancellationToken);
+
+        return reversals.ToDictionary(r => r.ReversedId, r => r.Id);
+    }
+
     /// <summary>
     /// Retrieves aggregated store balances with transaction details.
     /// Groups transactions by store and calculates totals.
@@ -102,6 +151,388 @@ public class TransactionRepository : ITransactionRepository
         return storeBalances.OrderBy(s => s.StoreName);
     }
 
+    /// <summary>
+    /// Retrieves store balances aggregated by the database.
+    /// Sums are grouped by store and type in SQL; the nature of each type
+    /// (income/expense) is applied in memory. Transactions are not loaded.
+    /// </summary>
+    public async Task<IEnumerable<StoreBalance>> GetStoreSummariesAsync(
+        TransactionFilter? filter = null,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogDebug("Calculating store summaries");
+
+        var totals = await ApplyFilter(_context.Transactions.AsNoTracking(), filter)
+            .GroupBy(t => new { t.StoreName, t.Type })
+            .Select(g => new
+            {
+                g.Key.StoreName,
+                g.Key.Type,
+                Count = g.Count(),
+                Amount = g.Sum(t => t.Amount)
+            })
+            .ToListAsync(cancellationToken);
+
+        return totals
+            .GroupBy(t => t.StoreName)
+            .Select(group =>
+            {
+                var store = new StoreBalance { StoreName = group.Key };
+
+                foreach (var total in group)
+                {
+                    store.TransactionCount += total.Count;
+
+                    if (new Transaction { Type = total.Type }.IsIncome)
+                        store.TotalIncome += total.Amount;
+                    else
+                        store.TotalExpenses += total.Amount;
+                }
+
+                store.TotalBalance = store.TotalIncome - store.TotalExpenses;
+                return store;
+            })
+            .OrderBy(s => s.StoreName)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Retrieves income and expense totals per day, for all stores or one.
+    /// Sums are grouped by day and type in SQL; the nature of each type is applied in memory.
+    /// </summary>
+    public async Task<IEnumerable<DailyTotal>> GetDailyTotalsAsync(
+        string? storeName = null,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogDebug("Calculating daily totals");
+
+        var totals = await ForStore(storeName)
+            .GroupBy(t => new { t.Date.Date, t.Type })
+            .Select(g => new
+            {
+                g.Key.Date,
+                g.Key.Type,
+                Count = g.Count(),
+                Amount = g.Sum(t => t.Amount)
+            })
+            .ToListAsync(cancellationToken);
+
+        return totals
+            .GroupBy(t => t.Date)
+            .Select(group =>
+            {
+                var day = new DailyTotal { Date = group.Key };
+
+                foreach (var total in group)
+                {
+                    day.TransactionCount += total.Count;
+
+                    if (new Transaction { Type = total.Type }.IsIncome)
+                        day.TotalIncome += total.Amount;
+                    else
+                        day.TotalExpenses += total.Amount;
+                }
+
+                return day;
+            })
+            .OrderBy(d => d.Date)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Retrieves income and expense totals per store and day. Amounts are summed per type in SQL;
+    /// the nature of each type is applied in memory.
+    /// </summary>
+    public async Task<IEnumerable<StoreDailyTotal>> GetStoreDailyTotalsAsync(
+        IEnumerable<string> storeNames,
+        DateTime from,
+        DateTime to,
+        CancellationToken cancellationToken = default)
+    {
+        var stores = storeNames.Distinct().ToList();
+        var fromDate = from.Date;
+        var toDate = to.Date;
+
+        var totals = await _context.Transactions
+            .AsNoTracking()
+            .Where(t => stores.Contains(t.StoreName) && t.Date >= fromDate && t.Date <= toDate)
+            .GroupBy(t => new { t.StoreName, t.Date.Date, t.Type })
+            .Select(g => new
+            {
+                g.Key.StoreName,
+                g.Key.Date,
+                g.Key.Type,
+                Count = g.Count(),
+                Amount = g.Sum(t => t.Amount)
+            })
+            .ToListAsync(cancellationToken);
+
+        return totals
+            .GroupBy(t => new { t.StoreName, t.Date })
+            .Select(group =>
+            {
+                var day = new StoreDailyTotal { StoreName = group.Key.StoreName, Date = group.Key.Date };
+
+                foreach (var total in group)
+                {
+                    day.TransactionCount += total.Count;
+
+                    if (new Transaction { Type = total.Type }.IsIncome)
+                        day.TotalIncome += total.Amount;
+                    else
+                        day.TotalExpenses += total.Amount;
+                }
+
+                return day;
+            })
+            .OrderBy(d => d.StoreName)
+            .ThenBy(d => d.Date)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Retrieves the transactions made with any of the given card numbers between two days.
+    /// </summary>
+    public async Task<IEnumerable<Transaction>> GetByCardNumbersAsync(
+        IEnumerable<string> cardNumbers,
+        DateTime from,
+        DateTime to,
+        CancellationToken cancellationToken = default)
+    {
+        var cards = cardNumbers.Distinct().ToList();
+        var fromDate = from.Date;
+        var toDate = to.Date;
+
+        return await _context.Transactions
+            .AsNoTracking()
+            .Where(t => cards.Contains(t.CardNumber) && t.Date >= fromDate && t.Date <= toDate)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves count and amount per transaction type, for all stores or one, ordered by type code.
+    /// </summary>
+    public async Task<IEnumerable<TypeTotal>> GetTypeTotalsAsync(
+        string? storeName = null,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogDebug("Calculating totals per transaction type");
+
+        return await ForStore(storeName)
+            .GroupBy(t => t.Type)
+            .Select(g => new TypeTotal
+            {
+                Type = g.Key,
+                TransactionCount = g.Count(),
+                TotalAmount = g.Sum(t => t.Amount)
+            })
+            .OrderBy(t => t.Type)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves the owners seen in a store's transactions, most used first.
+    /// </summary>
+    public async Task<IEnumerable<ValueUsage>> GetStoreOwnersAsync(
+        string storeName,
+        CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(storeName))
+            throw new ArgumentNullException(nameof(storeName));
+
+        _logger.LogDebug("Retrieving owners of store: {StoreName}", storeName);
+
+        return await ForStore(storeName)
+            .GroupBy(t => t.StoreOwner)
+            .Select(g => new ValueUsage
+            {
+                Value = g.Key,
+                TransactionCount = g.Count(),
+                FirstSeen = g.Min(t => t.Date),
+                LastSeen = g.Max(t => t.Date)
+            })
+            .OrderByDescending(u => u.TransactionCount)
+            .ThenBy(u => u.Value)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves the known owner of every store (the one on most of its transactions).
+    /// Counting runs in the database; only one row per store and owner is loaded.
+    /// </summary>
+    public async Task<IReadOnlyDictionary<string, string>> GetKnownStoreOwnersAsync(CancellationToken cancellationToken = default)
+    {
+        _logger.LogDebug("Retrieving known store owners");
+
+        var (knownOwners, _) = await LoadStoreOwnersAsync(cancellationToken);
+
+        return knownOwners;
+    }
+
+    /// <summary>
+    /// Counts the transactions breaking each data quality rule. The CPF and card number rules
+    /// read the flags stored when the transaction was saved; the date and owner rules are
+    /// evaluated by the database.
+    /// </summary>
+    public async Task<DataQualitySummary> GetDataQualitySummaryAsync(
+        DateTime utcNow,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogDebug("Counting data quality findings");
+
+        var (_, ownerMismatches) = await LoadStoreOwnersAsync(cancellationToken);
+        var source = _context.Transactions.AsNoTracking();
+
+        var summary = new DataQualitySummary
+        {
+            TransactionCount = await source.CountAsync(cancellationToken),
+            FlaggedTransactionCount = await source.CountAsync(
+                BreaksAnyDataQualityRule(utcNow, ownerMismatches), cancellationToken)
+        };
+
+        foreach (var rule in Enum.GetValues<DataQualityRule>())
+        {
+            summary.RuleCounts[rule] = await source.CountAsync(
+                BreaksDataQualityRule(rule, utcNow, ownerMismatches), cancellationToken);
+        }
+
+        return summary;
+    }
+
+    /// <summary>
+    /// Retrieves one page of the transactions breaking a data quality rule, newest first.
+    /// Counting and paging run in the database. A page number past the end returns the last page.
+    /// </summary>
+    public async Task<TransactionPage> GetDataQualityPageAsync(
+        DataQualityRule rule,
+        DateTime utcNow,
+        int pageNumber,
+        int pageSize,
+        CancellationToken cancellationToken = default)
+    {
+        var ownerMismatches = rule == DataQualityRule.StoreOwnerMismatch
+            ? (await LoadStoreOwnersAsync(cancellationToken)).MismatchKeys
+            : new List<string>();
+
+        var source = _context.Transactions.AsNoTracking()
+            .Where(BreaksDataQualityRule(rule, utcNow, ownerMismatches));
+
+        var totalCount = await source.CountAsync(cancellationToken);
+
+        var totalPages = (int)Math.Ceiling((double)totalCount / pageSize);
+        if (totalPages > 0)
+            pageNumber = Math.Min(pageNumber, totalPages);
+
+        _logger.LogDebug("Retrieving {Rule} findings page {PageNumber} ({PageSize} per page, {TotalCount} total)",
+            rule, pageNumber, pageSize, totalCount);
+
+        var items = await source
+            .OrderByDescending(t => t.Date)
+            .ThenByDescending(t => t.Time)
+            .ThenByDescending(t => t.Id)
+            .Skip((pageNumber - 1) * pageSize)
+            .Take(pageSize)
+            .ToListAsync(cancellationToken);
+
+        return new TransactionPage
+        {
+            Items = items,
+            PageNumber = pageNumber,
+            PageSize = pageSize,
+            TotalCount = totalCount
+        };
+    }
+
+    /// <summary>
+    /// Retrieves the masked cards seen in a store's transactions, most used first.
+    /// </summary>
+    public async Task<IEnumerable<ValueUsage>> GetStoreCardsAsync(
+        string storeName,
+        CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(storeName))
+            throw new ArgumentNullException(nameof(storeName));
+
+        _logger.LogDebug("Retrieving cards used at store: {StoreName}", storeName);
+
+        return await ForStore(storeName)
+            .GroupBy(t => t.CardNumber)
+            .Select(g => new ValueUsage
+            {
+                Value = g.Key,
+                TransactionCount = g.Count(),
+                FirstSeen = g.Min(t => t.Date),
+                LastSeen = g.Max(t => t.Date)
+            })
+            .OrderByDescending(u => u.TransactionCount)
+            .ThenBy(u => u.Value)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves one page of transactions in the requested order (default: date and time descending).
+    /// Counting and paging run in the database so large tables are never loaded in memory.
+    /// A page number past the end returns the last page.
+    /// </summary>
+    public async Task<TransactionPage> GetPageAsync(
+        TransactionQuery query,
+        CancellationToken cancellationToken = default)
+    {
+        if (query == null)
+            throw new ArgumentNullException(nameof(query));
+
+        query.Normalize();
+
+        var source = _context.Transactions.AsNoTracking();
+
+        if (!string.IsNullOrWhiteSpace(query.StoreName))
+            source = source.Where(t => t.StoreName == query.StoreName);
+
+        if (query.ImportBatchId.HasValue)
+            source = source.Where(t => t.ImportBatchId == query.ImportBatchId);
+
+        source = ApplyFilter(source, query.Filter);
+
+        var totalCount = await source.CountAsync(cancellationToken);
+
+        var totalPages = (int)Math.Ceiling((double)totalCount / query.PageSize);
+        var pageNumber = totalPages > 0 ? Math.Min(query.PageNumber, totalPages) : query.PageNumber;
+
+        _logger.LogDebug("Retrieving transactions page {PageNumber} ({PageSize} per page, {TotalCount} total)",
+            pageNumber, query.PageSize, totalCount);
+
+        var items = await ApplySort(source, query.SortBy, query.SortDirection)
+            .Skip((pageNumber - 1) * query.PageSize)
+            .Take(query.PageSize)
+            .ToListAsync(cancellationToken);
+
+        decimal? openingBalance = null;
+        if (query.IncludeRunningBalance && query.SortBy == TransactionSortField.Date)
+        {
+            openingBalance = 0m;
+
+            if (items.Count > 0)
+            {
+                // Everything before the earliest transaction on the page, in date/time/id order
+                var first = query.SortDirection == SortDirection.Asc ? items[0] : items[^1];
+                var before = source.Where(t => t.Date < first.Date
+                    || (t.Date == first.Date && (t.Time < first.Time
+                        || (t.Time == first.Time && t.Id < first.Id))));
+
+                openingBalance = await SumSignedAmountsAsync(before, cancellationToken);
+            }
+        }
+
+        return new TransactionPage
+        {
+            Items = items,
+            PageNumber = pageNumber,
+            PageSize = query.PageSize,
+            TotalCount = totalCount,
+            OpeningBalance = openingBalance
+        };
+    }
+
     /// <summary>
     /// Adds a single transaction to the database.
     /// Note: Call SaveChangesAsync() to persist.
@@ -170,6 +601,7 @@ public class TransactionRepository : ITransactionRepository
     public async Task<int> BulkInsertAsync(
         IEnumerable<Transaction> transactions,
         int batchSize = 5000,
+        IProgress<BulkInsertProgress>? progress = null,
         CancellationToken cancellationToken = default)
     {
         if (transactions == null)
@@ -249,10 +681,18 @@ public class TransactionRepository : ITransactionRepository
                         _context.ChangeTracker.Clear();
 
                         // Log progress
-                        var progress = (double)(i + 1) / batches.Count * 100;
+                        var percent = (double)(i + 1) / batches.Count * 100;
                         _logger.LogInformation(
                             "Batch {Current}/{Total} completed ({Progress:F1}%) - {Inserted}/{TotalRecords} records inserted",
-                            i + 1, batches.Count, progress, insertedCount, totalCount);
+                            i + 1, batches.Count, percent, insertedCount, totalCount);
+
+                        progress?.Report(new BulkInsertProgress
+                        {
+                            BatchNumber = i + 1,
+                            BatchCount = batches.Count,
+                            InsertedCount = insertedCount,
+                            TotalCount = totalCount
+                        });
                     }
                 }
                 finally
@@ -313,6 +753,258 @@ public class TransactionRepository : ITransactionRepository
         return await _context.Transactions.CountAsync(cancellationToken);
     }
 
+    /// <summary>
+    /// Known owner of every store, and the keys (store name and owner joined by
+    /// <see cref="StoreOwnerSeparator"/>) of the owners that differ from it.
+    /// Only one row per store and owner is loaded.
+    /// </summary>
+    private async Task<(Dictionary<string, string> KnownOwners, List<string> MismatchKeys)> LoadStoreOwnersAsync(
+        CancellationToken cancellationToken)
+    {
+        var usages = await _context.Transactions
+            .GroupBy(t => new { t.StoreName, t.StoreOwner })
+            .Select(g => new { g.Key.StoreName, g.Key.StoreOwner, Count = g.Count() })
+            .ToListAsync(cancellationToken);
+
+        var knownOwners = usages
+            .GroupBy(u => u.StoreName, StringComparer.OrdinalIgnoreCase)
+            .ToDictionary(
+                store => store.Key,
+                store => store
+                    .OrderByDescending(u => u.Count)
+                    .ThenBy(u => u.StoreOwner, StringComparer.Ordinal)
+                    .First().StoreOwner,
+                StringComparer.OrdinalIgnoreCase);
+
+        var mismatchKeys = usages
+            .Where(u => !string.Equals(knownOwners[u.StoreName], u.StoreOwner, StringComparison.OrdinalIgnoreCase))
+            .Select(u => u.StoreName + StoreOwnerSeparator + u.StoreOwner)
+            .ToList();
+
+        return (knownOwners, mismatchKeys);
+    }
+
+    /// <summary>
+    /// Predicate of the transactions breaking a data quality rule (same rules as DataQualityRules.Check).
+    /// </summary>
+    /// <param name="rule">Rule to check</param>
+    /// <param name="utcNow">Current UTC time</param>
+    /// <param name="ownerMismatches">Store/owner keys whose owner is not the store's known owner</param>
+    private static Expression<Func<Transaction, bool>> BreaksDataQualityRule(
+        DataQualityRule rule,
+        DateTime utcNow,
+        List<string> ownerMismatches)
+    {
+        var (today, timeOfDay) = CnabNow(utcNow);
+        var earliest = DataQualityRules.EarliestPlausibleDate;
+
+        return rule switch
+        {
+            DataQualityRule.CpfChecksum => t => t.HasInvalidCpf,
+            DataQualityRule.CardNumberFormat => t => t.HasInvalidCardNumber,
+            DataQualityRule.ImplausibleDateTime => t =>
+                t.Date < earliest || t.Date > today || (t.Date == today && t.Time > timeOfDay),
+            DataQualityRule.StoreOwnerMismatch => t =>
+                ownerMismatches.Contains(t.StoreName + StoreOwnerSeparator + t.StoreOwner),
+            _ => throw new ArgumentOutOfRangeException(nameof(rule), rule, "Unknown data quality rule")
+        };
+    }
+
+    /// <summary>
+    /// Predicate of the transactions breaking at least one data quality rule.
+    /// </summary>
+    private static Expression<Func<Transaction, bool>> BreaksAnyDataQualityRule(
+        DateTime utcNow,
+        List<string> ownerMismatches)
+    {
+        var (today, timeOfDay) = CnabNow(utcNow);
+        var earliest = DataQualityRules.EarliestPlausibleDate;
+
+        return t => t.HasInvalidCpf
+            || t.HasInvalidCardNumber
+            || t.Date < earliest || t.Date > today || (t.Date == today && t.Time > timeOfDay)
+            || ownerMismatches.Contains(t.StoreName + StoreOwnerSeparator + t.StoreOwner);
+    }
+
+    /// <summary>
+    /// Current date and time in the CNAB time zone (UTC-3).
+    /// </summary>
+    private static (DateTime Today, TimeSpan TimeOfDay) CnabNow(DateTime utcNow)
+    {
+        var now = utcNow + DataQualityRules.CnabUtcOffset;
+
+        return (now.Date, now.TimeOfDay);
+    }
+
+    /// <summary>
+    /// All transactions, or only those of one store when a name is given.
+    /// </summary>
+    private IQueryable<Transaction> ForStore(string? storeName)
+    {
+        var source = _context.Transactions.AsNoTracking();
+        return string.IsNullOrWhiteSpace(storeName) ? source : source.Where(t => t.StoreName == storeName);
+    }
+
+    /// <summary>
+    /// Income minus expenses of a query. Amounts are summed per type in SQL;
+    /// the nature of each type is applied in memory.
+    /// </summary>
+    private static async Task<decimal> SumSignedAmountsAsync(
+        IQueryable<Transaction> source,
+        CancellationToken cancellationToken)
+    {
+        var totals = await source
+            .GroupBy(t => t.Type)
+            .Select(g => new { Type = g.Key, Amount = g.Sum(t => t.Amount) })
+            .ToListAsync(cancellationToken);
+
+        return totals.Sum(total => new Transaction { Type = total.Type }.IsIncome ? total.Amount : -total.Amount);
+    }
+
+    /// <summary>
+    /// Restricts a transaction query to the criteria set in the filter.
+    /// Text criteria are compared upper-cased so they are case-insensitive
+    /// whatever the database collation.
+    /// </summary>
+    /// <exception cref="ArgumentException">When the filter is invalid</exception>
+    private static IQueryable<Transaction> ApplyFilter(IQueryable<Transaction> source, TransactionFilter? filter)
+    {
+        if (filter == null)
+            return source;
+
+        filter.Validate();
+
+        if (filter.DateFrom.HasValue)
+        {
+            var from = filter.DateFrom.Value.Date;
+            source = source.Where(t => t.Date >= from);
+        }
+
+        if (filter.DateTo.HasValue)
+        {
+            // Inclusive: anything before the start of the next day
+            var to = filter.DateTo.Value.Date.AddDays(1);
+            source = source.Where(t => t.Date < to);
+        }
+
+        // Nature is derived from the type, so both criteria become one list of types
+        var types = filter.Types.Distinct().ToList();
+        if (filter.Nature.HasValue)
+        {
+            var natureTypes = Enum.GetValues<TransactionType>()
+                .Where(type => new Transaction { Type = type }.Nature == filter.Nature.Value);
+
+            types = types.Count > 0
+                ? types.Intersect(natureTypes).ToList()
+                : natureTypes.ToList();
+
+            // Selected types and nature exclude each other: nothing can match
+            if (types.Count == 0)
+                return source.Where(t => false);
+        }
+
+        if (types.Count > 0)
+            source = source.Where(t => types.Contains(t.Type));
+
+        // A full CPF is an exact match; part of one (administrators only) a partial match
+        var cpf = filter.CpfDigits;
+        if (cpf?.Length == 11)
+            source = source.Where(t => t.Cpf == cpf);
+        else if (cpf != null)
+            source = source.Where(t => t.Cpf.Contains(cpf));
+
+        if (!string.IsNullOrWhiteSpace(filter.CardSuffix))
+        {
+            var suffix = filter.CardSuffix.Trim();
+            source = source.Where(t => t.CardNumber.EndsWith(suffix));
+        }
+
+        if (!string.IsNullOrWhiteSpace(filter.StoreOwner))
+        {
+            var owner = filter.StoreOwner.Trim().ToUpper();
+            source = source.Where(t => t.StoreOwner.ToUpper().Contains(owner));
+        }
+
+        if (!string.IsNullOrWhiteSpace(filter.StoreName))
+        {
+            var store = filter.StoreName.Trim().ToUpper();
+            source = source.Where(t => t.StoreName.ToUpper().Contains(store));
+        }
+
+        if (filter.MinAmount.HasValue)
+        {
+            var min = filter.MinAmount.Value;
+            source = source.Where(t => t.Amount >= min);
+        }
+
+        if (filter.MaxAmount.HasValue)
+        {
+            var max = filter.MaxAmount.Value;
+            source = source.Where(t => t.Amount <= max);
+        }
+
+        return source;
+    }
+
+    /// <summary>
+    /// Orders a transaction query by the requested field, breaking ties by id
+    /// (in the same direction) so pages never overlap.
+    /// </summary>
+    private static IOrderedQueryable<Transaction> ApplySort(
+        IQueryable<Transaction> source,
+        TransactionSortField sortBy,
+        SortDirection direction)
+    {
+        var descending = direction == SortDirection.Desc;
+
+        IOrderedQueryable<Transaction> ordered;
+        switch (sortBy)
+        {
+            case TransactionSortField.Time:
+                ordered = OrderBy(source, t => t.Time, descending);
+                break;
+            case TransactionSortField.Type:
+                ordered = OrderBy(source, t => t.Type, descending);
+                break;
+            case TransactionSortField.Nature:
+                // Nature is derived from the type: sort on "is expense" (income first when ascending)
+                var expenseTypes = Enum.GetValues<TransactionType>()
+                    .Where(type => new Transaction { Type = type }.IsExpense)
+                    .ToList();
+                ordered = OrderBy(source, t => expenseTypes.Contains(t.Type), descending);
+                break;
+            case TransactionSortField.Amount:
+                ordered = OrderBy(source, t => t.Amount, descending);
+                break;
+            case TransactionSortField.Cpf:
+                ordered = OrderBy(source, t => t.Cpf, descending);
+                break;
+            case TransactionSortField.CardNumber:
+                ordered = OrderBy(source, t => t.CardNumber, descending);
+                break;
+            case TransactionSortField.StoreOwner:
+                ordered = OrderBy(source, t => t.StoreOwner, descending);
+                break;
+            case TransactionSortField.StoreName:
+                ordered = OrderBy(source, t => t.StoreName, descending);
+                break;
+            default:
+                ordered = OrderBy(source, t => t.Date, descending);
+                ordered = descending ? ordered.ThenByDescending(t => t.Time) : ordered.ThenBy(t => t.Time);
+                break;
+        }
+
+        return descending ? ordered.ThenByDescending(t => t.Id) : ordered.ThenBy(t => t.Id);
+    }
+
+    private static IOrderedQueryable<Transaction> OrderBy<TKey>(
+        IQueryable<Transaction> source,
+        Expression<Func<Transaction, TKey>> keySelector,
+        bool descending)
+    {
+        return descending ? source.OrderByDescending(keySelector) : source.OrderBy(keySelector);
+    }
+
     /// <summary>
     /// Deletes all transactions from the database.
     /// WARNING: This is a destructive operation!
@@ -323,8 +1015,14 @@ public class TransactionRepository : ITransactionRepository
 
         var transactions = await _context.Transactions.ToListAsync(cancellationToken);
         _context.Transactions.RemoveRange(transactions);
+
+        // Import history goes too, otherwise re-uploading a file would be flagged as duplicate
+        var batches = await _context.ImportBatches.ToListAsync(cancellationToken);
+        _context.ImportBatches.RemoveRange(batches);
+
         await _context.SaveChangesAsync(cancellationToken);
 
-        _logger.LogInformation("Deleted {Count} transactions", transactions.Count);
+        _logger.LogInformation("Deleted {Count} transactions and {BatchCount} import batches",
+            transactions.Count, batches.Count);
     }
 }
\ No newline at end of file
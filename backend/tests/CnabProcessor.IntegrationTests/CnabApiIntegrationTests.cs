@@ -3,7 +3,9 @@
 // Purpose: Integration tests for CNAB API endpoints
 // ========================================
 
+using CnabProcessor.Api.Models;
 using CnabProcessor.Api.ViewModels;
+using CnabProcessor.Domain.Entities;
 using CnabProcessor.Domain.Enums;
 using CnabProcessor.Domain.Extensions;
 using CnabProcessor.Infrastructure.Data;
@@ -14,6 +16,7 @@ using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.DependencyInjection;
 using System.Net;
 using System.Text;
+using System.Text.Json;
 using Xunit;
 
 namespace CnabProcessor.IntegrationTests;
@@ -96,6 +99,196 @@ public class CnabApiIntegrationTests : IClassFixture<WebApplicationFactory<Progr
 
     #endregion
 
+    #region Auth Tests
+
+    [Fact]
+    public async Task Login_ValidCredentials_ReturnsTokenWithoutRefreshToken()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/auth/login",
+            new LoginRequest { Username = "admin", Password = "Admin@123" });
+
+        // Assert - the web app gets the refresh token only as an HttpOnly cookie
+        response.EnsureSuccessStatusCode();
+        var body = await response.Content.ReadAsStringAsync();
+        Assert.DoesNotContain("\"refreshToken\"", body);
+        var session = JsonSerializer.Deserialize<LoginResponse>(body,
+            new JsonSerializerOptions(JsonSerializerDefaults.Web));
+        Assert.False(string.IsNullOrEmpty(session!.Token));
+        Assert.True(session.RefreshTokenExpiresAt > session.ExpiresAt);
+    }
+
+    [Fact]
+    public async Task Token_ValidCredentials_ReturnsRefreshTokenWithoutCookie()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/auth/token",
+            new LoginRequest { Username = "admin", Password = "Admin@123" });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        Assert.False(response.Headers.Contains("Set-Cookie"));
+        var session = await response.Content.ReadFromJsonAsync<LoginResponse>();
+        Assert.False(string.IsNullOrEmpty(session!.Token));
+        Assert.False(string.IsNullOrEmpty(session.RefreshToken));
+        Assert.True(session.RefreshTokenExpiresAt > session.ExpiresAt);
+    }
+
+    [Fact]
+    public async Task TokenRefresh_ValidRefreshToken_ReturnsNewSessionAndConsumesOldToken()
+    {
+        // Arrange
+        var session = await GetApiTokenAsync();
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/auth/token/refresh",
+            new RefreshTokenRequest { RefreshToken = session.RefreshToken! });
+        var replay = await _client.PostAsJsonAsync("/api/auth/token/refresh",
+            new RefreshTokenRequest { RefreshToken = session.RefreshToken! });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var refreshed = await response.Content.ReadFromJsonAsync<LoginResponse>();
+        Assert.NotNull(refreshed);
+        Assert.Equal("admin", refreshed.Username);
+        Assert.False(string.IsNullOrEmpty(refreshed.RefreshToken));
+        Assert.NotEqual(session.RefreshToken, refreshed.RefreshToken);
+        Assert.False(string.IsNullOrEmpty(refreshed.Token));
+
+        Assert.Equal(HttpStatusCode.Unauthorized, replay.StatusCode);
+    }
+
+    [Fact]
+    public async Task TokenRefresh_UnknownToken_ReturnsUnauthorized()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/auth/token/refresh",
+            new RefreshTokenRequest { RefreshToken = "not-a-refresh-token" });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Unauthorized, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task Refresh_RefreshTokenInBody_IsIgnored()
+    {
+        // Arrange - no login on this client, so there is no cookie
+        var session = await GetApiTokenAsync();
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/auth/refresh",
+            new RefreshTokenRequest { RefreshToken = session.RefreshToken! });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Unauthorized, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task Logout_RevokesRefreshToken()
+    {
+        // Arrange
+        var session = await GetApiTokenAsync();
+
+        // Act
+        var logout = await _client.PostAsJsonAsync("/api/auth/logout",
+            new RefreshTokenRequest { RefreshToken = session.RefreshToken! });
+        var refresh = await _client.PostAsJsonAsync("/api/auth/token/refresh",
+            new RefreshTokenRequest { RefreshToken = session.RefreshToken! });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NoContent, logout.StatusCode);
+        Assert.Equal(HttpStatusCode.Unauthorized, refresh.StatusCode);
+    }
+
+    [Fact]
+    public async Task Login_SetsHttpOnlyRefreshTokenCookie()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/auth/login",
+            new LoginRequest { Username = "admin", Password = "Admin@123" });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var cookie = Assert.Single(response.Headers.GetValues("Set-Cookie"),
+            c => c.StartsWith("cnab_refresh_token="));
+        Assert.Contains("httponly", cookie.ToLowerInvariant());
+        Assert.Contains("samesite=strict", cookie.ToLowerInvariant());
+        Assert.Contains("path=/api/auth", cookie.ToLowerInvariant());
+    }
+
+    [Fact]
+    public async Task Refresh_WithCookieOnly_ReturnsNewSession()
+    {
+        // Arrange - the test client keeps the cookie set by login
+        await LoginAsync();
+
+        // Act
+        var first = await _client.PostAsJsonAsync("/api/auth/refresh", new { });
+        var second = await _client.PostAsJsonAsync("/api/auth/refresh", new { });
+
+        // Assert - each refresh rotates the cookie, so the next one works too
+        first.EnsureSuccessStatusCode();
+        second.EnsureSuccessStatusCode();
+        var session = await second.Content.ReadFromJsonAsync<LoginResponse>();
+        Assert.Equal("admin", session!.Username);
+        Assert.Null(session.RefreshToken);
+    }
+
+    [Fact]
+    public async Task Logout_WithCookieOnly_EndsSession()
+    {
+        // Arrange
+        await LoginAsync();
+
+        // Act
+        var logout = await _client.PostAsJsonAsync("/api/auth/logout", new { });
+        var refresh = await _client.PostAsJsonAsync("/api/auth/refresh", new { });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NoContent, logout.StatusCode);
+        Assert.Equal(HttpStatusCode.Unauthorized, refresh.StatusCode);
+    }
+
+    [Fact]
+    public async Task Refresh_WithRotatedCookie_KeepsTheNewCookie()
+    {
+        // Arrange - two tabs hold the same cookie; the first refreshes and rotates it
+        var login = await _client.PostAsJsonAsync("/api/auth/login",
+            new LoginRequest { Username = "admin", Password = "Admin@123" });
+        var oldCookie = login.Headers.GetValues("Set-Cookie")
+            .Single(c => c.StartsWith("cnab_refresh_token="))
+            .Split(';')[0];
+        var winner = await _client.PostAsJsonAsync("/api/auth/refresh", new { });
+
+        // Act - the second tab still sends the consumed token
+        var otherTab = _factory.CreateClient(new WebApplicationFactoryClientOptions { HandleCookies = false });
+        var request = new HttpRequestMessage(HttpMethod.Post, "/api/auth/refresh");
+        request.Headers.Add("Cookie", oldCookie);
+        var loser = await otherTab.SendAsync(request);
+        var next = await _client.PostAsJsonAsync("/api/auth/refresh", new { });
+
+        // Assert - the refused refresh does not delete the cookie the winner set
+        winner.EnsureSuccessStatusCode();
+        Assert.Equal(HttpStatusCode.Unauthorized, loser.StatusCode);
+        Assert.False(loser.Headers.Contains("Set-Cookie"));
+        next.EnsureSuccessStatusCode();
+    }
+
+    [Fact]
+    public async Task GetCurrentUser_ReturnsUsernameAndRoles()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/auth/me");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+        Assert.Contains("\"username\":\"TestUser\"", content);
+        Assert.Contains("\"roles\":[", content);
+    }
+
+    #endregion
+
     #region Upload Tests
 
     [Fact]
@@ -127,6 +320,43 @@ public class CnabApiIntegrationTests : IClassFixture<WebApplicationFactory<Progr
         }
     }
 
+    [Fact]
+    public async Task Upload_ValidCnabFile_ReturnsImportReport()
+    {
+        // Arrange - Two valid lines and one line with an invalid type
+        var cnabContent = string.Join("\n", new[]
+        {
+            "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ",
+            "1201903010000015200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ",
+            "0201903010000013200556418150633648****0099153453MARIA SILVA   MERCEARIA 3 IRMÃOS"
+        });
+        var content = CreateFileContent(cnabContent, "CNAB.txt");
+
+        // Act
+        var response = await _client.PostAsync("/api/cnab/upload", content);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var result = await response.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        Assert.NotNull(result);
+        Assert.Equal(3, result.LinesRead);
+        Assert.Equal(2, result.LinesAccepted);
+        Assert.Equal(1, result.LinesRejected);
+
+        var rejected = Assert.Single(result.RejectedLines);
+        Assert.Equal(3, rejected.LineNumber);
+
+        var store = Assert.Single(result.StoreTotals);
+        Assert.Equal("BAR DO JOÃO", store.StoreName);
+        Assert.Equal(152.00m, store.TotalIncome);
+        Assert.Equal(142.00m, store.TotalExpenses);
+        Assert.Equal(10.00m, store.NetAmount);
+
+        Assert.Equal(2, result.TypeTotals.Count);
+        Assert.Contains(result.TypeTotals, t => t.Type == "3" && t.TotalAmount == 142.00m);
+    }
+
     [Fact]
     public async Task Upload_NoFile_ReturnsBadRequest()
     {
@@ -215,210 +445,224 @@ public class CnabApiIntegrationTests : IClassFixture<WebApplicationFactory<Progr
 
     #endregion
 
-    #region Get Transactions Tests
+    #region Duplicate Import Tests
 
     [Fact]
-    public async Task GetAllTransactions_WithData_ReturnsTransactions()
+    public async Task Upload_SameFileTwice_ReturnsConflictWithPreviousImport()
     {
         // Arrange
-        await SeedDatabase();
+        var cnabContent = CreateValidCnabContent();
+        var first = await _client.PostAsync("/api/cnab/upload", CreateFileContent(cnabContent, "CNAB.txt"));
+        Assert.Equal(HttpStatusCode.OK, first.StatusCode);
 
         // Act
-        var response = await _client.GetAsync("/api/cnab/transactions");
+        var response = await _client.PostAsync("/api/cnab/upload", CreateFileContent(cnabContent, "CNAB-copy.txt"));
 
         // Assert
-        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
-
-        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
-        Assert.NotNull(transactions);
-        Assert.Equal(3, transactions.Count);
+        Assert.Equal(HttpStatusCode.Conflict, response.StatusCode);
 
-        // Verify transaction
-        var transaction = transactions.Where(it => it.StoreName.Equals("BAR DO JOÃO")).First();
-        Assert.Equal(TransactionType.Financing.GetDescription(), transaction.TypeDescription);
-        Assert.Equal(TransactionNature.Expense.GetDescription(), transaction.Nature);
+        var result = await response.Content.ReadFromJsonAsync<DuplicateImportViewModel>();
+        Assert.NotNull(result);
+        Assert.False(result.Success);
+        Assert.True(result.FileAlreadyImported);
+        Assert.NotNull(result.PreviousImport);
+        Assert.Equal("CNAB.txt", result.PreviousImport.FileName);
+        Assert.Equal("TestUser", result.PreviousImport.UploadedBy);
+        Assert.Equal(3, result.DuplicateLineCount);
+
+        using var context = GetDbContext();
+        Assert.Equal(3, await context.Transactions.CountAsync());
     }
 
     [Fact]
-    public async Task GetAllTransactions_EmptyDatabase_ReturnsEmptyList()
+    public async Task Upload_DuplicateLinesWithSkip_ImportsOnlyNewLines()
     {
+        // Arrange - second file repeats the first line of the first file
+        var firstContent = CreateValidCnabContent();
+        await _client.PostAsync("/api/cnab/upload", CreateFileContent(firstContent, "CNAB1.txt"));
+
+        var secondContent = firstContent.Split('\n')[0] + "\n" + CreateValidCnabContent(startDate: "20190302");
+        var content = CreateFileContent(secondContent, "CNAB2.txt");
+        content.Add(new StringContent("Skip"), "duplicateHandling");
+
         // Act
-        var response = await _client.GetAsync("/api/cnab/transactions");
+        var response = await _client.PostAsync("/api/cnab/upload", content);
 
         // Assert
         Assert.Equal(HttpStatusCode.OK, response.StatusCode);
 
-        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
-        Assert.NotNull(transactions);
-        Assert.Empty(transactions);
-    }
-
-    #endregion
+        var result = await response.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        Assert.NotNull(result);
+        Assert.Equal(3, result.TransactionCount);
+        Assert.Equal(1, result.DuplicatesSkipped);
+        Assert.NotNull(result.ImportBatchId);
 
-    #region Get By Store Tests
+        using var context = GetDbContext();
+        Assert.Equal(6, await context.Transactions.CountAsync());
+        Assert.Equal(2, await context.ImportBatches.CountAsync());
+    }
 
     [Fact]
-    public async Task GetByStore_ExistingStore_ReturnsTransactions()
+    public async Task Upload_SameFileWithImportAnyway_ImportsAllLines()
     {
         // Arrange
-        await SeedDatabase();
+        var cnabContent = CreateValidCnabContent();
+        await _client.PostAsync("/api/cnab/upload", CreateFileContent(cnabContent, "CNAB.txt"));
+
+        var content = CreateFileContent(cnabContent, "CNAB.txt");
+        content.Add(new StringContent("Import"), "duplicateHandling");
 
         // Act
-        var response = await _client.GetAsync("/api/cnab/store/BAR%20DO%20JO%C3%83O");
+        var response = await _client.PostAsync("/api/cnab/upload", content);
 
         // Assert
         Assert.Equal(HttpStatusCode.OK, response.StatusCode);
 
-        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
-        Assert.NotNull(transactions);
-        Assert.All(transactions, t => Assert.Equal("BAR DO JOÃO", t.StoreName));
+        using var context = GetDbContext();
+        Assert.Equal(6, await context.Transactions.CountAsync());
     }
 
     [Fact]
-    public async Task GetByStore_NonExistingStore_ReturnsEmptyList()
+    public async Task Upload_ClientHashMismatch_ReturnsBadRequest()
     {
         // Arrange
-        await SeedDatabase();
+        var content = CreateFileContent(CreateValidCnabContent(), "CNAB.txt");
+        content.Add(new StringContent(new string('0', 64)), "fileHash");
 
         // Act
-        var response = await _client.GetAsync("/api/cnab/store/LOJA_INEXISTENTE");
+        var response = await _client.PostAsync("/api/cnab/upload", content);
 
         // Assert
-        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
 
-        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
-        Assert.NotNull(transactions);
-        Assert.Empty(transactions);
+        var result = await response.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        Assert.NotNull(result);
+        Assert.Contains("hash mismatch", result.Message);
     }
 
     [Fact]
-    public async Task GetByStore_SpecialCharacters_HandlesCorrectly()
+    public async Task Upload_UnknownLayout_ReturnsBadRequest()
     {
         // Arrange
-        await SeedDatabase();
+        var content = CreateFileContent(CreateValidCnabContent(), "CNAB.txt");
+        content.Add(new StringContent("CNAB999"), "layout");
 
         // Act
-        var response = await _client.GetAsync("/api/cnab/store/MERCEARIA%203%20IRM%C3%83OS");
+        var response = await _client.PostAsync("/api/cnab/upload", content);
 
         // Assert
-        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
 
-        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
-        Assert.NotNull(transactions);
-        Assert.All(transactions, t => Assert.Equal("MERCEARIA 3 IRMÃOS", t.StoreName));
+        var result = await response.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        Assert.NotNull(result);
+        Assert.Contains("Unknown layout 'CNAB999'", result.Message);
     }
 
-    #endregion
-
-    #region Get Balances Tests
-
     [Fact]
-    public async Task GetBalances_WithData_ReturnsBalances()
+    public async Task Upload_AutoLayout_ReportsDetectedLayout()
     {
         // Arrange
-        await SeedDatabase();
+        var content = CreateFileContent(CreateValidCnabContent(), "CNAB.txt");
+        content.Add(new StringContent("Auto"), "layout");
 
         // Act
-        var response = await _client.GetAsync("/api/cnab/balances");
+        var response = await _client.PostAsync("/api/cnab/upload", content);
 
         // Assert
-        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        response.EnsureSuccessStatusCode();
 
-        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
-        Assert.NotNull(balances);
-        Assert.NotEmpty(balances);
+        var result = await response.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        Assert.NotNull(result);
+        Assert.Equal("CNAB81", result.Layout);
+        Assert.Null(result.TrailerValid);
 
-        // Verify balance calculation
-        var barDoJoao = balances.FirstOrDefault(b => b.StoreName == "BAR DO JOÃO");
-        Assert.NotNull(barDoJoao);
-        Assert.True(barDoJoao.TotalBalance < 0);
-        Assert.True(barDoJoao.TransactionCount > 0);
-        Assert.NotEmpty(barDoJoao.Transactions);
+        using var context = GetDbContext();
+        Assert.Equal("CNAB81", (await context.ImportBatches.SingleAsync()).Layout);
     }
 
+    #endregion
+
+    #region Import History Tests
+
     [Fact]
-    public async Task GetBalances_EmptyDatabase_ReturnsEmptyList()
+    public async Task GetImports_AfterUploads_ReturnsHistoryWithTotals()
     {
+        // Arrange
+        await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB1.txt"));
+        await _client.PostAsync("/api/cnab/upload",
+            CreateFileContent(CreateValidCnabContent(startDate: "20190302"), "CNAB2.txt"));
+
         // Act
-        var response = await _client.GetAsync("/api/cnab/balances");
+        var response = await _client.GetAsync("/api/cnab/imports");
 
         // Assert
-        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
-
-        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
-        Assert.NotNull(balances);
-        Assert.Empty(balances);
+        response.EnsureSuccessStatusCode();
+        var imports = await response.Content.ReadFromJsonAsync<List<ImportSummaryViewModel>>();
+        Assert.NotNull(imports);
+        Assert.Equal(2, imports.Count);
+        Assert.Equal("CNAB2.txt", imports[0].FileName);
+        Assert.Equal("TestUser", imports[0].UploadedBy);
+        Assert.Equal(3, imports[0].TransactionCount);
+        Assert.Equal(imports[0].TotalIncome - imports[0].TotalExpenses, imports[0].NetAmount);
     }
 
     [Fact]
-    public async Task GetBalances_MixedTransactions_CalculatesCorrectly()
+    public async Task GetImportTransactions_ReturnsOnlyThatImport()
     {
         // Arrange
-        await SeedDatabase();
+        var upload = await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB1.txt"));
+        var report = await upload.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        await _client.PostAsync("/api/cnab/upload",
+            CreateFileContent(CreateValidCnabContent(startDate: "20190302"), "CNAB2.txt"));
 
         // Act
-        var response = await _client.GetAsync("/api/cnab/balances");
+        var response = await _client.GetAsync($"/api/cnab/imports/{report!.ImportBatchId}/transactions?pageSize=50");
 
         // Assert
-        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
-        Assert.NotNull(balances);
-
-        // Verify calculations for each store
-        foreach (var store in balances)
-        {
-            Assert.Equal(
-                store.TotalIncome - store.TotalExpenses,
-                store.TotalBalance
-            );
-        }
+        response.EnsureSuccessStatusCode();
+        var result = await response.Content.ReadFromJsonAsync<PagedResult<TransactionViewModel>>();
+        Assert.NotNull(result);
+        Assert.Equal(3, result.TotalCount);
+        Assert.All(result.Items, t => Assert.Equal(new DateTime(2019, 3, 1), t.Date));
     }
 
-    #endregion
-
-    #region Get Stats Tests
-
     [Fact]
-    public async Task GetStats_WithData_ReturnsCorrectStats()
+    public async Task RollbackImport_DeletesOnlyThatImport()
     {
         // Arrange
-        await SeedDatabase();
+        var upload = await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB1.txt"));
+        var report = await upload.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        await _client.PostAsync("/api/cnab/upload",
+            CreateFileContent(CreateValidCnabContent(startDate: "20190302"), "CNAB2.txt"));
 
         // Act
-        var response = await _client.GetAsync("/api/cnab/stats");
+        var response = await _client.DeleteAsync($"/api/cnab/imports/{report!.ImportBatchId}");
 
         // Assert
         Assert.Equal(HttpStatusCode.OK, response.StatusCode);
 
-        var stats = await response.Content.ReadFromJsonAsync<StatisticsViewModel>();
-        Assert.NotNull(stats);
-        Assert.Equal(3, stats.TotalTransactions);
-        Assert.True(stats.TotalStores > 0);
-        Assert.NotNull(stats.BiggestStore);
-        Assert.NotNull(stats.SmallestStore);
+        using var context = GetDbContext();
+        Assert.Equal(3, await context.Transactions.CountAsync());
+        Assert.Equal(1, await context.ImportBatches.CountAsync());
+        Assert.All(await context.Transactions.ToListAsync(), t => Assert.NotEqual(report.ImportBatchId, t.ImportBatchId));
     }
 
     [Fact]
-    public async Task GetStats_EmptyDatabase_ReturnsZeroStats()
+    public async Task RollbackImport_UnknownImport_ReturnsNotFound()
     {
         // Act
-        var response = await _client.GetAsync("/api/cnab/stats");
+        var response = await _client.DeleteAsync("/api/cnab/imports/999");
 
         // Assert
-        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
-
-        var stats = await response.Content.ReadFromJsonAsync<StatisticsViewModel>();
-        Assert.NotNull(stats);
-        Assert.Equal(0, stats.TotalTransactions);
-        Assert.Equal(0, stats.TotalStores);
-        Assert.Equal(0, stats.TotalBalance);
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
     }
 
     #endregion
 
-    #region Delete All Transactions
+    #region Get Transactions Tests
 
     [Fact]
-    public async Task DeleteAllTransactions_WhenDatabaseHasData_ShouldDeleteEverything()
+    public async Task GetAllTransactions_WithData_ReturnsTransactions()
     {
         // Arrange
         await SeedDatabase();
@@ -433,37 +677,1356 @@ public class CnabApiIntegrationTests : IClassFixture<WebApplicationFactory<Progr
         Assert.NotNull(transactions);
         Assert.Equal(3, transactions.Count);
 
-        // Act
-        var deleteResponse = await _client.DeleteAsync("/api/cnab/transactions");
+        // Verify transaction
+        var transaction = transactions.Where(it => it.StoreName.Equals("BAR DO JOÃO")).First();
+        Assert.Equal(TransactionType.Financing.GetDescription(), transaction.TypeDescription);
+        Assert.Equal(TransactionNature.Expense.GetDescription(), transaction.Nature);
+    }
 
-        // Assert
-        deleteResponse.EnsureSuccessStatusCode();
+    [Fact]
+    public async Task GetAllTransactions_EmptyDatabase_ReturnsEmptyList()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/cnab/transactions");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+        Assert.NotNull(transactions);
+        Assert.Empty(transactions);
+    }
+
+    #endregion
+
+    #region Get By Store Tests
+
+    [Fact]
+    public async Task GetByStore_ExistingStore_ReturnsTransactions()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/store/BAR%20DO%20JO%C3%83O");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+        Assert.NotNull(transactions);
+        Assert.All(transactions, t => Assert.Equal("BAR DO JOÃO", t.StoreName));
+    }
+
+    [Fact]
+    public async Task GetByStore_NonExistingStore_ReturnsEmptyList()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/store/LOJA_INEXISTENTE");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+        Assert.NotNull(transactions);
+        Assert.Empty(transactions);
+    }
+
+    [Fact]
+    public async Task GetByStore_SpecialCharacters_HandlesCorrectly()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/store/MERCEARIA%203%20IRM%C3%83OS");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+        Assert.NotNull(transactions);
+        Assert.All(transactions, t => Assert.Equal("MERCEARIA 3 IRMÃOS", t.StoreName));
+    }
+
+    [Fact]
+    public async Task GetStoreTimeSeries_ExistingStore_ReturnsBalanceTimelineAndBreakdowns()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/store/BAR%20DO%20JO%C3%83O/timeseries");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var series = await response.Content.ReadFromJsonAsync<StoreTimeSeriesViewModel>();
+        Assert.NotNull(series);
+        var point = Assert.Single(series.Points);
+        Assert.Equal(new DateTime(2019, 3, 1), point.Date);
+        Assert.Equal(-142.00m, point.Balance);
+        Assert.Equal(series.TotalBalance, point.Balance);
+        Assert.Equal("JOÃO MACEDO", Assert.Single(series.Owners).Value);
+        Assert.Equal("********3153", Assert.Single(series.Cards).Value);
+        Assert.Equal("3", Assert.Single(series.TypeTotals).Type);
+        Assert.Equal(new DateTime(2019, 3, 1), series.PeriodComparison.Current.From);
+        Assert.Equal(-142.00m, series.PeriodComparison.Current.NetAmount);
+        Assert.Equal(0, series.PeriodComparison.Previous.TransactionCount);
+    }
+
+    [Fact]
+    public async Task GetStoreTimeSeries_UnknownStore_ReturnsNotFound()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/store/LOJA_INEXISTENTE/timeseries");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetByStorePaged_WithRunningBalance_ReturnsBalanceAfterEachTransaction()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync(
+            "/api/cnab/store/BAR%20DO%20JO%C3%83O/paged?includeRunningBalance=true&sortDirection=Asc");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var page = await response.Content.ReadFromJsonAsync<PagedResult<TransactionViewModel>>();
+        Assert.NotNull(page);
+        Assert.Equal(-142.00m, Assert.Single(page.Items).RunningBalance);
+    }
+
+    #endregion
+
+    #region Get Balances Tests
+
+    [Fact]
+    public async Task GetBalances_WithData_ReturnsBalances()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/balances");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
+        Assert.NotNull(balances);
+        Assert.NotEmpty(balances);
+
+        // Verify balance calculation
+        var barDoJoao = balances.FirstOrDefault(b => b.StoreName == "BAR DO JOÃO");
+        Assert.NotNull(barDoJoao);
+        Assert.True(barDoJoao.TotalBalance < 0);
+        Assert.True(barDoJoao.TransactionCount > 0);
+        Assert.NotEmpty(barDoJoao.Transactions);
+    }
+
+    [Fact]
+    public async Task GetBalances_WithoutTransactions_ReturnsTotalsOnly()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/balances?includeTransactions=false");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+
+        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
+        Assert.NotNull(balances);
+        Assert.Equal(3, balances.Count);
+        Assert.All(balances, b => Assert.Empty(b.Transactions));
+        Assert.Equal(3, balances.Sum(b => b.TransactionCount));
+    }
+
+    [Fact]
+    public async Task GetBalances_WithFilter_TotalsOnlyMatchingTransactions()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/balances?includeTransactions=false&nature=Income");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+
+        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
+        Assert.NotNull(balances);
+        Assert.NotEmpty(balances);
+        Assert.All(balances, b => Assert.Equal(0m, b.TotalExpenses));
+    }
+
+    [Fact]
+    public async Task GetBalances_FilterWithTransactions_ReturnsBadRequest()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/cnab/balances?nature=Income");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetBalances_EmptyDatabase_ReturnsEmptyList()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/cnab/balances");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
+        Assert.NotNull(balances);
+        Assert.Empty(balances);
+    }
+
+    [Fact]
+    public async Task GetBalances_MixedTransactions_CalculatesCorrectly()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/balances");
+
+        // Assert
+        var balances = await response.Content.ReadFromJsonAsync<List<StoreBalanceViewModel>>();
+        Assert.NotNull(balances);
+
+        // Verify calculations for each store
+        foreach (var store in balances)
+        {
+            Assert.Equal(
+                store.TotalIncome - store.TotalExpenses,
+                store.TotalBalance
+            );
+        }
+    }
+
+    #endregion
+
+    #region Get Stats Tests
+
+    [Fact]
+    public async Task GetStats_WithData_ReturnsCorrectStats()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/stats");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var stats = await response.Content.ReadFromJsonAsync<StatisticsViewModel>();
+        Assert.NotNull(stats);
+        Assert.Equal(3, stats.TotalTransactions);
+        Assert.True(stats.TotalStores > 0);
+        Assert.NotNull(stats.BiggestStore);
+        Assert.NotNull(stats.SmallestStore);
+    }
+
+    [Fact]
+    public async Task GetStats_WithData_ReturnsChartSeries()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/stats?top=2");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var stats = await response.Content.ReadFromJsonAsync<StatisticsViewModel>();
+        Assert.NotNull(stats);
+        Assert.Equal(stats.TotalIncome - stats.TotalExpenses, stats.TotalBalance);
+        Assert.Equal(stats.TotalTransactions, stats.DailyFlow.Sum(d => d.TransactionCount));
+        Assert.Equal(stats.TotalTransactions, stats.TypeTotals.Sum(t => t.TransactionCount));
+        Assert.Equal(stats.TotalBalance, stats.DailyFlow.Sum(d => d.NetAmount));
+
+        Assert.Equal(2, stats.TopStores.Count);
+        Assert.Equal(stats.BiggestStore, stats.TopStores[0].StoreName);
+        Assert.Equal(stats.SmallestStore, stats.BottomStores[0].StoreName);
+    }
+
+    [Fact]
+    public async Task GetStats_EmptyDatabase_ReturnsZeroStats()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/cnab/stats");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var stats = await response.Content.ReadFromJsonAsync<StatisticsViewModel>();
+        Assert.NotNull(stats);
+        Assert.Equal(0, stats.TotalTransactions);
+        Assert.Equal(0, stats.TotalStores);
+        Assert.Equal(0, stats.TotalBalance);
+    }
+
+    #endregion
+
+    #region Delete All Transactions
+
+    [Fact]
+    public async Task DeleteAllTransactions_WhenDatabaseHasData_ShouldDeleteEverything()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/transactions");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var transactions = await response.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+        Assert.NotNull(transactions);
+        Assert.Equal(3, transactions.Count);
+
+        // Act
+        var deleteResponse = await _client.DeleteAsync("/api/cnab/transactions");
+
+        // Assert
+        deleteResponse.EnsureSuccessStatusCode();
         var message = await deleteResponse.Content.ReadAsStringAsync();
         Assert.Contains("successfully", message, StringComparison.OrdinalIgnoreCase);
 
-        var afterDelete = await _client.GetAsync("/api/cnab/transactions");
-        var afterJson = await afterDelete.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
-        Assert.NotNull(afterJson);
-        Assert.Empty(afterJson!);
+        var afterDelete = await _client.GetAsync("/api/cnab/transactions");
+        var afterJson = await afterDelete.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+        Assert.NotNull(afterJson);
+        Assert.Empty(afterJson!);
+    }
+
+    [Fact]
+    public async Task DeleteAllTransactions_WhenDatabaseIsEmpty_ShouldStillReturnSuccess()
+    {
+        // Act
+        var deleteResponse = await _client.DeleteAsync("/api/cnab/transactions");
+
+        // Assert
+        deleteResponse.EnsureSuccessStatusCode();
+
+        var msg = await deleteResponse.Content.ReadAsStringAsync();
+        Assert.Contains("success", msg, StringComparison.OrdinalIgnoreCase);
+
+        var getResponse = await _client.GetAsync("/api/cnab/transactions");
+        var transactions = await getResponse.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+
+        Assert.NotNull(transactions);
+        Assert.Empty(transactions!);
+    }
+
+    #endregion
+
+    #region Closed Period Tests
+
+    [Fact]
+    public async Task Upload_IntoClosedPeriod_ReturnsLockedAndImportsNothing()
+    {
+        // Arrange
+        await ClosePeriodAsync("2019-03-01", "2019-03-31");
+
+        // Act
+        var response = await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB.txt"));
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Locked, response.StatusCode);
+
+        var conflict = await response.Content.ReadFromJsonAsync<ClosedPeriodConflictViewModel>();
+        Assert.NotNull(conflict);
+        Assert.Equal(3, conflict.LockedTransactionCount);
+        Assert.Equal(new DateTime(2019, 3, 1), Assert.Single(conflict.ClosedPeriods).StartDate);
+
+        using var context = GetDbContext();
+        Assert.Equal(0, await context.Transactions.CountAsync());
+        Assert.Equal(0, await context.ImportBatches.CountAsync());
+    }
+
+    [Fact]
+    public async Task Upload_OutsideClosedPeriod_ReturnsSuccess()
+    {
+        // Arrange
+        await ClosePeriodAsync("2019-02-01", "2019-02-28");
+
+        // Act
+        var response = await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB.txt"));
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task ClosedPeriod_BlocksRollbackAndDeleteAll_UntilReopened()
+    {
+        // Arrange
+        var upload = await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB.txt"));
+        var report = await upload.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        var period = await ClosePeriodAsync("2019-03-01", "2019-03-31");
+
+        // Act
+        var rollback = await _client.DeleteAsync($"/api/cnab/imports/{report!.ImportBatchId}");
+        var deleteAll = await _client.DeleteAsync("/api/cnab/transactions");
+        var reopen = await _client.DeleteAsync($"/api/cnab/periods/{period.Id}");
+        var deleteAfterReopen = await _client.DeleteAsync("/api/cnab/transactions");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Locked, rollback.StatusCode);
+        Assert.Equal(HttpStatusCode.Locked, deleteAll.StatusCode);
+        Assert.Equal(HttpStatusCode.OK, reopen.StatusCode);
+        Assert.Equal(HttpStatusCode.OK, deleteAfterReopen.StatusCode);
+
+        using var context = GetDbContext();
+        Assert.Equal(0, await context.Transactions.CountAsync());
+    }
+
+    [Fact]
+    public async Task ClosePeriod_OverlappingPeriod_ReturnsConflict()
+    {
+        // Arrange
+        await ClosePeriodAsync("2019-03-01", "2019-03-31");
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/cnab/periods",
+            new ClosePeriodRequest { StartDate = new DateTime(2019, 3, 15), EndDate = new DateTime(2019, 4, 15) });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Conflict, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task ClosePeriod_EndBeforeStart_ReturnsBadRequest()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/cnab/periods",
+            new ClosePeriodRequest { StartDate = new DateTime(2019, 3, 31), EndDate = new DateTime(2019, 3, 1) });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task ClosePeriod_ReadOnlyUser_ReturnsForbidden()
+    {
+        // Arrange
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/cnab/periods",
+            new ClosePeriodRequest { StartDate = new DateTime(2019, 3, 1), EndDate = new DateTime(2019, 3, 31) });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetClosedPeriods_ReturnsClosedPeriodsWithAuthor()
+    {
+        // Arrange
+        await ClosePeriodAsync("2019-03-01", "2019-03-31");
+
+        // Act
+        var periods = await _client.GetFromJsonAsync<List<ClosedPeriodViewModel>>("/api/cnab/periods");
+
+        // Assert
+        Assert.NotNull(periods);
+        var period = Assert.Single(periods);
+        Assert.Equal(new DateTime(2019, 3, 31), period.EndDate);
+        Assert.False(string.IsNullOrEmpty(period.ClosedBy));
+    }
+
+    #endregion
+
+    #region Reconciliation Tests
+
+    [Fact]
+    public async Task Reconcile_FlagsMismatchesPerStoreAndRange()
+    {
+        // Arrange
+        await SeedDatabase();
+        await ClosePeriodAsync("2019-03-01", "2019-03-31");
+        var request = new ReconciliationRequest
+        {
+            Items = new List<ExpectedTotalsRequest>
+            {
+                new() { StoreName = "bar do joão", StartDate = new DateTime(2019, 3, 1), EndDate = new DateTime(2019, 3, 31), ExpectedBalance = -142m },
+                new() { StoreName = "MERCEARIA 3 IRMÃOS", StartDate = new DateTime(2019, 3, 1), EndDate = new DateTime(2019, 3, 31), ExpectedIncome = 100m, ExpectedTransactionCount = 1 },
+                new() { StoreName = "BAR DO JOÃO", StartDate = new DateTime(2019, 4, 1), EndDate = new DateTime(2019, 4, 30), ExpectedTransactionCount = 0 }
+            }
+        };
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/cnab/reconciliation", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var result = await response.Content.ReadFromJsonAsync<ReconciliationViewModel>();
+        Assert.NotNull(result);
+        Assert.Equal(3, result.TotalCount);
+        Assert.Equal(1, result.MismatchCount);
+
+        Assert.Equal("Matched", result.Lines[0].Status);
+        Assert.True(result.Lines[0].PeriodClosed);
+
+        Assert.Equal("Mismatch", result.Lines[1].Status);
+        Assert.Equal(new[] { "totalIncome" }, result.Lines[1].Mismatches);
+        Assert.Equal(132m, result.Lines[1].ActualIncome);
+
+        Assert.Equal("Matched", result.Lines[2].Status);
+        Assert.False(result.Lines[2].PeriodClosed);
+    }
+
+    [Fact]
+    public async Task Reconcile_ItemWithoutExpectedTotals_ReturnsBadRequest()
+    {
+        // Arrange
+        var request = new ReconciliationRequest
+        {
+            Items = new List<ExpectedTotalsRequest>
+            {
+                new() { StoreName = "BAR DO JOÃO", StartDate = new DateTime(2019, 3, 1), EndDate = new DateTime(2019, 3, 31) }
+            }
+        };
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/cnab/reconciliation", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task Reconcile_ReadOnlyUser_ReturnsOk()
+    {
+        // Arrange
+        using var client = CreateClientWithRoles(AppRoles.User);
+        var request = new ReconciliationRequest
+        {
+            Items = new List<ExpectedTotalsRequest>
+            {
+                new() { StoreName = "BAR DO JOÃO", StartDate = new DateTime(2019, 3, 1), EndDate = new DateTime(2019, 3, 31), ExpectedTransactionCount = 0 }
+            }
+        };
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/cnab/reconciliation", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+    }
+
+    #endregion
+
+    #region Import Job Tests
+
+    [Fact]
+    public async Task ImportJob_ValidFile_RunsInBackgroundAndReturnsReport()
+    {
+        // Arrange
+        var content = CreateFileContent(CreateValidCnabContent(), "CNAB.txt");
+
+        // Act
+        var response = await _client.PostAsync("/api/cnab/import-jobs", content);
+        var job = await response.Content.ReadFromJsonAsync<ImportJobViewModel>();
+        var finished = await WaitForImportJobAsync(job!.Id);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Accepted, response.StatusCode);
+        Assert.Equal($"/api/cnab/import-jobs/{job.Id}", response.Headers.Location?.AbsolutePath);
+        Assert.Equal("Completed", finished.Phase);
+        Assert.Equal(200, finished.ResultStatusCode);
+        Assert.Equal(100, finished.PercentComplete);
+
+        var report = ((JsonElement)finished.Result!).Deserialize<UploadResponseViewModel>(
+            new JsonSerializerOptions(JsonSerializerDefaults.Web));
+        Assert.True(report!.Success);
+        Assert.Equal(3, report.TransactionCount);
+
+        using var context = GetDbContext();
+        Assert.Equal(3, await context.Transactions.CountAsync());
+    }
+
+    [Fact]
+    public async Task ImportJob_SameFileTwice_FinishesWithDuplicateConflict()
+    {
+        // Arrange
+        await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB.txt"));
+
+        // Act
+        var response = await _client.PostAsync("/api/cnab/import-jobs", CreateFileContent(CreateValidCnabContent(), "CNAB.txt"));
+        var job = await response.Content.ReadFromJsonAsync<ImportJobViewModel>();
+        var finished = await WaitForImportJobAsync(job!.Id);
+
+        // Assert
+        Assert.Equal("Completed", finished.Phase);
+        Assert.Equal(409, finished.ResultStatusCode);
+
+        using var context = GetDbContext();
+        Assert.Equal(3, await context.Transactions.CountAsync());
+    }
+
+    [Fact]
+    public async Task ImportJob_UnknownJob_ReturnsNotFound()
+    {
+        // Act
+        var response = await _client.GetAsync($"/api/cnab/import-jobs/{Guid.NewGuid()}");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task ImportJob_AsReadOnlyUser_ReturnsForbidden()
+    {
+        // Arrange
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.GetAsync("/api/cnab/import-jobs");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    #endregion
+
+    #region Event Stream Tests
+
+    [Fact]
+    public async Task Events_AfterUpload_StreamsImportCompletedWithStores()
+    {
+        // Arrange
+        using var timeout = new CancellationTokenSource(TimeSpan.FromSeconds(10));
+        using var stream = await _client.GetAsync("/api/cnab/events",
+            HttpCompletionOption.ResponseHeadersRead, timeout.Token);
+        using var reader = new StreamReader(await stream.Content.ReadAsStreamAsync(timeout.Token));
+
+        var upload = new HttpRequestMessage(HttpMethod.Post, "/api/cnab/upload")
+        {
+            Content = CreateFileContent(CreateValidCnabContent(), "CNAB.txt")
+        };
+        upload.Headers.Add("X-Client-Id", "tab-1");
+
+        // Act
+        await _client.SendAsync(upload, timeout.Token);
+
+        string? line;
+        do
+        {
+            line = await reader.ReadLineAsync(timeout.Token);
+        } while (line != null && line != $"event: {TransactionEventTypes.ImportCompleted}");
+
+        var data = await reader.ReadLineAsync(timeout.Token);
+
+        // Assert
+        Assert.Equal("text/event-stream", stream.Content.Headers.ContentType?.MediaType);
+        Assert.NotNull(data);
+        Assert.StartsWith("data: ", data);
+
+        var received = JsonSerializer.Deserialize<TransactionEventViewModel>(data!["data: ".Length..],
+            new JsonSerializerOptions(JsonSerializerDefaults.Web));
+        Assert.NotNull(received);
+        Assert.Equal(3, received.TransactionCount);
+        Assert.Equal("CNAB.txt", received.FileName);
+        Assert.Equal("tab-1", received.SourceClientId);
+        Assert.NotNull(received.StoreNames);
+        Assert.NotEmpty(received.StoreNames);
+    }
+
+    #endregion
+
+    #region PII Masking Tests
+
+    [Fact]
+    public async Task GetTransactionsPaged_MasksCpfAndCardNumber()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var page = await _client.GetFromJsonAsync<PagedResult<TransactionViewModel>>(
+            "/api/cnab/transactions/paged?storeName=BAR%20DO%20JO%C3%83O");
+
+        // Assert
+        Assert.NotNull(page);
+        var transaction = Assert.Single(page.Items);
+        Assert.Equal("096.***.***-17", transaction.Cpf);
+        Assert.Equal("********3153", transaction.CardNumber);
+    }
+
+    [Theory]
+    [InlineData("/api/cnab/transactions/paged?cpf=0962067")]
+    [InlineData("/api/cnab/store/BAR%20DO%20JO%C3%83O/paged?cpf=096.206")]
+    [InlineData("/api/cnab/balances?includeTransactions=false&cpf=09620")]
+    public async Task SearchByPartialCpf_ReadOnlyUser_ReturnsBadRequest(string url)
+    {
+        // Arrange - the masked CPF shows its first and last digits: the middle ones must not be guessable
+        await SeedDatabase();
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.GetAsync(url);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task SearchByFullCpf_ReadOnlyUser_ReturnsExactMatches()
+    {
+        // Arrange
+        await SeedDatabase();
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var page = await client.GetFromJsonAsync<PagedResult<TransactionViewModel>>(
+            "/api/cnab/transactions/paged?cpf=096.206.760-17&pageSize=100");
+
+        // Assert
+        Assert.NotNull(page);
+        Assert.NotEmpty(page.Items);
+        Assert.All(page.Items, t => Assert.Equal("096.***.***-17", t.Cpf));
+    }
+
+    [Fact]
+    public async Task SortByCpf_ReadOnlyUser_ReturnsBadRequest()
+    {
+        // Arrange
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.GetAsync("/api/cnab/transactions/paged?sortBy=Cpf");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task SearchByPartialCpf_Administrator_MatchesPartially()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var page = await _client.GetFromJsonAsync<PagedResult<TransactionViewModel>>(
+            "/api/cnab/transactions/paged?cpf=0962067&sortBy=Cpf");
+
+        // Assert
+        Assert.NotNull(page);
+        Assert.NotEmpty(page.Items);
+    }
+
+    [Fact]
+    public async Task RevealPii_Administrator_ReturnsClearValuesAndRecordsAudit()
+    {
+        // Arrange
+        await SeedDatabase();
+        var transactions = await _client.GetFromJsonAsync<List<TransactionViewModel>>("/api/cnab/store/BAR%20DO%20JO%C3%83O");
+        var id = Assert.Single(transactions!).Id;
+
+        // Act
+        var response = await _client.GetAsync($"/api/cnab/transactions/{id}/pii");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var reveal = await response.Content.ReadFromJsonAsync<PiiRevealViewModel>();
+        Assert.NotNull(reveal);
+        Assert.Equal("09620676017", reveal.Cpf);
+        Assert.Equal("4753****3153", reveal.CardNumber);
+
+        var audit = await _client.GetFromJsonAsync<List<PiiRevealAuditViewModel>>($"/api/cnab/pii-reveals?transactionId={id}");
+        var entry = Assert.Single(audit!);
+        Assert.Equal("TestUser", entry.RevealedBy);
+        Assert.Equal("BAR DO JOÃO", entry.StoreName);
+    }
+
+    [Fact]
+    public async Task RevealPii_ReadOnlyUser_ReturnsForbiddenAndRecordsNothing()
+    {
+        // Arrange
+        await SeedDatabase();
+        var transactions = await _client.GetFromJsonAsync<List<TransactionViewModel>>("/api/cnab/transactions");
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.GetAsync($"/api/cnab/transactions/{transactions!.First().Id}/pii");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+
+        using var context = GetDbContext();
+        Assert.Equal(0, await context.PiiReveals.CountAsync());
+    }
+
+    [Fact]
+    public async Task RevealPii_UnknownTransaction_ReturnsNotFound()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/cnab/transactions/999999/pii");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+
+    #endregion
+
+    #region Data Quality Tests
+
+    [Fact]
+    public async Task Upload_SuspiciousLines_ImportsThemAndReportsWarnings()
+    {
+        // Arrange - second owner for BAR DO JOÃO and a CPF with a wrong check digit
+        await SeedDatabase();
+        var content = "1201903020000015200096206760184753****3153153453JOSÉ MACEDO   BAR DO JOÃO       ";
+
+        // Act
+        var response = await _client.PostAsync("/api/cnab/upload", CreateFileContent(content, "suspicious.txt"));
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var report = await response.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        Assert.NotNull(report);
+        Assert.Equal(1, report.TransactionCount);
+        Assert.Equal(1, report.LinesFlagged);
+        Assert.Equal(new[] { "CpfChecksum", "StoreOwnerMismatch" }, report.QualityWarnings.Select(w => w.Rule));
+        Assert.Equal("JOÃO MACEDO", report.QualityWarnings[1].ExpectedValue);
+    }
+
+    [Fact]
+    public async Task GetDataQuality_CountsStoredTransactionsPerRule()
+    {
+        // Arrange
+        await SeedDatabase();
+        await _client.PostAsync("/api/cnab/upload", CreateFileContent(
+            "1201903020000015200096206760184753****3153153453JOÃO MACEDO   BAR DO JOÃO       ", "bad-cpf.txt"));
+
+        // Act
+        var summary = await _client.GetFromJsonAsync<DataQualityViewModel>("/api/cnab/data-quality");
+
+        // Assert
+        Assert.NotNull(summary);
+        Assert.Equal(4, summary.TransactionCount);
+        Assert.Equal(1, summary.FlaggedTransactionCount);
+        Assert.Equal(4, summary.Rules.Count);
+        Assert.Equal(1, summary.Rules.Single(r => r.Rule == "CpfChecksum").TransactionCount);
+        Assert.All(summary.Rules.Where(r => r.Rule != "CpfChecksum"), r => Assert.Equal(0, r.TransactionCount));
+    }
+
+    [Fact]
+    public async Task GetDataQualityFindings_ReturnsMaskedTransactionsOfTheRule()
+    {
+        // Arrange
+        await SeedDatabase();
+        await _client.PostAsync("/api/cnab/upload", CreateFileContent(
+            "1201903020000015200096206760184753****3153153453JOÃO MACEDO   BAR DO JOÃO       ", "bad-cpf.txt"));
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var page = await client.GetFromJsonAsync<PagedResult<FlaggedTransactionViewModel>>(
+            "/api/cnab/data-quality/CpfChecksum?pageSize=5");
+
+        // Assert
+        Assert.NotNull(page);
+        var finding = Assert.Single(page.Items);
+        Assert.Equal("CpfChecksum", finding.Rule);
+        Assert.Equal("096.***.***-18", finding.Transaction.Cpf);
+        Assert.Equal("********3153", finding.Transaction.CardNumber);
+    }
+
+    [Fact]
+    public async Task GetDataQualityFindings_UnknownRule_ReturnsBadRequest()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/cnab/data-quality/NoSuchRule");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetKnownStoreOwners_ReturnsOwnerOfEachStore()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var owners = await _client.GetFromJsonAsync<Dictionary<string, string>>("/api/cnab/data-quality/store-owners");
+
+        // Assert
+        Assert.NotNull(owners);
+        Assert.Equal(3, owners.Count);
+        Assert.Equal("MARIA SILVA", owners["MERCEARIA 3 IRMÃOS"]);
+    }
+
+    #endregion
+
+    #region Adjustment Tests
+
+    [Fact]
+    public async Task CreateAdjustment_AddsEntryAndAuditRecord()
+    {
+        // Arrange
+        await SeedDatabase();
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/cnab/adjustments", CreateAdjustmentRequest());
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var adjustment = await response.Content.ReadFromJsonAsync<AdjustmentViewModel>();
+        Assert.NotNull(adjustment);
+        Assert.Equal("Entry", adjustment.Kind);
+        Assert.Equal("TestUser", adjustment.CreatedBy);
+        Assert.Equal(50.00m, adjustment.SignedAmount);
+
+        var balances = await _client.GetFromJsonAsync<List<StoreBalanceViewModel>>("/api/cnab/balances");
+        var store = balances!.Single(b => b.StoreName == "BAR DO JOÃO");
+        Assert.Equal(2, store.TransactionCount);
+        Assert.Equal(-92.00m, store.TotalBalance);
+        Assert.Equal(1, store.AdjustmentCount);
+        Assert.NotNull(store.LastAdjustedAt);
+
+        var trail = await _client.GetFromJsonAsync<List<AdjustmentViewModel>>(
+            "/api/cnab/adjustments?storeName=BAR%20DO%20JO%C3%83O");
+        Assert.Equal("Bank correction", Assert.Single(trail!).Reason);
+    }
+
+    [Fact]
+    public async Task CreateAdjustment_WithoutReason_ReturnsBadRequest()
+    {
+        // Arrange
+        var request = CreateAdjustmentRequest();
+        request.Reason = "";
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/cnab/adjustments", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+
+        using var context = GetDbContext();
+        Assert.False(await context.Transactions.AnyAsync());
+        Assert.False(await context.TransactionAdjustments.AnyAsync());
+    }
+
+    [Fact]
+    public async Task CreateAdjustment_IntoClosedPeriod_ReturnsLocked()
+    {
+        // Arrange
+        await ClosePeriodAsync("2019-03-01", "2019-03-31");
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/cnab/adjustments", CreateAdjustmentRequest());
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Locked, response.StatusCode);
+
+        using var context = GetDbContext();
+        Assert.False(await context.Transactions.AnyAsync());
+    }
+
+    [Fact]
+    public async Task CreateAdjustment_ReadOnlyUser_ReturnsForbidden()
+    {
+        // Arrange
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/cnab/adjustments", CreateAdjustmentRequest());
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task ReverseTransaction_OffsetsItOnlyOnce()
+    {
+        // Arrange
+        await SeedDatabase();
+        var original = await GetSeededTransactionAsync("BAR DO JOÃO");
+
+        // Act
+        var response = await _client.PostAsJsonAsync(
+            $"/api/cnab/transactions/{original.Id}/reversal", new ReverseTransactionRequest { Reason = "Duplicated" });
+        var again = await _client.PostAsJsonAsync(
+            $"/api/cnab/transactions/{original.Id}/reversal", new ReverseTransactionRequest { Reason = "Duplicated" });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal(HttpStatusCode.Conflict, again.StatusCode);
+
+        var adjustment = await response.Content.ReadFromJsonAsync<AdjustmentViewModel>();
+        Assert.Equal("Reversal", adjustment!.Kind);
+        Assert.Equal(original.Id, adjustment.ReversedTransactionId);
+
+        var page = await _client.GetFromJsonAsync<PagedResult<TransactionViewModel>>(
+            "/api/cnab/store/BAR%20DO%20JO%C3%83O/paged");
+        Assert.Equal(2, page!.TotalCount);
+        Assert.Equal(adjustment.TransactionId, page.Items.Single(t => t.Id == original.Id).ReversedByTransactionId);
+        Assert.Equal(0m, page.Items.Sum(t => t.SignedAmount));
+
+        using var context = GetDbContext();
+        Assert.Equal(142.00m, (await context.Transactions.SingleAsync(t => t.Id == original.Id)).Amount);
+    }
+
+    [Fact]
+    public async Task ReverseTransaction_ReversalEntry_ReturnsBadRequest()
+    {
+        // Arrange
+        await SeedDatabase();
+        var original = await GetSeededTransactionAsync("BAR DO JOÃO");
+        var response = await _client.PostAsJsonAsync(
+            $"/api/cnab/transactions/{original.Id}/reversal", new ReverseTransactionRequest { Reason = "Duplicated" });
+        var reversal = await response.Content.ReadFromJsonAsync<AdjustmentViewModel>();
+
+        // Act
+        var result = await _client.PostAsJsonAsync(
+            $"/api/cnab/transactions/{reversal!.TransactionId}/reversal", new ReverseTransactionRequest { Reason = "Undo" });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, result.StatusCode);
     }
 
     [Fact]
-    public async Task DeleteAllTransactions_WhenDatabaseIsEmpty_ShouldStillReturnSuccess()
+    public async Task ReverseTransaction_ClosedPeriod_NeedsAnotherDate()
     {
+        // Arrange
+        await SeedDatabase();
+        var original = await GetSeededTransactionAsync("BAR DO JOÃO");
+        await ClosePeriodAsync("2019-03-01", "2019-03-31");
+
         // Act
-        var deleteResponse = await _client.DeleteAsync("/api/cnab/transactions");
+        var locked = await _client.PostAsJsonAsync(
+            $"/api/cnab/transactions/{original.Id}/reversal", new ReverseTransactionRequest { Reason = "Duplicated" });
+        var moved = await _client.PostAsJsonAsync(
+            $"/api/cnab/transactions/{original.Id}/reversal",
+            new ReverseTransactionRequest { Reason = "Duplicated", Date = new DateTime(2019, 4, 1) });
 
         // Assert
-        deleteResponse.EnsureSuccessStatusCode();
+        Assert.Equal(HttpStatusCode.Locked, locked.StatusCode);
+        Assert.Equal(HttpStatusCode.OK, moved.StatusCode);
 
-        var msg = await deleteResponse.Content.ReadAsStringAsync();
-        Assert.Contains("success", msg, StringComparison.OrdinalIgnoreCase);
+        var adjustment = await moved.Content.ReadFromJsonAsync<AdjustmentViewModel>();
+        Assert.Equal(new DateTime(2019, 4, 1), adjustment!.Date);
+    }
 
-        var getResponse = await _client.GetAsync("/api/cnab/transactions");
-        var transactions = await getResponse.Content.ReadFromJsonAsync<List<TransactionViewModel>>();
+    [Fact]
+    public async Task ReverseTransaction_UnknownTransaction_ReturnsNotFound()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync(
+            "/api/cnab/transactions/999/reversal", new ReverseTransactionRequest { Reason = "Duplicated" });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task RollbackImport_AlsoDeletesReversalsButKeepsAuditTrail()
+    {
+        // Arrange
+        var upload = await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB.txt"));
+        var report = await upload.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        var original = await GetSeededTransactionAsync("BAR DO JOÃO");
+        await _client.PostAsJsonAsync(
+            $"/api/cnab/transactions/{original.Id}/reversal", new ReverseTransactionRequest { Reason = "Duplicated" });
+
+        // Act
+        var response = await _client.DeleteAsync($"/api/cnab/imports/{report!.ImportBatchId}");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        using var context = GetDbContext();
+        Assert.False(await context.Transactions.AnyAsync());
+        var adjustment = await context.TransactionAdjustments.SingleAsync();
+        Assert.Equal(original.Id, adjustment.ReversedTransactionId);
+    }
+
+    #endregion
+
+    #region Alert Tests
+
+    [Fact]
+    public async Task Upload_LargeAmountAtNight_TriggersAlerts()
+    {
+        // Act
+        var result = await UploadSuspiciousFileAsync();
+
+        // Assert
+        Assert.Equal(2, result.AlertsTriggered);
+
+        var alerts = await _client.GetFromJsonAsync<PagedResult<AlertViewModel>>("/api/cnab/alerts");
+        Assert.Equal(2, alerts!.TotalCount);
+        Assert.Equal(new[] { "LargeAmount", "OutOfHours" }, alerts.Items.Select(a => a.Rule).OrderBy(r => r));
+        Assert.All(alerts.Items, a => Assert.Equal("BAR DO JOÃO", a.StoreName));
+        Assert.All(alerts.Items, a => Assert.Equal(result.ImportBatchId, a.ImportBatchId));
+
+        var summary = await _client.GetFromJsonAsync<AlertSummaryViewModel>("/api/cnab/alerts/summary");
+        Assert.Equal(2, summary!.OpenCount);
+
+        var balances = await _client.GetFromJsonAsync<List<StoreBalanceViewModel>>("/api/cnab/balances");
+        Assert.Equal(2, balances!.Single(b => b.StoreName == "BAR DO JOÃO").OpenAlertCount);
+    }
+
+    [Fact]
+    public async Task Upload_OrdinaryFile_TriggersNoAlerts()
+    {
+        // Act
+        await SeedDatabase();
+
+        // Assert
+        var alerts = await _client.GetFromJsonAsync<PagedResult<AlertViewModel>>("/api/cnab/alerts?status=All");
+        Assert.Equal(0, alerts!.TotalCount);
+    }
+
+    [Fact]
+    public async Task AcknowledgeAlert_RecordsCommentAndClosesAlert()
+    {
+        // Arrange
+        await UploadSuspiciousFileAsync();
+        var alert = await GetFirstOpenAlertAsync();
+
+        // Act
+        var response = await _client.PostAsJsonAsync($"/api/cnab/alerts/{alert.Id}/acknowledgement",
+            new AcknowledgeAlertRequest { Comment = "Equipment purchase, confirmed with the owner" });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var acknowledged = await response.Content.ReadFromJsonAsync<AlertViewModel>();
+        Assert.True(acknowledged!.IsAcknowledged);
+        Assert.Equal("TestUser", acknowledged.AcknowledgedBy);
+        Assert.Equal("Equipment purchase, confirmed with the owner", acknowledged.Comment);
+
+        var open = await _client.GetFromJsonAsync<PagedResult<AlertViewModel>>("/api/cnab/alerts");
+        Assert.Equal(1, open!.TotalCount);
+
+        var done = await _client.GetFromJsonAsync<PagedResult<AlertViewModel>>("/api/cnab/alerts?status=Acknowledged");
+        Assert.Equal(alert.Id, Assert.Single(done!.Items).Id);
+    }
+
+    [Fact]
+    public async Task AcknowledgeAlert_ReadOnlyUser_ReturnsForbidden()
+    {
+        // Arrange
+        await UploadSuspiciousFileAsync();
+        var alert = await GetFirstOpenAlertAsync();
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cnab/alerts/{alert.Id}/acknowledgement",
+            new AcknowledgeAlertRequest { Comment = "Checked" });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+        var open = await _client.GetFromJsonAsync<PagedResult<AlertViewModel>>("/api/cnab/alerts");
+        Assert.Contains(open!.Items, a => a.Id == alert.Id);
+    }
+
+    [Fact]
+    public async Task AcknowledgeAlert_Twice_ReturnsConflict()
+    {
+        // Arrange
+        await UploadSuspiciousFileAsync();
+        var alert = await GetFirstOpenAlertAsync();
+        var request = new AcknowledgeAlertRequest { Comment = "Checked" };
+        (await _client.PostAsJsonAsync($"/api/cnab/alerts/{alert.Id}/acknowledgement", request)).EnsureSuccessStatusCode();
+
+        // Act
+        var response = await _client.PostAsJsonAsync($"/api/cnab/alerts/{alert.Id}/acknowledgement", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Conflict, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task AcknowledgeAlert_WithoutComment_ReturnsBadRequest()
+    {
+        // Arrange
+        await UploadSuspiciousFileAsync();
+        var alert = await GetFirstOpenAlertAsync();
+
+        // Act
+        var response = await _client.PostAsJsonAsync($"/api/cnab/alerts/{alert.Id}/acknowledgement",
+            new AcknowledgeAlertRequest { Comment = " " });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task AcknowledgeAlert_UnknownAlert_ReturnsNotFound()
+    {
+        var response = await _client.PostAsJsonAsync("/api/cnab/alerts/999/acknowledgement",
+            new AcknowledgeAlertRequest { Comment = "Checked" });
+
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task AcknowledgeAlert_ReadOnlyUser_ReturnsOk()
+    {
+        // Arrange
+        await UploadSuspiciousFileAsync();
+        var alert = await GetFirstOpenAlertAsync();
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cnab/alerts/{alert.Id}/acknowledgement",
+            new AcknowledgeAlertRequest { Comment = "Checked" });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task UpdateAlertRule_DisabledRule_IsSkippedOnNextImport()
+    {
+        // Arrange
+        var response = await _client.PutAsJsonAsync("/api/cnab/alerts/rules/OutOfHours",
+            new UpdateAlertRuleRequest { IsEnabled = false, Threshold = 6, Window = 22 });
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        // Act
+        var result = await UploadSuspiciousFileAsync();
+
+        // Assert
+        Assert.Equal(1, result.AlertsTriggered);
+
+        var rules = await _client.GetFromJsonAsync<List<AlertRuleViewModel>>("/api/cnab/alerts/rules");
+        var rule = rules!.Single(r => r.Rule == "OutOfHours");
+        Assert.False(rule.IsEnabled);
+        Assert.Equal("TestUser", rule.UpdatedBy);
+    }
+
+    [Fact]
+    public async Task UpdateAlertRule_ClosingBeforeOpening_ReturnsBadRequest()
+    {
+        var response = await _client.PutAsJsonAsync("/api/cnab/alerts/rules/OutOfHours",
+            new UpdateAlertRuleRequest { IsEnabled = true, Threshold = 22, Window = 6 });
+
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task UpdateAlertRule_ReadOnlyUser_ReturnsForbidden()
+    {
+        // Arrange
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.PutAsJsonAsync("/api/cnab/alerts/rules/LargeAmount",
+            new UpdateAlertRuleRequest { IsEnabled = false, Threshold = 10000 });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task RollbackImport_DeletesItsOpenAlerts()
+    {
+        // Arrange
+        var result = await UploadSuspiciousFileAsync();
+
+        // Act
+        var response = await _client.DeleteAsync($"/api/cnab/imports/{result.ImportBatchId}");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        using var context = GetDbContext();
+        Assert.False(await context.Alerts.AnyAsync());
+    }
+
+    #endregion
+
+    #region Role Tests
+
+    [Fact]
+    public async Task Upload_ReadOnlyUser_ReturnsForbidden()
+    {
+        // Arrange
+        using var client = CreateClientWithRoles(AppRoles.User);
+        var content = CreateFileContent(CreateValidCnabContent(), "CNAB.txt");
 
+        // Act
+        var response = await client.PostAsync("/api/cnab/upload", content);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task DeleteAllTransactions_ReadOnlyUser_ReturnsForbiddenAndKeepsData()
+    {
+        // Arrange
+        await SeedDatabase();
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.DeleteAsync("/api/cnab/transactions");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+
+        var transactions = await _client.GetFromJsonAsync<List<TransactionViewModel>>("/api/cnab/transactions");
         Assert.NotNull(transactions);
-        Assert.Empty(transactions!);
+        Assert.Equal(3, transactions.Count);
+    }
+
+    [Fact]
+    public async Task RollbackImport_ReadOnlyUser_ReturnsForbidden()
+    {
+        // Arrange
+        var upload = await _client.PostAsync("/api/cnab/upload", CreateFileContent(CreateValidCnabContent(), "CNAB.txt"));
+        var report = await upload.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.DeleteAsync($"/api/cnab/imports/{report!.ImportBatchId}");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetBalances_ReadOnlyUser_ReturnsOk()
+    {
+        // Arrange
+        await SeedDatabase();
+        using var client = CreateClientWithRoles(AppRoles.User);
+
+        // Act
+        var response = await client.GetAsync("/api/cnab/balances");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
     }
 
     #endregion
@@ -526,6 +2089,124 @@ public class CnabApiIntegrationTests : IClassFixture<WebApplicationFactory<Progr
         return multipartContent;
     }
 
+    /// <summary>
+    /// Logs in with the demo admin user.
+    /// </summary>
+    private async Task<LoginResponse> LoginAsync()
+    {
+        var response = await _client.PostAsJsonAsync("/api/auth/login",
+            new LoginRequest { Username = "admin", Password = "Admin@123" });
+        response.EnsureSuccessStatusCode();
+
+        var session = await response.Content.ReadFromJsonAsync<LoginResponse>();
+        Assert.NotNull(session);
+        return session;
+    }
+
+    /// <summary>
+    /// Signs in as an API client: the refresh token comes in the body and no cookie is set.
+    /// </summary>
+    private async Task<LoginResponse> GetApiTokenAsync()
+    {
+        var response = await _client.PostAsJsonAsync("/api/auth/token",
+            new LoginRequest { Username = "admin", Password = "Admin@123" });
+        response.EnsureSuccessStatusCode();
+
+        var session = await response.Content.ReadFromJsonAsync<LoginResponse>();
+        Assert.NotNull(session);
+        return session;
+    }
+
+    /// <summary>
+    /// Creates a client whose requests are authenticated with the given roles.
+    /// </summary>
+    private HttpClient CreateClientWithRoles(params string[] roles)
+    {
+        var client = _factory.CreateClient();
+        client.DefaultRequestHeaders.Add(FakeAuthenticationHandler.RolesHeader, string.Join(",", roles));
+        return client;
+    }
+
+    /// <summary>
+    /// Closes a period as the default (administrator) client.
+    /// </summary>
+    private async Task<ImportJobViewModel> WaitForImportJobAsync(Guid id)
+    {
+        for (var attempt = 0; attempt < 100; attempt++)
+        {
+            var job = await _client.GetFromJsonAsync<ImportJobViewModel>($"/api/cnab/import-jobs/{id}");
+            if (job!.IsFinished)
+            {
+                return job;
+            }
+
+            await Task.Delay(100);
+        }
+
+        throw new TimeoutException($"Import job {id} did not finish");
+    }
+
+    private async Task<ClosedPeriodViewModel> ClosePeriodAsync(string startDate, string endDate)
+    {
+        var response = await _client.PostAsJsonAsync("/api/cnab/periods", new ClosePeriodRequest
+        {
+            StartDate = DateTime.Parse(startDate),
+            EndDate = DateTime.Parse(endDate),
+            Note = "Bank statement"
+        });
+        response.EnsureSuccessStatusCode();
+
+        var period = await response.Content.ReadFromJsonAsync<ClosedPeriodViewModel>();
+        Assert.NotNull(period);
+        return period;
+    }
+
+    /// <summary>
+    /// Creates a manual entry of 50.00 (type Sales) for BAR DO JOÃO on 2019-03-01.
+    /// </summary>
+    private static CreateAdjustmentRequest CreateAdjustmentRequest()
+    {
+        return new CreateAdjustmentRequest
+        {
+            Type = (int)TransactionType.Sales,
+            Amount = 50.00m,
+            Date = new DateTime(2019, 3, 1),
+            StoreName = "BAR DO JOÃO",
+            StoreOwner = "JOÃO MACEDO",
+            Reason = "Bank correction"
+        };
+    }
+
+    /// <summary>
+    /// Returns the only seeded transaction of a store.
+    /// </summary>
+    private async Task<Transaction> GetSeededTransactionAsync(string storeName)
+    {
+        using var context = GetDbContext();
+        return await context.Transactions.AsNoTracking().SingleAsync(t => t.StoreName == storeName);
+    }
+
+    /// <summary>
+    /// Uploads a debit of 20,000.00 at 23:30 for BAR DO JOÃO (large amount and out of hours).
+    /// </summary>
+    private async Task<UploadResponseViewModel> UploadSuspiciousFileAsync()
+    {
+        var content = CreateFileContent(
+            "1201903010002000000096206760174753****3153233000JOÃO MACEDO   BAR DO JOÃO       ", "night.txt");
+        var response = await _client.PostAsync("/api/cnab/upload", content);
+        response.EnsureSuccessStatusCode();
+
+        var result = await response.Content.ReadFromJsonAsync<UploadResponseViewModel>();
+        Assert.NotNull(result);
+        return result;
+    }
+
+    private async Task<AlertViewModel> GetFirstOpenAlertAsync()
+    {
+        var alerts = await _client.GetFromJsonAsync<PagedResult<AlertViewModel>>("/api/cnab/alerts");
+        return alerts!.Items.First();
+    }
+
     /// <summary>
     /// Seeds database with test data.
     /// </summary>
@@ -1,3 +1,4 @@
+using CnabProcessor.Api.Models;
 using Microsoft.AspNetCore.Authentication;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
@@ -9,9 +10,15 @@ namespace CnabProcessor.IntegrationTests;
 /// <summary>
 /// Fake authentication handler for integration tests.
 /// Automatically authenticates all requests without requiring actual JWT tokens.
+/// The test user is an Administrator unless the request sets the <see cref="RolesHeader"/> header.
 /// </summary>
 public class FakeAuthenticationHandler : AuthenticationHandler<AuthenticationSchemeOptions>
 {
+    /// <summary>
+    /// Comma-separated roles for the request (empty for a user without roles).
+    /// </summary>
+    public const string RolesHeader = "X-Test-Roles";
+
     public FakeAuthenticationHandler(
         IOptionsMonitor<AuthenticationSchemeOptions> options,
         ILoggerFactory logger,
@@ -23,13 +30,19 @@ public class FakeAuthenticationHandler : AuthenticationHandler<AuthenticationSch
     protected override Task<AuthenticateResult> HandleAuthenticateAsync()
     {
         // Create fake claims for the test user
-        var claims = new[]
+        var claims = new List<Claim>
         {
             new Claim(ClaimTypes.Name, "TestUser"),
             new Claim(ClaimTypes.NameIdentifier, "test-user-id"),
             new Claim("sub", "TestUser")
         };
 
+        var roles = Request.Headers.TryGetValue(RolesHeader, out var requestedRoles)
+            ? requestedRoles.ToString().Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            : new[] { AppRoles.Administrator };
+
+        claims.AddRange(roles.Select(role => new Claim(ClaimTypes.Role, role)));
+
         var identity = new ClaimsIdentity(claims, "Test");
         var principal = new ClaimsPrincipal(identity);
         var ticket = new AuthenticationTicket(principal, "Test");
@@ -1,4 +1,4 @@
-// ========================================
+﻿// ========================================
 // File: CnabProcessor.IntegrationTests/PagedEndpointsIntegrationTests.cs
 // Purpose: Integration tests for paginated API endpoints
 // ========================================
@@ -368,6 +368,121 @@ public class PagedEndpointsIntegrationTests : IClassFixture<WebApplicationFactor
 
     #endregion
 
+    #region Filter Tests
+
+    [Fact]
+    public async Task GetTransactionsPaged_FilterByTypes_ReturnsOnlyThoseTypes()
+    {
+        // Arrange - types cycle 1..9
+        await SeedTransactions(90);
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/transactions/paged?pageSize=100&types=1&types=2");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var result = await response.Content.ReadFromJsonAsync<PagedResult<TransactionViewModel>>();
+        Assert.NotNull(result);
+        Assert.Equal(20, result.TotalCount);
+        Assert.All(result.Items, t => Assert.Contains(t.Type, new[] { "1", "2" }));
+    }
+
+    [Fact]
+    public async Task GetTransactionsPaged_FilterByNatureAndMinAmount_CombinesCriteria()
+    {
+        // Arrange - amounts are 100 + index
+        await SeedTransactions(90);
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/transactions/paged?pageSize=100&nature=Expense&minAmount=150");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var result = await response.Content.ReadFromJsonAsync<PagedResult<TransactionViewModel>>();
+        Assert.NotNull(result);
+        Assert.Equal(13, result.TotalCount);
+        Assert.All(result.Items, t =>
+        {
+            Assert.Equal("Expense", t.Nature);
+            Assert.True(t.Amount >= 150m);
+        });
+    }
+
+    [Fact]
+    public async Task GetStoreTransactionsPaged_FilterByOwner_IsCaseInsensitive()
+    {
+        // Arrange - owners cycle "Owner 0".."Owner 4"
+        await SeedTransactions(50, "Test Store");
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/store/Test%20Store/paged?pageSize=100&storeOwner=owner%203");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var result = await response.Content.ReadFromJsonAsync<PagedResult<TransactionViewModel>>();
+        Assert.NotNull(result);
+        Assert.Equal(10, result.TotalCount);
+        Assert.All(result.Items, t => Assert.Equal("Owner 3", t.StoreOwner));
+    }
+
+    [Fact]
+    public async Task GetTransactionsPaged_InvertedAmountRange_ReturnsBadRequest()
+    {
+        // Arrange
+        await SeedTransactions(10);
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/transactions/paged?minAmount=200&maxAmount=100");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    #endregion
+
+    #region Sort Tests
+
+    [Fact]
+    public async Task GetTransactionsPaged_SortByAmountAscending_ReturnsSmallestFirst()
+    {
+        // Arrange - amounts are 100 + index
+        await SeedTransactions(30);
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/transactions/paged?pageSize=10&sortBy=amount&sortDirection=asc");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var result = await response.Content.ReadFromJsonAsync<PagedResult<TransactionViewModel>>();
+        Assert.NotNull(result);
+        var amounts = result.Items.Select(t => t.Amount).ToList();
+        Assert.Equal(100.00m, amounts[0]);
+        Assert.Equal(amounts.OrderBy(a => a), amounts);
+    }
+
+    [Fact]
+    public async Task GetStoreTransactionsPaged_SortByTypeDescending_ReturnsHighestTypeFirst()
+    {
+        // Arrange
+        await SeedTransactions(18, "Test Store");
+
+        // Act
+        var response = await _client.GetAsync("/api/cnab/store/Test%20Store/paged?pageSize=4&sortBy=Type&sortDirection=Desc");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var result = await response.Content.ReadFromJsonAsync<PagedResult<TransactionViewModel>>();
+        Assert.NotNull(result);
+        Assert.Equal(new[] { "9", "9", "8", "8" }, result.Items.Select(t => t.Type));
+    }
+
+    #endregion
+
     #region Error Scenarios Tests
 
     [Theory]
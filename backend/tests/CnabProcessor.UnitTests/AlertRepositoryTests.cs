@@ -0,0 +1,236 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/AlertRepositoryTests.cs
+// Purpose: Unit tests for anomaly alerts and their rules
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Repositories;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for AlertRepository.
+/// Uses in-memory database for isolation.
+/// </summary>
+public class AlertRepositoryTests : IDisposable
+{
+    private readonly CnabDbContext _context;
+    private readonly AlertRepository _repository;
+
+    public AlertRepositoryTests()
+    {
+        var options = new DbContextOptionsBuilder<CnabDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new CnabDbContext(options);
+        _repository = new AlertRepository(_context, new Mock<ILogger<AlertRepository>>().Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Rule Tests
+
+    [Fact]
+    public async Task GetRulesAsync_NothingSaved_ReturnsEveryRuleWithDefaults()
+    {
+        // Act
+        var rules = (await _repository.GetRulesAsync()).ToList();
+
+        // Assert
+        Assert.Equal(Enum.GetValues<AlertRuleType>(), rules.Select(r => r.Type));
+        Assert.All(rules, r => Assert.True(r.IsEnabled));
+        Assert.Equal(10000m, rules.Single(r => r.Type == AlertRuleType.LargeAmount).Threshold);
+    }
+
+    [Fact]
+    public async Task SaveRuleAsync_InsertsThenUpdates()
+    {
+        // Arrange
+        await _repository.SaveRuleAsync(new AlertRule
+        {
+            Type = AlertRuleType.LargeAmount, IsEnabled = true, Threshold = 5000m, UpdatedBy = "admin"
+        });
+
+        // Act
+        await _repository.SaveRuleAsync(new AlertRule
+        {
+            Type = AlertRuleType.LargeAmount, IsEnabled = false, Threshold = 7000m, UpdatedBy = "admin"
+        });
+
+        // Assert
+        var rule = (await _repository.GetRulesAsync()).Single(r => r.Type == AlertRuleType.LargeAmount);
+        Assert.False(rule.IsEnabled);
+        Assert.Equal(7000m, rule.Threshold);
+        Assert.Equal(1, await _context.AlertRules.CountAsync());
+    }
+
+    #endregion
+
+    #region AddNewAsync Tests
+
+    [Fact]
+    public async Task AddNewAsync_SkipsKeysAlreadyStored()
+    {
+        // Arrange
+        await _repository.AddNewAsync(new[] { CreateAlert("LargeAmount:tx:1", "BAR DO JOÃO") });
+
+        // Act
+        var added = await _repository.AddNewAsync(new[]
+        {
+            CreateAlert("LargeAmount:tx:1", "BAR DO JOÃO"),
+            CreateAlert("LargeAmount:tx:2", "BAR DO JOÃO"),
+            CreateAlert("LargeAmount:tx:2", "BAR DO JOÃO")
+        });
+
+        // Assert
+        Assert.Equal(1, added);
+        Assert.Equal(2, await _context.Alerts.CountAsync());
+    }
+
+    #endregion
+
+    #region Query Tests
+
+    [Fact]
+    public async Task GetPageAsync_FiltersByStatusAndStore_NewestFirst()
+    {
+        // Arrange
+        await _repository.AddNewAsync(new[]
+        {
+            CreateAlert("a", "BAR DO JOÃO", new DateTime(2026, 10, 19, 10, 0, 0)),
+            CreateAlert("b", "BAR DO JOÃO", new DateTime(2026, 10, 19, 12, 0, 0)),
+            CreateAlert("c", "LOJA DO Ó", new DateTime(2026, 10, 19, 11, 0, 0)),
+            CreateAlert("d", "BAR DO JOÃO", new DateTime(2026, 10, 19, 13, 0, 0))
+        });
+        var acknowledgedId = (await _context.Alerts.SingleAsync(a => a.Key == "d")).Id;
+        await _repository.AcknowledgeAsync(acknowledgedId, "admin", "Known customer");
+
+        // Act
+        var page = await _repository.GetPageAsync(false, "BAR DO JOÃO", null, 1, 10);
+
+        // Assert
+        Assert.Equal(2, page.TotalCount);
+        Assert.Equal(new[] { "b", "a" }, page.Items.Select(a => a.Key));
+    }
+
+    [Fact]
+    public async Task GetStoreSummariesAsync_CountsOnlyOpenAlerts()
+    {
+        // Arrange
+        await _repository.AddNewAsync(new[]
+        {
+            CreateAlert("a", "BAR DO JOÃO"),
+            CreateAlert("b", "BAR DO JOÃO"),
+            CreateAlert("c", "LOJA DO Ó")
+        });
+        var acknowledgedId = (await _context.Alerts.SingleAsync(a => a.Key == "c")).Id;
+        await _repository.AcknowledgeAsync(acknowledgedId, "admin", "Checked with the store");
+
+        // Act
+        var result = (await _repository.GetStoreSummariesAsync()).ToDictionary(s => s.StoreName);
+
+        // Assert
+        Assert.Single(result);
+        Assert.Equal(2, result["BAR DO JOÃO"].OpenAlertCount);
+    }
+
+    #endregion
+
+    #region Acknowledge Tests
+
+    [Fact]
+    public async Task AcknowledgeAsync_RecordsWhoWhenAndComment()
+    {
+        // Arrange
+        await _repository.AddNewAsync(new[] { CreateAlert("a", "BAR DO JOÃO") });
+        var id = (await _context.Alerts.SingleAsync()).Id;
+
+        // Act
+        var alert = await _repository.AcknowledgeAsync(id, "user", "Refund of a duplicated sale");
+
+        // Assert
+        Assert.True(alert.IsAcknowledged);
+        Assert.Equal("user", alert.AcknowledgedBy);
+        Assert.Equal("Refund of a duplicated sale", alert.Comment);
+    }
+
+    [Fact]
+    public async Task AcknowledgeAsync_Twice_ThrowsInvalidOperationException()
+    {
+        // Arrange
+        await _repository.AddNewAsync(new[] { CreateAlert("a", "BAR DO JOÃO") });
+        var id = (await _context.Alerts.SingleAsync()).Id;
+        await _repository.AcknowledgeAsync(id, "user", "First look");
+
+        // Act & Assert
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _repository.AcknowledgeAsync(id, "admin", "Again"));
+    }
+
+    [Fact]
+    public async Task AcknowledgeAsync_UnknownAlert_ThrowsKeyNotFoundException()
+    {
+        await Assert.ThrowsAsync<KeyNotFoundException>(() => _repository.AcknowledgeAsync(999, "user", "Comment"));
+    }
+
+    #endregion
+
+    #region DeleteOpenAsync Tests
+
+    [Fact]
+    public async Task DeleteOpenAsync_ForImport_KeepsAcknowledgedAndOtherImports()
+    {
+        // Arrange
+        await _repository.AddNewAsync(new[]
+        {
+            CreateAlert("a", "BAR DO JOÃO", importBatchId: 1),
+            CreateAlert("b", "BAR DO JOÃO", importBatchId: 1),
+            CreateAlert("c", "BAR DO JOÃO", importBatchId: 2)
+        });
+        var acknowledgedId = (await _context.Alerts.SingleAsync(a => a.Key == "b")).Id;
+        await _repository.AcknowledgeAsync(acknowledgedId, "admin", "Reviewed");
+
+        // Act
+        var deleted = await _repository.DeleteOpenAsync(1);
+
+        // Assert
+        Assert.Equal(1, deleted);
+        Assert.Equal(new[] { "b", "c" }, await _context.Alerts.OrderBy(a => a.Key).Select(a => a.Key).ToListAsync());
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static Alert CreateAlert(string key, string storeName, DateTime? triggeredAt = null, int importBatchId = 1)
+    {
+        return new Alert
+        {
+            Rule = AlertRuleType.LargeAmount,
+            Key = key,
+            StoreName = storeName,
+            ImportBatchId = importBatchId,
+            Date = new DateTime(2019, 3, 1),
+            Message = "Debit of 15,000.00 is above 10,000.00",
+            Value = 15000m,
+            Threshold = 10000m,
+            TriggeredAt = triggeredAt ?? new DateTime(2026, 10, 19, 12, 0, 0)
+        };
+    }
+
+    #endregion
+}
@@ -0,0 +1,252 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/AnomalyRulesTests.cs
+// Purpose: Unit tests for the anomaly alert rules
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Services;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for AnomalyRules.
+/// </summary>
+public class AnomalyRulesTests
+{
+    private const int ImportBatchId = 7;
+    private static readonly DateTime Day = new(2026, 10, 19);
+
+    #region Validate Tests
+
+    [Fact]
+    public void Validate_DefaultRules_AreValid()
+    {
+        Assert.All(AnomalyRules.DefaultRules, rule =>
+            Assert.Null(AnomalyRules.Validate(rule.Type, rule.Threshold, rule.Window)));
+    }
+
+    [Theory]
+    [InlineData(AlertRuleType.LargeAmount, 0, 0)]
+    [InlineData(AlertRuleType.DailyFlowDeviation, 3, 0)]
+    [InlineData(AlertRuleType.CardInManyStores, 1, 60)]
+    [InlineData(AlertRuleType.CardInManyStores, 2.5, 60)]
+    [InlineData(AlertRuleType.OutOfHours, 22, 6)]
+    [InlineData(AlertRuleType.OutOfHours, 6, 25)]
+    public void Validate_InvalidSettings_ReturnsError(AlertRuleType type, double threshold, int window)
+    {
+        Assert.NotNull(AnomalyRules.Validate(type, (decimal)threshold, window));
+    }
+
+    #endregion
+
+    #region Single Transaction Tests
+
+    [Fact]
+    public void CheckLargeAmount_AboveThreshold_ReturnsAlertForTheTransaction()
+    {
+        // Arrange
+        var transaction = CreateTransaction(42, "BAR DO JOÃO", 15000m, Day, new TimeSpan(10, 0, 0));
+
+        // Act
+        var alert = AnomalyRules.CheckLargeAmount(transaction, Rule(AlertRuleType.LargeAmount, 10000m, 0));
+
+        // Assert
+        Assert.NotNull(alert);
+        Assert.Equal(AlertRuleType.LargeAmount, alert!.Rule);
+        Assert.Equal("LargeAmount:tx:42", alert.Key);
+        Assert.Equal(42, alert.TransactionId);
+        Assert.Equal(15000m, alert.Value);
+    }
+
+    [Fact]
+    public void CheckLargeAmount_AtThreshold_ReturnsNull()
+    {
+        var transaction = CreateTransaction(1, "BAR DO JOÃO", 10000m, Day, new TimeSpan(10, 0, 0));
+
+        Assert.Null(AnomalyRules.CheckLargeAmount(transaction, Rule(AlertRuleType.LargeAmount, 10000m, 0)));
+    }
+
+    [Theory]
+    [InlineData(5, 59, true)]
+    [InlineData(6, 0, false)]
+    [InlineData(21, 59, false)]
+    [InlineData(22, 0, true)]
+    public void CheckOutOfHours_ChecksOpeningAndClosingHours(int hour, int minute, bool expectAlert)
+    {
+        // Arrange
+        var transaction = CreateTransaction(1, "BAR DO JOÃO", 50m, Day, new TimeSpan(hour, minute, 0));
+
+        // Act
+        var alert = AnomalyRules.CheckOutOfHours(transaction, Rule(AlertRuleType.OutOfHours, 6m, 22));
+
+        // Assert
+        Assert.Equal(expectAlert, alert != null);
+    }
+
+    #endregion
+
+    #region Daily Flow Tests
+
+    [Fact]
+    public void CheckDailyFlow_FarFromTrailingAverage_ReturnsAlert()
+    {
+        // Arrange: three days of 100.00, then 1000.00
+        var totals = new List<StoreDailyTotal>
+        {
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-3), 100m),
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-2), 100m),
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-1), 100m),
+            DailyTotal("BAR DO JOÃO", Day, 1000m)
+        };
+
+        // Act
+        var alerts = AnomalyRules.CheckDailyFlow(
+            totals, new[] { ("BAR DO JOÃO", Day) }, Rule(AlertRuleType.DailyFlowDeviation, 3m, 30));
+
+        // Assert
+        var alert = Assert.Single(alerts);
+        Assert.Equal("DailyFlowDeviation:BAR DO JOÃO:2026-10-19", alert.Key);
+        Assert.Equal(1000m, alert.Value);
+        Assert.Null(alert.TransactionId);
+    }
+
+    [Fact]
+    public void CheckDailyFlow_WithinDeviation_ReturnsNoAlert()
+    {
+        var totals = new List<StoreDailyTotal>
+        {
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-3), 100m),
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-2), 100m),
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-1), 100m),
+            DailyTotal("BAR DO JOÃO", Day, 350m)
+        };
+
+        var alerts = AnomalyRules.CheckDailyFlow(
+            totals, new[] { ("BAR DO JOÃO", Day) }, Rule(AlertRuleType.DailyFlowDeviation, 3m, 30));
+
+        Assert.Empty(alerts);
+    }
+
+    [Fact]
+    public void CheckDailyFlow_NotEnoughHistoryInWindow_ReturnsNoAlert()
+    {
+        // Arrange: the oldest day is outside the 2-day window
+        var totals = new List<StoreDailyTotal>
+        {
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-3), 100m),
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-2), 100m),
+            DailyTotal("BAR DO JOÃO", Day.AddDays(-1), 100m),
+            DailyTotal("BAR DO JOÃO", Day, 1000m)
+        };
+
+        // Act
+        var alerts = AnomalyRules.CheckDailyFlow(
+            totals, new[] { ("BAR DO JOÃO", Day) }, Rule(AlertRuleType.DailyFlowDeviation, 3m, 2));
+
+        // Assert
+        Assert.Empty(alerts);
+    }
+
+    #endregion
+
+    #region Card Tests
+
+    [Fact]
+    public void CheckCardInManyStores_ThreeStoresWithinWindow_ReturnsOneAlertPerStore()
+    {
+        // Arrange
+        var transactions = new List<Transaction>
+        {
+            CreateTransaction(1, "BAR DO JOÃO", 10m, Day, new TimeSpan(10, 0, 0)),
+            CreateTransaction(2, "LOJA DO Ó", 10m, Day, new TimeSpan(10, 20, 0)),
+            CreateTransaction(3, "MERCADO DA AVENIDA", 10m, Day, new TimeSpan(10, 50, 0)),
+            CreateTransaction(4, "BAR DO JOÃO", 10m, Day, new TimeSpan(10, 55, 0))
+        };
+
+        // Act
+        var alerts = AnomalyRules.CheckCardInManyStores(
+            transactions, ImportBatchId, Rule(AlertRuleType.CardInManyStores, 3m, 60));
+
+        // Assert
+        Assert.Equal(3, alerts.Count);
+        Assert.Equal(new[] { "BAR DO JOÃO", "LOJA DO Ó", "MERCADO DA AVENIDA" },
+            alerts.Select(a => a.StoreName).OrderBy(s => s));
+        Assert.All(alerts, a => Assert.Equal(3m, a.Value));
+        Assert.All(alerts, a => Assert.DoesNotContain("4753", a.Message));
+        Assert.Equal(1, alerts.Single(a => a.StoreName == "BAR DO JOÃO").TransactionId);
+    }
+
+    [Fact]
+    public void CheckCardInManyStores_StoresSpreadBeyondWindow_ReturnsNoAlert()
+    {
+        var transactions = new List<Transaction>
+        {
+            CreateTransaction(1, "BAR DO JOÃO", 10m, Day, new TimeSpan(10, 0, 0)),
+            CreateTransaction(2, "LOJA DO Ó", 10m, Day, new TimeSpan(10, 40, 0)),
+            CreateTransaction(3, "MERCADO DA AVENIDA", 10m, Day, new TimeSpan(11, 20, 0))
+        };
+
+        var alerts = AnomalyRules.CheckCardInManyStores(
+            transactions, ImportBatchId, Rule(AlertRuleType.CardInManyStores, 3m, 60));
+
+        Assert.Empty(alerts);
+    }
+
+    [Fact]
+    public void CheckCardInManyStores_WindowWithoutImportedTransactions_ReturnsNoAlert()
+    {
+        // Arrange: the stores were visited by an earlier import
+        var transactions = new List<Transaction>
+        {
+            CreateTransaction(1, "BAR DO JOÃO", 10m, Day, new TimeSpan(10, 0, 0)),
+            CreateTransaction(2, "LOJA DO Ó", 10m, Day, new TimeSpan(10, 20, 0)),
+            CreateTransaction(3, "MERCADO DA AVENIDA", 10m, Day, new TimeSpan(10, 50, 0))
+        };
+        transactions.ForEach(t => t.ImportBatchId = ImportBatchId - 1);
+
+        // Act
+        var alerts = AnomalyRules.CheckCardInManyStores(
+            transactions, ImportBatchId, Rule(AlertRuleType.CardInManyStores, 3m, 60));
+
+        // Assert
+        Assert.Empty(alerts);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static AlertRule Rule(AlertRuleType type, decimal threshold, int window)
+    {
+        return new AlertRule { Type = type, IsEnabled = true, Threshold = threshold, Window = window };
+    }
+
+    private static StoreDailyTotal DailyTotal(string storeName, DateTime date, decimal income)
+    {
+        return new StoreDailyTotal { StoreName = storeName, Date = date, TransactionCount = 1, TotalIncome = income };
+    }
+
+    private static Transaction CreateTransaction(int id, string storeName, decimal amount, DateTime date, TimeSpan time)
+    {
+        return new Transaction
+        {
+            Id = id,
+            Type = TransactionType.Debit,
+            Date = date,
+            Time = time,
+            Amount = amount,
+            Cpf = "09620676017",
+            CardNumber = "4753****3153",
+            StoreOwner = "JOÃO MACEDO",
+            StoreName = storeName,
+            ImportBatchId = ImportBatchId
+        };
+    }
+
+    #endregion
+}
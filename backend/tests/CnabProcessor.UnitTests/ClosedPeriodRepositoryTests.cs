@@ -0,0 +1,236 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/ClosedPeriodRepositoryTests.cs
+// Purpose: Unit tests for ClosedPeriod Repository and reconciliation
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Repositories;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for ClosedPeriodRepository and ReconciliationResult.
+/// Uses in-memory database for isolation.
+/// </summary>
+public class ClosedPeriodRepositoryTests : IDisposable
+{
+    private readonly CnabDbContext _context;
+    private readonly ClosedPeriodRepository _repository;
+
+    public ClosedPeriodRepositoryTests()
+    {
+        var options = new DbContextOptionsBuilder<CnabDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new CnabDbContext(options);
+        _repository = new ClosedPeriodRepository(_context, new Mock<ILogger<ClosedPeriodRepository>>().Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Closed Period Tests
+
+    [Fact]
+    public async Task AddAsync_AssignsIdAndPersists()
+    {
+        // Arrange
+        var period = CreatePeriod(new DateTime(2019, 3, 1), new DateTime(2019, 3, 31));
+
+        // Act
+        await _repository.AddAsync(period);
+
+        // Assert
+        Assert.True(period.Id > 0);
+        Assert.Equal(1, await _context.ClosedPeriods.CountAsync());
+    }
+
+    [Fact]
+    public async Task GetAllAsync_ReturnsOldestFirst()
+    {
+        // Arrange
+        await _repository.AddAsync(CreatePeriod(new DateTime(2019, 4, 1), new DateTime(2019, 4, 30)));
+        await _repository.AddAsync(CreatePeriod(new DateTime(2019, 3, 1), new DateTime(2019, 3, 31)));
+
+        // Act
+        var result = (await _repository.GetAllAsync()).ToList();
+
+        // Assert
+        Assert.Equal(new[] { 3, 4 }, result.Select(p => p.StartDate.Month));
+    }
+
+    [Fact]
+    public async Task GetWithTransactionsAsync_ReturnsOnlyPeriodsWithTransactions()
+    {
+        // Arrange
+        var march = CreatePeriod(new DateTime(2019, 3, 1), new DateTime(2019, 3, 31));
+        var april = CreatePeriod(new DateTime(2019, 4, 1), new DateTime(2019, 4, 30));
+        await _repository.AddAsync(march);
+        await _repository.AddAsync(april);
+        _context.Transactions.Add(CreateTransaction(new DateTime(2019, 3, 31)));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = (await _repository.GetWithTransactionsAsync()).ToList();
+
+        // Assert
+        Assert.Equal(march.Id, Assert.Single(result).Id);
+    }
+
+    [Fact]
+    public async Task GetWithTransactionsAsync_ForImport_IgnoresOtherImports()
+    {
+        // Arrange
+        await _repository.AddAsync(CreatePeriod(new DateTime(2019, 3, 1), new DateTime(2019, 3, 31)));
+        _context.Transactions.AddRange(
+            CreateTransaction(new DateTime(2019, 3, 15), importBatchId: 1),
+            CreateTransaction(new DateTime(2019, 4, 15), importBatchId: 2));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var lockedForFirst = await _repository.GetWithTransactionsAsync(importBatchId: 1);
+        var lockedForSecond = await _repository.GetWithTransactionsAsync(importBatchId: 2);
+
+        // Assert
+        Assert.Single(lockedForFirst);
+        Assert.Empty(lockedForSecond);
+    }
+
+    [Fact]
+    public async Task RemoveAsync_ReopensPeriod()
+    {
+        // Arrange
+        var period = CreatePeriod(new DateTime(2019, 3, 1), new DateTime(2019, 3, 31));
+        await _repository.AddAsync(period);
+
+        // Act
+        var removed = await _repository.RemoveAsync(period.Id);
+        var removedAgain = await _repository.RemoveAsync(period.Id);
+
+        // Assert
+        Assert.True(removed);
+        Assert.False(removedAgain);
+        Assert.Equal(0, await _context.ClosedPeriods.CountAsync());
+    }
+
+    [Fact]
+    public void ContainsAndOverlaps_AreInclusive()
+    {
+        // Arrange
+        var period = CreatePeriod(new DateTime(2019, 3, 1), new DateTime(2019, 3, 31));
+
+        // Act & Assert
+        Assert.True(period.Contains(new DateTime(2019, 3, 31, 23, 59, 0)));
+        Assert.False(period.Contains(new DateTime(2019, 4, 1)));
+        Assert.True(period.Overlaps(new DateTime(2019, 3, 31), new DateTime(2019, 4, 30)));
+        Assert.False(period.Overlaps(new DateTime(2019, 4, 1), new DateTime(2019, 4, 30)));
+    }
+
+    #endregion
+
+    #region Reconciliation Tests
+
+    [Fact]
+    public void Compare_AllExpectedTotalsEqual_IsMatch()
+    {
+        // Arrange
+        var expected = CreateExpected(income: 142m, expenses: 112m, balance: 30m, count: 2);
+        var actual = new StoreBalance { StoreName = "BAR DO JOÃO", TotalIncome = 142m, TotalExpenses = 112m, TotalBalance = 30m, TransactionCount = 2 };
+
+        // Act
+        var result = ReconciliationResult.Compare(expected, actual);
+
+        // Assert
+        Assert.True(result.IsMatch);
+    }
+
+    [Fact]
+    public void Compare_DifferentTotals_ListsOnlyTheComparedOnesThatDiffer()
+    {
+        // Arrange
+        var expected = CreateExpected(income: 142m, balance: 40m);
+        var actual = new StoreBalance { StoreName = "BAR DO JOÃO", TotalIncome = 142m, TotalExpenses = 112m, TotalBalance = 30m, TransactionCount = 2 };
+
+        // Act
+        var result = ReconciliationResult.Compare(expected, actual);
+
+        // Assert
+        Assert.False(result.IsMatch);
+        Assert.Equal(new[] { nameof(StoreBalance.TotalBalance) }, result.Mismatches);
+    }
+
+    [Fact]
+    public void Compare_StoreWithoutTransactions_ComparesAgainstZero()
+    {
+        // Arrange
+        var expected = CreateExpected(balance: 0m, count: 1);
+
+        // Act
+        var result = ReconciliationResult.Compare(expected, null);
+
+        // Assert
+        Assert.Equal(0, result.Actual.TransactionCount);
+        Assert.Equal(new[] { nameof(StoreBalance.TransactionCount) }, result.Mismatches);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static ClosedPeriod CreatePeriod(DateTime startDate, DateTime endDate)
+    {
+        return new ClosedPeriod
+        {
+            StartDate = startDate,
+            EndDate = endDate,
+            ClosedBy = "admin",
+            ClosedAt = DateTime.UtcNow
+        };
+    }
+
+    private static ExpectedStoreTotals CreateExpected(
+        decimal? income = null, decimal? expenses = null, decimal? balance = null, int? count = null)
+    {
+        return new ExpectedStoreTotals
+        {
+            StoreName = "BAR DO JOÃO",
+            StartDate = new DateTime(2019, 3, 1),
+            EndDate = new DateTime(2019, 3, 31),
+            TotalIncome = income,
+            TotalExpenses = expenses,
+            TotalBalance = balance,
+            TransactionCount = count
+        };
+    }
+
+    private static Transaction CreateTransaction(DateTime date, int? importBatchId = null)
+    {
+        return new Transaction
+        {
+            Type = TransactionType.Debit,
+            Date = date,
+            Amount = 142.00m,
+            Cpf = "09620676017",
+            CardNumber = "4753****3153",
+            Time = new TimeSpan(15, 34, 53),
+            StoreOwner = "JOÃO MACEDO",
+            StoreName = "BAR DO JOÃO",
+            ImportBatchId = importBatchId
+        };
+    }
+
+    #endregion
+}
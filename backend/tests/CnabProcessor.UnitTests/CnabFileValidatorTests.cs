@@ -255,6 +255,37 @@ public class CnabFileValidatorTests
         Assert.True(result.Warnings.Count > 0);
     }
 
+    [Fact]
+    public void Validate_UnknownLayout_ReturnsError()
+    {
+        // Arrange
+        var content = "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ";
+        var fileMock = CreateMockFile("data.txt", content, "text/plain");
+
+        // Act
+        var result = CnabFileValidator.Validate(fileMock.Object, "CNAB999");
+
+        // Assert
+        Assert.False(result.IsValid);
+        Assert.Contains("Unknown layout 'CNAB999'", result.GetErrorMessage());
+    }
+
+    [Theory]
+    [InlineData("Auto")]
+    [InlineData("cnab81")]
+    public void Validate_KnownLayout_Passes(string layout)
+    {
+        // Arrange
+        var content = "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ";
+        var fileMock = CreateMockFile("data.txt", content, "text/plain");
+
+        // Act
+        var result = CnabFileValidator.Validate(fileMock.Object, layout);
+
+        // Assert
+        Assert.True(result.IsValid);
+    }
+
     [Fact]
     public void Validate_OnlyWhitespace_ReturnsError()
     {
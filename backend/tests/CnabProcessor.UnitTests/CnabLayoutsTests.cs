@@ -0,0 +1,382 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/CnabLayoutsTests.cs
+// Purpose: Unit tests for the CNAB layouts (detection, CNAB 240 and CNAB 400 return files)
+// ========================================
+
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Layouts;
+using CnabProcessor.Domain.Services;
+using Microsoft.Extensions.Logging;
+using Moq;
+using System;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for CnabLayouts and the layouts, through CnabParserService.
+/// </summary>
+public class CnabLayoutsTests
+{
+    private const string Cnab81Line = "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ";
+    private const string Cpf = "09620676017";
+    private const string Company = "LOJA DO ZE LTDA";
+    private const string CompanyCnpj = "11222333000181";
+
+    private readonly CnabParserService _parser;
+
+    public CnabLayoutsTests()
+    {
+        _parser = new CnabParserService(new Mock<ILogger<CnabParserService>>().Object);
+    }
+
+    #region Detection Tests
+
+    [Fact]
+    public void Detect_Cnab240Header_ReturnsCnab240()
+    {
+        Assert.Equal("CNAB240", CnabLayouts.Detect(Cnab240FileHeader()).Name);
+    }
+
+    [Fact]
+    public void Detect_Cnab400Header_ReturnsCnab400()
+    {
+        Assert.Equal("CNAB400", CnabLayouts.Detect(Cnab400Header()).Name);
+    }
+
+    [Theory]
+    [InlineData(Cnab81Line)]
+    [InlineData("3201903010000014200096206760174753****3153141358JOÃO MACEDO   SUPERMERCADO MUITO GRANDE LTDA")]
+    [InlineData("")]
+    public void Detect_AnythingElse_FallsBackToCnab81(string firstLine)
+    {
+        Assert.Equal("CNAB81", CnabLayouts.Detect(firstLine).Name);
+    }
+
+    [Fact]
+    public void Find_IgnoresCaseAndReturnsNullForUnknownNames()
+    {
+        Assert.Equal("CNAB240", CnabLayouts.Find("cnab240")?.Name);
+        Assert.Null(CnabLayouts.Find("Auto"));
+        Assert.Null(CnabLayouts.Find(null));
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab81File_ReportsLayoutWithoutTrailer()
+    {
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(Cnab81Line));
+
+        // Assert
+        Assert.Equal("CNAB81", result.Layout);
+        Assert.Null(result.Header);
+        Assert.Null(result.TrailerValid);
+        var count = Assert.Single(result.RecordCounts);
+        Assert.Equal(CnabRecordKind.Detail, count.Kind);
+        Assert.Null(count.Segment);
+    }
+
+    #endregion
+
+    #region CNAB 240 Tests
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab240File_PairsSegmentsIntoSales()
+    {
+        // Arrange - one paid title and one entry confirmation (not imported)
+        var content = Cnab240File(
+            SegmentT(1, "06", 15000, Cpf), SegmentU(2, 14990),
+            SegmentT(3, "02", 5000, Cpf), SegmentU(4, 0));
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        Assert.Equal("CNAB240", result.Layout);
+        Assert.Equal(Company, result.Header?.CompanyName);
+        Assert.Equal(new DateTime(2025, 10, 15, 10, 15, 0), result.Header?.GeneratedAt);
+        Assert.Empty(result.RejectedLines);
+        Assert.Equal(2, result.LinesSkipped);
+
+        var transaction = Assert.Single(result.Transactions);
+        Assert.Equal(TransactionType.Sales, transaction.Type);
+        Assert.Equal(new DateTime(2025, 10, 14), transaction.Date);
+        Assert.Equal(TimeSpan.Zero, transaction.Time);
+        Assert.Equal(149.90m, transaction.Amount);
+        Assert.Equal(Cpf, transaction.Cpf);
+        Assert.Equal(string.Empty, transaction.CardNumber);
+        Assert.Equal(Company, transaction.StoreName);
+        Assert.Equal(Company, transaction.StoreOwner);
+
+        // No card number to check in this layout
+        Assert.Empty(result.Warnings);
+
+        Assert.True(result.TrailerValid);
+        Assert.Equal(5, result.TrailerChecks.Count);
+        Assert.Equal(2, result.RecordCounts.Single(c => c.Segment == "T").Count);
+        Assert.Equal(2, result.RecordCounts.Single(c => c.Segment == "U").Count);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab240TrailerTotalDiffers_FailsTheTrailerCheck()
+    {
+        // Arrange - the batch trailer declares R$ 200,00 for a single R$ 150,00 title
+        var content = Cnab240File(new[] { SegmentT(1, "06", 15000, Cpf), SegmentU(2, 15000) }, declaredTotal: 20000);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        Assert.False(result.TrailerValid);
+        var failed = Assert.Single(result.TrailerChecks, c => !c.IsValid);
+        Assert.Equal("TitleTotal", failed.Name);
+        Assert.Equal(1, failed.Batch);
+        Assert.Equal(200m, failed.Declared);
+        Assert.Equal(150m, failed.Computed);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab240WithoutFileTrailer_FailsTheTrailerCheck()
+    {
+        // Arrange - truncated after the batch trailer
+        var lines = Cnab240File(SegmentT(1, "06", 15000, Cpf), SegmentU(2, 15000)).Split('\n');
+        var content = string.Join('\n', lines.Take(lines.Length - 1));
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        Assert.False(result.TrailerFound);
+        Assert.False(result.TrailerValid);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab240SegmentTWithoutU_RejectsIt()
+    {
+        // Arrange
+        var content = Cnab240File(SegmentT(1, "06", 15000, Cpf), SegmentT(2, "06", 5000, Cpf), SegmentU(3, 5000));
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        var rejected = Assert.Single(result.RejectedLines);
+        Assert.Equal(3, rejected.LineNumber);
+        Assert.Contains("without its segment U", rejected.Reason);
+        Assert.Equal(50m, Assert.Single(result.Transactions).Amount);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab240CompanyPayer_RejectsTheSegmentTAndSkipsItsU()
+    {
+        // Arrange - a company payer, then a paid title of a person
+        var content = Cnab240File(
+            SegmentT(1, "06", 15000, "12345678000199", documentType: '2'), SegmentU(2, 15000),
+            SegmentT(3, "06", 5000, Cpf), SegmentU(4, 5000));
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert - one rejected line with the CNPJ reason, not a second one for the segment U
+        var rejected = Assert.Single(result.RejectedLines);
+        Assert.Equal(3, rejected.LineNumber);
+        Assert.Contains("CNPJ", rejected.Reason);
+        Assert.Equal(1, result.LinesSkipped);
+        Assert.Equal(50m, Assert.Single(result.Transactions).Amount);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_ChosenLayout_OverridesDetection()
+    {
+        // Arrange
+        var content = Cnab240File(SegmentT(1, "06", 15000, Cpf), SegmentU(2, 15000));
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content), null, CnabLayouts.Default);
+
+        // Assert
+        Assert.Equal("CNAB81", result.Layout);
+        Assert.Empty(result.Transactions);
+        Assert.Equal(result.LinesRead, result.LinesRejected);
+    }
+
+    #endregion
+
+    #region CNAB 400 Tests
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab400File_ImportsLiquidations()
+    {
+        // Arrange
+        var content = Cnab400File(
+            new[] { Cnab400Detail(2, "06", 10000, 9950, Cpf), Cnab400Detail(3, "02", 2500, 0, Cpf) },
+            declaredCount: 2, declaredTotal: 12500);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        Assert.Equal("CNAB400", result.Layout);
+        Assert.Equal("237", result.Header?.BankCode);
+        Assert.Equal(1, result.LinesSkipped);
+        Assert.True(result.TrailerValid);
+
+        var transaction = Assert.Single(result.Transactions);
+        Assert.Equal(TransactionType.Sales, transaction.Type);
+        Assert.Equal(new DateTime(2025, 10, 14), transaction.Date);
+        Assert.Equal(99.50m, transaction.Amount);
+        Assert.Equal(Cpf, transaction.Cpf);
+        Assert.Equal(Company, transaction.StoreName);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab400TitleCountDiffers_FailsTheTrailerCheck()
+    {
+        // Arrange
+        var content = Cnab400File(new[] { Cnab400Detail(2, "06", 10000, 10000, Cpf) }, declaredCount: 2, declaredTotal: 10000);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        Assert.False(result.TrailerValid);
+        Assert.Equal("TitleCount", Assert.Single(result.TrailerChecks, c => !c.IsValid).Name);
+        Assert.Single(result.Transactions);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab400CompanyWithCnpj_ReadsThePayerCpf()
+    {
+        // Arrange - positions 2-17 hold the company's own CNPJ, not the payer's
+        var detail = Cnab400Detail(2, "06", 10000, 10000, Cpf);
+        var content = Cnab400File(new[] { detail }, declaredCount: 1, declaredTotal: 10000);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        Assert.Equal("02" + CompanyCnpj, detail.Substring(1, 16));
+        Assert.Empty(result.RejectedLines);
+        Assert.Equal(Cpf, Assert.Single(result.Transactions).Cpf);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_Cnab400PayerWithCnpj_RejectsTheLine()
+    {
+        // Arrange
+        var content = Cnab400File(
+            new[] { Cnab400Detail(2, "06", 10000, 10000, "99888777000166", payerType: "02") },
+            declaredCount: 1, declaredTotal: 10000);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(CreateStream(content));
+
+        // Assert
+        Assert.Empty(result.Transactions);
+        var rejected = Assert.Single(result.RejectedLines);
+        Assert.Equal(2, rejected.LineNumber);
+        Assert.Contains("CNPJ", rejected.Reason);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static Stream CreateStream(string content)
+    {
+        return new MemoryStream(Encoding.UTF8.GetBytes(content));
+    }
+
+    /// <summary>
+    /// Builds a fixed-width record from fields at 1-based positions; the rest is blank.
+    /// </summary>
+    private static string Record(int length, params (int Start, string Value)[] fields)
+    {
+        var record = new StringBuilder(new string(' ', length));
+
+        foreach (var (start, value) in fields)
+        {
+            for (var i = 0; i < value.Length; i++)
+            {
+                record[start - 1 + i] = value[i];
+            }
+        }
+
+        return record.ToString();
+    }
+
+    private static string Digits(long value, int length) => value.ToString().PadLeft(length, '0');
+
+    private static string Cnab240FileHeader()
+    {
+        return Record(240, (1, "341"), (4, "0000"), (8, "0"), (73, Company), (103, "BANCO ITAU SA"),
+            (143, "2"), (144, "15102025"), (152, "101500"));
+    }
+
+    private static string SegmentT(int sequence, string movement, long valueCents, string document, char documentType = '1')
+    {
+        return Record(240, (1, "341"), (4, "0001"), (8, "3"), (9, Digits(sequence, 5)), (14, "T"), (16, movement),
+            (82, Digits(valueCents, 15)), (133, documentType.ToString()), (134, document.PadLeft(15, '0')),
+            (149, "MARIA SILVA"));
+    }
+
+    private static string SegmentU(int sequence, long paidCents)
+    {
+        return Record(240, (1, "341"), (4, "0001"), (8, "3"), (9, Digits(sequence, 5)), (14, "U"), (16, "06"),
+            (78, Digits(paidCents, 15)), (138, "14102025"), (146, "15102025"));
+    }
+
+    private static string Cnab240File(params string[] details) => Cnab240File(details, null);
+
+    /// <summary>
+    /// One batch with the given details; the trailers declare what was built unless
+    /// <paramref name="declaredTotal"/> (in cents) says otherwise.
+    /// </summary>
+    private static string Cnab240File(string[] details, long? declaredTotal)
+    {
+        var titles = details.Where(d => d[13] == 'T').ToList();
+        var total = declaredTotal ?? titles.Sum(t => long.Parse(t.Substring(81, 15)));
+
+        var lines = new[] { Cnab240FileHeader(), Record(240, (1, "341"), (4, "0001"), (8, "1"), (9, "T"), (74, Company)) }
+            .Concat(details)
+            .Append(Record(240, (1, "341"), (4, "0001"), (8, "5"), (18, Digits(details.Length + 2, 6)),
+                (24, Digits(titles.Count, 6)), (30, Digits(total, 17))))
+            .Append(Record(240, (1, "341"), (4, "9999"), (8, "9"), (18, Digits(1, 6)), (24, Digits(details.Length + 4, 6))));
+
+        return string.Join('\n', lines);
+    }
+
+    private static string Cnab400Header()
+    {
+        return Record(400, (1, "02RETORNO01COBRANCA"), (47, Company), (77, "237"), (80, "BRADESCO"),
+            (95, "151025"), (395, "000001"));
+    }
+
+    /// <summary>
+    /// Detail of a company registered with a CNPJ (positions 2-17), paid by <paramref name="payerDocument"/>.
+    /// </summary>
+    private static string Cnab400Detail(
+        int sequence, string occurrence, long valueCents, long paidCents, string payerDocument, string payerType = "01")
+    {
+        return Record(400, (1, "1"), (2, "02"), (4, CompanyCnpj.PadLeft(14, '0')), (38, Digits(sequence, 25)),
+            (109, occurrence), (111, "141025"), (117, Digits(sequence, 10)), (147, "201025"),
+            (153, Digits(valueCents, 13)), (166, "237"), (219, payerType), (221, payerDocument.PadLeft(14, '0')),
+            (254, Digits(paidCents, 13)), (325, "MARIA SILVA"), (395, Digits(sequence, 6)));
+    }
+
+    private static string Cnab400File(string[] details, int declaredCount, long declaredTotal)
+    {
+        var lines = new[] { Cnab400Header() }
+            .Concat(details)
+            .Append(Record(400, (1, "9201237"), (18, Digits(declaredCount, 8)), (26, Digits(declaredTotal, 14)),
+                (395, Digits(details.Length + 2, 6))));
+
+        return string.Join('\n', lines);
+    }
+
+    #endregion
+}
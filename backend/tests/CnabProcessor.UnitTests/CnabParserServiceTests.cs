@@ -251,6 +251,118 @@ public class CnabParserServiceTests
 
     #endregion
 
+    #region ParseWithReportAsync Tests
+
+    [Fact]
+    public async Task ParseWithReportAsync_MixedLines_ReportsRejectedLinesWithReason()
+    {
+        // Arrange
+        var content = string.Join("\n", new[]
+        {
+            "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ",
+            "X201903010000013200556418150633648****0099153453MARIA SILVA   MERCEARIA 3 IRMÃOS",
+            "",
+            "2201913010000012200845152540736777****1313172712MARCOS PEREIRA LOJA DO Ó - MATRIZ"
+        });
+        var stream = CreateStream(content);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(stream);
+
+        // Assert
+        Assert.Equal(3, result.LinesRead);
+        Assert.Equal(1, result.LinesAccepted);
+        Assert.Equal(2, result.LinesRejected);
+
+        Assert.Equal(2, result.RejectedLines[0].LineNumber);
+        Assert.Contains("transaction type", result.RejectedLines[0].Reason);
+        Assert.StartsWith("X2019", result.RejectedLines[0].Content);
+
+        // Blank line 3 is skipped but still counted for line numbering
+        Assert.Equal(4, result.RejectedLines[1].LineNumber);
+        Assert.Contains("date", result.RejectedLines[1].Reason);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_ZeroAmount_RejectsAsInvalidTransaction()
+    {
+        // Arrange
+        var content = "3201903010000000000096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ";
+        var stream = CreateStream(content);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(stream);
+
+        // Assert
+        Assert.Empty(result.Transactions);
+        var rejected = Assert.Single(result.RejectedLines);
+        Assert.Contains("amount must be greater than zero", rejected.Reason);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_SuspiciousLines_AcceptsThemWithWarnings()
+    {
+        // Arrange - wrong CPF check digit on line 1, second owner for the same store on line 2
+        var content = string.Join("\n", new[]
+        {
+            "3201903010000014200096206760184753****3153141358JOÃO MACEDO   BAR DO JOÃO       ",
+            "1201903010000015200096206760174753****3153153453JOSÉ MACEDO   BAR DO JOÃO       ",
+            "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       "
+        });
+        var stream = CreateStream(content);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(stream);
+
+        // Assert
+        Assert.Equal(3, result.LinesAccepted);
+        Assert.Equal(2, result.LinesFlagged);
+        Assert.Equal(new[] { true, false, false }, result.Transactions.Select(t => t.HasInvalidCpf));
+
+        Assert.Equal(1, result.Warnings[0].LineNumber);
+        Assert.Equal(DataQualityRule.CpfChecksum, result.Warnings[0].Rule);
+        Assert.DoesNotContain("09620676018", result.Warnings[0].Message);
+
+        Assert.Equal(2, result.Warnings[1].LineNumber);
+        Assert.Equal(DataQualityRule.StoreOwnerMismatch, result.Warnings[1].Rule);
+        Assert.Equal("JOÃO MACEDO", result.Warnings[1].ExpectedValue);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_KnownStoreOwners_FlagsOwnersThatDiffer()
+    {
+        // Arrange
+        var content = "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ";
+        var stream = CreateStream(content);
+        var knownStoreOwners = new Dictionary<string, string> { ["bar do joão"] = "JOSÉ MACEDO" };
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(stream, knownStoreOwners);
+
+        // Assert
+        Assert.Single(result.Transactions);
+        var warning = Assert.Single(result.Warnings);
+        Assert.Equal(DataQualityRule.StoreOwnerMismatch, warning.Rule);
+        Assert.Equal("JOSÉ MACEDO", warning.ExpectedValue);
+    }
+
+    [Fact]
+    public async Task ParseWithReportAsync_SampleLine_HasNoWarnings()
+    {
+        // Arrange
+        var content = "3201903010000014200096206760174753****3153141358JOÃO MACEDO   BAR DO JOÃO       ";
+        var stream = CreateStream(content);
+
+        // Act
+        var result = await _parser.ParseWithReportAsync(stream);
+
+        // Assert
+        Assert.Empty(result.Warnings);
+        Assert.Equal(0, result.LinesFlagged);
+    }
+
+    #endregion
+
     #region Transaction Validation Tests
 
     [Fact]
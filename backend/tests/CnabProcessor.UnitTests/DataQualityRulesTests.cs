@@ -0,0 +1,276 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/DataQualityRulesTests.cs
+// Purpose: Unit tests for the data quality rules
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Domain.Services;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for DataQualityRules.
+/// </summary>
+public class DataQualityRulesTests
+{
+    private static readonly DateTime UtcNow = new(2024, 6, 15, 15, 0, 0, DateTimeKind.Utc);
+
+    #region CPF Tests
+
+    [Theory]
+    [InlineData("09620676017")]
+    [InlineData("55641815063")]
+    [InlineData("84515254073")]
+    public void IsValidCpf_ValidCheckDigits_ReturnsTrue(string cpf)
+    {
+        Assert.True(DataQualityRules.IsValidCpf(cpf));
+    }
+
+    [Theory]
+    [InlineData("09620676018")]
+    [InlineData("09620676027")]
+    [InlineData("11111111111")]
+    [InlineData("0962067601")]
+    [InlineData("096206760170")]
+    [InlineData("")]
+    [InlineData(null)]
+    public void IsValidCpf_InvalidValues_ReturnsFalse(string? cpf)
+    {
+        Assert.False(DataQualityRules.IsValidCpf(cpf));
+    }
+
+    #endregion
+
+    #region Card Number Tests
+
+    [Theory]
+    [InlineData("4753****3153")]
+    [InlineData("475312343153")]
+    public void IsValidCardNumber_MaskedOrFull_ReturnsTrue(string cardNumber)
+    {
+        Assert.True(DataQualityRules.IsValidCardNumber(cardNumber));
+    }
+
+    [Theory]
+    [InlineData("****47533153")]
+    [InlineData("4753****315")]
+    [InlineData("4753-***3153")]
+    [InlineData("")]
+    public void IsValidCardNumber_Malformed_ReturnsFalse(string cardNumber)
+    {
+        Assert.False(DataQualityRules.IsValidCardNumber(cardNumber));
+    }
+
+    #endregion
+
+    #region Date and Time Tests
+
+    [Fact]
+    public void IsPlausibleDateTime_PastDate_ReturnsTrue()
+    {
+        Assert.True(DataQualityRules.IsPlausibleDateTime(new DateTime(2019, 3, 1), new TimeSpan(14, 13, 58), UtcNow));
+    }
+
+    [Fact]
+    public void IsPlausibleDateTime_BeforeEarliestDate_ReturnsFalse()
+    {
+        Assert.False(DataQualityRules.IsPlausibleDateTime(new DateTime(1999, 12, 31), TimeSpan.Zero, UtcNow));
+    }
+
+    [Fact]
+    public void IsPlausibleDateTime_LaterToday_ComparesInUtcMinusThree()
+    {
+        // 15:00 UTC is 12:00 in UTC-3
+        Assert.True(DataQualityRules.IsPlausibleDateTime(UtcNow.Date, new TimeSpan(11, 59, 0), UtcNow));
+        Assert.False(DataQualityRules.IsPlausibleDateTime(UtcNow.Date, new TimeSpan(12, 1, 0), UtcNow));
+    }
+
+    #endregion
+
+    #region Check Tests
+
+    [Fact]
+    public void Check_ValidTransaction_ReturnsNoIssues()
+    {
+        // Arrange
+        var transaction = CreateTransaction();
+        var knownStoreOwners = new Dictionary<string, string> { ["BAR DO JOÃO"] = "JOÃO MACEDO" };
+
+        // Act
+        var issues = DataQualityRules.Check(transaction, knownStoreOwners, UtcNow);
+
+        // Assert
+        Assert.Empty(issues);
+    }
+
+    [Fact]
+    public void Check_EveryRuleBroken_ReturnsOneIssuePerRuleWithMaskedValues()
+    {
+        // Arrange
+        var transaction = CreateTransaction(cpf: "09620676018", card: "47531234315", date: new DateTime(2030, 1, 1));
+        var knownStoreOwners = new Dictionary<string, string> { ["BAR DO JOÃO"] = "JOSÉ MACEDO" };
+
+        // Act
+        var issues = DataQualityRules.Check(transaction, knownStoreOwners, UtcNow);
+
+        // Assert
+        Assert.Equal(
+            new[]
+            {
+                DataQualityRule.CpfChecksum,
+                DataQualityRule.CardNumberFormat,
+                DataQualityRule.ImplausibleDateTime,
+                DataQualityRule.StoreOwnerMismatch
+            },
+            issues.Select(i => i.Rule));
+        Assert.Contains("096.***.***-18", issues[0].Message);
+        Assert.DoesNotContain("47531234315", issues[1].Message);
+        Assert.Equal("JOSÉ MACEDO", issues[3].ExpectedValue);
+    }
+
+    [Fact]
+    public void Check_StoreUnknown_DoesNotCheckOwner()
+    {
+        // Arrange
+        var transaction = CreateTransaction();
+        var knownStoreOwners = new Dictionary<string, string> { ["MERCEARIA 3 IRMÃOS"] = "MARIA SILVA" };
+
+        // Act
+        var issues = DataQualityRules.Check(transaction, knownStoreOwners, UtcNow);
+
+        // Assert
+        Assert.Empty(issues);
+    }
+
+    [Fact]
+    public void Check_ManualEntryWithoutCpfOrCard_ReturnsNoIssues()
+    {
+        // Arrange
+        var transaction = CreateTransaction(cpf: string.Empty, card: string.Empty);
+        transaction.IsAdjustment = true;
+
+        // Act
+        var issues = DataQualityRules.Check(transaction, new Dictionary<string, string>(), UtcNow);
+
+        // Assert
+        Assert.Empty(issues);
+    }
+
+    [Fact]
+    public void Check_ImportedWithoutCpf_ReturnsCpfIssue()
+    {
+        // Arrange
+        var transaction = CreateTransaction(cpf: string.Empty);
+
+        // Act
+        var issues = DataQualityRules.Check(transaction, new Dictionary<string, string>(), UtcNow);
+
+        // Assert
+        Assert.Equal(DataQualityRule.CpfChecksum, Assert.Single(issues).Rule);
+    }
+
+    [Fact]
+    public void Check_LayoutWithoutCardNumbers_DoesNotFlagMissingCard()
+    {
+        // Arrange - collections read from a CNAB 240 return file
+        var transaction = CreateTransaction(card: "");
+
+        // Act
+        var issues = DataQualityRules.Check(
+            transaction, new Dictionary<string, string>(), UtcNow, requireCardNumber: false);
+
+        // Assert
+        Assert.Empty(issues);
+    }
+
+    #endregion
+
+    #region Stamp and Describe Tests
+
+    [Fact]
+    public void Stamp_FlagsInvalidCpfAndCardNumber()
+    {
+        // Arrange
+        var transaction = CreateTransaction(cpf: "09620676018", card: "4753-3153");
+
+        // Act
+        DataQualityRules.Stamp(transaction);
+
+        // Assert
+        Assert.True(transaction.HasInvalidCpf);
+        Assert.True(transaction.HasInvalidCardNumber);
+    }
+
+    [Fact]
+    public void Stamp_LayoutWithoutCardNumbers_DoesNotFlagMissingCard()
+    {
+        // Arrange
+        var transaction = CreateTransaction(card: "");
+
+        // Act
+        DataQualityRules.Stamp(transaction, requireCardNumber: false);
+
+        // Assert
+        Assert.False(transaction.HasInvalidCpf);
+        Assert.False(transaction.HasInvalidCardNumber);
+    }
+
+    [Fact]
+    public void Describe_StoreOwnerMismatch_ExpectsTheKnownOwner()
+    {
+        // Arrange
+        var transaction = CreateTransaction(owner: "JOSÉ MACEDO");
+
+        // Act
+        var issue = DataQualityRules.Describe(DataQualityRule.StoreOwnerMismatch, transaction, "JOÃO MACEDO");
+
+        // Assert
+        Assert.Equal(DataQualityRule.StoreOwnerMismatch, issue.Rule);
+        Assert.Equal("JOÃO MACEDO", issue.ExpectedValue);
+        Assert.Contains("JOSÉ MACEDO", issue.Message);
+    }
+
+    [Fact]
+    public void Describe_CpfChecksum_MasksTheCpf()
+    {
+        // Act
+        var issue = DataQualityRules.Describe(DataQualityRule.CpfChecksum, CreateTransaction(cpf: "09620676018"));
+
+        // Assert
+        Assert.Null(issue.ExpectedValue);
+        Assert.DoesNotContain("09620676018", issue.Message);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static Transaction CreateTransaction(
+        int id = 1,
+        string cpf = "09620676017",
+        string card = "4753****3153",
+        DateTime? date = null,
+        string owner = "JOÃO MACEDO")
+    {
+        return new Transaction
+        {
+            Id = id,
+            Type = TransactionType.Financing,
+            Date = date ?? new DateTime(2019, 3, 1),
+            Time = new TimeSpan(14, 13, 58),
+            Amount = 142.00m,
+            Cpf = cpf,
+            CardNumber = card,
+            StoreOwner = owner,
+            StoreName = "BAR DO JOÃO",
+            CreatedAt = DateTime.UtcNow
+        };
+    }
+
+    #endregion
+}
@@ -0,0 +1,263 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/ImportBatchRepositoryTests.cs
+// Purpose: Unit tests for ImportBatch Repository
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Repositories;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for ImportBatchRepository.
+/// Uses in-memory database for isolation.
+/// </summary>
+public class ImportBatchRepositoryTests : IDisposable
+{
+    private readonly CnabDbContext _context;
+    private readonly ImportBatchRepository _repository;
+
+    public ImportBatchRepositoryTests()
+    {
+        var options = new DbContextOptionsBuilder<CnabDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new CnabDbContext(options);
+        _repository = new ImportBatchRepository(_context, new Mock<ILogger<ImportBatchRepository>>().Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    [Fact]
+    public async Task AddAsync_AssignsIdAndPersists()
+    {
+        // Arrange
+        var batch = CreateBatch("abc123");
+
+        // Act
+        await _repository.AddAsync(batch);
+
+        // Assert
+        Assert.True(batch.Id > 0);
+        Assert.Equal(1, await _context.ImportBatches.CountAsync());
+    }
+
+    [Fact]
+    public async Task GetByFileHashAsync_ReturnsMostRecentImport()
+    {
+        // Arrange
+        var older = CreateBatch("samehash");
+        older.ImportedAt = DateTime.UtcNow.AddDays(-2);
+        var newer = CreateBatch("samehash");
+        await _repository.AddAsync(older);
+        await _repository.AddAsync(newer);
+        await _repository.AddAsync(CreateBatch("otherhash"));
+
+        // Act
+        var result = await _repository.GetByFileHashAsync("samehash");
+
+        // Assert
+        Assert.NotNull(result);
+        Assert.Equal(newer.Id, result.Id);
+    }
+
+    [Fact]
+    public async Task GetByFileHashAsync_UnknownHash_ReturnsNull()
+    {
+        // Act
+        var result = await _repository.GetByFileHashAsync("missing");
+
+        // Assert
+        Assert.Null(result);
+    }
+
+    [Fact]
+    public async Task GetExistingLineHashesAsync_ReturnsOnlyStoredHashes()
+    {
+        // Arrange
+        _context.Transactions.AddRange(
+            CreateTransaction("hash-1"),
+            CreateTransaction("hash-2"),
+            CreateTransaction(null));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _repository.GetExistingLineHashesAsync(new[] { "hash-1", "hash-3", "hash-2", "hash-1" });
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.Contains("hash-1", result);
+        Assert.Contains("hash-2", result);
+    }
+
+    [Fact]
+    public async Task RemoveAsync_DeletesBatch()
+    {
+        // Arrange
+        var batch = CreateBatch("abc123");
+        await _repository.AddAsync(batch);
+
+        // Act
+        await _repository.RemoveAsync(batch);
+
+        // Assert
+        Assert.False(await _context.ImportBatches.AnyAsync());
+    }
+
+    [Fact]
+    public async Task GetSummariesAsync_ComputesTotalsPerBatch()
+    {
+        // Arrange
+        var first = CreateBatch("hash-a");
+        first.ImportedAt = DateTime.UtcNow.AddHours(-1);
+        var second = CreateBatch("hash-b");
+        await _repository.AddAsync(first);
+        await _repository.AddAsync(second);
+
+        var income = CreateTransaction("l1", first.Id);
+        income.Type = TransactionType.Credit;
+        income.Amount = 100m;
+        var expense = CreateTransaction("l2", first.Id);
+        expense.Type = TransactionType.Boleto;
+        expense.Amount = 30m;
+        _context.Transactions.AddRange(income, expense, CreateTransaction("l3", second.Id));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = (await _repository.GetSummariesAsync()).ToList();
+
+        // Assert - newest first
+        Assert.Equal(2, result.Count);
+        Assert.Equal(second.Id, result[0].Batch.Id);
+
+        var firstSummary = result[1];
+        Assert.Equal(2, firstSummary.TransactionCount);
+        Assert.Equal(100m, firstSummary.TotalIncome);
+        Assert.Equal(30m, firstSummary.TotalExpenses);
+        Assert.Equal(70m, firstSummary.NetAmount);
+    }
+
+    [Fact]
+    public async Task GetStoreNamesAsync_ReturnsDistinctStoresOfThatBatch()
+    {
+        // Arrange
+        var batch = CreateBatch("hash-a");
+        var other = CreateBatch("hash-b");
+        await _repository.AddAsync(batch);
+        await _repository.AddAsync(other);
+        var mercearia = CreateTransaction("l2", batch.Id);
+        mercearia.StoreName = "MERCEARIA 3 IRMÃOS";
+        var loja = CreateTransaction("l4", other.Id);
+        loja.StoreName = "LOJA DO Ó - MATRIZ";
+        _context.Transactions.AddRange(
+            CreateTransaction("l1", batch.Id),
+            mercearia,
+            CreateTransaction("l3", batch.Id),
+            loja);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var storeNames = await _repository.GetStoreNamesAsync(batch.Id);
+
+        // Assert
+        Assert.Equal(new[] { "BAR DO JOÃO", "MERCEARIA 3 IRMÃOS" }, storeNames);
+    }
+
+    [Fact]
+    public async Task DeleteWithTransactionsAsync_DeletesOnlyThatBatch()
+    {
+        // Arrange
+        var rolledBack = CreateBatch("hash-a");
+        var kept = CreateBatch("hash-b");
+        await _repository.AddAsync(rolledBack);
+        await _repository.AddAsync(kept);
+        _context.Transactions.AddRange(
+            CreateTransaction("l1", rolledBack.Id),
+            CreateTransaction("l2", rolledBack.Id),
+            CreateTransaction("l3", kept.Id));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var deleted = await _repository.DeleteWithTransactionsAsync(rolledBack.Id);
+
+        // Assert
+        Assert.Equal(2, deleted);
+        Assert.Equal(1, await _context.Transactions.CountAsync());
+        Assert.Equal(kept.Id, (await _context.ImportBatches.SingleAsync()).Id);
+    }
+
+    [Fact]
+    public async Task DeleteWithTransactionsAsync_AlsoDeletesReversalsOfItsTransactions()
+    {
+        // Arrange
+        var batch = CreateBatch("hash-a");
+        await _repository.AddAsync(batch);
+        var original = CreateTransaction("l1", batch.Id);
+        _context.Transactions.Add(original);
+        await _context.SaveChangesAsync();
+        _context.Transactions.Add(original.CreateReversal(new DateTime(2019, 4, 1)));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var deleted = await _repository.DeleteWithTransactionsAsync(batch.Id);
+
+        // Assert
+        Assert.Equal(2, deleted);
+        Assert.False(await _context.Transactions.AnyAsync());
+    }
+
+    [Fact]
+    public async Task DeleteWithTransactionsAsync_UnknownBatch_ThrowsKeyNotFoundException()
+    {
+        // Act & Assert
+        await Assert.ThrowsAsync<KeyNotFoundException>(() => _repository.DeleteWithTransactionsAsync(999));
+    }
+
+    #region Helper Methods
+
+    private static ImportBatch CreateBatch(string fileHash)
+    {
+        return new ImportBatch
+        {
+            FileName = "CNAB.txt",
+            FileHash = fileHash,
+            UploadedBy = "admin",
+            ImportedAt = DateTime.UtcNow,
+            TransactionCount = 1
+        };
+    }
+
+    private static Transaction CreateTransaction(string? lineHash, int? importBatchId = null)
+    {
+        return new Transaction
+        {
+            Type = TransactionType.Debit,
+            Date = new DateTime(2019, 3, 1),
+            Amount = 142.00m,
+            Cpf = "09620676017",
+            CardNumber = "4753****3153",
+            Time = new TimeSpan(15, 34, 53),
+            StoreOwner = "JOÃO MACEDO",
+            StoreName = "BAR DO JOÃO",
+            LineHash = lineHash,
+            ImportBatchId = importBatchId
+        };
+    }
+
+    #endregion
+}
@@ -0,0 +1,180 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/ImportJobQueueTests.cs
+// Purpose: Unit tests for background import jobs: order, progress and cancellation
+// ========================================
+
+using CnabProcessor.Api.Models;
+using CnabProcessor.Api.Services;
+using CnabProcessor.Api.ViewModels;
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for ImportJobQueue and ImportJob.
+/// </summary>
+public class ImportJobQueueTests
+{
+    [Fact]
+    public async Task Enqueue_HandsJobsOutInUploadOrder()
+    {
+        // Arrange
+        var queue = new ImportJobQueue();
+        var first = queue.Enqueue(CreateRequest("first.txt"));
+        var second = queue.Enqueue(CreateRequest("second.txt"));
+
+        // Act
+        using var timeout = new CancellationTokenSource(TimeSpan.FromSeconds(5));
+        var dequeuedFirst = await queue.DequeueAsync(timeout.Token);
+        var dequeuedSecond = await queue.DequeueAsync(timeout.Token);
+
+        // Assert
+        Assert.Same(first, dequeuedFirst);
+        Assert.Same(second, dequeuedSecond);
+        Assert.Equal(nameof(ImportPhase.Queued), first.ToViewModel().Phase);
+        Assert.Equal(2, queue.GetAll().Count);
+    }
+
+    [Fact]
+    public void Report_Inserting_ComputesProgressFromInsertedCount()
+    {
+        // Arrange
+        var job = new ImportJob(CreateRequest());
+        job.Start();
+
+        // Act
+        job.Report(new CnabImportProgress(ImportPhase.Inserting, 1, 4, 5000, 20000));
+        var status = job.ToViewModel();
+
+        // Assert
+        Assert.Equal(nameof(ImportPhase.Inserting), status.Phase);
+        Assert.Equal(55, status.PercentComplete);
+        Assert.Equal(1, status.BatchNumber);
+        Assert.Equal(4, status.BatchCount);
+        Assert.NotNull(status.EstimatedSecondsLeft);
+        Assert.False(status.IsFinished);
+    }
+
+    [Fact]
+    public void Complete_KeepsTheUploadResult()
+    {
+        // Arrange
+        var job = new ImportJob(CreateRequest());
+        job.Start();
+        var report = new UploadResponseViewModel { Success = true, TransactionCount = 3 };
+
+        // Act
+        job.Complete(new CnabImportOutcome(200, report));
+        var status = job.ToViewModel();
+
+        // Assert
+        Assert.True(status.IsFinished);
+        Assert.Equal(100, status.PercentComplete);
+        Assert.Equal(200, status.ResultStatusCode);
+        Assert.Same(report, status.Result);
+        Assert.Null(status.EstimatedSecondsLeft);
+    }
+
+    [Fact]
+    public void Cancel_QueuedJob_FinishesAtOnceAndNeverStarts()
+    {
+        // Arrange
+        var job = new ImportJob(CreateRequest());
+
+        // Act
+        var cancelled = job.Cancel();
+
+        // Assert
+        Assert.True(cancelled);
+        Assert.True(job.IsFinished);
+        Assert.True(job.CancellationToken.IsCancellationRequested);
+        Assert.Null(job.Start());
+        Assert.Equal(nameof(ImportPhase.Cancelled), job.ToViewModel().Phase);
+    }
+
+    [Fact]
+    public void Cancel_RunningJob_SignalsTheImport()
+    {
+        // Arrange
+        var job = new ImportJob(CreateRequest());
+        job.Start();
+        job.Report(new CnabImportProgress(ImportPhase.Parsing));
+
+        // Act
+        var cancelled = job.Cancel();
+
+        // Assert
+        Assert.True(cancelled);
+        Assert.True(job.CancellationToken.IsCancellationRequested);
+        // Finished only once the worker stops the import
+        Assert.False(job.IsFinished);
+    }
+
+    [Fact]
+    public void Cancel_StartedJob_SignalsTheImportInsteadOfDroppingIt()
+    {
+        // Arrange - the worker has the file but the import has not reported yet
+        var job = new ImportJob(CreateRequest());
+        Assert.NotNull(job.Start());
+
+        // Act
+        var cancelled = job.Cancel();
+
+        // Assert
+        Assert.True(cancelled);
+        Assert.True(job.CancellationToken.IsCancellationRequested);
+        Assert.False(job.IsFinished);
+    }
+
+    [Fact]
+    public void Cancel_InsertingJob_ReturnsFalseAndLetsItFinish()
+    {
+        // Arrange
+        var job = new ImportJob(CreateRequest());
+        job.Start();
+        job.Report(new CnabImportProgress(ImportPhase.Inserting, 1, 4, 5000, 20000));
+
+        // Act
+        var cancelled = job.Cancel();
+
+        // Assert - the transactions are being saved: the job reports its real outcome
+        Assert.False(cancelled);
+        Assert.False(job.CancellationToken.IsCancellationRequested);
+        job.Complete(new CnabImportOutcome(200, new UploadResponseViewModel { Success = true }));
+        Assert.Equal(nameof(ImportPhase.Completed), job.ToViewModel().Phase);
+    }
+
+    [Fact]
+    public void Cancel_FinishedJob_ReturnsFalse()
+    {
+        // Arrange
+        var job = new ImportJob(CreateRequest());
+        job.Start();
+        job.Complete(new CnabImportOutcome(200, new UploadResponseViewModel { Success = true }));
+
+        // Act
+        var cancelled = job.Cancel();
+
+        // Assert
+        Assert.False(cancelled);
+        Assert.False(job.CancellationToken.IsCancellationRequested);
+        Assert.Equal(nameof(ImportPhase.Completed), job.ToViewModel().Phase);
+    }
+
+    #region Helper Methods
+
+    private static CnabImportRequest CreateRequest(string fileName = "CNAB.txt")
+    {
+        return new CnabImportRequest
+        {
+            FileName = fileName,
+            Content = new byte[] { 1, 2, 3 },
+            UploadedBy = "admin"
+        };
+    }
+
+    #endregion
+}
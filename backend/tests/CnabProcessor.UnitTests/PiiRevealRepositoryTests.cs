@@ -0,0 +1,139 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/PiiRevealRepositoryTests.cs
+// Purpose: Unit tests for the PII reveal audit log and PII masking
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Extensions;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Repositories;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for PiiRevealRepository and PiiMaskingExtensions.
+/// Uses in-memory database for isolation.
+/// </summary>
+public class PiiRevealRepositoryTests : IDisposable
+{
+    private readonly CnabDbContext _context;
+    private readonly PiiRevealRepository _repository;
+
+    public PiiRevealRepositoryTests()
+    {
+        var options = new DbContextOptionsBuilder<CnabDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new CnabDbContext(options);
+        _repository = new PiiRevealRepository(_context, new Mock<ILogger<PiiRevealRepository>>().Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region Reveal Audit Tests
+
+    [Fact]
+    public async Task AddAsync_AssignsIdAndPersists()
+    {
+        // Arrange
+        var reveal = CreateReveal(transactionId: 7, new DateTime(2026, 10, 19, 12, 0, 0));
+
+        // Act
+        await _repository.AddAsync(reveal);
+
+        // Assert
+        Assert.True(reveal.Id > 0);
+        var stored = await _context.PiiReveals.SingleAsync();
+        Assert.Equal("admin", stored.RevealedBy);
+        Assert.Equal(7, stored.TransactionId);
+    }
+
+    [Fact]
+    public async Task GetLatestAsync_ReturnsNewestFirstUpToTake()
+    {
+        // Arrange
+        await _repository.AddAsync(CreateReveal(1, new DateTime(2026, 10, 19, 10, 0, 0)));
+        await _repository.AddAsync(CreateReveal(2, new DateTime(2026, 10, 19, 12, 0, 0)));
+        await _repository.AddAsync(CreateReveal(3, new DateTime(2026, 10, 19, 11, 0, 0)));
+
+        // Act
+        var result = (await _repository.GetLatestAsync(take: 2)).ToList();
+
+        // Assert
+        Assert.Equal(new[] { 2, 3 }, result.Select(r => r.TransactionId));
+    }
+
+    [Fact]
+    public async Task GetLatestAsync_ForTransaction_IgnoresOtherTransactions()
+    {
+        // Arrange
+        await _repository.AddAsync(CreateReveal(1, new DateTime(2026, 10, 19, 10, 0, 0)));
+        await _repository.AddAsync(CreateReveal(2, new DateTime(2026, 10, 19, 11, 0, 0)));
+        await _repository.AddAsync(CreateReveal(1, new DateTime(2026, 10, 19, 12, 0, 0)));
+
+        // Act
+        var result = (await _repository.GetLatestAsync(transactionId: 1)).ToList();
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.All(result, r => Assert.Equal(1, r.TransactionId));
+    }
+
+    #endregion
+
+    #region Masking Tests
+
+    [Fact]
+    public void MaskCpf_KeepsFirstThreeAndCheckDigits()
+    {
+        // Act & Assert
+        Assert.Equal("096.***.***-76", "09620676076".MaskCpf());
+    }
+
+    [Fact]
+    public void MaskCpf_UnexpectedLength_KeepsOnlyLastTwo()
+    {
+        // Act & Assert
+        Assert.Equal("*****12", "1234512".MaskCpf());
+        Assert.Equal("**", "12".MaskCpf());
+        Assert.Equal(string.Empty, ((string?)null).MaskCpf());
+    }
+
+    [Fact]
+    public void MaskCardNumber_KeepsOnlyLastFour()
+    {
+        // Act & Assert
+        Assert.Equal("********3153", "4753****3153".MaskCardNumber());
+        Assert.Equal("***", "123".MaskCardNumber());
+        Assert.Equal(string.Empty, string.Empty.MaskCardNumber());
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static PiiReveal CreateReveal(int transactionId, DateTime revealedAt)
+    {
+        return new PiiReveal
+        {
+            TransactionId = transactionId,
+            StoreName = "BAR DO JOÃO",
+            RevealedBy = "admin",
+            RevealedAt = revealedAt
+        };
+    }
+
+    #endregion
+}
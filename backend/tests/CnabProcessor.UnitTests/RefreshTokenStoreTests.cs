@@ -0,0 +1,104 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/RefreshTokenStoreTests.cs
+// Purpose: Unit tests for refresh token issuing, rotation and revocation
+// ========================================
+
+using CnabProcessor.Api.Services;
+using Microsoft.Extensions.Configuration;
+using System;
+using System.Collections.Generic;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for RefreshTokenStore.
+/// </summary>
+public class RefreshTokenStoreTests
+{
+    private static RefreshTokenStore CreateStore(string? expiryDays = null)
+    {
+        var settings = new Dictionary<string, string?>();
+        if (expiryDays != null)
+        {
+            settings["JwtSettings:RefreshTokenExpiryDays"] = expiryDays;
+        }
+
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(settings)
+            .Build();
+
+        return new RefreshTokenStore(configuration);
+    }
+
+    [Fact]
+    public void Issue_ReturnsDistinctTokensWithConfiguredExpiry()
+    {
+        // Arrange
+        var store = CreateStore("3");
+
+        // Act
+        var (first, expiresAt) = store.Issue("admin");
+        var (second, _) = store.Issue("admin");
+
+        // Assert
+        Assert.NotEqual(first, second);
+        Assert.InRange(expiresAt, DateTime.UtcNow.AddDays(3).AddMinutes(-1), DateTime.UtcNow.AddDays(3));
+    }
+
+    [Fact]
+    public void Issue_WithoutConfiguration_ExpiresInSevenDays()
+    {
+        // Arrange
+        var store = CreateStore();
+
+        // Act
+        var (_, expiresAt) = store.Issue("admin");
+
+        // Assert
+        Assert.InRange(expiresAt, DateTime.UtcNow.AddDays(7).AddMinutes(-1), DateTime.UtcNow.AddDays(7));
+    }
+
+    [Fact]
+    public void Redeem_ValidToken_ReturnsUsernameOnlyOnce()
+    {
+        // Arrange
+        var store = CreateStore();
+        var (token, _) = store.Issue("user");
+
+        // Act
+        var first = store.Redeem(token);
+        var second = store.Redeem(token);
+
+        // Assert
+        Assert.Equal("user", first);
+        Assert.Null(second);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("unknown-token")]
+    public void Redeem_UnknownToken_ReturnsNull(string token)
+    {
+        // Arrange
+        var store = CreateStore();
+        store.Issue("admin");
+
+        // Act & Assert
+        Assert.Null(store.Redeem(token));
+    }
+
+    [Fact]
+    public void Revoke_RemovesToken()
+    {
+        // Arrange
+        var store = CreateStore();
+        var (token, _) = store.Issue("admin");
+
+        // Act
+        store.Revoke(token);
+
+        // Assert
+        Assert.Null(store.Redeem(token));
+    }
+}
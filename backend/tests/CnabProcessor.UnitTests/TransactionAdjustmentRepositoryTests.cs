@@ -0,0 +1,213 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/TransactionAdjustmentRepositoryTests.cs
+// Purpose: Unit tests for manual adjustments and reversal entries
+// ========================================
+
+using CnabProcessor.Domain.Entities;
+using CnabProcessor.Domain.Enums;
+using CnabProcessor.Infrastructure.Data;
+using CnabProcessor.Infrastructure.Repositories;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for TransactionAdjustmentRepository and Transaction.CreateReversal.
+/// Uses in-memory database for isolation.
+/// </summary>
+public class TransactionAdjustmentRepositoryTests : IDisposable
+{
+    private readonly CnabDbContext _context;
+    private readonly TransactionAdjustmentRepository _repository;
+
+    public TransactionAdjustmentRepositoryTests()
+    {
+        var options = new DbContextOptionsBuilder<CnabDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new CnabDbContext(options);
+        _repository = new TransactionAdjustmentRepository(
+            _context, new Mock<ILogger<TransactionAdjustmentRepository>>().Object);
+    }
+
+    public void Dispose()
+    {
+        _context.Database.EnsureDeleted();
+        _context.Dispose();
+    }
+
+    #region AddAsync Tests
+
+    [Fact]
+    public async Task AddAsync_SavesEntryAndAuditRecordTogether()
+    {
+        // Arrange
+        var adjustment = CreateAdjustment("BAR DO JOÃO", new DateTime(2026, 10, 19, 12, 0, 0));
+
+        // Act
+        await _repository.AddAsync(adjustment);
+
+        // Assert
+        var entry = await _context.Transactions.SingleAsync();
+        var stored = await _context.TransactionAdjustments.SingleAsync();
+        Assert.True(entry.IsAdjustment);
+        Assert.Equal(entry.Id, stored.TransactionId);
+        Assert.Equal("admin", stored.CreatedBy);
+        Assert.Equal("Bank correction", stored.Reason);
+    }
+
+    [Fact]
+    public async Task AddAsync_WithoutEntry_ThrowsArgumentException()
+    {
+        // Arrange
+        var adjustment = CreateAdjustment("BAR DO JOÃO", DateTime.UtcNow);
+        adjustment.Transaction = null;
+
+        // Act & Assert
+        await Assert.ThrowsAsync<ArgumentException>(() => _repository.AddAsync(adjustment));
+        Assert.False(await _context.TransactionAdjustments.AnyAsync());
+    }
+
+    [Fact]
+    public async Task AddAsync_Reversal_NetsTheTransactionToZero()
+    {
+        // Arrange
+        var original = CreateTransaction("BAR DO JOÃO", TransactionType.Financing, 142.00m);
+        await _context.Transactions.AddAsync(original);
+        await _context.SaveChangesAsync();
+
+        var reversal = original.CreateReversal(new DateTime(2019, 4, 1));
+
+        // Act
+        await _repository.AddAsync(new TransactionAdjustment
+        {
+            Kind = AdjustmentKind.Reversal,
+            Transaction = reversal,
+            ReversedTransactionId = original.Id,
+            StoreName = reversal.StoreName,
+            StoreOwner = reversal.StoreOwner,
+            Type = reversal.Type,
+            Amount = reversal.Amount,
+            Date = reversal.Date,
+            Reason = "Duplicated by the bank",
+            CreatedBy = "admin",
+            CreatedAt = DateTime.UtcNow
+        });
+
+        // Assert
+        var transactions = await _context.Transactions.ToListAsync();
+        Assert.Equal(2, transactions.Count);
+        Assert.Equal(0m, transactions.Sum(t => t.SignedAmount));
+        Assert.Equal(original.Id, reversal.ReversesTransactionId);
+        Assert.Equal(-142.00m, reversal.Amount);
+        Assert.Equal(original.Cpf, reversal.Cpf);
+    }
+
+    #endregion
+
+    #region Query Tests
+
+    [Fact]
+    public async Task GetLatestAsync_ForStore_ReturnsOnlyThatStoreNewestFirst()
+    {
+        // Arrange
+        await _repository.AddAsync(CreateAdjustment("BAR DO JOÃO", new DateTime(2026, 10, 19, 10, 0, 0)));
+        await _repository.AddAsync(CreateAdjustment("LOJA DO Ó", new DateTime(2026, 10, 19, 11, 0, 0)));
+        await _repository.AddAsync(CreateAdjustment("BAR DO JOÃO", new DateTime(2026, 10, 19, 12, 0, 0)));
+
+        // Act
+        var result = (await _repository.GetLatestAsync("BAR DO JOÃO")).ToList();
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.All(result, a => Assert.Equal("BAR DO JOÃO", a.StoreName));
+        Assert.Equal(12, result[0].CreatedAt.Hour);
+    }
+
+    [Fact]
+    public async Task GetLatestAsync_RespectsTake()
+    {
+        // Arrange
+        for (int i = 0; i < 3; i++)
+        {
+            await _repository.AddAsync(CreateAdjustment("BAR DO JOÃO", new DateTime(2026, 10, 19, 10 + i, 0, 0)));
+        }
+
+        // Act
+        var result = await _repository.GetLatestAsync(take: 2);
+
+        // Assert
+        Assert.Equal(2, result.Count());
+    }
+
+    [Fact]
+    public async Task GetStoreSummariesAsync_CountsAdjustmentsPerStore()
+    {
+        // Arrange
+        await _repository.AddAsync(CreateAdjustment("BAR DO JOÃO", new DateTime(2026, 10, 19, 10, 0, 0)));
+        await _repository.AddAsync(CreateAdjustment("BAR DO JOÃO", new DateTime(2026, 10, 19, 12, 0, 0)));
+        await _repository.AddAsync(CreateAdjustment("LOJA DO Ó", new DateTime(2026, 10, 19, 11, 0, 0)));
+
+        // Act
+        var result = (await _repository.GetStoreSummariesAsync()).ToDictionary(s => s.StoreName);
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.Equal(2, result["BAR DO JOÃO"].AdjustmentCount);
+        Assert.Equal(new DateTime(2026, 10, 19, 12, 0, 0), result["BAR DO JOÃO"].LastAdjustedAt);
+        Assert.Equal(1, result["LOJA DO Ó"].AdjustmentCount);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    /// <summary>
+    /// Creates a manual entry of 50.00 (type Sales) with its audit record.
+    /// </summary>
+    private static TransactionAdjustment CreateAdjustment(string storeName, DateTime createdAt)
+    {
+        var entry = CreateTransaction(storeName, TransactionType.Sales, 50.00m);
+        entry.IsAdjustment = true;
+        entry.Cpf = string.Empty;
+        entry.CardNumber = string.Empty;
+
+        return new TransactionAdjustment
+        {
+            Kind = AdjustmentKind.Entry,
+            Transaction = entry,
+            StoreName = entry.StoreName,
+            StoreOwner = entry.StoreOwner,
+            Type = entry.Type,
+            Amount = entry.Amount,
+            Date = entry.Date,
+            Reason = "Bank correction",
+            CreatedBy = "admin",
+            CreatedAt = createdAt
+        };
+    }
+
+    private static Transaction CreateTransaction(string storeName, TransactionType type, decimal amount)
+    {
+        return new Transaction
+        {
+            Type = type,
+            Date = new DateTime(2019, 3, 1),
+            Time = new TimeSpan(15, 34, 53),
+            Amount = amount,
+            Cpf = "09620676017",
+            CardNumber = "4753****3153",
+            StoreOwner = "JOÃO MACEDO",
+            StoreName = storeName
+        };
+    }
+
+    #endregion
+}
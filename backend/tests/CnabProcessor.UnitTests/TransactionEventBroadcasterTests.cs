@@ -0,0 +1,115 @@
+﻿// ========================================
+// File: CnabProcessor.UnitTests/TransactionEventBroadcasterTests.cs
+// Purpose: Unit tests for publishing transaction events to stream subscribers
+// ========================================
+
+using CnabProcessor.Api.Services;
+using CnabProcessor.Api.ViewModels;
+using System.Collections.Generic;
+using Xunit;
+
+namespace CnabProcessor.UnitTests;
+
+/// <summary>
+/// Unit tests for TransactionEventBroadcaster.
+/// </summary>
+public class TransactionEventBroadcasterTests
+{
+    [Fact]
+    public void Publish_DeliversEventToEverySubscriber()
+    {
+        // Arrange
+        var broadcaster = new TransactionEventBroadcaster();
+        using var first = broadcaster.Subscribe();
+        using var second = broadcaster.Subscribe();
+
+        // Act
+        broadcaster.Publish(CreateEvent(TransactionEventTypes.ImportCompleted, "BAR DO JOÃO"));
+
+        // Assert
+        Assert.True(first.Reader.TryRead(out var firstEvent));
+        Assert.True(second.Reader.TryRead(out var secondEvent));
+        Assert.Same(firstEvent, secondEvent);
+        Assert.Equal(new[] { "BAR DO JOÃO" }, firstEvent!.StoreNames);
+    }
+
+    [Fact]
+    public void Publish_AssignsIncreasingIdsAndTime()
+    {
+        // Arrange
+        var broadcaster = new TransactionEventBroadcaster();
+
+        // Act
+        var first = broadcaster.Publish(CreateEvent(TransactionEventTypes.ImportCompleted));
+        var second = broadcaster.Publish(CreateEvent(TransactionEventTypes.TransactionsDeleted));
+
+        // Assert
+        Assert.True(second.Id > first.Id);
+        Assert.InRange(first.OccurredAt, DateTime.UtcNow.AddMinutes(-1), DateTime.UtcNow);
+    }
+
+    [Fact]
+    public void Subscribe_OnlyReceivesEventsPublishedAfterwards()
+    {
+        // Arrange
+        var broadcaster = new TransactionEventBroadcaster();
+        broadcaster.Publish(CreateEvent(TransactionEventTypes.ImportCompleted));
+
+        // Act
+        using var subscription = broadcaster.Subscribe();
+
+        // Assert
+        Assert.False(subscription.Reader.TryRead(out _));
+    }
+
+    [Fact]
+    public void Dispose_Unsubscribes()
+    {
+        // Arrange
+        var broadcaster = new TransactionEventBroadcaster();
+        var subscription = broadcaster.Subscribe();
+
+        // Act
+        subscription.Dispose();
+        broadcaster.Publish(CreateEvent(TransactionEventTypes.ImportCompleted));
+
+        // Assert
+        Assert.Equal(0, broadcaster.SubscriberCount);
+        Assert.False(subscription.Reader.TryRead(out _));
+        Assert.True(subscription.Reader.Completion.IsCompleted);
+    }
+
+    [Fact]
+    public void Publish_WhenSubscriberStopsReading_DropsOldestEvents()
+    {
+        // Arrange
+        var broadcaster = new TransactionEventBroadcaster();
+        using var subscription = broadcaster.Subscribe();
+
+        // Act
+        for (var i = 0; i < 150; i++)
+        {
+            broadcaster.Publish(CreateEvent(TransactionEventTypes.ImportCompleted));
+        }
+
+        // Assert
+        Assert.Equal(100, subscription.Reader.Count);
+        Assert.True(subscription.Reader.TryRead(out var oldest));
+        Assert.Equal(51, oldest!.Id);
+    }
+
+    #region Helper Methods
+
+    private static TransactionEventViewModel CreateEvent(string type, params string[] storeNames)
+    {
+        return new TransactionEventViewModel
+        {
+            Type = type,
+            User = "admin",
+            TransactionCount = storeNames.Length,
+            StoreNames = new List<string>(storeNames)
+        };
+    }
+
+    #endregion
+}
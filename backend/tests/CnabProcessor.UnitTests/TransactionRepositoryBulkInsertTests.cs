@@ -151,6 +151,23 @@ public class TransactionRepositoryBulkInsertTests : IDisposable
         Assert.Equal(10000, count);
     }
 
+    [Fact]
+    public async Task BulkInsertAsync_WithProgress_ReportsEachBatch()
+    {
+        // Arrange
+        var transactions = CreateTransactions(2500);
+        var progress = new ProgressRecorder();
+
+        // Act
+        await _repository.BulkInsertAsync(transactions, batchSize: 1000, progress: progress);
+
+        // Assert
+        Assert.Equal(new[] { 1, 2, 3 }, progress.Reports.Select(r => r.BatchNumber));
+        Assert.All(progress.Reports, r => Assert.Equal(3, r.BatchCount));
+        Assert.Equal(new[] { 1000, 2000, 2500 }, progress.Reports.Select(r => r.InsertedCount));
+        Assert.All(progress.Reports, r => Assert.Equal(2500, r.TotalCount));
+    }
+
     #endregion
 
     #region BulkInsertAsync - Edge Cases
@@ -365,6 +382,16 @@ public class TransactionRepositoryBulkInsertTests : IDisposable
 
     #region Helper Methods
 
+    /// <summary>
+    /// Records reports synchronously (Progress&lt;T&gt; would post them to the thread pool).
+    /// </summary>
+    private sealed class ProgressRecorder : IProgress<BulkInsertProgress>
+    {
+        public List<BulkInsertProgress> Reports { get; } = new();
+
+        public void Report(BulkInsertProgress value) => Reports.Add(value);
+    }
+
     /// <summary>
     /// Creates a list of valid transactions for testing.
     /// </summary>
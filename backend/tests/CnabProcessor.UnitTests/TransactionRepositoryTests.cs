@@ -27,6 +27,9 @@ public class TransactionRepositoryTests : IDisposable
     private readonly TransactionRepository _repository;
     private readonly Mock<ILogger<TransactionRepository>> _loggerMock;
 
+    // 12:00 in the CNAB time zone (UTC-3)
+    private static readonly DateTime DataQualityUtcNow = new(2024, 6, 15, 15, 0, 0, DateTimeKind.Utc);
+
     public TransactionRepositoryTests()
     {
         // Create in-memory database for testing
@@ -154,6 +157,40 @@ public class TransactionRepositoryTests : IDisposable
 
     #endregion
 
+    #region GetReversalIdsAsync Tests
+
+    [Fact]
+    public async Task GetReversalIdsAsync_MapsReversedTransactionsToTheirReversal()
+    {
+        // Arrange
+        var reversed = CreateValidTransaction();
+        var kept = CreateValidTransaction();
+        await _context.Transactions.AddRangeAsync(reversed, kept);
+        await _context.SaveChangesAsync();
+        var reversal = reversed.CreateReversal(reversed.Date);
+        await _context.Transactions.AddAsync(reversal);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _repository.GetReversalIdsAsync(new[] { reversed.Id, kept.Id, reversal.Id });
+
+        // Assert
+        Assert.Single(result);
+        Assert.Equal(reversal.Id, result[reversed.Id]);
+    }
+
+    [Fact]
+    public async Task GetReversalIdsAsync_NoIds_ReturnsEmpty()
+    {
+        // Act
+        var result = await _repository.GetReversalIdsAsync(Array.Empty<int>());
+
+        // Assert
+        Assert.Empty(result);
+    }
+
+    #endregion
+
     #region GetAllAsync Tests
 
     [Fact]
@@ -307,6 +344,555 @@ public class TransactionRepositoryTests : IDisposable
 
     #endregion
 
+    #region GetStoreSummariesAsync Tests
+
+    [Fact]
+    public async Task GetStoreSummariesAsync_MatchesStoreBalancesWithoutTransactions()
+    {
+        // Arrange
+        var incomeTransaction = CreateValidTransaction("Store A");
+        incomeTransaction.Type = TransactionType.Credit; // Income
+        incomeTransaction.Amount = 100.00m;
+
+        var expenseTransaction = CreateValidTransaction("Store A");
+        expenseTransaction.Type = TransactionType.Boleto; // Expense
+        expenseTransaction.Amount = 30.00m;
+
+        await _context.Transactions.AddRangeAsync(incomeTransaction, expenseTransaction);
+        await _context.SaveChangesAsync();
+        await SeedTransactions(3, "Store B");
+
+        // Act
+        var result = (await _repository.GetStoreSummariesAsync()).ToList();
+
+        // Assert
+        Assert.Equal(new[] { "Store A", "Store B" }, result.Select(s => s.StoreName));
+
+        var storeA = result[0];
+        Assert.Equal(2, storeA.TransactionCount);
+        Assert.Equal(100.00m, storeA.TotalIncome);
+        Assert.Equal(30.00m, storeA.TotalExpenses);
+        Assert.Equal(70.00m, storeA.TotalBalance);
+        Assert.Empty(storeA.Transactions);
+
+        Assert.Equal(3, result[1].TransactionCount);
+    }
+
+    #endregion
+
+    #region GetPageAsync Tests
+
+    [Fact]
+    public async Task GetPageAsync_ReturnsRequestedPageAndTotalCount()
+    {
+        // Arrange
+        await SeedTransactions(25);
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery { PageNumber = 2, PageSize = 10 });
+
+        // Assert
+        Assert.Equal(2, page.PageNumber);
+        Assert.Equal(10, page.PageSize);
+        Assert.Equal(25, page.TotalCount);
+        Assert.Equal(10, page.Items.Count);
+    }
+
+    [Fact]
+    public async Task GetPageAsync_PageOutOfRange_ReturnsLastPage()
+    {
+        // Arrange
+        await SeedTransactions(25);
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery { PageNumber = 99, PageSize = 10 });
+
+        // Assert
+        Assert.Equal(3, page.PageNumber);
+        Assert.Equal(5, page.Items.Count);
+    }
+
+    [Fact]
+    public async Task GetPageAsync_FiltersByStore()
+    {
+        // Arrange
+        await SeedTransactions(4, "Store A");
+        await SeedTransactions(6, "Store B");
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery { StoreName = "Store A", PageSize = 100 });
+
+        // Assert
+        Assert.Equal(4, page.TotalCount);
+        Assert.All(page.Items, t => Assert.Equal("Store A", t.StoreName));
+    }
+
+    [Fact]
+    public async Task GetPageAsync_InvalidPageSize_UsesDefault()
+    {
+        // Arrange
+        await SeedTransactions(15);
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery { PageNumber = 0, PageSize = 0 });
+
+        // Assert
+        Assert.Equal(1, page.PageNumber);
+        Assert.Equal(TransactionQuery.DefaultPageSize, page.PageSize);
+        Assert.Equal(TransactionQuery.DefaultPageSize, page.Items.Count);
+    }
+
+    #endregion
+
+    #region Statistics Tests
+
+    [Fact]
+    public async Task GetDailyTotalsAsync_GroupsByDayWithNature()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+        var sameDay = CreateFilterTransaction(2, TransactionType.Sales, 40.00m, "09620676017", "4753****3153", "JOÃO MACEDO", "BAR DO JOÃO");
+        sameDay.Date = sameDay.Date.AddHours(15);
+        await _context.Transactions.AddAsync(sameDay);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = (await _repository.GetDailyTotalsAsync()).ToList();
+
+        // Assert
+        Assert.Equal(4, result.Count);
+        Assert.Equal(new DateTime(2019, 3, 1), result[0].Date);
+
+        var secondDay = result[1];
+        Assert.Equal(new DateTime(2019, 3, 2), secondDay.Date);
+        Assert.Equal(2, secondDay.TransactionCount);
+        Assert.Equal(40.00m, secondDay.TotalIncome);
+        Assert.Equal(112.00m, secondDay.TotalExpenses);
+        Assert.Equal(-72.00m, secondDay.NetAmount);
+    }
+
+    [Fact]
+    public async Task GetTypeTotalsAsync_ReturnsOnlyUsedTypesInOrder()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var result = (await _repository.GetTypeTotalsAsync()).ToList();
+
+        // Assert
+        Assert.Equal(
+            new[] { TransactionType.Debit, TransactionType.Boleto, TransactionType.Credit, TransactionType.Sales },
+            result.Select(t => t.Type));
+        Assert.Equal(TransactionNature.Expense, result[1].Nature);
+        Assert.Equal(112.00m, result[1].TotalAmount);
+    }
+
+    [Fact]
+    public async Task GetDailyTotalsAsync_EmptyDatabase_ReturnsEmpty()
+    {
+        // Act
+        var result = await _repository.GetDailyTotalsAsync();
+
+        // Assert
+        Assert.Empty(result);
+    }
+
+    #endregion
+
+    #region Store Detail Tests
+
+    [Fact]
+    public async Task GetDailyTotalsAsync_ForStore_ReturnsOnlyThatStore()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var result = (await _repository.GetDailyTotalsAsync("BAR DO JOÃO")).ToList();
+
+        // Assert
+        Assert.Equal(new[] { new DateTime(2019, 3, 1), new DateTime(2019, 3, 2) }, result.Select(d => d.Date));
+        Assert.Equal(142.00m, result[0].NetAmount);
+        Assert.Equal(-112.00m, result[1].NetAmount);
+    }
+
+    [Fact]
+    public async Task GetStoreCardsAsync_ReturnsDistinctCardsMostUsedFirst()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+        await _context.Transactions.AddAsync(
+            CreateFilterTransaction(5, TransactionType.Debit, 10.00m, "09620676017", "3648****0099", "JOÃO MACEDO", "BAR DO JOÃO"));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = (await _repository.GetStoreCardsAsync("BAR DO JOÃO")).ToList();
+
+        // Assert
+        Assert.Equal(new[] { "3648****0099", "4753****3153" }, result.Select(c => c.Value));
+        Assert.Equal(2, result[0].TransactionCount);
+        Assert.Equal(new DateTime(2019, 3, 2), result[0].FirstSeen);
+        Assert.Equal(new DateTime(2019, 3, 5), result[0].LastSeen);
+    }
+
+    [Fact]
+    public async Task GetStoreOwnersAsync_ReturnsDistinctOwners()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var result = (await _repository.GetStoreOwnersAsync("LOJA DO Ó")).ToList();
+
+        // Assert
+        var owner = Assert.Single(result);
+        Assert.Equal("MARIA JOSEFINA", owner.Value);
+        Assert.Equal(2, owner.TransactionCount);
+    }
+
+    [Fact]
+    public async Task GetKnownStoreOwnersAsync_PicksMostUsedOwnerPerStore()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+        await _context.Transactions.AddAsync(
+            CreateFilterTransaction(5, TransactionType.Debit, 10.00m, "09620676017", "4753****3153", "JOSÉ MACEDO", "BAR DO JOÃO"));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _repository.GetKnownStoreOwnersAsync();
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.Equal("JOÃO MACEDO", result["BAR DO JOÃO"]);
+        Assert.Equal("MARIA JOSEFINA", result["loja do ó"]);
+    }
+
+    [Fact]
+    public async Task GetPageAsync_WithRunningBalance_StartsFromEarlierPages()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            PageNumber = 2,
+            PageSize = 2,
+            SortDirection = SortDirection.Asc,
+            IncludeRunningBalance = true
+        });
+
+        // Assert - days 1 and 2 (+142, -112) come before this page
+        Assert.Equal(30.00m, page.OpeningBalance);
+        Assert.Equal(new[] { 55.00m, 555.00m }, page.GetRunningBalances());
+    }
+
+    [Fact]
+    public async Task GetPageAsync_WithRunningBalanceNewestFirst_AccumulatesInDateOrder()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            PageNumber = 1,
+            PageSize = 2,
+            SortDirection = SortDirection.Desc,
+            IncludeRunningBalance = true
+        });
+
+        // Assert - items are day 4 then day 3
+        Assert.Equal(30.00m, page.OpeningBalance);
+        Assert.Equal(new[] { 555.00m, 55.00m }, page.GetRunningBalances());
+    }
+
+    [Fact]
+    public async Task GetPageAsync_WithRunningBalanceSortedByAmount_ReturnsNoBalances()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            SortBy = TransactionSortField.Amount,
+            IncludeRunningBalance = true
+        });
+
+        // Assert
+        Assert.Null(page.OpeningBalance);
+        Assert.Null(page.GetRunningBalances());
+    }
+
+    #endregion
+
+    #region Data Quality Tests
+
+    [Fact]
+    public async Task GetDataQualitySummaryAsync_CountsEachRuleInTheDatabase()
+    {
+        // Arrange - a second owner at BAR DO JOÃO, and one transaction breaking two rules
+        await SeedDataQualityTransactions();
+
+        // Act
+        var summary = await _repository.GetDataQualitySummaryAsync(DataQualityUtcNow);
+
+        // Assert
+        Assert.Equal(6, summary.TransactionCount);
+        Assert.Equal(2, summary.FlaggedTransactionCount);
+        Assert.Equal(1, summary.RuleCounts[DataQualityRule.CpfChecksum]);
+        Assert.Equal(0, summary.RuleCounts[DataQualityRule.CardNumberFormat]);
+        Assert.Equal(1, summary.RuleCounts[DataQualityRule.ImplausibleDateTime]);
+        Assert.Equal(1, summary.RuleCounts[DataQualityRule.StoreOwnerMismatch]);
+    }
+
+    [Fact]
+    public async Task GetDataQualityPageAsync_StoreOwnerMismatch_ReturnsOtherOwnersOnly()
+    {
+        // Arrange
+        await SeedDataQualityTransactions();
+
+        // Act
+        var page = await _repository.GetDataQualityPageAsync(
+            DataQualityRule.StoreOwnerMismatch, DataQualityUtcNow, pageNumber: 1, pageSize: 10);
+
+        // Assert
+        var transaction = Assert.Single(page.Items);
+        Assert.Equal("JOSÉ MACEDO", transaction.StoreOwner);
+        Assert.Equal(1, page.TotalCount);
+    }
+
+    [Fact]
+    public async Task GetDataQualityPageAsync_FutureDateTime_IsImplausible()
+    {
+        // Arrange - 15:00 UTC is 12:00 in UTC-3, so 12:01 that day is still in the future
+        var future = CreateFilterTransaction(1, TransactionType.Debit, 10.00m, "09620676017", "4753****3153", "JOÃO MACEDO", "BAR DO JOÃO");
+        future.Date = DataQualityUtcNow.Date;
+        future.Time = new TimeSpan(12, 1, 0);
+        var now = CreateFilterTransaction(1, TransactionType.Debit, 10.00m, "09620676017", "4753****3153", "JOÃO MACEDO", "BAR DO JOÃO");
+        now.Date = DataQualityUtcNow.Date;
+        await _context.Transactions.AddRangeAsync(future, now);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var page = await _repository.GetDataQualityPageAsync(
+            DataQualityRule.ImplausibleDateTime, DataQualityUtcNow, pageNumber: 1, pageSize: 10);
+
+        // Assert
+        Assert.Equal(future.Id, Assert.Single(page.Items).Id);
+    }
+
+    [Fact]
+    public async Task GetDataQualityPageAsync_PageNumberPastTheEnd_ReturnsLastPageNewestFirst()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+        foreach (var transaction in _context.Transactions)
+        {
+            transaction.HasInvalidCardNumber = true;
+        }
+        await _context.SaveChangesAsync();
+
+        // Act
+        var page = await _repository.GetDataQualityPageAsync(
+            DataQualityRule.CardNumberFormat, DataQualityUtcNow, pageNumber: 5, pageSize: 3);
+
+        // Assert
+        Assert.Equal(2, page.PageNumber);
+        Assert.Equal(4, page.TotalCount);
+        Assert.Equal(new DateTime(2019, 3, 1), Assert.Single(page.Items).Date);
+    }
+
+    #endregion
+
+    #region Sort Tests
+
+    [Fact]
+    public async Task GetPageAsync_SortByAmountAscending_OrdersByAmount()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            SortBy = TransactionSortField.Amount,
+            SortDirection = SortDirection.Asc
+        });
+
+        // Assert
+        Assert.Equal(new[] { 25.00m, 112.00m, 142.00m, 500.00m }, page.Items.Select(t => t.Amount));
+    }
+
+    [Fact]
+    public async Task GetPageAsync_SortByNatureAscending_ListsIncomeFirst()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            SortBy = TransactionSortField.Nature,
+            SortDirection = SortDirection.Asc
+        });
+
+        // Assert
+        Assert.Equal(
+            new[] { TransactionNature.Income, TransactionNature.Income, TransactionNature.Income, TransactionNature.Expense },
+            page.Items.Select(t => t.Nature));
+    }
+
+    [Fact]
+    public async Task GetPageAsync_SortWithTies_PagesDoNotOverlap()
+    {
+        // Arrange - every seeded transaction has the same owner
+        await SeedTransactions(10);
+
+        // Act
+        var query = new TransactionQuery { PageSize = 5, SortBy = TransactionSortField.StoreOwner };
+        var first = await _repository.GetPageAsync(query);
+        query.PageNumber = 2;
+        var second = await _repository.GetPageAsync(query);
+
+        // Assert
+        Assert.Empty(first.Items.Select(t => t.Id).Intersect(second.Items.Select(t => t.Id)));
+    }
+
+    #endregion
+
+    #region Filter Tests
+
+    [Fact]
+    public async Task GetPageAsync_FilterByDateRange_IsInclusive()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            PageSize = 100,
+            Filter = new TransactionFilter { DateFrom = new DateTime(2019, 3, 2), DateTo = new DateTime(2019, 3, 3) }
+        });
+
+        // Assert
+        Assert.Equal(2, page.TotalCount);
+        Assert.All(page.Items, t => Assert.InRange(t.Date, new DateTime(2019, 3, 2), new DateTime(2019, 3, 3)));
+    }
+
+    [Fact]
+    public async Task GetPageAsync_FilterByTypesAndNature_UsesIntersection()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            PageSize = 100,
+            Filter = new TransactionFilter
+            {
+                Types = { TransactionType.Debit, TransactionType.Boleto },
+                Nature = TransactionNature.Expense
+            }
+        });
+
+        // Assert
+        var transaction = Assert.Single(page.Items);
+        Assert.Equal(TransactionType.Boleto, transaction.Type);
+    }
+
+    [Fact]
+    public async Task GetPageAsync_FilterByNatureExcludingSelectedTypes_ReturnsEmpty()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            Filter = new TransactionFilter { Types = { TransactionType.Debit }, Nature = TransactionNature.Expense }
+        });
+
+        // Assert
+        Assert.Equal(0, page.TotalCount);
+        Assert.Empty(page.Items);
+    }
+
+    [Fact]
+    public async Task GetPageAsync_FilterByTextFields_IsCaseInsensitiveAndPartial()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            PageSize = 100,
+            Filter = new TransactionFilter
+            {
+                Cpf = "096.206",
+                CardSuffix = "3153",
+                StoreOwner = "joão",
+                StoreName = "bar do"
+            }
+        });
+
+        // Assert
+        var transaction = Assert.Single(page.Items);
+        Assert.Equal("BAR DO JOÃO", transaction.StoreName);
+    }
+
+    [Fact]
+    public async Task GetPageAsync_FilterByAmountRange()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var page = await _repository.GetPageAsync(new TransactionQuery
+        {
+            PageSize = 100,
+            Filter = new TransactionFilter { MinAmount = 50m, MaxAmount = 150m }
+        });
+
+        // Assert
+        Assert.Equal(2, page.TotalCount);
+        Assert.All(page.Items, t => Assert.InRange(t.Amount, 50m, 150m));
+    }
+
+    [Fact]
+    public async Task GetPageAsync_InvertedRange_ThrowsArgumentException()
+    {
+        // Act & Assert
+        await Assert.ThrowsAsync<ArgumentException>(() => _repository.GetPageAsync(new TransactionQuery
+        {
+            Filter = new TransactionFilter { MinAmount = 200m, MaxAmount = 100m }
+        }));
+    }
+
+    [Fact]
+    public async Task GetStoreSummariesAsync_WithFilter_TotalsOnlyMatchingTransactions()
+    {
+        // Arrange
+        await SeedFilterTransactions();
+
+        // Act
+        var result = (await _repository.GetStoreSummariesAsync(
+            new TransactionFilter { Nature = TransactionNature.Income })).ToList();
+
+        // Assert
+        Assert.Equal(new[] { "BAR DO JOÃO", "LOJA DO Ó" }, result.Select(s => s.StoreName));
+        Assert.All(result, s => Assert.Equal(0m, s.TotalExpenses));
+        Assert.Equal(3, result.Sum(s => s.TransactionCount));
+    }
+
+    #endregion
+
     #region AnyAsync and CountAsync Tests
 
     [Fact]
@@ -429,5 +1015,53 @@ public class TransactionRepositoryTests : IDisposable
         await _context.SaveChangesAsync();
     }
 
+    /// <summary>
+    /// Seeds four transactions with distinct dates, types, amounts and people for filter tests.
+    /// </summary>
+    private async Task SeedFilterTransactions()
+    {
+        await _context.Transactions.AddRangeAsync(
+            CreateFilterTransaction(1, TransactionType.Debit, 142.00m, "09620676017", "4753****3153", "JOÃO MACEDO", "BAR DO JOÃO"),
+            CreateFilterTransaction(2, TransactionType.Boleto, 112.00m, "09620676017", "3648****0099", "JOÃO MACEDO", "BAR DO JOÃO"),
+            CreateFilterTransaction(3, TransactionType.Sales, 25.00m, "55641815063", "1234****7890", "MARIA JOSEFINA", "LOJA DO Ó"),
+            CreateFilterTransaction(4, TransactionType.Credit, 500.00m, "55641815063", "6777****1313", "MARIA JOSEFINA", "LOJA DO Ó"));
+        await _context.SaveChangesAsync();
+    }
+
+    /// <summary>
+    /// Seeds the filter transactions plus a second owner at BAR DO JOÃO and a transaction from
+    /// 1999 whose CPF was flagged on import.
+    /// </summary>
+    private async Task SeedDataQualityTransactions()
+    {
+        await SeedFilterTransactions();
+
+        var invalid = CreateFilterTransaction(6, TransactionType.Sales, 10.00m, "11111111111", "1234****7890", "MARIA JOSEFINA", "LOJA DO Ó");
+        invalid.Date = new DateTime(1999, 12, 31);
+        invalid.HasInvalidCpf = true;
+
+        await _context.Transactions.AddRangeAsync(
+            CreateFilterTransaction(5, TransactionType.Debit, 10.00m, "09620676017", "4753****3153", "JOSÉ MACEDO", "BAR DO JOÃO"),
+            invalid);
+        await _context.SaveChangesAsync();
+    }
+
+    private static Transaction CreateFilterTransaction(
+        int day, TransactionType type, decimal amount, string cpf, string card, string owner, string store)
+    {
+        return new Transaction
+        {
+            Type = type,
+            Date = new DateTime(2019, 3, day),
+            Time = new TimeSpan(12, 0, 0),
+            Amount = amount,
+            Cpf = cpf,
+            CardNumber = card,
+            StoreOwner = owner,
+            StoreName = store,
+            CreatedAt = DateTime.UtcNow
+        };
+    }
+
     #endregion
 }
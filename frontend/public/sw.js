@@ -0,0 +1,105 @@
+// ========================================
+// File: frontend/public/sw.js
+// Purpose: Service worker for offline use: caches the app shell and the last store
+// balances loaded, so the app opens and shows them without a connection.
+// It never stores or adds tokens: API requests keep the Authorization header set by
+// apiClient (the same one cnabService uses), and uploads made offline are kept in
+// IndexedDB and sent by the page through cnabService, with its token refresh.
+// ========================================
+
+const SHELL_CACHE = 'cnab-shell-v1';
+// Same name as API_CACHE in src/services/serviceWorker.js, which clears it on logout
+const API_CACHE = 'cnab-api-v1';
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+// GET API paths served from the cache when the network fails
+const CACHED_API_PATHS = [/\/api\/cnab\/balances$/];
+
+// Scripts and styles referenced by index.html (hashed names change on every build)
+const findShellAssets = (html) => {
+  return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+
+    const index = await cache.match('/index.html');
+    await cache.addAll(findShellAssets(await index.text()));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('cnab-') && name !== SHELL_CACHE && name !== API_CACHE)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Pages: network first so a deploy shows up at once; offline, the cached shell
+// (the app routes on the client, so every path is index.html)
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Hashed assets never change: cache first
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Balances: network first; the last successful answer of each URL (filters are part
+// of it) is kept for offline use
+const handleCachedApi = async (request) => {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(handleAsset(request));
+  } else if (CACHED_API_PATHS.some((path) => path.test(url.pathname))) {
+    event.respondWith(handleCachedApi(request));
+  }
+});
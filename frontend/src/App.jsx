@@ -3,21 +3,45 @@
 // Replace the existing App.jsx file with this one
 // ========================================
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
+import { Routes, Route, Navigate, NavLink, useLocation, useNavigate } from 'react-router';
 import Upload from './components/Upload';
 import Transactions from './components/Transactions';
+import StoreDetail from './components/StoreDetail';
+import ImportReport from './components/ImportReport';
+import ImportHistory from './components/ImportHistory';
+import Reconciliation from './components/Reconciliation';
+import DataQuality from './components/DataQuality';
+import Alerts from './components/Alerts';
+import Dashboard from './components/Dashboard';
 import Login from './components/Login';
 import Loading from './components/Loading';
 import Modal from './components/Modal';
+import SessionWarning from './components/SessionWarning';
+import OfflineBanner from './components/OfflineBanner';
+import LiveUpdateBanner from './components/LiveUpdateBanner';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import PermissionGuard from './components/PermissionGuard';
+import useUploadQueue, { DUPLICATE_HANDLING, UPLOAD_STATUS } from './hooks/useUploadQueue';
+import useAuth from './hooks/useAuth';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useI18n from './hooks/useI18n';
+import useLiveUpdates, { collectStoreNames } from './hooks/useLiveUpdates';
+import useAlertSummary from './hooks/useAlertSummary';
 import './App.css';
 
 function App() {
   const [refreshKey, setRefreshKey] = useState(0);
-  const [activeTab, setActiveTab] = useState('upload');
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [username, setUsername] = useState('');
-  const [isUploading, setIsUploading] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { status, isAuthenticated, isOffline, user, roles, can, logout } = useAuth();
+  const isOnline = useOnlineStatus();
+  const { t, formatDateTime } = useI18n();
+  // Changes made elsewhere, applied when the user asks: storeNames null means every store
+  const [liveRefresh, setLiveRefresh] = useState({ version: 0, storeNames: null });
+  const liveUpdates = useLiveUpdates(isAuthenticated && !isOffline && isOnline);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [importReport, setImportReport] = useState(null);
   const [modalConfig, setModalConfig] = useState({
     isOpen: false,
     type: 'info',
@@ -27,55 +51,90 @@ function App() {
     onCancel: null,
   });
 
-  // Check if user is authenticated on mount
-  useEffect(() => {
-    const token = localStorage.getItem('token');
-    const storedUsername = localStorage.getItem('username');
-    const tokenExpiry = localStorage.getItem('tokenExpiry');
-
-    if (token && tokenExpiry) {
-      const expiryDate = new Date(tokenExpiry);
-      const now = new Date();
-
-      // Check if token is still valid
-      if (expiryDate > now) {
-        setIsAuthenticated(true);
-        setUsername(storedUsername || '');
-      } else {
-        // Token expired, clear storage
-        handleLogout();
-      }
-    }
-  }, []);
+  const handleUploadSuccess = (report) => {
+    // Refresh transactions and dashboard so they are up to date when the user opens them
+    setRefreshKey((prev) => prev + 1);
+    setImportReport(report);
+  };
 
-  const handleUploadStart = () => {
-    setIsUploading(true);
+  const handleQueueFinished = (reports) => {
+    // Land on the import report when a single file was imported;
+    // for batches the user picks the report of each file from the queue
+    if (reports.length === 1) {
+      navigate('/upload/report');
+    }
   };
 
-  const handleUploadSuccess = () => {
-    // Keep isUploading = true until data is fully loaded
-    // It will be set to false when Transactions component finishes loading
-    // Refresh transactions list
+  const handleRollbackComplete = () => {
+    // Transactions tab must not show the rolled back rows
     setRefreshKey((prev) => prev + 1);
-    // Switch to transactions tab
-    setActiveTab('transactions');
   };
 
-  const handleUploadError = () => {
-    setIsUploading(false);
+  const handleLiveRefresh = () => {
+    const storeNames = collectStoreNames(liveUpdates.take());
+    setLiveRefresh((prev) => ({ version: prev.version + 1, storeNames }));
   };
 
-  const handleLoginSuccess = (data) => {
-    setIsAuthenticated(true);
-    setUsername(data.username);
+  // Views without a targeted reload simply load again
+  const viewRefresh = refreshKey + liveRefresh.version;
+  const alertSummary = useAlertSummary(viewRefresh, isAuthenticated && !isOffline);
+
+  const handleViewReport = (report) => {
+    setImportReport(report);
+    navigate('/upload/report');
+  };
+
+  // Asks what to do with a file the server reported as already imported
+  const handleDuplicate = (item) => {
+    const { duplicate } = item;
+    const previous = duplicate.previousImport;
+
+    const summary = duplicate.fileAlreadyImported && previous
+      ? t('duplicate.fileImported', {
+        date: formatDateTime(previous.importedAt),
+        user: previous.uploadedBy,
+        count: previous.transactionCount,
+      })
+      : t('duplicate.linesImported', { duplicates: duplicate.duplicateLineCount, count: duplicate.totalLineCount });
+
+    const resolve = (handling) => {
+      closeModal();
+      uploadQueue.resolveDuplicate(item.id, handling);
+    };
+
+    showModal({
+      type: 'warning',
+      title: t('duplicate.title', { file: item.file.name }),
+      message: `${summary}\n\n${t('duplicate.choices', { count: duplicate.totalLineCount - duplicate.duplicateLineCount })}`,
+      actions: [
+        {
+          label: t('modal.cancel'),
+          variant: 'cancel',
+          onClick: () => {
+            closeModal();
+            uploadQueue.cancel(item.id);
+          },
+        },
+        { label: t('duplicate.skip'), variant: 'confirm', onClick: () => resolve(DUPLICATE_HANDLING.SKIP) },
+        { label: t('duplicate.importAnyway'), variant: 'error', onClick: () => resolve(DUPLICATE_HANDLING.IMPORT) },
+      ],
+    });
   };
 
+  // Upload queue lives here so uploads keep running while the user switches tabs
+  const uploadQueue = useUploadQueue({
+    onFileImported: handleUploadSuccess,
+    onQueueFinished: handleQueueFinished,
+    onDuplicate: handleDuplicate,
+    username: user?.username,
+    // Offline sessions have no token yet: uploads wait until it is renewed
+    online: isOnline && !isOffline,
+  });
+  const isUploading = uploadQueue.isRunning;
+  const pendingUploads = uploadQueue.items.filter((item) => item.status === UPLOAD_STATUS.PENDING).length;
+
   const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('username');
-    localStorage.removeItem('tokenExpiry');
-    setIsAuthenticated(false);
-    setUsername('');
+    logout();
   };
 
   const handleDeletingStart = () => {
@@ -88,6 +147,7 @@ function App() {
 
   const showModal = (config) => {
     setModalConfig({
+      actions: null,
       ...config,
       isOpen: true,
     });
@@ -100,9 +160,33 @@ function App() {
     });
   };
 
-  // Show login screen if not authenticated
+  // Read-only users have no Uploads tab and start on the transactions
+  const homePath = can('upload') ? '/upload' : '/transactions';
+
+  // Nav links stay clickable-looking but inert while a delete is running
+  const navLinkProps = {
+    className: ({ isActive }) => `nav-btn ${isActive ? 'active' : ''} ${isDeleting ? 'disabled' : ''}`,
+    onClick: (e) => {
+      if (isDeleting) e.preventDefault();
+    },
+    'aria-disabled': isDeleting,
+  };
+
+  // Wait for the API to confirm the stored session before choosing a screen
+  if (status === 'loading') {
+    return <Loading message={t('app.restoringSession')} />;
+  }
+
+  // Signed-out visitors go to /login and come back to the page they asked for
   if (!isAuthenticated) {
-    return <Login onLoginSuccess={handleLoginSuccess} />;
+    return location.pathname === '/login'
+      ? <Login />
+      : <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (location.pathname === '/login') {
+    const from = location.state?.from;
+    return <Navigate to={from ? `${from.pathname}${from.search}` : homePath} replace />;
   }
 
   return (
@@ -110,68 +194,143 @@ function App() {
       <header className="app-header">
         <div>
           <h1>🏦 CNAB Processor</h1>
-          <p>Brazilian Financial Transaction File Processing System</p>
+          <p>{t('app.subtitle')}</p>
         </div>
         <div className="user-info">
-          <span className="username">👤 {username}</span>
+          <span className="username">👤 {user.username}</span>
+          {isOffline && <span className="role-badge">{t('app.offline')}</span>}
+          {roles.map((role) => (
+            <span key={role} className="role-badge">{role}</span>
+          ))}
+          <LanguageSwitcher />
           <button className="btn-logout" onClick={handleLogout}>
-            🚪 Logout
+            🚪 {t('app.logout')}
           </button>
         </div>
       </header>
 
+      <SessionWarning />
+      <OfflineBanner isOnline={isOnline} isOfflineSession={isOffline} pendingCount={pendingUploads} />
+      <LiveUpdateBanner events={liveUpdates.events} onRefresh={handleLiveRefresh} onDismiss={liveUpdates.dismiss} />
+
       <nav className="app-nav">
-        <button
-          className={`nav-btn ${activeTab === 'upload' ? 'active' : ''}`}
-          onClick={() => setActiveTab('upload')}
-          disabled={isUploading || isDeleting}
-        >
-          📤 Uploads
-        </button>
-        <button
-          className={`nav-btn ${activeTab === 'transactions' ? 'active' : ''}`}
-          onClick={() => setActiveTab('transactions')}
-          disabled={isUploading || isDeleting}
-        >
-          📊 Transactions
-        </button>
+        <PermissionGuard permission="upload">
+          <NavLink to="/upload" end {...navLinkProps}>
+            📤 {t('nav.uploads')}{isUploading && ' ⏳'}
+            {pendingUploads > 0 && ` ${t('nav.pending', { count: pendingUploads })}`}
+          </NavLink>
+          {importReport && (
+            <NavLink to="/upload/report" {...navLinkProps}>
+              📋 {t('nav.importReport')}
+            </NavLink>
+          )}
+        </PermissionGuard>
+        <NavLink to="/transactions" {...navLinkProps}>
+          📊 {t('nav.transactions')}
+        </NavLink>
+        <NavLink to="/dashboard" {...navLinkProps}>
+          📈 {t('nav.dashboard')}
+        </NavLink>
+        <NavLink to="/imports" {...navLinkProps}>
+          🗂️ {t('nav.imports')}
+        </NavLink>
+        <NavLink to="/reconciliation" {...navLinkProps}>
+          🧾 {t('nav.reconciliation')}
+        </NavLink>
+        <NavLink to="/data-quality" {...navLinkProps}>
+          🩺 {t('nav.dataQuality')}
+        </NavLink>
+        <NavLink to="/alerts" {...navLinkProps}>
+          🚨 {t('nav.alerts')}
+          {alertSummary.openCount > 0 && <span className="nav-badge">{alertSummary.openCount}</span>}
+        </NavLink>
       </nav>
 
       <main className="app-main">
-        {activeTab === 'upload' && (
-          <Upload
-            onUploadStart={handleUploadStart}
-            onUploadSuccess={handleUploadSuccess}
-            onUploadError={handleUploadError}
-            isUploading={isUploading}
+        <Routes>
+          <Route path="/" element={<Navigate to={homePath} replace />} />
+
+          <Route
+            path="/upload"
+            element={(
+              <PermissionGuard permission="upload" fallback={<Navigate to="/transactions" replace />}>
+                <Upload queue={uploadQueue} onViewReport={handleViewReport} onResolveDuplicate={handleDuplicate} />
+              </PermissionGuard>
+            )}
           />
-        )}
-
-        {activeTab === 'transactions' && (
-          <Transactions
-            refresh={refreshKey}
-            isUploading={isUploading}
-            isDeleting={isDeleting}
-            onLoadingComplete={() => setIsUploading(false)}
-            onDeletingStart={handleDeletingStart}
-            onDeletingEnd={handleDeletingEnd}
-            onShowModal={showModal}
-            onCloseModal={closeModal}
+
+          <Route
+            path="/upload/report"
+            element={importReport ? (
+              <ImportReport
+                report={importReport}
+                onViewTransactions={() => navigate('/transactions')}
+                onNewUpload={() => navigate('/upload')}
+              />
+            ) : <Navigate to="/upload" replace />}
+          />
+
+          <Route
+            path="/transactions"
+            element={(
+              <Transactions
+                refresh={refreshKey}
+                liveRefresh={liveRefresh}
+                isUploading={isUploading}
+                isDeleting={isDeleting}
+                onDeletingStart={handleDeletingStart}
+                onDeletingEnd={handleDeletingEnd}
+                onShowModal={showModal}
+                onCloseModal={closeModal}
+              />
+            )}
+          />
+
+          <Route
+            path="/transactions/store/:storeName"
+            element={(
+              <StoreDetail refresh={refreshKey} liveRefresh={liveRefresh} isBusy={isUploading || isDeleting} />
+            )}
           />
-        )}
+
+          <Route path="/dashboard" element={<Dashboard refresh={viewRefresh} />} />
+
+          <Route
+            path="/imports"
+            element={(
+              <ImportHistory
+                refresh={viewRefresh}
+                isUploading={isUploading}
+                onShowModal={showModal}
+                onCloseModal={closeModal}
+                onRollbackComplete={handleRollbackComplete}
+              />
+            )}
+          />
+
+          <Route
+            path="/reconciliation"
+            element={<Reconciliation refresh={viewRefresh} onShowModal={showModal} onCloseModal={closeModal} />}
+          />
+
+          <Route path="/data-quality" element={<DataQuality refresh={viewRefresh} />} />
+
+          <Route path="/alerts" element={<Alerts refresh={viewRefresh} onAcknowledged={alertSummary.reload} />} />
+
+          <Route path="*" element={<Navigate to={homePath} replace />} />
+        </Routes>
       </main>
 
       <footer className="app-footer">
         <p>
-          Backend API: <a href="http://localhost:5099/swagger" target="_blank" rel="noopener noreferrer">
-            Swagger Documentation
+          {t('app.backendApi')} <a href="http://localhost:5099/swagger" target="_blank" rel="noopener noreferrer">
+            {t('app.swagger')}
           </a>
         </p>
         <p>CNAB Processor v1.0 - Edson Mata</p>
       </footer>
 
-      {isUploading && <Loading message="Importing transactions..." />}
-      {isDeleting && <Loading message="Deleting transactions..." />}
+      {isDeleting && <Loading message={t('transactions.deleting')} />}
       <Modal {...modalConfig} />
     </div>
   );
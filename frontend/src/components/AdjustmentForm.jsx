@@ -0,0 +1,172 @@
+// ========================================
+// File: frontend/src/components/AdjustmentForm.jsx
+// Enters a transaction by hand (Administrator only), with a mandatory reason recorded in
+// the adjustment audit trail. The owner follows the known owner of the store until edited.
+// ========================================
+
+import { useState, useEffect } from 'react';
+import cnabService from '../services/cnabService';
+import { TRANSACTION_TYPES } from '../services/cnabParser';
+import { parseAmount, parseDate } from '../services/reconciliation';
+import { MAX_REASON_LENGTH, MAX_NAME_LENGTH, parseTime, validateAdjustment } from '../services/adjustments';
+import useI18n from '../hooks/useI18n';
+import './AdjustmentForm.css';
+
+const EMPTY_FORM = {
+  type: '',
+  amount: '',
+  date: '',
+  time: '',
+  storeName: '',
+  storeOwner: '',
+  cpf: '',
+  cardNumber: '',
+  reason: '',
+};
+
+/**
+ * @param {object} props
+ * @param {string} [props.storeName] - Store filled in (the store page)
+ * @param {(adjustment: object) => void} props.onSaved - Called with the audit record once saved
+ * @param {() => void} props.onCancel
+ */
+function AdjustmentForm({ storeName = '', onSaved, onCancel }) {
+  const { t, typeLabel } = useI18n();
+  const [form, setForm] = useState({ ...EMPTY_FORM, storeName });
+  const [knownOwners, setKnownOwners] = useState({});
+  // The owner is filled from knownOwners until the user types one
+  const [ownerEdited, setOwnerEdited] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    cnabService.getKnownStoreOwners()
+      .then((owners) => {
+        if (!cancelled) setKnownOwners(owners);
+      })
+      .catch(() => {
+        // Suggestions only: the owner can still be typed
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const storeOwner = ownerEdited ? form.storeOwner : knownOwners[form.storeName.trim()] || form.storeOwner;
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const entry = {
+      type: form.type,
+      amount: parseAmount(form.amount),
+      date: parseDate(form.date),
+      time: parseTime(form.time),
+      storeName: form.storeName.trim(),
+      storeOwner: storeOwner.trim(),
+      cpf: form.cpf.replace(/\D/g, ''),
+      cardNumber: form.cardNumber.trim(),
+      reason: form.reason.trim(),
+    };
+
+    const validationError = validateAdjustment(entry);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const adjustment = await cnabService.createAdjustment({
+        ...entry,
+        type: Number(entry.type),
+        time: entry.time || null,
+        cpf: entry.cpf || null,
+        cardNumber: entry.cardNumber || null,
+      });
+      setForm({ ...EMPTY_FORM, storeName });
+      setOwnerEdited(false);
+      onSaved(adjustment);
+    } catch (err) {
+      setError(err.response?.data?.message || t('adjustments.form.failed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderField = (field, label, props = {}) => (
+    <label className={`adjustment-field adjustment-field-${field}`}>
+      <span>{label}</span>
+      <input
+        type="text"
+        value={field === 'storeOwner' ? storeOwner : form[field]}
+        onChange={(e) => {
+          if (field === 'storeOwner') setOwnerEdited(true);
+          update(field, e.target.value);
+        }}
+        disabled={saving}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <form className="adjustment-form" onSubmit={handleSubmit}>
+      <h3>✍️ {t('adjustments.form.title')}</h3>
+      <p className="adjustment-form-hint">{t('adjustments.form.hint')}</p>
+
+      <div className="adjustment-fields">
+        <label className="adjustment-field adjustment-field-type">
+          <span>{t('columns.type')}</span>
+          <select value={form.type} onChange={(e) => update('type', e.target.value)} disabled={saving}>
+            <option value="">{t('adjustments.form.chooseType')}</option>
+            {Object.keys(TRANSACTION_TYPES).map((code) => (
+              <option key={code} value={code}>{code} · {typeLabel(code)}</option>
+            ))}
+          </select>
+        </label>
+        {renderField('amount', t('columns.amount'), { placeholder: '0,00', inputMode: 'decimal' })}
+        {renderField('date', t('columns.date'), { placeholder: t('reconciliation.datePlaceholder') })}
+        {renderField('time', t('columns.time'), { placeholder: t('adjustments.form.timePlaceholder') })}
+        {renderField('storeName', t('columns.store'), { maxLength: MAX_NAME_LENGTH, list: 'adjustment-stores' })}
+        {renderField('storeOwner', t('columns.owner'), { maxLength: MAX_NAME_LENGTH })}
+        {renderField('cpf', t('columns.cpf'), { placeholder: t('adjustments.form.optional') })}
+        {renderField('cardNumber', t('columns.card'), { placeholder: t('adjustments.form.optional') })}
+      </div>
+      <datalist id="adjustment-stores">
+        {Object.keys(knownOwners).map((name) => <option key={name} value={name} />)}
+      </datalist>
+
+      <label className="adjustment-field adjustment-field-reason">
+        <span>{t('adjustments.reason')}</span>
+        <textarea
+          value={form.reason}
+          maxLength={MAX_REASON_LENGTH}
+          rows={2}
+          placeholder={t('adjustments.form.reasonPlaceholder')}
+          onChange={(e) => update('reason', e.target.value)}
+          disabled={saving}
+          required
+        />
+      </label>
+
+      {error && <div className="alert alert-error">❌ {error}</div>}
+
+      <div className="adjustment-actions">
+        <button type="button" className="toggle-btn" onClick={onCancel} disabled={saving}>
+          {t('modal.cancel')}
+        </button>
+        <button type="submit" className="toggle-btn active" disabled={saving}>
+          {saving ? `⏳ ${t('adjustments.form.saving')}` : `✍️ ${t('adjustments.form.save')}`}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default AdjustmentForm;
@@ -0,0 +1,101 @@
+// ========================================
+// File: frontend/src/components/AdjustmentTrail.jsx
+// Adjustment audit trail of a store, newest first: who entered or reversed which
+// transaction, when and why (table styles in Transactions.css)
+// ========================================
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import cnabService from '../services/cnabService';
+import { translate } from '../services/i18n';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * @param {object} props
+ * @param {string} props.storeName
+ * @param {number} [props.version] - Reloads whenever it changes (after an adjustment or a refresh)
+ */
+function AdjustmentTrail({ storeName, version = 0 }) {
+  const { t, formatCurrency, formatDate, formatDateTime, typeLabel } = useI18n();
+  const [state, setState] = useState({ adjustments: null, loading: true, error: null });
+  const requestIdRef = useRef(0);
+
+  const load = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+
+    try {
+      const adjustments = await cnabService.getAdjustments({ storeName });
+      if (requestIdRef.current !== requestId) return;
+      setState({ adjustments, loading: false, error: null });
+    } catch (err) {
+      if (requestIdRef.current !== requestId) return;
+      setState((prev) => ({
+        ...prev,
+        loading: false,
+        error: err.response?.data?.message || translate('adjustments.trail.loadError'),
+      }));
+    }
+  }, [storeName]);
+
+  useEffect(() => {
+    load();
+  }, [version, load]);
+
+  const { adjustments, loading, error } = state;
+
+  if (error) {
+    return <div className="alert alert-error">❌ {error}</div>;
+  }
+
+  if (!adjustments) {
+    return (
+      <div className="loading loading-inline">
+        <div className="spinner"></div>
+        <p>{t('adjustments.trail.loading')}</p>
+      </div>
+    );
+  }
+
+  if (adjustments.length === 0) {
+    return <p className="chart-empty">{t('adjustments.trail.empty')}</p>;
+  }
+
+  return (
+    <div className="transactions-table-wrapper">
+      <table className={`transactions-table adjustment-trail ${loading ? 'table-loading' : ''}`}>
+        <thead>
+          <tr>
+            <th>{t('adjustments.trail.when')}</th>
+            <th>{t('adjustments.trail.who')}</th>
+            <th>{t('adjustments.trail.what')}</th>
+            <th>{t('columns.type')}</th>
+            <th>{t('columns.amount')}</th>
+            <th>{t('columns.date')}</th>
+            <th>{t('adjustments.reason')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {adjustments.map((adjustment) => (
+            <tr key={adjustment.id}>
+              <td>{formatDateTime(adjustment.createdAt)}</td>
+              <td>{adjustment.createdBy}</td>
+              <td>
+                {adjustment.kind === 'Reversal'
+                  ? `↩️ ${t('adjustments.kinds.Reversal', { id: adjustment.reversedTransactionId })}`
+                  : `✍️ ${t('adjustments.kinds.Entry')}`}
+              </td>
+              <td>{typeLabel(adjustment.type)}</td>
+              <td className={adjustment.signedAmount >= 0 ? 'amount-positive' : 'amount-negative'}>
+                {formatCurrency(adjustment.signedAmount)}
+              </td>
+              <td>{formatDate(adjustment.date)}</td>
+              <td className="adjustment-reason">{adjustment.reason}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default AdjustmentTrail;
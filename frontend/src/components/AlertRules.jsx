@@ -0,0 +1,178 @@
+// ========================================
+// File: frontend/src/components/AlertRules.jsx
+// Settings of the anomaly alert rules, editable by administrators and read-only
+// for everyone else (styles in Alerts.css)
+// ========================================
+
+import { useState, useEffect } from 'react';
+import cnabService from '../services/cnabService';
+import { translate } from '../services/i18n';
+import { hasWindow, validateAlertRule } from '../services/alerts';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+
+// Form values are kept as typed and parsed on save
+const toForm = (rule) => ({
+  isEnabled: rule.isEnabled,
+  threshold: String(rule.threshold),
+  window: String(rule.window),
+});
+
+const parseNumber = (text) => (String(text).trim() === '' ? null : Number(String(text).replace(',', '.')));
+
+function AlertRules() {
+  const { t, formatDateTime } = useI18n();
+  const { can } = useAuth();
+  const canEdit = can('configureAlerts');
+  const [rules, setRules] = useState(null);
+  const [forms, setForms] = useState({});
+  const [saving, setSaving] = useState(null);
+  const [messages, setMessages] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    cnabService.getAlertRules()
+      .then((data) => {
+        setRules(data);
+        setForms(Object.fromEntries(data.map((rule) => [rule.rule, toForm(rule)])));
+      })
+      .catch((err) => setError(err.response?.data?.message || translate('alerts.settings.loadError')));
+  }, []);
+
+  const setField = (rule, field, value) => {
+    setForms((current) => ({ ...current, [rule]: { ...current[rule], [field]: value } }));
+    setMessages((current) => ({ ...current, [rule]: null }));
+  };
+
+  const isDirty = (rule) => {
+    const saved = toForm(rule);
+    const form = forms[rule.rule];
+    return form.isEnabled !== saved.isEnabled
+      || parseNumber(form.threshold) !== rule.threshold
+      || (hasWindow(rule.rule) && parseNumber(form.window) !== rule.window);
+  };
+
+  const save = async (rule) => {
+    const form = forms[rule.rule];
+    const threshold = parseNumber(form.threshold);
+    const window = hasWindow(rule.rule) ? parseNumber(form.window) : 0;
+
+    const invalid = validateAlertRule(rule.rule, threshold, window);
+    if (invalid) {
+      setMessages((current) => ({ ...current, [rule.rule]: { error: invalid } }));
+      return;
+    }
+
+    setSaving(rule.rule);
+    try {
+      const saved = await cnabService.updateAlertRule(rule.rule, { isEnabled: form.isEnabled, threshold, window });
+      setRules((current) => current.map((r) => (r.rule === saved.rule ? saved : r)));
+      setForms((current) => ({ ...current, [saved.rule]: toForm(saved) }));
+      setMessages((current) => ({ ...current, [rule.rule]: { success: t('alerts.settings.saved') } }));
+    } catch (err) {
+      setMessages((current) => ({
+        ...current,
+        [rule.rule]: { error: err.response?.data?.message || t('alerts.settings.saveError') },
+      }));
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (error) {
+    return <div className="alert alert-error">❌ {error}</div>;
+  }
+
+  if (!rules) {
+    return (
+      <div className="loading loading-inline">
+        <div className="spinner"></div>
+        <p>{t('alerts.settings.loading')}</p>
+      </div>
+    );
+  }
+
+  const renderNumberField = (rule, field) => (
+    <label className="alerts-rules-field">
+      <span>{t(`alerts.settings.fields.${rule.rule}.${field}`)}</span>
+      <input
+        type="text"
+        inputMode="decimal"
+        value={forms[rule.rule][field]}
+        onChange={(e) => setField(rule.rule, field, e.target.value)}
+        disabled={!canEdit || saving === rule.rule}
+      />
+    </label>
+  );
+
+  return (
+    <div className="alerts-rules">
+      <p className="data-quality-hint">
+        {t(canEdit ? 'alerts.settings.hint' : 'alerts.settings.readOnlyHint')}
+      </p>
+
+      <div className="transactions-table-wrapper">
+        <table className="transactions-table">
+          <thead>
+            <tr>
+              <th>{t('alerts.rule')}</th>
+              <th>{t('alerts.settings.enabled')}</th>
+              <th>{t('alerts.settings.limits')}</th>
+              <th>{t('alerts.settings.lastChange')}</th>
+              {canEdit && <th className="actions-cell" aria-label={t('alerts.settings.save')} />}
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((rule) => {
+              const message = messages[rule.rule];
+              return (
+                <tr key={rule.rule}>
+                  <td>
+                    <div className="import-file">{t(`alerts.rules.${rule.rule}`)}</div>
+                    <div className="data-quality-rule-hint">{t(`alerts.ruleHints.${rule.rule}`)}</div>
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={forms[rule.rule].isEnabled}
+                      onChange={(e) => setField(rule.rule, 'isEnabled', e.target.checked)}
+                      disabled={!canEdit || saving === rule.rule}
+                      aria-label={t('alerts.settings.enabled')}
+                    />
+                  </td>
+                  <td>
+                    <div className="alerts-rules-fields">
+                      {renderNumberField(rule, 'threshold')}
+                      {hasWindow(rule.rule) && renderNumberField(rule, 'window')}
+                    </div>
+                    {message?.error && <div className="reversal-error">❌ {message.error}</div>}
+                    {message?.success && <div className="alerts-rules-saved">✅ {message.success}</div>}
+                  </td>
+                  <td className="data-quality-rule-hint">
+                    {rule.updatedBy
+                      ? t('alerts.settings.changedBy', { user: rule.updatedBy, date: formatDateTime(rule.updatedAt) })
+                      : t('alerts.settings.defaults')}
+                  </td>
+                  {canEdit && (
+                    <td className="actions-cell">
+                      <button
+                        type="button"
+                        className="toggle-btn active"
+                        onClick={() => save(rule)}
+                        disabled={saving !== null || !isDirty(rule)}
+                      >
+                        {saving === rule.rule ? `⏳ ${t('alerts.settings.saving')}` : t('alerts.settings.save')}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AlertRules;
@@ -0,0 +1,291 @@
+// ========================================
+// File: frontend/src/components/Alerts.jsx
+// Anomaly alerts triggered by the imports, newest first, filtered by status, rule
+// and store (?store=), acknowledged inline with a comment; the rules tab holds
+// their settings
+// ========================================
+
+import { Fragment, useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router';
+import cnabService from '../services/cnabService';
+import { translate } from '../services/i18n';
+import { ALERT_RULES, ALERT_STATUSES, MAX_COMMENT_LENGTH, formatHours } from '../services/alerts';
+import useI18n from '../hooks/useI18n';
+import PermissionGuard from './PermissionGuard';
+import Pagination from './Pagination';
+import AlertRules from './AlertRules';
+import './ImportHistory.css';
+import './DataQuality.css';
+import './Alerts.css';
+
+const PAGE_SIZE = 20;
+
+/**
+ * @param {object} props
+ * @param {number} props.refresh - Reloads the alerts when it changes (after imports and deletes)
+ * @param {() => void} [props.onAcknowledged] - Called after an alert is acknowledged (e.g. to update the tab badge)
+ */
+function Alerts({ refresh, onAcknowledged }) {
+  const { t, formatCurrency, formatNumber, formatDate, formatDateTime } = useI18n();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const storeName = searchParams.get('store') || '';
+  const [tab, setTab] = useState('alerts');
+  const [status, setStatus] = useState('Open');
+  const [rule, setRule] = useState('');
+  const [pageNumber, setPageNumber] = useState(1);
+  const [state, setState] = useState({ page: null, loading: true, error: null });
+  // Inline acknowledgement form: { id, comment, saving, error }
+  const [acknowledging, setAcknowledging] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const load = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+
+    try {
+      const page = await cnabService.getAlerts({
+        status,
+        storeName: storeName || undefined,
+        rule: rule || undefined,
+        pageNumber,
+        pageSize: PAGE_SIZE,
+      });
+      if (requestIdRef.current !== requestId) return;
+      setState({ page, loading: false, error: null });
+    } catch (err) {
+      if (requestIdRef.current !== requestId) return;
+      setState((prev) => ({
+        ...prev,
+        loading: false,
+        error: err.response?.data?.message || translate('alerts.loadError'),
+      }));
+    }
+  }, [status, storeName, rule, pageNumber]);
+
+  useEffect(() => {
+    load();
+  }, [refresh, load]);
+
+  // Every filter change starts again from the first page
+  const changeStatus = (value) => {
+    setStatus(value);
+    setPageNumber(1);
+  };
+
+  const changeRule = (value) => {
+    setRule(value);
+    setPageNumber(1);
+  };
+
+  const clearStore = () => {
+    setSearchParams({});
+    setPageNumber(1);
+  };
+
+  const submitAcknowledgement = async (e) => {
+    e.preventDefault();
+    const comment = acknowledging.comment.trim();
+    if (!comment) {
+      setAcknowledging((current) => ({ ...current, error: t('alerts.errors.commentRequired') }));
+      return;
+    }
+
+    setAcknowledging((current) => ({ ...current, saving: true, error: null }));
+    try {
+      await cnabService.acknowledgeAlert(acknowledging.id, comment);
+      setAcknowledging(null);
+      load();
+      onAcknowledged?.();
+    } catch (err) {
+      setAcknowledging((current) => ({
+        ...current,
+        saving: false,
+        error: err.response?.data?.message || t('alerts.acknowledgeError'),
+      }));
+    }
+  };
+
+  // Values of the message alerts.details.<rule> in the catalogs
+  const detailValues = (alert) => {
+    switch (alert.rule) {
+      case 'LargeAmount':
+        return { amount: formatCurrency(alert.value), threshold: formatCurrency(alert.threshold) };
+      case 'DailyFlowDeviation':
+        return { amount: formatCurrency(alert.value), factor: formatNumber(alert.threshold) };
+      case 'OutOfHours':
+        return { time: formatHours(alert.value) };
+      default:
+        return { count: alert.value };
+    }
+  };
+
+  const renderStatus = (alert) => {
+    if (alert.isAcknowledged) {
+      return (
+        <span className="alerts-acknowledged" title={formatDateTime(alert.acknowledgedAt)}>
+          ✔️ {t('alerts.acknowledgedBy', { user: alert.acknowledgedBy })}
+        </span>
+      );
+    }
+
+    return (
+      <PermissionGuard permission="acknowledgeAlerts" fallback={<span className="alerts-open">{t('alerts.statuses.Open')}</span>}>
+        <button
+          type="button"
+          className="toggle-btn"
+          onClick={() => setAcknowledging({ id: alert.id, comment: '', saving: false, error: null })}
+          disabled={acknowledging?.saving}
+        >
+          ✔️ {t('alerts.acknowledge')}
+        </button>
+      </PermissionGuard>
+    );
+  };
+
+  const renderAcknowledgementForm = () => (
+    <tr className="reversal-row">
+      <td colSpan={6}>
+        <form className="reversal-form" onSubmit={submitAcknowledgement}>
+          <input
+            type="text"
+            className="reversal-reason"
+            value={acknowledging.comment}
+            maxLength={MAX_COMMENT_LENGTH}
+            placeholder={t('alerts.commentPlaceholder')}
+            onChange={(e) => setAcknowledging((current) => ({ ...current, comment: e.target.value }))}
+            disabled={acknowledging.saving}
+            aria-label={t('alerts.comment')}
+            autoFocus
+          />
+          <button type="submit" className="toggle-btn active" disabled={acknowledging.saving}>
+            {acknowledging.saving ? `⏳ ${t('alerts.acknowledging')}` : t('alerts.acknowledge')}
+          </button>
+          <button type="button" className="toggle-btn" onClick={() => setAcknowledging(null)} disabled={acknowledging.saving}>
+            {t('modal.cancel')}
+          </button>
+          {acknowledging.error && <span className="reversal-error">❌ {acknowledging.error}</span>}
+        </form>
+      </td>
+    </tr>
+  );
+
+  const renderList = () => {
+    const { page, loading, error } = state;
+
+    if (error) {
+      return <div className="alert alert-error">❌ {error}</div>;
+    }
+
+    if (!page) {
+      return (
+        <div className="loading loading-inline">
+          <div className="spinner"></div>
+          <p>{t('alerts.loading')}</p>
+        </div>
+      );
+    }
+
+    if (page.totalCount === 0) {
+      return (
+        <div className="empty-state">
+          <div className="empty-icon">🛡️</div>
+          <h3>{t(status === 'Open' ? 'alerts.emptyOpen' : 'alerts.empty')}</h3>
+          <p>{t('alerts.emptyHint')}</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="transactions-table-wrapper">
+          <table className={`transactions-table alerts-table ${loading ? 'table-loading' : ''}`}>
+            <thead>
+              <tr>
+                <th>{t('alerts.triggeredAt')}</th>
+                <th>{t('alerts.rule')}</th>
+                <th>{t('columns.store')}</th>
+                <th>{t('columns.date')}</th>
+                <th>{t('alerts.what')}</th>
+                <th>{t('alerts.status')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {page.items.map((alert) => (
+                <Fragment key={alert.id}>
+                  <tr className={alert.isAcknowledged ? 'alerts-row-acknowledged' : undefined}>
+                    <td>{formatDateTime(alert.triggeredAt)}</td>
+                    <td className="import-file">{t(`alerts.rules.${alert.rule}`)}</td>
+                    <td>
+                      <Link to={`/transactions/store/${encodeURIComponent(alert.storeName)}`}>{alert.storeName}</Link>
+                    </td>
+                    <td>{formatDate(alert.date)}</td>
+                    <td className="alerts-detail" title={alert.message}>
+                      {t(`alerts.details.${alert.rule}`, detailValues(alert))}
+                      {alert.comment && <div className="alerts-comment">💬 {alert.comment}</div>}
+                    </td>
+                    <td>{renderStatus(alert)}</td>
+                  </tr>
+                  {acknowledging?.id === alert.id && renderAcknowledgementForm()}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <Pagination page={page} onPageChange={setPageNumber} disabled={loading} />
+      </>
+    );
+  };
+
+  return (
+    <div className="import-history alerts">
+      <div className="import-history-header">
+        <h2>🚨 {t('alerts.title')}</h2>
+        <div className="view-mode-toggle">
+          <button className={`toggle-btn ${tab === 'alerts' ? 'active' : ''}`} onClick={() => setTab('alerts')}>
+            🚨 {t('alerts.tabs.alerts')}
+          </button>
+          <button className={`toggle-btn ${tab === 'rules' ? 'active' : ''}`} onClick={() => setTab('rules')}>
+            ⚙️ {t('alerts.tabs.rules')}
+          </button>
+        </div>
+      </div>
+
+      {tab === 'rules' ? <AlertRules /> : (
+        <>
+          <div className="alerts-filters">
+            <div className="view-mode-toggle">
+              {ALERT_STATUSES.map((value) => (
+                <button
+                  key={value}
+                  className={`toggle-btn ${status === value ? 'active' : ''}`}
+                  onClick={() => changeStatus(value)}
+                >
+                  {t(`alerts.statuses.${value}`)}
+                </button>
+              ))}
+            </div>
+            <select value={rule} onChange={(e) => changeRule(e.target.value)} aria-label={t('alerts.rule')}>
+              <option value="">{t('alerts.allRules')}</option>
+              {ALERT_RULES.map((value) => (
+                <option key={value} value={value}>{t(`alerts.rules.${value}`)}</option>
+              ))}
+            </select>
+            {storeName && (
+              <span className="alerts-store-filter">
+                🏪 {storeName}
+                <button type="button" onClick={clearStore} title={t('alerts.allStores')} aria-label={t('alerts.allStores')}>
+                  ✕
+                </button>
+              </span>
+            )}
+          </div>
+
+          {renderList()}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Alerts;
@@ -0,0 +1,109 @@
+// ========================================
+// File: frontend/src/components/AuthProvider.jsx
+// Holds the signed-in user for the whole app: restores the session on load,
+// exposes login / logout / roles and signs out when the session cannot be renewed.
+// Without a connection the last user opens the app read-only until the API is reachable.
+// ========================================
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import authService from '../services/authService';
+import { getSession, onSessionEvent } from '../services/session';
+import { can } from '../services/permissions';
+import { AuthContext } from '../hooks/useAuth';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+
+function AuthProvider({ children }) {
+  const [status, setStatus] = useState('loading');
+  const [user, setUser] = useState(null);
+  const isOnline = useOnlineStatus();
+
+  // The stored token is not trusted as is: the API must confirm it (/auth/me)
+  useEffect(() => {
+    let cancelled = false;
+
+    authService.restoreSession()
+      .then((restoredUser) => {
+        if (cancelled) return;
+        setUser(restoredUser);
+        setStatus(restoredUser ? 'authenticated' : 'anonymous');
+      })
+      .catch(async () => {
+        const offlineUser = await authService.getOfflineUser();
+        if (cancelled) return;
+        setUser(offlineUser);
+        setStatus(offlineUser ? 'offline' : 'anonymous');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Roles follow the latest access token, so a role change applies on the next refresh
+  useEffect(() => {
+    return onSessionEvent('refreshed', () => {
+      setUser((current) => (current ? { ...current, roles: getSession().roles } : current));
+    });
+  }, []);
+
+  // Back online: get a token for the offline user (a refused refresh ends the session below)
+  useEffect(() => {
+    if (status !== 'offline' || !isOnline) return;
+
+    let cancelled = false;
+    authService.resumeSession()
+      .then((resumedUser) => {
+        if (cancelled) return;
+        setUser(resumedUser);
+        setStatus('authenticated');
+      })
+      .catch(() => {
+        // Still unreachable: stay offline until the next online event
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [status, isOnline]);
+
+  // A failed silent refresh anywhere in the app means the session is over
+  useEffect(() => {
+    return onSessionEvent('expired', () => {
+      setUser(null);
+      setStatus('anonymous');
+    });
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const signedInUser = await authService.login(username, password);
+    setUser(signedInUser);
+    setStatus('authenticated');
+  }, []);
+
+  const logout = useCallback(async () => {
+    setUser(null);
+    setStatus('anonymous');
+    await authService.logout();
+  }, []);
+
+  const value = useMemo(() => {
+    const roles = user?.roles || [];
+
+    return {
+      status,
+      isAuthenticated: status === 'authenticated' || status === 'offline',
+      isOffline: status === 'offline',
+      user,
+      roles,
+      hasRole: (role) => roles.includes(role),
+      can: (permission) => can(roles, permission),
+      login,
+      logout,
+      refreshSession: authService.refreshSession,
+    };
+  }, [status, user, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
@@ -0,0 +1,241 @@
+// ========================================
+// File: frontend/src/components/Charts.jsx
+// Small dependency-free charts used by the dashboard and the store page (SVG / CSS only)
+// ========================================
+
+import useI18n from '../hooks/useI18n';
+import './Charts.css';
+
+// Dates come as 'YYYY-MM-DDT00:00:00' without zone: read the parts, never shift by time zone
+const dayNumber = (isoDate) => {
+  const [year, month, day] = isoDate.slice(0, 10).split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+};
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 260;
+const PADDING = { top: 16, right: 16, bottom: 36, left: 72 };
+const MAX_X_LABELS = 6;
+
+/**
+ * Daily net flow as bars around a zero line: green above for positive days,
+ * red below for negative ones. Days are placed on a time axis so gaps show.
+ * @param {{ points: { date: string, netAmount: number, totalIncome: number, totalExpenses: number }[] }} props
+ */
+export function NetFlowChart({ points }) {
+  const { t, formatCurrency, formatDate } = useI18n();
+
+  if (points.length === 0) {
+    return <p className="chart-empty">{t('charts.noData')}</p>;
+  }
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+
+  const days = points.map((p) => dayNumber(p.date));
+  const firstDay = Math.min(...days);
+  const dayCount = Math.max(...days) - firstDay + 1;
+  const slot = plotWidth / dayCount;
+  const barWidth = Math.max(2, Math.min(slot * 0.7, 40));
+
+  const maxValue = Math.max(0, ...points.map((p) => p.netAmount));
+  const minValue = Math.min(0, ...points.map((p) => p.netAmount));
+  const range = maxValue - minValue || 1;
+
+  const y = (value) => PADDING.top + ((maxValue - value) / range) * plotHeight;
+  const xCenter = (dayIndex) => PADDING.left + (dayIndex - firstDay + 0.5) * slot;
+  const zeroY = y(0);
+
+  const labelStep = Math.max(1, Math.ceil(points.length / MAX_X_LABELS));
+
+  return (
+    <svg
+      className="chart-svg"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={t('charts.netFlow')}
+    >
+      {[maxValue, minValue].filter((v, i, all) => all.indexOf(v) === i).map((value) => (
+        <g key={value}>
+          <line className="chart-grid" x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y(value)} y2={y(value)} />
+          <text className="chart-axis-label" x={PADDING.left - 8} y={y(value) + 4} textAnchor="end">
+            {formatCurrency(value, { compact: true })}
+          </text>
+        </g>
+      ))}
+
+      <line className="chart-zero" x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={zeroY} y2={zeroY} />
+      {minValue < 0 && maxValue > 0 && (
+        <text className="chart-axis-label" x={PADDING.left - 8} y={zeroY + 4} textAnchor="end">
+          {formatCurrency(0, { compact: true })}
+        </text>
+      )}
+
+      {points.map((point, index) => {
+        const cx = xCenter(days[index]);
+        const top = Math.min(y(point.netAmount), zeroY);
+        const height = Math.max(1, Math.abs(y(point.netAmount) - zeroY));
+
+        return (
+          <g key={point.date}>
+            <rect
+              className={point.netAmount >= 0 ? 'chart-bar-income' : 'chart-bar-expense'}
+              x={cx - barWidth / 2}
+              y={top}
+              width={barWidth}
+              height={height}
+              rx="2"
+            >
+              <title>
+                {t('charts.netFlowTooltip', {
+                  date: formatDate(point.date),
+                  net: formatCurrency(point.netAmount),
+                  income: formatCurrency(point.totalIncome),
+                  expenses: formatCurrency(point.totalExpenses),
+                })}
+              </title>
+            </rect>
+            {index % labelStep === 0 && (
+              <text className="chart-axis-label" x={cx} y={CHART_HEIGHT - PADDING.bottom + 18} textAnchor="middle">
+                {formatDate(point.date)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Balance at the end of each day as a line over a time axis, with a dot per day
+ * (green at or above zero, red below). Flat stretches between dots are days without transactions.
+ * @param {{ points: { date: string, balance: number, netAmount: number, transactionCount: number }[] }} props
+ */
+export function BalanceLineChart({ points }) {
+  const { t, formatCurrency, formatDate } = useI18n();
+
+  if (points.length === 0) {
+    return <p className="chart-empty">{t('charts.noData')}</p>;
+  }
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+
+  const days = points.map((p) => dayNumber(p.date));
+  const firstDay = Math.min(...days);
+  const daySpan = Math.max(...days) - firstDay || 1;
+
+  const maxValue = Math.max(0, ...points.map((p) => p.balance));
+  const minValue = Math.min(0, ...points.map((p) => p.balance));
+  const range = maxValue - minValue || 1;
+
+  const y = (value) => PADDING.top + ((maxValue - value) / range) * plotHeight;
+  // A single day is drawn in the middle of the plot
+  const x = (day) => PADDING.left + (points.length === 1 ? plotWidth / 2 : ((day - firstDay) / daySpan) * plotWidth);
+  const zeroY = y(0);
+
+  // Step line: the balance holds until the next day with transactions
+  const path = points.map((point, index) => {
+    const px = x(days[index]);
+    const py = y(point.balance);
+    return index === 0 ? `M ${px} ${py}` : `H ${px} V ${py}`;
+  }).join(' ');
+
+  const labelStep = Math.max(1, Math.ceil(points.length / MAX_X_LABELS));
+
+  return (
+    <svg
+      className="chart-svg"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={t('charts.balanceOverTime')}
+    >
+      {[maxValue, minValue].filter((v, i, all) => all.indexOf(v) === i).map((value) => (
+        <g key={value}>
+          <line className="chart-grid" x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y(value)} y2={y(value)} />
+          <text className="chart-axis-label" x={PADDING.left - 8} y={y(value) + 4} textAnchor="end">
+            {formatCurrency(value, { compact: true })}
+          </text>
+        </g>
+      ))}
+
+      <line className="chart-zero" x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={zeroY} y2={zeroY} />
+      {minValue < 0 && maxValue > 0 && (
+        <text className="chart-axis-label" x={PADDING.left - 8} y={zeroY + 4} textAnchor="end">
+          {formatCurrency(0, { compact: true })}
+        </text>
+      )}
+
+      <path className="chart-line" d={path} />
+
+      {points.map((point, index) => {
+        const cx = x(days[index]);
+
+        return (
+          <g key={point.date}>
+            <circle
+              className={point.balance >= 0 ? 'chart-dot chart-bar-income' : 'chart-dot chart-bar-expense'}
+              cx={cx}
+              cy={y(point.balance)}
+              r="4"
+            >
+              <title>
+                {t('charts.balanceTooltip', {
+                  date: formatDate(point.date),
+                  balance: formatCurrency(point.balance),
+                  net: formatCurrency(point.netAmount),
+                  count: point.transactionCount,
+                })}
+              </title>
+            </circle>
+            {index % labelStep === 0 && (
+              <text className="chart-axis-label" x={cx} y={CHART_HEIGHT - PADDING.bottom + 18} textAnchor="middle">
+                {formatDate(point.date)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Horizontal bars around a center line: positive values grow right (green),
+ * negative values grow left (red).
+ * @param {{ items: { key: string, label: string, value: number, detail?: string }[] }} props
+ */
+export function DivergingBarChart({ items }) {
+  const { t, formatCurrency } = useI18n();
+
+  if (items.length === 0) {
+    return <p className="chart-empty">{t('charts.noData')}</p>;
+  }
+
+  const maxAbs = Math.max(...items.map((item) => Math.abs(item.value))) || 1;
+
+  return (
+    <ul className="diverging-chart">
+      {items.map((item) => {
+        const width = `${(Math.abs(item.value) / maxAbs) * 50}%`;
+        const positive = item.value >= 0;
+
+        return (
+          <li key={item.key} className="diverging-row" title={item.detail}>
+            <span className="diverging-label">{item.label}</span>
+            <span className="diverging-track">
+              <span
+                className={`diverging-bar ${positive ? 'chart-bar-income' : 'chart-bar-expense'}`}
+                style={positive ? { left: '50%', width } : { right: '50%', width }}
+              />
+            </span>
+            <span className={`diverging-value ${positive ? 'amount-positive' : 'amount-negative'}`}>
+              {formatCurrency(item.value)}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
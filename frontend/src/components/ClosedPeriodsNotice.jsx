@@ -0,0 +1,31 @@
+// ========================================
+// File: frontend/src/components/ClosedPeriodsNotice.jsx
+// Lists the closed periods above a transaction list (styles in Transactions.css)
+// ========================================
+
+import { Link } from 'react-router';
+import useI18n from '../hooks/useI18n';
+
+function ClosedPeriodsNotice({ periods }) {
+  const { t, formatDate } = useI18n();
+
+  if (periods.length === 0) return null;
+
+  return (
+    <div className="closed-periods-notice" role="note">
+      <span>🔒 {t('closedPeriods.notice')}</span>
+      {periods.map((period) => (
+        <span
+          key={period.id}
+          className="closed-period-chip"
+          title={`${t('closedPeriods.closedBy', { user: period.closedBy })}${period.note ? ` · ${period.note}` : ''}`}
+        >
+          {formatDate(period.startDate)} – {formatDate(period.endDate)}
+        </span>
+      ))}
+      <Link to="/reconciliation">{t('closedPeriods.manage')}</Link>
+    </div>
+  );
+}
+
+export default ClosedPeriodsNotice;
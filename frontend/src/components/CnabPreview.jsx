@@ -0,0 +1,216 @@
+// ========================================
+// File: frontend/src/components/CnabPreview.jsx
+// Line-level preview of a CNAB file parsed on the client before upload.
+// Invalid lines (skipped by the server) and suspicious ones (imported, but breaking a data
+// quality rule) are highlighted and can be listed alone. Each line shows its record
+// (header, detail segment, trailer) and the trailer totals are checked against the records.
+// ========================================
+
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import LayoutSummary from './LayoutSummary';
+import './CnabPreview.css';
+
+const MAX_PREVIEW_ROWS = 200;
+
+// Parser field names whose label is under another column id in the catalogs
+const FIELD_COLUMNS = { cardNumber: 'card', storeOwner: 'owner', storeName: 'store' };
+
+// Transaction fields have a column; the other fields of the layouts (headers, trailers,
+// whole records) are labelled by preview.fields.<field>
+const TRANSACTION_FIELDS = ['type', 'date', 'time', 'amount', 'cpf', 'cardNumber', 'storeOwner', 'storeName'];
+
+function CnabPreview({ preview, fileName = null }) {
+  const { t, formatCurrency, formatDate, typeLabel } = useI18n();
+  // null (every line), 'invalid' or 'suspicious'
+  const [only, setOnly] = useState(null);
+
+  if (!preview) return null;
+
+  const hasError = (line, field) => line.errors.some((e) => e.field === field);
+
+  const hasIssue = (line, field) => line.issues.some((issue) => issue.field === field);
+
+  const cellClass = (line, field) => {
+    if (hasError(line, field)) return 'cell-invalid';
+    return hasIssue(line, field) ? 'cell-suspicious' : '';
+  };
+
+  const rowClass = (line) => {
+    if (!line.valid) return 'row-invalid';
+    return line.issues.length > 0 ? 'row-suspicious' : '';
+  };
+
+  const fieldLabel = (field) => (TRANSACTION_FIELDS.includes(field)
+    ? t(`columns.${FIELD_COLUMNS[field] || field}`)
+    : t(`preview.fields.${field}`));
+
+  const recordLabel = (line) => {
+    if (!line.kind) return '—';
+    if (line.segment) return `${t(`layouts.kinds.${line.kind}`)} ${line.segment}`;
+    return t(`layouts.kinds.${line.kind}`);
+  };
+
+  // Layouts without cards or times (collection returns) leave those columns out
+  const showCard = preview.hasCardNumber !== false;
+  const showTime = preview.hasTransactionTime !== false;
+
+  const toggleOnly = (filter) => setOnly((current) => (current === filter ? null : filter));
+
+  const filteredLines = preview.lines.filter((l) => {
+    if (only === 'invalid') return !l.valid;
+    if (only === 'suspicious') return l.issues.length > 0;
+    return true;
+  });
+  const visibleLines = filteredLines.slice(0, MAX_PREVIEW_ROWS);
+
+  return (
+    <div className="cnab-preview">
+      <div className="preview-header">
+        <h3>🔍 {t('preview.title')}{fileName && <span className="preview-file-name"> - {fileName}</span>}</h3>
+        <div className="preview-summary">
+          <span className="preview-count">{t('preview.lines', { count: preview.totalLines })}</span>
+          <span className="preview-count valid">✅ {t('preview.valid', { count: preview.validCount })}</span>
+          <span className={`preview-count ${preview.invalidCount > 0 ? 'invalid' : ''}`}>
+            ❌ {t('preview.invalid', { count: preview.invalidCount })}
+          </span>
+          {preview.flaggedCount > 0 && (
+            <span className="preview-count suspicious">
+              ⚠️ {t('preview.suspicious', { count: preview.flaggedCount })}
+            </span>
+          )}
+          {preview.skippedCount > 0 && (
+            <span className="preview-count">
+              ⏭️ {t('preview.skipped', { count: preview.skippedCount })}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <LayoutSummary file={preview} />
+
+      {preview.trailerValid === false && (
+        <div className="preview-warning">
+          ⚠️ {t('preview.trailerWarning')}
+        </div>
+      )}
+
+      {preview.invalidCount > 0 && (
+        <div className="preview-warning">
+          ⚠️ {t('preview.invalidWarning')}
+        </div>
+      )}
+
+      {preview.flaggedCount > 0 && (
+        <div className="preview-warning">
+          ⚠️ {t('preview.suspiciousWarning')}
+        </div>
+      )}
+
+      <div className="preview-filters">
+        <label className="preview-filter">
+          <input
+            type="checkbox"
+            checked={only === 'invalid'}
+            onChange={() => toggleOnly('invalid')}
+            disabled={preview.invalidCount === 0}
+          />
+          {t('preview.onlyInvalid')}
+        </label>
+        <label className="preview-filter">
+          <input
+            type="checkbox"
+            checked={only === 'suspicious'}
+            onChange={() => toggleOnly('suspicious')}
+            disabled={!preview.flaggedCount}
+          />
+          {t('preview.onlySuspicious')}
+        </label>
+      </div>
+
+      <div className="preview-table-wrapper">
+        <table className="preview-table">
+          <thead>
+            <tr>
+              <th>{t('preview.line')}</th>
+              <th>{t('preview.record')}</th>
+              <th>{t('columns.type')}</th>
+              <th>{t('columns.date')}</th>
+              {showTime && <th>{t('columns.time')}</th>}
+              <th>{t('columns.amount')}</th>
+              <th>{t('columns.cpf')}</th>
+              {showCard && <th>{t('columns.card')}</th>}
+              <th>{t('columns.owner')}</th>
+              <th>{t('columns.store')}</th>
+              <th>{t('preview.status')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleLines.map((line) => {
+              // Headers, trailers and segments without the amounts have no transaction
+              const transaction = line.transaction ?? {};
+              return (
+                <tr key={line.lineNumber} className={rowClass(line)}>
+                  <td>{line.lineNumber}</td>
+                  <td className={cellClass(line, 'record')}>{recordLabel(line)}</td>
+                  <td className={cellClass(line, 'type')}>
+                    {transaction.type ? (
+                      <span className={`badge badge-${transaction.nature.toLowerCase()}`}>
+                        {typeLabel(transaction.type)}
+                      </span>
+                    ) : '—'}
+                  </td>
+                  <td className={cellClass(line, 'date')}>{transaction.date ? formatDate(transaction.date) : '—'}</td>
+                  {showTime && <td className={cellClass(line, 'time')}>{transaction.time || '—'}</td>}
+                  <td className={cellClass(line, 'amount')}>
+                    {transaction.amount != null ? formatCurrency(transaction.signedAmount) : '—'}
+                  </td>
+                  <td className={cellClass(line, 'cpf')}>{transaction.cpf || '—'}</td>
+                  {showCard && <td className={cellClass(line, 'cardNumber')}>{transaction.cardNumber}</td>}
+                  <td className={cellClass(line, 'storeOwner')}>{transaction.storeOwner}</td>
+                  <td className={cellClass(line, 'storeName')}>{transaction.storeName || '—'}</td>
+                  <td>
+                    {line.valid && line.skip && (
+                      <span className="status-skipped">{t(`preview.skips.${line.skip.code}`, line.skip.values)}</span>
+                    )}
+                    {line.valid && !line.skip && line.issues.length === 0 && (
+                      <span className="status-ok">{t('preview.ok')}</span>
+                    )}
+                    {line.valid && line.issues.length > 0 && (
+                      <ul className="line-issues">
+                        {line.issues.map((issue) => (
+                          <li key={issue.rule}>
+                            <strong>{t(`dataQuality.rules.${issue.rule}`)}:</strong>{' '}
+                            {t(`dataQuality.details.${issue.rule}`, issue.values)}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {!line.valid && (
+                      <ul className="line-errors">
+                        {line.errors.map((error) => (
+                          <li key={error.field}>
+                            <strong>{fieldLabel(error.field)}:</strong>{' '}
+                            {t(`preview.errors.${error.code}`, error.values)}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {filteredLines.length > MAX_PREVIEW_ROWS && (
+        <p className="preview-truncated">
+          {t('preview.truncated', { shown: MAX_PREVIEW_ROWS, count: filteredLines.length })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default CnabPreview;
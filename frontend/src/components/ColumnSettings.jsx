@@ -0,0 +1,126 @@
+// ========================================
+// File: frontend/src/components/ColumnSettings.jsx
+// Panel to show, hide and reorder transaction table columns and pin the default sort
+// ========================================
+
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { TRANSACTION_COLUMNS, createDefaultLayout } from '../services/tableLayout';
+import './ColumnSettings.css';
+
+// One entry per sort field (type and type code sort the same way)
+const SORT_OPTIONS = TRANSACTION_COLUMNS.filter(
+  (column, index) => TRANSACTION_COLUMNS.findIndex((c) => c.sortField === column.sortField) === index
+);
+
+function ColumnSettings({ layout, onChange, currentSort }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  const columnLabel = (id) => t(`columns.${id}`);
+
+  const describeSort = (sort) => {
+    const column = SORT_OPTIONS.find((c) => c.sortField === sort.field);
+    return `${column ? columnLabel(column.id) : sort.field} ${sort.direction === 'Asc' ? '▲' : '▼'}`;
+  };
+
+  const visibleCount = layout.columns.filter((column) => column.visible).length;
+
+  const toggleColumn = (id) => {
+    onChange({
+      ...layout,
+      columns: layout.columns.map((column) =>
+        column.id === id ? { ...column, visible: !column.visible } : column
+      ),
+    });
+  };
+
+  const moveColumn = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= layout.columns.length) return;
+
+    const columns = [...layout.columns];
+    [columns[index], columns[target]] = [columns[target], columns[index]];
+    onChange({ ...layout, columns });
+  };
+
+  const isPinned = currentSort.field === layout.defaultSort.field
+    && currentSort.direction === layout.defaultSort.direction;
+
+  return (
+    <div className="column-settings">
+      <button
+        type="button"
+        className="toggle-btn column-settings-toggle"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-expanded={open}
+      >
+        ⚙️ {t('columnSettings.columns')}
+      </button>
+
+      {open && (
+        <div className="column-settings-panel">
+          <h4>{t('columnSettings.columns')}</h4>
+          <ul className="column-list">
+            {layout.columns.map((column, index) => (
+              <li key={column.id} className={column.visible ? '' : 'column-hidden'}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={column.visible}
+                    onChange={() => toggleColumn(column.id)}
+                    // Keep at least one column on screen
+                    disabled={column.visible && visibleCount === 1}
+                  />
+                  {columnLabel(column.id)}
+                </label>
+                <span className="column-move">
+                  <button
+                    type="button"
+                    onClick={() => moveColumn(index, -1)}
+                    disabled={index === 0}
+                    aria-label={t('columnSettings.moveUp', { column: columnLabel(column.id) })}
+                  >
+                    ▲
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveColumn(index, 1)}
+                    disabled={index === layout.columns.length - 1}
+                    aria-label={t('columnSettings.moveDown', { column: columnLabel(column.id) })}
+                  >
+                    ▼
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <h4>{t('columnSettings.defaultSort')}</h4>
+          <p className="column-settings-sort">
+            📌 {describeSort(layout.defaultSort)}
+          </p>
+          <button
+            type="button"
+            className="queue-btn"
+            onClick={() => onChange({ ...layout, defaultSort: { ...currentSort } })}
+            disabled={isPinned}
+          >
+            {t('columnSettings.pinSort', { sort: describeSort(currentSort) })}
+          </button>
+
+          <div className="column-settings-footer">
+            <button type="button" className="queue-btn" onClick={() => onChange(createDefaultLayout())}>
+              ↺ {t('columnSettings.reset')}
+            </button>
+            <button type="button" className="queue-btn" onClick={() => setOpen(false)}>
+              {t('columnSettings.close')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ColumnSettings;
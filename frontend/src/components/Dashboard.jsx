@@ -0,0 +1,134 @@
+// ========================================
+// File: frontend/src/components/Dashboard.jsx
+// Statistics dashboard: KPI cards and charts built from /cnab/stats
+// ========================================
+
+import { useState, useEffect } from 'react';
+import useI18n from '../hooks/useI18n';
+import { translate } from '../services/i18n';
+import cnabService from '../services/cnabService';
+import { NetFlowChart, DivergingBarChart } from './Charts';
+import './Dashboard.css';
+
+function Dashboard({ refresh }) {
+  const { t, formatCurrency, formatNumber, typeLabel } = useI18n();
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStats();
+  }, [refresh]);
+
+  const loadStats = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await cnabService.getStatistics();
+      setStats(data);
+    } catch (err) {
+      setError(err.response?.data?.message || translate('dashboard.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading && !stats) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>{t('dashboard.loading')}</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="alert alert-error">❌ {error}</div>;
+  }
+
+  if (!stats || stats.totalTransactions === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">📈</div>
+        <h3>{t('dashboard.empty')}</h3>
+        <p>{t('dashboard.emptyHint')}</p>
+      </div>
+    );
+  }
+
+  // Expenses point left so income and expense types read apart at a glance
+  const typeItems = stats.typeTotals.map((total) => ({
+    key: total.type,
+    label: `${total.type} · ${typeLabel(total.type)}`,
+    value: total.nature === 'Expense' ? -total.totalAmount : total.totalAmount,
+    detail: t(`charts.typeDetail.${total.nature}`, { count: total.transactionCount }),
+  }));
+
+  const toStoreItems = (stores) => stores.map((store) => ({
+    key: store.storeName,
+    label: store.storeName,
+    value: store.netAmount,
+    detail: t('charts.storeDetail', {
+      count: store.transactionCount,
+      income: formatCurrency(store.totalIncome),
+      expenses: formatCurrency(store.totalExpenses),
+    }),
+  }));
+
+  const kpis = [
+    { label: t('dashboard.totalBalance'), value: formatCurrency(stats.totalBalance), tone: stats.totalBalance >= 0 ? 'positive' : 'negative' },
+    { label: t('dashboard.totalIncome'), value: formatCurrency(stats.totalIncome), tone: 'positive' },
+    { label: t('dashboard.totalExpenses'), value: formatCurrency(stats.totalExpenses), tone: 'negative' },
+    { label: t('dashboard.transactions'), value: formatNumber(stats.totalTransactions) },
+    { label: t('dashboard.stores'), value: formatNumber(stats.totalStores) },
+    { label: t('dashboard.biggestStore'), value: stats.biggestStore || '—', small: true },
+    { label: t('dashboard.smallestStore'), value: stats.smallestStore || '—', small: true },
+  ];
+
+  return (
+    <div className={`dashboard-container ${loading ? 'dashboard-refreshing' : ''}`}>
+      <div className="dashboard-header">
+        <h2>📈 {t('nav.dashboard')}</h2>
+        <button className="toggle-btn dashboard-refresh" onClick={loadStats} disabled={loading}>
+          {loading ? `⏳ ${t('dashboard.refreshing')}` : `🔄 ${t('dashboard.refresh')}`}
+        </button>
+      </div>
+
+      <div className="kpi-grid">
+        {kpis.map((kpi) => (
+          <div key={kpi.label} className={`kpi-card ${kpi.tone ? `kpi-${kpi.tone}` : ''}`}>
+            <span className="kpi-label">{kpi.label}</span>
+            <span className={`kpi-value ${kpi.small ? 'kpi-value-small' : ''}`} title={kpi.value}>
+              {kpi.value}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <section className="dashboard-panel">
+        <h3>{t('dashboard.dailyNetFlow')}</h3>
+        <p className="dashboard-panel-hint">{t('dashboard.dailyNetFlowHint')}</p>
+        <NetFlowChart points={stats.dailyFlow} />
+      </section>
+
+      <section className="dashboard-panel">
+        <h3>{t('dashboard.byType')}</h3>
+        <DivergingBarChart items={typeItems} />
+      </section>
+
+      <div className="dashboard-columns">
+        <section className="dashboard-panel">
+          <h3>🏆 {t('dashboard.topStores')}</h3>
+          <DivergingBarChart items={toStoreItems(stats.topStores)} />
+        </section>
+        <section className="dashboard-panel">
+          <h3>📉 {t('dashboard.bottomStores')}</h3>
+          <DivergingBarChart items={toStoreItems(stats.bottomStores)} />
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,236 @@
+// ========================================
+// File: frontend/src/components/DataQuality.jsx
+// Stored transactions breaking the data quality rules, grouped by rule,
+// with a paged drill-down into the transactions of each rule
+// ========================================
+
+import { useState, useEffect } from 'react';
+import useI18n from '../hooks/useI18n';
+import { translate } from '../services/i18n';
+import { RULE_FIELDS } from '../services/dataQuality';
+import cnabService from '../services/cnabService';
+import Pagination from './Pagination';
+import './ImportHistory.css';
+import './DataQuality.css';
+
+const DETAIL_PAGE_SIZE = 20;
+
+function DataQuality({ refresh }) {
+  const { t, formatDateTime } = useI18n();
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedRule, setExpandedRule] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+
+  useEffect(() => {
+    loadSummary();
+  }, [refresh]);
+
+  const loadSummary = async () => {
+    setLoading(true);
+    setError(null);
+    setExpandedRule(null);
+    setDetail(null);
+
+    try {
+      const data = await cnabService.getDataQuality();
+      setSummary(data);
+    } catch (err) {
+      setError(err.response?.data?.message || translate('dataQuality.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadDetail = async (rule, pageNumber) => {
+    setDetailLoading(true);
+
+    try {
+      const data = await cnabService.getDataQualityFindings(rule, pageNumber, DETAIL_PAGE_SIZE);
+      setDetail(data);
+    } catch (err) {
+      setDetail(null);
+      setError(err.response?.data?.message || t('dataQuality.detailLoadError'));
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  const toggleExpanded = (rule) => {
+    if (expandedRule === rule) {
+      setExpandedRule(null);
+      setDetail(null);
+      return;
+    }
+
+    setExpandedRule(rule);
+    setDetail(null);
+    loadDetail(rule, 1);
+  };
+
+  if (loading && !summary) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>{t('dataQuality.loading')}</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="alert alert-error">
+        ❌ {error}
+      </div>
+    );
+  }
+
+  if (!summary || summary.transactionCount === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">🩺</div>
+        <h3>{t('dataQuality.empty')}</h3>
+        <p>{t('dataQuality.emptyHint')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="import-history data-quality">
+      <div className="import-history-header">
+        <h2>🩺 {t('dataQuality.title')}</h2>
+        <div className="data-quality-status">
+          <span className={`import-history-count ${summary.flaggedTransactionCount > 0 ? 'data-quality-flagged' : ''}`}>
+            {t('dataQuality.flagged', { flagged: summary.flaggedTransactionCount, count: summary.transactionCount })}
+          </span>
+          <button className="btn btn-secondary" onClick={loadSummary} disabled={loading}>
+            🔄 {t('dataQuality.checkAgain')}
+          </button>
+        </div>
+      </div>
+
+      <p className="data-quality-hint">
+        {t('dataQuality.hint')} {t('dataQuality.checkedAt', { date: formatDateTime(summary.checkedAt) })}
+      </p>
+
+      <div className="transactions-table-wrapper">
+        <table className="transactions-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>{t('dataQuality.rule')}</th>
+              <th>{t('dataQuality.checks')}</th>
+              <th>{t('dashboard.transactions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.rules.map((rule) => (
+              <RuleRow
+                key={rule.rule}
+                rule={rule}
+                isExpanded={expandedRule === rule.rule}
+                onToggle={() => toggleExpanded(rule.rule)}
+              >
+                <FindingsDetail
+                  detail={detail}
+                  loading={detailLoading}
+                  onPageChange={(pageNumber) => loadDetail(rule.rule, pageNumber)}
+                />
+              </RuleRow>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {summary.flaggedTransactionCount === 0 && (
+        <p className="data-quality-clean">✅ {t('dataQuality.clean', { count: summary.transactionCount })}</p>
+      )}
+    </div>
+  );
+}
+
+function RuleRow({ rule, isExpanded, onToggle, children }) {
+  const { t, formatNumber } = useI18n();
+  const canExpand = rule.transactionCount > 0;
+
+  return (
+    <>
+      <tr
+        className={`import-row ${isExpanded ? 'expanded' : ''} ${canExpand ? '' : 'data-quality-ok'}`}
+        onClick={canExpand ? onToggle : undefined}
+      >
+        <td className="import-toggle">{canExpand && (isExpanded ? '▾' : '▸')}</td>
+        <td className="import-file">{t(`dataQuality.rules.${rule.rule}`)}</td>
+        <td className="data-quality-rule-hint">{t(`dataQuality.ruleHints.${rule.rule}`)}</td>
+        <td>
+          <span className={`data-quality-count ${canExpand ? 'data-quality-flagged' : ''}`}>
+            {canExpand ? `⚠️ ${formatNumber(rule.transactionCount)}` : '✅ 0'}
+          </span>
+        </td>
+      </tr>
+      {isExpanded && (
+        <tr className="import-detail-row">
+          <td colSpan={4}>{children}</td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+function FindingsDetail({ detail, loading, onPageChange }) {
+  const { t, formatCurrency, formatDate } = useI18n();
+
+  if (!detail) {
+    return <p className="import-detail-status">{t('transactions.loading')}</p>;
+  }
+
+  const flaggedClass = (finding, field) => (RULE_FIELDS[finding.rule] === field ? 'data-quality-cell' : undefined);
+
+  return (
+    <>
+      <div className="transactions-table-wrapper">
+        <table className="transactions-table">
+          <thead>
+            <tr>
+              <th>{t('columns.date')}</th>
+              <th>{t('columns.time')}</th>
+              <th>{t('columns.store')}</th>
+              <th>{t('columns.owner')}</th>
+              <th>{t('columns.cpf')}</th>
+              <th>{t('columns.card')}</th>
+              <th>{t('columns.amount')}</th>
+              <th>{t('importReport.reason')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {detail.items.map((finding) => {
+              const { transaction } = finding;
+              return (
+                <tr key={transaction.id}>
+                  <td className={flaggedClass(finding, 'date')}>{formatDate(transaction.date)}</td>
+                  <td className={flaggedClass(finding, 'date')}>{transaction.time}</td>
+                  <td>{transaction.storeName}</td>
+                  <td className={flaggedClass(finding, 'storeOwner')}>{transaction.storeOwner}</td>
+                  <td className={flaggedClass(finding, 'cpf')}>{transaction.cpf}</td>
+                  <td className={flaggedClass(finding, 'cardNumber')}>{transaction.cardNumber}</td>
+                  <td className={transaction.signedAmount >= 0 ? 'amount-positive' : 'amount-negative'}>
+                    {formatCurrency(transaction.signedAmount)}
+                  </td>
+                  <td className="data-quality-reason">
+                    {t(`dataQuality.details.${finding.rule}`, { expected: finding.expectedValue })}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination page={detail} onPageChange={onPageChange} disabled={loading} compact />
+    </>
+  );
+}
+
+export default DataQuality;
@@ -0,0 +1,136 @@
+// ========================================
+// File: frontend/src/components/ExportMenu.jsx
+// Export menu of the transactions view: CSV / XLSX of the filtered set and printable store statements
+// ========================================
+
+import { useState, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+import {
+  fetchTransactionsForExport,
+  exportTransactionsCsv,
+  exportTransactionsXlsx,
+  printStoreStatements,
+} from '../services/transactionExport';
+import './ExportMenu.css';
+
+const ALL_STORES = '';
+
+function ExportMenu({ stores, filters, sort, hasFilters = false, disabled = false }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [statementStore, setStatementStore] = useState(ALL_STORES);
+  // { label, loaded, total } while an export is running
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const totalTransactions = stores.reduce((sum, store) => sum + store.transactionCount, 0);
+  const isRunning = progress !== null;
+
+  const runExport = async (label, task) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress({ label, loaded: 0, total: totalTransactions });
+
+    try {
+      await task({
+        signal: controller.signal,
+        onProgress: (loaded, total) => setProgress({ label, loaded, total }),
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError' && err.name !== 'CanceledError') {
+        setError(err.response?.data?.message || err.message || t('exportMenu.failed'));
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleCsv = () => runExport('CSV', async ({ signal, onProgress }) => {
+    const transactions = await fetchTransactionsForExport({ filters, sort, signal, onProgress });
+    exportTransactionsCsv(transactions);
+  });
+
+  const handleXlsx = () => runExport('Excel', async ({ signal, onProgress }) => {
+    const transactions = await fetchTransactionsForExport({ filters, sort, signal, onProgress });
+    exportTransactionsXlsx(transactions, stores);
+  });
+
+  const handleStatement = () => {
+    const selected = statementStore === ALL_STORES
+      ? stores
+      : stores.filter((store) => store.storeName === statementStore);
+
+    return runExport(t('exportMenu.statementLabel'), (options) => printStoreStatements(selected, { filters, ...options }));
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="toggle-btn export-menu-toggle"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-expanded={open}
+        disabled={disabled && !isRunning}
+      >
+        {isRunning ? `⏳ ${t('exportMenu.exporting')}` : `⬇️ ${t('exportMenu.export')}`}
+      </button>
+
+      {open && (
+        <div className="export-menu-panel">
+          <h4>{t('exportMenu.transactions')}</h4>
+          <p className="export-menu-hint">
+            {t(hasFilters ? 'exportMenu.matchingHint' : 'exportMenu.allHint', { count: totalTransactions })}
+          </p>
+          <div className="export-menu-actions">
+            <button type="button" className="queue-btn" onClick={handleCsv} disabled={disabled || isRunning}>
+              📄 CSV
+            </button>
+            <button type="button" className="queue-btn" onClick={handleXlsx} disabled={disabled || isRunning}>
+              📊 Excel (XLSX)
+            </button>
+          </div>
+
+          <h4>{t('exportMenu.statement')}</h4>
+          <p className="export-menu-hint">{t('exportMenu.statementHint')}</p>
+          <select
+            className="export-menu-select"
+            value={statementStore}
+            onChange={(e) => setStatementStore(e.target.value)}
+            disabled={isRunning}
+          >
+            <option value={ALL_STORES}>{t('exportMenu.allStores', { count: stores.length })}</option>
+            {stores.map((store) => (
+              <option key={store.storeName} value={store.storeName}>{store.storeName}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="queue-btn"
+            onClick={handleStatement}
+            disabled={disabled || isRunning || stores.length === 0}
+          >
+            🖨️ {t('exportMenu.print')}
+          </button>
+
+          {isRunning && (
+            <div className="export-menu-progress">
+              <span>
+                {t('exportMenu.progress', { label: progress.label, loaded: progress.loaded, count: progress.total })}
+              </span>
+              <button type="button" className="queue-btn" onClick={() => abortRef.current?.abort()}>
+                {t('modal.cancel')}
+              </button>
+            </div>
+          )}
+
+          {error && <p className="export-menu-error">❌ {error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
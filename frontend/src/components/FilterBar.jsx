@@ -0,0 +1,157 @@
+// ========================================
+// File: frontend/src/components/FilterBar.jsx
+// Transaction search form: edits a draft and applies it on submit
+// ========================================
+
+import { useState } from 'react';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { TRANSACTION_TYPES } from '../services/cnabParser';
+import { EMPTY_FILTERS, countActiveFilters, validateFilters } from '../services/transactionFilters';
+import './FilterBar.css';
+
+function FilterBar({ filters, onApply, disabled = false }) {
+  const { t, typeLabel } = useI18n();
+  const { can } = useAuth();
+  // Part of a CPF would let the masked digits be guessed one by one
+  const partialCpf = can('searchPartialCpf');
+  const [draft, setDraft] = useState(filters);
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const [expanded, setExpanded] = useState(() => countActiveFilters(filters) > 0);
+  const [validationError, setValidationError] = useState(null);
+
+  // Filters changed outside the form (back button, link): show them
+  if (filters !== appliedFilters) {
+    setAppliedFilters(filters);
+    setDraft(filters);
+    setValidationError(null);
+  }
+
+  const activeCount = countActiveFilters(filters);
+
+  const updateField = (name, value) => {
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const toggleType = (type) => {
+    setDraft((prev) => ({
+      ...prev,
+      types: prev.types.includes(type)
+        ? prev.types.filter((t) => t !== type)
+        : [...prev.types, type].sort(),
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const error = validateFilters(draft, { partialCpf });
+    setValidationError(error);
+    if (!error) {
+      onApply(draft);
+    }
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_FILTERS);
+    setValidationError(null);
+    onApply(EMPTY_FILTERS);
+  };
+
+  const textField = (name, label, props = {}) => (
+    <label className="filter-field">
+      <span>{label}</span>
+      <input
+        value={draft[name]}
+        onChange={(e) => updateField(name, e.target.value)}
+        disabled={disabled}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <form className="filter-bar" onSubmit={handleSubmit}>
+      <div className="filter-bar-header">
+        <button
+          type="button"
+          className="filter-bar-toggle"
+          onClick={() => setExpanded((prev) => !prev)}
+          aria-expanded={expanded}
+        >
+          {expanded ? '▾' : '▸'} 🔎 {t('filters.title')}
+          {activeCount > 0 && <span className="filter-count">{t('filters.active', { count: activeCount })}</span>}
+        </button>
+        {activeCount > 0 && (
+          <button type="button" className="filter-clear" onClick={handleClear} disabled={disabled}>
+            ✖ {t('filters.clear')}
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <>
+          <div className="filter-grid">
+            {textField('dateFrom', t('filters.from'), { type: 'date', max: draft.dateTo || undefined })}
+            {textField('dateTo', t('filters.to'), { type: 'date', min: draft.dateFrom || undefined })}
+            <label className="filter-field">
+              <span>{t('columns.nature')}</span>
+              <select
+                value={draft.nature}
+                onChange={(e) => updateField('nature', e.target.value)}
+                disabled={disabled}
+              >
+                <option value="">{t('filters.anyNature')}</option>
+                <option value="Income">{t('filters.incomeOnly')}</option>
+                <option value="Expense">{t('filters.expenseOnly')}</option>
+              </select>
+            </label>
+            {textField('minAmount', t('filters.minAmount'), { type: 'number', min: 0, step: '0.01' })}
+            {textField('maxAmount', t('filters.maxAmount'), { type: 'number', min: 0, step: '0.01' })}
+            {textField('storeName', t('columns.store'), { placeholder: t('filters.storePlaceholder') })}
+            {textField('storeOwner', t('columns.owner'), { placeholder: t('filters.ownerPlaceholder') })}
+            {textField('cpf', t('columns.cpf'), { inputMode: 'numeric', placeholder: t('filters.cpfPlaceholder') })}
+            {textField('cardSuffix', t('filters.cardSuffix'), { inputMode: 'numeric', maxLength: 4, placeholder: '3153' })}
+          </div>
+
+          <fieldset className="filter-types" disabled={disabled}>
+            <legend>{t('filters.types')}</legend>
+            {Object.entries(TRANSACTION_TYPES).map(([code, info]) => {
+              const selected = draft.types.includes(code);
+              return (
+                <label
+                  key={code}
+                  className={`filter-type ${selected ? `selected badge-${info.nature.toLowerCase()}` : ''}`}
+                >
+                  <input type="checkbox" checked={selected} onChange={() => toggleType(code)} />
+                  {code} · {typeLabel(code)}
+                </label>
+              );
+            })}
+          </fieldset>
+
+          {validationError && <div className="filter-error">⚠️ {validationError}</div>}
+
+          <div className="filter-actions">
+            <button type="submit" className="btn btn-primary" disabled={disabled}>
+              {t('filters.apply')}
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => {
+                setDraft(filters);
+                setValidationError(null);
+              }}
+              disabled={disabled}
+            >
+              {t('filters.reset')}
+            </button>
+          </div>
+        </>
+      )}
+    </form>
+  );
+}
+
+export default FilterBar;
@@ -0,0 +1,307 @@
+// ========================================
+// File: frontend/src/components/ImportHistory.jsx
+// History of uploaded files with drill-down and per-import rollback
+// ========================================
+
+import { useState, useEffect } from 'react';
+import useI18n from '../hooks/useI18n';
+import { translate } from '../services/i18n';
+import cnabService from '../services/cnabService';
+import Pagination from './Pagination';
+import PermissionGuard from './PermissionGuard';
+import './ImportHistory.css';
+
+const DETAIL_PAGE_SIZE = 20;
+
+function ImportHistory({
+  refresh,
+  isUploading = false,
+  onShowModal = null,
+  onCloseModal = null,
+  onRollbackComplete = null,
+}) {
+  const { t, formatCurrency, formatDate, formatDateTime, typeLabel } = useI18n();
+  const [imports, setImports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [rollingBackId, setRollingBackId] = useState(null);
+
+  useEffect(() => {
+    loadImports();
+  }, [refresh]);
+
+  const loadImports = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await cnabService.getImports();
+      setImports(data);
+    } catch (err) {
+      setError(err.response?.data?.message || translate('importHistory.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadDetail = async (importId, pageNumber) => {
+    setDetailLoading(true);
+
+    try {
+      const data = await cnabService.getImportTransactions(importId, pageNumber, DETAIL_PAGE_SIZE);
+      setDetail(data);
+    } catch (err) {
+      setDetail(null);
+      setError(err.response?.data?.message || t('importHistory.detailLoadError'));
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  const toggleExpanded = (importId) => {
+    if (expandedId === importId) {
+      setExpandedId(null);
+      setDetail(null);
+      return;
+    }
+
+    setExpandedId(importId);
+    setDetail(null);
+    loadDetail(importId, 1);
+  };
+
+  const closeModal = () => {
+    if (onCloseModal) {
+      onCloseModal();
+    }
+  };
+
+  const handleRollback = (entry) => {
+    if (!onShowModal) return;
+
+    onShowModal({
+      type: 'confirm',
+      title: t('importHistory.rollback.title'),
+      message: t('importHistory.rollback.message', {
+        count: entry.transactionCount,
+        file: entry.fileName,
+        date: formatDateTime(entry.importedAt),
+      }),
+      confirmationPhrase: entry.fileName,
+      confirmText: t('importHistory.rollback.confirm'),
+      onConfirm: () => executeRollback(entry),
+      onCancel: closeModal,
+    });
+  };
+
+  const executeRollback = async (entry) => {
+    closeModal();
+    setRollingBackId(entry.id);
+
+    try {
+      const result = await cnabService.rollbackImport(entry.id);
+
+      if (expandedId === entry.id) {
+        setExpandedId(null);
+        setDetail(null);
+      }
+      await loadImports();
+
+      if (onRollbackComplete) {
+        onRollbackComplete(result);
+      }
+
+      if (onShowModal) {
+        onShowModal({
+          type: 'success',
+          title: t('importHistory.rollback.success'),
+          message: result.message,
+          onConfirm: closeModal,
+        });
+      }
+    } catch (err) {
+      if (onShowModal) {
+        onShowModal({
+          type: 'error',
+          title: t('app.error'),
+          message: err.response?.data?.message || t('importHistory.rollback.failed'),
+          onConfirm: closeModal,
+        });
+      }
+    } finally {
+      setRollingBackId(null);
+    }
+  };
+
+  const renderDetail = () => {
+    if (detailLoading && !detail) {
+      return <p className="import-detail-status">{t('transactions.loading')}</p>;
+    }
+
+    if (!detail || detail.totalCount === 0) {
+      return <p className="import-detail-status">{t('importHistory.noneLeft')}</p>;
+    }
+
+    return (
+      <>
+        <div className="transactions-table-wrapper">
+          <table className="transactions-table">
+            <thead>
+              <tr>
+                <th>{t('columns.date')}</th>
+                <th>{t('columns.time')}</th>
+                <th>{t('columns.type')}</th>
+                <th>{t('columns.store')}</th>
+                <th>{t('columns.owner')}</th>
+                <th>{t('columns.amount')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {detail.items.map((transaction) => (
+                <tr key={transaction.id}>
+                  <td>{formatDate(transaction.date)}</td>
+                  <td>{transaction.time}</td>
+                  <td>
+                    <span className={`badge badge-${transaction.nature.toLowerCase()}`}>
+                      {typeLabel(transaction.type)}
+                    </span>
+                  </td>
+                  <td>{transaction.storeName}</td>
+                  <td>{transaction.storeOwner}</td>
+                  <td className={transaction.signedAmount >= 0 ? 'amount-positive' : 'amount-negative'}>
+                    {formatCurrency(transaction.signedAmount)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <Pagination
+          page={detail}
+          onPageChange={(pageNumber) => loadDetail(expandedId, pageNumber)}
+          disabled={detailLoading}
+          compact
+        />
+      </>
+    );
+  };
+
+  if (loading && imports.length === 0) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>{t('importHistory.loading')}</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="alert alert-error">
+        ❌ {error}
+      </div>
+    );
+  }
+
+  if (imports.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">🗂️</div>
+        <h3>{t('importHistory.empty')}</h3>
+        <p>{t('importHistory.emptyHint')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="import-history">
+      <div className="import-history-header">
+        <h2>🗂️ {t('importHistory.title')}</h2>
+        <span className="import-history-count">{t('importHistory.count', { count: imports.length })}</span>
+      </div>
+
+      <div className="transactions-table-wrapper">
+        <table className="transactions-table import-history-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>{t('importJobs.file')}</th>
+              <th>{t('importHistory.uploadedBy')}</th>
+              <th>{t('importHistory.importedAt')}</th>
+              <th>{t('dashboard.transactions')}</th>
+              <th>{t('importHistory.netAmount')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {imports.map((entry) => (
+              <ImportRow
+                key={entry.id}
+                entry={entry}
+                isExpanded={expandedId === entry.id}
+                isRollingBack={rollingBackId === entry.id}
+                disabled={isUploading || rollingBackId !== null}
+                onToggle={() => toggleExpanded(entry.id)}
+                onRollback={() => handleRollback(entry)}
+              >
+                {renderDetail()}
+              </ImportRow>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function ImportRow({
+  entry,
+  isExpanded,
+  isRollingBack,
+  disabled,
+  onToggle,
+  onRollback,
+  children,
+}) {
+  const { t, formatCurrency, formatDateTime, formatNumber } = useI18n();
+
+  return (
+    <>
+      <tr className={`import-row ${isExpanded ? 'expanded' : ''}`} onClick={onToggle}>
+        <td className="import-toggle">{isExpanded ? '▾' : '▸'}</td>
+        <td className="import-file">{entry.fileName}</td>
+        <td>{entry.uploadedBy}</td>
+        <td>{formatDateTime(entry.importedAt)}</td>
+        <td>{formatNumber(entry.transactionCount)}</td>
+        <td className={entry.netAmount >= 0 ? 'amount-positive' : 'amount-negative'}>
+          {formatCurrency(entry.netAmount)}
+        </td>
+        <td>
+          <PermissionGuard permission="delete">
+            <button
+              className="btn-rollback"
+              onClick={(e) => {
+                e.stopPropagation();
+                onRollback();
+              }}
+              disabled={disabled || entry.transactionCount === 0}
+            >
+              {isRollingBack ? `⏳ ${t('importHistory.rollingBack')}` : `↩️ ${t('importHistory.rollback.confirm')}`}
+            </button>
+          </PermissionGuard>
+        </td>
+      </tr>
+      {isExpanded && (
+        <tr className="import-detail-row">
+          <td colSpan={7}>{children}</td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+export default ImportHistory;
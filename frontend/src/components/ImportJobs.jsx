@@ -0,0 +1,110 @@
+// ========================================
+// File: frontend/src/components/ImportJobs.jsx
+// Background imports kept by the server: running ones with phase, progress and ETA,
+// finished ones with their result. Survives leaving the page, since it reads the server.
+// ========================================
+
+import useImportJobs from '../hooks/useImportJobs';
+import useI18n from '../hooks/useI18n';
+import { jobPhaseLabel, describeJobProgress, formatEta, isJobImported } from '../services/importJobs';
+import './ImportHistory.css';
+import './UploadQueue.css';
+import './ImportJobs.css';
+
+const formatDuration = (job) => {
+  if (!job.startedAt || !job.finishedAt) return '';
+  const seconds = Math.round((new Date(job.finishedAt) - new Date(job.startedAt)) / 1000);
+  return seconds < 60 ? `${seconds} s` : `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+};
+
+function ImportJobs({ watch = false, onViewReport = null }) {
+  const { jobs, error, cancel } = useImportJobs(watch);
+  const { t, formatTime } = useI18n();
+
+  const describeResult = (job) => {
+    if (job.phase === 'Cancelled') return t('importJobs.cancelledResult');
+    if (isJobImported(job)) {
+      const { transactionCount, duplicatesSkipped } = job.result;
+      return t('uploadQueue.imported', { count: transactionCount }) +
+        (duplicatesSkipped > 0 ? ` ${t('uploadQueue.duplicatesSkipped', { count: duplicatesSkipped })}` : '');
+    }
+    return job.result?.message || t('importJobs.failed');
+  };
+
+  if (jobs.length === 0 && !error) return null;
+
+  const renderStatus = (job) => {
+    if (!job.isFinished) {
+      const eta = formatEta(job.estimatedSecondsLeft, t);
+      return (
+        <div className="queue-progress">
+          <div className="queue-progress-bar" style={{ width: `${job.percentComplete}%` }} />
+          <span className="queue-progress-label">
+            {job.percentComplete}% - {describeJobProgress(job, t)}{eta && ` - ${eta}`}
+          </span>
+        </div>
+      );
+    }
+
+    return (
+      <span className={`import-job-result ${isJobImported(job) ? '' : 'import-job-result-error'}`}>
+        {describeResult(job)}
+      </span>
+    );
+  };
+
+  return (
+    <div className="import-history import-jobs">
+      <div className="import-history-header">
+        <h3>⚙️ {t('importJobs.title')}</h3>
+        <span className="import-history-count">
+          {t('importJobs.running', { count: jobs.filter((job) => !job.isFinished).length })}
+        </span>
+      </div>
+
+      {error && <div className="alert alert-error">❌ {error}</div>}
+
+      <div className="transactions-table-wrapper">
+        <table className="transactions-table">
+          <thead>
+            <tr>
+              <th>{t('importJobs.file')}</th>
+              <th>{t('importJobs.by')}</th>
+              <th>{t('importJobs.received')}</th>
+              <th>{t('importJobs.phase')}</th>
+              <th className="import-job-status-col">{t('importJobs.status')}</th>
+              <th>{t('importJobs.took')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.map((job) => (
+              <tr key={job.id}>
+                <td className="import-file">{job.fileName}</td>
+                <td>{job.uploadedBy}</td>
+                <td>{job.createdAt ? formatTime(job.createdAt) : '-'}</td>
+                <td>{jobPhaseLabel(job.phase, t)}</td>
+                <td>{renderStatus(job)}</td>
+                <td>{formatDuration(job)}</td>
+                <td>
+                  {!job.isFinished && (
+                    <button className="queue-btn queue-btn-danger" onClick={() => cancel(job.id)}>
+                      ✖ {t('uploadQueue.cancel')}
+                    </button>
+                  )}
+                  {isJobImported(job) && onViewReport && (
+                    <button className="queue-btn" onClick={() => onViewReport(job.result)}>
+                      📋 {t('uploadQueue.report')}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ImportJobs;
@@ -0,0 +1,230 @@
+// ========================================
+// File: frontend/src/components/ImportReport.jsx
+// Per-line import report shown after a CNAB upload, with the file layout, its
+// header and the trailer checks
+// ========================================
+
+import { Link } from 'react-router';
+import useI18n from '../hooks/useI18n';
+import { downloadImportReportCsv, downloadImportReportJson } from '../services/importReport';
+import LayoutSummary from './LayoutSummary';
+import './ImportReport.css';
+
+function ImportReport({ report, onViewTransactions = null, onNewUpload = null }) {
+  const { t, formatCurrency, formatNumber, typeLabel } = useI18n();
+
+  if (!report) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">📋</div>
+        <h3>{t('importReport.empty')}</h3>
+        <p>{t('importReport.emptyHint')}</p>
+      </div>
+    );
+  }
+
+  const rejectedLines = report.rejectedLines || [];
+  const qualityWarnings = report.qualityWarnings || [];
+  const storeTotals = report.storeTotals || [];
+  const typeTotals = report.typeTotals || [];
+
+  return (
+    <div className="import-report">
+      <div className="import-report-header">
+        <div>
+          <h2>📋 {t('nav.importReport')}</h2>
+          <p className="import-report-file">📄 {report.fileName}</p>
+        </div>
+        <div className="import-report-downloads">
+          <button className="btn btn-secondary" onClick={() => downloadImportReportCsv(report)}>
+            ⬇️ CSV
+          </button>
+          <button className="btn btn-secondary" onClick={() => downloadImportReportJson(report)}>
+            ⬇️ JSON
+          </button>
+        </div>
+      </div>
+
+      <div className={`alert alert-${report.success ? 'success' : 'error'}`}>
+        {report.success ? '✅' : '❌'} {report.message}
+      </div>
+
+      <div className="summary">
+        <div className="summary-card">
+          <span className="summary-label">{t('importReport.linesRead')}</span>
+          <span className="summary-value">{formatNumber(report.linesRead ?? 0)}</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-label">{t('importReport.linesAccepted')}</span>
+          <span className="summary-value">{formatNumber(report.linesAccepted ?? 0)}</span>
+        </div>
+        <div className={`summary-card ${report.linesRejected > 0 ? 'summary-card-warning' : ''}`}>
+          <span className="summary-label">{t('importReport.linesRejected')}</span>
+          <span className="summary-value">{formatNumber(report.linesRejected ?? 0)}</span>
+        </div>
+        {report.linesSkipped > 0 && (
+          <div className="summary-card">
+            <span className="summary-label">{t('importReport.linesSkipped')}</span>
+            <span className="summary-value">{formatNumber(report.linesSkipped)}</span>
+          </div>
+        )}
+        <div className={`summary-card ${report.linesFlagged > 0 ? 'summary-card-caution' : ''}`}>
+          <span className="summary-label">{t('importReport.linesFlagged')}</span>
+          <span className="summary-value">{formatNumber(report.linesFlagged ?? 0)}</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-label">{t('importReport.transactionsImported')}</span>
+          <span className="summary-value">{formatNumber(report.transactionCount ?? 0)}</span>
+        </div>
+        <div className={`summary-card ${report.alertsTriggered > 0 ? 'summary-card-warning' : ''}`}>
+          <span className="summary-label">{t('importReport.alertsTriggered')}</span>
+          <span className="summary-value">{formatNumber(report.alertsTriggered ?? 0)}</span>
+          {report.alertsTriggered > 0 && (
+            <Link className="import-report-alerts" to="/alerts">{t('importReport.viewAlerts')}</Link>
+          )}
+        </div>
+      </div>
+
+      {report.layout && (
+        <section className="import-report-section">
+          <h3>🧾 {t('importReport.layout')}</h3>
+          <LayoutSummary file={report} />
+        </section>
+      )}
+
+      {rejectedLines.length > 0 && (
+        <section className="import-report-section">
+          <h3>❌ {t('importReport.rejectedLines')}</h3>
+          <div className="transactions-table-wrapper">
+            <table className="transactions-table">
+              <thead>
+                <tr>
+                  <th>{t('preview.line')}</th>
+                  <th>{t('importReport.reason')}</th>
+                  <th>{t('importReport.content')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rejectedLines.map((line) => (
+                  <tr key={line.lineNumber}>
+                    <td>{line.lineNumber}</td>
+                    <td className="rejected-reason">{line.reason}</td>
+                    <td><code className="raw-line">{line.content}</code></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {qualityWarnings.length > 0 && (
+        <section className="import-report-section">
+          <h3>⚠️ {t('importReport.qualityWarnings')}</h3>
+          <p className="import-report-hint">{t('importReport.qualityWarningsHint')}</p>
+          <div className="transactions-table-wrapper">
+            <table className="transactions-table">
+              <thead>
+                <tr>
+                  <th>{t('preview.line')}</th>
+                  <th>{t('dataQuality.rule')}</th>
+                  <th>{t('importReport.reason')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {qualityWarnings.map((warning) => (
+                  <tr key={`${warning.lineNumber}-${warning.rule}`}>
+                    <td>{warning.lineNumber}</td>
+                    <td>{t(`dataQuality.rules.${warning.rule}`)}</td>
+                    <td className="warning-reason">
+                      {t(`dataQuality.details.${warning.rule}`, { expected: warning.expectedValue })}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {storeTotals.length > 0 && (
+        <section className="import-report-section">
+          <h3>🏪 {t('importReport.storeTotals')}</h3>
+          <div className="transactions-table-wrapper">
+            <table className="transactions-table">
+              <thead>
+                <tr>
+                  <th>{t('columns.store')}</th>
+                  <th>{t('dashboard.transactions')}</th>
+                  <th>{t('storeDetail.income')}</th>
+                  <th>{t('storeDetail.expenses')}</th>
+                  <th>{t('importReport.net')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {storeTotals.map((store) => (
+                  <tr key={store.storeName}>
+                    <td>{store.storeName}</td>
+                    <td>{formatNumber(store.transactionCount)}</td>
+                    <td className="amount-positive">{formatCurrency(store.totalIncome)}</td>
+                    <td className="amount-negative">{formatCurrency(store.totalExpenses)}</td>
+                    <td className={store.netAmount >= 0 ? 'amount-positive' : 'amount-negative'}>
+                      {formatCurrency(store.netAmount)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {typeTotals.length > 0 && (
+        <section className="import-report-section">
+          <h3>🏷️ {t('importReport.typeTotals')}</h3>
+          <div className="transactions-table-wrapper">
+            <table className="transactions-table">
+              <thead>
+                <tr>
+                  <th>{t('columns.type')}</th>
+                  <th>{t('dashboard.transactions')}</th>
+                  <th>{t('statement.total')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {typeTotals.map((type) => (
+                  <tr key={type.type}>
+                    <td>
+                      <span className={`badge badge-${type.nature.toLowerCase()}`}>
+                        {type.type} - {typeLabel(type.type)}
+                      </span>
+                    </td>
+                    <td>{formatNumber(type.transactionCount)}</td>
+                    <td className={type.nature === 'Expense' ? 'amount-negative' : 'amount-positive'}>
+                      {formatCurrency(type.totalAmount)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      <div className="actions">
+        {onNewUpload && (
+          <button className="btn btn-secondary" onClick={onNewUpload}>
+            📤 {t('importReport.uploadAnother')}
+          </button>
+        )}
+        {onViewTransactions && report.success && (
+          <button className="btn btn-primary" onClick={onViewTransactions}>
+            📊 {t('importReport.viewTransactions')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportReport;
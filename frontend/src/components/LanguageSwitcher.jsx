@@ -0,0 +1,32 @@
+// ========================================
+// File: frontend/src/components/LanguageSwitcher.jsx
+// Buttons to switch the UI language, shown in the header and on the login screen
+// ========================================
+
+import useI18n from '../hooks/useI18n';
+import { LOCALES } from '../services/i18n';
+import './LanguageSwitcher.css';
+
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <div className="language-switcher" role="group" aria-label={t('app.language')}>
+      {Object.entries(LOCALES).map(([code, { label, flag }]) => (
+        <button
+          key={code}
+          type="button"
+          className={`language-btn ${code === locale ? 'active' : ''}`}
+          onClick={() => setLocale(code)}
+          aria-pressed={code === locale}
+          lang={code}
+          title={label}
+        >
+          {flag} {code.slice(0, 2).toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default LanguageSwitcher;
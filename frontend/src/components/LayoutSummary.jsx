@@ -0,0 +1,111 @@
+// ========================================
+// File: frontend/src/components/LayoutSummary.jsx
+// Layout of a CNAB file with its header, records by kind and segment, and the
+// trailer checks - shared by the upload preview and the import report
+// ========================================
+
+import useI18n from '../hooks/useI18n';
+import './LayoutSummary.css';
+
+// Trailer checks whose values are amounts; the others are counts
+const AMOUNT_CHECKS = ['TitleTotal'];
+
+/**
+ * @param {object} props
+ * @param {object} props.file - Preview (parseCnabContent) or import report: layout, header,
+ *   recordCounts, trailerValid and trailerChecks
+ */
+function LayoutSummary({ file }) {
+  const { t, formatCurrency, formatNumber, formatDateTime } = useI18n();
+
+  if (!file.layout) return null;
+
+  const recordCounts = file.recordCounts || [];
+  const trailerChecks = file.trailerChecks || [];
+  const formatCheckValue = (check, value) => (
+    AMOUNT_CHECKS.includes(check.name) ? formatCurrency(value) : formatNumber(value)
+  );
+
+  const recordLabel = (count) => (count.segment
+    ? `${t(`layouts.kinds.${count.kind}`)} ${t('layouts.segment', { segment: count.segment })}`
+    : t(`layouts.kinds.${count.kind}`));
+
+  return (
+    <div className="layout-summary">
+      <dl className="layout-facts">
+        <div>
+          <dt>{t('layouts.layout')}</dt>
+          <dd>{t(`layouts.short.${file.layout}`)}</dd>
+        </div>
+        {file.header && (
+          <>
+            <div>
+              <dt>{t('layouts.bank')}</dt>
+              <dd>{file.header.bankCode} {file.header.bankName}</dd>
+            </div>
+            <div>
+              <dt>{t('layouts.company')}</dt>
+              <dd>{file.header.companyName}</dd>
+            </div>
+            {file.header.generatedAt && (
+              <div>
+                <dt>{t('layouts.generatedAt')}</dt>
+                <dd>{formatDateTime(file.header.generatedAt)}</dd>
+              </div>
+            )}
+          </>
+        )}
+      </dl>
+
+      {recordCounts.length > 1 && (
+        <div className="layout-records">
+          <span className="layout-records-label">{t('layouts.records')}:</span>
+          {recordCounts.map((count) => (
+            <span key={`${count.kind}-${count.segment}`} className="layout-record-count">
+              {recordLabel(count)}: {formatNumber(count.count)}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {file.trailerValid !== null && file.trailerValid !== undefined && (
+        <div className={`layout-trailer ${file.trailerValid ? 'valid' : 'invalid'}`}>
+          {file.trailerValid && `✅ ${t('layouts.trailerValid')}`}
+          {!file.trailerValid && trailerChecks.length > 0 && `❌ ${t('layouts.trailerInvalid')}`}
+          {!file.trailerValid && trailerChecks.length === 0 && `❌ ${t('layouts.trailerMissing')}`}
+        </div>
+      )}
+
+      {trailerChecks.length > 0 && (
+        <div className="transactions-table-wrapper">
+          <table className="transactions-table layout-checks">
+            <thead>
+              <tr>
+                <th>{t('layouts.check')}</th>
+                <th>{t('layouts.batch')}</th>
+                <th>{t('preview.line')}</th>
+                <th>{t('layouts.declared')}</th>
+                <th>{t('layouts.computed')}</th>
+                <th aria-label={t('preview.status')} />
+              </tr>
+            </thead>
+            <tbody>
+              {trailerChecks.map((check) => (
+                <tr key={`${check.lineNumber}-${check.name}`} className={check.isValid ? undefined : 'layout-check-failed'}>
+                  <td>{t(`layouts.checks.${check.name}`)}</td>
+                  <td>{check.batch ?? t('layouts.fileLevel')}</td>
+                  <td>{check.lineNumber}</td>
+                  <td>{formatCheckValue(check, check.declared)}</td>
+                  <td>{formatCheckValue(check, check.computed)}</td>
+                  <td>{check.isValid ? '✅' : '❌'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LayoutSummary;
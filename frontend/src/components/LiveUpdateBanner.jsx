@@ -0,0 +1,33 @@
+// ========================================
+// File: frontend/src/components/LiveUpdateBanner.jsx
+// Banner shown when other users imported or deleted transactions, with a button to refresh
+// ========================================
+
+import useI18n from '../hooks/useI18n';
+import { describeLiveEvent } from '../services/liveEvents';
+import './LiveUpdateBanner.css';
+
+function LiveUpdateBanner({ events, onRefresh, onDismiss }) {
+  const { t } = useI18n();
+
+  if (events.length === 0) return null;
+
+  const latest = events[events.length - 1];
+  const others = events.length > 1 ? t('liveUpdates.others', { count: events.length - 1 }) : '';
+
+  return (
+    <div className="live-update-banner" role="status">
+      <span>🔔 {t('liveUpdates.newData', { change: describeLiveEvent(latest, t), others })}</span>
+      <div className="live-update-actions">
+        <button type="button" className="live-update-btn" onClick={onRefresh}>
+          {t('liveUpdates.refresh')}
+        </button>
+        <button type="button" className="live-update-dismiss" onClick={onDismiss} aria-label={t('app.dismiss')}>
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LiveUpdateBanner;
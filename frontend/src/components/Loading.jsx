@@ -3,14 +3,17 @@
 // Loading spinner component with dynamic message
 // ========================================
 
+import useI18n from '../hooks/useI18n';
 import './Loading.css';
 
-function Loading({ message = 'Processing...' }) {
+function Loading({ message = null }) {
+  const { t } = useI18n();
+
   return (
     <div className="loading-overlay">
       <div className="loading-container">
         <div className="spinner"></div>
-        <p>{message}</p>
+        <p>{message || t('app.processing')}</p>
       </div>
     </div>
   );
@@ -1,7 +1,12 @@
 import { useState } from 'react';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import LanguageSwitcher from './LanguageSwitcher';
 import '../styles/Login.css';
 
-function Login({ onLoginSuccess }) {
+function Login() {
+  const { login } = useAuth();
+  const { t } = useI18n();
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
@@ -13,31 +18,10 @@ function Login({ onLoginSuccess }) {
     setLoading(true);
 
     try {
-      const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5099/api';
-      const response = await fetch(`${API_URL}/auth/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ username, password }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || 'Invalid credentials');
-      }
-
-      const data = await response.json();
-
-      // Store token in localStorage
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('username', data.username);
-      localStorage.setItem('tokenExpiry', data.expiresAt);
-
-      // Call parent success callback
-      onLoginSuccess(data);
+      // AuthProvider switches the app to the signed-in view
+      await login(username, password);
     } catch (err) {
-      setError(err.message || 'Login failed. Please check your credentials.');
+      setError(err.response?.data?.message || t('login.failed'));
     } finally {
       setLoading(false);
     }
@@ -52,13 +36,14 @@ function Login({ onLoginSuccess }) {
     <div className="login-container">
       <div className="login-card">
         <div className="login-header">
-          <h1>🔐 Login</h1>
+          <h1>🔐 {t('login.title')}</h1>
           <p>CNAB Processor</p>
+          <LanguageSwitcher />
         </div>
 
         <form onSubmit={handleSubmit} className="login-form">
           <div className="form-group">
-            <label htmlFor="username">Username</label>
+            <label htmlFor="username">{t('login.username')}</label>
             <input
               type="text"
               id="username"
@@ -66,20 +51,20 @@ function Login({ onLoginSuccess }) {
               onChange={(e) => setUsername(e.target.value)}
               required
               autoFocus
-              placeholder="Enter your username"
+              placeholder={t('login.usernamePlaceholder')}
               disabled={loading}
             />
           </div>
 
           <div className="form-group">
-            <label htmlFor="password">Password</label>
+            <label htmlFor="password">{t('login.password')}</label>
             <input
               type="password"
               id="password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               required
-              placeholder="Enter your password"
+              placeholder={t('login.passwordPlaceholder')}
               disabled={loading}
             />
           </div>
@@ -91,12 +76,12 @@ function Login({ onLoginSuccess }) {
           )}
 
           <button type="submit" className="btn-login" disabled={loading}>
-            {loading ? 'Logging in...' : 'Login'}
+            {loading ? t('login.submitting') : t('login.submit')}
           </button>
         </form>
 
         <div className="demo-credentials">
-          <p className="demo-title">Demo Credentials:</p>
+          <p className="demo-title">{t('login.demoCredentials')}</p>
           <div className="demo-buttons">
             <button
               type="button"
@@ -118,7 +103,7 @@ function Login({ onLoginSuccess }) {
         </div>
 
         <div className="login-footer">
-          <p>Built with ❤️ by Edson Mata</p>
+          <p>{t('login.footer')}</p>
         </div>
       </div>
     </div>
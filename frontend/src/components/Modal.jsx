@@ -3,25 +3,44 @@
 // Modal dialog component for confirmations, success, and error messages
 // ========================================
 
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
 import './Modal.css';
 
-function Modal({
-  isOpen = false,
-  type = 'info', // 'confirm', 'success', 'error'
+function Modal({ isOpen = false, ...props }) {
+  if (!isOpen) return null;
+
+  // Rendered only while open so the typed confirmation starts empty every time
+  return <ModalDialog {...props} />;
+}
+
+function ModalDialog({
+  type = 'info', // 'confirm', 'warning', 'success', 'error'
   title = '',
   message = '',
   onConfirm = null,
   onCancel = null,
-  confirmText = 'Confirm',
-  cancelText = 'Cancel',
+  // Default to the translated Confirm / Cancel
+  confirmText = null,
+  cancelText = null,
+  // Custom buttons [{ label, onClick, variant: 'confirm' | 'cancel' | 'success' | 'error' }]
+  // replace the default ones when given
+  actions = null,
+  // When set, the user must type this exact text before Confirm is enabled
+  confirmationPhrase = null,
 }) {
-  if (!isOpen) return null;
+  const { t } = useI18n();
+  const [typedPhrase, setTypedPhrase] = useState('');
+  const isConfirmBlocked = Boolean(confirmationPhrase) && typedPhrase.trim() !== confirmationPhrase;
+  // The phrase goes in bold where the message has its placeholder
+  const typeToConfirm = t('modal.typeToConfirm').split('{phrase}');
 
   return (
     <div className="modal-overlay">
       <div className={`modal-container modal-${type}`}>
         <div className="modal-icon">
           {type === 'confirm' && '❓'}
+          {type === 'warning' && '⚠️'}
           {type === 'success' && '✅'}
           {type === 'error' && '❌'}
         </div>
@@ -29,29 +48,51 @@ function Modal({
         {title && <h3 className="modal-title">{title}</h3>}
         <p className="modal-message">{message}</p>
 
+        {confirmationPhrase && (
+          <label className="modal-confirmation">
+            {typeToConfirm[0]}<strong>{confirmationPhrase}</strong>{typeToConfirm[1]}
+            <input
+              type="text"
+              value={typedPhrase}
+              onChange={(e) => setTypedPhrase(e.target.value)}
+              autoFocus
+            />
+          </label>
+        )}
+
         <div className="modal-actions">
-          {type === 'confirm' && (
+          {actions && actions.map((action) => (
+            <button
+              key={action.label}
+              className={`modal-btn modal-btn-${action.variant || 'confirm'}`}
+              onClick={action.onClick}
+            >
+              {action.label}
+            </button>
+          ))}
+          {!actions && type === 'confirm' && (
             <>
               <button
                 className="modal-btn modal-btn-cancel"
                 onClick={onCancel}
               >
-                {cancelText}
+                {cancelText || t('modal.cancel')}
               </button>
               <button
                 className="modal-btn modal-btn-confirm"
                 onClick={onConfirm}
+                disabled={isConfirmBlocked}
               >
-                {confirmText}
+                {confirmText || t('modal.confirm')}
               </button>
             </>
           )}
-          {(type === 'success' || type === 'error') && (
+          {!actions && (type === 'success' || type === 'error') && (
             <button
               className={`modal-btn ${type === 'success' ? 'modal-btn-success' : 'modal-btn-error'}`}
               onClick={onConfirm}
             >
-              OK
+              {t('modal.ok')}
             </button>
           )}
         </div>
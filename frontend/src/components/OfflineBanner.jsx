@@ -0,0 +1,26 @@
+// ========================================
+// File: frontend/src/components/OfflineBanner.jsx
+// Banner shown while the app has no connection: what still works and how many uploads wait
+// ========================================
+
+import useI18n from '../hooks/useI18n';
+import './OfflineBanner.css';
+
+function OfflineBanner({ isOnline, isOfflineSession = false, pendingCount = 0 }) {
+  const { t } = useI18n();
+
+  if (isOnline && !isOfflineSession) return null;
+
+  const pending = pendingCount > 0 ? ` ${t('offline.pending', { count: pendingCount })}` : '';
+
+  return (
+    <div className="offline-banner" role="status">
+      {isOnline
+        ? `🔌 ${t('offline.reconnecting')}`
+        : `📴 ${t('offline.offline')}`}
+      {pending}
+    </div>
+  );
+}
+
+export default OfflineBanner;
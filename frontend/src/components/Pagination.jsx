@@ -0,0 +1,108 @@
+// ========================================
+// File: frontend/src/components/Pagination.jsx
+// Page navigation and page size selector for server-paged lists
+// ========================================
+
+import useI18n from '../hooks/useI18n';
+import './Pagination.css';
+
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+// Pages shown on each side of the current one before collapsing into "..."
+const SIBLING_PAGES = 2;
+
+/**
+ * Builds the list of page buttons: first, last and the pages around the current one,
+ * with 'ellipsis' markers in the gaps.
+ */
+const getPageItems = (currentPage, totalPages) => {
+  const items = [];
+  const start = Math.max(2, currentPage - SIBLING_PAGES);
+  const end = Math.min(totalPages - 1, currentPage + SIBLING_PAGES);
+
+  items.push(1);
+  if (start > 2) items.push('ellipsis-start');
+  for (let page = start; page <= end; page++) items.push(page);
+  if (end < totalPages - 1) items.push('ellipsis-end');
+  if (totalPages > 1) items.push(totalPages);
+
+  return items;
+};
+
+/**
+ * @param {object} props
+ * @param {object} props.page - PagedResult from the API: pageNumber, pageSize, totalCount, totalPages
+ * @param {(pageNumber: number) => void} props.onPageChange
+ * @param {(pageSize: number) => void} [props.onPageSizeChange] - Shows the page size selector when given
+ * @param {boolean} [props.disabled]
+ * @param {boolean} [props.compact] - Smaller variant used inside store cards
+ */
+function Pagination({ page, onPageChange, onPageSizeChange = null, disabled = false, compact = false }) {
+  const { t } = useI18n();
+
+  if (!page || page.totalCount === 0) return null;
+
+  const { pageNumber, pageSize, totalCount, totalPages } = page;
+  const firstItem = (pageNumber - 1) * pageSize + 1;
+  const lastItem = Math.min(pageNumber * pageSize, totalCount);
+
+  return (
+    <div className={`pagination ${compact ? 'pagination-compact' : ''}`}>
+      <span className="pagination-info">
+        {t('pagination.showing', { first: firstItem, last: lastItem, count: totalCount })}
+      </span>
+
+      <div className="pagination-controls">
+        <button
+          className="pagination-btn"
+          onClick={() => onPageChange(pageNumber - 1)}
+          disabled={pageNumber <= 1 || disabled}
+          title={t('pagination.previous')}
+        >
+          ‹
+        </button>
+
+        {getPageItems(pageNumber, totalPages).map((item) =>
+          typeof item === 'string' ? (
+            <span key={item} className="pagination-ellipsis">…</span>
+          ) : (
+            <button
+              key={item}
+              className={`pagination-btn ${item === pageNumber ? 'active' : ''}`}
+              onClick={() => onPageChange(item)}
+              disabled={disabled}
+            >
+              {item}
+            </button>
+          )
+        )}
+
+        <button
+          className="pagination-btn"
+          onClick={() => onPageChange(pageNumber + 1)}
+          disabled={pageNumber >= totalPages || disabled}
+          title={t('pagination.next')}
+        >
+          ›
+        </button>
+
+        {onPageSizeChange && (
+          <label className="page-size-select">
+            {t('pagination.perPage')}
+            <select
+              value={pageSize}
+              onChange={(e) => onPageSizeChange(Number(e.target.value))}
+              disabled={disabled}
+            >
+              {PAGE_SIZE_OPTIONS.map((size) => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Pagination;
@@ -0,0 +1,18 @@
+// ========================================
+// File: frontend/src/components/PermissionGuard.jsx
+// Renders its children only when the signed-in user has the permission
+// ========================================
+
+import useAuth from '../hooks/useAuth';
+
+/**
+ * @param {object} props
+ * @param {keyof import('../services/permissions').PERMISSIONS} props.permission
+ * @param {import('react').ReactNode} [props.fallback] - Shown instead of the children (nothing by default)
+ */
+function PermissionGuard({ permission, fallback = null, children }) {
+  const { can } = useAuth();
+  return can(permission) ? children : fallback;
+}
+
+export default PermissionGuard;
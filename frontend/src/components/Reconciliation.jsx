@@ -0,0 +1,499 @@
+// ========================================
+// File: frontend/src/components/Reconciliation.jsx
+// Compares expected totals from the bank statement (typed or from a CSV) with the
+// imported transactions, and lists, closes and reopens the closed periods
+// ========================================
+
+import { useState } from 'react';
+import cnabService from '../services/cnabService';
+import {
+  MAX_RECONCILIATION_ITEMS,
+  parseAmount,
+  parseDate,
+  validateExpectedTotals,
+  parseExpectedTotalsCsv,
+  downloadExpectedTotalsTemplate,
+} from '../services/reconciliation';
+import useClosedPeriods from '../hooks/useClosedPeriods';
+import useI18n from '../hooks/useI18n';
+import PermissionGuard from './PermissionGuard';
+import './ImportHistory.css';
+import './Transactions.css';
+import './Reconciliation.css';
+
+const EMPTY_ENTRY = {
+  storeName: '',
+  startDate: '',
+  endDate: '',
+  expectedIncome: '',
+  expectedExpenses: '',
+  expectedBalance: '',
+  expectedTransactionCount: '',
+};
+
+const EMPTY_PERIOD = { startDate: '', endDate: '', note: '' };
+
+// Totals compared for each line, in table order (headers are reconciliation.totals.<field>)
+const TOTALS = [
+  { field: 'totalIncome', expected: 'expectedIncome', actual: 'actualIncome', currency: true },
+  { field: 'totalExpenses', expected: 'expectedExpenses', actual: 'actualExpenses', currency: true },
+  { field: 'totalBalance', expected: 'expectedBalance', actual: 'actualBalance', currency: true },
+  { field: 'transactionCount', expected: 'expectedTransactionCount', actual: 'actualTransactionCount', currency: false },
+];
+
+function Reconciliation({ refresh, onShowModal = null, onCloseModal = null }) {
+  const { t, formatCurrency, formatDate, formatDateTime, formatNumber } = useI18n();
+  const [items, setItems] = useState([]);
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [entryError, setEntryError] = useState(null);
+  const [csvErrors, setCsvErrors] = useState([]);
+  const [result, setResult] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState(null);
+  const { periods, error: periodsError, reload: reloadPeriods } = useClosedPeriods(refresh);
+  const [period, setPeriod] = useState(EMPTY_PERIOD);
+  const [closing, setClosing] = useState(false);
+  const [reopeningId, setReopeningId] = useState(null);
+
+  const formatRange = (item) => `${formatDate(item.startDate)} – ${formatDate(item.endDate)}`;
+
+  const closeModal = () => {
+    if (onCloseModal) {
+      onCloseModal();
+    }
+  };
+
+  const showError = (title, message) => {
+    if (onShowModal) {
+      onShowModal({ type: 'error', title, message, onConfirm: closeModal });
+    }
+  };
+
+  const addItems = (newItems) => {
+    setItems((prev) => [...prev, ...newItems].slice(0, MAX_RECONCILIATION_ITEMS));
+    setResult(null);
+  };
+
+  const handleAddEntry = (e) => {
+    e.preventDefault();
+
+    const item = {
+      storeName: entry.storeName.trim(),
+      startDate: parseDate(entry.startDate),
+      endDate: parseDate(entry.endDate),
+      expectedIncome: parseAmount(entry.expectedIncome),
+      expectedExpenses: parseAmount(entry.expectedExpenses),
+      expectedBalance: parseAmount(entry.expectedBalance),
+      expectedTransactionCount: parseAmount(entry.expectedTransactionCount),
+    };
+
+    const validationError = validateExpectedTotals(item);
+    if (validationError) {
+      setEntryError(validationError);
+      return;
+    }
+
+    addItems([item]);
+    setEntry({ ...EMPTY_ENTRY, startDate: entry.startDate, endDate: entry.endDate });
+    setEntryError(null);
+  };
+
+  const handleCsvSelected = async (e) => {
+    const file = e.target.files[0];
+    // Lets the same file be picked again after fixing it
+    e.target.value = '';
+    if (!file) return;
+
+    const { items: csvItems, errors } = parseExpectedTotalsCsv(await file.text());
+    setCsvErrors(errors.map((lineError) => ({ ...lineError, fileName: file.name })));
+    addItems(csvItems);
+  };
+
+  const handleRemoveItem = (index) => {
+    setItems((prev) => prev.filter((_, i) => i !== index));
+    setResult(null);
+  };
+
+  const handleClearItems = () => {
+    setItems([]);
+    setCsvErrors([]);
+    setResult(null);
+  };
+
+  const handleCompare = async () => {
+    setComparing(true);
+    setError(null);
+
+    try {
+      setResult(await cnabService.reconcile(items));
+    } catch (err) {
+      setResult(null);
+      setError(err.response?.data?.message || t('reconciliation.compareError'));
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleClosePeriod = (e) => {
+    e.preventDefault();
+    if (!onShowModal) return;
+
+    const startDate = parseDate(period.startDate);
+    const endDate = parseDate(period.endDate);
+    if (!startDate || !endDate || startDate > endDate) {
+      showError(t('reconciliation.close.invalidTitle'), t('reconciliation.close.invalidMessage'));
+      return;
+    }
+
+    onShowModal({
+      type: 'confirm',
+      title: t('reconciliation.close.title'),
+      message: t('reconciliation.close.message', { range: formatRange({ startDate, endDate }) }),
+      confirmText: t('reconciliation.close.confirm'),
+      onConfirm: () => executeClosePeriod({ startDate, endDate, note: period.note.trim() || null }),
+      onCancel: closeModal,
+    });
+  };
+
+  const executeClosePeriod = async (newPeriod) => {
+    closeModal();
+    setClosing(true);
+
+    try {
+      await cnabService.closePeriod(newPeriod);
+      setPeriod(EMPTY_PERIOD);
+      await reloadPeriods();
+      setResult(null);
+    } catch (err) {
+      showError(t('app.error'), err.response?.data?.message || t('reconciliation.close.failed'));
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const handleReopenPeriod = (closedPeriod) => {
+    if (!onShowModal) return;
+
+    onShowModal({
+      type: 'warning',
+      title: t('reconciliation.reopen.title'),
+      message: t('reconciliation.reopen.message', { range: formatRange(closedPeriod) }),
+      confirmText: t('reconciliation.reopen.confirm'),
+      onConfirm: () => executeReopenPeriod(closedPeriod),
+      onCancel: closeModal,
+    });
+  };
+
+  const executeReopenPeriod = async (closedPeriod) => {
+    closeModal();
+    setReopeningId(closedPeriod.id);
+
+    try {
+      await cnabService.reopenPeriod(closedPeriod.id);
+      await reloadPeriods();
+      setResult(null);
+    } catch (err) {
+      showError(t('app.error'), err.response?.data?.message || t('reconciliation.reopen.failed'));
+    } finally {
+      setReopeningId(null);
+    }
+  };
+
+  // A matched line is the usual reason to close its range
+  const prefillPeriod = (line) => {
+    setPeriod({ startDate: line.startDate.slice(0, 10), endDate: line.endDate.slice(0, 10), note: '' });
+  };
+
+  const formatTotal = (total, value) => {
+    if (value == null) return '—';
+    return total.currency ? formatCurrency(value) : formatNumber(value);
+  };
+
+  const renderEntryForm = () => (
+    <form className="reconciliation-entry" onSubmit={handleAddEntry}>
+      {[
+        { field: 'storeName', label: t('columns.store'), placeholder: 'BAR DO JOÃO' },
+        { field: 'startDate', label: t('reconciliation.start'), placeholder: t('reconciliation.datePlaceholder') },
+        { field: 'endDate', label: t('reconciliation.end'), placeholder: t('reconciliation.datePlaceholder') },
+        { field: 'expectedIncome', label: t('reconciliation.totals.totalIncome'), placeholder: '0,00' },
+        { field: 'expectedExpenses', label: t('reconciliation.totals.totalExpenses'), placeholder: '0,00' },
+        { field: 'expectedBalance', label: t('reconciliation.totals.totalBalance'), placeholder: '0,00' },
+        { field: 'expectedTransactionCount', label: t('reconciliation.totals.transactionCount'), placeholder: '0' },
+      ].map(({ field, label, placeholder }) => (
+        <label key={field} className={`reconciliation-field reconciliation-field-${field}`}>
+          <span>{label}</span>
+          <input
+            type="text"
+            value={entry[field]}
+            placeholder={placeholder}
+            onChange={(e) => setEntry({ ...entry, [field]: e.target.value })}
+          />
+        </label>
+      ))}
+      <button type="submit" className="toggle-btn" disabled={items.length >= MAX_RECONCILIATION_ITEMS}>
+        ➕ {t('reconciliation.add')}
+      </button>
+    </form>
+  );
+
+  const renderItems = () => {
+    if (items.length === 0) {
+      return <p className="reconciliation-hint">{t('reconciliation.noItems')}</p>;
+    }
+
+    return (
+      <div className="transactions-table-wrapper">
+        <table className="transactions-table">
+          <thead>
+            <tr>
+              <th>{t('columns.store')}</th>
+              <th>{t('reconciliation.period')}</th>
+              {TOTALS.map((total) => <th key={total.field}>{t(`reconciliation.totals.${total.field}`)}</th>)}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item, index) => (
+              <tr key={`${item.storeName}-${item.startDate}-${item.endDate}-${index}`}>
+                <td className="store-cell">{item.storeName}</td>
+                <td>{formatRange(item)}</td>
+                {TOTALS.map((total) => <td key={total.field}>{formatTotal(total, item[total.expected])}</td>)}
+                <td>
+                  <button
+                    type="button"
+                    className="reconciliation-remove"
+                    onClick={() => handleRemoveItem(index)}
+                    title={t('uploadQueue.remove')}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderResult = () => {
+    if (!result) return null;
+
+    return (
+      <section className="reconciliation-panel">
+        <div className="reconciliation-panel-header">
+          <h3>{t('reconciliation.result')}</h3>
+          <span className={`import-history-count ${result.mismatchCount > 0 ? 'reconciliation-count-mismatch' : ''}`}>
+            {t('reconciliation.resultCount', { matched: result.matchedCount, mismatched: result.mismatchCount })}
+          </span>
+        </div>
+
+        <div className="transactions-table-wrapper">
+          <table className="transactions-table reconciliation-result-table">
+            <thead>
+              <tr>
+                <th>{t('importJobs.status')}</th>
+                <th>{t('columns.store')}</th>
+                <th>{t('reconciliation.period')}</th>
+                {TOTALS.map((total) => (
+                  <th key={total.field}>
+                    {t(`reconciliation.totals.${total.field}`)}<br />{t('reconciliation.expectedActual')}
+                  </th>
+                ))}
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.lines.map((line, index) => (
+                <tr key={`${line.storeName}-${line.startDate}-${index}`}>
+                  <td>
+                    <span className={`badge ${line.status === 'Matched' ? 'badge-income' : 'badge-expense'}`}>
+                      {line.status === 'Matched' ? `✓ ${t('reconciliation.matched')}` : `✗ ${t('reconciliation.mismatch')}`}
+                    </span>
+                  </td>
+                  <td className="store-cell">{line.storeName}</td>
+                  <td>
+                    {formatRange(line)}
+                    {line.periodClosed && <span className="locked-mark" title={t('table.closedPeriod')}>🔒</span>}
+                  </td>
+                  {TOTALS.map((total) => (
+                    <td
+                      key={total.field}
+                      className={line.mismatches.includes(total.field) ? 'reconciliation-diff' : ''}
+                    >
+                      {formatTotal(total, line[total.expected])}
+                      <span className="reconciliation-actual">{formatTotal(total, line[total.actual])}</span>
+                    </td>
+                  ))}
+                  <td>
+                    {line.status === 'Matched' && !line.periodClosed && (
+                      <PermissionGuard permission="closePeriods">
+                        <button
+                          type="button"
+                          className="toggle-btn reconciliation-close-btn"
+                          onClick={() => prefillPeriod(line)}
+                          title={t('reconciliation.prefillHint')}
+                        >
+                          🔒 {t('reconciliation.prefill')}
+                        </button>
+                      </PermissionGuard>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    );
+  };
+
+  const renderPeriods = () => (
+    <section className="reconciliation-panel">
+      <div className="reconciliation-panel-header">
+        <h3>🔒 {t('reconciliation.closedPeriods')}</h3>
+        <span className="import-history-count">{t('reconciliation.closedCount', { count: periods.length })}</span>
+      </div>
+      <p className="reconciliation-hint">{t('reconciliation.closedPeriodsHint')}</p>
+
+      {periodsError && <div className="alert alert-error">❌ {periodsError}</div>}
+
+      {periods.length > 0 && (
+        <div className="transactions-table-wrapper">
+          <table className="transactions-table">
+            <thead>
+              <tr>
+                <th>{t('reconciliation.period')}</th>
+                <th>{t('reconciliation.closedBy')}</th>
+                <th>{t('reconciliation.closedAt')}</th>
+                <th>{t('reconciliation.note')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {periods.map((closedPeriod) => (
+                <tr key={closedPeriod.id}>
+                  <td>{formatRange(closedPeriod)}</td>
+                  <td>{closedPeriod.closedBy}</td>
+                  <td>{formatDateTime(closedPeriod.closedAt)}</td>
+                  <td>{closedPeriod.note || '—'}</td>
+                  <td>
+                    <PermissionGuard permission="closePeriods">
+                      <button
+                        type="button"
+                        className="btn-rollback"
+                        onClick={() => handleReopenPeriod(closedPeriod)}
+                        disabled={reopeningId !== null}
+                      >
+                        {reopeningId === closedPeriod.id
+                          ? `⏳ ${t('reconciliation.reopening')}`
+                          : `🔓 ${t('reconciliation.reopen.confirm')}`}
+                      </button>
+                    </PermissionGuard>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <PermissionGuard permission="closePeriods">
+        <form className="reconciliation-entry reconciliation-period-form" onSubmit={handleClosePeriod}>
+          <label className="reconciliation-field">
+            <span>{t('reconciliation.start')}</span>
+            <input
+              type="text"
+              value={period.startDate}
+              placeholder={t('reconciliation.datePlaceholder')}
+              onChange={(e) => setPeriod({ ...period, startDate: e.target.value })}
+            />
+          </label>
+          <label className="reconciliation-field">
+            <span>{t('reconciliation.end')}</span>
+            <input
+              type="text"
+              value={period.endDate}
+              placeholder={t('reconciliation.datePlaceholder')}
+              onChange={(e) => setPeriod({ ...period, endDate: e.target.value })}
+            />
+          </label>
+          <label className="reconciliation-field reconciliation-field-note">
+            <span>{t('reconciliation.note')}</span>
+            <input
+              type="text"
+              value={period.note}
+              maxLength={500}
+              placeholder={t('reconciliation.notePlaceholder')}
+              onChange={(e) => setPeriod({ ...period, note: e.target.value })}
+            />
+          </label>
+          <button type="submit" className="toggle-btn active" disabled={closing}>
+            {closing ? `⏳ ${t('reconciliation.closing')}` : `🔒 ${t('reconciliation.close.confirm')}`}
+          </button>
+        </form>
+      </PermissionGuard>
+    </section>
+  );
+
+  return (
+    <div className="import-history reconciliation">
+      <div className="import-history-header">
+        <h2>🧾 {t('nav.reconciliation')}</h2>
+        <span className="import-history-count">{t('reconciliation.itemCount', { count: items.length })}</span>
+      </div>
+
+      <section className="reconciliation-panel">
+        <div className="reconciliation-panel-header">
+          <h3>{t('reconciliation.expectedTotals')}</h3>
+          <div className="reconciliation-actions">
+            <label className="toggle-btn reconciliation-file">
+              📄 {t('reconciliation.loadCsv')}
+              <input type="file" accept=".csv,text/csv" onChange={handleCsvSelected} />
+            </label>
+            <button type="button" className="toggle-btn" onClick={downloadExpectedTotalsTemplate}>
+              ⬇️ {t('reconciliation.template')}
+            </button>
+            <button type="button" className="toggle-btn" onClick={handleClearItems} disabled={items.length === 0}>
+              🧹 {t('reconciliation.clear')}
+            </button>
+          </div>
+        </div>
+        <p className="reconciliation-hint">{t('reconciliation.expectedTotalsHint')}</p>
+
+        {renderEntryForm()}
+        {entryError && <div className="alert alert-error">❌ {entryError}</div>}
+
+        {csvErrors.length > 0 && (
+          <div className="alert alert-error reconciliation-csv-errors">
+            ❌ {t('reconciliation.csvErrors', { count: csvErrors.length, file: csvErrors[0].fileName })}
+            <ul>
+              {csvErrors.map((lineError) => (
+                <li key={lineError.line}>{t('reconciliation.csvLine', { line: lineError.line, message: lineError.message })}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {renderItems()}
+
+        <div className="reconciliation-compare">
+          <button
+            type="button"
+            className="toggle-btn active"
+            onClick={handleCompare}
+            disabled={comparing || items.length === 0}
+          >
+            {comparing ? `⏳ ${t('reconciliation.comparing')}` : `⚖️ ${t('reconciliation.compare')}`}
+          </button>
+        </div>
+        {error && <div className="alert alert-error">❌ {error}</div>}
+      </section>
+
+      {renderResult()}
+      {renderPeriods()}
+    </div>
+  );
+}
+
+export default Reconciliation;
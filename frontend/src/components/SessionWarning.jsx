@@ -0,0 +1,78 @@
+// ========================================
+// File: frontend/src/components/SessionWarning.jsx
+// Banner shown when the access token is about to expire, with a button to renew the session
+// ========================================
+
+import { useState, useEffect } from 'react';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { getTimeUntilExpiry, onSessionEvent } from '../services/session';
+import './SessionWarning.css';
+
+const WARNING_BEFORE_MS = 2 * 60 * 1000;
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+function SessionWarning() {
+  const { refreshSession } = useAuth();
+  const { t } = useI18n();
+  const [remaining, setRemaining] = useState(() => getTimeUntilExpiry());
+  const [dismissed, setDismissed] = useState(false);
+  const [renewing, setRenewing] = useState(false);
+
+  useEffect(() => {
+    const timer = setInterval(() => setRemaining(getTimeUntilExpiry()), 1000);
+
+    // A silent refresh (or "Stay signed in") moves the expiry forward
+    const unsubscribe = onSessionEvent('refreshed', () => {
+      setRemaining(getTimeUntilExpiry());
+      setDismissed(false);
+    });
+
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, []);
+
+  if (dismissed || remaining === null || remaining <= 0 || remaining > WARNING_BEFORE_MS) {
+    return null;
+  }
+
+  const handleRenew = async () => {
+    setRenewing(true);
+    try {
+      await refreshSession();
+    } catch {
+      // The session is over: the app goes back to the login screen
+    } finally {
+      setRenewing(false);
+    }
+  };
+
+  return (
+    <div className="session-warning" role="alert">
+      <span>⏰ {t('session.expiresIn', { remaining: formatRemaining(remaining) })}</span>
+      <div className="session-warning-actions">
+        <button type="button" className="session-warning-btn" onClick={handleRenew} disabled={renewing}>
+          {renewing ? t('session.renewing') : t('session.stay')}
+        </button>
+        <button
+          type="button"
+          className="session-warning-dismiss"
+          onClick={() => setDismissed(true)}
+          aria-label={t('app.dismiss')}
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SessionWarning;
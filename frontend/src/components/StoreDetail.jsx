@@ -0,0 +1,374 @@
+// ========================================
+// File: frontend/src/components/StoreDetail.jsx
+// Store page (/transactions/store/:storeName): KPIs, this month vs last, balance timeline,
+// totals by type, owners and cards seen, and the paged transactions with a running balance.
+// Page, page size, sort and filters of the table live in the URL, like in Transactions.
+// Ends with the adjustment audit trail of the store; administrators can adjust it from here.
+// ========================================
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useParams } from 'react-router';
+import cnabService from '../services/cnabService';
+import { translate } from '../services/i18n';
+import { filtersToSearch } from '../services/transactionFilters';
+import useTransactionFilters from '../hooks/useTransactionFilters';
+import useTransactionListState from '../hooks/useTransactionListState';
+import useTableLayout from '../hooks/useTableLayout';
+import useClosedPeriods from '../hooks/useClosedPeriods';
+import useI18n from '../hooks/useI18n';
+import { affectsStore } from '../hooks/useLiveUpdates';
+import AdjustmentForm from './AdjustmentForm';
+import AdjustmentTrail from './AdjustmentTrail';
+import ClosedPeriodsNotice from './ClosedPeriodsNotice';
+import PermissionGuard from './PermissionGuard';
+import { BalanceLineChart, DivergingBarChart } from './Charts';
+import FilterBar from './FilterBar';
+import Pagination from './Pagination';
+import TransactionTable from './TransactionTable';
+import './Dashboard.css';
+import './Transactions.css';
+import './StoreDetail.css';
+
+const DEFAULT_PAGE_SIZE = 50;
+
+function StoreDetail({ refresh, liveRefresh = { version: 0, storeNames: null }, isBusy = false }) {
+  const { storeName } = useParams();
+  const { t, formatCurrency, formatNumber, formatDate, formatMonth, typeLabel } = useI18n();
+  const [series, setSeries] = useState({ data: null, loading: true, error: null, notFound: false });
+  const [transactions, setTransactions] = useState({ page: null, loading: false, error: null });
+  const [listState, updateListState] = useTransactionListState();
+  const [filters, setFilters] = useTransactionFilters();
+  const [layout] = useTableLayout();
+  const { periods: closedPeriods } = useClosedPeriods(refresh);
+  const [showAdjustmentForm, setShowAdjustmentForm] = useState(false);
+  // Bumped after adjustments (here or elsewhere) so the audit trail reloads
+  const [trailVersion, setTrailVersion] = useState(0);
+  const pageNumber = listState.page;
+  const pageSize = listState.pageSize || DEFAULT_PAGE_SIZE;
+  const sort = listState.sort || layout.defaultSort;
+  const visibleColumns = layout.columns.filter((column) => column.visible).map((column) => column.id);
+  // The running balance follows date/time order, so it only makes sense when sorted by date
+  const showRunningBalance = sort.field === 'Date';
+
+  // Latest request per list, so slow responses for an old page never overwrite a newer one
+  const requestIdsRef = useRef({ series: 0, page: 0 });
+
+  const loadSeries = useCallback(async () => {
+    const requestId = ++requestIdsRef.current.series;
+    setSeries((prev) => ({ ...prev, loading: true, error: null, notFound: false }));
+
+    try {
+      const data = await cnabService.getStoreTimeSeries(storeName);
+      if (requestIdsRef.current.series !== requestId) return;
+      setSeries({ data, loading: false, error: null, notFound: false });
+    } catch (err) {
+      if (requestIdsRef.current.series !== requestId) return;
+      setSeries({
+        data: null,
+        loading: false,
+        error: err.response?.status === 404 ? null : err.response?.data?.message || translate('storeDetail.loadError'),
+        notFound: err.response?.status === 404,
+      });
+    }
+  }, [storeName]);
+
+  const loadTransactions = useCallback(async (page, size, order) => {
+    const requestId = ++requestIdsRef.current.page;
+    setTransactions((prev) => ({ ...prev, loading: true, error: null }));
+
+    try {
+      const data = await cnabService.getStoreTransactions(storeName, page, size, filters, order, {
+        includeRunningBalance: order.field === 'Date',
+      });
+      if (requestIdsRef.current.page !== requestId) return;
+      setTransactions({ page: data, loading: false, error: null });
+    } catch (err) {
+      if (requestIdsRef.current.page !== requestId) return;
+      setTransactions((prev) => ({
+        ...prev,
+        loading: false,
+        error: err.response?.data?.message || translate('transactions.storeLoadError'),
+      }));
+    }
+  }, [storeName, filters]);
+
+  useEffect(() => {
+    loadSeries();
+  }, [refresh, loadSeries]);
+
+  // Follows the page, size, sort and filters in the URL (and reloads after a refresh)
+  useEffect(() => {
+    loadTransactions(pageNumber, pageSize, sort);
+  }, [pageNumber, pageSize, sort, refresh, loadTransactions]);
+
+  // Changes made elsewhere (new data banner): reload only if they touched this store
+  const appliedLiveVersionRef = useRef(liveRefresh.version);
+  useEffect(() => {
+    if (liveRefresh.version === appliedLiveVersionRef.current) return;
+    appliedLiveVersionRef.current = liveRefresh.version;
+
+    if (affectsStore(liveRefresh.storeNames, storeName)) {
+      loadSeries();
+      loadTransactions(pageNumber, pageSize, sort);
+      setTrailVersion((version) => version + 1);
+    }
+  }, [liveRefresh, storeName, pageNumber, pageSize, sort, loadSeries, loadTransactions]);
+
+  const handleAdjusted = () => {
+    setShowAdjustmentForm(false);
+    setTrailVersion((version) => version + 1);
+    loadSeries();
+    loadTransactions(pageNumber, pageSize, sort);
+  };
+
+  const backLink = (
+    <Link className="back-link" to={`/transactions${filtersToSearch(filters)}`}>
+      ← {t('storeDetail.allStores')}
+    </Link>
+  );
+
+  if (series.loading && !series.data) {
+    return (
+      <div className="dashboard-container store-detail-container">
+        {backLink}
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>{t('storeDetail.loading')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (series.notFound) {
+    return (
+      <div className="dashboard-container store-detail-container">
+        {backLink}
+        <div className="empty-state">
+          <div className="empty-icon">🔎</div>
+          <h3>{t('storeDetail.notFound', { store: storeName })}</h3>
+          <p>{t('storeDetail.notFoundHint')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (series.error) {
+    return (
+      <div className="dashboard-container store-detail-container">
+        {backLink}
+        <div className="alert alert-error">❌ {series.error}</div>
+      </div>
+    );
+  }
+
+  const { data } = series;
+
+  const kpis = [
+    { label: t('storeDetail.balance'), value: formatCurrency(data.totalBalance), tone: data.totalBalance >= 0 ? 'positive' : 'negative' },
+    { label: t('storeDetail.income'), value: formatCurrency(data.totalIncome), tone: 'positive' },
+    { label: t('storeDetail.expenses'), value: formatCurrency(data.totalExpenses), tone: 'negative' },
+    { label: t('dashboard.transactions'), value: formatNumber(data.transactionCount) },
+  ];
+
+  // Expenses point left so income and expense types read apart at a glance
+  const typeItems = data.typeTotals.map((total) => ({
+    key: total.type,
+    label: `${total.type} · ${typeLabel(total.type)}`,
+    value: total.nature === 'Expense' ? -total.totalAmount : total.totalAmount,
+    detail: t(`charts.typeDetail.${total.nature}`, { count: total.transactionCount }),
+  }));
+
+  const renderPeriod = (label, period) => (
+    <div className="period-card">
+      <span className="period-label">{label} · {formatMonth(period.from)}</span>
+      <span className={`period-net ${period.netAmount >= 0 ? 'amount-positive' : 'amount-negative'}`}>
+        {formatCurrency(period.netAmount)}
+      </span>
+      <span className="period-detail">
+        {t('charts.storeDetail', {
+          count: period.transactionCount,
+          income: formatCurrency(period.totalIncome),
+          expenses: formatCurrency(period.totalExpenses),
+        })}
+      </span>
+    </div>
+  );
+
+  const renderComparison = () => {
+    const { current, previous, netAmountChange, netAmountChangePercent } = data.periodComparison;
+    const trend = netAmountChange > 0 ? 'up' : netAmountChange < 0 ? 'down' : 'flat';
+
+    return (
+      <div className="period-comparison">
+        {renderPeriod(t('storeDetail.thisMonth'), current)}
+        <div className={`period-change period-change-${trend}`}>
+          <span className="period-change-arrow">{trend === 'up' ? '▲' : trend === 'down' ? '▼' : '='}</span>
+          <span>{formatCurrency(netAmountChange)}</span>
+          {netAmountChangePercent != null && (
+            <span className="period-change-percent">
+              ({netAmountChangePercent > 0 ? '+' : ''}{formatNumber(netAmountChangePercent)}%)
+            </span>
+          )}
+        </div>
+        {renderPeriod(t('storeDetail.lastMonth'), previous)}
+      </div>
+    );
+  };
+
+  const renderUsageList = (items, emptyText) => {
+    if (items.length === 0) {
+      return <p className="chart-empty">{emptyText}</p>;
+    }
+
+    return (
+      <ul className="usage-list">
+        {items.map((item) => (
+          <li key={item.value} className="usage-item">
+            <span className="usage-value">{item.value}</span>
+            <span className="usage-detail">
+              {t('storeDetail.usage', { count: item.transactionCount, first: formatDate(item.firstSeen) })}
+              {item.lastSeen !== item.firstSeen && ` – ${formatDate(item.lastSeen)}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  const renderTransactions = () => {
+    const { page, loading: pageLoading, error: pageError } = transactions;
+
+    if (pageError) {
+      return <div className="alert alert-error">❌ {pageError}</div>;
+    }
+
+    if (!page) {
+      return (
+        <div className="loading loading-inline">
+          <div className="spinner"></div>
+          <p>{t('transactions.loading')}</p>
+        </div>
+      );
+    }
+
+    if (page.totalCount === 0) {
+      return (
+        <div className="empty-state">
+          <div className="empty-icon">🔎</div>
+          <h3>{t('transactions.noMatches')}</h3>
+          <p>{t('transactions.noMatchesHint')}</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="transactions-table-wrapper">
+          <TransactionTable
+            transactions={page.items}
+            columns={visibleColumns}
+            sort={sort}
+            onSortChange={(nextSort) => updateListState({ sort: nextSort, page: 1 })}
+            loading={pageLoading}
+            showRunningBalance={showRunningBalance}
+            closedPeriods={closedPeriods}
+            onAdjusted={handleAdjusted}
+          />
+        </div>
+        <Pagination
+          page={page}
+          onPageChange={(nextPage) => updateListState({ page: nextPage })}
+          onPageSizeChange={(size) => updateListState({ pageSize: size, page: 1 })}
+          disabled={pageLoading || isBusy}
+        />
+      </>
+    );
+  };
+
+  return (
+    <div className={`dashboard-container store-detail-container ${series.loading ? 'dashboard-refreshing' : ''}`}>
+      {backLink}
+
+      <div className="dashboard-header">
+        <h2>🏪 {data.storeName}</h2>
+        <PermissionGuard permission="adjust">
+          <button
+            className={`toggle-btn ${showAdjustmentForm ? 'active' : ''}`}
+            onClick={() => setShowAdjustmentForm((shown) => !shown)}
+            disabled={isBusy}
+          >
+            ✍️ {t('adjustments.newButton')}
+          </button>
+        </PermissionGuard>
+        <button className="toggle-btn dashboard-refresh" onClick={loadSeries} disabled={series.loading}>
+          {series.loading ? `⏳ ${t('dashboard.refreshing')}` : `🔄 ${t('dashboard.refresh')}`}
+        </button>
+      </div>
+
+      {showAdjustmentForm && (
+        <AdjustmentForm
+          storeName={data.storeName}
+          onSaved={handleAdjusted}
+          onCancel={() => setShowAdjustmentForm(false)}
+        />
+      )}
+
+      <div className="kpi-grid">
+        {kpis.map((kpi) => (
+          <div key={kpi.label} className={`kpi-card ${kpi.tone ? `kpi-${kpi.tone}` : ''}`}>
+            <span className="kpi-label">{kpi.label}</span>
+            <span className="kpi-value" title={kpi.value}>{kpi.value}</span>
+          </div>
+        ))}
+      </div>
+
+      <section className="dashboard-panel">
+        <h3>{t('storeDetail.comparison')}</h3>
+        <p className="dashboard-panel-hint">{t('storeDetail.comparisonHint')}</p>
+        {renderComparison()}
+      </section>
+
+      <section className="dashboard-panel">
+        <h3>{t('storeDetail.balanceOverTime')}</h3>
+        <p className="dashboard-panel-hint">{t('storeDetail.balanceOverTimeHint')}</p>
+        <BalanceLineChart points={data.points} />
+      </section>
+
+      <section className="dashboard-panel">
+        <h3>{t('dashboard.byType')}</h3>
+        <DivergingBarChart items={typeItems} />
+      </section>
+
+      <div className="dashboard-columns">
+        <section className="dashboard-panel">
+          <h3>👤 {t('storeDetail.owners')}</h3>
+          {renderUsageList(data.owners, t('storeDetail.noOwners'))}
+        </section>
+        <section className="dashboard-panel">
+          <h3>💳 {t('storeDetail.cards')}</h3>
+          {renderUsageList(data.cards, t('storeDetail.noCards'))}
+        </section>
+      </div>
+
+      <section className="dashboard-panel store-detail-transactions">
+        <h3>{t('transactions.title')}</h3>
+        <p className="dashboard-panel-hint">
+          {showRunningBalance
+            ? t('storeDetail.runningBalanceHint')
+            : t('storeDetail.sortByDateHint')}
+        </p>
+        <ClosedPeriodsNotice periods={closedPeriods} />
+        <FilterBar filters={filters} onApply={setFilters} disabled={isBusy} />
+        {renderTransactions()}
+      </section>
+
+      <section className="dashboard-panel">
+        <h3>✍️ {t('adjustments.trail.title')}</h3>
+        <p className="dashboard-panel-hint">{t('adjustments.trail.hint')}</p>
+        <AdjustmentTrail storeName={data.storeName} version={refresh + trailVersion} />
+      </section>
+    </div>
+  );
+}
+
+export default StoreDetail;
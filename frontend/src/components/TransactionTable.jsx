@@ -0,0 +1,312 @@
+// ========================================
+// File: frontend/src/components/TransactionTable.jsx
+// Table of transactions shared by the store cards and the global view.
+// Columns follow the user's layout; headers sort on the server when onSortChange is given.
+// showRunningBalance adds a last "Balance" column from each item's runningBalance.
+// Rows inside one of closedPeriods get a lock on the date.
+// CPF and card number come masked; administrators can reveal them per row (audited by the API).
+// Manual entries, reversals and reversed rows are marked; with onAdjusted, administrators can
+// reverse a row with an offsetting entry (a reason is required) and onAdjusted reloads the list.
+// ========================================
+
+import { Fragment, useState } from 'react';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import cnabService from '../services/cnabService';
+import { TRANSACTION_COLUMNS, createDefaultLayout, nextSortOrder } from '../services/tableLayout';
+import { isInClosedPeriod, parseDate } from '../services/reconciliation';
+import { MAX_REASON_LENGTH, adjustmentStatus, canReverse } from '../services/adjustments';
+
+const COLUMNS_BY_ID = Object.fromEntries(TRANSACTION_COLUMNS.map((column) => [column.id, column]));
+
+const DEFAULT_COLUMNS = createDefaultLayout().columns
+  .filter((column) => column.visible)
+  .map((column) => column.id);
+
+function TransactionTable({
+  transactions,
+  columns = DEFAULT_COLUMNS,
+  showStore = false,
+  showRunningBalance = false,
+  closedPeriods = [],
+  sort = null,
+  onSortChange = null,
+  loading = false,
+  onAdjusted = null,
+  className = '',
+}) {
+  const { t, formatCurrency, formatDate, typeLabel, natureLabel } = useI18n();
+  const { can } = useAuth();
+  const canReveal = can('revealPii');
+  const canAdjust = Boolean(onAdjusted) && can('adjust');
+  // The API only sorts by the raw CPF for administrators
+  const canSortCpf = can('searchPartialCpf');
+
+  // Clear values fetched on demand, by transaction id; 'loading' and 'error' while not available
+  const [revealed, setRevealed] = useState({});
+  // Row being reversed: { id, reason, date, saving, error }
+  const [reversal, setReversal] = useState(null);
+
+  const submitReversal = async (e) => {
+    e.preventDefault();
+
+    const date = parseDate(reversal.date);
+    if (reversal.date.trim() && !date) {
+      setReversal((current) => ({ ...current, error: t('adjustments.errors.dateRequired') }));
+      return;
+    }
+    if (!reversal.reason.trim()) {
+      setReversal((current) => ({ ...current, error: t('adjustments.errors.reasonRequired') }));
+      return;
+    }
+
+    setReversal((current) => ({ ...current, saving: true, error: null }));
+    try {
+      const adjustment = await cnabService.reverseTransaction(reversal.id, {
+        reason: reversal.reason.trim(),
+        date,
+      });
+      setReversal(null);
+      onAdjusted(adjustment);
+    } catch (err) {
+      setReversal((current) => ({
+        ...current,
+        saving: false,
+        error: err.response?.data?.message || t('adjustments.reverse.failed'),
+      }));
+    }
+  };
+
+  const toggleReveal = async (transactionId) => {
+    if (typeof revealed[transactionId] === 'object') {
+      setRevealed((current) => {
+        const next = { ...current };
+        delete next[transactionId];
+        return next;
+      });
+      return;
+    }
+
+    setRevealed((current) => ({ ...current, [transactionId]: 'loading' }));
+    try {
+      const pii = await cnabService.revealPii(transactionId);
+      setRevealed((current) => ({ ...current, [transactionId]: pii }));
+    } catch {
+      setRevealed((current) => ({ ...current, [transactionId]: 'error' }));
+    }
+  };
+
+  const renderPiiCell = (column, transaction, field) => {
+    const state = revealed[transaction.id];
+    const isRevealed = typeof state === 'object';
+
+    return (
+      <td key={column.id} className={`pii-cell ${isRevealed ? 'pii-revealed' : ''}`}>
+        {isRevealed ? state[field] : transaction[field]}
+        {canReveal && (
+          <button
+            type="button"
+            className="pii-toggle"
+            onClick={() => toggleReveal(transaction.id)}
+            disabled={state === 'loading'}
+            title={state === 'error' ? t('table.revealFailed') : t(isRevealed ? 'table.hide' : 'table.reveal')}
+            aria-label={t(isRevealed ? 'table.hide' : 'table.reveal')}
+          >
+            {state === 'error' ? '⚠️' : isRevealed ? '🙈' : '👁'}
+          </button>
+        )}
+      </td>
+    );
+  };
+
+  // The store column is redundant inside a store card
+  const visibleColumns = columns
+    .filter((id) => COLUMNS_BY_ID[id] && (showStore || id !== 'store'))
+    .map((id) => COLUMNS_BY_ID[id]);
+
+  const renderAdjustmentMark = (transaction) => {
+    switch (adjustmentStatus(transaction)) {
+      case 'entry':
+        return <span className="adjustment-mark" title={t('table.manualEntry')}>✍️</span>;
+      case 'reversal':
+        return (
+          <span className="adjustment-mark" title={t('table.reversalOf', { id: transaction.reversesTransactionId })}>
+            ↩️
+          </span>
+        );
+      case 'reversed':
+        return (
+          <span className="adjustment-mark" title={t('table.reversedBy', { id: transaction.reversedByTransactionId })}>
+            ⊘
+          </span>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const renderCell = (column, transaction, locked) => {
+    switch (column.id) {
+      case 'date':
+        return (
+          <td key={column.id}>
+            {formatDate(transaction.date)}
+            {locked && <span className="locked-mark" title={t('table.closedPeriod')}>🔒</span>}
+            {renderAdjustmentMark(transaction)}
+          </td>
+        );
+      case 'time':
+        return <td key={column.id}>{transaction.time}</td>;
+      case 'store':
+        return <td key={column.id} className="store-cell">{transaction.storeName}</td>;
+      case 'type':
+        return (
+          <td key={column.id}>
+            <span className={`badge badge-${transaction.nature.toLowerCase()}`}>
+              {typeLabel(transaction.type)}
+            </span>
+          </td>
+        );
+      case 'typeCode':
+        return <td key={column.id} className="type-code-cell">{transaction.type}</td>;
+      case 'nature':
+        return <td key={column.id}>{natureLabel(transaction.nature)}</td>;
+      case 'amount':
+        return (
+          <td key={column.id} className={transaction.signedAmount >= 0 ? 'amount-positive' : 'amount-negative'}>
+            {formatCurrency(transaction.signedAmount)}
+          </td>
+        );
+      case 'cpf':
+        return renderPiiCell(column, transaction, 'cpf');
+      case 'card':
+        return renderPiiCell(column, transaction, 'cardNumber');
+      case 'owner':
+        return <td key={column.id}>{transaction.storeOwner}</td>;
+      default:
+        return <td key={column.id} />;
+    }
+  };
+
+  const renderHeader = (column) => {
+    if (!onSortChange || (column.sortField === 'Cpf' && !canSortCpf)) {
+      return <th key={column.id}>{t(`columns.${column.id}`)}</th>;
+    }
+
+    const isSorted = sort?.field === column.sortField;
+    const ariaSort = isSorted ? (sort.direction === 'Asc' ? 'ascending' : 'descending') : 'none';
+
+    return (
+      <th key={column.id} aria-sort={ariaSort} className={`sortable ${isSorted ? 'sorted' : ''}`}>
+        <button
+          type="button"
+          className="sort-btn"
+          onClick={() => onSortChange(nextSortOrder(sort || {}, column.sortField))}
+          disabled={loading}
+          title={t('table.sortBy', { column: t(`columns.${column.id}`) })}
+        >
+          {t(`columns.${column.id}`)}
+          <span className="sort-indicator">
+            {isSorted ? (sort.direction === 'Asc' ? '▲' : '▼') : '↕'}
+          </span>
+        </button>
+      </th>
+    );
+  };
+
+  const columnCount = visibleColumns.length + (showRunningBalance ? 1 : 0) + 1;
+
+  const renderReversalForm = (transaction, locked) => (
+    <tr className="reversal-row">
+      <td colSpan={columnCount}>
+        <form className="reversal-form" onSubmit={submitReversal}>
+          <span className="reversal-summary">
+            {t('adjustments.reverse.summary', {
+              amount: formatCurrency(-transaction.signedAmount),
+              date: formatDate(transaction.date),
+            })}
+          </span>
+          <input
+            type="text"
+            className="reversal-reason"
+            value={reversal.reason}
+            maxLength={MAX_REASON_LENGTH}
+            placeholder={t('adjustments.reverse.reasonPlaceholder')}
+            onChange={(e) => setReversal((current) => ({ ...current, reason: e.target.value }))}
+            disabled={reversal.saving}
+            aria-label={t('adjustments.reason')}
+            autoFocus
+          />
+          <input
+            type="text"
+            className="reversal-date"
+            value={reversal.date}
+            placeholder={locked ? t('adjustments.reverse.dateRequired') : formatDate(transaction.date)}
+            onChange={(e) => setReversal((current) => ({ ...current, date: e.target.value }))}
+            disabled={reversal.saving}
+            title={t('adjustments.reverse.dateHint')}
+            aria-label={t('columns.date')}
+          />
+          <button type="submit" className="toggle-btn active" disabled={reversal.saving}>
+            {reversal.saving ? `⏳ ${t('adjustments.reverse.saving')}` : t('adjustments.reverse.confirm')}
+          </button>
+          <button type="button" className="toggle-btn" onClick={() => setReversal(null)} disabled={reversal.saving}>
+            {t('modal.cancel')}
+          </button>
+          {reversal.error && <span className="reversal-error">❌ {reversal.error}</span>}
+        </form>
+      </td>
+    </tr>
+  );
+
+  return (
+    <table className={`transactions-table ${className} ${loading ? 'table-loading' : ''}`}>
+      <thead>
+        <tr>
+          {visibleColumns.map(renderHeader)}
+          {showRunningBalance && <th className="running-balance-cell">{t('table.runningBalance')}</th>}
+          {canAdjust && <th className="actions-cell" aria-label={t('adjustments.reverse.button')} />}
+        </tr>
+      </thead>
+      <tbody>
+        {transactions.map((transaction) => {
+          const locked = isInClosedPeriod(transaction.date, closedPeriods);
+          const reversed = adjustmentStatus(transaction) === 'reversed';
+          const rowClassName = [locked && 'row-locked', reversed && 'row-reversed'].filter(Boolean).join(' ');
+
+          return (
+            <Fragment key={transaction.id}>
+              <tr className={rowClassName || undefined}>
+                {visibleColumns.map((column) => renderCell(column, transaction, locked))}
+                {showRunningBalance && (
+                  <td className={`running-balance-cell ${transaction.runningBalance >= 0 ? 'amount-positive' : 'amount-negative'}`}>
+                    {transaction.runningBalance == null ? '—' : formatCurrency(transaction.runningBalance)}
+                  </td>
+                )}
+                {canAdjust && (
+                  <td className="actions-cell">
+                    {canReverse(transaction) && (
+                      <button
+                        type="button"
+                        className="reverse-btn"
+                        onClick={() => setReversal({ id: transaction.id, reason: '', date: '', saving: false, error: null })}
+                        disabled={reversal?.id === transaction.id}
+                        title={t('adjustments.reverse.button')}
+                        aria-label={t('adjustments.reverse.button')}
+                      >
+                        ↩️
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+              {reversal?.id === transaction.id && renderReversalForm(transaction, locked)}
+            </Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default TransactionTable;
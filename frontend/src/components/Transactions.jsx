@@ -1,52 +1,226 @@
 // ========================================
 // File: frontend/src/components/Transactions.jsx
-// Copy this entire file to src/components/Transactions.jsx
+// Transaction explorer: store cards with lazily loaded, server-paged transactions,
+// and a global "all transactions" table. Each store card links to its own page (StoreDetail).
+// Filters, view mode, page, page size and sort live in the URL so any view can be shared.
+// Administrators enter transactions by hand and reverse listed ones (manual adjustments).
 // ========================================
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router';
 import cnabService from '../services/cnabService';
+import { translate } from '../services/i18n';
+import { countActiveFilters, filtersToSearch } from '../services/transactionFilters';
+import useTransactionFilters from '../hooks/useTransactionFilters';
+import useTransactionListState from '../hooks/useTransactionListState';
+import useTableLayout from '../hooks/useTableLayout';
+import useClosedPeriods from '../hooks/useClosedPeriods';
+import useI18n from '../hooks/useI18n';
+import { affectsStore } from '../hooks/useLiveUpdates';
+import AdjustmentForm from './AdjustmentForm';
+import ClosedPeriodsNotice from './ClosedPeriodsNotice';
+import ColumnSettings from './ColumnSettings';
+import ExportMenu from './ExportMenu';
+import PermissionGuard from './PermissionGuard';
+import FilterBar from './FilterBar';
+import Pagination from './Pagination';
+import TransactionTable from './TransactionTable';
 import './Transactions.css';
 
+const DEFAULT_PAGE_SIZE = 50;
+
 function Transactions({
   refresh,
+  liveRefresh = { version: 0, storeNames: null },
   isUploading = false,
   isDeleting = false,
-  onLoadingComplete = null,
   onDeletingStart = null,
   onDeletingEnd = null,
   onShowModal = null,
   onCloseModal = null,
 }) {
+  const { t, formatCurrency, formatNumber, formatDate } = useI18n();
   const [stores, setStores] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [deleting, setDeleting] = useState(false);
-  const [storePagination, setStorePagination] = useState({});
-  const pageSize = 50;
-
-  useEffect(() => {
-    loadStoreBalances();
-  }, [refresh]);
-
-  // Notify parent when loading is complete (after upload)
-  useEffect(() => {
-    if (!loading && isUploading && onLoadingComplete) {
-      onLoadingComplete();
-    }
-  }, [loading, isUploading, onLoadingComplete]);
-
-  const loadStoreBalances = async () => {
+  const [showAdjustmentForm, setShowAdjustmentForm] = useState(false);
+  const [listState, updateListState] = useTransactionListState();
+  const viewMode = listState.view;
+  const pageNumber = listState.page;
+  const pageSize = listState.pageSize || DEFAULT_PAGE_SIZE;
+  // Expanded store cards: { [storeName]: { page, loading, error } }
+  const [storePages, setStorePages] = useState({});
+  const [allTransactions, setAllTransactions] = useState({ page: null, loading: false, error: null });
+  const [filters, setFilters] = useTransactionFilters();
+  const hasFilters = countActiveFilters(filters) > 0;
+  const [layout, setLayout] = useTableLayout();
+  const { periods: closedPeriods } = useClosedPeriods(refresh);
+  // The pinned default applies until a header click puts another sort in the URL
+  const sort = listState.sort || layout.defaultSort;
+  const visibleColumns = layout.columns.filter((column) => column.visible).map((column) => column.id);
+
+  // Latest request per list, so slow responses for an old page never overwrite a newer one
+  const requestIdsRef = useRef({});
+
+  const nextRequestId = useCallback((key) => {
+    requestIdsRef.current[key] = (requestIdsRef.current[key] || 0) + 1;
+    return requestIdsRef.current[key];
+  }, []);
+
+  const isLatestRequest = useCallback((key, requestId) => requestIdsRef.current[key] === requestId, []);
+
+  const loadStoreSummaries = useCallback(async () => {
     setLoading(true);
     setError(null);
+    // Collapse everything: cached pages may be stale after an upload or delete
+    setStorePages({});
 
     try {
-      const data = await cnabService.getStoreBalances();
+      // Totals only - transactions are fetched page by page when a store is expanded
+      const data = await cnabService.getStoreBalances({ includeTransactions: false, filters });
       setStores(data);
     } catch (err) {
-      setError(err.response?.data?.message || 'Error loading transactions');
+      // translate() rather than t: with t as a dependency, switching language would reload the data
+      setError(err.response?.data?.message || err.response?.data?.detail || translate('transactions.loadError'));
     } finally {
       setLoading(false);
     }
+  }, [filters]);
+
+  const loadStorePage = useCallback(async (storeName, pageNumber, size, order) => {
+    const key = `store:${storeName}`;
+    const requestId = nextRequestId(key);
+
+    setStorePages((prev) => ({
+      ...prev,
+      [storeName]: { page: prev[storeName]?.page || null, loading: true, error: null },
+    }));
+
+    try {
+      const page = await cnabService.getStoreTransactions(storeName, pageNumber, size, filters, order);
+      if (!isLatestRequest(key, requestId)) return;
+      setStorePages((prev) => (prev[storeName]
+        ? { ...prev, [storeName]: { page, loading: false, error: null } }
+        : prev));
+    } catch (err) {
+      if (!isLatestRequest(key, requestId)) return;
+      setStorePages((prev) => (prev[storeName]
+        ? {
+          ...prev,
+          [storeName]: {
+            ...prev[storeName],
+            loading: false,
+            error: err.response?.data?.message || translate('transactions.storeLoadError'),
+          },
+        }
+        : prev));
+    }
+  }, [filters, nextRequestId, isLatestRequest]);
+
+  const loadAllTransactions = useCallback(async (pageNumber, size, order) => {
+    const requestId = nextRequestId('all');
+    setAllTransactions((prev) => ({ ...prev, loading: true, error: null }));
+
+    try {
+      const page = await cnabService.getAllTransactions(pageNumber, size, filters, order);
+      if (!isLatestRequest('all', requestId)) return;
+      setAllTransactions({ page, loading: false, error: null });
+    } catch (err) {
+      if (!isLatestRequest('all', requestId)) return;
+      setAllTransactions((prev) => ({
+        ...prev,
+        loading: false,
+        error: err.response?.data?.message || translate('transactions.loadError'),
+      }));
+    }
+  }, [filters, nextRequestId, isLatestRequest]);
+
+  // Totals after changes made elsewhere: unlike loadStoreSummaries, keeps the cards
+  // open and the current totals on screen until the new ones arrive
+  const reloadStoreSummariesQuietly = useCallback(async () => {
+    try {
+      const data = await cnabService.getStoreBalances({ includeTransactions: false, filters });
+      setStores(data);
+    } catch {
+      // Keep the totals on screen; the next refresh tries again
+    }
+  }, [filters]);
+
+  // Runs again whenever the filters change (loadStoreSummaries depends on them)
+  useEffect(() => {
+    loadStoreSummaries();
+  }, [refresh, loadStoreSummaries]);
+
+  // The global table follows the page, size and sort in the URL (and reloads after a refresh)
+  useEffect(() => {
+    if (viewMode === 'all') {
+      loadAllTransactions(pageNumber, pageSize, sort);
+    }
+  }, [viewMode, pageNumber, pageSize, sort, refresh, loadAllTransactions]);
+
+  // Changes made elsewhere (new data banner): reload only what they touched, where the user is
+  const appliedLiveVersionRef = useRef(liveRefresh.version);
+  useEffect(() => {
+    if (liveRefresh.version === appliedLiveVersionRef.current) return;
+    appliedLiveVersionRef.current = liveRefresh.version;
+
+    reloadStoreSummariesQuietly();
+    Object.entries(storePages)
+      .filter(([storeName]) => affectsStore(liveRefresh.storeNames, storeName))
+      .forEach(([storeName, state]) => loadStorePage(storeName, state.page?.pageNumber || 1, pageSize, sort));
+    if (viewMode === 'all') {
+      loadAllTransactions(pageNumber, pageSize, sort);
+    }
+  }, [liveRefresh, storePages, viewMode, pageNumber, pageSize, sort,
+    reloadStoreSummariesQuietly, loadStorePage, loadAllTransactions]);
+
+  // Link to the store page, keeping the filters
+  const storePath = (storeName) => `/transactions/store/${encodeURIComponent(storeName)}${filtersToSearch(filters)}`;
+
+  const toggleStore = (storeName) => {
+    if (storePages[storeName]) {
+      setStorePages((prev) => {
+        const { [storeName]: _collapsed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+
+    loadStorePage(storeName, 1, pageSize, sort);
+  };
+
+  const handleViewModeChange = (mode) => {
+    updateListState({ view: mode, page: 1 });
+  };
+
+  // Expanded store cards are not in the URL: reload them here. The global table
+  // reloads on its own when the URL changes.
+  const reloadExpandedStores = (size, order) => {
+    Object.keys(storePages).forEach((storeName) => loadStorePage(storeName, 1, size, order));
+  };
+
+  const handlePageSizeChange = (size) => {
+    updateListState({ pageSize: size, page: 1 });
+    reloadExpandedStores(size, sort);
+  };
+
+  const handleSortChange = (nextSort) => {
+    // Sorting is done by the server: what is on screen restarts from the first page
+    updateListState({ sort: nextSort, page: 1 });
+    reloadExpandedStores(pageSize, nextSort);
+  };
+
+  // An adjustment changes one store: reload its totals and what is on screen of it
+  const handleAdjusted = (adjustment) => {
+    setShowAdjustmentForm(false);
+    reloadStoreSummariesQuietly();
+    if (storePages[adjustment.storeName]) {
+      loadStorePage(adjustment.storeName, storePages[adjustment.storeName].page?.pageNumber || 1, pageSize, sort);
+    }
+    if (viewMode === 'all') {
+      loadAllTransactions(pageNumber, pageSize, sort);
+    }
   };
 
   const handleDeleteAll = async () => {
@@ -55,10 +229,11 @@ function Transactions({
     if (onShowModal) {
       onShowModal({
         type: 'confirm',
-        title: 'Delete All Transactions?',
-        message: `Are you sure you want to delete ALL ${totalTransactions} transactions?\n\nThis action CANNOT be undone!`,
-        confirmText: 'Delete',
-        cancelText: 'Cancel',
+        title: t('transactions.deleteAll.title'),
+        message: hasFilters
+          ? t('transactions.deleteAll.messageFiltered')
+          : t('transactions.deleteAll.message', { count: totalTransactions }),
+        confirmText: t('transactions.deleteAll.confirm'),
         onConfirm: executeDelete,
         onCancel: () => {
           if (onCloseModal) {
@@ -86,12 +261,12 @@ function Transactions({
       setError(null);
 
       const result = await cnabService.deleteAllTransactions();
-      await loadStoreBalances();
+      await loadStoreSummaries();
 
       if (onShowModal) {
         onShowModal({
           type: 'success',
-          title: 'Success',
+          title: t('transactions.deleteAll.success'),
           message: result.message,
           onConfirm: () => {
             if (onCloseModal) {
@@ -101,13 +276,13 @@ function Transactions({
         });
       }
     } catch (err) {
-      const errorMsg = err.response?.data?.message || 'Failed to delete transactions';
+      const errorMsg = err.response?.data?.message || t('transactions.deleteAll.failed');
       setError(errorMsg);
 
       if (onShowModal) {
         onShowModal({
           type: 'error',
-          title: 'Error',
+          title: t('app.error'),
           message: errorMsg,
           onConfirm: () => {
             if (onCloseModal) {
@@ -124,96 +299,154 @@ function Transactions({
     }
   };
 
-  const formatCurrency = (value) => {
-    return new Intl.NumberFormat('pt-BR', {
-      style: 'currency',
-      currency: 'BRL',
-    }).format(value);
-  };
+  const isBusy = loading || isUploading || deleting || isDeleting;
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('pt-BR');
-  };
+  const renderStoreTransactions = (store) => {
+    const state = storePages[store.storeName];
+    if (!state) return null;
 
-  const getStorePage = (storeName) => {
-    return storePagination[storeName] || 1;
-  };
+    if (state.error) {
+      return <div className="alert alert-error">❌ {state.error}</div>;
+    }
 
-  const setStorePage = (storeName, page) => {
-    setStorePagination(prev => ({ ...prev, [storeName]: page }));
-  };
+    if (!state.page) {
+      return (
+        <div className="loading loading-inline">
+          <div className="spinner"></div>
+          <p>{t('transactions.loading')}</p>
+        </div>
+      );
+    }
 
-  const getStoreTransactions = (store) => {
-    const currentPage = getStorePage(store.storeName);
-    const startIndex = (currentPage - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    return store.transactions.slice(startIndex, endIndex);
+    return (
+      <>
+        <div className="transactions-table-wrapper">
+          <TransactionTable
+            transactions={state.page.items}
+            columns={visibleColumns}
+            sort={sort}
+            onSortChange={handleSortChange}
+            loading={state.loading}
+            closedPeriods={closedPeriods}
+            onAdjusted={handleAdjusted}
+          />
+        </div>
+        <Pagination
+          page={state.page}
+          onPageChange={(nextPage) => loadStorePage(store.storeName, nextPage, pageSize, sort)}
+          onPageSizeChange={handlePageSizeChange}
+          disabled={state.loading || isBusy}
+          compact
+        />
+      </>
+    );
   };
 
-  const getStoreTotalPages = (store) => {
-    return Math.ceil(store.transactions.length / pageSize);
+  const renderStoreCard = (store) => {
+    const isExpanded = Boolean(storePages[store.storeName]);
+
+    return (
+      <div key={store.storeName} className={`store-card ${isExpanded ? 'expanded' : ''}`}>
+        <div className="store-header store-header-toggle" onClick={() => toggleStore(store.storeName)}>
+          <div className="store-name">
+            <span className="store-toggle">{isExpanded ? '▾' : '▸'}</span> 🏪 {store.storeName}
+            <Link
+              className="store-link"
+              to={storePath(store.storeName)}
+              onClick={(e) => e.stopPropagation()}
+              title={t('transactions.openStore')}
+            >
+              ↗
+            </Link>
+          </div>
+          <div className={`balance ${store.totalBalance >= 0 ? 'positive' : 'negative'}`}>
+            {t('transactions.balance', { amount: formatCurrency(store.totalBalance) })}
+          </div>
+        </div>
+
+        <div className="store-stats">
+          <span>{t('transactions.transactionCount', { count: store.transactionCount })}</span>
+          <span>{t('transactions.income', { amount: formatCurrency(store.totalIncome) })}</span>
+          <span>{t('transactions.expenses', { amount: formatCurrency(store.totalExpenses) })}</span>
+          {store.adjustmentCount > 0 && (
+            <Link
+              className="store-adjustments"
+              to={storePath(store.storeName)}
+              title={t('transactions.lastAdjusted', { date: formatDate(store.lastAdjustedAt) })}
+            >
+              ✍️ {t('transactions.adjustmentCount', { count: store.adjustmentCount })}
+            </Link>
+          )}
+          {store.openAlertCount > 0 && (
+            <Link className="store-alerts" to={`/alerts?${new URLSearchParams({ store: store.storeName })}`}>
+              🚨 {t('transactions.openAlertCount', { count: store.openAlertCount })}
+            </Link>
+          )}
+        </div>
+
+        {renderStoreTransactions(store)}
+      </div>
+    );
   };
 
-  const renderStorePagination = (store) => {
-    const totalPages = getStoreTotalPages(store);
-    if (totalPages <= 1) return null;
+  const renderAllTransactions = () => {
+    const { page, loading: pageLoading, error: pageError } = allTransactions;
 
-    const currentPage = getStorePage(store.storeName);
-    const isDisabled = loading || isUploading || deleting || isDeleting;
+    if (pageError) {
+      return <div className="alert alert-error">❌ {pageError}</div>;
+    }
+
+    if (!page) {
+      return (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>{t('transactions.loading')}</p>
+        </div>
+      );
+    }
 
     return (
-      <div className="store-pagination">
-        <button
-          onClick={() => setStorePage(store.storeName, 1)}
-          disabled={currentPage === 1 || isDisabled}
-          className="pagination-btn"
-          title="First page"
-        >
-          «
-        </button>
-        <button
-          onClick={() => setStorePage(store.storeName, currentPage - 1)}
-          disabled={currentPage === 1 || isDisabled}
-          className="pagination-btn"
-          title="Previous page"
-        >
-          ‹
-        </button>
-
-        <span className="pagination-info">
-          Page {currentPage} of {totalPages}
-        </span>
-
-        <button
-          onClick={() => setStorePage(store.storeName, currentPage + 1)}
-          disabled={currentPage === totalPages || isDisabled}
-          className="pagination-btn"
-          title="Next page"
-        >
-          ›
-        </button>
-        <button
-          onClick={() => setStorePage(store.storeName, totalPages)}
-          disabled={currentPage === totalPages || isDisabled}
-          className="pagination-btn"
-          title="Last page"
-        >
-          »
-        </button>
-      </div>
+      <>
+        <Pagination
+          page={page}
+          onPageChange={(nextPage) => updateListState({ page: nextPage })}
+          onPageSizeChange={handlePageSizeChange}
+          disabled={pageLoading || isBusy}
+        />
+        <div className="all-transactions-table-wrapper">
+          <TransactionTable
+            transactions={page.items}
+            columns={visibleColumns}
+            showStore
+            sort={sort}
+            onSortChange={handleSortChange}
+            loading={pageLoading}
+            closedPeriods={closedPeriods}
+            onAdjusted={handleAdjusted}
+            className="all-transactions"
+          />
+        </div>
+        <Pagination
+          page={page}
+          onPageChange={(nextPage) => updateListState({ page: nextPage })}
+          disabled={pageLoading || isBusy}
+        />
+      </>
     );
   };
 
-  if (loading) {
+  // Without filters there is nothing to narrow down, so keep the simple full-page states.
+  // With filters the filter bar must stay on screen so they can be changed or cleared.
+  if (!hasFilters && loading && stores.length === 0) {
     return (
       <div className="loading">
         <div className="spinner"></div>
-        <p>Loading transactions...</p>
+        <p>{t('transactions.loading')}</p>
       </div>
     );
   }
 
-  if (error) {
+  if (!hasFilters && error) {
     return (
       <div className="alert alert-error">
         ❌ {error}
@@ -221,105 +454,128 @@ function Transactions({
     );
   }
 
-  if (stores.length === 0) {
+  if (!hasFilters && stores.length === 0) {
     return (
       <div className="empty-state">
         <div className="empty-icon">📭</div>
-        <h3>No transactions found</h3>
-        <p>Upload a CNAB file to see transactions here</p>
+        <h3>{t('transactions.empty')}</h3>
+        <p>{t('transactions.emptyHint')}</p>
       </div>
     );
   }
 
   const totalTransactions = stores.reduce((sum, store) => sum + store.transactionCount, 0);
+  const totalBalance = stores.reduce((sum, store) => sum + store.totalBalance, 0);
 
-  return (
-    <div className="transactions-container">
-      <div className="transactions-header">
-        <h2>📊 Transactions</h2>
-        <button
-          className="btn-delete-all"
-          onClick={handleDeleteAll}
-          disabled={deleting || loading || isUploading || isDeleting}
-        >
-          {deleting || isDeleting ? '🗑️ Deleting...' : '🗑️ Delete All'}
-        </button>
-      </div>
+  const renderResults = () => {
+    if (error) {
+      return <div className="alert alert-error">❌ {error}</div>;
+    }
 
-      <div className="summary">
-        <div className="summary-card">
-          <span className="summary-label">Total Stores</span>
-          <span className="summary-value">{stores.length}</span>
+    if (loading && stores.length === 0) {
+      return (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>{t('transactions.loading')}</p>
         </div>
-        <div className="summary-card">
-          <span className="summary-label">Total Transactions</span>
-          <span className="summary-value">{totalTransactions}</span>
+      );
+    }
+
+    if (stores.length === 0) {
+      return (
+        <div className="empty-state">
+          <div className="empty-icon">🔎</div>
+          <h3>{t('transactions.noMatches')}</h3>
+          <p>{t('transactions.noMatchesHint')}</p>
         </div>
-      </div>
+      );
+    }
 
-      {stores.map((store) => (
-        <div key={store.storeName} className="store-card">
-          <div className="store-header">
-            <div className="store-name">🏪 {store.storeName}</div>
-            <div className={`balance ${store.totalBalance >= 0 ? 'positive' : 'negative'}`}>
-              Balance: {formatCurrency(store.totalBalance)}
-            </div>
+    return (
+      <>
+        <div className="summary">
+          <div className="summary-card">
+            <span className="summary-label">{t(hasFilters ? 'transactions.matchingStores' : 'transactions.totalStores')}</span>
+            <span className="summary-value">{formatNumber(stores.length)}</span>
           </div>
-
-          <div className="store-stats">
-            <span>Transactions: {store.transactionCount}</span>
-            <span>Income: {formatCurrency(store.totalIncome)}</span>
-            <span>Expenses: {formatCurrency(store.totalExpenses)}</span>
+          <div className="summary-card">
+            <span className="summary-label">{t(hasFilters ? 'transactions.matchingTransactions' : 'transactions.totalTransactions')}</span>
+            <span className="summary-value">{formatNumber(totalTransactions)}</span>
+          </div>
+          <div className="summary-card">
+            <span className="summary-label">{t(hasFilters ? 'transactions.matchingBalance' : 'transactions.totalBalance')}</span>
+            <span className="summary-value">{formatCurrency(totalBalance)}</span>
           </div>
+        </div>
 
-          {renderStorePagination(store) && (
-            <div style={{ marginBottom: '1rem' }}>
-              {renderStorePagination(store)}
-            </div>
-          )}
+        {viewMode === 'all' && renderAllTransactions()}
 
-          <div className="transactions-table-wrapper">
-            <table className="transactions-table">
-              <thead>
-                <tr>
-                  <th>Date</th>
-                  <th>Time</th>
-                  <th>Type</th>
-                  <th>Amount</th>
-                  <th>CPF</th>
-                  <th>Card</th>
-                </tr>
-              </thead>
-              <tbody>
-                {getStoreTransactions(store).map((transaction) => (
-                  <tr key={transaction.id}>
-                    <td>{formatDate(transaction.date)}</td>
-                    <td>{transaction.time}</td>
-                    <td>
-                      <span className={`badge badge-${transaction.nature.toLowerCase()}`}>
-                        {transaction.typeDescription}
-                      </span>
-                    </td>
-                    <td className={transaction.signedAmount >= 0 ? 'amount-positive' : 'amount-negative'}>
-                      {formatCurrency(transaction.signedAmount)}
-                    </td>
-                    <td>{transaction.cpf}</td>
-                    <td>{transaction.cardNumber}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+        {viewMode === 'stores' && stores.map(renderStoreCard)}
+      </>
+    );
+  };
 
-          {renderStorePagination(store) && (
-            <div style={{ marginTop: '1rem' }}>
-              {renderStorePagination(store)}
-            </div>
-          )}
+  return (
+    <div className="transactions-container">
+      <div className="transactions-header">
+        <h2>📊 {t('transactions.title')}</h2>
+        <div className="header-controls">
+          <div className="view-mode-toggle">
+            <button
+              className={`toggle-btn ${viewMode === 'stores' ? 'active' : ''}`}
+              onClick={() => handleViewModeChange('stores')}
+            >
+              🏪 {t('transactions.byStore')}
+            </button>
+            <button
+              className={`toggle-btn ${viewMode === 'all' ? 'active' : ''}`}
+              onClick={() => handleViewModeChange('all')}
+            >
+              📋 {t('transactions.all')}
+            </button>
+          </div>
+          <ColumnSettings layout={layout} onChange={setLayout} currentSort={sort} />
+          <PermissionGuard permission="export">
+            <ExportMenu
+              stores={stores}
+              filters={filters}
+              sort={sort}
+              hasFilters={hasFilters}
+              disabled={isBusy || stores.length === 0}
+            />
+          </PermissionGuard>
+          <PermissionGuard permission="adjust">
+            <button
+              className={`toggle-btn ${showAdjustmentForm ? 'active' : ''}`}
+              onClick={() => setShowAdjustmentForm((shown) => !shown)}
+              disabled={isBusy}
+            >
+              ✍️ {t('adjustments.newButton')}
+            </button>
+          </PermissionGuard>
+          <PermissionGuard permission="delete">
+            <button
+              className="btn-delete-all"
+              onClick={handleDeleteAll}
+              disabled={isBusy}
+            >
+              🗑️ {deleting || isDeleting ? t('transactions.deleting') : t('transactions.deleteAll.button')}
+            </button>
+          </PermissionGuard>
         </div>
-      ))}
+      </div>
+
+      <ClosedPeriodsNotice periods={closedPeriods} />
+
+      {showAdjustmentForm && (
+        <AdjustmentForm onSaved={handleAdjusted} onCancel={() => setShowAdjustmentForm(false)} />
+      )}
+
+      <FilterBar filters={filters} onApply={setFilters} disabled={isBusy} />
+
+      {renderResults()}
     </div>
   );
 }
 
-export default Transactions;
\ No newline at end of file
+export default Transactions;
@@ -3,148 +3,95 @@
 // Copy this entire file to src/components/Upload.jsx
 // ========================================
 
-import { useState, useRef, useEffect } from 'react';
-import cnabService from '../services/cnabService';
+import { useState, useRef } from 'react';
+import { UPLOAD_STATUS } from '../hooks/useUploadQueue';
+import useI18n from '../hooks/useI18n';
+import { AUTO_LAYOUT, LAYOUT_OPTIONS } from '../services/cnabParser';
+import CnabPreview from './CnabPreview';
+import UploadQueue from './UploadQueue';
+import ImportJobs from './ImportJobs';
 import './Upload.css';
 
-function Upload({ onUploadStart, onUploadSuccess, onUploadError, isUploading: parentIsUploading = false }) {
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [uploading, setUploading] = useState(false);
-  const [message, setMessage] = useState(null);
+function Upload({ queue, onViewReport = null, onResolveDuplicate = null }) {
+  const { t } = useI18n();
+  const [selectedId, setSelectedId] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
+  // Layout of the next files added; each file keeps the one it was added with
+  const [layout, setLayout] = useState(AUTO_LAYOUT);
   const fileInputRef = useRef(null);
-  const previousParentUploadingRef = useRef(parentIsUploading);
 
-  // Clear selected file when upload and data loading are completely finished
-  useEffect(() => {
-    // Only clear when parentIsUploading changes from true to false
-    if (previousParentUploadingRef.current === true && parentIsUploading === false && selectedFile) {
-      setSelectedFile(null);
-    }
-    previousParentUploadingRef.current = parentIsUploading;
-  }, [parentIsUploading, selectedFile]);
+  const { items, isRunning, canSend } = queue;
+  const readyCount = items.filter((item) => item.status === UPLOAD_STATUS.READY).length;
+  const checkingCount = items.filter((item) => item.status === UPLOAD_STATUS.CHECKING).length;
+  const hasFinished = items.some((item) =>
+    [UPLOAD_STATUS.IMPORTED, UPLOAD_STATUS.FAILED, UPLOAD_STATUS.CANCELLED, UPLOAD_STATUS.INVALID].includes(item.status)
+  );
+  const selectedItem = items.find((item) => item.id === selectedId);
 
-  const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      validateAndSetFile(file);
+  const addFiles = (fileList) => {
+    if (fileList && fileList.length > 0) {
+      queue.addFiles(fileList, layout);
     }
   };
 
-  const validateAndSetFile = (file) => {
-    // Validate file type
-    if (!file.name.endsWith('.txt')) {
-      setMessage({ type: 'error', text: 'Only .txt files are allowed' });
-      setSelectedFile(null);
-      return;
-    }
-
-    // Validate file size (10MB)
-    if (file.size > 10 * 1024 * 1024) {
-      setMessage({ type: 'error', text: 'File size must not exceed 10MB' });
-      setSelectedFile(null);
-      return;
+  const handleFileSelect = (event) => {
+    addFiles(event.target.files);
+    // CRITICAL: Clear the input value so onChange fires even for the same file
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
     }
-
-    setSelectedFile(file);
-    setMessage(null);
   };
 
   const handleDragOver = (e) => {
-    if (uploading) return;
     e.preventDefault();
     setIsDragging(true);
   };
 
   const handleDragLeave = (e) => {
-    if (uploading) return;
     e.preventDefault();
     setIsDragging(false);
   };
 
   const handleDrop = (e) => {
-    if (uploading) return;
     e.preventDefault();
     setIsDragging(false);
-
-    const file = e.dataTransfer.files[0];
-    if (file) {
-      validateAndSetFile(file);
-    }
+    addFiles(e.dataTransfer.files);
   };
 
   const handleDropZoneClick = () => {
-    if (uploading) return;
-    document.getElementById('file-input').click();
+    fileInputRef.current?.click();
   };
 
-  const handleUpload = async () => {
-    if (!selectedFile) {
-      setMessage({ type: 'error', text: 'Please select a file' });
-      return;
-    }
-
-    setUploading(true);
-    setMessage(null);
-
-    // Notify parent that upload is starting
-    if (onUploadStart) {
-      onUploadStart();
-    }
-
-    try {
-      const response = await cnabService.uploadFile(selectedFile);
-
-      setMessage({
-        type: 'success',
-        text: `Success! ${response.transactionsImported} transactions imported`,
-      });
-
-      // Clear the input value to allow uploading the same file again
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
-
-      // Notify parent component
-      if (onUploadSuccess) {
-        onUploadSuccess(response);
-      }
-    } catch (error) {
-      setMessage({
-        type: 'error',
-        text: error.response?.data?.message || 'Error uploading file',
-      });
-
-      // Notify parent that upload failed
-      if (onUploadError) {
-        onUploadError();
-      }
-    } finally {
-      setUploading(false);
-      // Clear input even on error so user can retry with the same file
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
-      // Only clear selectedFile when parent finishes loading (parentIsUploading = false)
-      // This keeps the Clear button disabled during the entire upload and data loading process
+  const handleRemove = (id) => {
+    if (id === selectedId) {
+      setSelectedId(null);
     }
+    queue.remove(id);
   };
 
-  const clearSelection = () => {
-    setSelectedFile(null);
-    setMessage(null);
-    // CRITICAL: Clear the input value so onChange fires even for the same file
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
+  const handleClearFinished = () => {
+    if (selectedItem && selectedItem.status !== UPLOAD_STATUS.READY) {
+      setSelectedId(null);
     }
+    queue.clearFinished();
   };
 
   return (
     <div className="upload-container">
-      <h2>📤 Upload CNAB File</h2>
+      <h2>📤 {t('upload.title')}</h2>
+
+      <div className="layout-selector">
+        <label htmlFor="layout-select">{t('layouts.label')}</label>
+        <select id="layout-select" value={layout} onChange={(e) => setLayout(e.target.value)}>
+          {LAYOUT_OPTIONS.map((name) => (
+            <option key={name} value={name}>{t(`layouts.names.${name}`)}</option>
+          ))}
+        </select>
+        <span className="layout-hint">{t('layouts.hint')}</span>
+      </div>
 
       <div
-        className={`drop-zone ${isDragging ? 'dragging' : ''} ${uploading ? 'disabled' : ''}`}
+        className={`drop-zone ${isDragging ? 'dragging' : ''}`}
         onDragOver={handleDragOver}
         onDragLeave={handleDragLeave}
         onDrop={handleDrop}
@@ -155,60 +102,64 @@ function Upload({ onUploadStart, onUploadSuccess, onUploadError, isUploading: pa
           id="file-input"
           type="file"
           accept=".txt"
+          multiple
           onChange={handleFileSelect}
           style={{ display: 'none' }}
         />
 
         <div className="drop-zone-content">
           <div className="upload-icon">📁</div>
-
-          {!selectedFile ? (
-            <>
-              <p className="drop-text">
-                <strong>Click to select</strong> or drag and drop CNAB file here
-              </p>
-              <p className="file-hint">Only .txt files (max 10MB)</p>
-            </>
-          ) : (
-            <div className="selected-file">
-              <p>
-                <strong>Selected:</strong> {selectedFile.name}
-              </p>
-              <p className="file-size">
-                {(selectedFile.size / 1024).toFixed(2)} KB
-              </p>
-            </div>
-          )}
+          <p className="drop-text">
+            <strong>{t('upload.clickToSelect')}</strong> {t('upload.orDragAndDrop')}
+          </p>
+          <p className="file-hint">
+            {t('upload.fileHint')}
+          </p>
         </div>
       </div>
 
+      {!canSend && (
+        <p className="offline-hint">
+          📴 {t('upload.offlineHint')}
+        </p>
+      )}
+
+      <UploadQueue
+        items={items}
+        selectedId={selectedId}
+        onSelect={setSelectedId}
+        onCancel={queue.cancel}
+        onRetry={queue.retry}
+        onResolve={onResolveDuplicate}
+        onRemove={handleRemove}
+        onViewReport={onViewReport}
+      />
+
       <div className="actions">
         <button
           className="btn btn-primary"
-          onClick={handleUpload}
-          disabled={!selectedFile || uploading}
+          onClick={queue.start}
+          disabled={readyCount === 0 || checkingCount > 0}
         >
-          {uploading ? 'Uploading...' : 'Upload File'}
+          {isRunning && readyCount === 0
+            ? t('upload.uploading')
+            : t('upload.uploadFiles', { count: readyCount })}
         </button>
 
-        {selectedFile && (
-          <button
-            className="btn btn-secondary"
-            onClick={clearSelection}
-            disabled={uploading}
-          >
-            Clear
+        {hasFinished && (
+          <button className="btn btn-secondary" onClick={handleClearFinished}>
+            {t('upload.clearFinished')}
           </button>
         )}
       </div>
 
-      {message && (
-        <div className={`alert alert-${message.type}`}>
-          {message.type === 'success' ? '✅' : '❌'} {message.text}
-        </div>
+      {selectedItem?.preview && (
+        <CnabPreview key={selectedItem.id} preview={selectedItem.preview} fileName={selectedItem.file.name} />
       )}
+
+      {canSend && <ImportJobs watch={isRunning} onViewReport={onViewReport} />}
     </div>
   );
 }
 
-export default Upload;
\ No newline at end of file
+export default Upload;
@@ -0,0 +1,164 @@
+// ========================================
+// File: frontend/src/components/UploadQueue.jsx
+// List of files in the upload queue with per-file status and controls
+// ========================================
+
+import { UPLOAD_STATUS } from '../hooks/useUploadQueue';
+import useI18n from '../hooks/useI18n';
+import { describeJobProgress, formatEta } from '../services/importJobs';
+import './UploadQueue.css';
+
+// Labels are uploadQueue.status.<status> in the catalogs
+const STATUS_ICONS = {
+  [UPLOAD_STATUS.CHECKING]: '🔍',
+  [UPLOAD_STATUS.READY]: '📄',
+  [UPLOAD_STATUS.INVALID]: '⛔',
+  [UPLOAD_STATUS.QUEUED]: '⏳',
+  [UPLOAD_STATUS.UPLOADING]: '⬆️',
+  [UPLOAD_STATUS.PENDING]: '📴',
+  [UPLOAD_STATUS.IMPORTED]: '✅',
+  [UPLOAD_STATUS.DUPLICATE]: '⚠️',
+  [UPLOAD_STATUS.FAILED]: '❌',
+  [UPLOAD_STATUS.CANCELLED]: '🚫',
+};
+
+function UploadQueue({
+  items,
+  selectedId = null,
+  onSelect = null,
+  onCancel = null,
+  onRetry = null,
+  onResolve = null,
+  onRemove = null,
+  onViewReport = null,
+}) {
+  const { t, formatNumber } = useI18n();
+
+  if (items.length === 0) return null;
+
+  const renderDetails = (item) => {
+    if (item.status === UPLOAD_STATUS.UPLOADING && item.job) {
+      const eta = formatEta(item.job.estimatedSecondsLeft, t);
+      return (
+        <div className="queue-progress">
+          <div className="queue-progress-bar" style={{ width: `${item.job.percentComplete}%` }} />
+          <span className="queue-progress-label">
+            {describeJobProgress(item.job, t)}{eta && ` - ${eta}`}
+          </span>
+        </div>
+      );
+    }
+
+    if (item.status === UPLOAD_STATUS.UPLOADING) {
+      return (
+        <div className="queue-progress">
+          <div className="queue-progress-bar" style={{ width: `${item.progress}%` }} />
+          <span className="queue-progress-label">
+            {item.progress < 100 ? `${item.progress}%` : t('uploadQueue.processing')}
+          </span>
+        </div>
+      );
+    }
+
+    if (item.status === UPLOAD_STATUS.IMPORTED) {
+      return (
+        <span className="queue-detail">
+          {t('uploadQueue.imported', { count: item.report.transactionCount })}
+          {item.report.duplicatesSkipped > 0 && ` ${t('uploadQueue.duplicatesSkipped', { count: item.report.duplicatesSkipped })}`}
+        </span>
+      );
+    }
+
+    if (item.status === UPLOAD_STATUS.PENDING) {
+      return <span className="queue-detail">{t('uploadQueue.pending')}</span>;
+    }
+
+    if (item.status === UPLOAD_STATUS.DUPLICATE) {
+      return <span className="queue-detail queue-detail-warning">{item.error}</span>;
+    }
+
+    if (item.error) {
+      return <span className="queue-detail queue-detail-error">{item.error}</span>;
+    }
+
+    if (item.preview) {
+      return (
+        <span className="queue-detail">
+          {t(`layouts.short.${item.preview.layout}`)} · {t('uploadQueue.lines', { valid: item.preview.validCount, invalid: item.preview.invalidCount })}
+        </span>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <ul className="upload-queue">
+      {items.map((item) => {
+        // A background import saving its transactions can no longer be cancelled
+        const canCancel = [
+          UPLOAD_STATUS.QUEUED,
+          UPLOAD_STATUS.UPLOADING,
+          UPLOAD_STATUS.PENDING,
+          UPLOAD_STATUS.DUPLICATE,
+        ].includes(item.status) && item.job?.phase !== 'Inserting';
+        const canRetry = [UPLOAD_STATUS.FAILED, UPLOAD_STATUS.CANCELLED].includes(item.status);
+        const canRemove = ![UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.QUEUED].includes(item.status);
+
+        return (
+          <li
+            key={item.id}
+            className={`queue-item queue-item-${item.status} ${selectedId === item.id ? 'selected' : ''}`}
+          >
+            <div className="queue-item-main">
+              <div className="queue-file">
+                <strong>{item.file.name}</strong>
+                <span className="queue-file-size">{formatNumber(item.file.size / 1024, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} KB</span>
+              </div>
+              <span className={`queue-status queue-status-${item.status}`}>
+                {STATUS_ICONS[item.status]} {t(`uploadQueue.status.${item.status}`)}
+              </span>
+            </div>
+
+            {renderDetails(item)}
+
+            <div className="queue-actions">
+              {item.preview && onSelect && (
+                <button className="queue-btn" onClick={() => onSelect(item.id)}>
+                  🔍 {t('uploadQueue.preview')}
+                </button>
+              )}
+              {item.report && onViewReport && (
+                <button className="queue-btn" onClick={() => onViewReport(item.report)}>
+                  📋 {t('uploadQueue.report')}
+                </button>
+              )}
+              {item.status === UPLOAD_STATUS.DUPLICATE && onResolve && (
+                <button className="queue-btn queue-btn-warning" onClick={() => onResolve(item)}>
+                  ⚠️ {t('uploadQueue.resolve')}
+                </button>
+              )}
+              {canCancel && onCancel && (
+                <button className="queue-btn queue-btn-danger" onClick={() => onCancel(item.id)}>
+                  ✖ {t('uploadQueue.cancel')}
+                </button>
+              )}
+              {canRetry && onRetry && (
+                <button className="queue-btn" onClick={() => onRetry(item.id)}>
+                  🔄 {t('uploadQueue.retry')}
+                </button>
+              )}
+              {canRemove && onRemove && (
+                <button className="queue-btn" onClick={() => onRemove(item.id)}>
+                  🗑️ {t('uploadQueue.remove')}
+                </button>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default UploadQueue;
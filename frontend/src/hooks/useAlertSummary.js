@@ -0,0 +1,29 @@
+// ========================================
+// File: frontend/src/hooks/useAlertSummary.js
+// Purpose: Number of open anomaly alerts (Alerts tab badge), reloaded after imports and deletes
+// ========================================
+
+import { useState, useEffect, useCallback } from 'react';
+import cnabService from '../services/cnabService';
+
+/**
+ * @param {number} refresh - Reloads the summary when it changes
+ * @param {boolean} [enabled] - Skips the requests while false (e.g. signed out)
+ * @returns {{ openCount: number, reload: () => Promise<void> }}
+ */
+function useAlertSummary(refresh, enabled = true) {
+  const [openCount, setOpenCount] = useState(0);
+
+  const reload = useCallback(() => cnabService.getAlertSummary()
+    .then((data) => setOpenCount(data.openCount))
+    // Only the badge is missing, the Alerts view reports its own errors
+    .catch(() => {}), []);
+
+  useEffect(() => {
+    if (enabled) reload();
+  }, [refresh, enabled, reload]);
+
+  return { openCount, reload };
+}
+
+export default useAlertSummary;
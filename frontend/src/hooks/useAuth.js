@@ -0,0 +1,37 @@
+// ========================================
+// File: frontend/src/hooks/useAuth.js
+// Purpose: Auth context and the hook components use to read it (provided by AuthProvider)
+// ========================================
+
+import { createContext, useContext } from 'react';
+
+/**
+ * @typedef {object} AuthState
+ * @property {'loading'|'authenticated'|'offline'|'anonymous'} status - 'loading' while the session
+ *   is restored; 'offline' when the API could not be reached and the last user is shown read-only
+ * @property {boolean} isAuthenticated - Also true offline
+ * @property {boolean} isOffline - Signed in without a token until the API can be reached
+ * @property {import('../services/authService').CurrentUser|null} user
+ * @property {string[]} roles - Roles of the signed-in user (empty when signed out)
+ * @property {(role: string) => boolean} hasRole
+ * @property {(permission: keyof import('../services/permissions').PERMISSIONS) => boolean} can
+ * @property {(username: string, password: string) => Promise<void>} login
+ * @property {() => Promise<void>} logout
+ * @property {() => Promise<object>} refreshSession - Renews the access token now
+ */
+
+/** @type {import('react').Context<AuthState|null>} */
+export const AuthContext = createContext(null);
+
+/**
+ * @returns {AuthState}
+ */
+function useAuth() {
+  const auth = useContext(AuthContext);
+  if (!auth) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return auth;
+}
+
+export default useAuth;
@@ -0,0 +1,35 @@
+// ========================================
+// File: frontend/src/hooks/useClosedPeriods.js
+// Purpose: Closed periods, reloaded after imports and deletes
+// ========================================
+
+import { useState, useEffect, useCallback } from 'react';
+import cnabService from '../services/cnabService';
+import { translate } from '../services/i18n';
+
+/**
+ * @param {number} refresh - Reloads the periods when it changes
+ * @returns {{ periods: object[], error: string|null, reload: () => Promise<void> }}
+ */
+function useClosedPeriods(refresh) {
+  const [periods, setPeriods] = useState([]);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(() => cnabService.getClosedPeriods()
+    .then((data) => {
+      setPeriods(data);
+      setError(null);
+    })
+    .catch((err) => {
+      // The lists still work without the lock marks, so this is not fatal
+      setError(err.response?.data?.message || translate('closedPeriods.loadError'));
+    }), []);
+
+  useEffect(() => {
+    reload();
+  }, [refresh, reload]);
+
+  return { periods, error, reload };
+}
+
+export default useClosedPeriods;
@@ -0,0 +1,45 @@
+// ========================================
+// File: frontend/src/hooks/useI18n.js
+// Purpose: Current UI language with its messages and formats; re-renders when the user switches it
+// ========================================
+
+import { useMemo, useSyncExternalStore } from 'react';
+import i18n, { getLocale, onLocaleChange } from '../services/i18n';
+
+/**
+ * @typedef {object} I18n
+ * @property {'pt-BR'|'en-US'} locale
+ * @property {(locale: 'pt-BR'|'en-US') => void} setLocale
+ * @property {(key: string, params?: object) => string} t - Message of the catalog (see translate)
+ * @property {(value: number, options?: Intl.NumberFormatOptions) => string} formatNumber
+ * @property {(value: number, options?: { compact?: boolean }) => string} formatCurrency
+ * @property {(value: string|Date) => string} formatDate - Day only; calendar dates never shift
+ * @property {(value: string|Date) => string} formatMonth
+ * @property {(value: string|Date) => string} formatDateTime
+ * @property {(value: string|Date) => string} formatTime
+ * @property {(type: number|string) => string} typeLabel - Transaction type name (1-9)
+ * @property {(nature: string) => string} natureLabel
+ */
+
+/**
+ * @returns {I18n}
+ */
+function useI18n() {
+  const locale = useSyncExternalStore(onLocaleChange, getLocale, getLocale);
+
+  return useMemo(() => ({
+    locale,
+    setLocale: i18n.setLocale,
+    t: (key, params) => i18n.translate(key, params, locale),
+    formatNumber: (value, options) => i18n.formatNumber(value, options, locale),
+    formatCurrency: (value, options) => i18n.formatCurrency(value, options, locale),
+    formatDate: (value) => i18n.formatDate(value, locale),
+    formatMonth: (value) => i18n.formatMonth(value, locale),
+    formatDateTime: (value) => i18n.formatDateTime(value, locale),
+    formatTime: (value) => i18n.formatTime(value, locale),
+    typeLabel: (type) => i18n.transactionTypeLabel(type, locale),
+    natureLabel: (nature) => i18n.natureLabel(nature, locale),
+  }), [locale]);
+}
+
+export default useI18n;
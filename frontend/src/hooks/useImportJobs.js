@@ -0,0 +1,49 @@
+// ========================================
+// File: frontend/src/hooks/useImportJobs.js
+// Purpose: Background import jobs on the server, polled while any of them is running
+// ========================================
+
+import { useState, useEffect, useCallback } from 'react';
+import cnabService from '../services/cnabService';
+import { translate } from '../services/i18n';
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * @param {boolean} [watch=false] - Keep polling even when no job is running
+ *   (e.g. while this tab is still uploading a file that becomes a job)
+ * @returns {{ jobs: object[], error: string|null, reload: () => Promise<void>, cancel: (id: string) => Promise<void> }}
+ */
+function useImportJobs(watch = false) {
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(() => cnabService.getImportJobs()
+    .then((data) => {
+      setJobs(data);
+      setError(null);
+    })
+    .catch((err) => {
+      setError(err.response?.data?.message || translate('importJobs.loadError'));
+    }), []);
+
+  const hasRunningJobs = jobs.some((job) => !job.isFinished);
+
+  useEffect(() => {
+    reload();
+    if (!watch && !hasRunningJobs) return undefined;
+
+    const timer = setInterval(reload, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [watch, hasRunningJobs, reload]);
+
+  const cancel = useCallback((id) => cnabService.cancelImportJob(id)
+    .catch(() => {
+      // Finished meanwhile: the reload shows how it ended
+    })
+    .then(reload), [reload]);
+
+  return { jobs, error, reload, cancel };
+}
+
+export default useImportJobs;
@@ -0,0 +1,53 @@
+// ========================================
+// File: frontend/src/hooks/useLiveUpdates.js
+// Purpose: Collects imports, deletes and adjustments made by other users (or other tabs) until the
+// user chooses to refresh what is on screen
+// ========================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToLiveEvents } from '../services/liveEvents';
+
+/**
+ * Stores touched by a list of events: null when any of them changed every store (delete-all).
+ * @param {import('../services/liveEvents').LiveEvent[]} events
+ * @returns {string[]|null}
+ */
+export const collectStoreNames = (events) => {
+  if (events.some((event) => event.storeNames == null)) return null;
+  return [...new Set(events.flatMap((event) => event.storeNames))];
+};
+
+/**
+ * Whether a refresh covering `storeNames` (null = every store) concerns the store.
+ * @param {string[]|null} storeNames
+ * @param {string} storeName
+ */
+export const affectsStore = (storeNames, storeName) => storeNames == null || storeNames.includes(storeName);
+
+/**
+ * @param {boolean} enabled - Listens only while true (signed in and online)
+ * @returns {{
+ *   events: import('../services/liveEvents').LiveEvent[],
+ *   take: () => import('../services/liveEvents').LiveEvent[],
+ *   dismiss: () => void,
+ * }} Changes not applied yet; take() returns them and clears the list
+ */
+function useLiveUpdates(enabled) {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeToLiveEvents((event) => setEvents((prev) => [...prev, event]));
+  }, [enabled]);
+
+  const take = useCallback(() => {
+    setEvents([]);
+    return events;
+  }, [events]);
+
+  const dismiss = useCallback(() => setEvents([]), []);
+
+  return { events, take, dismiss };
+}
+
+export default useLiveUpdates;
@@ -0,0 +1,26 @@
+// ========================================
+// File: frontend/src/hooks/useOnlineStatus.js
+// Purpose: Whether the browser has a network connection, updated on online/offline events
+// ========================================
+
+import { useSyncExternalStore } from 'react';
+
+const subscribe = (callback) => {
+  window.addEventListener('online', callback);
+  window.addEventListener('offline', callback);
+  return () => {
+    window.removeEventListener('online', callback);
+    window.removeEventListener('offline', callback);
+  };
+};
+
+/**
+ * navigator.onLine is false only when there is surely no connection; a "true" may still
+ * fail to reach the API, so requests must handle network errors anyway.
+ * @returns {boolean}
+ */
+function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, () => navigator.onLine, () => true);
+}
+
+export default useOnlineStatus;
@@ -0,0 +1,28 @@
+// ========================================
+// File: frontend/src/hooks/useTableLayout.js
+// Purpose: Transaction table layout (columns, default sort) persisted per user
+// ========================================
+
+import { useState, useCallback } from 'react';
+import { loadTableLayout, saveTableLayout } from '../services/tableLayout';
+import useAuth from './useAuth';
+
+/**
+ * @returns {[import('../services/tableLayout').TableLayout, (layout: object) => void]}
+ *   Layout of the signed-in user and a setter that also saves it.
+ */
+function useTableLayout() {
+  // Layouts are kept apart per user on shared machines
+  const { user } = useAuth();
+  const username = user?.username || '';
+  const [layout, setLayoutState] = useState(() => loadTableLayout(username));
+
+  const setLayout = useCallback((nextLayout) => {
+    setLayoutState(nextLayout);
+    saveTableLayout(username, nextLayout);
+  }, [username]);
+
+  return [layout, setLayout];
+}
+
+export default useTableLayout;
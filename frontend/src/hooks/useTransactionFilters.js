@@ -0,0 +1,35 @@
+// ========================================
+// File: frontend/src/hooks/useTransactionFilters.js
+// Purpose: Transaction filters kept in the URL query string
+// so a filtered view can be bookmarked or shared
+// ========================================
+
+import { useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router';
+import { filtersFromSearch, filtersToSearch } from '../services/transactionFilters';
+
+/**
+ * @returns {[import('../services/transactionFilters').TransactionFilters, (filters: object) => void]}
+ *   Current filters and a setter that updates the URL (one history entry per change,
+ *   so the browser back button restores the previous filters).
+ */
+function useTransactionFilters() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Keyed on the filter part of the URL only, so paging does not create new filters
+  const filtersSearch = filtersToSearch(filtersFromSearch(searchParams.toString()));
+  const filters = useMemo(() => filtersFromSearch(filtersSearch), [filtersSearch]);
+
+  const setFilters = useCallback((nextFilters) => {
+    const params = new URLSearchParams(filtersToSearch(nextFilters, searchParams.toString()));
+    if (params.toString() === searchParams.toString()) return;
+
+    // Other criteria give other pages: start again from the first one
+    params.delete('page');
+    setSearchParams(params);
+  }, [searchParams, setSearchParams]);
+
+  return [filters, setFilters];
+}
+
+export default useTransactionFilters;
@@ -0,0 +1,32 @@
+// ========================================
+// File: frontend/src/hooks/useTransactionListState.js
+// Purpose: View mode, page, page size and sort of the transaction lists,
+// kept in the URL query string next to the filters
+// ========================================
+
+import { useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router';
+import { listStateFromSearch, listStateToSearch } from '../services/transactionListState';
+
+/**
+ * @returns {[import('../services/transactionListState').TransactionListState, (changes: object) => void]}
+ *   Current list state and a function that merges changes into the URL (one history entry each).
+ */
+function useTransactionListState() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const listSearch = listStateToSearch(listStateFromSearch(searchParams.toString()));
+  const listState = useMemo(() => listStateFromSearch(listSearch), [listSearch]);
+
+  const updateListState = useCallback((changes) => {
+    const search = searchParams.toString();
+    const nextSearch = listStateToSearch({ ...listStateFromSearch(search), ...changes }, search);
+    if (new URLSearchParams(nextSearch).toString() !== search) {
+      setSearchParams(new URLSearchParams(nextSearch));
+    }
+  }, [searchParams, setSearchParams]);
+
+  return [listState, updateListState];
+}
+
+export default useTransactionListState;
@@ -0,0 +1,420 @@
+// ========================================
+// File: frontend/src/hooks/useUploadQueue.js
+// Purpose: Multi-file CNAB upload queue with per-file progress and cancellation
+// Lives in App so uploads keep running while the user switches tabs.
+// Uploads that cannot reach the API are kept in IndexedDB and sent when the connection returns.
+// Large files are imported in the background: the upload returns a job, which is polled.
+// ========================================
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import cnabService from '../services/cnabService';
+import { AUTO_LAYOUT, parseCnabFile } from '../services/cnabParser';
+import { computeFileHash } from '../services/fileHash';
+import { savePendingUpload, getPendingUploads, deletePendingUpload } from '../services/offlineStore';
+import { BACKGROUND_IMPORT_MIN_SIZE, waitForImportJob } from '../services/importJobs';
+import { translate } from '../services/i18n';
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Item statuses:
+ * - checking:  file is being read and pre-flight parsed
+ * - ready:     file passed the checks and waits for the user to start the queue
+ * - invalid:   file cannot be uploaded (wrong extension, too big, no valid lines, trailer totals
+ *              that do not match the records)
+ * - queued:    waiting for its turn to upload
+ * - uploading: bytes are being sent / server is importing (item.job: background import status)
+ * - imported:  server imported the file
+ * - pending:   no connection; the file is kept in the browser and sent when back online
+ * - duplicate: server found the content was already imported and waits for a decision
+ * - failed:    server or network error (can be retried)
+ * - cancelled: cancelled by the user (can be retried)
+ */
+export const UPLOAD_STATUS = {
+  CHECKING: 'checking',
+  READY: 'ready',
+  INVALID: 'invalid',
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PENDING: 'pending',
+  IMPORTED: 'imported',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const validateFile = (file) => {
+  if (!file.name.endsWith('.txt')) {
+    return translate('uploadQueue.errors.extension');
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return translate('uploadQueue.errors.size');
+  }
+  return null;
+};
+
+/**
+ * How the server should treat content that was already imported
+ * (values of the API DuplicateHandling enum).
+ */
+export const DUPLICATE_HANDLING = {
+  REJECT: 'Reject',
+  SKIP: 'Skip',
+  IMPORT: 'Import',
+};
+
+/**
+ * @param {object} options
+ * @param {(report: object) => void} [options.onFileImported] - Called after each successful import
+ * @param {(reports: object[]) => void} [options.onQueueFinished] - Called when the queue drains,
+ *   with the reports of the files imported in that run
+ * @param {(item: object) => void} [options.onDuplicate] - Called when the server rejects a file
+ *   as already imported; item.duplicate holds the server response. Answer with resolveDuplicate.
+ * @param {string} [options.username] - Owner of the uploads kept offline; only they are restored
+ * @param {boolean} [options.online=true] - Whether uploads can be sent now. While false they are
+ *   kept as pending; when it turns true the pending uploads are sent.
+ */
+function useUploadQueue({
+  onFileImported = null,
+  onQueueFinished = null,
+  onDuplicate = null,
+  username = '',
+  online = true,
+} = {}) {
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+
+  // Refs mirror the state so the async queue loop always sees the latest items
+  const itemsRef = useRef([]);
+  const runningRef = useRef(false);
+  const nextIdRef = useRef(1);
+  const controllersRef = useRef(new Map());
+  const callbacksRef = useRef({ onFileImported, onQueueFinished, onDuplicate });
+  const onlineRef = useRef(online);
+  const restoredForRef = useRef(null);
+
+  useEffect(() => {
+    callbacksRef.current = { onFileImported, onQueueFinished, onDuplicate };
+  }, [onFileImported, onQueueFinished, onDuplicate]);
+
+  const commit = useCallback((updater) => {
+    itemsRef.current = updater(itemsRef.current);
+    setItems(itemsRef.current);
+  }, []);
+
+  const updateItem = useCallback((id, patch) => {
+    commit((list) => list.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, [commit]);
+
+  const createItem = (file, fields = {}) => ({
+    id: nextIdRef.current++,
+    file,
+    status: UPLOAD_STATUS.CHECKING,
+    progress: 0,
+    preview: null,
+    fileHash: null,
+    report: null,
+    duplicate: null,
+    duplicateHandling: DUPLICATE_HANDLING.REJECT,
+    // Layout chosen on the Upload screen (a CnabLayouts name, or Auto to detect it)
+    layout: AUTO_LAYOUT,
+    // Id in IndexedDB while the file is kept for sending later
+    pendingId: null,
+    // Latest status of the background import, for large files
+    job: null,
+    error: null,
+    ...fields,
+  });
+
+  // Drops the offline copy once the server has answered for the file
+  const releasePending = useCallback((item) => {
+    if (item.pendingId == null) return;
+    deletePendingUpload(item.pendingId).catch(() => {
+      // A leftover copy is sent again later and answered as a duplicate
+    });
+    updateItem(item.id, { pendingId: null });
+  }, [updateItem]);
+
+  const keepPending = useCallback(async (item) => {
+    try {
+      const pendingId = item.pendingId ?? await savePendingUpload({
+        username,
+        file: item.file,
+        fileHash: item.fileHash,
+        duplicateHandling: item.duplicateHandling,
+        layout: item.layout,
+        queuedAt: new Date().toISOString(),
+      });
+      updateItem(item.id, { status: UPLOAD_STATUS.PENDING, progress: 0, pendingId, error: null });
+    } catch {
+      updateItem(item.id, {
+        status: UPLOAD_STATUS.FAILED,
+        progress: 0,
+        error: translate('uploadQueue.errors.notKept'),
+      });
+    }
+  }, [username, updateItem]);
+
+  const checkFile = useCallback(async (id, file, layout) => {
+    const error = validateFile(file);
+    if (error) {
+      updateItem(id, { status: UPLOAD_STATUS.INVALID, error });
+      return;
+    }
+
+    // Owners the server knows for each store; offline, owners are only compared within the file
+    const knownStoreOwners = onlineRef.current
+      ? await cnabService.getKnownStoreOwners().catch(() => ({}))
+      : {};
+
+    try {
+      const [preview, fileHash] = await Promise.all([
+        parseCnabFile(file, { knownStoreOwners, layout }),
+        computeFileHash(file),
+      ]);
+      if (preview.validCount === 0) {
+        updateItem(id, { status: UPLOAD_STATUS.INVALID, preview, fileHash, error: translate('uploadQueue.errors.noValidLines') });
+      } else if (preview.trailerValid === false) {
+        // The server rejects the whole file when the trailer does not match the records
+        updateItem(id, { status: UPLOAD_STATUS.INVALID, preview, fileHash, error: translate('uploadQueue.errors.trailer') });
+      } else {
+        updateItem(id, { status: UPLOAD_STATUS.READY, preview, fileHash });
+      }
+    } catch {
+      updateItem(id, { status: UPLOAD_STATUS.INVALID, error: translate('uploadQueue.errors.unreadable') });
+    }
+  }, [updateItem]);
+
+  /**
+   * Adds files to the queue and runs the pre-flight checks on each one.
+   * @param {FileList|File[]} fileList
+   * @param {string} [layout] - Layout of the files (LAYOUT_OPTIONS); Auto detects it from each file
+   */
+  const addFiles = useCallback((fileList, layout = AUTO_LAYOUT) => {
+    const newItems = Array.from(fileList).map((file) => createItem(file, { layout }));
+
+    commit((list) => [...list, ...newItems]);
+    newItems.forEach((item) => checkFile(item.id, item.file, item.layout));
+  }, [commit, checkFile]);
+
+  const uploadItem = useCallback(async (item) => {
+    if (!onlineRef.current) {
+      await keepPending(item);
+      return null;
+    }
+
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, { status: UPLOAD_STATUS.UPLOADING, progress: 0, error: null, report: null, job: null });
+
+    const options = {
+      fileHash: item.fileHash,
+      duplicateHandling: item.duplicateHandling,
+      layout: item.layout,
+      signal: controller.signal,
+      onProgress: (event) => {
+        if (event.total) {
+          updateItem(item.id, { progress: Math.round((event.loaded * 100) / event.total) });
+        }
+      },
+    };
+
+    try {
+      let report;
+      if (item.file.size >= BACKGROUND_IMPORT_MIN_SIZE) {
+        // The server answers once the file is received; the import itself is followed by polling
+        const job = await cnabService.startImportJob(item.file, options);
+        // The server has the file now: a lost connection no longer means keeping it offline
+        releasePending(item);
+        updateItem(item.id, { progress: 100, job });
+        report = await waitForImportJob(job.id, {
+          signal: controller.signal,
+          onUpdate: (update) => updateItem(item.id, { job: update }),
+        });
+      } else {
+        report = await cnabService.uploadFile(item.file, options);
+      }
+
+      updateItem(item.id, { status: UPLOAD_STATUS.IMPORTED, progress: 100, report });
+      releasePending(item);
+      callbacksRef.current.onFileImported?.(report);
+      return report;
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        updateItem(item.id, { status: UPLOAD_STATUS.CANCELLED, progress: 0 });
+        releasePending(item);
+      } else if (!error.response) {
+        // Network error: the request never got an answer
+        await keepPending(item);
+      } else if (error.response?.status === 409) {
+        const duplicate = error.response.data;
+        updateItem(item.id, {
+          status: UPLOAD_STATUS.DUPLICATE,
+          progress: 0,
+          duplicate,
+          error: duplicate?.message || translate('uploadQueue.errors.duplicate'),
+        });
+        releasePending(item);
+        callbacksRef.current.onDuplicate?.({ ...item, duplicate });
+      } else {
+        releasePending(item);
+        const data = error.response.data;
+        updateItem(item.id, {
+          status: UPLOAD_STATUS.FAILED,
+          error: data?.message || translate('uploadQueue.errors.upload'),
+          report: data?.linesRead ? data : null,
+        });
+      }
+      return null;
+    } finally {
+      controllersRef.current.delete(item.id);
+    }
+  }, [updateItem, keepPending, releasePending]);
+
+  // Uploads one file at a time until nothing is queued
+  const processQueue = useCallback(async () => {
+    if (runningRef.current) return;
+    runningRef.current = true;
+    setIsRunning(true);
+
+    const imported = [];
+    let next;
+    while ((next = itemsRef.current.find((item) => item.status === UPLOAD_STATUS.QUEUED))) {
+      const report = await uploadItem(next);
+      if (report) imported.push(report);
+    }
+
+    runningRef.current = false;
+    setIsRunning(false);
+    callbacksRef.current.onQueueFinished?.(imported);
+  }, [uploadItem]);
+
+  /**
+   * Queues every ready file and starts uploading.
+   */
+  const start = useCallback(() => {
+    commit((list) => list.map((item) => (
+      item.status === UPLOAD_STATUS.READY ? { ...item, status: UPLOAD_STATUS.QUEUED } : item
+    )));
+    processQueue();
+  }, [commit, processQueue]);
+
+  /**
+   * Queues every pending file and starts uploading (called when the connection returns).
+   */
+  const sendPending = useCallback(() => {
+    if (!itemsRef.current.some((item) => item.status === UPLOAD_STATUS.PENDING)) return;
+    commit((list) => list.map((item) => (
+      item.status === UPLOAD_STATUS.PENDING ? { ...item, status: UPLOAD_STATUS.QUEUED } : item
+    )));
+    processQueue();
+  }, [commit, processQueue]);
+
+  /**
+   * Puts a failed or cancelled file back in the queue.
+   */
+  const retry = useCallback((id) => {
+    updateItem(id, { status: UPLOAD_STATUS.QUEUED, error: null, progress: 0 });
+    processQueue();
+  }, [updateItem, processQueue]);
+
+  /**
+   * Answers a duplicate warning: re-uploads the file telling the server to skip
+   * the lines already imported or to import everything anyway.
+   * @param {number} id
+   * @param {'Skip'|'Import'} handling - One of DUPLICATE_HANDLING.SKIP / IMPORT
+   */
+  const resolveDuplicate = useCallback((id, handling) => {
+    updateItem(id, { status: UPLOAD_STATUS.QUEUED, duplicateHandling: handling, error: null, progress: 0 });
+    processQueue();
+  }, [updateItem, processQueue]);
+
+  /**
+   * Cancels a queued file or aborts the request of the file being uploaded.
+   */
+  const cancel = useCallback((id) => {
+    const controller = controllersRef.current.get(id);
+    if (controller) {
+      controller.abort();
+      return;
+    }
+    const item = itemsRef.current.find((entry) => entry.id === id);
+    if (item) releasePending(item);
+    updateItem(id, { status: UPLOAD_STATUS.CANCELLED });
+  }, [updateItem, releasePending]);
+
+  /**
+   * Removes a file from the list (not allowed while it is uploading).
+   */
+  const remove = useCallback((id) => {
+    const item = itemsRef.current.find((entry) => entry.id === id);
+    if (!item || item.status === UPLOAD_STATUS.UPLOADING) return;
+    releasePending(item);
+    commit((list) => list.filter((entry) => entry.id !== id));
+  }, [commit, releasePending]);
+
+  /**
+   * Removes every file that is not waiting, uploading or waiting for a duplicate decision.
+   */
+  const clearFinished = useCallback(() => {
+    const active = [
+      UPLOAD_STATUS.CHECKING,
+      UPLOAD_STATUS.READY,
+      UPLOAD_STATUS.QUEUED,
+      UPLOAD_STATUS.UPLOADING,
+      UPLOAD_STATUS.PENDING,
+      UPLOAD_STATUS.DUPLICATE,
+    ];
+    commit((list) => list.filter((item) => active.includes(item.status)));
+  }, [commit]);
+
+  // Uploads kept offline in an earlier visit come back as pending
+  useEffect(() => {
+    if (!username || restoredForRef.current === username) return;
+    restoredForRef.current = username;
+
+    getPendingUploads(username)
+      .then((uploads) => {
+        const known = new Set(itemsRef.current.map((item) => item.pendingId));
+        const restored = uploads
+          .filter((upload) => !known.has(upload.id))
+          .map((upload) => createItem(upload.file, {
+            status: UPLOAD_STATUS.PENDING,
+            fileHash: upload.fileHash,
+            duplicateHandling: upload.duplicateHandling,
+            // Kept before layouts could be chosen
+            layout: upload.layout ?? AUTO_LAYOUT,
+            pendingId: upload.id,
+          }));
+        if (restored.length > 0) {
+          commit((list) => [...list, ...restored]);
+          if (onlineRef.current) sendPending();
+        }
+      })
+      .catch(() => {
+        // No IndexedDB (e.g. private mode): nothing was kept
+      });
+  }, [username, commit, sendPending]);
+
+  // Sends the pending uploads as soon as the connection returns
+  useEffect(() => {
+    onlineRef.current = online;
+    if (online) sendPending();
+  }, [online, sendPending]);
+
+  return {
+    items,
+    isRunning,
+    canSend: online,
+    addFiles,
+    start,
+    retry,
+    resolveDuplicate,
+    cancel,
+    remove,
+    clearFinished,
+  };
+}
+
+export default useUploadQueue;
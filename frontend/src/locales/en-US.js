@@ -0,0 +1,767 @@
+// ========================================
+// File: frontend/src/locales/en-US.js
+// Purpose: English messages of the UI; also the fallback for keys missing in other languages
+// ========================================
+
+// "{name}" is replaced by a param; { one, other } messages are picked by the "count" param
+export default {
+  app: {
+    subtitle: 'Brazilian Financial Transaction File Processing System',
+    restoringSession: 'Restoring session...',
+    processing: 'Processing...',
+    offline: 'offline',
+    logout: 'Logout',
+    language: 'Language',
+    backendApi: 'Backend API:',
+    swagger: 'Swagger Documentation',
+    error: 'Error',
+    dismiss: 'Dismiss',
+  },
+  login: {
+    title: 'Login',
+    username: 'Username',
+    usernamePlaceholder: 'Enter your username',
+    password: 'Password',
+    passwordPlaceholder: 'Enter your password',
+    submit: 'Login',
+    submitting: 'Logging in...',
+    failed: 'Login failed. Please check your credentials.',
+    demoCredentials: 'Demo Credentials:',
+    footer: 'Built with ❤️ by Edson Mata',
+  },
+  modal: {
+    ok: 'OK',
+    confirm: 'Confirm',
+    cancel: 'Cancel',
+    typeToConfirm: 'Type {phrase} to confirm',
+  },
+  nav: {
+    uploads: 'Uploads',
+    pending: '({count} pending)',
+    importReport: 'Import Report',
+    transactions: 'Transactions',
+    dashboard: 'Dashboard',
+    imports: 'Imports',
+    reconciliation: 'Reconciliation',
+    dataQuality: 'Data Quality',
+    alerts: 'Alerts',
+  },
+  duplicate: {
+    title: 'Duplicate import - {file}',
+    fileImported: {
+      one: 'This file was already imported on {date} by {user} ({count} transaction).',
+      other: 'This file was already imported on {date} by {user} ({count} transactions).',
+    },
+    linesImported: '{duplicates} of {count} transactions in this file were already imported.',
+    choices: {
+      one: '"Skip duplicates" imports only the {count} new transaction. "Import anyway" imports every line again.',
+      other: '"Skip duplicates" imports only the {count} new transactions. "Import anyway" imports every line again.',
+    },
+    skip: 'Skip duplicates',
+    importAnyway: 'Import anyway',
+  },
+  upload: {
+    title: 'Upload CNAB Files',
+    clickToSelect: 'Click to select',
+    orDragAndDrop: 'or drag and drop CNAB files here',
+    fileHint: 'Only .txt files (max 10MB each) - select as many as you need. Files over 1MB are imported in the background.',
+    offlineHint: 'You are offline. Uploaded files are kept in this browser and sent when the connection returns.',
+    uploading: 'Uploading...',
+    uploadFiles: { one: 'Upload {count} File', other: 'Upload {count} Files' },
+    clearFinished: 'Clear Finished',
+  },
+  uploadQueue: {
+    status: {
+      checking: 'Checking',
+      ready: 'Ready',
+      invalid: 'Invalid',
+      queued: 'Queued',
+      uploading: 'Uploading',
+      pending: 'Pending',
+      imported: 'Imported',
+      duplicate: 'Already imported',
+      failed: 'Failed',
+      cancelled: 'Cancelled',
+    },
+    processing: 'Processing on server...',
+    imported: { one: '{count} transaction imported', other: '{count} transactions imported' },
+    duplicatesSkipped: { one: '({count} duplicate skipped)', other: '({count} duplicates skipped)' },
+    pending: 'Saved in this browser. Uploads when the connection returns.',
+    lines: '{valid} valid / {invalid} invalid lines',
+    preview: 'Preview',
+    report: 'Report',
+    resolve: 'Resolve',
+    cancel: 'Cancel',
+    retry: 'Retry',
+    remove: 'Remove',
+    errors: {
+      extension: 'Only .txt files are allowed',
+      size: 'File size must not exceed 10MB',
+      notKept: 'No connection, and the file could not be kept in the browser. Retry when back online.',
+      noValidLines: 'No valid CNAB lines found in the file',
+      unreadable: 'Could not read the file',
+      duplicate: 'File was already imported',
+      upload: 'Error uploading file',
+      trailer: 'The trailer totals do not match the records - the server rejects this file',
+    },
+  },
+  preview: {
+    title: 'File Preview',
+    lines: { one: '{count} line', other: '{count} lines' },
+    valid: '{count} valid',
+    invalid: '{count} invalid',
+    invalidWarning: 'Invalid lines are highlighted below and will be skipped by the server. '
+      + 'Fix the file before uploading if they should be imported.',
+    onlyInvalid: 'Show only invalid lines',
+    suspicious: '{count} suspicious',
+    suspiciousWarning: 'Suspicious lines break a data quality rule. The server still imports them; '
+      + 'check them against the source before uploading.',
+    onlySuspicious: 'Show only suspicious lines',
+    line: 'Line',
+    status: 'Status',
+    ok: 'OK',
+    truncated: 'Showing first {shown} of {count} lines',
+    skipped: '{count} skipped',
+    record: 'Record',
+    trailerWarning: 'The server rejects files whose trailer does not match the records they hold. '
+      + 'Check the failed trailer checks below.',
+    skips: {
+      notLiquidation: 'Code {code} is not a liquidation - not imported',
+      segmentNotRead: 'Segment {segment} is not read',
+    },
+    fields: {
+      record: 'Record',
+      generationDate: 'Generation date',
+      titleValue: 'Title value',
+      batchNumber: 'Batch',
+      recordCount: 'Record count',
+      titleCount: 'Title count',
+      titleTotal: 'Title total',
+      batchCount: 'Batch count',
+      recordSequence: 'Record sequence',
+    },
+    errors: {
+      invalidType: "Invalid transaction type '{value}' (expected 1-9)",
+      invalidDate: "Invalid date '{value}' (expected yyyyMMdd)",
+      invalidAmount: "Invalid amount '{value}' (expected 10 digits in cents)",
+      amountNotPositive: 'Amount must be greater than zero',
+      cpfMissing: 'CPF is missing',
+      invalidTime: "Invalid time '{value}' (expected HHmmss)",
+      storeNameMissing: 'Store name is missing',
+      invalidRecordType: "Invalid record type '{value}'",
+      secondHeader: 'Second file header',
+      notReturnFile: 'Not a return file',
+      beforeHeader: 'Record before the file header',
+      companyPayer: 'Payer is a company (CNPJ); only CPFs are imported',
+      segmentUWithoutT: 'Segment U without a valid segment T before it',
+      segmentTWithoutU: 'Segment T without its segment U',
+      invalidNumber: "Invalid number '{value}'",
+      invalidCents: "Invalid amount '{value}' (expected digits in cents)",
+      invalidLayoutDate: "Invalid date '{value}' (expected {format})",
+    },
+  },
+  layouts: {
+    label: 'File layout',
+    hint: 'Auto detects CNAB 240 and CNAB 400 return files from their header and line length',
+    names: {
+      Auto: 'Detect automatically',
+      CNAB81: 'CNAB 81 - sales with card and time',
+      CNAB240: 'CNAB 240 - FEBRABAN collection return',
+      CNAB400: 'CNAB 400 - collection return',
+    },
+    short: {
+      CNAB81: 'CNAB 81',
+      CNAB240: 'CNAB 240',
+      CNAB400: 'CNAB 400',
+    },
+    layout: 'Layout',
+    bank: 'Bank',
+    company: 'Company',
+    generatedAt: 'Generated',
+    records: 'Records',
+    kinds: {
+      FileHeader: 'File header',
+      BatchHeader: 'Batch header',
+      Detail: 'Detail',
+      BatchTrailer: 'Batch trailer',
+      FileTrailer: 'File trailer',
+    },
+    segment: 'segment {segment}',
+    trailerValid: 'The trailer totals match the records',
+    trailerInvalid: 'The trailer totals do not match the records',
+    trailerMissing: 'The file trailer is missing',
+    check: 'Check',
+    batch: 'Batch',
+    fileLevel: 'File',
+    declared: 'Declared',
+    computed: 'Read',
+    checks: {
+      RecordCount: 'Record count',
+      TitleCount: 'Title count',
+      TitleTotal: 'Title total',
+      BatchCount: 'Batch count',
+    },
+  },
+  importJobs: {
+    title: 'Background Imports',
+    running: '{count} running',
+    file: 'File',
+    by: 'By',
+    received: 'Received',
+    phase: 'Phase',
+    status: 'Status',
+    took: 'Took',
+    phases: {
+      Queued: 'Waiting',
+      Validating: 'Validating',
+      Parsing: 'Parsing',
+      CheckingDuplicates: 'Checking duplicates',
+      Inserting: 'Inserting',
+      Completed: 'Finished',
+      Failed: 'Failed',
+      Cancelled: 'Cancelled',
+    },
+    insertingBatch: 'Inserting batch {batch}/{batchCount} - {inserted} of {count} transactions',
+    waitingForOthers: 'Waiting for the imports started before it',
+    etaSeconds: 'about {seconds} s left',
+    etaMinutes: 'about {minutes} min left',
+    cancelledResult: 'Cancelled - nothing was imported',
+    failed: 'Import failed',
+    loadError: 'Error loading import jobs',
+  },
+  columns: {
+    date: 'Date',
+    time: 'Time',
+    store: 'Store',
+    type: 'Type',
+    typeCode: 'Type Code',
+    nature: 'Nature',
+    amount: 'Amount',
+    cpf: 'CPF',
+    card: 'Card',
+    owner: 'Owner',
+  },
+  table: {
+    closedPeriod: 'Closed period',
+    sortBy: 'Sort by {column}',
+    runningBalance: 'Balance',
+    reveal: 'Show the full value (recorded in the audit log)',
+    hide: 'Mask again',
+    revealFailed: 'Could not reveal the value',
+    manualEntry: 'Manual entry',
+    reversalOf: 'Reversal of transaction #{id}',
+    reversedBy: 'Reversed by transaction #{id}',
+  },
+  columnSettings: {
+    columns: 'Columns',
+    moveUp: 'Move {column} up',
+    moveDown: 'Move {column} down',
+    defaultSort: 'Default sort',
+    pinSort: 'Pin current sort ({sort})',
+    reset: 'Reset layout',
+    close: 'Close',
+  },
+  pagination: {
+    showing: 'Showing {first}-{last} of {count} transactions',
+    previous: 'Previous page',
+    next: 'Next page',
+    perPage: 'Per page',
+  },
+  filters: {
+    title: 'Filters',
+    active: '{count} active',
+    clear: 'Clear filters',
+    from: 'From',
+    to: 'To',
+    anyNature: 'Income and expense',
+    incomeOnly: 'Income only',
+    expenseOnly: 'Expense only',
+    minAmount: 'Min amount (R$)',
+    maxAmount: 'Max amount (R$)',
+    storePlaceholder: 'e.g. BAR DO JOÃO',
+    ownerPlaceholder: 'e.g. JOÃO MACEDO',
+    cpfPlaceholder: 'digits',
+    cardSuffix: 'Card ends with',
+    types: 'Types',
+    apply: 'Apply Filters',
+    reset: 'Reset',
+    errors: {
+      dateRange: 'The start date must be on or before the end date',
+      negativeAmount: 'Amounts must be positive numbers',
+      amountRange: 'The minimum amount must not be greater than the maximum amount',
+      fullCpf: 'Enter all 11 digits of the CPF',
+    },
+  },
+  exportMenu: {
+    export: 'Export',
+    exporting: 'Exporting...',
+    failed: 'Export failed',
+    transactions: 'Transactions',
+    matchingHint: {
+      one: '{count} matching transaction, in the current sort order',
+      other: '{count} matching transactions, in the current sort order',
+    },
+    allHint: {
+      one: '{count} transaction, in the current sort order',
+      other: '{count} transactions, in the current sort order',
+    },
+    statement: 'Store statement',
+    statementLabel: 'Statement',
+    statementHint: 'Balance, income and expense lines, ready to print or save as PDF',
+    allStores: 'All stores ({count})',
+    print: 'Print statement',
+    progress: '{label}: {loaded} / {count} transactions',
+  },
+  statement: {
+    titleOne: 'Statement - {store}',
+    titleMany: 'Store statements',
+    generatedOn: 'Statement generated on {date}',
+    transactions: { one: '{count} transaction', other: '{count} transactions' },
+    filters: 'Filters: {filters}',
+    balance: 'Balance',
+    income: 'Income',
+    expenses: 'Expenses',
+    expense: 'Expense',
+    total: 'Total',
+    preparing: 'Preparing statement...',
+    print: 'Print / Save as PDF',
+    blocked: 'The statement window was blocked. Allow pop-ups for this site and try again.',
+  },
+  closedPeriods: {
+    notice: 'Closed periods, locked against imports, deletes and adjustments:',
+    closedBy: 'Closed by {user}',
+    manage: 'Manage',
+    loadError: 'Error loading closed periods',
+  },
+  transactions: {
+    title: 'Transactions',
+    byStore: 'By Store',
+    all: 'All Transactions',
+    loading: 'Loading transactions...',
+    loadError: 'Error loading transactions',
+    storeLoadError: 'Error loading store transactions',
+    openStore: 'Open the store page: balance timeline, breakdowns and running balance',
+    balance: 'Balance: {amount}',
+    transactionCount: 'Transactions: {count}',
+    income: 'Income: {amount}',
+    expenses: 'Expenses: {amount}',
+    empty: 'No transactions found',
+    emptyHint: 'Upload a CNAB file to see transactions here',
+    noMatches: 'No transactions match these filters',
+    noMatchesHint: 'Change or clear the filters to see more transactions',
+    matchingStores: 'Matching Stores',
+    totalStores: 'Total Stores',
+    matchingTransactions: 'Matching Transactions',
+    totalTransactions: 'Total Transactions',
+    matchingBalance: 'Balance of Matches',
+    totalBalance: 'Total Balance',
+    adjustmentCount: { one: '{count} adjustment', other: '{count} adjustments' },
+    openAlertCount: { one: '{count} open alert', other: '{count} open alerts' },
+    lastAdjusted: 'Last adjusted on {date} - open the store page for the audit trail',
+    deleting: 'Deleting transactions...',
+    deleteAll: {
+      title: 'Delete All Transactions?',
+      messageFiltered: 'Are you sure you want to delete ALL transactions, including those hidden by the current '
+        + 'filters?\n\nThis action CANNOT be undone!',
+      message: 'Are you sure you want to delete ALL {count} transactions?\n\nThis action CANNOT be undone!',
+      confirm: 'Delete',
+      success: 'Success',
+      failed: 'Failed to delete transactions',
+      button: 'Delete All',
+    },
+  },
+  offline: {
+    pending: {
+      one: '{count} upload will be sent when the connection returns.',
+      other: '{count} uploads will be sent when the connection returns.',
+    },
+    reconnecting: 'Reconnecting to the server... Showing the balances saved on this device.',
+    offline: 'You are offline. Showing the balances saved on this device; other data needs a connection.',
+  },
+  liveUpdates: {
+    imported: {
+      one: '{user} imported {file} ({count} transaction)',
+      other: '{user} imported {file} ({count} transactions)',
+    },
+    rolledBack: {
+      one: '{user} rolled back {file} ({count} transaction)',
+      other: '{user} rolled back {file} ({count} transactions)',
+    },
+    deletedAll: '{user} deleted all transactions',
+    adjusted: '{user} adjusted {store}',
+    others: { one: ' and {count} more change', other: ' and {count} more changes' },
+    newData: 'New data available: {change}{others}.',
+    refresh: 'Refresh',
+  },
+  session: {
+    expiresIn: 'Your session expires in {remaining}.',
+    renewing: 'Renewing...',
+    stay: 'Stay signed in',
+  },
+  charts: {
+    noData: 'No data yet',
+    netFlow: 'Daily net flow',
+    netFlowTooltip: '{date}\nNet: {net}\nIncome: {income}\nExpenses: {expenses}',
+    balanceOverTime: 'Balance over time',
+    balanceTooltip: {
+      one: '{date}\nBalance: {balance}\nDay net: {net} ({count} transaction)',
+      other: '{date}\nBalance: {balance}\nDay net: {net} ({count} transactions)',
+    },
+    typeDetail: {
+      Income: { one: '{count} income transaction', other: '{count} income transactions' },
+      Expense: { one: '{count} expense transaction', other: '{count} expense transactions' },
+    },
+    storeDetail: {
+      one: '{count} transaction · income {income} · expenses {expenses}',
+      other: '{count} transactions · income {income} · expenses {expenses}',
+    },
+  },
+  dashboard: {
+    loading: 'Loading statistics...',
+    loadError: 'Error loading statistics',
+    empty: 'No statistics yet',
+    emptyHint: 'Upload a CNAB file to see the dashboard',
+    totalBalance: 'Total Balance',
+    totalIncome: 'Total Income',
+    totalExpenses: 'Total Expenses',
+    transactions: 'Transactions',
+    stores: 'Stores',
+    biggestStore: 'Biggest Store',
+    smallestStore: 'Smallest Store',
+    refresh: 'Refresh',
+    refreshing: 'Refreshing...',
+    dailyNetFlow: 'Daily Net Flow',
+    dailyNetFlowHint: 'Income minus expenses per transaction date. Hover a bar for details.',
+    byType: 'Income vs Expense by Type',
+    topStores: 'Top Stores by Balance',
+    bottomStores: 'Bottom Stores by Balance',
+  },
+  storeDetail: {
+    allStores: 'All stores',
+    loading: 'Loading store...',
+    loadError: 'Error loading store',
+    notFound: 'No transactions for {store}',
+    notFoundHint: 'This store has no transactions',
+    balance: 'Balance',
+    income: 'Income',
+    expenses: 'Expenses',
+    thisMonth: 'This month',
+    lastMonth: 'Last month',
+    comparison: 'This Month vs Last Month',
+    comparisonHint: "Month of the store's latest transaction compared with the month before.",
+    balanceOverTime: 'Balance Over Time',
+    balanceOverTimeHint: 'Balance at the end of each day with transactions. Hover a dot for details.',
+    owners: 'Owners',
+    noOwners: 'No owners recorded',
+    cards: 'Cards',
+    noCards: 'No cards recorded',
+    usage: { one: '{count} transaction · {first}', other: '{count} transactions · {first}' },
+    runningBalanceHint: 'Balance shows the total after each transaction, in date and time order, '
+      + 'over the matching transactions.',
+    sortByDateHint: 'Sort by date to see the balance after each transaction.',
+  },
+  importReport: {
+    empty: 'No import report yet',
+    emptyHint: 'Upload a CNAB file to see its import report here',
+    linesRead: 'Lines Read',
+    linesAccepted: 'Lines Accepted',
+    linesRejected: 'Lines Rejected',
+    linesFlagged: 'Suspicious Lines',
+    linesSkipped: 'Lines Skipped',
+    layout: 'File Layout',
+    transactionsImported: 'Transactions Imported',
+    rejectedLines: 'Rejected Lines',
+    qualityWarnings: 'Data Quality Warnings',
+    qualityWarningsHint: 'These lines were imported but break a data quality rule. '
+      + 'They are listed in the Data Quality tab until corrected.',
+    reason: 'Reason',
+    content: 'Content',
+    storeTotals: 'Totals per Store',
+    net: 'Net',
+    typeTotals: 'Totals per Transaction Type',
+    alertsTriggered: 'Alerts Triggered',
+    viewAlerts: 'View alerts',
+    uploadAnother: 'Upload Another File',
+    viewTransactions: 'View Transactions',
+  },
+  importHistory: {
+    title: 'Import History',
+    count: { one: '{count} import', other: '{count} imports' },
+    loading: 'Loading import history...',
+    loadError: 'Error loading import history',
+    detailLoadError: 'Error loading import transactions',
+    empty: 'No imports yet',
+    emptyHint: 'Every uploaded CNAB file will be listed here',
+    noneLeft: 'No transactions left for this import.',
+    uploadedBy: 'Uploaded By',
+    importedAt: 'Imported At',
+    netAmount: 'Net Amount',
+    rollingBack: 'Rolling back...',
+    rollback: {
+      title: 'Roll Back Import?',
+      message: 'This deletes the {count} transactions imported from "{file}" on {date}.\n\n'
+        + 'Other imports are not affected. This action CANNOT be undone!',
+      confirm: 'Roll Back',
+      success: 'Import Rolled Back',
+      failed: 'Failed to roll back import',
+    },
+  },
+  reconciliation: {
+    itemCount: { one: '{count} expected total', other: '{count} expected totals' },
+    expectedTotals: 'Expected Totals',
+    expectedTotalsHint: 'Totals of each store and period from the bank statement. Leave a total empty to skip it; '
+      + 'expenses are positive and the balance is income minus expenses.',
+    loadCsv: 'Load CSV',
+    template: 'Template',
+    clear: 'Clear',
+    add: 'Add',
+    noItems: 'Add expected totals above or load them from a CSV file.',
+    start: 'Start',
+    end: 'End',
+    datePlaceholder: 'DD/MM/YYYY',
+    period: 'Period',
+    totals: {
+      totalIncome: 'Income',
+      totalExpenses: 'Expenses',
+      totalBalance: 'Balance',
+      transactionCount: 'Transactions',
+    },
+    csvErrors: {
+      one: '{count} line of {file} was not loaded:',
+      other: '{count} lines of {file} were not loaded:',
+    },
+    csvLine: 'Line {line}: {message}',
+    compare: 'Compare',
+    comparing: 'Comparing...',
+    compareError: 'Error comparing expected totals',
+    result: 'Result',
+    resultCount: '{matched} matched · {mismatched} mismatched',
+    expectedActual: 'expected / actual',
+    matched: 'Matched',
+    mismatch: 'Mismatch',
+    prefill: 'Close…',
+    prefillHint: 'Fill the close period form with this range',
+    closedPeriods: 'Closed Periods',
+    closedCount: '{count} closed',
+    closedPeriodsHint: 'Transactions dated inside a closed period cannot be imported, rolled back or deleted '
+      + 'until it is reopened.',
+    closedBy: 'Closed By',
+    closedAt: 'Closed At',
+    note: 'Note',
+    notePlaceholder: 'Reconciled with the March statement',
+    closing: 'Closing...',
+    reopening: 'Reopening...',
+    close: {
+      title: 'Close Period?',
+      message: 'Transactions from {range} can no longer be imported, rolled back or deleted until the period '
+        + 'is reopened.',
+      confirm: 'Close Period',
+      failed: 'Failed to close period',
+      invalidTitle: 'Invalid Period',
+      invalidMessage: 'Enter a start date on or before the end date (YYYY-MM-DD or DD/MM/YYYY).',
+    },
+    reopen: {
+      title: 'Reopen Period?',
+      message: 'Transactions from {range} can be imported, rolled back and deleted again.',
+      confirm: 'Reopen',
+      failed: 'Failed to reopen period',
+    },
+    errors: {
+      storeRequired: 'Store is required',
+      datesRequired: 'Start and end dates are required (YYYY-MM-DD or DD/MM/YYYY)',
+      notNumbers: 'Totals must be numbers',
+      noTotals: 'Enter at least one expected total',
+      wholeCount: 'Transactions must be a whole number',
+      emptyFile: 'The file is empty',
+      header: 'Header must have {columns} columns',
+    },
+  },
+  adjustments: {
+    newButton: 'New adjustment',
+    reason: 'Reason',
+    kinds: {
+      Entry: 'Manual entry',
+      Reversal: 'Reversal of #{id}',
+    },
+    form: {
+      title: 'New manual adjustment',
+      hint: 'Enters a transaction by hand, e.g. a bank correction missing from the CNAB files. '
+        + 'To undo a wrong transaction, reverse it from its row instead: transactions are never edited.',
+      chooseType: 'Choose a type',
+      timePlaceholder: 'HH:MM',
+      optional: 'Optional',
+      reasonPlaceholder: 'Why is this adjustment needed? (recorded in the audit trail)',
+      save: 'Save adjustment',
+      saving: 'Saving...',
+      failed: 'Failed to save the adjustment',
+    },
+    reverse: {
+      button: 'Reverse with an offsetting entry',
+      summary: 'Offsetting entry of {amount} (transaction of {date})',
+      reasonPlaceholder: 'Reason (required)',
+      dateRequired: 'Date (closed period)',
+      dateHint: 'Date of the offsetting entry; empty for the date of the transaction',
+      confirm: 'Reverse',
+      saving: 'Reversing...',
+      failed: 'Failed to reverse the transaction',
+    },
+    trail: {
+      title: 'Adjustment audit trail',
+      hint: 'Every manual entry and reversal of this store, newest first. Records are never changed or deleted.',
+      loading: 'Loading adjustments...',
+      loadError: 'Error loading the adjustments',
+      empty: 'No adjustments for this store.',
+      when: 'When',
+      who: 'Who',
+      what: 'What',
+    },
+    errors: {
+      typeRequired: 'Choose the transaction type.',
+      amountPositive: 'The amount must be a number greater than zero.',
+      dateRequired: 'Enter a valid date (DD/MM/YYYY or YYYY-MM-DD).',
+      timeInvalid: 'Enter the time as HH:MM, or leave it empty.',
+      dateImplausible: 'The date must be from {earliest} and not in the future.',
+      storeRequired: 'Enter the store and its owner.',
+      cpfInvalid: 'The CPF has invalid check digits.',
+      cardInvalid: 'The card number must look like 1234****5678.',
+      reasonRequired: 'Enter the reason for the adjustment.',
+    },
+  },
+  alerts: {
+    title: 'Alerts',
+    tabs: {
+      alerts: 'Alerts',
+      rules: 'Rules',
+    },
+    loading: 'Loading alerts...',
+    loadError: 'Error loading alerts',
+    empty: 'No alerts',
+    emptyOpen: 'No open alerts',
+    emptyHint: 'Every import is checked against the alert rules; triggered alerts are listed here',
+    allRules: 'All rules',
+    allStores: 'All stores',
+    rule: 'Rule',
+    triggeredAt: 'Triggered At',
+    what: 'What was found',
+    status: 'Status',
+    statuses: {
+      Open: 'Open',
+      Acknowledged: 'Acknowledged',
+      All: 'All',
+    },
+    acknowledge: 'Acknowledge',
+    acknowledging: 'Acknowledging...',
+    acknowledgeError: 'Error acknowledging the alert',
+    acknowledgedBy: 'Acknowledged by {user}',
+    comment: 'Comment',
+    commentPlaceholder: 'What did you find? (required)',
+    rules: {
+      LargeAmount: 'Large amount',
+      DailyFlowDeviation: 'Unusual daily flow',
+      CardInManyStores: 'Card in many stores',
+      OutOfHours: 'Out of hours',
+    },
+    ruleHints: {
+      LargeAmount: 'A single transaction above the amount',
+      DailyFlowDeviation: "A store's net flow on a day farther from its trailing average "
+        + 'than the factor times that average',
+      CardInManyStores: 'The same card used in the number of stores within the minutes',
+      OutOfHours: 'A transaction before the opening hour or from the closing hour on',
+    },
+    details: {
+      LargeAmount: 'Amount of {amount} above {threshold}',
+      DailyFlowDeviation: 'Net flow of {amount} deviates more than {factor}× from the trailing average',
+      CardInManyStores: 'Card used in {count} stores within the window',
+      OutOfHours: 'Transaction at {time}, outside the business hours',
+    },
+    settings: {
+      loading: 'Loading alert rules...',
+      loadError: 'Error loading alert rules',
+      hint: 'Changes apply to the next imports; alerts already triggered are kept.',
+      readOnlyHint: 'Only administrators can change the rules.',
+      enabled: 'Enabled',
+      limits: 'Limits',
+      lastChange: 'Last Change',
+      changedBy: '{user} on {date}',
+      defaults: 'Default settings',
+      save: 'Save',
+      saving: 'Saving...',
+      saved: 'Saved',
+      saveError: 'Error saving the rule',
+      fields: {
+        LargeAmount: { threshold: 'Amount' },
+        DailyFlowDeviation: { threshold: 'Deviation factor', window: 'Trailing days' },
+        CardInManyStores: { threshold: 'Stores', window: 'Minutes' },
+        OutOfHours: { threshold: 'Opening hour', window: 'Closing hour' },
+      },
+    },
+    errors: {
+      commentRequired: 'Enter a comment about what you found.',
+      thresholdRequired: 'Enter a number for every limit.',
+      windowRequired: 'The second limit must be a whole number.',
+      amountPositive: 'The amount must be greater than zero.',
+      factorPositive: 'The deviation factor must be greater than zero.',
+      daysRange: 'The trailing window must be from 1 to 365 days.',
+      storesMinimum: 'The number of stores must be a whole number of at least 2.',
+      minutesRange: 'The window must be from 1 to 1440 minutes.',
+      openingRange: 'The opening hour must be a whole hour from 0 to 23.',
+      closingRange: 'The closing hour must be from 1 to 24.',
+      closingAfterOpening: 'The closing hour must be after the opening hour.',
+      unknownRule: 'Unknown rule {rule}.',
+    },
+  },
+  dataQuality: {
+    title: 'Data Quality',
+    loading: 'Checking stored transactions...',
+    loadError: 'Error checking data quality',
+    detailLoadError: 'Error loading suspicious transactions',
+    empty: 'No transactions to check',
+    emptyHint: 'Imported transactions are checked against the data quality rules here',
+    flagged: {
+      one: '{flagged} of {count} transaction flagged',
+      other: '{flagged} of {count} transactions flagged',
+    },
+    checkAgain: 'Check again',
+    hint: 'Suspicious transactions were imported but break one of these rules. Click a rule to list them.',
+    checkedAt: 'Checked at {date}.',
+    clean: {
+      one: 'The stored transaction passes every rule.',
+      other: 'All {count} stored transactions pass every rule.',
+    },
+    rule: 'Rule',
+    checks: 'What is checked',
+    rules: {
+      CpfChecksum: 'CPF check digits',
+      CardNumberFormat: 'Card number format',
+      ImplausibleDateTime: 'Date and time',
+      StoreOwnerMismatch: 'Store owner',
+    },
+    ruleHints: {
+      CpfChecksum: 'The CPF has 11 digits and its two check digits are correct',
+      CardNumberFormat: 'The card number looks like 1234****5678',
+      ImplausibleDateTime: 'The transaction is from 2000 onwards and not in the future (UTC-3)',
+      StoreOwnerMismatch: 'The owner is the one known for the store',
+    },
+    details: {
+      CpfChecksum: 'Invalid CPF check digits',
+      CardNumberFormat: 'Card number is not in the format 1234****5678',
+      ImplausibleDateTime: 'Date is before 2000 or in the future',
+      StoreOwnerMismatch: 'Store is known with owner {expected}',
+    },
+  },
+  transactionTypes: {
+    1: 'Debit',
+    2: 'Boleto Payment',
+    3: 'Financing',
+    4: 'Credit',
+    5: 'Loan Receipt',
+    6: 'Sales',
+    7: 'TED Receipt',
+    8: 'DOC Receipt',
+    9: 'Rent',
+  },
+  natures: {
+    Income: 'Income',
+    Expense: 'Expense',
+  },
+};
@@ -0,0 +1,772 @@
+// ========================================
+// File: frontend/src/locales/pt-BR.js
+// Purpose: Brazilian Portuguese messages of the UI, with the same keys as en-US.js
+// ========================================
+
+export default {
+  app: {
+    subtitle: 'Sistema de Processamento de Arquivos de Transações Financeiras',
+    restoringSession: 'Restaurando a sessão...',
+    processing: 'Processando...',
+    offline: 'offline',
+    logout: 'Sair',
+    language: 'Idioma',
+    backendApi: 'API do backend:',
+    swagger: 'Documentação Swagger',
+    error: 'Erro',
+    dismiss: 'Fechar',
+  },
+  login: {
+    title: 'Entrar',
+    username: 'Usuário',
+    usernamePlaceholder: 'Digite seu usuário',
+    password: 'Senha',
+    passwordPlaceholder: 'Digite sua senha',
+    submit: 'Entrar',
+    submitting: 'Entrando...',
+    failed: 'Falha no login. Confira suas credenciais.',
+    demoCredentials: 'Credenciais de demonstração:',
+    footer: 'Feito com ❤️ por Edson Mata',
+  },
+  modal: {
+    ok: 'OK',
+    confirm: 'Confirmar',
+    cancel: 'Cancelar',
+    typeToConfirm: 'Digite {phrase} para confirmar',
+  },
+  nav: {
+    uploads: 'Envios',
+    pending: { one: '({count} pendente)', other: '({count} pendentes)' },
+    importReport: 'Relatório de Importação',
+    transactions: 'Transações',
+    dashboard: 'Painel',
+    imports: 'Importações',
+    reconciliation: 'Conciliação',
+    dataQuality: 'Qualidade dos Dados',
+    alerts: 'Alertas',
+  },
+  duplicate: {
+    title: 'Importação duplicada - {file}',
+    fileImported: {
+      one: 'Este arquivo já foi importado em {date} por {user} ({count} transação).',
+      other: 'Este arquivo já foi importado em {date} por {user} ({count} transações).',
+    },
+    linesImported: '{duplicates} de {count} transações deste arquivo já foram importadas.',
+    choices: {
+      one: '"Ignorar duplicadas" importa apenas a {count} transação nova. "Importar mesmo assim" importa todas '
+        + 'as linhas de novo.',
+      other: '"Ignorar duplicadas" importa apenas as {count} transações novas. "Importar mesmo assim" importa todas '
+        + 'as linhas de novo.',
+    },
+    skip: 'Ignorar duplicadas',
+    importAnyway: 'Importar mesmo assim',
+  },
+  upload: {
+    title: 'Enviar Arquivos CNAB',
+    clickToSelect: 'Clique para selecionar',
+    orDragAndDrop: 'ou arraste e solte arquivos CNAB aqui',
+    fileHint: 'Apenas arquivos .txt (máx. 10MB cada) - selecione quantos precisar. Arquivos acima de 1MB são '
+      + 'importados em segundo plano.',
+    offlineHint: 'Você está offline. Os arquivos enviados ficam guardados neste navegador e seguem quando a conexão '
+      + 'voltar.',
+    uploading: 'Enviando...',
+    uploadFiles: { one: 'Enviar {count} Arquivo', other: 'Enviar {count} Arquivos' },
+    clearFinished: 'Limpar Concluídos',
+  },
+  uploadQueue: {
+    status: {
+      checking: 'Verificando',
+      ready: 'Pronto',
+      invalid: 'Inválido',
+      queued: 'Na fila',
+      uploading: 'Enviando',
+      pending: 'Pendente',
+      imported: 'Importado',
+      duplicate: 'Já importado',
+      failed: 'Falhou',
+      cancelled: 'Cancelado',
+    },
+    processing: 'Processando no servidor...',
+    imported: { one: '{count} transação importada', other: '{count} transações importadas' },
+    duplicatesSkipped: { one: '({count} duplicada ignorada)', other: '({count} duplicadas ignoradas)' },
+    pending: 'Guardado neste navegador. Será enviado quando a conexão voltar.',
+    lines: '{valid} válidas / {invalid} inválidas',
+    preview: 'Pré-visualizar',
+    report: 'Relatório',
+    resolve: 'Resolver',
+    cancel: 'Cancelar',
+    retry: 'Tentar de novo',
+    remove: 'Remover',
+    errors: {
+      extension: 'Apenas arquivos .txt são permitidos',
+      size: 'O arquivo não pode passar de 10MB',
+      notKept: 'Sem conexão, e o arquivo não pôde ser guardado no navegador. Tente de novo quando voltar a ficar '
+        + 'online.',
+      noValidLines: 'Nenhuma linha CNAB válida encontrada no arquivo',
+      unreadable: 'Não foi possível ler o arquivo',
+      duplicate: 'O arquivo já foi importado',
+      upload: 'Erro ao enviar o arquivo',
+      trailer: 'Os totais do trailer não conferem com os registros - o servidor rejeita este arquivo',
+    },
+  },
+  preview: {
+    title: 'Pré-visualização do Arquivo',
+    lines: { one: '{count} linha', other: '{count} linhas' },
+    valid: { one: '{count} válida', other: '{count} válidas' },
+    invalid: { one: '{count} inválida', other: '{count} inválidas' },
+    invalidWarning: 'As linhas inválidas estão destacadas abaixo e serão ignoradas pelo servidor. '
+      + 'Corrija o arquivo antes de enviar se elas devem ser importadas.',
+    onlyInvalid: 'Mostrar apenas linhas inválidas',
+    suspicious: { one: '{count} suspeita', other: '{count} suspeitas' },
+    suspiciousWarning: 'As linhas suspeitas violam uma regra de qualidade dos dados. O servidor as importa mesmo assim; '
+      + 'confira-as com a origem antes de enviar.',
+    onlySuspicious: 'Mostrar apenas linhas suspeitas',
+    line: 'Linha',
+    status: 'Situação',
+    ok: 'OK',
+    truncated: 'Mostrando as primeiras {shown} de {count} linhas',
+    skipped: { one: '{count} ignorada', other: '{count} ignoradas' },
+    record: 'Registro',
+    trailerWarning: 'O servidor rejeita arquivos cujo trailer não confere com os registros. '
+      + 'Veja abaixo as conferências do trailer que falharam.',
+    skips: {
+      notLiquidation: 'O código {code} não é uma liquidação - não importado',
+      segmentNotRead: 'O segmento {segment} não é lido',
+    },
+    fields: {
+      record: 'Registro',
+      generationDate: 'Data de geração',
+      titleValue: 'Valor do título',
+      batchNumber: 'Lote',
+      recordCount: 'Quantidade de registros',
+      titleCount: 'Quantidade de títulos',
+      titleTotal: 'Total dos títulos',
+      batchCount: 'Quantidade de lotes',
+      recordSequence: 'Sequencial do registro',
+    },
+    errors: {
+      invalidType: "Tipo de transação inválido '{value}' (esperado 1-9)",
+      invalidDate: "Data inválida '{value}' (esperado aaaaMMdd)",
+      invalidAmount: "Valor inválido '{value}' (esperados 10 dígitos em centavos)",
+      amountNotPositive: 'O valor deve ser maior que zero',
+      cpfMissing: 'CPF ausente',
+      invalidTime: "Hora inválida '{value}' (esperado HHmmss)",
+      storeNameMissing: 'Nome da loja ausente',
+      invalidRecordType: "Tipo de registro inválido '{value}'",
+      secondHeader: 'Segundo header de arquivo',
+      notReturnFile: 'Não é um arquivo de retorno',
+      beforeHeader: 'Registro antes do header de arquivo',
+      companyPayer: 'O pagador é uma empresa (CNPJ); apenas CPFs são importados',
+      segmentUWithoutT: 'Segmento U sem um segmento T válido antes dele',
+      segmentTWithoutU: 'Segmento T sem o seu segmento U',
+      invalidNumber: "Número inválido '{value}'",
+      invalidCents: "Valor inválido '{value}' (esperados dígitos em centavos)",
+      invalidLayoutDate: "Data inválida '{value}' (esperado {format})",
+    },
+  },
+  layouts: {
+    label: 'Layout do arquivo',
+    hint: 'Automático detecta arquivos de retorno CNAB 240 e CNAB 400 pelo header e pelo tamanho da linha',
+    names: {
+      Auto: 'Detectar automaticamente',
+      CNAB81: 'CNAB 81 - vendas com cartão e hora',
+      CNAB240: 'CNAB 240 - retorno de cobrança FEBRABAN',
+      CNAB400: 'CNAB 400 - retorno de cobrança',
+    },
+    short: {
+      CNAB81: 'CNAB 81',
+      CNAB240: 'CNAB 240',
+      CNAB400: 'CNAB 400',
+    },
+    layout: 'Layout',
+    bank: 'Banco',
+    company: 'Empresa',
+    generatedAt: 'Gerado em',
+    records: 'Registros',
+    kinds: {
+      FileHeader: 'Header de arquivo',
+      BatchHeader: 'Header de lote',
+      Detail: 'Detalhe',
+      BatchTrailer: 'Trailer de lote',
+      FileTrailer: 'Trailer de arquivo',
+    },
+    segment: 'segmento {segment}',
+    trailerValid: 'Os totais do trailer conferem com os registros',
+    trailerInvalid: 'Os totais do trailer não conferem com os registros',
+    trailerMissing: 'O trailer de arquivo está ausente',
+    check: 'Conferência',
+    batch: 'Lote',
+    fileLevel: 'Arquivo',
+    declared: 'Declarado',
+    computed: 'Lido',
+    checks: {
+      RecordCount: 'Quantidade de registros',
+      TitleCount: 'Quantidade de títulos',
+      TitleTotal: 'Total dos títulos',
+      BatchCount: 'Quantidade de lotes',
+    },
+  },
+  importJobs: {
+    title: 'Importações em Segundo Plano',
+    running: { one: '{count} em andamento', other: '{count} em andamento' },
+    file: 'Arquivo',
+    by: 'Por',
+    received: 'Recebido',
+    phase: 'Etapa',
+    status: 'Situação',
+    took: 'Duração',
+    phases: {
+      Queued: 'Aguardando',
+      Validating: 'Validando',
+      Parsing: 'Lendo',
+      CheckingDuplicates: 'Verificando duplicadas',
+      Inserting: 'Gravando',
+      Completed: 'Concluído',
+      Failed: 'Falhou',
+      Cancelled: 'Cancelado',
+    },
+    insertingBatch: 'Gravando lote {batch}/{batchCount} - {inserted} de {count} transações',
+    waitingForOthers: 'Aguardando as importações iniciadas antes dela',
+    etaSeconds: 'cerca de {seconds} s restantes',
+    etaMinutes: 'cerca de {minutes} min restantes',
+    cancelledResult: 'Cancelada - nada foi importado',
+    failed: 'A importação falhou',
+    loadError: 'Erro ao carregar as importações',
+  },
+  columns: {
+    date: 'Data',
+    time: 'Hora',
+    store: 'Loja',
+    type: 'Tipo',
+    typeCode: 'Código do Tipo',
+    nature: 'Natureza',
+    amount: 'Valor',
+    cpf: 'CPF',
+    card: 'Cartão',
+    owner: 'Dono',
+  },
+  table: {
+    closedPeriod: 'Período fechado',
+    sortBy: 'Ordenar por {column}',
+    runningBalance: 'Saldo',
+    reveal: 'Mostrar o valor completo (registrado no log de auditoria)',
+    hide: 'Mascarar novamente',
+    revealFailed: 'Não foi possível revelar o valor',
+    manualEntry: 'Lançamento manual',
+    reversalOf: 'Estorno da transação #{id}',
+    reversedBy: 'Estornada pela transação #{id}',
+  },
+  columnSettings: {
+    columns: 'Colunas',
+    moveUp: 'Mover {column} para cima',
+    moveDown: 'Mover {column} para baixo',
+    defaultSort: 'Ordenação padrão',
+    pinSort: 'Fixar ordenação atual ({sort})',
+    reset: 'Restaurar layout',
+    close: 'Fechar',
+  },
+  pagination: {
+    showing: 'Mostrando {first}-{last} de {count} transações',
+    previous: 'Página anterior',
+    next: 'Próxima página',
+    perPage: 'Por página',
+  },
+  filters: {
+    title: 'Filtros',
+    active: { one: '{count} ativo', other: '{count} ativos' },
+    clear: 'Limpar filtros',
+    from: 'De',
+    to: 'Até',
+    anyNature: 'Entradas e saídas',
+    incomeOnly: 'Apenas entradas',
+    expenseOnly: 'Apenas saídas',
+    minAmount: 'Valor mínimo (R$)',
+    maxAmount: 'Valor máximo (R$)',
+    storePlaceholder: 'ex. BAR DO JOÃO',
+    ownerPlaceholder: 'ex. JOÃO MACEDO',
+    cpfPlaceholder: 'dígitos',
+    cardSuffix: 'Cartão termina com',
+    types: 'Tipos',
+    apply: 'Aplicar Filtros',
+    reset: 'Limpar',
+    errors: {
+      dateRange: 'A data inicial deve ser igual ou anterior à data final',
+      negativeAmount: 'Os valores devem ser números positivos',
+      amountRange: 'O valor mínimo não pode ser maior que o valor máximo',
+      fullCpf: 'Informe os 11 dígitos do CPF',
+    },
+  },
+  exportMenu: {
+    export: 'Exportar',
+    exporting: 'Exportando...',
+    failed: 'A exportação falhou',
+    transactions: 'Transações',
+    matchingHint: {
+      one: '{count} transação filtrada, na ordenação atual',
+      other: '{count} transações filtradas, na ordenação atual',
+    },
+    allHint: {
+      one: '{count} transação, na ordenação atual',
+      other: '{count} transações, na ordenação atual',
+    },
+    statement: 'Extrato da loja',
+    statementLabel: 'Extrato',
+    statementHint: 'Saldo, entradas e saídas, pronto para imprimir ou salvar em PDF',
+    allStores: 'Todas as lojas ({count})',
+    print: 'Imprimir extrato',
+    progress: '{label}: {loaded} / {count} transações',
+  },
+  statement: {
+    titleOne: 'Extrato - {store}',
+    titleMany: 'Extratos das lojas',
+    generatedOn: 'Extrato gerado em {date}',
+    transactions: { one: '{count} transação', other: '{count} transações' },
+    filters: 'Filtros: {filters}',
+    balance: 'Saldo',
+    income: 'Entradas',
+    expenses: 'Saídas',
+    expense: 'Saída',
+    total: 'Total',
+    preparing: 'Preparando o extrato...',
+    print: 'Imprimir / Salvar em PDF',
+    blocked: 'A janela do extrato foi bloqueada. Permita pop-ups para este site e tente de novo.',
+  },
+  closedPeriods: {
+    notice: 'Períodos fechados, bloqueados para importações, exclusões e ajustes:',
+    closedBy: 'Fechado por {user}',
+    manage: 'Gerenciar',
+    loadError: 'Erro ao carregar os períodos fechados',
+  },
+  transactions: {
+    title: 'Transações',
+    byStore: 'Por Loja',
+    all: 'Todas as Transações',
+    loading: 'Carregando transações...',
+    loadError: 'Erro ao carregar as transações',
+    storeLoadError: 'Erro ao carregar as transações da loja',
+    openStore: 'Abrir a página da loja: evolução do saldo, detalhamentos e saldo acumulado',
+    balance: 'Saldo: {amount}',
+    transactionCount: 'Transações: {count}',
+    income: 'Entradas: {amount}',
+    expenses: 'Saídas: {amount}',
+    empty: 'Nenhuma transação encontrada',
+    emptyHint: 'Envie um arquivo CNAB para ver as transações aqui',
+    noMatches: 'Nenhuma transação atende a estes filtros',
+    noMatchesHint: 'Altere ou limpe os filtros para ver mais transações',
+    matchingStores: 'Lojas Filtradas',
+    totalStores: 'Total de Lojas',
+    matchingTransactions: 'Transações Filtradas',
+    totalTransactions: 'Total de Transações',
+    matchingBalance: 'Saldo Filtrado',
+    totalBalance: 'Saldo Total',
+    adjustmentCount: { one: '{count} ajuste', other: '{count} ajustes' },
+    openAlertCount: { one: '{count} alerta em aberto', other: '{count} alertas em aberto' },
+    lastAdjusted: 'Último ajuste em {date} - abra a página da loja para ver a trilha de auditoria',
+    deleting: 'Excluindo transações...',
+    deleteAll: {
+      title: 'Excluir Todas as Transações?',
+      messageFiltered: 'Tem certeza de que deseja excluir TODAS as transações, inclusive as ocultas pelos filtros '
+        + 'atuais?\n\nEsta ação NÃO pode ser desfeita!',
+      message: 'Tem certeza de que deseja excluir TODAS as {count} transações?\n\nEsta ação NÃO pode ser desfeita!',
+      confirm: 'Excluir',
+      success: 'Sucesso',
+      failed: 'Falha ao excluir as transações',
+      button: 'Excluir Tudo',
+    },
+  },
+  offline: {
+    pending: {
+      one: '{count} envio será feito quando a conexão voltar.',
+      other: '{count} envios serão feitos quando a conexão voltar.',
+    },
+    reconnecting: 'Reconectando ao servidor... Mostrando os saldos salvos neste dispositivo.',
+    offline: 'Você está offline. Mostrando os saldos salvos neste dispositivo; os demais dados precisam de conexão.',
+  },
+  liveUpdates: {
+    imported: {
+      one: '{user} importou {file} ({count} transação)',
+      other: '{user} importou {file} ({count} transações)',
+    },
+    rolledBack: {
+      one: '{user} desfez {file} ({count} transação)',
+      other: '{user} desfez {file} ({count} transações)',
+    },
+    deletedAll: '{user} excluiu todas as transações',
+    adjusted: '{user} ajustou {store}',
+    others: { one: ' e mais {count} alteração', other: ' e mais {count} alterações' },
+    newData: 'Novos dados disponíveis: {change}{others}.',
+    refresh: 'Atualizar',
+  },
+  session: {
+    expiresIn: 'Sua sessão expira em {remaining}.',
+    renewing: 'Renovando...',
+    stay: 'Continuar conectado',
+  },
+  charts: {
+    noData: 'Ainda sem dados',
+    netFlow: 'Fluxo líquido diário',
+    netFlowTooltip: '{date}\nLíquido: {net}\nEntradas: {income}\nSaídas: {expenses}',
+    balanceOverTime: 'Evolução do saldo',
+    balanceTooltip: {
+      one: '{date}\nSaldo: {balance}\nLíquido do dia: {net} ({count} transação)',
+      other: '{date}\nSaldo: {balance}\nLíquido do dia: {net} ({count} transações)',
+    },
+    typeDetail: {
+      Income: { one: '{count} transação de entrada', other: '{count} transações de entrada' },
+      Expense: { one: '{count} transação de saída', other: '{count} transações de saída' },
+    },
+    storeDetail: {
+      one: '{count} transação · entradas {income} · saídas {expenses}',
+      other: '{count} transações · entradas {income} · saídas {expenses}',
+    },
+  },
+  dashboard: {
+    loading: 'Carregando estatísticas...',
+    loadError: 'Erro ao carregar as estatísticas',
+    empty: 'Ainda sem estatísticas',
+    emptyHint: 'Envie um arquivo CNAB para ver o painel',
+    totalBalance: 'Saldo Total',
+    totalIncome: 'Total de Entradas',
+    totalExpenses: 'Total de Saídas',
+    transactions: 'Transações',
+    stores: 'Lojas',
+    biggestStore: 'Maior Loja',
+    smallestStore: 'Menor Loja',
+    refresh: 'Atualizar',
+    refreshing: 'Atualizando...',
+    dailyNetFlow: 'Fluxo Líquido Diário',
+    dailyNetFlowHint: 'Entradas menos saídas por data da transação. Passe o mouse sobre uma barra para ver os detalhes.',
+    byType: 'Entradas x Saídas por Tipo',
+    topStores: 'Lojas com Maior Saldo',
+    bottomStores: 'Lojas com Menor Saldo',
+  },
+  storeDetail: {
+    allStores: 'Todas as lojas',
+    loading: 'Carregando a loja...',
+    loadError: 'Erro ao carregar a loja',
+    notFound: 'Nenhuma transação para {store}',
+    notFoundHint: 'Esta loja não tem transações',
+    balance: 'Saldo',
+    income: 'Entradas',
+    expenses: 'Saídas',
+    thisMonth: 'Este mês',
+    lastMonth: 'Mês anterior',
+    comparison: 'Este Mês x Mês Anterior',
+    comparisonHint: 'Mês da transação mais recente da loja comparado com o mês anterior.',
+    balanceOverTime: 'Evolução do Saldo',
+    balanceOverTimeHint: 'Saldo ao fim de cada dia com transações. Passe o mouse sobre um ponto para ver os detalhes.',
+    owners: 'Donos',
+    noOwners: 'Nenhum dono registrado',
+    cards: 'Cartões',
+    noCards: 'Nenhum cartão registrado',
+    usage: { one: '{count} transação · {first}', other: '{count} transações · {first}' },
+    runningBalanceHint: 'O saldo mostra o total após cada transação, em ordem de data e hora, sobre as transações '
+      + 'filtradas.',
+    sortByDateHint: 'Ordene por data para ver o saldo após cada transação.',
+  },
+  importReport: {
+    empty: 'Ainda sem relatório de importação',
+    emptyHint: 'Envie um arquivo CNAB para ver o relatório da importação aqui',
+    linesRead: 'Linhas Lidas',
+    linesAccepted: 'Linhas Aceitas',
+    linesRejected: 'Linhas Rejeitadas',
+    linesFlagged: 'Linhas Suspeitas',
+    linesSkipped: 'Linhas Ignoradas',
+    layout: 'Layout do Arquivo',
+    transactionsImported: 'Transações Importadas',
+    rejectedLines: 'Linhas Rejeitadas',
+    qualityWarnings: 'Alertas de Qualidade dos Dados',
+    qualityWarningsHint: 'Estas linhas foram importadas, mas violam uma regra de qualidade dos dados. '
+      + 'Elas aparecem na aba Qualidade dos Dados até serem corrigidas.',
+    reason: 'Motivo',
+    content: 'Conteúdo',
+    storeTotals: 'Totais por Loja',
+    net: 'Líquido',
+    typeTotals: 'Totais por Tipo de Transação',
+    alertsTriggered: 'Alertas Disparados',
+    viewAlerts: 'Ver alertas',
+    uploadAnother: 'Enviar Outro Arquivo',
+    viewTransactions: 'Ver Transações',
+  },
+  importHistory: {
+    title: 'Histórico de Importações',
+    count: { one: '{count} importação', other: '{count} importações' },
+    loading: 'Carregando o histórico de importações...',
+    loadError: 'Erro ao carregar o histórico de importações',
+    detailLoadError: 'Erro ao carregar as transações da importação',
+    empty: 'Nenhuma importação ainda',
+    emptyHint: 'Todo arquivo CNAB enviado aparecerá aqui',
+    noneLeft: 'Não restam transações desta importação.',
+    uploadedBy: 'Enviado Por',
+    importedAt: 'Importado Em',
+    netAmount: 'Valor Líquido',
+    rollingBack: 'Desfazendo...',
+    rollback: {
+      title: 'Desfazer Importação?',
+      message: 'Isto exclui as {count} transações importadas de "{file}" em {date}.\n\n'
+        + 'As demais importações não são afetadas. Esta ação NÃO pode ser desfeita!',
+      confirm: 'Desfazer',
+      success: 'Importação Desfeita',
+      failed: 'Falha ao desfazer a importação',
+    },
+  },
+  reconciliation: {
+    itemCount: { one: '{count} total esperado', other: '{count} totais esperados' },
+    expectedTotals: 'Totais Esperados',
+    expectedTotalsHint: 'Totais de cada loja e período conforme o extrato bancário. Deixe um total vazio para '
+      + 'ignorá-lo; as saídas são positivas e o saldo é entradas menos saídas.',
+    loadCsv: 'Carregar CSV',
+    template: 'Modelo',
+    clear: 'Limpar',
+    add: 'Adicionar',
+    noItems: 'Adicione totais esperados acima ou carregue-os de um arquivo CSV.',
+    start: 'Início',
+    end: 'Fim',
+    datePlaceholder: 'DD/MM/AAAA',
+    period: 'Período',
+    totals: {
+      totalIncome: 'Entradas',
+      totalExpenses: 'Saídas',
+      totalBalance: 'Saldo',
+      transactionCount: 'Transações',
+    },
+    csvErrors: {
+      one: '{count} linha de {file} não foi carregada:',
+      other: '{count} linhas de {file} não foram carregadas:',
+    },
+    csvLine: 'Linha {line}: {message}',
+    compare: 'Comparar',
+    comparing: 'Comparando...',
+    compareError: 'Erro ao comparar os totais esperados',
+    result: 'Resultado',
+    resultCount: '{matched} conferem · {mismatched} divergem',
+    expectedActual: 'esperado / real',
+    matched: 'Confere',
+    mismatch: 'Diverge',
+    prefill: 'Fechar…',
+    prefillHint: 'Preencher o formulário de fechamento com este período',
+    closedPeriods: 'Períodos Fechados',
+    closedCount: { one: '{count} fechado', other: '{count} fechados' },
+    closedPeriodsHint: 'Transações com data dentro de um período fechado não podem ser importadas, desfeitas ou '
+      + 'excluídas até que ele seja reaberto.',
+    closedBy: 'Fechado Por',
+    closedAt: 'Fechado Em',
+    note: 'Observação',
+    notePlaceholder: 'Conciliado com o extrato de março',
+    closing: 'Fechando...',
+    reopening: 'Reabrindo...',
+    close: {
+      title: 'Fechar Período?',
+      message: 'Transações de {range} não poderão mais ser importadas, desfeitas ou excluídas até que o período '
+        + 'seja reaberto.',
+      confirm: 'Fechar Período',
+      failed: 'Falha ao fechar o período',
+      invalidTitle: 'Período Inválido',
+      invalidMessage: 'Informe uma data inicial igual ou anterior à data final (AAAA-MM-DD ou DD/MM/AAAA).',
+    },
+    reopen: {
+      title: 'Reabrir Período?',
+      message: 'Transações de {range} poderão ser importadas, desfeitas e excluídas novamente.',
+      confirm: 'Reabrir',
+      failed: 'Falha ao reabrir o período',
+    },
+    errors: {
+      storeRequired: 'A loja é obrigatória',
+      datesRequired: 'As datas de início e fim são obrigatórias (AAAA-MM-DD ou DD/MM/AAAA)',
+      notNumbers: 'Os totais devem ser números',
+      noTotals: 'Informe ao menos um total esperado',
+      wholeCount: 'Transações deve ser um número inteiro',
+      emptyFile: 'O arquivo está vazio',
+      header: 'O cabeçalho deve ter as colunas {columns}',
+    },
+  },
+  adjustments: {
+    newButton: 'Novo ajuste',
+    reason: 'Motivo',
+    kinds: {
+      Entry: 'Lançamento manual',
+      Reversal: 'Estorno de #{id}',
+    },
+    form: {
+      title: 'Novo ajuste manual',
+      hint: 'Lança uma transação manualmente, por exemplo uma correção do banco que não veio nos arquivos CNAB. '
+        + 'Para desfazer uma transação errada, estorne-a pela sua linha: transações nunca são editadas.',
+      chooseType: 'Escolha um tipo',
+      timePlaceholder: 'HH:MM',
+      optional: 'Opcional',
+      reasonPlaceholder: 'Por que este ajuste é necessário? (registrado na trilha de auditoria)',
+      save: 'Salvar ajuste',
+      saving: 'Salvando...',
+      failed: 'Falha ao salvar o ajuste',
+    },
+    reverse: {
+      button: 'Estornar com um lançamento de compensação',
+      summary: 'Lançamento de compensação de {amount} (transação de {date})',
+      reasonPlaceholder: 'Motivo (obrigatório)',
+      dateRequired: 'Data (período fechado)',
+      dateHint: 'Data do lançamento de compensação; vazio para a data da transação',
+      confirm: 'Estornar',
+      saving: 'Estornando...',
+      failed: 'Falha ao estornar a transação',
+    },
+    trail: {
+      title: 'Trilha de auditoria de ajustes',
+      hint: 'Todos os lançamentos manuais e estornos desta loja, do mais recente ao mais antigo. '
+        + 'Os registros nunca são alterados nem excluídos.',
+      loading: 'Carregando ajustes...',
+      loadError: 'Erro ao carregar os ajustes',
+      empty: 'Nenhum ajuste nesta loja.',
+      when: 'Quando',
+      who: 'Quem',
+      what: 'O quê',
+    },
+    errors: {
+      typeRequired: 'Escolha o tipo da transação.',
+      amountPositive: 'O valor deve ser um número maior que zero.',
+      dateRequired: 'Informe uma data válida (DD/MM/AAAA ou AAAA-MM-DD).',
+      timeInvalid: 'Informe a hora como HH:MM, ou deixe em branco.',
+      dateImplausible: 'A data deve ser a partir de {earliest} e não pode estar no futuro.',
+      storeRequired: 'Informe a loja e o seu dono.',
+      cpfInvalid: 'O CPF tem dígitos verificadores inválidos.',
+      cardInvalid: 'O número do cartão deve ter o formato 1234****5678.',
+      reasonRequired: 'Informe o motivo do ajuste.',
+    },
+  },
+  alerts: {
+    title: 'Alertas',
+    tabs: {
+      alerts: 'Alertas',
+      rules: 'Regras',
+    },
+    loading: 'Carregando alertas...',
+    loadError: 'Erro ao carregar os alertas',
+    empty: 'Nenhum alerta',
+    emptyOpen: 'Nenhum alerta em aberto',
+    emptyHint: 'Toda importação é verificada pelas regras de alerta; os alertas disparados aparecem aqui',
+    allRules: 'Todas as regras',
+    allStores: 'Todas as lojas',
+    rule: 'Regra',
+    triggeredAt: 'Disparado em',
+    what: 'O que foi encontrado',
+    status: 'Situação',
+    statuses: {
+      Open: 'Em aberto',
+      Acknowledged: 'Reconhecidos',
+      All: 'Todos',
+    },
+    acknowledge: 'Reconhecer',
+    acknowledging: 'Reconhecendo...',
+    acknowledgeError: 'Erro ao reconhecer o alerta',
+    acknowledgedBy: 'Reconhecido por {user}',
+    comment: 'Comentário',
+    commentPlaceholder: 'O que você encontrou? (obrigatório)',
+    rules: {
+      LargeAmount: 'Valor alto',
+      DailyFlowDeviation: 'Fluxo diário incomum',
+      CardInManyStores: 'Cartão em muitas lojas',
+      OutOfHours: 'Fora do horário',
+    },
+    ruleHints: {
+      LargeAmount: 'Uma única transação acima do valor',
+      DailyFlowDeviation: 'O fluxo líquido de uma loja em um dia se afasta da média dos dias anteriores '
+        + 'mais que o fator vezes essa média',
+      CardInManyStores: 'O mesmo cartão usado no número de lojas dentro dos minutos',
+      OutOfHours: 'Uma transação antes da hora de abertura ou a partir da hora de fechamento',
+    },
+    details: {
+      LargeAmount: 'Valor de {amount} acima de {threshold}',
+      DailyFlowDeviation: 'Fluxo líquido de {amount} se afasta mais de {factor}× da média dos dias anteriores',
+      CardInManyStores: 'Cartão usado em {count} lojas dentro da janela',
+      OutOfHours: 'Transação às {time}, fora do horário comercial',
+    },
+    settings: {
+      loading: 'Carregando regras de alerta...',
+      loadError: 'Erro ao carregar as regras de alerta',
+      hint: 'As alterações valem para as próximas importações; os alertas já disparados são mantidos.',
+      readOnlyHint: 'Somente administradores podem alterar as regras.',
+      enabled: 'Ativa',
+      limits: 'Limites',
+      lastChange: 'Última Alteração',
+      changedBy: '{user} em {date}',
+      defaults: 'Configuração padrão',
+      save: 'Salvar',
+      saving: 'Salvando...',
+      saved: 'Salvo',
+      saveError: 'Erro ao salvar a regra',
+      fields: {
+        LargeAmount: { threshold: 'Valor' },
+        DailyFlowDeviation: { threshold: 'Fator de desvio', window: 'Dias anteriores' },
+        CardInManyStores: { threshold: 'Lojas', window: 'Minutos' },
+        OutOfHours: { threshold: 'Hora de abertura', window: 'Hora de fechamento' },
+      },
+    },
+    errors: {
+      commentRequired: 'Informe um comentário sobre o que você encontrou.',
+      thresholdRequired: 'Informe um número para cada limite.',
+      windowRequired: 'O segundo limite deve ser um número inteiro.',
+      amountPositive: 'O valor deve ser maior que zero.',
+      factorPositive: 'O fator de desvio deve ser maior que zero.',
+      daysRange: 'A janela deve ser de 1 a 365 dias.',
+      storesMinimum: 'O número de lojas deve ser um inteiro de pelo menos 2.',
+      minutesRange: 'A janela deve ser de 1 a 1440 minutos.',
+      openingRange: 'A hora de abertura deve ser uma hora inteira de 0 a 23.',
+      closingRange: 'A hora de fechamento deve ser de 1 a 24.',
+      closingAfterOpening: 'A hora de fechamento deve ser depois da hora de abertura.',
+      unknownRule: 'Regra desconhecida {rule}.',
+    },
+  },
+  dataQuality: {
+    title: 'Qualidade dos Dados',
+    loading: 'Verificando as transações armazenadas...',
+    loadError: 'Erro ao verificar a qualidade dos dados',
+    detailLoadError: 'Erro ao carregar as transações suspeitas',
+    empty: 'Nenhuma transação para verificar',
+    emptyHint: 'As transações importadas são verificadas aqui pelas regras de qualidade dos dados',
+    flagged: {
+      one: '{flagged} de {count} transação sinalizada',
+      other: '{flagged} de {count} transações sinalizadas',
+    },
+    checkAgain: 'Verificar novamente',
+    hint: 'As transações suspeitas foram importadas, mas violam uma destas regras. Clique em uma regra para listá-las.',
+    checkedAt: 'Verificado em {date}.',
+    clean: {
+      one: 'A transação armazenada passa em todas as regras.',
+      other: 'Todas as {count} transações armazenadas passam em todas as regras.',
+    },
+    rule: 'Regra',
+    checks: 'O que é verificado',
+    rules: {
+      CpfChecksum: 'Dígitos verificadores do CPF',
+      CardNumberFormat: 'Formato do cartão',
+      ImplausibleDateTime: 'Data e hora',
+      StoreOwnerMismatch: 'Dono da loja',
+    },
+    ruleHints: {
+      CpfChecksum: 'O CPF tem 11 dígitos e os dois dígitos verificadores estão corretos',
+      CardNumberFormat: 'O número do cartão segue o formato 1234****5678',
+      ImplausibleDateTime: 'A transação é de 2000 em diante e não está no futuro (UTC-3)',
+      StoreOwnerMismatch: 'O dono é o já conhecido para a loja',
+    },
+    details: {
+      CpfChecksum: 'Dígitos verificadores do CPF inválidos',
+      CardNumberFormat: 'Cartão fora do formato 1234****5678',
+      ImplausibleDateTime: 'Data anterior a 2000 ou no futuro',
+      StoreOwnerMismatch: 'Loja conhecida com o dono {expected}',
+    },
+  },
+  transactionTypes: {
+    1: 'Débito',
+    2: 'Boleto',
+    3: 'Financiamento',
+    4: 'Crédito',
+    5: 'Recebimento Empréstimo',
+    6: 'Vendas',
+    7: 'Recebimento TED',
+    8: 'Recebimento DOC',
+    9: 'Aluguel',
+  },
+  natures: {
+    Income: 'Entrada',
+    Expense: 'Saída',
+  },
+};
@@ -1,11 +1,20 @@
 // src/main.jsx
 import React from 'react'
 import ReactDOM from 'react-dom/client'
+import { BrowserRouter } from 'react-router'
 import App from './App.jsx'
+import AuthProvider from './components/AuthProvider.jsx'
+import { registerServiceWorker } from './services/serviceWorker'
 import './index.css'
 
+registerServiceWorker()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter>
+      <AuthProvider>
+        <App />
+      </AuthProvider>
+    </BrowserRouter>
   </React.StrictMode>,
 )
\ No newline at end of file
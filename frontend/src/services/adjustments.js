@@ -0,0 +1,84 @@
+// ========================================
+// File: frontend/src/services/adjustments.js
+// Purpose: Manual adjustments: checks of a manual entry before it is sent, and the
+// adjustment status of a listed transaction (manual entry, reversal or reversed)
+// ========================================
+
+import { translate } from './i18n';
+import { TRANSACTION_TYPES } from './cnabParser';
+import { isValidCpf, isValidCardNumber, isPlausibleDateTime, EARLIEST_PLAUSIBLE_DATE } from './dataQuality';
+
+/** Same limit as the API (CreateAdjustmentRequest.Reason) */
+export const MAX_REASON_LENGTH = 500;
+
+/** Same limit as the API (store name and owner) */
+export const MAX_NAME_LENGTH = 50;
+
+/**
+ * Reads a time as HH:mm or HH:mm:ss.
+ * @param {string} text
+ * @returns {string|null} HH:mm:ss, '' when empty, or null when not a time
+ */
+export const parseTime = (text) => {
+  const value = String(text ?? '').trim();
+  if (!value) return '';
+
+  const match = value.match(/^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/);
+  return match ? `${match[1]}:${match[2]}:${match[3] || '00'}` : null;
+};
+
+/**
+ * Checks a manual entry before it is sent (the API rejects the same cases with 400).
+ * CPF and card number are optional: a bank correction often has neither.
+ * @param {object} entry - type, amount (number), date (YYYY-MM-DD), time (HH:mm:ss or ''),
+ *   storeName, storeOwner, cpf, cardNumber, reason
+ * @param {Date} [now]
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAdjustment = (entry, now = new Date()) => {
+  if (!TRANSACTION_TYPES[entry.type]) return translate('adjustments.errors.typeRequired');
+  if (entry.amount == null || Number.isNaN(entry.amount) || entry.amount <= 0) {
+    return translate('adjustments.errors.amountPositive');
+  }
+  if (!entry.date) return translate('adjustments.errors.dateRequired');
+  if (entry.time === null) return translate('adjustments.errors.timeInvalid');
+  if (!isPlausibleDateTime(entry.date, entry.time || '00:00:00', now)) {
+    return translate('adjustments.errors.dateImplausible', { earliest: EARLIEST_PLAUSIBLE_DATE });
+  }
+  if (!entry.storeName.trim() || !entry.storeOwner.trim()) return translate('adjustments.errors.storeRequired');
+  if (entry.cpf && !isValidCpf(entry.cpf)) return translate('adjustments.errors.cpfInvalid');
+  if (entry.cardNumber && !isValidCardNumber(entry.cardNumber)) return translate('adjustments.errors.cardInvalid');
+  if (!entry.reason.trim()) return translate('adjustments.errors.reasonRequired');
+
+  return null;
+};
+
+/**
+ * How a listed transaction relates to the adjustments. Paged lists fill reversedByTransactionId.
+ * @param {object} transaction
+ * @returns {'reversal'|'reversed'|'entry'|null} null for an imported transaction never reversed
+ */
+export const adjustmentStatus = (transaction) => {
+  if (transaction.reversesTransactionId != null) return 'reversal';
+  if (transaction.reversedByTransactionId != null) return 'reversed';
+  if (transaction.isAdjustment) return 'entry';
+  return null;
+};
+
+/**
+ * Reversal entries cannot be reversed, and a transaction is reversed only once.
+ * @param {object} transaction
+ */
+export const canReverse = (transaction) => {
+  const status = adjustmentStatus(transaction);
+  return status !== 'reversal' && status !== 'reversed';
+};
+
+export default {
+  MAX_REASON_LENGTH,
+  MAX_NAME_LENGTH,
+  parseTime,
+  validateAdjustment,
+  adjustmentStatus,
+  canReverse,
+};
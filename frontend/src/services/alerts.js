@@ -0,0 +1,77 @@
+// ========================================
+// File: frontend/src/services/alerts.js
+// Purpose: Anomaly alert rules: their names, the checks of their settings before they are
+// saved, and the alert filters of the Alerts view
+// Mirrors AnomalyRules.Validate on the server - keep both in sync
+// ========================================
+
+import { translate } from './i18n';
+
+/** Rule names, in the order used by the server (AlertRuleType enum) */
+export const ALERT_RULES = ['LargeAmount', 'DailyFlowDeviation', 'CardInManyStores', 'OutOfHours'];
+
+/** Alert status filters of GET /cnab/alerts */
+export const ALERT_STATUSES = ['Open', 'Acknowledged', 'All'];
+
+/** Same limit as the API (AcknowledgeAlertRequest.Comment) */
+export const MAX_COMMENT_LENGTH = 500;
+
+/** Rules without a window setting */
+export const hasWindow = (rule) => rule !== 'LargeAmount';
+
+/**
+ * Formats the decimal hours of an out-of-hours alert (e.g. 23.5) as HH:mm.
+ * @param {number} hours
+ */
+export const formatHours = (hours) => {
+  const minutes = Math.round(Number(hours) * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Checks the settings of a rule before they are sent (the API rejects the same cases with 400).
+ * Threshold and window mean, per rule: amount; deviation factor and trailing days;
+ * number of stores and minutes; opening and closing hour.
+ * @param {string} rule
+ * @param {number} threshold
+ * @param {number} window - Ignored for LargeAmount
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAlertRule = (rule, threshold, window) => {
+  if (threshold == null || Number.isNaN(threshold)) return translate('alerts.errors.thresholdRequired');
+  if (hasWindow(rule) && (window == null || !Number.isInteger(window))) {
+    return translate('alerts.errors.windowRequired');
+  }
+
+  switch (rule) {
+    case 'LargeAmount':
+      return threshold > 0 ? null : translate('alerts.errors.amountPositive');
+
+    case 'DailyFlowDeviation':
+      if (threshold <= 0) return translate('alerts.errors.factorPositive');
+      return window >= 1 && window <= 365 ? null : translate('alerts.errors.daysRange');
+
+    case 'CardInManyStores':
+      if (threshold < 2 || !Number.isInteger(threshold)) return translate('alerts.errors.storesMinimum');
+      return window >= 1 && window <= 1440 ? null : translate('alerts.errors.minutesRange');
+
+    case 'OutOfHours':
+      if (threshold < 0 || threshold > 23 || !Number.isInteger(threshold)) {
+        return translate('alerts.errors.openingRange');
+      }
+      if (window < 1 || window > 24) return translate('alerts.errors.closingRange');
+      return window > threshold ? null : translate('alerts.errors.closingAfterOpening');
+
+    default:
+      return translate('alerts.errors.unknownRule', { rule });
+  }
+};
+
+export default {
+  ALERT_RULES,
+  ALERT_STATUSES,
+  MAX_COMMENT_LENGTH,
+  hasWindow,
+  formatHours,
+  validateAlertRule,
+};
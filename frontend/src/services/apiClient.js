@@ -0,0 +1,109 @@
+// ========================================
+// File: frontend/src/services/apiClient.js
+// Purpose: Shared axios client for the API: bearer token, silent session refresh on 401
+// ========================================
+
+import axios from 'axios';
+import { getAccessToken, saveSession, expireSession } from './session';
+
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5099/api';
+
+// Identifies this tab: the API puts it in the change events it publishes,
+// so the tab can skip events about its own uploads and deletes (see liveEvents.js).
+// randomUUID only exists on HTTPS and localhost.
+export const CLIENT_ID = crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json',
+    'X-Client-Id': CLIENT_ID,
+  },
+  // Repeat array params as ?types=1&types=2 (ASP.NET binding), not types[]=1
+  paramsSerializer: { indexes: null },
+  // Sends the HttpOnly refresh token cookie to /auth/refresh and /auth/logout
+  withCredentials: true,
+});
+
+// Add request interceptor to include JWT token
+api.interceptors.request.use(
+  (config) => {
+    const token = getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Refresh in progress, shared by every request that failed with 401 meanwhile
+let refreshPromise = null;
+
+// Held across tabs while refreshing (see requestRefresh)
+const REFRESH_LOCK = 'cnab-auth-refresh';
+
+/**
+ * Posts the refresh token cookie to /auth/refresh. Tabs share that cookie and each refresh
+ * rotates it, so tabs take turns (Web Locks): a tab never sends a token another tab is consuming.
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+export const requestRefresh = () => {
+  const post = () => api.post('/auth/refresh', {}, { skipAuthRefresh: true });
+  return navigator.locks ? navigator.locks.request(REFRESH_LOCK, post) : post();
+};
+
+/**
+ * Gets a new access token with the refresh token cookie. Concurrent callers share one request,
+ * because each refresh token can be used only once. Ends the session when the API refuses
+ * the refresh; a network failure (offline) keeps it, so the refresh can be tried again later.
+ * @returns {Promise<object>} The new session (LoginResponse)
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestRefresh()
+      .then((response) => {
+        saveSession(response.data);
+        return response.data;
+      })
+      .catch((error) => {
+        if (error.response) {
+          expireSession();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// On 401 refresh the session once and replay the request; log out only if the refresh fails.
+// Auth calls opt out with skipAuthRefresh (a failed login is not an expired session).
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+
+    if (error.response?.status !== 401 || !config || config.skipAuthRefresh || config._retried) {
+      return Promise.reject(error);
+    }
+
+    let session;
+    try {
+      session = await refreshSession();
+    } catch {
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+    config.headers.Authorization = `Bearer ${session.token}`;
+    return api(config);
+  }
+);
+
+export default api;
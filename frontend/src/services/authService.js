@@ -0,0 +1,130 @@
+// ========================================
+// File: frontend/src/services/authService.js
+// Purpose: Login, logout, current user and session restore, on the shared API client
+// ========================================
+
+import { api, refreshSession, requestRefresh } from './apiClient';
+import { getSession, saveSession, clearSession, removeLegacyStorage } from './session';
+import { rememberUser, getRememberedUser, forgetUser } from './offlineStore';
+import { clearCachedApiData } from './serviceWorker';
+
+/**
+ * @typedef {object} CurrentUser
+ * @property {string} username
+ * @property {string[]} roles - Taken from the access token, the same claims the API authorizes with
+ */
+
+/**
+ * Gets the signed-in user from the API (validates the access token).
+ * @returns {Promise<CurrentUser>}
+ */
+export const getCurrentUser = async () => {
+  const response = await api.get('/auth/me');
+  return { username: response.data.username, roles: getSession().roles };
+};
+
+/**
+ * Remembers the user for offline use. Data cached for another user is dropped first,
+ * so nobody sees the previous user's balances offline. Best effort: storage may be unavailable.
+ * @param {CurrentUser} user
+ * @returns {Promise<CurrentUser>} The same user
+ */
+const keepForOffline = async (user) => {
+  try {
+    const previous = await getRememberedUser();
+    if (previous && previous.username !== user.username) {
+      await clearCachedApiData();
+    }
+    await rememberUser(user);
+  } catch {
+    // The app still works online
+  }
+  return user;
+};
+
+/**
+ * Signs in. The API sets the refresh token cookie; the access token stays in memory.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<CurrentUser>}
+ */
+export const login = async (username, password) => {
+  const response = await api.post('/auth/login', { username, password }, { skipAuthRefresh: true });
+  saveSession(response.data);
+  return keepForOffline(await getCurrentUser());
+};
+
+/**
+ * Restores the session after a page load: gets an access token with the refresh token cookie,
+ * then asks the API who the user is.
+ * @returns {Promise<CurrentUser|null>} The user, or null when there is no valid session
+ * @throws When the API cannot be reached (offline); see getOfflineUser
+ */
+export const restoreSession = async () => {
+  removeLegacyStorage();
+
+  try {
+    const response = await requestRefresh();
+    saveSession(response.data);
+    return await keepForOffline(await getCurrentUser());
+  } catch (error) {
+    clearSession();
+    if (!error.response) throw error;
+    return null;
+  }
+};
+
+/**
+ * Resumes an offline session once the API is reachable again. Shares the refresh
+ * with any request that got a 401 meanwhile, so the refresh token is used once.
+ * @returns {Promise<CurrentUser>}
+ */
+export const resumeSession = async () => {
+  await refreshSession();
+  return keepForOffline(await getCurrentUser());
+};
+
+/**
+ * The last user who signed in on this browser, for read-only use while offline.
+ * There is no token: requests are answered from the service worker cache or fail.
+ * @returns {Promise<CurrentUser|null>}
+ */
+export const getOfflineUser = async () => {
+  try {
+    return await getRememberedUser();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Ends the session: revokes the refresh token (and its cookie) on the server and forgets the token.
+ */
+export const logout = async () => {
+  try {
+    await api.post('/auth/logout', {}, { skipAuthRefresh: true });
+  } catch {
+    // Best effort: the access token expires on its own anyway
+  } finally {
+    clearSession();
+  }
+
+  // Nothing of this user stays readable offline on a shared machine
+  try {
+    await Promise.all([forgetUser(), clearCachedApiData()]);
+  } catch {
+    // Storage unavailable: nothing was kept
+  }
+};
+
+export { refreshSession };
+
+export default {
+  getCurrentUser,
+  login,
+  restoreSession,
+  resumeSession,
+  getOfflineUser,
+  logout,
+  refreshSession,
+};
@@ -0,0 +1,679 @@
+// ========================================
+// File: frontend/src/services/cnabParser.js
+// Purpose: Client-side CNAB pre-flight parser
+// Mirrors the layouts read by CnabParserService on the server (Domain/Layouts): the
+// 81-character sales layout and the CNAB 240 / CNAB 400 collection return files
+// ========================================
+
+import { checkTransactions } from './dataQuality';
+
+export const EXPECTED_LINE_LENGTH = 81;
+
+// CNAB field positions (0-based indexing) - keep in sync with CnabParserService
+export const CNAB_FIELDS = [
+  { name: 'type', label: 'Type', position: 0, length: 1 },
+  { name: 'date', label: 'Date', position: 1, length: 8 },
+  { name: 'amount', label: 'Amount', position: 9, length: 10 },
+  { name: 'cpf', label: 'CPF', position: 19, length: 11 },
+  { name: 'cardNumber', label: 'Card', position: 30, length: 12 },
+  { name: 'time', label: 'Time', position: 42, length: 6 },
+  { name: 'storeOwner', label: 'Owner', position: 48, length: 14 },
+  { name: 'storeName', label: 'Store', position: 62, length: 19 },
+];
+
+// Transaction types (1-9) - keep in sync with the TransactionType enum
+export const TRANSACTION_TYPES = {
+  1: { description: 'Debit', nature: 'Income' },
+  2: { description: 'Boleto Payment', nature: 'Expense' },
+  3: { description: 'Financing', nature: 'Expense' },
+  4: { description: 'Credit', nature: 'Income' },
+  5: { description: 'Loan Receipt', nature: 'Income' },
+  6: { description: 'Sales', nature: 'Income' },
+  7: { description: 'TED Receipt', nature: 'Income' },
+  8: { description: 'DOC Receipt', nature: 'Income' },
+  9: { description: 'Rent', nature: 'Expense' },
+};
+
+const readField = (line, name) => {
+  const field = CNAB_FIELDS.find((f) => f.name === name);
+  return line.substring(field.position, field.position + field.length);
+};
+
+/**
+ * Normalizes line length the same way the server does:
+ * pads short lines with spaces, truncates long lines.
+ */
+const normalizeLine = (line) => {
+  if (line.length < EXPECTED_LINE_LENGTH) {
+    return line.padEnd(EXPECTED_LINE_LENGTH, ' ');
+  }
+  return line.substring(0, EXPECTED_LINE_LENGTH);
+};
+
+const parseDate = (raw) => {
+  if (!/^\d{8}$/.test(raw)) return null;
+
+  const year = Number(raw.substring(0, 4));
+  const month = Number(raw.substring(4, 6));
+  const day = Number(raw.substring(6, 8));
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject dates that roll over (e.g. 20190231)
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return `${raw.substring(0, 4)}-${raw.substring(4, 6)}-${raw.substring(6, 8)}`;
+};
+
+const parseTime = (raw) => {
+  if (!/^\d{6}$/.test(raw)) return null;
+
+  const hours = Number(raw.substring(0, 2));
+  const minutes = Number(raw.substring(2, 4));
+  const seconds = Number(raw.substring(4, 6));
+
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  return `${raw.substring(0, 2)}:${raw.substring(2, 4)}:${raw.substring(4, 6)}`;
+};
+
+/**
+ * Parses a single line of the 81-character layout.
+ * Unlike the server, every field is checked so all problems are reported at once.
+ * Errors carry a code (message preview.errors.<code> in the catalogs) and its values,
+ * so the preview shows them in the current language.
+ * @param {string} rawLine - Line as read from the file
+ * @param {number} lineNumber - 1-based line number
+ * Data quality issues are filled by parseCnabContent, which sees the whole file.
+ * @returns {{ lineNumber: number, raw: string, valid: boolean, errors: Array<{field: string, code: string, values: object}>, warnings: string[], issues: Array<{rule: string, field: string, values: object}>, transaction: object }}
+ */
+export const parseCnabLine = (rawLine, lineNumber) => {
+  const errors = [];
+  const warnings = [];
+
+  if (rawLine.length !== EXPECTED_LINE_LENGTH) {
+    warnings.push(`Line length is ${rawLine.length} characters, expected ${EXPECTED_LINE_LENGTH}`);
+  }
+
+  const line = normalizeLine(rawLine);
+
+  // Type (1-9)
+  const typeRaw = readField(line, 'type');
+  const typeInfo = TRANSACTION_TYPES[typeRaw];
+  if (!typeInfo) {
+    errors.push({ field: 'type', code: 'invalidType', values: { value: typeRaw.trim() } });
+  }
+
+  // Date (yyyyMMdd)
+  const dateRaw = readField(line, 'date');
+  const date = parseDate(dateRaw);
+  if (!date) {
+    errors.push({ field: 'date', code: 'invalidDate', values: { value: dateRaw.trim() } });
+  }
+
+  // Amount (value in cents)
+  const amountRaw = readField(line, 'amount');
+  let amount = null;
+  if (!/^\d{10}$/.test(amountRaw)) {
+    errors.push({ field: 'amount', code: 'invalidAmount', values: { value: amountRaw.trim() } });
+  } else {
+    amount = Number(amountRaw) / 100;
+    if (amount <= 0) {
+      errors.push({ field: 'amount', code: 'amountNotPositive', values: {} });
+    }
+  }
+
+  // CPF (only digits are kept, like the server)
+  const cpf = readField(line, 'cpf').replace(/\D/g, '');
+  if (!cpf) {
+    errors.push({ field: 'cpf', code: 'cpfMissing', values: {} });
+  }
+
+  // Card number
+  const cardNumber = readField(line, 'cardNumber').trim();
+
+  // Time (HHmmss)
+  const timeRaw = readField(line, 'time');
+  const time = parseTime(timeRaw);
+  if (!time) {
+    errors.push({ field: 'time', code: 'invalidTime', values: { value: timeRaw.trim() } });
+  }
+
+  // Store owner and store name
+  const storeOwner = readField(line, 'storeOwner').trim();
+  const storeName = readField(line, 'storeName').trim();
+  if (!storeName) {
+    errors.push({ field: 'storeName', code: 'storeNameMissing', values: {} });
+  }
+
+  return {
+    lineNumber,
+    raw: rawLine,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    issues: [],
+    transaction: {
+      type: typeInfo ? typeRaw : null,
+      typeDescription: typeInfo?.description ?? null,
+      nature: typeInfo?.nature ?? null,
+      date,
+      time,
+      amount,
+      signedAmount: amount !== null && typeInfo?.nature === 'Expense' ? -amount : amount,
+      cpf,
+      cardNumber,
+      storeOwner,
+      storeName,
+    },
+  };
+};
+
+// ----------------------------------------
+// Layouts - keep in sync with CnabLayouts, Cnab240Layout and Cnab400Layout
+// ----------------------------------------
+
+// Layout option asking the parser to detect the layout
+export const AUTO_LAYOUT = 'Auto';
+
+// Paid titles of the collection return files become sales
+const SALES_TYPE = '6';
+
+/**
+ * Error that rejects a whole record; field is a parser field name or 'record'
+ * and code a message preview.errors.<code> in the catalogs.
+ */
+const recordError = (field, code, values = {}) => Object.assign(new Error(code), { field, code, values });
+
+// Field readers by 1-based inclusive positions, as written in the bank manuals
+const text = (line, start, end) => line.substring(start - 1, end);
+
+const trimmed = (line, start, end) => text(line, start, end).trim();
+
+const number = (line, start, end, field) => {
+  const value = text(line, start, end);
+  if (!/^\d+$/.test(value)) {
+    throw recordError(field, 'invalidNumber', { value: value.trim() });
+  }
+  return Number(value);
+};
+
+// Amounts are written in cents and kept in cents, so totals add up exactly
+const cents = (line, start, end, field) => {
+  const value = text(line, start, end);
+  if (!/^\d+$/.test(value)) {
+    throw recordError(field, 'invalidCents', { value: value.trim() });
+  }
+  return Number(value);
+};
+
+// ddMMyyyy or ddMMyy; two-digit years up to 49 are in the 2000s, like .NET
+const layoutDate = (line, start, end, format, field) => {
+  const value = text(line, start, end);
+  const year = format === 'ddMMyy'
+    ? String((Number(value.substring(4, 6)) <= 49 ? 2000 : 1900) + Number(value.substring(4, 6)))
+    : value.substring(4, 8);
+  const date = /^\d+$/.test(value) ? parseDate(`${year}${value.substring(2, 4)}${value.substring(0, 2)}`) : null;
+  if (!date) {
+    throw recordError(field, 'invalidLayoutDate', { value: value.trim(), format });
+  }
+  return date;
+};
+
+// Payer CPF from a zero-padded document field (the last 11 digits)
+const payerCpf = (line, start, end) => text(line, start, end).replace(/\D/g, '').slice(-11);
+
+const salesTransaction = ({ date, amountInCents, cpf, companyName }) => {
+  const amount = amountInCents / 100;
+  return {
+    type: SALES_TYPE,
+    typeDescription: TRANSACTION_TYPES[SALES_TYPE].description,
+    nature: TRANSACTION_TYPES[SALES_TYPE].nature,
+    date,
+    // These layouts have no time: the server stores midnight
+    time: '00:00:00',
+    amount,
+    signedAmount: amount,
+    cpf,
+    cardNumber: '',
+    storeOwner: companyName,
+    storeName: companyName,
+  };
+};
+
+// Same checks as Transaction.IsValid on the server
+const transactionErrors = (transaction) => {
+  const errors = [];
+  if (transaction.amount <= 0) errors.push({ field: 'amount', code: 'amountNotPositive', values: {} });
+  if (!transaction.cpf) errors.push({ field: 'cpf', code: 'cpfMissing', values: {} });
+  if (!transaction.storeName) errors.push({ field: 'storeName', code: 'storeNameMissing', values: {} });
+  return errors;
+};
+
+const addCheck = (result, name, batch, lineNumber, declared, computed, inCents = false) => {
+  result.trailerChecks.push({
+    name,
+    batch,
+    lineNumber,
+    declared: inCents ? declared / 100 : declared,
+    computed: inCents ? computed / 100 : computed,
+    isValid: declared === computed,
+  });
+};
+
+const CNAB_81 = {
+  name: 'CNAB81',
+  lineLength: EXPECTED_LINE_LENGTH,
+  hasCardNumber: true,
+  hasTransactionTime: true,
+  hasTrailer: false,
+  // Fallback of the detection
+  matches: () => true,
+  createReader: () => ({
+    read: (line, lineNumber) => {
+      const { transaction, errors } = parseCnabLine(line, lineNumber);
+      return { kind: 'Detail', segment: null, transaction, errors };
+    },
+    complete: () => {},
+    takeIncomplete: () => null,
+  }),
+};
+
+// Movement codes of a paid title: liquidation, and liquidation after write-off
+const CNAB_240_LIQUIDATION_CODES = ['06', '17'];
+
+const CNAB_240 = {
+  name: 'CNAB240',
+  lineLength: 240,
+  hasCardNumber: false,
+  hasTransactionTime: false,
+  hasTrailer: true,
+  // Longer than an 81-character line, starting with the bank code, batch 0000 and record type 0
+  matches: (firstLine) => firstLine.length > EXPECTED_LINE_LENGTH && firstLine.length <= 240
+    && /^\d{3}00000/.test(firstLine),
+  createReader: (result) => {
+    let companyName = '';
+    // Segment T waiting for its segment U: { lineNumber, cpf, skip }
+    let pending = null;
+    let incomplete = null;
+    // Records read in the file and in the current batch, compared with the trailers
+    let fileRecords = 0;
+    let batchCount = 0;
+    let batchRecords = 0;
+    let batchTitles = 0;
+    let batchTitleTotal = 0;
+
+    result.trailerFound = false;
+
+    const requireHeader = () => {
+      if (!result.header) throw recordError('record', 'beforeHeader');
+    };
+
+    const dropPendingTitle = () => {
+      if (pending && !pending.skip) {
+        incomplete = { lineNumber: pending.lineNumber, error: { field: 'record', code: 'segmentTWithoutU', values: {} } };
+      }
+      pending = null;
+    };
+
+    const readFileHeader = (line) => {
+      if (result.header) throw recordError('record', 'secondHeader');
+      if (line[142] !== '2') throw recordError('record', 'notReturnFile');
+
+      const date = layoutDate(line, 144, 151, 'ddMMyyyy', 'generationDate');
+      const time = parseTime(text(line, 152, 157));
+      result.header = {
+        bankCode: text(line, 1, 3),
+        bankName: trimmed(line, 103, 132),
+        companyName: trimmed(line, 73, 102),
+        generatedAt: `${date}T${time || '00:00:00'}`,
+      };
+      companyName = result.header.companyName;
+      return { kind: 'FileHeader' };
+    };
+
+    const readBatchHeader = (line) => {
+      requireHeader();
+      batchCount += 1;
+      batchRecords = 1;
+      batchTitles = 0;
+      batchTitleTotal = 0;
+
+      // The batch may name the company differently from the file header
+      companyName = trimmed(line, 74, 103) || companyName;
+      return { kind: 'BatchHeader' };
+    };
+
+    const readDetail = (line, lineNumber, segment) => {
+      requireHeader();
+
+      if (segment === 'T') {
+        batchTitles += 1;
+        batchTitleTotal += cents(line, 82, 96, 'titleValue');
+
+        const movement = text(line, 16, 17);
+        if (!CNAB_240_LIQUIDATION_CODES.includes(movement)) {
+          const skip = { code: 'notLiquidation', values: { code: movement.trim() } };
+          pending = { lineNumber, cpf: '', skip };
+          return { kind: 'Detail', segment, skip };
+        }
+
+        if (line[132] === '2') throw recordError('cpf', 'companyPayer');
+
+        pending = { lineNumber, cpf: payerCpf(line, 134, 148), skip: null };
+        return { kind: 'Detail', segment };
+      }
+
+      if (segment === 'U') {
+        const title = pending;
+        pending = null;
+
+        if (!title) throw recordError('record', 'segmentUWithoutT');
+        if (title.skip) return { kind: 'Detail', segment, skip: title.skip };
+
+        const transaction = salesTransaction({
+          date: layoutDate(line, 138, 145, 'ddMMyyyy', 'date'),
+          amountInCents: cents(line, 78, 92, 'amount'),
+          cpf: title.cpf,
+          companyName,
+        });
+        return { kind: 'Detail', segment, transaction, errors: transactionErrors(transaction) };
+      }
+
+      return { kind: 'Detail', segment, skip: { code: 'segmentNotRead', values: { segment } } };
+    };
+
+    const readBatchTrailer = (line, lineNumber) => {
+      const batch = number(line, 4, 7, 'batchNumber');
+      const recordCount = number(line, 18, 23, 'recordCount');
+      const titleCount = number(line, 24, 29, 'titleCount');
+      const titleTotal = cents(line, 30, 46, 'titleTotal');
+
+      addCheck(result, 'RecordCount', batch, lineNumber, recordCount, batchRecords);
+      addCheck(result, 'TitleCount', batch, lineNumber, titleCount, batchTitles);
+      addCheck(result, 'TitleTotal', batch, lineNumber, titleTotal, batchTitleTotal, true);
+      return { kind: 'BatchTrailer' };
+    };
+
+    const readFileTrailer = (line, lineNumber) => {
+      const declaredBatches = number(line, 18, 23, 'batchCount');
+      const recordCount = number(line, 24, 29, 'recordCount');
+
+      addCheck(result, 'BatchCount', null, lineNumber, declaredBatches, batchCount);
+      addCheck(result, 'RecordCount', null, lineNumber, recordCount, fileRecords);
+      result.trailerFound = true;
+      return { kind: 'FileTrailer' };
+    };
+
+    return {
+      read: (line, lineNumber) => {
+        fileRecords += 1;
+        batchRecords += 1;
+
+        const recordType = line[7];
+        const segment = recordType === '3' ? line[13] : null;
+
+        // Anything but its segment U leaves a pending segment T incomplete
+        if (segment !== 'U') dropPendingTitle();
+
+        switch (recordType) {
+          case '0': return readFileHeader(line);
+          case '1': return readBatchHeader(line);
+          case '3': return readDetail(line, lineNumber, segment);
+          case '5': return readBatchTrailer(line, lineNumber);
+          case '9': return readFileTrailer(line, lineNumber);
+          default: throw recordError('record', 'invalidRecordType', { value: recordType.trim() });
+        }
+      },
+      complete: dropPendingTitle,
+      takeIncomplete: () => {
+        const taken = incomplete;
+        incomplete = null;
+        return taken;
+      },
+    };
+  },
+};
+
+// Occurrence codes of a paid title: liquidation, liquidation at the notary, after write-off
+const CNAB_400_LIQUIDATION_CODES = ['06', '15', '17'];
+
+const CNAB_400 = {
+  name: 'CNAB400',
+  lineLength: 400,
+  hasCardNumber: false,
+  hasTransactionTime: false,
+  hasTrailer: true,
+  // Longer than a CNAB 240 line, starting with a return header
+  matches: (firstLine) => firstLine.length > 240 && firstLine.startsWith('02RETORNO'),
+  createReader: (result) => {
+    // Records read, compared with the trailer
+    let records = 0;
+    let titles = 0;
+    let titleTotal = 0;
+
+    result.trailerFound = false;
+
+    const readHeader = (line) => {
+      if (result.header) throw recordError('record', 'secondHeader');
+      if (text(line, 2, 9) !== '2RETORNO') throw recordError('record', 'notReturnFile');
+
+      result.header = {
+        bankCode: text(line, 77, 79),
+        bankName: trimmed(line, 80, 94),
+        companyName: trimmed(line, 47, 76),
+        generatedAt: `${layoutDate(line, 95, 100, 'ddMMyy', 'generationDate')}T00:00:00`,
+      };
+      return { kind: 'FileHeader' };
+    };
+
+    const readDetail = (line) => {
+      if (!result.header) throw recordError('record', 'beforeHeader');
+
+      titles += 1;
+      titleTotal += cents(line, 153, 165, 'titleValue');
+
+      const occurrence = text(line, 109, 110);
+      if (!CNAB_400_LIQUIDATION_CODES.includes(occurrence)) {
+        return { kind: 'Detail', segment: null, skip: { code: 'notLiquidation', values: { code: occurrence.trim() } } };
+      }
+
+      // 002-017 are the company's own inscription; the payer's is at 219-234
+      if (text(line, 219, 220) === '02') throw recordError('cpf', 'companyPayer');
+
+      const transaction = salesTransaction({
+        date: layoutDate(line, 111, 116, 'ddMMyy', 'date'),
+        amountInCents: cents(line, 254, 266, 'amount'),
+        cpf: payerCpf(line, 221, 234),
+        companyName: result.header.companyName,
+      });
+      return { kind: 'Detail', segment: null, transaction, errors: transactionErrors(transaction) };
+    };
+
+    const readTrailer = (line, lineNumber) => {
+      const titleCount = number(line, 18, 25, 'titleCount');
+      const declaredTotal = cents(line, 26, 39, 'titleTotal');
+      const sequence = number(line, 395, 400, 'recordSequence');
+
+      addCheck(result, 'TitleCount', null, lineNumber, titleCount, titles);
+      addCheck(result, 'TitleTotal', null, lineNumber, declaredTotal, titleTotal, true);
+      addCheck(result, 'RecordCount', null, lineNumber, sequence, records);
+      result.trailerFound = true;
+      return { kind: 'FileTrailer' };
+    };
+
+    return {
+      read: (line, lineNumber) => {
+        records += 1;
+
+        switch (line[0]) {
+          case '0': return readHeader(line);
+          case '1': return readDetail(line);
+          case '9': return readTrailer(line, lineNumber);
+          default: throw recordError('record', 'invalidRecordType', { value: line[0].trim() });
+        }
+      },
+      complete: () => {},
+      takeIncomplete: () => null,
+    };
+  },
+};
+
+/**
+ * Every layout, the fallback of the detection first (CnabLayouts.All).
+ * name, lineLength and the has* flags describe the layout; createReader(result) returns
+ * { read(line, lineNumber), complete(), takeIncomplete() } filling result.header and
+ * result.trailerChecks as it reads.
+ */
+export const CNAB_LAYOUTS = [CNAB_81, CNAB_240, CNAB_400];
+
+/**
+ * Options of the layout selector: detection first, then every layout.
+ */
+export const LAYOUT_OPTIONS = [AUTO_LAYOUT, ...CNAB_LAYOUTS.map((layout) => layout.name)];
+
+/**
+ * Finds a layout by name, ignoring case; null when unknown (e.g. Auto).
+ * @param {string} [name]
+ */
+export const findLayout = (name) => CNAB_LAYOUTS.find((layout) => layout.name.toUpperCase() === name?.toUpperCase()) ?? null;
+
+/**
+ * Detects the layout of a file from its first non-blank line, like the server:
+ * files no other layout recognizes are read with the 81-character layout.
+ * @param {string} firstLine
+ */
+export const detectLayout = (firstLine) => CNAB_LAYOUTS.slice(1).find((layout) => layout.matches(firstLine)) ?? CNAB_81;
+
+/**
+ * Parses the full content of a CNAB file with the chosen layout, or the detected one.
+ * Blank lines are skipped, matching the server behaviour.
+ * Each line carries its record kind (FileHeader, BatchHeader, Detail, BatchTrailer, FileTrailer)
+ * and segment; detail lines the server skips (e.g. titles not paid) carry the skip code
+ * (message preview.skips.<code>). Valid transactions are checked against the data quality
+ * rules: suspicious ones stay valid (the server imports them) and get their issues.
+ * Trailer checks compare the declared counts and totals with the records read; the server
+ * rejects the file when trailerValid is false (null for layouts without a trailer).
+ * @param {string} content - File content
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.knownStoreOwners] - Store name to the owner the server knows
+ * @param {string} [options.layout] - Layout name, or Auto (default) to detect it
+ */
+export const parseCnabContent = (content, { knownStoreOwners = {}, layout: layoutName = AUTO_LAYOUT } = {}) => {
+  const result = { header: null, trailerFound: null, trailerChecks: [] };
+  const lines = [];
+  let layout = findLayout(layoutName);
+  let reader = null;
+
+  const rejectIncomplete = () => {
+    const incomplete = reader.takeIncomplete();
+    if (!incomplete) return;
+    const line = lines.find((l) => l.lineNumber === incomplete.lineNumber);
+    line.errors.push(incomplete.error);
+    line.valid = false;
+  };
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    if (rawLine.trim() === '') return;
+
+    if (!reader) {
+      layout = layout ?? detectLayout(rawLine);
+      reader = layout.createReader(result);
+    }
+
+    const warnings = rawLine.length === layout.lineLength
+      ? []
+      : [`Line length is ${rawLine.length} characters, expected ${layout.lineLength}`];
+    const line = rawLine.length < layout.lineLength
+      ? rawLine.padEnd(layout.lineLength, ' ')
+      : rawLine.substring(0, layout.lineLength);
+
+    let record;
+    try {
+      record = reader.read(line, index + 1);
+    } catch (error) {
+      if (!error.code) throw error;
+      record = { kind: null, errors: [{ field: error.field, code: error.code, values: error.values }] };
+    }
+
+    const errors = record.errors ?? [];
+    lines.push({
+      lineNumber: index + 1,
+      raw: rawLine,
+      kind: record.kind,
+      segment: record.segment ?? null,
+      skip: record.skip ?? null,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      issues: [],
+      transaction: record.transaction ?? null,
+    });
+
+    rejectIncomplete();
+  });
+
+  layout = layout ?? CNAB_81;
+  if (reader) {
+    reader.complete();
+    rejectIncomplete();
+  }
+
+  const transactionLines = lines.filter((l) => l.valid && l.transaction);
+  checkTransactions(transactionLines.map((l) => l.transaction), knownStoreOwners, new Date(), {
+    requireCardNumber: layout.hasCardNumber,
+  }).forEach((issues, index) => {
+    transactionLines[index].issues = issues;
+  });
+
+  // Records read, by kind and segment, in file order (CnabParseResult.RecordCounts)
+  const recordCounts = [];
+  lines.filter((l) => l.kind).forEach((l) => {
+    const count = recordCounts.find((c) => c.kind === l.kind && c.segment === l.segment);
+    if (count) {
+      count.count += 1;
+    } else {
+      recordCounts.push({ kind: l.kind, segment: l.segment, count: 1 });
+    }
+  });
+
+  return {
+    layout: layout.name,
+    hasCardNumber: layout.hasCardNumber,
+    hasTransactionTime: layout.hasTransactionTime,
+    header: result.header,
+    lines,
+    totalLines: lines.length,
+    validCount: transactionLines.length,
+    invalidCount: lines.filter((l) => !l.valid).length,
+    skippedCount: lines.filter((l) => l.skip).length,
+    flaggedCount: transactionLines.filter((l) => l.issues.length > 0).length,
+    recordCounts,
+    trailerChecks: result.trailerChecks,
+    trailerValid: layout.hasTrailer
+      ? result.trailerFound && result.trailerChecks.every((check) => check.isValid)
+      : null,
+  };
+};
+
+/**
+ * Reads and parses a CNAB file selected in the browser.
+ * @param {File} file - File from an input or drop event
+ * @param {object} [options] - See parseCnabContent
+ */
+export const parseCnabFile = async (file, options = {}) => {
+  const content = await file.text();
+  return parseCnabContent(content.replace(/^\uFEFF/, ''), options);
+};
+
+export default {
+  AUTO_LAYOUT,
+  CNAB_LAYOUTS,
+  LAYOUT_OPTIONS,
+  findLayout,
+  detectLayout,
+  parseCnabLine,
+  parseCnabContent,
+  parseCnabFile,
+};
@@ -3,66 +3,124 @@
 // Purpose: Service to communicate with CNAB API
 // ========================================
 
-import axios from 'axios';
+import { api } from './apiClient';
+import { toFilterParams } from './transactionFilters';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5099/api';
-
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Add request interceptor to include JWT token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Add response interceptor to handle 401 errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid, clear storage and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('username');
-      localStorage.removeItem('tokenExpiry');
-      window.location.reload();
-    }
-    return Promise.reject(error);
-  }
-);
+// sortBy / sortDirection query params for the paged endpoints (server default: Date, Desc)
+const toSortParams = (sort) => (sort ? { sortBy: sort.field, sortDirection: sort.direction } : {});
 
 export const cnabService = {
   /**
    * Upload CNAB file
+   * @param {File} file - CNAB file to import
+   * @param {object} [options]
+   * @param {(event: import('axios').AxiosProgressEvent) => void} [options.onProgress] - Byte upload progress
+   * @param {AbortSignal} [options.signal] - Signal used to cancel the upload
+   * @param {string} [options.fileHash] - SHA-256 of the file, checked by the server
+   * @param {'Reject'|'Skip'|'Import'} [options.duplicateHandling] - What to do with content
+   *   that was already imported. 'Reject' (default) fails with 409 and a DuplicateImport body:
+   *   fileAlreadyImported, previousImport{ id, fileName, uploadedBy, importedAt, transactionCount },
+   *   duplicateLineCount, totalLineCount
+   * @param {string} [options.layout] - CNAB81, CNAB240 or CNAB400; Auto (default) detects it
+   * @returns {Promise<object>} Import report: success, message, fileName, transactionCount,
+   *   importBatchId, duplicatesSkipped,
+   *   linesRead, linesAccepted, linesRejected, rejectedLines[{ lineNumber, reason, content }],
+   *   storeTotals[{ storeName, transactionCount, totalIncome, totalExpenses, netAmount }],
+   *   typeTotals[{ type, typeDescription, nature, transactionCount, totalAmount }],
+   *   layout, header{ bankCode, bankName, companyName, generatedAt }, linesSkipped,
+   *   recordCounts[{ kind, segment, count }], trailerValid (null without a trailer),
+   *   trailerChecks[{ name, batch, lineNumber, declared, computed, isValid }]
    */
-  async uploadFile(file) {
+  async uploadFile(file, { onProgress, signal, fileHash, duplicateHandling, layout } = {}) {
     const formData = new FormData();
     formData.append('file', file);
+    if (fileHash) {
+      formData.append('fileHash', fileHash);
+    }
+    if (duplicateHandling) {
+      formData.append('duplicateHandling', duplicateHandling);
+    }
+    if (layout) {
+      formData.append('layout', layout);
+    }
 
     const response = await api.post('/cnab/upload', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress: onProgress,
+      signal,
+    });
+
+    return response.data;
+  },
+
+  /**
+   * Upload a CNAB file to be imported in the background (for large files).
+   * Same options as uploadFile; the server answers at once with the job.
+   * @returns {Promise<object>} Import job: id, fileName, fileSize, uploadedBy, phase, isFinished,
+   *   percentComplete, estimatedSecondsLeft, batchNumber, batchCount, insertedCount, totalCount,
+   *   createdAt, startedAt, finishedAt, resultStatusCode, result (what uploadFile would return,
+   *   or its error body)
+   */
+  async startImportJob(file, { onProgress, signal, fileHash, duplicateHandling, layout } = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (fileHash) {
+      formData.append('fileHash', fileHash);
+    }
+    if (duplicateHandling) {
+      formData.append('duplicateHandling', duplicateHandling);
+    }
+    if (layout) {
+      formData.append('layout', layout);
+    }
+
+    const response = await api.post('/cnab/import-jobs', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress: onProgress,
+      signal,
     });
 
     return response.data;
   },
 
+  /**
+   * Get a background import job (see startImportJob)
+   * @param {string} jobId
+   */
+  async getImportJob(jobId) {
+    const response = await api.get(`/cnab/import-jobs/${jobId}`);
+    return response.data;
+  },
+
+  /**
+   * Get the background import jobs kept by the server, newest first
+   */
+  async getImportJobs() {
+    const response = await api.get('/cnab/import-jobs');
+    return response.data;
+  },
+
+  /**
+   * Cancel a queued or running background import
+   * @param {string} jobId
+   */
+  async cancelImportJob(jobId) {
+    const response = await api.delete(`/cnab/import-jobs/${jobId}`);
+    return response.data;
+  },
+
   /**
    * Get all store balances (no pagination - aggregated data)
+   * @param {object} [options]
+   * @param {boolean} [options.includeTransactions=true] - When false only the totals are returned;
+   *   use getStoreTransactions to page through each store
+   * @param {import('./transactionFilters').TransactionFilters} [options.filters] - Totals cover only
+   *   matching transactions (requires includeTransactions: false)
    */
-  async getStoreBalances() {
-    const response = await api.get('/cnab/balances');
+  async getStoreBalances({ includeTransactions = true, filters } = {}) {
+    const response = await api.get('/cnab/balances', {
+      params: { includeTransactions, ...toFilterParams(filters) }
+    });
     return response.data;
   },
 
@@ -71,19 +129,53 @@ export const cnabService = {
    * @param {string} storeName - Store name
    * @param {number} pageNumber - Page number (1-based)
    * @param {number} pageSize - Items per page (default: 50)
+   * @param {import('./transactionFilters').TransactionFilters} [filters] - Search criteria
+   * @param {import('./tableLayout').SortOrder} [sort] - Sort field and direction
+   * @param {object} [options]
+   * @param {boolean} [options.includeRunningBalance=false] - Adds runningBalance (balance after each
+   *   transaction, in date/time order) to every item. Only applied when sorting by Date.
    */
-  async getStoreTransactions(storeName, pageNumber = 1, pageSize = 50) {
+  async getStoreTransactions(storeName, pageNumber = 1, pageSize = 50, filters = undefined, sort = undefined,
+    { includeRunningBalance = false } = {}) {
     const response = await api.get(`/cnab/store/${encodeURIComponent(storeName)}/paged`, {
-      params: { pageNumber, pageSize }
+      params: {
+        pageNumber,
+        pageSize,
+        ...toFilterParams(filters),
+        ...toSortParams(sort),
+        ...(includeRunningBalance ? { includeRunningBalance } : {}),
+      }
     });
     return response.data;
   },
 
   /**
-   * Get global statistics
+   * Get the store detail data: daily balance timeline and breakdowns
+   * @param {string} storeName - Store name
+   * @returns {Promise<object>} storeName, transactionCount, totalIncome, totalExpenses, totalBalance,
+   *   points[{ date, transactionCount, totalIncome, totalExpenses, netAmount, balance }],
+   *   typeTotals[{ type, typeDescription, nature, transactionCount, totalAmount }],
+   *   owners / cards[{ value, transactionCount, firstSeen, lastSeen }],
+   *   periodComparison{ current, previous, netAmountChange, netAmountChangePercent }
    */
-  async getStatistics() {
-    const response = await api.get('/cnab/stats');
+  async getStoreTimeSeries(storeName) {
+    const response = await api.get(`/cnab/store/${encodeURIComponent(storeName)}/timeseries`);
+    return response.data;
+  },
+
+  /**
+   * Get global statistics for the dashboard
+   * @param {number} [top=5] - Stores in each ranking (max 20)
+   * @returns {Promise<object>} totalTransactions, totalStores, totalBalance, totalIncome, totalExpenses,
+   *   biggestStore, smallestStore,
+   *   dailyFlow[{ date, transactionCount, totalIncome, totalExpenses, netAmount }],
+   *   typeTotals[{ type, typeDescription, nature, transactionCount, totalAmount }],
+   *   topStores / bottomStores[{ storeName, transactionCount, totalIncome, totalExpenses, netAmount }]
+   */
+  async getStatistics(top = 5) {
+    const response = await api.get('/cnab/stats', {
+      params: { top }
+    });
     return response.data;
   },
 
@@ -91,20 +183,231 @@ export const cnabService = {
    * Get all transactions (PAGINATED)
    * @param {number} pageNumber - Page number (1-based)
    * @param {number} pageSize - Items per page (default: 100)
+   * @param {import('./transactionFilters').TransactionFilters} [filters] - Search criteria
+   * @param {import('./tableLayout').SortOrder} [sort] - Sort field and direction
    */
-  async getAllTransactions(pageNumber = 1, pageSize = 100) {
+  async getAllTransactions(pageNumber = 1, pageSize = 100, filters = undefined, sort = undefined) {
     const response = await api.get('/cnab/transactions/paged', {
+      params: { pageNumber, pageSize, ...toFilterParams(filters), ...toSortParams(sort) }
+    });
+    return response.data;
+  },
+
+  /**
+   * Get the unmasked CPF and card number of a transaction. Lists only carry masked values
+   * (096.***.***-76, ********3153); each call is recorded server-side with the user and time.
+   * Requires Administrator.
+   * @param {number} transactionId - Transaction id
+   * @returns {Promise<object>} { transactionId, cpf, cardNumber, revealedAt }
+   */
+  async revealPii(transactionId) {
+    const response = await api.get(`/cnab/transactions/${transactionId}/pii`);
+    return response.data;
+  },
+
+  /**
+   * Enter a transaction by hand (Administrator only). Fails with 423 when the date is in a
+   * closed period.
+   * @param {{ type: number, amount: number, date: string, time?: string, storeName: string,
+   *   storeOwner: string, cpf?: string, cardNumber?: string, reason: string }} adjustment -
+   *   Date as YYYY-MM-DD, time as HH:mm:ss
+   * @returns {Promise<object>} The audit record { id, kind, transactionId, storeName, signedAmount, ... }
+   */
+  async createAdjustment(adjustment) {
+    const response = await api.post('/cnab/adjustments', adjustment);
+    return response.data;
+  },
+
+  /**
+   * Reverse a transaction with an offsetting entry (Administrator only). Transactions are never
+   * edited; each can be reversed once (409 afterwards, with reversalTransactionId).
+   * @param {number} transactionId - Transaction id
+   * @param {{ reason: string, date?: string }} reversal - Date of the entry (default: that of the transaction)
+   * @returns {Promise<object>} The audit record
+   */
+  async reverseTransaction(transactionId, reversal) {
+    const response = await api.post(`/cnab/transactions/${transactionId}/reversal`, reversal);
+    return response.data;
+  },
+
+  /**
+   * Get the adjustment audit trail, newest first
+   * @param {{ storeName?: string, take?: number }} [options] - Only that store (exact name); max 500
+   * @returns {Promise<object[]>} [{ id, kind, transactionId, reversedTransactionId, storeName,
+   *   storeOwner, type, typeDescription, signedAmount, date, reason, createdBy, createdAt }]
+   */
+  async getAdjustments({ storeName, take } = {}) {
+    const response = await api.get('/cnab/adjustments', { params: { storeName, take } });
+    return response.data;
+  },
+
+  /**
+   * Get the import history (one entry per uploaded file, newest first)
+   * @returns {Promise<object[]>} [{ id, fileName, uploadedBy, importedAt, transactionCount,
+   *   totalIncome, totalExpenses, netAmount }]
+   */
+  async getImports() {
+    const response = await api.get('/cnab/imports');
+    return response.data;
+  },
+
+  /**
+   * Get the transactions created by an import (PAGINATED)
+   * @param {number} importId - Import batch id
+   * @param {number} pageNumber - Page number (1-based)
+   * @param {number} pageSize - Items per page (default: 50)
+   */
+  async getImportTransactions(importId, pageNumber = 1, pageSize = 50) {
+    const response = await api.get(`/cnab/imports/${importId}/transactions`, {
       params: { pageNumber, pageSize }
     });
     return response.data;
   },
 
+  /**
+   * Roll back an import: deletes only the transactions created by that upload
+   * @param {number} importId - Import batch id
+   */
+  async rollbackImport(importId) {
+    const response = await api.delete(`/cnab/imports/${importId}`);
+    return response.data;
+  },
+
   /**
    * Delete all transactions
    */
   async deleteAllTransactions() {
     const response = await api.delete('/cnab/transactions');
     return response.data;
+  },
+
+  /**
+   * Check the stored transactions against the data quality rules
+   * @returns {Promise<object>} { checkedAt, transactionCount, flaggedTransactionCount,
+   *   rules[{ rule, description, transactionCount }] } - every rule, 0 included
+   */
+  async getDataQuality() {
+    const response = await api.get('/cnab/data-quality');
+    return response.data;
+  },
+
+  /**
+   * Get the stored transactions breaking a data quality rule (PAGINATED, newest first)
+   * @param {string} rule - CpfChecksum, CardNumberFormat, ImplausibleDateTime or StoreOwnerMismatch
+   * @param {number} pageNumber - Page number (1-based)
+   * @param {number} pageSize - Items per page (default: 20)
+   * @returns {Promise<object>} PagedResult of { transaction, rule, message, expectedValue }
+   */
+  async getDataQualityFindings(rule, pageNumber = 1, pageSize = 20) {
+    const response = await api.get(`/cnab/data-quality/${rule}`, {
+      params: { pageNumber, pageSize }
+    });
+    return response.data;
+  },
+
+  /**
+   * Get the known owner of each store, checked by the pre-upload data quality rules
+   * @returns {Promise<Object<string, string>>} Store name to owner
+   */
+  async getKnownStoreOwners() {
+    const response = await api.get('/cnab/data-quality/store-owners');
+    return response.data;
+  },
+
+  /**
+   * Get the anomaly alerts triggered by imports (PAGINATED, newest first)
+   * @param {{ status?: 'Open'|'Acknowledged'|'All', storeName?: string, rule?: string,
+   *   pageNumber?: number, pageSize?: number }} [options] - Status defaults to Open; max 100 per page
+   * @returns {Promise<object>} PagedResult of { id, rule, ruleDescription, storeName, transactionId,
+   *   importBatchId, date, message, value, threshold, triggeredAt, isAcknowledged, acknowledgedBy,
+   *   acknowledgedAt, comment }
+   */
+  async getAlerts({ status, storeName, rule, pageNumber = 1, pageSize = 20 } = {}) {
+    const response = await api.get('/cnab/alerts', {
+      params: { status, storeName, rule, pageNumber, pageSize }
+    });
+    return response.data;
+  },
+
+  /**
+   * Get the number of open alerts
+   * @returns {Promise<object>} { openCount, openCountByRule: { [rule]: count } }
+   */
+  async getAlertSummary() {
+    const response = await api.get('/cnab/alerts/summary');
+    return response.data;
+  },
+
+  /**
+   * Acknowledge an open alert (any role). Fails with 409 when it was already acknowledged.
+   * @param {number} alertId - Alert id
+   * @param {string} comment - What was found (max 500 characters)
+   * @returns {Promise<object>} The acknowledged alert
+   */
+  async acknowledgeAlert(alertId, comment) {
+    const response = await api.post(`/cnab/alerts/${alertId}/acknowledgement`, { comment });
+    return response.data;
+  },
+
+  /**
+   * Get the settings of every alert rule
+   * @returns {Promise<object[]>} [{ rule, description, isEnabled, threshold, window, updatedBy, updatedAt }]
+   */
+  async getAlertRules() {
+    const response = await api.get('/cnab/alerts/rules');
+    return response.data;
+  },
+
+  /**
+   * Change the settings of an alert rule (Administrator only); they apply to the next imports
+   * @param {string} rule - LargeAmount, DailyFlowDeviation, CardInManyStores or OutOfHours
+   * @param {{ isEnabled: boolean, threshold: number, window?: number }} settings
+   * @returns {Promise<object>} The rule
+   */
+  async updateAlertRule(rule, settings) {
+    const response = await api.put(`/cnab/alerts/rules/${rule}`, settings);
+    return response.data;
+  },
+
+  /**
+   * Get the closed periods, oldest first. Their transactions cannot be imported or deleted:
+   * upload, rollback and delete all fail with 423 and a body with message and closedPeriods.
+   * @returns {Promise<object[]>} [{ id, startDate, endDate, closedBy, closedAt, note }]
+   */
+  async getClosedPeriods() {
+    const response = await api.get('/cnab/periods');
+    return response.data;
+  },
+
+  /**
+   * Close a period (Administrator only). Fails with 409 when it overlaps a closed period.
+   * @param {{ startDate: string, endDate: string, note?: string }} period - Dates as YYYY-MM-DD
+   */
+  async closePeriod(period) {
+    const response = await api.post('/cnab/periods', period);
+    return response.data;
+  },
+
+  /**
+   * Reopen a closed period (Administrator only)
+   * @param {number} periodId - Closed period id
+   */
+  async reopenPeriod(periodId) {
+    const response = await api.delete(`/cnab/periods/${periodId}`);
+    return response.data;
+  },
+
+  /**
+   * Compare expected totals (bank statement) with the imported transactions
+   * @param {import('./reconciliation').ExpectedTotals[]} items - Max 500
+   * @returns {Promise<object>} totalCount, matchedCount, mismatchCount,
+   *   lines[{ storeName, startDate, endDate, status, mismatches, periodClosed,
+   *   expectedIncome, expectedExpenses, expectedBalance, expectedTransactionCount,
+   *   actualIncome, actualExpenses, actualBalance, actualTransactionCount }]
+   */
+  async reconcile(items) {
+    const response = await api.post('/cnab/reconciliation', { items });
+    return response.data;
   }
 };
 
@@ -0,0 +1,119 @@
+// ========================================
+// File: frontend/src/services/dataQuality.js
+// Purpose: Data quality rules of the client pre-upload check
+// Mirrors DataQualityRules on the server - keep both in sync. Lines breaking a rule are
+// suspicious but still imported; the preview, the import report and the Data Quality view flag them.
+// ========================================
+
+/** Rule names, in the order used by the server (DataQualityRule enum) */
+export const DATA_QUALITY_RULES = ['CpfChecksum', 'CardNumberFormat', 'ImplausibleDateTime', 'StoreOwnerMismatch'];
+
+/** Transaction field checked by each rule (highlighted in the preview) */
+export const RULE_FIELDS = {
+  CpfChecksum: 'cpf',
+  CardNumberFormat: 'cardNumber',
+  ImplausibleDateTime: 'date',
+  StoreOwnerMismatch: 'storeOwner',
+};
+
+/** Transactions dated before this day are implausible */
+export const EARLIEST_PLAUSIBLE_DATE = '2000-01-01';
+
+// CNAB dates and times are in UTC-3
+const CNAB_UTC_OFFSET = '-03:00';
+
+// First 4 and last 4 digits, the middle ones digits or masked
+const CARD_NUMBER_PATTERN = /^\d{4}[\d*]{4}\d{4}$/;
+
+const checkDigit = (digits, count) => {
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    sum += digits[i] * (count + 1 - i);
+  }
+  return (sum * 10) % 11 % 10;
+};
+
+/**
+ * Checks the two CPF check digits (mod 11). Repeated digits (e.g. 11111111111) pass the
+ * checksum but are not valid CPFs.
+ * @param {string} cpf - Digits only
+ */
+export const isValidCpf = (cpf) => {
+  if (!/^\d{11}$/.test(cpf || '') || /^(\d)\1+$/.test(cpf)) return false;
+
+  const digits = [...cpf].map(Number);
+  return checkDigit(digits, 9) === digits[9] && checkDigit(digits, 10) === digits[10];
+};
+
+/**
+ * Checks the masked format of CNAB card numbers (1234****5678).
+ * @param {string} cardNumber
+ */
+export const isValidCardNumber = (cardNumber) => CARD_NUMBER_PATTERN.test(cardNumber || '');
+
+/**
+ * A transaction is plausible from EARLIEST_PLAUSIBLE_DATE up to the current time in UTC-3.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:mm:ss (UTC-3)
+ * @param {Date} [now]
+ */
+export const isPlausibleDateTime = (date, time, now = new Date()) => {
+  return date >= EARLIEST_PLAUSIBLE_DATE && Date.parse(`${date}T${time}${CNAB_UTC_OFFSET}`) <= now.getTime();
+};
+
+// Store names are compared ignoring case, like the server
+const storeKey = (storeName) => storeName.toUpperCase();
+
+/**
+ * Runs every rule on the transactions of a file, in file order. Owners are checked against
+ * knownStoreOwners; stores missing from it take the owner of their first transaction in the file.
+ * @param {object[]} transactions - Parsed transactions (date, time, cpf, cardNumber, storeOwner, storeName)
+ * @param {Object<string, string>} [knownStoreOwners] - Store name to known owner (GET /cnab/data-quality/store-owners)
+ * @param {Date} [now]
+ * @param {object} [options]
+ * @param {boolean} [options.requireCardNumber=true] - False for layouts without card numbers
+ *   (CNAB 240/400 collection returns), whose empty card is not an issue
+ * @returns {Array<Array<{rule: string, field: string, values: object}>>} Broken rules of each
+ *   transaction; values fill the message dataQuality.details.<rule> in the catalogs
+ */
+export const checkTransactions = (transactions, knownStoreOwners = {}, now = new Date(), { requireCardNumber = true } = {}) => {
+  const storeOwners = new Map(
+    Object.entries(knownStoreOwners).map(([storeName, owner]) => [storeKey(storeName), owner])
+  );
+
+  return transactions.map((transaction) => {
+    const issues = [];
+    const addIssue = (rule, values = {}) => issues.push({ rule, field: RULE_FIELDS[rule], values });
+
+    if (!isValidCpf(transaction.cpf)) {
+      addIssue('CpfChecksum');
+    }
+
+    if (requireCardNumber && !isValidCardNumber(transaction.cardNumber)) {
+      addIssue('CardNumberFormat');
+    }
+
+    if (!isPlausibleDateTime(transaction.date, transaction.time, now)) {
+      addIssue('ImplausibleDateTime');
+    }
+
+    const key = storeKey(transaction.storeName);
+    const knownOwner = storeOwners.get(key);
+    if (knownOwner === undefined) {
+      storeOwners.set(key, transaction.storeOwner);
+    } else if (knownOwner.toUpperCase() !== transaction.storeOwner.toUpperCase()) {
+      addIssue('StoreOwnerMismatch', { expected: knownOwner });
+    }
+
+    return issues;
+  });
+};
+
+export default {
+  DATA_QUALITY_RULES,
+  RULE_FIELDS,
+  isValidCpf,
+  isValidCardNumber,
+  isPlausibleDateTime,
+  checkTransactions,
+};
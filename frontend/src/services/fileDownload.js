@@ -0,0 +1,69 @@
+// ========================================
+// File: frontend/src/services/fileDownload.js
+// Purpose: Helpers to build CSV content and trigger browser downloads
+// ========================================
+
+// Spreadsheets run a cell starting with one of these as a formula (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Plain numbers such as "-1.234,56" are not formulas and must stay numbers
+const NUMERIC_TEXT = /^[-+]?\d[\d.,]*$/;
+
+/**
+ * Escapes a single CSV value: text that a spreadsheet would run as a formula gets a leading "'"
+ * (numbers, including negative amounts, are left as they are), and values containing separators,
+ * quotes or line breaks are quoted.
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text) && !NUMERIC_TEXT.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[";\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Converts rows to CSV using ";" as separator (what Excel expects with pt-BR settings).
+ * @param {Array<Array<any>>} rows - Rows including the header row
+ */
+export const toCsv = (rows) => {
+  return rows.map((row) => row.map(escapeCsvValue).join(';')).join('\r\n');
+};
+
+/**
+ * Triggers a browser download for the given content.
+ * @param {BlobPart|Blob} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads rows as a CSV file (with BOM so Excel detects UTF-8 accents).
+ */
+export const downloadCsv = (rows, fileName) => {
+  downloadFile(`\uFEFF${toCsv(rows)}`, fileName, 'text/csv;charset=utf-8');
+};
+
+/**
+ * Downloads any serializable value as a pretty-printed JSON file.
+ */
+export const downloadJson = (data, fileName) => {
+  downloadFile(JSON.stringify(data, null, 2), fileName, 'application/json');
+};
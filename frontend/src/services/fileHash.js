@@ -0,0 +1,26 @@
+// ========================================
+// File: frontend/src/services/fileHash.js
+// Purpose: SHA-256 hash of a file computed in the browser (Web Crypto)
+// ========================================
+
+/**
+ * Computes the SHA-256 hash of a file as lowercase hex.
+ * The server uses it to detect files that were already imported.
+ * @param {File} file
+ * @returns {Promise<string|null>} Hex hash, or null when Web Crypto is unavailable
+ *   (crypto.subtle only exists in secure contexts - https or localhost)
+ */
+export async function computeFileHash(file) {
+  if (!globalThis.crypto?.subtle) {
+    return null;
+  }
+
+  const buffer = await file.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export default computeFileHash;
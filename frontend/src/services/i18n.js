@@ -0,0 +1,199 @@
+// ========================================
+// File: frontend/src/services/i18n.js
+// Purpose: UI language (pt-BR / en-US): message lookup from the catalogs in src/locales,
+// the language saved in this browser, and the number, currency and date formats of each language
+// ========================================
+
+import enUS from '../locales/en-US';
+import ptBR from '../locales/pt-BR';
+
+export const LOCALES = {
+  'pt-BR': { label: 'Português', flag: '🇧🇷', messages: ptBR },
+  'en-US': { label: 'English', flag: '🇺🇸', messages: enUS },
+};
+
+// Missing keys fall back to English, then to the key itself
+const FALLBACK_LOCALE = 'en-US';
+const STORAGE_KEY = 'locale';
+
+// Amounts in CNAB files are always reais, whatever the language
+const CURRENCY = 'BRL';
+
+const isSupported = (locale) => Object.hasOwn(LOCALES, locale);
+
+const detectLocale = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (isSupported(saved)) return saved;
+  } catch {
+    // Storage disabled: use the browser language
+  }
+  return navigator.language?.toLowerCase().startsWith('pt') ? 'pt-BR' : 'en-US';
+};
+
+let currentLocale = detectLocale();
+const listeners = new Set();
+
+document.documentElement.lang = currentLocale;
+
+/** @returns {'pt-BR'|'en-US'} */
+export const getLocale = () => currentLocale;
+
+/**
+ * Switches the language of the whole app and keeps it for the next visits.
+ * @param {'pt-BR'|'en-US'} locale
+ */
+export const setLocale = (locale) => {
+  if (!isSupported(locale) || locale === currentLocale) return;
+
+  currentLocale = locale;
+  document.documentElement.lang = locale;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Storage full or disabled: the language still applies for this visit
+  }
+  listeners.forEach((listener) => listener(locale));
+};
+
+/**
+ * @param {(locale: string) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const onLocaleChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Number formatted for the language (1.234,5 / 1,234.5).
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @param {string} [locale] - Current language when omitted
+ */
+export const formatNumber = (value, options = {}, locale = currentLocale) => {
+  return new Intl.NumberFormat(locale, options).format(value);
+};
+
+/**
+ * Amount in reais (R$ 1.234,56 / R$1,234.56).
+ * @param {number} value
+ * @param {object} [options]
+ * @param {boolean} [options.compact] - Short form for chart axes (R$ 1,2 mil / R$1.2K)
+ * @param {string} [locale]
+ */
+export const formatCurrency = (value, { compact = false } = {}, locale = currentLocale) => {
+  return formatNumber(value, {
+    style: 'currency',
+    currency: CURRENCY,
+    ...(compact ? { notation: 'compact', maximumFractionDigits: 1 } : {}),
+  }, locale);
+};
+
+// Calendar dates come as 'YYYY-MM-DD' or 'YYYY-MM-DDT00:00:00' without zone:
+// read the parts and format them in UTC, so they never move a day with the time zone
+const CALENDAR_DATE = /^(\d{4})-(\d{2})-(\d{2})(T00:00:00(\.0+)?)?$/;
+
+const toDate = (value) => {
+  const match = typeof value === 'string' && CALENDAR_DATE.exec(value);
+  return match
+    ? { date: new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))), timeZone: 'UTC' }
+    : { date: new Date(value), timeZone: undefined };
+};
+
+const formatDateParts = (value, options, locale) => {
+  const { date, timeZone } = toDate(value);
+  return new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(date);
+};
+
+/**
+ * Day only (31/12/2024 / 12/31/2024).
+ * @param {string|Date} value
+ * @param {string} [locale]
+ */
+export const formatDate = (value, locale = currentLocale) => {
+  return formatDateParts(value, { day: '2-digit', month: '2-digit', year: 'numeric' }, locale);
+};
+
+/**
+ * Month and year (dezembro de 2024 / December 2024).
+ * @param {string|Date} value
+ * @param {string} [locale]
+ */
+export const formatMonth = (value, locale = currentLocale) => {
+  return formatDateParts(value, { month: 'long', year: 'numeric' }, locale);
+};
+
+/**
+ * Day and time of an instant, in the browser's time zone.
+ * @param {string|Date} value
+ * @param {string} [locale]
+ */
+export const formatDateTime = (value, locale = currentLocale) => {
+  return new Date(value).toLocaleString(locale);
+};
+
+/**
+ * Time of day of an instant, in the browser's time zone.
+ * @param {string|Date} value
+ * @param {string} [locale]
+ */
+export const formatTime = (value, locale = currentLocale) => {
+  return new Date(value).toLocaleTimeString(locale);
+};
+
+/**
+ * Message of the catalog for a key like 'upload.title'. "{name}" placeholders are replaced
+ * by params (numbers formatted for the language). A message given as { one, other } is
+ * picked by params.count with the plural rules of the language.
+ * @param {string} key
+ * @param {Object<string, string|number>} [params]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const translate = (key, params = {}, locale = currentLocale) => {
+  let message = lookup(LOCALES[locale]?.messages, key) ?? lookup(LOCALES[FALLBACK_LOCALE].messages, key) ?? key;
+
+  if (message && typeof message === 'object') {
+    const category = new Intl.PluralRules(locale).select(Number(params.count ?? 0));
+    message = message[category] ?? message.other;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!Object.hasOwn(params, name)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value, {}, locale) : String(value ?? '');
+  });
+};
+
+/**
+ * Name of a transaction type (1-9) in the language, instead of the server's English description.
+ * @param {number|string} type
+ * @param {string} [locale]
+ */
+export const transactionTypeLabel = (type, locale = currentLocale) => translate(`transactionTypes.${type}`, {}, locale);
+
+/**
+ * 'Income' / 'Expense' in the language.
+ * @param {string} nature
+ * @param {string} [locale]
+ */
+export const natureLabel = (nature, locale = currentLocale) => translate(`natures.${nature}`, {}, locale);
+
+export default {
+  LOCALES,
+  getLocale,
+  setLocale,
+  onLocaleChange,
+  translate,
+  formatNumber,
+  formatCurrency,
+  formatDate,
+  formatMonth,
+  formatDateTime,
+  formatTime,
+  transactionTypeLabel,
+  natureLabel,
+};
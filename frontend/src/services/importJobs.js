@@ -0,0 +1,138 @@
+// ========================================
+// File: frontend/src/services/importJobs.js
+// Purpose: Background imports (POST /cnab/import-jobs): when to use them, waiting for a job,
+// and how to show its phase, progress and ETA
+// ========================================
+
+import { CanceledError } from 'axios';
+import cnabService from './cnabService';
+import { translate } from './i18n';
+
+// Files from this size on are imported in the background instead of inside the upload request
+export const BACKGROUND_IMPORT_MIN_SIZE = 1024 * 1024; // 1MB
+
+const POLL_INTERVAL_MS = 1000;
+
+// Names are importJobs.phases.<phase> in the catalogs
+export const JOB_PHASE_ICONS = {
+  Queued: '⏳',
+  Validating: '🔍',
+  Parsing: '📖',
+  CheckingDuplicates: '🔁',
+  Inserting: '💾',
+  Completed: '✅',
+  Failed: '❌',
+  Cancelled: '🚫',
+};
+
+/**
+ * @param {string} phase
+ * @param {typeof translate} [t] - The component's t, so it follows the language on screen
+ * @returns {string} e.g. "💾 Inserting"; the raw phase when unknown
+ */
+export const jobPhaseLabel = (phase, t = translate) => {
+  return JOB_PHASE_ICONS[phase] ? `${JOB_PHASE_ICONS[phase]} ${t(`importJobs.phases.${phase}`)}` : phase;
+};
+
+/**
+ * @param {object} job
+ * @param {typeof translate} [t]
+ * @returns {string} e.g. "Inserting batch 3/25 - 15,000 of 125,000 transactions"
+ */
+export const describeJobProgress = (job, t = translate) => {
+  if (job.phase === 'Inserting' && job.batchCount > 0) {
+    return t('importJobs.insertingBatch', {
+      batch: job.batchNumber,
+      batchCount: job.batchCount,
+      inserted: job.insertedCount,
+      count: job.totalCount,
+    });
+  }
+  if (job.phase === 'Queued') {
+    return t('importJobs.waitingForOthers');
+  }
+  return JOB_PHASE_ICONS[job.phase] ? t(`importJobs.phases.${job.phase}`) : job.phase;
+};
+
+/**
+ * @param {number|null} seconds
+ * @param {typeof translate} [t]
+ * @returns {string} e.g. "about 2 min left"; empty when unknown
+ */
+export const formatEta = (seconds, t = translate) => {
+  if (seconds == null) return '';
+  if (seconds < 60) return t('importJobs.etaSeconds', { seconds: Math.max(1, seconds) });
+  return t('importJobs.etaMinutes', { minutes: Math.round(seconds / 60) });
+};
+
+/**
+ * Whether a finished job imported its file (the other results are the upload errors: 400, 409, 423, 500).
+ * @param {object} job
+ */
+export const isJobImported = (job) => job.phase === 'Completed' && job.resultStatusCode === 200;
+
+/**
+ * Polls a job until it finishes and returns what the upload endpoint would have answered.
+ * Errors look like axios errors ({ response: { status, data } }), so callers handle a
+ * background import like a direct upload. Aborting the signal cancels the job on the server,
+ * unless it is already saving its transactions: the import report is then returned as usual.
+ * @param {string} jobId
+ * @param {object} [options]
+ * @param {(job: object) => void} [options.onUpdate] - Called with every status read
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} Import report
+ */
+export const waitForImportJob = async (jobId, { onUpdate, signal } = {}) => {
+  // Resolves to false when the server refuses the cancel (409: the import finished or is
+  // saving its transactions); polling then reports what really happened
+  let cancellation = null;
+  const cancelJob = () => {
+    cancellation = cnabService.cancelImportJob(jobId).then(
+      () => true,
+      (error) => error.response?.status !== 409,
+    );
+  };
+  if (signal?.aborted) cancelJob();
+  signal?.addEventListener('abort', cancelJob, { once: true });
+
+  try {
+    for (;;) {
+      if (cancellation && await cancellation) throw new CanceledError();
+
+      let job = null;
+      try {
+        job = await cnabService.getImportJob(jobId);
+      } catch (error) {
+        // The job keeps running on the server through network hiccups; a 404 means it is gone
+        if (error.response) throw error;
+      }
+
+      if (job) {
+        onUpdate?.(job);
+
+        if (job.isFinished) {
+          if (job.phase === 'Cancelled') throw new CanceledError();
+          if (isJobImported(job)) return job.result;
+
+          const error = new Error(job.result?.message || translate('importJobs.failed'));
+          error.response = { status: job.resultStatusCode || 500, data: job.result };
+          throw error;
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  } finally {
+    signal?.removeEventListener('abort', cancelJob);
+  }
+};
+
+export default {
+  BACKGROUND_IMPORT_MIN_SIZE,
+  JOB_PHASE_ICONS,
+  jobPhaseLabel,
+  describeJobProgress,
+  formatEta,
+  isJobImported,
+  waitForImportJob,
+};
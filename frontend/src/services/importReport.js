@@ -0,0 +1,64 @@
+// ========================================
+// File: frontend/src/services/importReport.js
+// Purpose: Builds downloadable versions of the import report returned by /cnab/upload
+// ========================================
+
+import { downloadCsv, downloadJson } from './fileDownload';
+
+const baseFileName = (report) => {
+  const name = (report.fileName || 'cnab').replace(/\.[^.]+$/, '');
+  return `import-report-${name}`;
+};
+
+/**
+ * Flattens the import report into CSV rows, one section after the other.
+ * @param {object} report - Response of cnabService.uploadFile
+ */
+export const buildImportReportRows = (report) => {
+  const rows = [
+    ['Section', 'File', 'Lines read', 'Lines accepted', 'Lines rejected', 'Lines flagged', 'Transactions imported',
+      'Alerts triggered', 'Layout', 'Lines skipped', 'Trailer valid'],
+    [
+      'Summary', report.fileName, report.linesRead, report.linesAccepted, report.linesRejected,
+      report.linesFlagged ?? 0, report.transactionCount, report.alertsTriggered ?? 0,
+      report.layout ?? '', report.linesSkipped ?? 0, report.trailerValid ?? '',
+    ],
+    [],
+    ['Section', 'Check', 'Batch', 'Line', 'Declared', 'Computed', 'Valid'],
+    ...(report.trailerChecks || []).map((c) => [
+      'Trailer check', c.name, c.batch ?? '', c.lineNumber, c.declared, c.computed, c.isValid,
+    ]),
+    [],
+    ['Section', 'Line', 'Reason', 'Content'],
+    ...(report.rejectedLines || []).map((r) => ['Rejected line', r.lineNumber, r.reason, r.content]),
+    [],
+    ['Section', 'Line', 'Rule', 'Message'],
+    ...(report.qualityWarnings || []).map((w) => ['Quality warning', w.lineNumber, w.rule, w.message]),
+    [],
+    ['Section', 'Store', 'Transactions', 'Income', 'Expenses', 'Net amount'],
+    ...(report.storeTotals || []).map((s) => [
+      'Store total', s.storeName, s.transactionCount, s.totalIncome, s.totalExpenses, s.netAmount,
+    ]),
+    [],
+    ['Section', 'Type', 'Description', 'Nature', 'Transactions', 'Total amount'],
+    ...(report.typeTotals || []).map((t) => [
+      'Type total', t.type, t.typeDescription, t.nature, t.transactionCount, t.totalAmount,
+    ]),
+  ];
+
+  return rows;
+};
+
+/**
+ * Downloads the import report as CSV.
+ */
+export const downloadImportReportCsv = (report) => {
+  downloadCsv(buildImportReportRows(report), `${baseFileName(report)}.csv`);
+};
+
+/**
+ * Downloads the import report as JSON (exactly as returned by the API).
+ */
+export const downloadImportReportJson = (report) => {
+  downloadJson(report, `${baseFileName(report)}.json`);
+};
@@ -0,0 +1,194 @@
+// ========================================
+// File: frontend/src/services/liveEvents.js
+// Purpose: Listens to the API event stream (GET /cnab/events, server-sent events) for
+// imports, deletes and adjustments made elsewhere. Read with fetch instead of EventSource, which
+// cannot send the Authorization header.
+// ========================================
+
+import { API_URL, CLIENT_ID, refreshSession } from './apiClient';
+import { getAccessToken } from './session';
+import { translate } from './i18n';
+
+export const LIVE_EVENT_TYPES = {
+  IMPORT_COMPLETED: 'import-completed',
+  TRANSACTIONS_DELETED: 'transactions-deleted',
+  TRANSACTIONS_ADJUSTED: 'transactions-adjusted',
+};
+
+const DEFAULT_RETRY_MS = 5000;
+const MAX_RETRY_MS = 60 * 1000;
+
+/**
+ * @typedef {object} LiveEvent
+ * @property {'import-completed'|'transactions-deleted'|'transactions-adjusted'} type
+ * @property {number} id
+ * @property {string} occurredAt - ISO 8601
+ * @property {string} user - Who made the change
+ * @property {number|null} importBatchId
+ * @property {string|null} fileName
+ * @property {number} transactionCount
+ * @property {string[]|null} storeNames - Stores that changed; null when all did (delete-all)
+ * @property {string|null} sourceClientId - Tab that made the change (see CLIENT_ID)
+ */
+
+/**
+ * Splits the stream text into complete SSE messages.
+ * @param {string} text
+ * @returns {{ messages: { event: string, data: string, retry: number|null }[], rest: string }}
+ */
+export const parseEventStream = (text) => {
+  const blocks = text.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+
+  const messages = blocks.map((block) => {
+    const message = { event: 'message', data: '', retry: null };
+    const data = [];
+
+    block.split(/\r?\n/).forEach((line) => {
+      // Lines starting with ':' are comments (the server heartbeat)
+      if (!line || line.startsWith(':')) return;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+      if (field === 'event') message.event = value;
+      else if (field === 'data') data.push(value);
+      else if (field === 'retry' && /^\d+$/.test(value)) message.retry = Number(value);
+    });
+
+    message.data = data.join('\n');
+    return message;
+  });
+
+  return { messages, rest };
+};
+
+const wait = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+const waitUntilOnline = (signal) => new Promise((resolve) => {
+  if (navigator.onLine || signal.aborted) {
+    resolve();
+    return;
+  }
+  const done = () => {
+    window.removeEventListener('online', done);
+    resolve();
+  };
+  window.addEventListener('online', done);
+  signal.addEventListener('abort', done, { once: true });
+});
+
+/**
+ * Keeps a connection to the event stream until stopped, reconnecting after errors
+ * (with growing delays) and when the server closes it as the access token expires.
+ * Events caused by this tab are skipped. Events published while disconnected are lost:
+ * the API keeps no history.
+ * @param {(event: LiveEvent) => void} onEvent
+ * @returns {() => void} Stops listening
+ */
+export const subscribeToLiveEvents = (onEvent) => {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const handleMessage = (message) => {
+    if (!Object.values(LIVE_EVENT_TYPES).includes(message.event)) return;
+    try {
+      const event = JSON.parse(message.data);
+      if (event.sourceClientId !== CLIENT_ID) {
+        onEvent(event);
+      }
+    } catch {
+      // Malformed message: skip it, the next ones still count
+    }
+  };
+
+  const listen = async () => {
+    let retryMs = DEFAULT_RETRY_MS;
+    let failures = 0;
+
+    while (!signal.aborted) {
+      await waitUntilOnline(signal);
+      if (signal.aborted) return;
+
+      try {
+        const response = await fetch(`${API_URL}/cnab/events`, {
+          headers: { Accept: 'text/event-stream', Authorization: `Bearer ${getAccessToken()}` },
+          signal,
+        });
+
+        if (response.status === 401) {
+          // Expired token: renew it like apiClient does. If the API refuses, the session is over.
+          try {
+            await refreshSession();
+            continue;
+          } catch (error) {
+            if (error.response) return;
+            throw error;
+          }
+        }
+
+        if (!response.ok) {
+          throw new Error(`Event stream returned ${response.status}`);
+        }
+
+        failures = 0;
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          const { messages, rest } = parseEventStream(buffer + value);
+          buffer = rest;
+          messages.forEach((message) => {
+            if (message.retry !== null) retryMs = message.retry;
+            handleMessage(message);
+          });
+        }
+        // Closed by the server (token expiry): reconnect at once
+      } catch {
+        if (signal.aborted) return;
+        failures += 1;
+        await wait(Math.min(retryMs * 2 ** (failures - 1), MAX_RETRY_MS), signal);
+      }
+    }
+  };
+
+  listen();
+
+  return () => controller.abort();
+};
+
+/**
+ * One-line summary of a change, e.g. "maria imported CNAB.txt (21 transactions)".
+ * @param {LiveEvent} event
+ * @param {typeof translate} [t] - The component's t, so it follows the language on screen
+ * @returns {string}
+ */
+export const describeLiveEvent = (event, t = translate) => {
+  const values = { user: event.user, file: event.fileName, count: event.transactionCount };
+
+  if (event.type === LIVE_EVENT_TYPES.IMPORT_COMPLETED) {
+    return t('liveUpdates.imported', values);
+  }
+  if (event.type === LIVE_EVENT_TYPES.TRANSACTIONS_ADJUSTED) {
+    return t('liveUpdates.adjusted', { user: event.user, store: event.storeNames?.[0] });
+  }
+  if (event.importBatchId != null) {
+    return t('liveUpdates.rolledBack', values);
+  }
+  return t('liveUpdates.deletedAll', values);
+};
+
+export default {
+  subscribeToLiveEvents,
+  parseEventStream,
+  describeLiveEvent,
+};
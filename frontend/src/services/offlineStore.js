@@ -0,0 +1,110 @@
+// ========================================
+// File: frontend/src/services/offlineStore.js
+// Purpose: IndexedDB storage for offline use: uploads waiting for the connection,
+// and the last signed-in user (name and roles only, never tokens)
+// ========================================
+
+const DB_NAME = 'cnab-offline';
+const DB_VERSION = 1;
+const UPLOADS_STORE = 'uploads';
+const META_STORE = 'meta';
+const USER_KEY = 'user';
+
+/**
+ * An upload stored while offline. The File itself is kept, so it survives a reload.
+ * @typedef {object} PendingUpload
+ * @property {number} id - Assigned by IndexedDB
+ * @property {string} username - Only this user's session sends it
+ * @property {File} file
+ * @property {string|null} fileHash
+ * @property {'Reject'|'Skip'|'Import'} duplicateHandling
+ * @property {string} [layout] - Layout chosen on the Upload screen (Auto when missing)
+ * @property {string} queuedAt - ISO 8601
+ */
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(UPLOADS_STORE, { keyPath: 'id', autoIncrement: true });
+        request.result.createObjectStore(META_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Let the next call try again (e.g. after the user allows storage)
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Runs one request in its own transaction and resolves with its result.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ */
+const run = async (storeName, mode, action) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * @param {Omit<PendingUpload, 'id'>} upload
+ * @returns {Promise<number>} Id of the stored upload
+ */
+export const savePendingUpload = (upload) => run(UPLOADS_STORE, 'readwrite', (store) => store.add(upload));
+
+/**
+ * @param {string} username
+ * @returns {Promise<PendingUpload[]>} Uploads of the user, oldest first
+ */
+export const getPendingUploads = async (username) => {
+  const uploads = await run(UPLOADS_STORE, 'readonly', (store) => store.getAll());
+  return uploads.filter((upload) => upload.username === username);
+};
+
+/**
+ * @param {number} id
+ */
+export const deletePendingUpload = (id) => run(UPLOADS_STORE, 'readwrite', (store) => store.delete(id));
+
+/**
+ * Keeps who signed in last, so the app can open read-only while the API cannot be reached.
+ * @param {{ username: string, roles: string[] }} user
+ */
+export const rememberUser = (user) => run(META_STORE, 'readwrite', (store) => (
+  store.put({ username: user.username, roles: user.roles }, USER_KEY)
+));
+
+/**
+ * @returns {Promise<{ username: string, roles: string[] }|null>}
+ */
+export const getRememberedUser = async () => {
+  const user = await run(META_STORE, 'readonly', (store) => store.get(USER_KEY));
+  return user || null;
+};
+
+export const forgetUser = () => run(META_STORE, 'readwrite', (store) => store.delete(USER_KEY));
+
+export default {
+  savePendingUpload,
+  getPendingUploads,
+  deletePendingUpload,
+  rememberUser,
+  getRememberedUser,
+  forgetUser,
+};
@@ -0,0 +1,43 @@
+// ========================================
+// File: frontend/src/services/permissions.js
+// Purpose: Roles issued by the API and the actions each one may perform in the UI
+// ========================================
+
+export const ROLES = {
+  ADMINISTRATOR: 'Administrator',
+  USER: 'User',
+};
+
+/**
+ * Roles allowed to perform each action. The API enforces the same rules
+ * (upload, rollback, delete, closing periods, adjustments, alert rules, acknowledging alerts,
+ * revealing CPFs and card numbers, and searching part of a CPF or sorting by it require
+ * Administrator); the UI only hides what would be refused.
+ */
+export const PERMISSIONS = {
+  upload: [ROLES.ADMINISTRATOR],
+  delete: [ROLES.ADMINISTRATOR],
+  closePeriods: [ROLES.ADMINISTRATOR],
+  revealPii: [ROLES.ADMINISTRATOR],
+  searchPartialCpf: [ROLES.ADMINISTRATOR],
+  adjust: [ROLES.ADMINISTRATOR],
+  configureAlerts: [ROLES.ADMINISTRATOR],
+  acknowledgeAlerts: [ROLES.ADMINISTRATOR],
+  export: [ROLES.ADMINISTRATOR, ROLES.USER],
+};
+
+/**
+ * @param {string[]} roles - Roles of the signed-in user
+ * @param {keyof PERMISSIONS} permission
+ * @returns {boolean} False for unknown permissions
+ */
+export const can = (roles, permission) => {
+  const allowedRoles = PERMISSIONS[permission] || [];
+  return roles.some((role) => allowedRoles.includes(role));
+};
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  can,
+};
@@ -0,0 +1,208 @@
+// ========================================
+// File: frontend/src/services/reconciliation.js
+// Purpose: Expected totals for reconciliation: validation, CSV import and template,
+// and the closed periods check used to mark locked transactions
+// ========================================
+
+import { downloadCsv } from './fileDownload';
+import { translate } from './i18n';
+
+/**
+ * Totals of one store and date range from the bank statement, as sent to /cnab/reconciliation.
+ * Totals left null are not compared.
+ * @typedef {object} ExpectedTotals
+ * @property {string} storeName
+ * @property {string} startDate - YYYY-MM-DD (inclusive)
+ * @property {string} endDate - YYYY-MM-DD (inclusive)
+ * @property {number|null} expectedIncome
+ * @property {number|null} expectedExpenses - Positive number
+ * @property {number|null} expectedBalance - Income minus expenses
+ * @property {number|null} expectedTransactionCount
+ */
+
+/** Same limit as the API (ReconciliationRequest.MaxItems) */
+export const MAX_RECONCILIATION_ITEMS = 500;
+
+const TEMPLATE_HEADER = ['Store', 'Start Date', 'End Date', 'Income', 'Expenses', 'Balance', 'Transactions'];
+
+// Accepted CSV headers (lowercase, spaces removed) for each field
+const HEADER_ALIASES = {
+  storeName: ['store', 'storename'],
+  startDate: ['startdate', 'start', 'from'],
+  endDate: ['enddate', 'end', 'to'],
+  expectedIncome: ['income', 'expectedincome'],
+  expectedExpenses: ['expenses', 'expectedexpenses'],
+  expectedBalance: ['balance', 'expectedbalance'],
+  expectedTransactionCount: ['transactions', 'count', 'expectedtransactioncount'],
+};
+
+/**
+ * Reads an amount typed in pt-BR ("1.234,56", "R$ -142,00") or plain ("1234.56").
+ * @param {string} text
+ * @returns {number|null} null when empty, NaN when not a number
+ */
+export const parseAmount = (text) => {
+  const value = String(text ?? '').replace(/R\$|\s/g, '');
+  if (!value) return null;
+
+  const normalized = value.includes(',') ? value.replace(/\./g, '').replace(',', '.') : value;
+  return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+};
+
+/**
+ * Reads a date as YYYY-MM-DD or DD/MM/YYYY.
+ * @param {string} text
+ * @returns {string|null} YYYY-MM-DD, or null when empty or not a real date
+ */
+export const parseDate = (text) => {
+  const value = String(text ?? '').trim();
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const br = value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : br ? [br[3], br[2], br[1]] : [];
+  if (!year) return null;
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day)
+    ? `${year}-${month}-${day}`
+    : null;
+};
+
+/**
+ * Checks one entry before it is sent (the API rejects the same cases with 400).
+ * @param {ExpectedTotals} item
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateExpectedTotals = (item) => {
+  if (!item.storeName?.trim()) return translate('reconciliation.errors.storeRequired');
+  if (!item.startDate || !item.endDate) return translate('reconciliation.errors.datesRequired');
+  if (item.startDate > item.endDate) return translate('filters.errors.dateRange');
+
+  const totals = [item.expectedIncome, item.expectedExpenses, item.expectedBalance, item.expectedTransactionCount];
+  if (totals.some((value) => Number.isNaN(value))) return translate('reconciliation.errors.notNumbers');
+  if (totals.every((value) => value === null || value === undefined)) return translate('reconciliation.errors.noTotals');
+  if (item.expectedTransactionCount != null
+    && (!Number.isInteger(item.expectedTransactionCount) || item.expectedTransactionCount < 0)) {
+    return translate('reconciliation.errors.wholeCount');
+  }
+
+  return null;
+};
+
+/**
+ * Splits one CSV line, honouring double quotes ("" is a quote inside a quoted value).
+ */
+const splitCsvLine = (line, separator) => {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+};
+
+/**
+ * Reads expected totals from a CSV file with a header row (see downloadExpectedTotalsTemplate).
+ * ";" and "," separators are accepted; amounts may use pt-BR format.
+ * @param {string} text - File content
+ * @returns {{ items: ExpectedTotals[], errors: { line: number, message: string }[] }}
+ */
+export const parseExpectedTotalsCsv = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => line.trim());
+  if (headerIndex < 0) {
+    return { items: [], errors: [{ line: 1, message: translate('reconciliation.errors.emptyFile') }] };
+  }
+
+  const separator = lines[headerIndex].includes(';') ? ';' : ',';
+  const header = splitCsvLine(lines[headerIndex], separator).map((name) => name.toLowerCase().replace(/\s/g, ''));
+  const columns = Object.fromEntries(Object.entries(HEADER_ALIASES)
+    .map(([field, aliases]) => [field, header.findIndex((name) => aliases.includes(name))]));
+
+  if (columns.storeName < 0 || columns.startDate < 0 || columns.endDate < 0) {
+    return {
+      items: [],
+      errors: [{ line: headerIndex + 1, message: translate('reconciliation.errors.header', { columns: TEMPLATE_HEADER.slice(0, 3).join(', ') }) }],
+    };
+  }
+
+  const items = [];
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    if (index <= headerIndex || !line.trim()) return;
+
+    const values = splitCsvLine(line, separator);
+    const cell = (field) => (columns[field] >= 0 ? values[columns[field]] : '');
+    const count = parseAmount(cell('expectedTransactionCount'));
+
+    const item = {
+      storeName: cell('storeName') || '',
+      startDate: parseDate(cell('startDate')),
+      endDate: parseDate(cell('endDate')),
+      expectedIncome: parseAmount(cell('expectedIncome')),
+      expectedExpenses: parseAmount(cell('expectedExpenses')),
+      expectedBalance: parseAmount(cell('expectedBalance')),
+      expectedTransactionCount: count,
+    };
+
+    const error = validateExpectedTotals(item);
+    if (error) {
+      errors.push({ line: index + 1, message: error });
+    } else {
+      items.push(item);
+    }
+  });
+
+  return { items, errors };
+};
+
+/**
+ * Downloads an example CSV in the format read by parseExpectedTotalsCsv.
+ */
+export const downloadExpectedTotalsTemplate = () => {
+  downloadCsv([
+    TEMPLATE_HEADER,
+    ['BAR DO JOÃO', '01/03/2019', '31/03/2019', '0,00', '426,00', '-426,00', '3'],
+  ], 'expected-totals-template.csv');
+};
+
+/**
+ * Whether a transaction date falls inside one of the closed periods.
+ * @param {string} date - ISO date ('YYYY-MM-DD...'); only the day is compared
+ * @param {{ startDate: string, endDate: string }[]} periods
+ */
+export const isInClosedPeriod = (date, periods) => {
+  const day = date.slice(0, 10);
+  return periods.some((period) => day >= period.startDate.slice(0, 10) && day <= period.endDate.slice(0, 10));
+};
+
+export default {
+  MAX_RECONCILIATION_ITEMS,
+  parseAmount,
+  parseDate,
+  validateExpectedTotals,
+  parseExpectedTotalsCsv,
+  downloadExpectedTotalsTemplate,
+  isInClosedPeriod,
+};
@@ -0,0 +1,34 @@
+// ========================================
+// File: frontend/src/services/serviceWorker.js
+// Purpose: Registers the offline service worker (public/sw.js) and clears what it cached
+// ========================================
+
+// Same name as API_CACHE in public/sw.js
+const API_CACHE = 'cnab-api-v1';
+
+/**
+ * Registers the service worker in production builds. In development Vite serves
+ * fresh modules on every change, and a cached shell would hide them.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // Best effort: the app works without it, only not offline
+    });
+  });
+};
+
+/**
+ * Deletes the API responses kept for offline use (on logout, or when another user signs in).
+ */
+export const clearCachedApiData = async () => {
+  if (!('caches' in window)) return;
+  await caches.delete(API_CACHE);
+};
+
+export default {
+  registerServiceWorker,
+  clearCachedApiData,
+};
@@ -0,0 +1,114 @@
+// ========================================
+// File: frontend/src/services/session.js
+// Purpose: Current login session, kept in memory, and session change notifications.
+// The access token is never written to storage; the refresh token lives in an HttpOnly
+// cookie set by the API, so scripts cannot read either one from disk.
+// ========================================
+
+// Keys used by older versions, when tokens were kept in localStorage
+const LEGACY_STORAGE_KEYS = ['token', 'username', 'tokenExpiry', 'refreshToken', 'refreshTokenExpiry'];
+
+// The API writes roles as the short "role" claim; the long form is accepted for other issuers
+const ROLE_CLAIMS = ['role', 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role'];
+
+/**
+ * @typedef {object} Session
+ * @property {string|null} token - JWT access token
+ * @property {string|null} username
+ * @property {string|null} tokenExpiry - Access token expiry, ISO 8601
+ * @property {string[]} roles - Role claims of the access token
+ */
+
+const EMPTY_SESSION = { token: null, username: null, tokenExpiry: null, roles: [] };
+
+/** @type {Session} */
+let current = EMPTY_SESSION;
+
+// 'refreshed': a new access token was received. 'expired': the session ended and could not be renewed.
+const sessionEvents = new EventTarget();
+
+/**
+ * Reads the role claims of a JWT. The signature is not checked here: the API checks it
+ * on every request, the roles only decide what the UI shows.
+ * @param {string} token
+ * @returns {string[]}
+ */
+export const decodeTokenRoles = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+    const claim = ROLE_CLAIMS.map((name) => claims[name]).find((value) => value != null);
+    if (claim == null) return [];
+    return Array.isArray(claim) ? claim : [claim];
+  } catch {
+    return [];
+  }
+};
+
+/** @returns {Session} */
+export const getSession = () => ({ ...current });
+
+export const getAccessToken = () => current.token;
+
+/**
+ * Keeps the session returned by /auth/login or /auth/refresh.
+ * @param {{ token: string, username: string, expiresAt: string }} data
+ */
+export const saveSession = (data) => {
+  current = {
+    token: data.token,
+    username: data.username,
+    tokenExpiry: data.expiresAt,
+    roles: decodeTokenRoles(data.token),
+  };
+  sessionEvents.dispatchEvent(new Event('refreshed'));
+};
+
+export const clearSession = () => {
+  current = EMPTY_SESSION;
+};
+
+/**
+ * Removes tokens left in localStorage by older versions of the app.
+ */
+export const removeLegacyStorage = () => {
+  LEGACY_STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+};
+
+/**
+ * Milliseconds until the access token expires (negative when expired, null without a session).
+ */
+export const getTimeUntilExpiry = () => {
+  return current.tokenExpiry ? new Date(current.tokenExpiry).getTime() - Date.now() : null;
+};
+
+/**
+ * Listens to session changes.
+ * @param {'refreshed'|'expired'} type
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const onSessionEvent = (type, listener) => {
+  sessionEvents.addEventListener(type, listener);
+  return () => sessionEvents.removeEventListener(type, listener);
+};
+
+/**
+ * Clears the session and tells the app to show the login screen.
+ */
+export const expireSession = () => {
+  clearSession();
+  sessionEvents.dispatchEvent(new Event('expired'));
+};
+
+export default {
+  decodeTokenRoles,
+  getSession,
+  getAccessToken,
+  saveSession,
+  clearSession,
+  removeLegacyStorage,
+  getTimeUntilExpiry,
+  onSessionEvent,
+  expireSession,
+};
@@ -0,0 +1,137 @@
+// ========================================
+// File: frontend/src/services/tableLayout.js
+// Purpose: Transaction table columns and the per-user layout saved in localStorage
+// ========================================
+
+/**
+ * Every column the transaction table can show, in default order.
+ * sortField is the API sortBy value (TransactionSortField on the server).
+ * Headers are columns.<id> in the catalogs (src/locales).
+ */
+export const TRANSACTION_COLUMNS = [
+  { id: 'date', sortField: 'Date', visible: true },
+  { id: 'time', sortField: 'Time', visible: true },
+  { id: 'store', sortField: 'StoreName', visible: true },
+  { id: 'type', sortField: 'Type', visible: true },
+  { id: 'typeCode', sortField: 'Type', visible: false },
+  { id: 'nature', sortField: 'Nature', visible: false },
+  { id: 'amount', sortField: 'Amount', visible: true },
+  { id: 'cpf', sortField: 'Cpf', visible: true },
+  { id: 'card', sortField: 'CardNumber', visible: true },
+  { id: 'owner', sortField: 'StoreOwner', visible: false },
+];
+
+/**
+ * @typedef {object} SortOrder
+ * @property {string} field - API sort field (e.g. 'Date', 'Amount')
+ * @property {'Asc'|'Desc'} direction
+ */
+
+/** @type {SortOrder} */
+export const DEFAULT_SORT = Object.freeze({ field: 'Date', direction: 'Desc' });
+
+/**
+ * @typedef {object} TableLayout
+ * @property {{ id: string, visible: boolean }[]} columns - All columns, in display order
+ * @property {SortOrder} defaultSort - Sort applied when the table is opened
+ */
+
+/** @returns {TableLayout} */
+export const createDefaultLayout = () => ({
+  columns: TRANSACTION_COLUMNS.map(({ id, visible }) => ({ id, visible })),
+  defaultSort: { ...DEFAULT_SORT },
+});
+
+const SORT_FIELDS = new Set(TRANSACTION_COLUMNS.map((column) => column.sortField));
+
+/**
+ * Whether a sort order can be sent to the API (known field, Asc or Desc).
+ * @param {object} sort
+ * @returns {boolean}
+ */
+export const isValidSortOrder = (sort) => SORT_FIELDS.has(sort?.field) && ['Asc', 'Desc'].includes(sort?.direction);
+
+const storageKey = (username) => `transactionTableLayout:${username || 'anonymous'}`;
+
+/**
+ * Makes a stored layout safe to use: drops unknown columns, appends columns added
+ * since it was saved (hidden unless visible by default) and validates the sort.
+ * @param {object} stored
+ * @returns {TableLayout}
+ */
+const normalizeLayout = (stored) => {
+  const defaults = createDefaultLayout();
+  if (!stored || !Array.isArray(stored.columns)) return defaults;
+
+  const known = new Map(TRANSACTION_COLUMNS.map((column) => [column.id, column]));
+  const seen = new Set();
+  const columns = [];
+
+  stored.columns.forEach((column) => {
+    if (known.has(column?.id) && !seen.has(column.id)) {
+      seen.add(column.id);
+      columns.push({ id: column.id, visible: Boolean(column.visible) });
+    }
+  });
+
+  defaults.columns
+    .filter((column) => !seen.has(column.id))
+    .forEach((column) => columns.push(column));
+
+  const sort = stored.defaultSort;
+  const defaultSort = isValidSortOrder(sort)
+    ? { field: sort.field, direction: sort.direction }
+    : defaults.defaultSort;
+
+  return { columns, defaultSort };
+};
+
+/**
+ * Reads the layout saved for a user (default layout when none or unreadable).
+ * @param {string} username
+ * @returns {TableLayout}
+ */
+export const loadTableLayout = (username) => {
+  try {
+    return normalizeLayout(JSON.parse(localStorage.getItem(storageKey(username))));
+  } catch {
+    return createDefaultLayout();
+  }
+};
+
+/**
+ * Saves the layout for a user.
+ * @param {string} username
+ * @param {TableLayout} layout
+ */
+export const saveTableLayout = (username, layout) => {
+  try {
+    localStorage.setItem(storageKey(username), JSON.stringify(layout));
+  } catch {
+    // Storage full or disabled: the layout still applies for this session
+  }
+};
+
+/**
+ * Next sort after clicking a column header: the same field flips direction,
+ * a new field starts newest/largest first for dates and amounts, A-Z otherwise.
+ * @param {SortOrder} current
+ * @param {string} field
+ * @returns {SortOrder}
+ */
+export const nextSortOrder = (current, field) => {
+  if (current.field === field) {
+    return { field, direction: current.direction === 'Asc' ? 'Desc' : 'Asc' };
+  }
+  return { field, direction: ['Date', 'Amount'].includes(field) ? 'Desc' : 'Asc' };
+};
+
+export default {
+  TRANSACTION_COLUMNS,
+  DEFAULT_SORT,
+  createDefaultLayout,
+  isValidSortOrder,
+  loadTableLayout,
+  saveTableLayout,
+  nextSortOrder,
+};
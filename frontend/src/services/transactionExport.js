@@ -0,0 +1,311 @@
+// ========================================
+// File: frontend/src/services/transactionExport.js
+// Purpose: CSV / XLSX export of the filtered transaction set and printable store statements.
+// Data is paged from the API, never taken from what happens to be on screen.
+// ========================================
+
+import cnabService from './cnabService';
+import { downloadCsv, downloadFile } from './fileDownload';
+import {
+  getLocale,
+  translate,
+  formatCurrency,
+  formatDate,
+  formatDateTime,
+  formatNumber,
+  transactionTypeLabel,
+} from './i18n';
+import { toFilterParams } from './transactionFilters';
+import { buildXlsx } from './xlsxWriter';
+
+// Largest page the API serves (TransactionQuery.MaxPageSize)
+const EXPORT_PAGE_SIZE = 100;
+
+// Statements read top to bottom like a bank statement: oldest first
+const STATEMENT_SORT = Object.freeze({ field: 'Date', direction: 'Asc' });
+
+// CSV files keep pt-BR numbers and dates whatever the UI language, so the spreadsheets
+// that read them do not change; the printed statement follows the UI language
+const CSV_LOCALE = 'pt-BR';
+
+// Two decimals without the symbol, so spreadsheets read the CSV cell as a number
+const formatDecimal = (value) => {
+  return formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 }, CSV_LOCALE);
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const timestamp = () => new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+/**
+ * Reads every page of a paged endpoint.
+ * @param {(pageNumber: number, pageSize: number) => Promise<object>} fetchPage - Returns a PagedResult
+ * @param {object} [options]
+ * @param {(loaded: number, total: number) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Stops between pages
+ * @returns {Promise<object[]>} All items, in the order the API returned them
+ */
+const fetchAllPages = async (fetchPage, { onProgress, signal } = {}) => {
+  const items = [];
+  let pageNumber = 1;
+  let totalPages = 1;
+
+  do {
+    if (signal?.aborted) {
+      throw new DOMException('Export cancelled', 'AbortError');
+    }
+
+    const page = await fetchPage(pageNumber, EXPORT_PAGE_SIZE);
+    items.push(...page.items);
+    totalPages = page.totalPages;
+    onProgress?.(items.length, page.totalCount);
+    pageNumber++;
+  } while (pageNumber <= totalPages);
+
+  return items;
+};
+
+/**
+ * Loads all transactions matching the filters, optionally for one store only.
+ * @param {object} options
+ * @param {import('./transactionFilters').TransactionFilters} [options.filters]
+ * @param {import('./tableLayout').SortOrder} [options.sort]
+ * @param {string} [options.storeName] - Exact store name (store endpoint) instead of all stores
+ * @param {(loaded: number, total: number) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ */
+export const fetchTransactionsForExport = ({ filters, sort, storeName, onProgress, signal } = {}) => {
+  const fetchPage = storeName
+    ? (pageNumber, size) => cnabService.getStoreTransactions(storeName, pageNumber, size, filters, sort)
+    : (pageNumber, size) => cnabService.getAllTransactions(pageNumber, size, filters, sort);
+
+  return fetchAllPages(fetchPage, { onProgress, signal });
+};
+
+/**
+ * Export columns: every field of a transaction, in the table's default order.
+ * csv gives the pt-BR text written to CSV; xlsx the raw value written to the workbook.
+ */
+const EXPORT_COLUMNS = [
+  { header: 'Date', type: 'date', width: 12, csv: (t) => formatDate(t.date, CSV_LOCALE), xlsx: (t) => t.date },
+  { header: 'Time', width: 10, csv: (t) => t.time, xlsx: (t) => t.time },
+  { header: 'Store', width: 24, csv: (t) => t.storeName, xlsx: (t) => t.storeName },
+  { header: 'Owner', width: 20, csv: (t) => t.storeOwner, xlsx: (t) => t.storeOwner },
+  { header: 'Type Code', width: 10, csv: (t) => t.type, xlsx: (t) => t.type },
+  { header: 'Type', width: 24, csv: (t) => t.typeDescription, xlsx: (t) => t.typeDescription },
+  { header: 'Nature', width: 10, csv: (t) => t.nature, xlsx: (t) => t.nature },
+  { header: 'Amount (R$)', type: 'currency', width: 16, csv: (t) => formatDecimal(t.signedAmount), xlsx: (t) => t.signedAmount },
+  { header: 'CPF', width: 14, csv: (t) => t.cpf, xlsx: (t) => t.cpf },
+  { header: 'Card', width: 14, csv: (t) => t.cardNumber, xlsx: (t) => t.cardNumber },
+];
+
+const STORE_COLUMNS = [
+  { header: 'Store', width: 24, value: (s) => s.storeName },
+  { header: 'Transactions', type: 'integer', width: 14, value: (s) => s.transactionCount },
+  { header: 'Income (R$)', type: 'currency', width: 16, value: (s) => s.totalIncome },
+  { header: 'Expenses (R$)', type: 'currency', width: 16, value: (s) => s.totalExpenses },
+  { header: 'Balance (R$)', type: 'currency', width: 16, value: (s) => s.totalBalance },
+];
+
+/**
+ * CSV rows (header first) with pt-BR dates and amounts.
+ * @param {object[]} transactions - TransactionViewModel items
+ */
+export const buildTransactionCsvRows = (transactions) => [
+  EXPORT_COLUMNS.map((column) => column.header),
+  ...transactions.map((transaction) => EXPORT_COLUMNS.map((column) => column.csv(transaction))),
+];
+
+/**
+ * Downloads the transactions as CSV (";" separated, pt-BR numbers).
+ * @param {object[]} transactions
+ */
+export const exportTransactionsCsv = (transactions) => {
+  downloadCsv(buildTransactionCsvRows(transactions), `transactions-${timestamp()}.csv`);
+};
+
+/**
+ * Downloads the transactions as an Excel workbook: a Transactions sheet with real dates and
+ * numbers (formatted R$ / dd/mm/yyyy) and a Stores sheet with the balances of the same set.
+ * @param {object[]} transactions
+ * @param {object[]} stores - Store balances returned by getStoreBalances with the same filters
+ */
+export const exportTransactionsXlsx = (transactions, stores) => {
+  const workbook = buildXlsx([
+    {
+      name: 'Transactions',
+      columns: EXPORT_COLUMNS,
+      rows: transactions.map((transaction) => EXPORT_COLUMNS.map((column) => column.xlsx(transaction))),
+    },
+    {
+      name: 'Stores',
+      columns: STORE_COLUMNS,
+      rows: stores.map((store) => STORE_COLUMNS.map((column) => column.value(store))),
+    },
+  ]);
+
+  downloadFile(workbook, `transactions-${timestamp()}.xlsx`, workbook.type);
+};
+
+const describeFilters = (filters) => Object.entries(toFilterParams(filters))
+  .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+  .join(' · ');
+
+const STATEMENT_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: 'Segoe UI', Arial, sans-serif; color: #1a202c; margin: 2rem; font-size: 12px; }
+  .statement { page-break-after: always; }
+  .statement:last-child { page-break-after: auto; }
+  h1 { font-size: 20px; margin: 0 0 0.25rem; }
+  .meta { color: #4a5568; margin: 0 0 1rem; }
+  .totals { display: flex; gap: 1rem; margin-bottom: 1.25rem; }
+  .totals div { border: 1px solid #cbd5e0; border-radius: 4px; padding: 0.5rem 0.75rem; flex: 1; }
+  .totals span { display: block; color: #4a5568; font-size: 11px; }
+  .totals strong { font-size: 15px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e2e8f0; }
+  th { background: #edf2f7; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+  .num { text-align: right; white-space: nowrap; }
+  .income { color: #276749; }
+  .expense { color: #c53030; }
+  tfoot td { font-weight: bold; border-top: 2px solid #4a5568; }
+  .toolbar { margin-bottom: 1.5rem; }
+  @media print { .toolbar { display: none; } body { margin: 0; } }
+`;
+
+/**
+ * HTML of one store statement: header with balance, income and expense totals, then one line
+ * per transaction with the amount in the income or expense column and the running balance.
+ * @param {object} store - Store balance (storeName, transactionCount, totalIncome, totalExpenses, totalBalance)
+ * @param {object[]} transactions - The store's transactions, oldest first
+ * @param {import('./transactionFilters').TransactionFilters} [filters]
+ */
+export const buildStatementHtml = (store, transactions, filters) => {
+  const filterText = describeFilters(filters);
+  let runningBalance = 0;
+
+  const lines = transactions.map((t) => {
+    runningBalance += t.signedAmount;
+    const isIncome = t.signedAmount >= 0;
+
+    return `<tr>
+      <td>${escapeHtml(formatDate(t.date))}</td>
+      <td>${escapeHtml(t.time)}</td>
+      <td>${escapeHtml(transactionTypeLabel(t.type))}</td>
+      <td>${escapeHtml(t.cpf)}</td>
+      <td>${escapeHtml(t.cardNumber)}</td>
+      <td class="num income">${isIncome ? escapeHtml(formatCurrency(t.signedAmount)) : ''}</td>
+      <td class="num expense">${isIncome ? '' : escapeHtml(formatCurrency(-t.signedAmount))}</td>
+      <td class="num">${escapeHtml(formatCurrency(runningBalance))}</td>
+    </tr>`;
+  }).join('');
+
+  return `<section class="statement">
+    <h1>🏪 ${escapeHtml(store.storeName)}</h1>
+    <p class="meta">
+      ${escapeHtml(translate('statement.generatedOn', { date: formatDateTime(new Date()) }))}
+      · ${escapeHtml(translate('statement.transactions', { count: store.transactionCount }))}
+      ${filterText ? `<br>${escapeHtml(translate('statement.filters', { filters: filterText }))}` : ''}
+    </p>
+    <div class="totals">
+      <div><span>${translate('statement.balance')}</span><strong>${escapeHtml(formatCurrency(store.totalBalance))}</strong></div>
+      <div><span>${translate('statement.income')}</span><strong class="income">${escapeHtml(formatCurrency(store.totalIncome))}</strong></div>
+      <div><span>${translate('statement.expenses')}</span><strong class="expense">${escapeHtml(formatCurrency(store.totalExpenses))}</strong></div>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>${translate('columns.date')}</th><th>${translate('columns.time')}</th>
+          <th>${translate('columns.type')}</th><th>${translate('columns.cpf')}</th><th>${translate('columns.card')}</th>
+          <th class="num">${translate('statement.income')}</th><th class="num">${translate('statement.expense')}</th>
+          <th class="num">${translate('statement.balance')}</th>
+        </tr>
+      </thead>
+      <tbody>${lines}</tbody>
+      <tfoot>
+        <tr>
+          <td colspan="5">${translate('statement.total')}</td>
+          <td class="num income">${escapeHtml(formatCurrency(store.totalIncome))}</td>
+          <td class="num expense">${escapeHtml(formatCurrency(store.totalExpenses))}</td>
+          <td class="num">${escapeHtml(formatCurrency(store.totalBalance))}</td>
+        </tr>
+      </tfoot>
+    </table>
+  </section>`;
+};
+
+const writeStatementWindow = (statementWindow, title, body) => {
+  statementWindow.document.open();
+  statementWindow.document.write(`<!doctype html>
+<html lang="${getLocale()}">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${STATEMENT_STYLES}</style></head>
+<body>${body}</body>
+</html>`);
+  statementWindow.document.close();
+};
+
+/**
+ * Opens a print-optimized statement for one or more stores in a new window and starts printing
+ * ("Save as PDF" in the print dialog gives the PDF). The window must be opened from the click
+ * handler itself or pop-up blockers stop it, so it is opened first and filled when data arrives.
+ * @param {object[]} stores - Store balances to include (already narrowed by the filters)
+ * @param {object} [options]
+ * @param {import('./transactionFilters').TransactionFilters} [options.filters]
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - Transactions loaded so far
+ * @param {AbortSignal} [options.signal]
+ */
+export const printStoreStatements = async (stores, { filters, onProgress, signal } = {}) => {
+  const statementWindow = window.open('', '_blank');
+  if (!statementWindow) {
+    throw new Error(translate('statement.blocked'));
+  }
+
+  const title = stores.length === 1
+    ? translate('statement.titleOne', { store: stores[0].storeName })
+    : translate('statement.titleMany');
+  writeStatementWindow(statementWindow, title, `<p>${translate('statement.preparing')}</p>`);
+
+  try {
+    const total = stores.reduce((sum, store) => sum + store.transactionCount, 0);
+    let loadedBefore = 0;
+    const sections = [];
+
+    for (const store of stores) {
+      const transactions = await fetchTransactionsForExport({
+        filters,
+        sort: STATEMENT_SORT,
+        storeName: store.storeName,
+        signal,
+        onProgress: (loaded) => onProgress?.(loadedBefore + loaded, total),
+      });
+      loadedBefore += transactions.length;
+      sections.push(buildStatementHtml(store, transactions, filters));
+    }
+
+    writeStatementWindow(
+      statementWindow,
+      title,
+      `<div class="toolbar"><button onclick="window.print()">🖨️ ${translate('statement.print')}</button></div>${sections.join('')}`
+    );
+    statementWindow.focus();
+    statementWindow.print();
+  } catch (err) {
+    statementWindow.close();
+    throw err;
+  }
+};
+
+export default {
+  fetchTransactionsForExport,
+  buildTransactionCsvRows,
+  exportTransactionsCsv,
+  exportTransactionsXlsx,
+  buildStatementHtml,
+  printStoreStatements,
+};
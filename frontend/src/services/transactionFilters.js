@@ -0,0 +1,151 @@
+// ========================================
+// File: frontend/src/services/transactionFilters.js
+// Purpose: Transaction filter object, its URL query string form and API params
+// ========================================
+
+import { translate } from './i18n';
+
+/**
+ * Transaction search criteria. Values are kept as strings (as typed in the filter bar);
+ * empty values are ignored.
+ * @typedef {object} TransactionFilters
+ * @property {string} dateFrom - First date, YYYY-MM-DD (inclusive)
+ * @property {string} dateTo - Last date, YYYY-MM-DD (inclusive)
+ * @property {string[]} types - Transaction type codes ('1'-'9')
+ * @property {''|'Income'|'Expense'} nature - Income or expense only
+ * @property {string} cpf - CPF digits (formatting ignored); all 11, or part of them for administrators
+ * @property {string} cardSuffix - Last digits of the masked card number
+ * @property {string} storeOwner - Owner name (partial, case-insensitive)
+ * @property {string} storeName - Store name (partial, case-insensitive)
+ * @property {string} minAmount - Minimum amount in BRL
+ * @property {string} maxAmount - Maximum amount in BRL
+ */
+
+/** @type {TransactionFilters} */
+export const EMPTY_FILTERS = Object.freeze({
+  dateFrom: '',
+  dateTo: '',
+  types: Object.freeze([]),
+  nature: '',
+  cpf: '',
+  cardSuffix: '',
+  storeOwner: '',
+  storeName: '',
+  minAmount: '',
+  maxAmount: '',
+});
+
+const TEXT_KEYS = Object.keys(EMPTY_FILTERS).filter((key) => key !== 'types');
+
+/**
+ * Reads filters from a query string (e.g. window.location.search).
+ * Unknown parameters are ignored.
+ * @param {string} search
+ * @returns {TransactionFilters}
+ */
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...EMPTY_FILTERS, types: [] };
+
+  TEXT_KEYS.forEach((key) => {
+    filters[key] = params.get(key)?.trim() || '';
+  });
+
+  filters.types = [...new Set(params.getAll('types').filter((type) => /^[1-9]$/.test(type)))].sort();
+  if (!['Income', 'Expense'].includes(filters.nature)) {
+    filters.nature = '';
+  }
+
+  return filters;
+};
+
+/**
+ * Writes filters into a query string, keeping parameters that are not filters.
+ * @param {TransactionFilters} filters
+ * @param {string} [search] - Current query string
+ * @returns {string} Query string with leading '?', or '' when empty
+ */
+export const filtersToSearch = (filters, search = '') => {
+  const params = new URLSearchParams(search);
+
+  TEXT_KEYS.forEach((key) => params.delete(key));
+  params.delete('types');
+
+  Object.entries(toFilterParams(filters)).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((item) => params.append(key, item));
+    } else {
+      params.set(key, value);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Query parameters for the API: only the criteria that are set.
+ * @param {TransactionFilters} [filters]
+ * @returns {Record<string, string|string[]>}
+ */
+export const toFilterParams = (filters = EMPTY_FILTERS) => {
+  const params = {};
+
+  TEXT_KEYS.forEach((key) => {
+    const value = String(filters[key] ?? '').trim();
+    if (value) {
+      params[key] = value;
+    }
+  });
+
+  if (filters.types?.length > 0) {
+    params.types = filters.types;
+  }
+
+  return params;
+};
+
+/**
+ * Number of criteria that are set.
+ * @param {TransactionFilters} filters
+ */
+export const countActiveFilters = (filters) => Object.keys(toFilterParams(filters)).length;
+
+/**
+ * Checks ranges before a request is sent (the API rejects the same cases with 400).
+ * @param {TransactionFilters} filters
+ * @param {{partialCpf?: boolean}} [options] - partialCpf: false when only a full CPF may be searched
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateFilters = (filters, { partialCpf = true } = {}) => {
+  const cpfDigits = filters.cpf.replace(/\D/g, '');
+  if (!partialCpf && cpfDigits && cpfDigits.length !== 11) {
+    return translate('filters.errors.fullCpf');
+  }
+
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    return translate('filters.errors.dateRange');
+  }
+
+  const min = filters.minAmount === '' ? null : Number(filters.minAmount);
+  const max = filters.maxAmount === '' ? null : Number(filters.maxAmount);
+
+  if ((min !== null && (Number.isNaN(min) || min < 0)) || (max !== null && (Number.isNaN(max) || max < 0))) {
+    return translate('filters.errors.negativeAmount');
+  }
+
+  if (min !== null && max !== null && min > max) {
+    return translate('filters.errors.amountRange');
+  }
+
+  return null;
+};
+
+export default {
+  EMPTY_FILTERS,
+  filtersFromSearch,
+  filtersToSearch,
+  toFilterParams,
+  countActiveFilters,
+  validateFilters,
+};
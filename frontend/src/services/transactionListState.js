@@ -0,0 +1,78 @@
+// ========================================
+// File: frontend/src/services/transactionListState.js
+// Purpose: View mode, page, page size and sort of the transaction lists
+// and their URL query string form (filters live in transactionFilters.js)
+// ========================================
+
+import { isValidSortOrder } from './tableLayout';
+
+export const VIEW_MODES = ['stores', 'all'];
+
+// The API caps page sizes at 100
+const MAX_PAGE_SIZE = 100;
+
+const LIST_KEYS = ['view', 'page', 'pageSize', 'sortBy', 'sortDirection'];
+
+/**
+ * Position in the transaction lists. Values left at their default are not written to the URL.
+ * @typedef {object} TransactionListState
+ * @property {'stores'|'all'} view - Store cards or the global table
+ * @property {number} page - Page of the global table or of the store being viewed
+ * @property {number|null} pageSize - null uses the default page size
+ * @property {import('./tableLayout').SortOrder|null} sort - null uses the user's default sort
+ */
+
+/** @type {TransactionListState} */
+export const DEFAULT_LIST_STATE = Object.freeze({ view: 'stores', page: 1, pageSize: null, sort: null });
+
+const parsePositiveInt = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Reads the list state from a query string. Invalid values fall back to the defaults.
+ * @param {string} search
+ * @returns {TransactionListState}
+ */
+export const listStateFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const pageSize = parsePositiveInt(params.get('pageSize'));
+  const sort = { field: params.get('sortBy'), direction: params.get('sortDirection') };
+
+  return {
+    view: VIEW_MODES.includes(params.get('view')) ? params.get('view') : DEFAULT_LIST_STATE.view,
+    page: parsePositiveInt(params.get('page')) || DEFAULT_LIST_STATE.page,
+    pageSize: pageSize && pageSize <= MAX_PAGE_SIZE ? pageSize : null,
+    sort: isValidSortOrder(sort) ? sort : null,
+  };
+};
+
+/**
+ * Writes the list state into a query string, keeping parameters that are not part of it (filters).
+ * @param {TransactionListState} state
+ * @param {string} [search] - Current query string
+ * @returns {string} Query string with leading '?', or '' when empty
+ */
+export const listStateToSearch = (state, search = '') => {
+  const params = new URLSearchParams(search);
+  LIST_KEYS.forEach((key) => params.delete(key));
+
+  if (state.view !== DEFAULT_LIST_STATE.view) params.set('view', state.view);
+  if (state.page > 1) params.set('page', String(state.page));
+  if (state.pageSize) params.set('pageSize', String(state.pageSize));
+  if (state.sort) {
+    params.set('sortBy', state.sort.field);
+    params.set('sortDirection', state.sort.direction);
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+export default {
+  VIEW_MODES,
+  DEFAULT_LIST_STATE,
+  listStateFromSearch,
+  listStateToSearch,
+};